@@ -2,6 +2,9 @@ const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
 require('dotenv').config();
+const { registerUrgencyFunction } = require('../utils/urgency');
+const { registerDecodeFunction } = require('../utils/sanitize');
+const { splitStatements } = require('./statements');
 
 // Ensure data directory exists
 const dataDir = path.join(__dirname, '..', 'data');
@@ -16,13 +19,17 @@ const db = new Database(dbPath);
 // Enable foreign key constraints
 db.pragma('foreign_keys = ON');
 
+// SQL functions used by queries
+registerUrgencyFunction(db);
+registerDecodeFunction(db);
+
 // Helper function to run schema
 const initDatabase = () => {
   const schemaPath = path.join(__dirname, 'schema.sql');
   const schema = fs.readFileSync(schemaPath, 'utf-8');
 
-  // Split by semicolons and execute each statement
-  const statements = schema.split(';').filter(stmt => stmt.trim());
+  // Split into statements (trigger bodies stay whole) and execute each one
+  const statements = splitStatements(schema);
 
   for (const statement of statements) {
     try {
@@ -1,6 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const db = require('./db');
+const { splitStatements } = require('./statements');
 
 /**
  * Run database migrations
@@ -33,11 +34,13 @@ function runMigrations() {
     const migrationPath = path.join(migrationsDir, file);
     const sql = fs.readFileSync(migrationPath, 'utf-8');
 
-    // Split by semicolon and execute each statement
-    const statements = sql
-      .split(';')
-      .map(s => s.trim())
-      .filter(s => s.length > 0 && !s.startsWith('--'));
+    // Strip comment lines, then split into statements and execute each one
+    // (filtering whole statements that start with "--" would drop any statement
+    // that has a comment above it)
+    const statements = splitStatements(sql
+      .split('\n')
+      .filter(line => !line.trim().startsWith('--'))
+      .join('\n'));
 
     statements.forEach((statement, index) => {
       try {
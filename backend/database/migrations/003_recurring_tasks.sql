@@ -0,0 +1,9 @@
+-- Migration: Recurring tasks
+-- Adds an RRULE-style recurrence rule to tasks and links each generated
+-- occurrence back to the task it was created from
+
+ALTER TABLE tasks ADD COLUMN recurrence_rule TEXT;
+
+ALTER TABLE tasks ADD COLUMN recurrence_source_id INTEGER REFERENCES tasks(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_recurrence_source ON tasks(recurrence_source_id);
@@ -0,0 +1,14 @@
+-- Migration: Task dependencies
+-- "Blocked by" links between tasks (task_id can't start until blocked_by_task_id is done)
+
+CREATE TABLE IF NOT EXISTS task_dependencies (
+  task_id INTEGER NOT NULL,
+  blocked_by_task_id INTEGER NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (task_id, blocked_by_task_id),
+  FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+  FOREIGN KEY (blocked_by_task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+  CHECK (task_id != blocked_by_task_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_dependencies_blocked_by ON task_dependencies(blocked_by_task_id);
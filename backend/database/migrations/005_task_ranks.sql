@@ -0,0 +1,13 @@
+-- Migration: Manual task ordering
+-- One fractional rank per task per list view, kept apart from importance/urgency
+
+CREATE TABLE IF NOT EXISTS task_ranks (
+  task_id INTEGER NOT NULL,
+  view TEXT NOT NULL,
+  rank TEXT NOT NULL,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (task_id, view),
+  FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_ranks_view_rank ON task_ranks(view, rank);
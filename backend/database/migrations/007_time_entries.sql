@@ -0,0 +1,31 @@
+-- Migration: Time tracking sessions
+-- tasks.time_spent_minutes becomes the total of a task's finished entries
+
+CREATE TABLE IF NOT EXISTS time_entries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  task_id INTEGER NOT NULL,
+  started_at DATETIME NOT NULL,
+  ended_at DATETIME,
+  note TEXT,
+  source TEXT NOT NULL DEFAULT 'manual',
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_time_entries_user_started ON time_entries(user_id, started_at);
+CREATE INDEX IF NOT EXISTS idx_time_entries_task ON time_entries(task_id);
+
+-- At most one running timer per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_time_entries_running ON time_entries(user_id) WHERE ended_at IS NULL;
+
+-- Keep time logged before this migration as one entry per task, ending at the task's last update
+INSERT INTO time_entries (user_id, task_id, started_at, ended_at, note, source)
+SELECT t.user_id, t.id,
+  datetime(t.updated_at, '-' || t.time_spent_minutes || ' minutes'), t.updated_at,
+  'Time logged before time tracking', 'manual'
+FROM tasks t
+WHERE t.time_spent_minutes > 0
+  AND NOT EXISTS (SELECT 1 FROM time_entries e WHERE e.task_id = t.id);
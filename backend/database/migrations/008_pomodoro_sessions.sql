@@ -0,0 +1,40 @@
+-- Migration: Pomodoro session log
+-- tasks.pomodoro_count becomes the number of a task's completed sessions
+
+CREATE TABLE IF NOT EXISTS pomodoro_sessions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  task_id INTEGER NOT NULL,
+  started_at DATETIME NOT NULL,
+  ended_at DATETIME,
+  planned_minutes INTEGER NOT NULL DEFAULT 25,
+  actual_seconds INTEGER,
+  status TEXT NOT NULL DEFAULT 'running',
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS pomodoro_interruptions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  session_id INTEGER NOT NULL,
+  note TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (session_id) REFERENCES pomodoro_sessions(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_pomodoro_sessions_user_started ON pomodoro_sessions(user_id, started_at);
+CREATE INDEX IF NOT EXISTS idx_pomodoro_sessions_task ON pomodoro_sessions(task_id);
+CREATE INDEX IF NOT EXISTS idx_pomodoro_interruptions_session ON pomodoro_interruptions(session_id);
+
+-- Keep counts from before this migration as completed 25-minute sessions ending at the task's last update
+INSERT INTO pomodoro_sessions (user_id, task_id, started_at, ended_at, planned_minutes, actual_seconds, status)
+WITH RECURSIVE legacy(user_id, task_id, n, total, ended_at) AS (
+  SELECT t.user_id, t.id, 1, t.pomodoro_count, t.updated_at
+  FROM tasks t
+  WHERE t.pomodoro_count > 0
+    AND NOT EXISTS (SELECT 1 FROM pomodoro_sessions s WHERE s.task_id = t.id)
+  UNION ALL
+  SELECT user_id, task_id, n + 1, total, ended_at FROM legacy WHERE n < total
+)
+SELECT user_id, task_id, datetime(ended_at, '-25 minutes'), ended_at, 25, 1500, 'completed'
+FROM legacy;
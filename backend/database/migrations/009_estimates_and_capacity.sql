@@ -0,0 +1,12 @@
+-- Migration: Time estimates and daily capacity
+-- Adds an estimate (in minutes) to tasks and per-user settings, starting with
+-- how many minutes a day the user has for planned work
+
+ALTER TABLE tasks ADD COLUMN estimate_minutes INTEGER;
+
+CREATE TABLE IF NOT EXISTS user_settings (
+  user_id INTEGER PRIMARY KEY,
+  daily_capacity_minutes INTEGER NOT NULL DEFAULT 360,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
@@ -0,0 +1,32 @@
+-- Migration: Task reminders
+-- A reminder fires either a fixed time before the task's deadline
+-- (before_deadline_minutes) or at a fixed time (remind_at only).
+-- due_at is when the scheduler next tries to send it: remind_at, the end of
+-- a snooze, or a retry after a failed send.
+
+CREATE TABLE IF NOT EXISTS reminders (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  task_id INTEGER NOT NULL,
+  before_deadline_minutes INTEGER,
+  tz_offset INTEGER NOT NULL DEFAULT 0,
+  remind_at DATETIME,
+  due_at DATETIME,
+  snoozed_until DATETIME,
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  sent_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_reminders_due ON reminders(status, due_at);
+CREATE INDEX IF NOT EXISTS idx_reminders_task ON reminders(task_id);
+CREATE INDEX IF NOT EXISTS idx_reminders_user ON reminders(user_id, status);
+
+-- One reminder per offset, and one per fixed time, on a task
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reminders_task_offset ON reminders(task_id, before_deadline_minutes) WHERE before_deadline_minutes IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reminders_task_time ON reminders(task_id, remind_at) WHERE before_deadline_minutes IS NULL;
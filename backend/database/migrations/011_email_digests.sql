@@ -0,0 +1,25 @@
+-- Migration: Daily digest and weekly summary emails
+-- Opt-in settings (sent at digest_time in the user's timezone), a token for
+-- one-click unsubscribe links, and a log of sent digests so each goes out once
+
+ALTER TABLE user_settings ADD COLUMN timezone TEXT NOT NULL DEFAULT 'UTC';
+ALTER TABLE user_settings ADD COLUMN digest_enabled INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE user_settings ADD COLUMN digest_time TEXT NOT NULL DEFAULT '07:00';
+ALTER TABLE user_settings ADD COLUMN weekly_summary_enabled INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE user_settings ADD COLUMN unsubscribe_token TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_settings_unsubscribe_token ON user_settings(unsubscribe_token);
+
+CREATE TABLE IF NOT EXISTS digest_deliveries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  kind TEXT NOT NULL,
+  period TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'sending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, kind, period),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
@@ -0,0 +1,8 @@
+-- Migration: Deadline-driven urgency
+-- Tasks can opt in to urgency that climbs as their deadline approaches
+-- (computed on read); users choose the horizon and curve of the climb
+
+ALTER TABLE tasks ADD COLUMN auto_urgency INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE user_settings ADD COLUMN urgency_horizon_days INTEGER NOT NULL DEFAULT 14;
+ALTER TABLE user_settings ADD COLUMN urgency_curve TEXT NOT NULL DEFAULT 'linear';
@@ -0,0 +1,5 @@
+-- Migration: Quick-add parsing of inbox captures
+-- Deadline, planned date and priority hints read from the captured text
+-- (JSON, see utils/quickAdd.js), kept until the item becomes a task
+
+ALTER TABLE inbox ADD COLUMN parsed TEXT;
@@ -0,0 +1,73 @@
+-- Migration: Full-text search
+-- FTS5 indexes over task, memo and inbox text, kept in sync by triggers.
+-- The rebuilds at the end index everything written before this migration
+-- (running them again is harmless)
+
+CREATE VIRTUAL TABLE IF NOT EXISTS tasks_fts USING fts5(
+  title, description, why,
+  content='tasks', content_rowid='id',
+  tokenize='unicode61 remove_diacritics 2', prefix='2 3'
+);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS memos_fts USING fts5(
+  title, content, details,
+  content='memos', content_rowid='id',
+  tokenize='unicode61 remove_diacritics 2', prefix='2 3'
+);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS inbox_fts USING fts5(
+  content,
+  content='inbox', content_rowid='id',
+  tokenize='unicode61 remove_diacritics 2', prefix='2 3'
+);
+
+CREATE TRIGGER IF NOT EXISTS tasks_fts_insert AFTER INSERT ON tasks BEGIN
+  INSERT INTO tasks_fts (rowid, title, description, why)
+  VALUES (new.id, new.title, new.description, new.why);
+END;
+
+CREATE TRIGGER IF NOT EXISTS tasks_fts_delete AFTER DELETE ON tasks BEGIN
+  INSERT INTO tasks_fts (tasks_fts, rowid, title, description, why)
+  VALUES ('delete', old.id, old.title, old.description, old.why);
+END;
+
+CREATE TRIGGER IF NOT EXISTS tasks_fts_update AFTER UPDATE OF title, description, why ON tasks BEGIN
+  INSERT INTO tasks_fts (tasks_fts, rowid, title, description, why)
+  VALUES ('delete', old.id, old.title, old.description, old.why);
+  INSERT INTO tasks_fts (rowid, title, description, why)
+  VALUES (new.id, new.title, new.description, new.why);
+END;
+
+CREATE TRIGGER IF NOT EXISTS memos_fts_insert AFTER INSERT ON memos BEGIN
+  INSERT INTO memos_fts (rowid, title, content, details)
+  VALUES (new.id, new.title, new.content, new.details);
+END;
+
+CREATE TRIGGER IF NOT EXISTS memos_fts_delete AFTER DELETE ON memos BEGIN
+  INSERT INTO memos_fts (memos_fts, rowid, title, content, details)
+  VALUES ('delete', old.id, old.title, old.content, old.details);
+END;
+
+CREATE TRIGGER IF NOT EXISTS memos_fts_update AFTER UPDATE OF title, content, details ON memos BEGIN
+  INSERT INTO memos_fts (memos_fts, rowid, title, content, details)
+  VALUES ('delete', old.id, old.title, old.content, old.details);
+  INSERT INTO memos_fts (rowid, title, content, details)
+  VALUES (new.id, new.title, new.content, new.details);
+END;
+
+CREATE TRIGGER IF NOT EXISTS inbox_fts_insert AFTER INSERT ON inbox BEGIN
+  INSERT INTO inbox_fts (rowid, content) VALUES (new.id, new.content);
+END;
+
+CREATE TRIGGER IF NOT EXISTS inbox_fts_delete AFTER DELETE ON inbox BEGIN
+  INSERT INTO inbox_fts (inbox_fts, rowid, content) VALUES ('delete', old.id, old.content);
+END;
+
+CREATE TRIGGER IF NOT EXISTS inbox_fts_update AFTER UPDATE OF content ON inbox BEGIN
+  INSERT INTO inbox_fts (inbox_fts, rowid, content) VALUES ('delete', old.id, old.content);
+  INSERT INTO inbox_fts (rowid, content) VALUES (new.id, new.content);
+END;
+
+INSERT INTO tasks_fts (tasks_fts) VALUES ('rebuild');
+INSERT INTO memos_fts (memos_fts) VALUES ('rebuild');
+INSERT INTO inbox_fts (inbox_fts) VALUES ('rebuild');
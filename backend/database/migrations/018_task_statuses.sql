@@ -0,0 +1,51 @@
+-- Migration: Workflow statuses
+-- User-defined task statuses shown as Kanban columns, in position order.
+-- is_done marks the statuses that count as completed. A task without a
+-- status_id sits in the first open or first done status, by its completed flag.
+-- Statuses with transitions can only be left for the statuses listed there
+
+CREATE TABLE IF NOT EXISTS task_statuses (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  color TEXT NOT NULL DEFAULT '#8e8e93',
+  position INTEGER NOT NULL DEFAULT 0,
+  is_done INTEGER NOT NULL DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS task_status_transitions (
+  status_id INTEGER NOT NULL,
+  next_status_id INTEGER NOT NULL,
+  PRIMARY KEY (status_id, next_status_id),
+  FOREIGN KEY (status_id) REFERENCES task_statuses(id) ON DELETE CASCADE,
+  FOREIGN KEY (next_status_id) REFERENCES task_statuses(id) ON DELETE CASCADE
+);
+
+ALTER TABLE tasks ADD COLUMN status_id INTEGER REFERENCES task_statuses(id) ON DELETE SET NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_task_statuses_user_name ON task_statuses(user_id, name);
+CREATE INDEX IF NOT EXISTS idx_task_statuses_user_position ON task_statuses(user_id, position);
+CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status_id);
+
+-- Completing or reopening a task outside the board moves it out of a status
+-- that no longer matches (into the first done status, or back to the default)
+CREATE TRIGGER IF NOT EXISTS tasks_status_follows_completed
+AFTER UPDATE OF completed ON tasks
+WHEN new.completed != old.completed
+BEGIN
+  UPDATE tasks SET status_id = CASE
+      WHEN new.completed = 1 THEN (
+        SELECT s.id FROM task_statuses s
+        WHERE s.user_id = new.user_id AND s.is_done = 1
+        ORDER BY s.position, s.id LIMIT 1
+      )
+      ELSE NULL
+    END
+  WHERE id = new.id AND (
+    status_id IS NULL
+    OR (SELECT s.is_done FROM task_statuses s WHERE s.id = status_id) != new.completed
+  );
+END;
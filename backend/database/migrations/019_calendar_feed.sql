@@ -0,0 +1,8 @@
+-- Migration: Calendar feed
+-- Secret token in the URL of the user's iCalendar (.ics) feed of deadlines
+-- and planned days. NULL means the feed is off. Regenerating the token
+-- revokes the old URL
+
+ALTER TABLE user_settings ADD COLUMN calendar_feed_token TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_settings_calendar_feed_token ON user_settings(calendar_feed_token);
@@ -0,0 +1,77 @@
+-- Migration: CalDAV task sync
+-- App passwords let CalDAV clients sign in with the account email, without
+-- the real password. Each can be revoked on its own.
+-- Tasks created by a CalDAV client keep the client's UID and resource name.
+-- Others are served as twu-task-<id> (UID) and twu-task-<id>.ics (name).
+-- task_sync_changes holds the last change of every task (including deleted
+-- ones) under an ever-growing seq. It is kept by triggers. A task's seq is its
+-- ETag, and the highest seq of a user is the collection's sync token
+
+CREATE TABLE IF NOT EXISTS app_passwords (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  password_hash TEXT NOT NULL,
+  last_used_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+ALTER TABLE tasks ADD COLUMN caldav_uid TEXT;
+ALTER TABLE tasks ADD COLUMN caldav_name TEXT;
+
+CREATE TABLE IF NOT EXISTS task_sync_changes (
+  seq INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  task_id INTEGER NOT NULL UNIQUE,
+  name TEXT NOT NULL,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_app_passwords_user ON app_passwords(user_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tasks_caldav_name ON tasks(user_id, caldav_name);
+CREATE INDEX IF NOT EXISTS idx_tasks_caldav_uid ON tasks(user_id, caldav_uid);
+CREATE INDEX IF NOT EXISTS idx_task_sync_changes_user_seq ON task_sync_changes(user_id, seq);
+
+-- Tasks that existed before sync get their first change
+INSERT OR IGNORE INTO task_sync_changes (user_id, task_id, name)
+SELECT user_id, id, COALESCE(caldav_name, 'twu-task-' || id || '.ics') FROM tasks;
+
+CREATE TRIGGER IF NOT EXISTS tasks_sync_insert AFTER INSERT ON tasks BEGIN
+  DELETE FROM task_sync_changes WHERE task_id = new.id;
+  INSERT INTO task_sync_changes (user_id, task_id, name)
+  VALUES (new.user_id, new.id, COALESCE(new.caldav_name, 'twu-task-' || new.id || '.ics'));
+END;
+
+CREATE TRIGGER IF NOT EXISTS tasks_sync_update AFTER UPDATE ON tasks BEGIN
+  DELETE FROM task_sync_changes WHERE task_id = new.id;
+  INSERT INTO task_sync_changes (user_id, task_id, name)
+  VALUES (new.user_id, new.id, COALESCE(new.caldav_name, 'twu-task-' || new.id || '.ics'));
+END;
+
+-- Skipped while the user's account itself is being deleted
+CREATE TRIGGER IF NOT EXISTS tasks_sync_delete AFTER DELETE ON tasks
+WHEN EXISTS (SELECT 1 FROM users WHERE id = old.user_id)
+BEGIN
+  DELETE FROM task_sync_changes WHERE task_id = old.id;
+  INSERT INTO task_sync_changes (user_id, task_id, name)
+  VALUES (old.user_id, old.id, COALESCE(old.caldav_name, 'twu-task-' || old.id || '.ics'));
+END;
+
+-- Tags are part of a task's calendar data (CATEGORIES). Skipped while the
+-- task itself is being deleted, which keeps its tombstone
+CREATE TRIGGER IF NOT EXISTS task_tags_sync_insert AFTER INSERT ON task_tags
+WHEN EXISTS (SELECT 1 FROM tasks WHERE id = new.task_id)
+BEGIN
+  DELETE FROM task_sync_changes WHERE task_id = new.task_id;
+  INSERT INTO task_sync_changes (user_id, task_id, name)
+  SELECT user_id, id, COALESCE(caldav_name, 'twu-task-' || id || '.ics') FROM tasks WHERE id = new.task_id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS task_tags_sync_delete AFTER DELETE ON task_tags
+WHEN EXISTS (SELECT 1 FROM tasks WHERE id = old.task_id)
+BEGIN
+  DELETE FROM task_sync_changes WHERE task_id = old.task_id;
+  INSERT INTO task_sync_changes (user_id, task_id, name)
+  SELECT user_id, id, COALESCE(caldav_name, 'twu-task-' || id || '.ics') FROM tasks WHERE id = old.task_id;
+END;
@@ -0,0 +1,26 @@
+-- Migration: Imports
+-- Every import that wasn't a dry run keeps its report and the items it
+-- created, so it can be rolled back later. Rolling back deletes those items
+-- (tags only when nothing else uses them) and marks the import rolled_back
+
+CREATE TABLE IF NOT EXISTS imports (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  source TEXT NOT NULL,
+  file_name TEXT,
+  report TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'completed',
+  rolled_back_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS import_items (
+  import_id INTEGER NOT NULL,
+  item_type TEXT NOT NULL,
+  item_id INTEGER NOT NULL,
+  PRIMARY KEY (import_id, item_type, item_id),
+  FOREIGN KEY (import_id) REFERENCES imports(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_imports_user_created ON imports(user_id, created_at DESC);
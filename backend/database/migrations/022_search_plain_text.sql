@@ -0,0 +1,103 @@
+-- Migration: Search the plain text
+-- The search indexes held the stored, HTML-escaped text, so 'amp' or 'quot'
+-- matched most items and highlights cut through entities. The indexes are
+-- recreated over views that decode the text (decode_text, registered in
+-- db.js) and rebuilt from them. Running this again rebuilds them again.
+
+DROP TRIGGER IF EXISTS tasks_fts_insert;
+DROP TRIGGER IF EXISTS tasks_fts_delete;
+DROP TRIGGER IF EXISTS tasks_fts_update;
+DROP TRIGGER IF EXISTS memos_fts_insert;
+DROP TRIGGER IF EXISTS memos_fts_delete;
+DROP TRIGGER IF EXISTS memos_fts_update;
+DROP TRIGGER IF EXISTS inbox_fts_insert;
+DROP TRIGGER IF EXISTS inbox_fts_delete;
+DROP TRIGGER IF EXISTS inbox_fts_update;
+DROP TABLE IF EXISTS tasks_fts;
+DROP TABLE IF EXISTS memos_fts;
+DROP TABLE IF EXISTS inbox_fts;
+
+CREATE VIEW IF NOT EXISTS tasks_fts_source AS
+  SELECT id, decode_text(title) AS title, decode_text(description) AS description, decode_text(why) AS why
+  FROM tasks;
+
+CREATE VIEW IF NOT EXISTS memos_fts_source AS
+  SELECT id, decode_text(title) AS title, decode_text(content) AS content, decode_text(details) AS details
+  FROM memos;
+
+CREATE VIEW IF NOT EXISTS inbox_fts_source AS
+  SELECT id, decode_text(content) AS content
+  FROM inbox;
+
+CREATE VIRTUAL TABLE tasks_fts USING fts5(
+  title, description, why,
+  content='tasks_fts_source', content_rowid='id',
+  tokenize='unicode61 remove_diacritics 2', prefix='2 3'
+);
+
+CREATE VIRTUAL TABLE memos_fts USING fts5(
+  title, content, details,
+  content='memos_fts_source', content_rowid='id',
+  tokenize='unicode61 remove_diacritics 2', prefix='2 3'
+);
+
+CREATE VIRTUAL TABLE inbox_fts USING fts5(
+  content,
+  content='inbox_fts_source', content_rowid='id',
+  tokenize='unicode61 remove_diacritics 2', prefix='2 3'
+);
+
+CREATE TRIGGER IF NOT EXISTS tasks_fts_insert AFTER INSERT ON tasks BEGIN
+  INSERT INTO tasks_fts (rowid, title, description, why)
+  VALUES (new.id, decode_text(new.title), decode_text(new.description), decode_text(new.why));
+END;
+
+CREATE TRIGGER IF NOT EXISTS tasks_fts_delete AFTER DELETE ON tasks BEGIN
+  INSERT INTO tasks_fts (tasks_fts, rowid, title, description, why)
+  VALUES ('delete', old.id, decode_text(old.title), decode_text(old.description), decode_text(old.why));
+END;
+
+CREATE TRIGGER IF NOT EXISTS tasks_fts_update AFTER UPDATE OF title, description, why ON tasks BEGIN
+  INSERT INTO tasks_fts (tasks_fts, rowid, title, description, why)
+  VALUES ('delete', old.id, decode_text(old.title), decode_text(old.description), decode_text(old.why));
+  INSERT INTO tasks_fts (rowid, title, description, why)
+  VALUES (new.id, decode_text(new.title), decode_text(new.description), decode_text(new.why));
+END;
+
+CREATE TRIGGER IF NOT EXISTS memos_fts_insert AFTER INSERT ON memos BEGIN
+  INSERT INTO memos_fts (rowid, title, content, details)
+  VALUES (new.id, decode_text(new.title), decode_text(new.content), decode_text(new.details));
+END;
+
+CREATE TRIGGER IF NOT EXISTS memos_fts_delete AFTER DELETE ON memos BEGIN
+  INSERT INTO memos_fts (memos_fts, rowid, title, content, details)
+  VALUES ('delete', old.id, decode_text(old.title), decode_text(old.content), decode_text(old.details));
+END;
+
+CREATE TRIGGER IF NOT EXISTS memos_fts_update AFTER UPDATE OF title, content, details ON memos BEGIN
+  INSERT INTO memos_fts (memos_fts, rowid, title, content, details)
+  VALUES ('delete', old.id, decode_text(old.title), decode_text(old.content), decode_text(old.details));
+  INSERT INTO memos_fts (rowid, title, content, details)
+  VALUES (new.id, decode_text(new.title), decode_text(new.content), decode_text(new.details));
+END;
+
+CREATE TRIGGER IF NOT EXISTS inbox_fts_insert AFTER INSERT ON inbox BEGIN
+  INSERT INTO inbox_fts (rowid, content)
+  VALUES (new.id, decode_text(new.content));
+END;
+
+CREATE TRIGGER IF NOT EXISTS inbox_fts_delete AFTER DELETE ON inbox BEGIN
+  INSERT INTO inbox_fts (inbox_fts, rowid, content)
+  VALUES ('delete', old.id, decode_text(old.content));
+END;
+
+CREATE TRIGGER IF NOT EXISTS inbox_fts_update AFTER UPDATE OF content ON inbox BEGIN
+  INSERT INTO inbox_fts (inbox_fts, rowid, content)
+  VALUES ('delete', old.id, decode_text(old.content));
+  INSERT INTO inbox_fts (rowid, content)
+  VALUES (new.id, decode_text(new.content));
+END;
+
+INSERT INTO tasks_fts (tasks_fts) VALUES ('rebuild');
+INSERT INTO memos_fts (memos_fts) VALUES ('rebuild');
+INSERT INTO inbox_fts (inbox_fts) VALUES ('rebuild');
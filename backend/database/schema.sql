@@ -11,6 +11,22 @@ CREATE TABLE IF NOT EXISTS users (
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Per-user settings (a missing row means all defaults)
+CREATE TABLE IF NOT EXISTS user_settings (
+  user_id INTEGER PRIMARY KEY,
+  daily_capacity_minutes INTEGER NOT NULL DEFAULT 360,
+  timezone TEXT NOT NULL DEFAULT 'UTC',  -- IANA name, e.g. 'Europe/Berlin'
+  digest_enabled INTEGER NOT NULL DEFAULT 0,
+  digest_time TEXT NOT NULL DEFAULT '07:00',  -- HH:MM in timezone
+  weekly_summary_enabled INTEGER NOT NULL DEFAULT 0,
+  urgency_horizon_days INTEGER NOT NULL DEFAULT 14,  -- Auto urgency starts climbing this long before a deadline
+  urgency_curve TEXT NOT NULL DEFAULT 'linear',  -- 'linear', 'quadratic' or 'cubic'
+  unsubscribe_token TEXT,
+  calendar_feed_token TEXT,  -- Secret in the .ics feed URL, NULL while the feed is off
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
 -- Tasks table
 CREATE TABLE IF NOT EXISTS tasks (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -20,19 +36,30 @@ CREATE TABLE IF NOT EXISTS tasks (
   completed INTEGER DEFAULT 0,
   importance INTEGER DEFAULT 500000,
   urgency INTEGER DEFAULT 500000,
+  auto_urgency INTEGER NOT NULL DEFAULT 0,  -- 1: urgency climbs as the deadline approaches
   why TEXT,
   deadline DATETIME,
   parent_task_id INTEGER,
   source_inbox_id INTEGER,
   pomodoro_count INTEGER DEFAULT 0,
   time_spent_minutes INTEGER DEFAULT 0,
+  estimate_minutes INTEGER,
   planned_for_today DATE,
+  recurrence_rule TEXT,
+  recurrence_source_id INTEGER,
+  project_id INTEGER,
+  status_id INTEGER,
+  caldav_uid TEXT,  -- UID a CalDAV client gave the task (NULL: twu-task-<id>)
+  caldav_name TEXT,  -- Its CalDAV resource name (NULL: twu-task-<id>.ics)
   deleted_at DATETIME,
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
   updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
   FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
   FOREIGN KEY (parent_task_id) REFERENCES tasks(id) ON DELETE CASCADE,
-  FOREIGN KEY (source_inbox_id) REFERENCES inbox(id) ON DELETE SET NULL
+  FOREIGN KEY (source_inbox_id) REFERENCES inbox(id) ON DELETE SET NULL,
+  FOREIGN KEY (recurrence_source_id) REFERENCES tasks(id) ON DELETE SET NULL,
+  FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE SET NULL,
+  FOREIGN KEY (status_id) REFERENCES task_statuses(id) ON DELETE SET NULL
 );
 
 -- Email verification tokens
@@ -79,6 +106,7 @@ CREATE TABLE IF NOT EXISTS inbox (
   source TEXT DEFAULT 'manual',  -- 'manual' or 'voice'
   delayed_until DATETIME,
   status TEXT DEFAULT 'active',  -- 'active' or 'delayed'
+  parsed TEXT,  -- Quick-add fields read from content at capture (JSON, see utils/quickAdd.js)
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
   FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 );
@@ -104,6 +132,233 @@ CREATE TABLE IF NOT EXISTS task_tags (
   FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
 );
 
+-- Task dependencies: task_id can't start until blocked_by_task_id is done
+CREATE TABLE IF NOT EXISTS task_dependencies (
+  task_id INTEGER NOT NULL,
+  blocked_by_task_id INTEGER NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (task_id, blocked_by_task_id),
+  FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+  FOREIGN KEY (blocked_by_task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+  CHECK (task_id != blocked_by_task_id)
+);
+
+-- Manual task order: one fractional rank per task per list view ('tasks', 'today')
+CREATE TABLE IF NOT EXISTS task_ranks (
+  task_id INTEGER NOT NULL,
+  view TEXT NOT NULL,
+  rank TEXT NOT NULL,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (task_id, view),
+  FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE
+);
+
+-- Task change history (changes: JSON of { field: { from, to } })
+CREATE TABLE IF NOT EXISTS task_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  task_id INTEGER NOT NULL,
+  user_id INTEGER NOT NULL,
+  event_type TEXT NOT NULL,
+  changes TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Time tracking: one row per work session (ended_at NULL while a timer runs)
+-- tasks.time_spent_minutes is kept as the total of the task's finished entries
+CREATE TABLE IF NOT EXISTS time_entries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  task_id INTEGER NOT NULL,
+  started_at DATETIME NOT NULL,
+  ended_at DATETIME,
+  note TEXT,
+  source TEXT NOT NULL DEFAULT 'manual',
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE
+);
+
+-- Pomodoro sessions (status: running, completed, abandoned)
+-- tasks.pomodoro_count is kept as the number of the task's completed sessions
+CREATE TABLE IF NOT EXISTS pomodoro_sessions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  task_id INTEGER NOT NULL,
+  started_at DATETIME NOT NULL,
+  ended_at DATETIME,
+  planned_minutes INTEGER NOT NULL DEFAULT 25,
+  actual_seconds INTEGER,
+  status TEXT NOT NULL DEFAULT 'running',
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE
+);
+
+-- Interruptions noted during a pomodoro session
+CREATE TABLE IF NOT EXISTS pomodoro_interruptions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  session_id INTEGER NOT NULL,
+  note TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (session_id) REFERENCES pomodoro_sessions(id) ON DELETE CASCADE
+);
+
+-- Task reminders (status: pending, sending, sent, dismissed, failed)
+-- With before_deadline_minutes it fires that long before the deadline (read in
+-- the user's timezone when it has no timezone), without it at remind_at.
+-- tz_offset is no longer used.
+-- due_at is the next send attempt: remind_at, the end of a snooze, or a retry
+CREATE TABLE IF NOT EXISTS reminders (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  task_id INTEGER NOT NULL,
+  before_deadline_minutes INTEGER,
+  tz_offset INTEGER NOT NULL DEFAULT 0,
+  remind_at DATETIME,
+  due_at DATETIME,
+  snoozed_until DATETIME,
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  sent_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE
+);
+
+-- Digest emails sent (kind: 'daily' or 'weekly', period: the local date or week start)
+-- status: sending, sent, skipped (nothing to report), failed
+CREATE TABLE IF NOT EXISTS digest_deliveries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  kind TEXT NOT NULL,
+  period TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'sending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, kind, period),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Task templates (a parent task with subtasks, stored as JSON - see utils/taskTemplates.js)
+CREATE TABLE IF NOT EXISTS task_templates (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  task TEXT NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Saved views (named task list filters with a sort order, stored as JSON - see utils/savedViews.js)
+CREATE TABLE IF NOT EXISTS saved_views (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  filters TEXT NOT NULL,
+  sort TEXT NOT NULL DEFAULT 'eisenhower',
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Areas (optional groups of projects such as "Work" or "Home")
+CREATE TABLE IF NOT EXISTS areas (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Projects (tasks and memos can belong to one - status is active, on_hold, completed or archived)
+CREATE TABLE IF NOT EXISTS projects (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  area_id INTEGER,
+  name TEXT NOT NULL,
+  description TEXT,
+  status TEXT NOT NULL DEFAULT 'active',
+  target_date DATE,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (area_id) REFERENCES areas(id) ON DELETE SET NULL
+);
+
+-- Workflow statuses (Kanban columns in position order - is_done statuses count as completed,
+-- and statuses with transitions can only be left for the statuses listed there)
+CREATE TABLE IF NOT EXISTS task_statuses (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  color TEXT NOT NULL DEFAULT '#8e8e93',
+  position INTEGER NOT NULL DEFAULT 0,
+  is_done INTEGER NOT NULL DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS task_status_transitions (
+  status_id INTEGER NOT NULL,
+  next_status_id INTEGER NOT NULL,
+  PRIMARY KEY (status_id, next_status_id),
+  FOREIGN KEY (status_id) REFERENCES task_statuses(id) ON DELETE CASCADE,
+  FOREIGN KEY (next_status_id) REFERENCES task_statuses(id) ON DELETE CASCADE
+);
+
+-- Passwords for CalDAV clients, signing in with the account email (each revocable on its own)
+CREATE TABLE IF NOT EXISTS app_passwords (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  password_hash TEXT NOT NULL,
+  last_used_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Last change of every task, deleted ones included, kept by the tasks_sync_* triggers
+-- (a task's seq is its CalDAV ETag, a user's highest seq the sync token)
+CREATE TABLE IF NOT EXISTS task_sync_changes (
+  seq INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  task_id INTEGER NOT NULL UNIQUE,
+  name TEXT NOT NULL,  -- CalDAV resource name, still known after the task is gone
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Imports from files, with their report (JSON), for listing and rolling back
+CREATE TABLE IF NOT EXISTS imports (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  source TEXT NOT NULL,  -- 'todoist', 'csv', 'trello', 'twu' or 'markdown'
+  file_name TEXT,
+  report TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'completed',  -- 'completed' or 'rolled_back'
+  rolled_back_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Items an import created ('task', 'memo', 'inbox' or 'tag'), deleted when it's rolled back
+CREATE TABLE IF NOT EXISTS import_items (
+  import_id INTEGER NOT NULL,
+  item_type TEXT NOT NULL,
+  item_id INTEGER NOT NULL,
+  PRIMARY KEY (import_id, item_type, item_id),
+  FOREIGN KEY (import_id) REFERENCES imports(id) ON DELETE CASCADE
+);
+
 -- Memos table
 CREATE TABLE IF NOT EXISTS memos (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -112,11 +367,13 @@ CREATE TABLE IF NOT EXISTS memos (
   content TEXT NOT NULL,
   details TEXT,
   source_inbox_id INTEGER,
+  project_id INTEGER,
   deleted_at DATETIME,
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
   updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
   FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-  FOREIGN KEY (source_inbox_id) REFERENCES inbox(id) ON DELETE SET NULL
+  FOREIGN KEY (source_inbox_id) REFERENCES inbox(id) ON DELETE SET NULL,
+  FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE SET NULL
 );
 
 -- Memo tags junction table (many-to-many)
@@ -166,6 +423,152 @@ CREATE TABLE IF NOT EXISTS audit_logs (
   FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
 );
 
+-- Full-text search indexes (see services/searchService.js)
+-- External content tables: the text stays in tasks, memos and inbox and the
+-- triggers below keep the indexes in step with it. Stored text is
+-- HTML-escaped, so the indexes read it through views that decode it
+-- (decode_text, registered in db.js). Entities are then never words and
+-- highlight() marks the plain text.
+CREATE VIEW IF NOT EXISTS tasks_fts_source AS
+  SELECT id, decode_text(title) AS title, decode_text(description) AS description, decode_text(why) AS why
+  FROM tasks;
+
+CREATE VIEW IF NOT EXISTS memos_fts_source AS
+  SELECT id, decode_text(title) AS title, decode_text(content) AS content, decode_text(details) AS details
+  FROM memos;
+
+CREATE VIEW IF NOT EXISTS inbox_fts_source AS
+  SELECT id, decode_text(content) AS content
+  FROM inbox;
+
+CREATE VIRTUAL TABLE IF NOT EXISTS tasks_fts USING fts5(
+  title, description, why,
+  content='tasks_fts_source', content_rowid='id',
+  tokenize='unicode61 remove_diacritics 2', prefix='2 3'
+);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS memos_fts USING fts5(
+  title, content, details,
+  content='memos_fts_source', content_rowid='id',
+  tokenize='unicode61 remove_diacritics 2', prefix='2 3'
+);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS inbox_fts USING fts5(
+  content,
+  content='inbox_fts_source', content_rowid='id',
+  tokenize='unicode61 remove_diacritics 2', prefix='2 3'
+);
+
+CREATE TRIGGER IF NOT EXISTS tasks_fts_insert AFTER INSERT ON tasks BEGIN
+  INSERT INTO tasks_fts (rowid, title, description, why)
+  VALUES (new.id, decode_text(new.title), decode_text(new.description), decode_text(new.why));
+END;
+
+CREATE TRIGGER IF NOT EXISTS tasks_fts_delete AFTER DELETE ON tasks BEGIN
+  INSERT INTO tasks_fts (tasks_fts, rowid, title, description, why)
+  VALUES ('delete', old.id, decode_text(old.title), decode_text(old.description), decode_text(old.why));
+END;
+
+CREATE TRIGGER IF NOT EXISTS tasks_fts_update AFTER UPDATE OF title, description, why ON tasks BEGIN
+  INSERT INTO tasks_fts (tasks_fts, rowid, title, description, why)
+  VALUES ('delete', old.id, decode_text(old.title), decode_text(old.description), decode_text(old.why));
+  INSERT INTO tasks_fts (rowid, title, description, why)
+  VALUES (new.id, decode_text(new.title), decode_text(new.description), decode_text(new.why));
+END;
+
+CREATE TRIGGER IF NOT EXISTS memos_fts_insert AFTER INSERT ON memos BEGIN
+  INSERT INTO memos_fts (rowid, title, content, details)
+  VALUES (new.id, decode_text(new.title), decode_text(new.content), decode_text(new.details));
+END;
+
+CREATE TRIGGER IF NOT EXISTS memos_fts_delete AFTER DELETE ON memos BEGIN
+  INSERT INTO memos_fts (memos_fts, rowid, title, content, details)
+  VALUES ('delete', old.id, decode_text(old.title), decode_text(old.content), decode_text(old.details));
+END;
+
+CREATE TRIGGER IF NOT EXISTS memos_fts_update AFTER UPDATE OF title, content, details ON memos BEGIN
+  INSERT INTO memos_fts (memos_fts, rowid, title, content, details)
+  VALUES ('delete', old.id, decode_text(old.title), decode_text(old.content), decode_text(old.details));
+  INSERT INTO memos_fts (rowid, title, content, details)
+  VALUES (new.id, decode_text(new.title), decode_text(new.content), decode_text(new.details));
+END;
+
+CREATE TRIGGER IF NOT EXISTS inbox_fts_insert AFTER INSERT ON inbox BEGIN
+  INSERT INTO inbox_fts (rowid, content)
+  VALUES (new.id, decode_text(new.content));
+END;
+
+CREATE TRIGGER IF NOT EXISTS inbox_fts_delete AFTER DELETE ON inbox BEGIN
+  INSERT INTO inbox_fts (inbox_fts, rowid, content)
+  VALUES ('delete', old.id, decode_text(old.content));
+END;
+
+CREATE TRIGGER IF NOT EXISTS inbox_fts_update AFTER UPDATE OF content ON inbox BEGIN
+  INSERT INTO inbox_fts (inbox_fts, rowid, content)
+  VALUES ('delete', old.id, decode_text(old.content));
+  INSERT INTO inbox_fts (rowid, content)
+  VALUES (new.id, decode_text(new.content));
+END;
+
+-- Completing or reopening a task outside the board moves it out of a status
+-- that no longer matches (into the first done status, or back to the default)
+CREATE TRIGGER IF NOT EXISTS tasks_status_follows_completed
+AFTER UPDATE OF completed ON tasks
+WHEN new.completed != old.completed
+BEGIN
+  UPDATE tasks SET status_id = CASE
+      WHEN new.completed = 1 THEN (
+        SELECT s.id FROM task_statuses s
+        WHERE s.user_id = new.user_id AND s.is_done = 1
+        ORDER BY s.position, s.id LIMIT 1
+      )
+      ELSE NULL
+    END
+  WHERE id = new.id AND (
+    status_id IS NULL
+    OR (SELECT s.is_done FROM task_statuses s WHERE s.id = status_id) != new.completed
+  );
+END;
+
+-- Every write to a task (or its tags) gives it a new seq in task_sync_changes
+CREATE TRIGGER IF NOT EXISTS tasks_sync_insert AFTER INSERT ON tasks BEGIN
+  DELETE FROM task_sync_changes WHERE task_id = new.id;
+  INSERT INTO task_sync_changes (user_id, task_id, name)
+  VALUES (new.user_id, new.id, COALESCE(new.caldav_name, 'twu-task-' || new.id || '.ics'));
+END;
+
+CREATE TRIGGER IF NOT EXISTS tasks_sync_update AFTER UPDATE ON tasks BEGIN
+  DELETE FROM task_sync_changes WHERE task_id = new.id;
+  INSERT INTO task_sync_changes (user_id, task_id, name)
+  VALUES (new.user_id, new.id, COALESCE(new.caldav_name, 'twu-task-' || new.id || '.ics'));
+END;
+
+-- Skipped while the user's account itself is being deleted
+CREATE TRIGGER IF NOT EXISTS tasks_sync_delete AFTER DELETE ON tasks
+WHEN EXISTS (SELECT 1 FROM users WHERE id = old.user_id)
+BEGIN
+  DELETE FROM task_sync_changes WHERE task_id = old.id;
+  INSERT INTO task_sync_changes (user_id, task_id, name)
+  VALUES (old.user_id, old.id, COALESCE(old.caldav_name, 'twu-task-' || old.id || '.ics'));
+END;
+
+-- Tag triggers are skipped while the task itself is being deleted (keeps its tombstone)
+CREATE TRIGGER IF NOT EXISTS task_tags_sync_insert AFTER INSERT ON task_tags
+WHEN EXISTS (SELECT 1 FROM tasks WHERE id = new.task_id)
+BEGIN
+  DELETE FROM task_sync_changes WHERE task_id = new.task_id;
+  INSERT INTO task_sync_changes (user_id, task_id, name)
+  SELECT user_id, id, COALESCE(caldav_name, 'twu-task-' || id || '.ics') FROM tasks WHERE id = new.task_id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS task_tags_sync_delete AFTER DELETE ON task_tags
+WHEN EXISTS (SELECT 1 FROM tasks WHERE id = old.task_id)
+BEGIN
+  DELETE FROM task_sync_changes WHERE task_id = old.task_id;
+  INSERT INTO task_sync_changes (user_id, task_id, name)
+  SELECT user_id, id, COALESCE(caldav_name, 'twu-task-' || id || '.ics') FROM tasks WHERE id = old.task_id;
+END;
+
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
 CREATE INDEX IF NOT EXISTS idx_users_email_verified ON users(email_verified);
@@ -175,6 +578,38 @@ CREATE INDEX IF NOT EXISTS idx_tasks_parent ON tasks(parent_task_id);
 CREATE INDEX IF NOT EXISTS idx_tasks_importance ON tasks(importance);
 CREATE INDEX IF NOT EXISTS idx_tasks_urgency ON tasks(urgency);
 CREATE INDEX IF NOT EXISTS idx_tasks_deleted_at ON tasks(deleted_at);
+CREATE INDEX IF NOT EXISTS idx_tasks_recurrence_source ON tasks(recurrence_source_id);
+CREATE INDEX IF NOT EXISTS idx_task_dependencies_blocked_by ON task_dependencies(blocked_by_task_id);
+CREATE INDEX IF NOT EXISTS idx_task_ranks_view_rank ON task_ranks(view, rank);
+CREATE INDEX IF NOT EXISTS idx_task_events_task ON task_events(task_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_time_entries_user_started ON time_entries(user_id, started_at);
+CREATE INDEX IF NOT EXISTS idx_time_entries_task ON time_entries(task_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_time_entries_running ON time_entries(user_id) WHERE ended_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_pomodoro_sessions_user_started ON pomodoro_sessions(user_id, started_at);
+CREATE INDEX IF NOT EXISTS idx_pomodoro_sessions_task ON pomodoro_sessions(task_id);
+CREATE INDEX IF NOT EXISTS idx_pomodoro_interruptions_session ON pomodoro_interruptions(session_id);
+CREATE INDEX IF NOT EXISTS idx_reminders_due ON reminders(status, due_at);
+CREATE INDEX IF NOT EXISTS idx_reminders_task ON reminders(task_id);
+CREATE INDEX IF NOT EXISTS idx_reminders_user ON reminders(user_id, status);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reminders_task_offset ON reminders(task_id, before_deadline_minutes) WHERE before_deadline_minutes IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reminders_task_time ON reminders(task_id, remind_at) WHERE before_deadline_minutes IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_settings_unsubscribe_token ON user_settings(unsubscribe_token);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_settings_calendar_feed_token ON user_settings(calendar_feed_token);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_task_templates_user_name ON task_templates(user_id, name);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_saved_views_user_name ON saved_views(user_id, name);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_areas_user_name ON areas(user_id, name);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_projects_user_name ON projects(user_id, name);
+CREATE INDEX IF NOT EXISTS idx_projects_area ON projects(area_id);
+CREATE INDEX IF NOT EXISTS idx_tasks_project ON tasks(project_id);
+CREATE INDEX IF NOT EXISTS idx_memos_project ON memos(project_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_task_statuses_user_name ON task_statuses(user_id, name);
+CREATE INDEX IF NOT EXISTS idx_task_statuses_user_position ON task_statuses(user_id, position);
+CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status_id);
+CREATE INDEX IF NOT EXISTS idx_app_passwords_user ON app_passwords(user_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tasks_caldav_name ON tasks(user_id, caldav_name);
+CREATE INDEX IF NOT EXISTS idx_tasks_caldav_uid ON tasks(user_id, caldav_uid);
+CREATE INDEX IF NOT EXISTS idx_task_sync_changes_user_seq ON task_sync_changes(user_id, seq);
+CREATE INDEX IF NOT EXISTS idx_imports_user_created ON imports(user_id, created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_inbox_user_id ON inbox(user_id);
 CREATE INDEX IF NOT EXISTS idx_inbox_status ON inbox(status);
 CREATE INDEX IF NOT EXISTS idx_inbox_source ON inbox(source);
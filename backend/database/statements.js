@@ -0,0 +1,39 @@
+/**
+ * SQL Statement Splitting
+ *
+ * schema.sql and the migration files are run one statement at a time. Most
+ * statements end at the next semicolon, but a CREATE TRIGGER body has its
+ * own semicolons between BEGIN and END, so a trigger runs up to its END.
+ *
+ * @example
+ * const { splitStatements } = require('./statements');
+ *
+ * splitStatements('CREATE TABLE a (id INTEGER); CREATE TRIGGER t AFTER INSERT ON a BEGIN DELETE FROM a; END;');
+ * // ['CREATE TABLE a (id INTEGER)', 'CREATE TRIGGER t AFTER INSERT ON a BEGIN DELETE FROM a; END']
+ */
+
+/**
+ * Splits SQL text into statements
+ *
+ * @param {string} sql - SQL text (comment lines may stay, but must not contain semicolons)
+ * @returns {string[]} Trimmed, non-empty statements without their final semicolon
+ */
+function splitStatements(sql) {
+  const statements = [];
+  let current = '';
+
+  for (const part of sql.split(';')) {
+    current = current ? `${current};${part}` : part;
+
+    // Keep reading until the trigger body is closed
+    if (/\bCREATE\s+TRIGGER\b/i.test(current) && !/\bEND\s*$/i.test(current)) continue;
+
+    if (current.trim()) statements.push(current.trim());
+    current = '';
+  }
+
+  if (current.trim()) statements.push(current.trim());
+  return statements;
+}
+
+module.exports = { splitStatements };
@@ -0,0 +1,48 @@
+const appPasswordService = require('../services/appPasswordService');
+
+// HTTP Basic auth with the account email and an app password, for apps that
+// can't do the JWT login (CalDAV clients)
+const appPasswordAuthMiddleware = async (req, res, next) => {
+  const challenge = () => {
+    res.set('WWW-Authenticate', 'Basic realm="TWU", charset="UTF-8"');
+    return res.status(401).json({
+      success: false,
+      message: 'Sign in with your email and an app password'
+    });
+  };
+
+  try {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith('Basic ')) {
+      return challenge();
+    }
+
+    const credentials = Buffer.from(authHeader.substring(6), 'base64').toString('utf8');
+    const separator = credentials.indexOf(':');
+    if (separator === -1) {
+      return challenge();
+    }
+
+    const user = await appPasswordService.authenticate(
+      credentials.slice(0, separator),
+      credentials.slice(separator + 1)
+    );
+
+    if (!user) {
+      return challenge();
+    }
+
+    req.user = user;
+    next();
+
+  } catch (error) {
+    console.error('App password auth error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Authentication error'
+    });
+  }
+};
+
+module.exports = appPasswordAuthMiddleware;
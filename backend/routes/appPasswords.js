@@ -0,0 +1,102 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const authMiddleware = require('../middleware/auth');
+const { sanitizeText } = require('../utils/sanitize');
+const appPasswordService = require('../services/appPasswordService');
+
+// All app password routes require authentication
+router.use(authMiddleware);
+
+/**
+ * GET /api/app-passwords
+ * The user's app passwords (names and last use only)
+ */
+router.get('/', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      app_passwords: appPasswordService.listAppPasswords(req.user.id)
+    });
+
+  } catch (error) {
+    console.error('Error fetching app passwords:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch app passwords'
+    });
+  }
+});
+
+/**
+ * POST /api/app-passwords
+ * Create an app password; the response is the only time the password is shown
+ * Body: { name }
+ */
+router.post('/', [
+  body('name').trim().isLength({ min: 1, max: 50 }).withMessage('Name is required (max 50 characters)')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    if (appPasswordService.countAppPasswords(req.user.id) >= appPasswordService.MAX_APP_PASSWORDS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${appPasswordService.MAX_APP_PASSWORDS} app passwords`
+      });
+    }
+
+    const { app_password, password } = await appPasswordService.createAppPassword(
+      req.user.id,
+      sanitizeText(req.body.name)
+    );
+
+    res.status(201).json({
+      success: true,
+      app_password,
+      password
+    });
+
+  } catch (error) {
+    console.error('Error creating app password:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create app password'
+    });
+  }
+});
+
+/**
+ * DELETE /api/app-passwords/:id
+ * Revoke an app password; apps using it are signed out
+ */
+router.delete('/:id', (req, res) => {
+  try {
+    if (!appPasswordService.deleteAppPassword(req.params.id, req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'App password not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'App password revoked'
+    });
+
+  } catch (error) {
+    console.error('Error revoking app password:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke app password'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,146 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const authMiddleware = require('../middleware/auth');
+const { sanitizeText } = require('../utils/sanitize');
+const projectService = require('../services/projectService');
+
+// All area routes require authentication
+router.use(authMiddleware);
+
+const nameValidator = () => body('name').trim().isLength({ min: 1, max: 50 }).withMessage('Name is required (max 50 characters)');
+
+/**
+ * GET /api/areas
+ * The user's areas by name, each with its project_count
+ */
+router.get('/', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      areas: projectService.listAreas(req.user.id)
+    });
+
+  } catch (error) {
+    console.error('Error fetching areas:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch areas'
+    });
+  }
+});
+
+/**
+ * POST /api/areas
+ * Create an area
+ * Body: name
+ */
+router.post('/', [
+  nameValidator()
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const name = sanitizeText(req.body.name);
+    if (projectService.isAreaNameTaken(req.user.id, name)) {
+      return res.status(409).json({
+        success: false,
+        message: 'An area with this name already exists'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      area: projectService.createArea(req.user.id, name)
+    });
+
+  } catch (error) {
+    console.error('Error creating area:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create area'
+    });
+  }
+});
+
+/**
+ * PUT /api/areas/:id
+ * Rename an area
+ * Body: name
+ */
+router.put('/:id', [
+  nameValidator()
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const name = sanitizeText(req.body.name);
+    if (projectService.isAreaNameTaken(req.user.id, name, parseInt(req.params.id))) {
+      return res.status(409).json({
+        success: false,
+        message: 'An area with this name already exists'
+      });
+    }
+
+    const area = projectService.renameArea(req.params.id, req.user.id, name);
+    if (!area) {
+      return res.status(404).json({
+        success: false,
+        message: 'Area not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      area
+    });
+
+  } catch (error) {
+    console.error('Error updating area:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update area'
+    });
+  }
+});
+
+/**
+ * DELETE /api/areas/:id
+ * Delete an area; its projects are kept without an area
+ */
+router.delete('/:id', (req, res) => {
+  try {
+    if (!projectService.deleteArea(req.params.id, req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Area not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Area deleted'
+    });
+
+  } catch (error) {
+    console.error('Error deleting area:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete area'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,497 @@
+const express = require('express');
+const router = express.Router();
+const appPasswordAuth = require('../middleware/appPasswordAuth');
+const caldavService = require('../services/caldavService');
+const userSettingsService = require('../services/userSettingsService');
+const { parseCalendar } = require('../utils/ical');
+const { decodeText } = require('../utils/sanitize');
+const {
+  NS, escapeXml, parseDavRequest, propstatResponse, statusResponse, multistatus, errorBody
+} = require('../utils/davXml');
+
+// Resources under the mount point (/caldav):
+//   /                      service root
+//   /principal/            the signed-in user
+//   /calendars/            their calendar home
+//   /calendars/tasks/      the task collection
+//   /calendars/tasks/<name> one task (VTODO)
+
+const DAV_CAPABILITIES = '1, 3, calendar-access';
+const ALLOWED_METHODS = 'OPTIONS, GET, HEAD, PUT, DELETE, PROPFIND, PROPPATCH, REPORT';
+
+// Shown as the collection's color where apps support it (the app's purple)
+const COLLECTION_COLOR = '#667eea';
+
+const PRIVILEGES = [
+  'read', 'write', 'write-properties', 'write-content', 'bind', 'unbind', 'read-current-user-privilege-set'
+];
+
+const SUPPORTED_REPORTS = [
+  `{${NS.CALDAV}}calendar-query`,
+  `{${NS.CALDAV}}calendar-multiget`,
+  `{${NS.DAV}}sync-collection`
+];
+
+// Request bodies are XML or iCalendar, whatever Content-Type (if any) the app sends
+router.use(express.text({ type: () => true, limit: '1mb' }));
+
+const dav = (name) => `{${NS.DAV}}${name}`;
+const caldav = (name) => `{${NS.CALDAV}}${name}`;
+const hrefXml = (href) => `<d:href>${escapeXml(href)}</d:href>`;
+
+/**
+ * Which resource a request path is: { type, path } plus name for tasks
+ * (null for paths outside the tree)
+ */
+function resolveResource(req) {
+  const base = req.baseUrl;
+  const segments = req.path.split('/').filter(Boolean);
+  const key = segments.join('/');
+
+  if (key === '') return { type: 'root', path: `${base}/` };
+  if (key === 'principal') return { type: 'principal', path: `${base}/principal/` };
+  if (key === 'calendars') return { type: 'home', path: `${base}/calendars/` };
+  if (key === 'calendars/tasks') return { type: 'collection', path: `${base}/calendars/tasks/` };
+
+  if (segments.length === 3 && segments[0] === 'calendars' && segments[1] === 'tasks') {
+    let name;
+    try {
+      name = decodeURIComponent(segments[2]);
+    } catch (error) {
+      return null;
+    }
+    return { type: 'task', name, path: `${base}/calendars/tasks/${encodeURIComponent(name)}` };
+  }
+
+  return null;
+}
+
+/**
+ * Properties of a resource, as { clark name: content XML }
+ * calendar-data is only worked out when asked for.
+ */
+function resourceProperties(resource, req, { object = null, syncToken = null, withData = false, timezone = null } = {}) {
+  const base = req.baseUrl;
+  const principal = hrefXml(`${base}/principal/`);
+
+  const props = {
+    [dav('current-user-principal')]: principal,
+    [dav('current-user-privilege-set')]: PRIVILEGES.map(p => `<d:privilege><d:${p}/></d:privilege>`).join('')
+  };
+
+  switch (resource.type) {
+    case 'root':
+      props[dav('resourcetype')] = '<d:collection/>';
+      props[dav('displayname')] = 'TWU';
+      break;
+
+    case 'principal':
+      props[dav('resourcetype')] = '<d:principal/>';
+      props[dav('displayname')] = escapeXml(decodeText(req.user.name) || req.user.email);
+      props[dav('principal-URL')] = principal;
+      props[caldav('calendar-home-set')] = hrefXml(`${base}/calendars/`);
+      props[caldav('calendar-user-address-set')] = hrefXml(`mailto:${req.user.email}`);
+      break;
+
+    case 'home':
+      props[dav('resourcetype')] = '<d:collection/>';
+      props[dav('displayname')] = 'Calendars';
+      props[dav('owner')] = principal;
+      break;
+
+    case 'collection':
+      props[dav('resourcetype')] = '<d:collection/><c:calendar/>';
+      props[dav('displayname')] = 'TWU tasks';
+      props[dav('owner')] = principal;
+      props[dav('sync-token')] = escapeXml(syncToken);
+      props[`{${NS.CALENDARSERVER}}getctag`] = escapeXml(syncToken);
+      props[caldav('supported-calendar-component-set')] = '<c:comp name="VTODO"/>';
+      props[`{${NS.APPLE}}calendar-color`] = COLLECTION_COLOR;
+      props[dav('supported-report-set')] = SUPPORTED_REPORTS.map(report => {
+        const [, namespace, name] = report.match(/^\{(.*)\}(.+)$/);
+        return `<d:supported-report><d:report><${namespace === NS.DAV ? 'd' : 'c'}:${name}/></d:report></d:supported-report>`;
+      }).join('');
+      break;
+
+    case 'task':
+      props[dav('resourcetype')] = '';
+      props[dav('owner')] = principal;
+      props[dav('getetag')] = escapeXml(caldavService.etagOf(object));
+      props[dav('getcontenttype')] = 'text/calendar; charset=utf-8; component=VTODO';
+      if (withData) {
+        props[caldav('calendar-data')] = escapeXml(caldavService.toICalendar(object, timezone));
+      }
+      break;
+
+    default:
+      break;
+  }
+
+  return props;
+}
+
+/**
+ * A <response> with the properties a request asked for (or all of them)
+ */
+function describe(resource, req, request, context = {}) {
+  const props = resourceProperties(resource, req, {
+    ...context,
+    withData: request.props.includes(caldav('calendar-data'))
+  });
+
+  if (request.allprop) {
+    return propstatResponse(resource.path, Object.entries(props));
+  }
+
+  const found = request.props.filter(name => props[name] !== undefined).map(name => [name, props[name]]);
+  const missing = request.props.filter(name => props[name] === undefined);
+
+  return propstatResponse(resource.path, found, missing);
+}
+
+/**
+ * A task's resource description
+ */
+function taskResource(req, object) {
+  return {
+    type: 'task',
+    name: object.name,
+    path: `${req.baseUrl}/calendars/tasks/${encodeURIComponent(object.name)}`
+  };
+}
+
+const sendMultistatus = (res, responses, syncToken = null) => {
+  res.status(207).set('Content-Type', 'application/xml; charset=utf-8').send(multistatus(responses, syncToken));
+};
+
+const sendPrecondition = (res, status, precondition) => {
+  res.status(status).set('Content-Type', 'application/xml; charset=utf-8').send(errorBody(precondition));
+};
+
+// A PROPFIND, PROPPATCH or REPORT body; null (with a 400 sent) when it can't be read
+const readDavRequest = (req, res) => {
+  try {
+    return parseDavRequest(req.body);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Malformed XML body'
+    });
+    return null;
+  }
+};
+
+const notFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Not found'
+});
+
+const methodNotAllowed = (res) => res.status(405).set('Allow', ALLOWED_METHODS).json({
+  success: false,
+  message: 'Method not allowed here'
+});
+
+/**
+ * Whether a request's If-Match / If-None-Match headers allow writing a
+ * resource (object is its current state, null if it doesn't exist yet)
+ */
+function preconditionsHold(req, object) {
+  const ifMatch = req.headers['if-match'];
+  const ifNoneMatch = req.headers['if-none-match'];
+  const etag = object ? caldavService.etagOf(object) : null;
+
+  if (ifMatch !== undefined) {
+    if (!object) return false;
+    if (ifMatch.trim() !== '*' && !ifMatch.split(',').map(tag => tag.trim()).includes(etag)) return false;
+  }
+  if (ifNoneMatch !== undefined && object) {
+    if (ifNoneMatch.trim() === '*' || ifNoneMatch.split(',').map(tag => tag.trim()).includes(etag)) return false;
+  }
+
+  return true;
+}
+
+/**
+ * OPTIONS /caldav/*
+ * What the server supports (no sign-in needed, apps ask before signing in)
+ */
+router.options('*', (req, res) => {
+  res.set({ DAV: DAV_CAPABILITIES, Allow: ALLOWED_METHODS });
+  res.status(200).end();
+});
+
+// Everything else signs in with an app password
+router.use(appPasswordAuth);
+
+/**
+ * PROPFIND /caldav/*
+ * Properties of a resource, and with Depth: 1 of its members too
+ */
+router.propfind('*', (req, res) => {
+  try {
+    const resource = resolveResource(req);
+    if (!resource) return notFound(res);
+
+    const request = readDavRequest(req, res);
+    if (!request) return;
+    const depth = req.headers.depth === '0' ? 0 : 1;
+    const userId = req.user.id;
+    const context = {
+      syncToken: caldavService.getSyncToken(userId),
+      timezone: userSettingsService.getSettings(userId).timezone
+    };
+    const base = req.baseUrl;
+    const responses = [];
+
+    if (resource.type === 'task') {
+      const object = caldavService.getObject(userId, resource.name);
+      if (!object) return notFound(res);
+      responses.push(describe(resource, req, request, { ...context, object }));
+    } else {
+      responses.push(describe(resource, req, request, context));
+    }
+
+    if (depth === 1) {
+      if (resource.type === 'root') {
+        responses.push(describe({ type: 'principal', path: `${base}/principal/` }, req, request, context));
+        responses.push(describe({ type: 'home', path: `${base}/calendars/` }, req, request, context));
+      } else if (resource.type === 'home') {
+        responses.push(describe({ type: 'collection', path: `${base}/calendars/tasks/` }, req, request, context));
+      } else if (resource.type === 'collection') {
+        for (const object of caldavService.listObjects(userId)) {
+          responses.push(describe(taskResource(req, object), req, request, { ...context, object }));
+        }
+      }
+    }
+
+    sendMultistatus(res, responses);
+
+  } catch (error) {
+    console.error('Error handling CalDAV PROPFIND:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to read properties'
+    });
+  }
+});
+
+/**
+ * PROPPATCH /caldav/*
+ * Properties can't be changed: every one comes back 403, which apps accept
+ */
+router.proppatch('*', (req, res) => {
+  try {
+    const resource = resolveResource(req);
+    if (!resource) return notFound(res);
+
+    const request = readDavRequest(req, res);
+    if (!request) return;
+    sendMultistatus(res, [propstatResponse(resource.path, [], request.props, 403)]);
+
+  } catch (error) {
+    console.error('Error handling CalDAV PROPPATCH:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update properties'
+    });
+  }
+});
+
+/**
+ * REPORT /caldav/calendars/tasks/
+ * calendar-query (every task; only component filters are applied),
+ * calendar-multiget (tasks by href) and sync-collection (changes since a sync token)
+ */
+router.report('*', (req, res) => {
+  try {
+    const resource = resolveResource(req);
+    if (!resource) return notFound(res);
+    if (resource.type !== 'collection') {
+      return sendPrecondition(res, 403, dav('supported-report'));
+    }
+
+    const request = readDavRequest(req, res);
+    if (!request) return;
+    const userId = req.user.id;
+    const context = { timezone: userSettingsService.getSettings(userId).timezone };
+
+    if (request.root === dav('sync-collection')) {
+      const since = caldavService.parseSyncToken(request.syncToken, userId);
+      if (since === null) {
+        return sendPrecondition(res, 403, dav('valid-sync-token'));
+      }
+
+      const { changed, removed, token } = caldavService.changesSince(userId, since);
+      const collectionPath = resource.path;
+
+      return sendMultistatus(res, [
+        ...changed.map(object => describe(taskResource(req, object), req, request, { ...context, object })),
+        ...removed.map(name => statusResponse(`${collectionPath}${encodeURIComponent(name)}`, 404))
+      ], token);
+    }
+
+    if (request.root === caldav('calendar-query')) {
+      // Only tasks live here: a filter on any other component matches nothing
+      const components = request.compFilters.filter(name => name !== 'VCALENDAR');
+      const objects = components.every(name => name === 'VTODO') ? caldavService.listObjects(userId) : [];
+
+      return sendMultistatus(res, objects.map(object => (
+        describe(taskResource(req, object), req, request, { ...context, object })
+      )));
+    }
+
+    if (request.root === caldav('calendar-multiget')) {
+      const names = request.hrefs.map(href => {
+        try {
+          return decodeURIComponent(href.replace(/\/+$/, '').split('/').pop());
+        } catch (error) {
+          return null;
+        }
+      });
+      const objects = caldavService.listObjects(userId, names.filter(Boolean));
+
+      return sendMultistatus(res, request.hrefs.map((href, index) => {
+        const object = objects.find(o => o.name === names[index]);
+        return object
+          ? describe(taskResource(req, object), req, request, { ...context, object })
+          : statusResponse(href, 404);
+      }));
+    }
+
+    sendPrecondition(res, 403, dav('supported-report'));
+
+  } catch (error) {
+    console.error('Error handling CalDAV REPORT:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run report'
+    });
+  }
+});
+
+/**
+ * GET /caldav/calendars/tasks/:name
+ * A task's calendar data
+ */
+router.get('*', (req, res) => {
+  try {
+    const resource = resolveResource(req);
+    if (!resource) return notFound(res);
+    if (resource.type !== 'task') return methodNotAllowed(res);
+
+    const object = caldavService.getObject(req.user.id, resource.name);
+    if (!object) return notFound(res);
+
+    const { timezone } = userSettingsService.getSettings(req.user.id);
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      ETag: caldavService.etagOf(object),
+      'Cache-Control': 'private, no-cache'
+    });
+    res.send(caldavService.toICalendar(object, timezone));
+
+  } catch (error) {
+    console.error('Error fetching CalDAV task:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch task'
+    });
+  }
+});
+
+/**
+ * PUT /caldav/calendars/tasks/:name
+ * Create a task under a new name, or replace the task behind an existing one
+ * Honors If-Match / If-None-Match; answers with the new ETag
+ */
+router.put('*', (req, res) => {
+  try {
+    const resource = resolveResource(req);
+    if (!resource) return notFound(res);
+    if (resource.type !== 'task') return methodNotAllowed(res);
+
+    const userId = req.user.id;
+    const existing = caldavService.getObject(userId, resource.name);
+
+    if (!preconditionsHold(req, existing)) {
+      return res.status(412).json({
+        success: false,
+        message: 'The task has changed since it was last read'
+      });
+    }
+
+    let calendars;
+    try {
+      calendars = parseCalendar(typeof req.body === 'string' ? req.body : '');
+    } catch (error) {
+      return sendPrecondition(res, 400, caldav('valid-calendar-data'));
+    }
+
+    const { timezone } = userSettingsService.getSettings(userId);
+    const { todo, precondition } = caldavService.readTodo(calendars, timezone);
+    if (precondition) {
+      return sendPrecondition(res, 403, caldav(precondition));
+    }
+
+    // A resource keeps its UID, and a UID belongs to one resource
+    if (existing ? todo.uid !== existing.uid : caldavService.findTaskByUid(userId, todo.uid)) {
+      return sendPrecondition(res, 403, caldav('no-uid-conflict'));
+    }
+
+    if (!existing && caldavService.isReservedName(resource.name)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This name belongs to another task'
+      });
+    }
+
+    const object = existing
+      ? caldavService.updateObject(userId, existing, todo, timezone)
+      : caldavService.createObject(userId, resource.name, todo);
+
+    res.set('ETag', caldavService.etagOf(object));
+    res.status(existing ? 204 : 201).end();
+
+  } catch (error) {
+    console.error('Error saving CalDAV task:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save task'
+    });
+  }
+});
+
+/**
+ * DELETE /caldav/calendars/tasks/:name
+ * Move a task (and its subtasks) to the trash
+ */
+router.delete('*', (req, res) => {
+  try {
+    const resource = resolveResource(req);
+    if (!resource) return notFound(res);
+    if (resource.type !== 'task') return methodNotAllowed(res);
+
+    const object = caldavService.getObject(req.user.id, resource.name);
+    if (!object) return notFound(res);
+
+    if (!preconditionsHold(req, object)) {
+      return res.status(412).json({
+        success: false,
+        message: 'The task has changed since it was last read'
+      });
+    }
+
+    caldavService.deleteObject(req.user.id, object);
+    res.status(204).end();
+
+  } catch (error) {
+    console.error('Error deleting CalDAV task:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete task'
+    });
+  }
+});
+
+module.exports = router;
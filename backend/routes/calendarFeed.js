@@ -0,0 +1,137 @@
+const express = require('express');
+const router = express.Router();
+const { param, query, validationResult } = require('express-validator');
+const authMiddleware = require('../middleware/auth');
+const calendarFeedService = require('../services/calendarFeedService');
+
+// Where a token's feed is served, relative to the site
+const feedPath = (token) => `/api/calendar-feed/${token}.ics`;
+
+/**
+ * GET /api/calendar-feed
+ * Whether the user's calendar feed is on, and its path (append it to the
+ * site's address to subscribe)
+ */
+router.get('/', authMiddleware, (req, res) => {
+  try {
+    const token = calendarFeedService.getToken(req.user.id);
+
+    res.json({
+      success: true,
+      enabled: Boolean(token),
+      path: token ? feedPath(token) : null
+    });
+
+  } catch (error) {
+    console.error('Error fetching calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch calendar feed'
+    });
+  }
+});
+
+/**
+ * POST /api/calendar-feed/token
+ * Turn the feed on with a new secret URL; the previous URL stops working
+ */
+router.post('/token', authMiddleware, (req, res) => {
+  try {
+    const token = calendarFeedService.regenerateToken(req.user.id);
+
+    res.status(201).json({
+      success: true,
+      enabled: true,
+      path: feedPath(token)
+    });
+
+  } catch (error) {
+    console.error('Error creating calendar feed token:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create calendar feed link'
+    });
+  }
+});
+
+/**
+ * DELETE /api/calendar-feed/token
+ * Turn the feed off
+ */
+router.delete('/token', authMiddleware, (req, res) => {
+  try {
+    if (!calendarFeedService.revokeToken(req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed is not on'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Calendar feed turned off'
+    });
+
+  } catch (error) {
+    console.error('Error revoking calendar feed token:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to turn off calendar feed'
+    });
+  }
+});
+
+/**
+ * GET /api/calendar-feed/:token.ics
+ * The iCalendar feed itself, for calendar apps (no login: the token is the secret)
+ * Query: tags (comma-separated tag IDs), tag_match ('any' | 'all'),
+ *        component ('vevent' | 'vtodo', how deadlines are written; default vevent)
+ */
+router.get('/:token.ics', [
+  param('token').isHexadecimal().isLength({ min: 64, max: 64 }),
+  query('tags').optional().matches(/^\d+(,\d+)*$/).withMessage('Tags must be comma-separated tag ids'),
+  query('tag_match').optional().isIn(['any', 'all']),
+  query('component').optional().toLowerCase().isIn(calendarFeedService.FEED_COMPONENTS)
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    const tokenInvalid = errors.array().some(error => error.path === 'token');
+    const userId = tokenInvalid ? null : calendarFeedService.findUserByToken(req.params.token);
+
+    if (!userId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const ics = calendarFeedService.buildFeed(userId, {
+      tags: req.query.tags,
+      tag_match: req.query.tag_match,
+      component: req.query.component
+    });
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="twu.ics"',
+      'Cache-Control': 'private, no-cache'
+    });
+    res.send(ics);
+
+  } catch (error) {
+    console.error('Error building calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build calendar feed'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+const { param, validationResult } = require('express-validator');
+const authMiddleware = require('../middleware/auth');
+const digestService = require('../services/digestService');
+const userSettingsService = require('../services/userSettingsService');
+
+/**
+ * GET /api/digest/preview
+ * Today's daily digest and last week's summary as they would be emailed now,
+ * in the user's timezone setting
+ */
+router.get('/preview', authMiddleware, (req, res) => {
+  try {
+    const { timezone } = userSettingsService.getSettings(req.user.id);
+    const now = new Date();
+
+    res.json({
+      success: true,
+      daily: digestService.buildDailyDigest(req.user.id, now, timezone),
+      weekly: digestService.buildWeeklySummary(req.user.id, now, timezone)
+    });
+
+  } catch (error) {
+    console.error('Error building digest preview:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build digest preview'
+    });
+  }
+});
+
+/**
+ * POST /api/digest/unsubscribe/:token
+ * Turn off digest emails from the link in an email (no login needed)
+ */
+router.post('/unsubscribe/:token', [
+  param('token').isHexadecimal().isLength({ min: 64, max: 64 })
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty() || !digestService.unsubscribe(req.params.token)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invalid unsubscribe link'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'You will no longer receive digest emails'
+    });
+
+  } catch (error) {
+    console.error('Error unsubscribing:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unsubscribe'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,65 @@
+const express = require('express');
+const router = express.Router();
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { query, validationResult } = require('express-validator');
+const authMiddleware = require('../middleware/auth');
+const exportService = require('../services/exportService');
+
+const CONTENT_TYPES = {
+  zip: 'application/zip',
+  json: 'application/json; charset=utf-8'
+};
+
+/**
+ * GET /api/export
+ * Download all of the user's tasks, memos, inbox items and tags
+ * Query: format ('zip': export.json, CSV files and memos as Markdown;
+ *        'json': export.json only; default 'zip')
+ * The file is streamed as it's read, so there's no Content-Length.
+ */
+router.get('/', authMiddleware, [
+  query('format').optional().isIn(exportService.EXPORT_FORMATS)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const format = req.query.format || 'zip';
+    const exportedAt = new Date();
+
+    res.set({
+      'Content-Type': CONTENT_TYPES[format],
+      'Content-Disposition': `attachment; filename="${exportService.getFileName(req.user.id, format, exportedAt)}"`,
+      'Cache-Control': 'no-store'
+    });
+
+    if (format === 'json') {
+      await pipeline(Readable.from(exportService.jsonChunks(req.user.id, exportedAt)), res);
+    } else {
+      await exportService.writeArchive(req.user.id, res, exportedAt);
+      res.end();
+    }
+
+  } catch (error) {
+    console.error('Error exporting data:', error);
+
+    // Once the download has started, all that's left is to cut it short
+    if (res.headersSent) {
+      res.destroy();
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export data'
+    });
+  }
+});
+
+module.exports = router;
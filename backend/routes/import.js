@@ -0,0 +1,206 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const path = require('path');
+const { body, param, validationResult } = require('express-validator');
+const authMiddleware = require('../middleware/auth');
+const importService = require('../services/importService');
+const userSettingsService = require('../services/userSettingsService');
+const { sanitizeText } = require('../utils/sanitize');
+
+// Files are read from memory: they're parsed at once and never stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: importService.MAX_IMPORT_FILE_SIZE,
+    files: 1
+  }
+});
+
+// Upload errors (a file that's too large) are the user's to fix
+const uploadFile = (req, res, next) => upload.single('file')(req, res, (error) => {
+  if (error instanceof multer.MulterError) {
+    return res.status(400).json({
+      success: false,
+      message: error.code === 'LIMIT_FILE_SIZE'
+        ? `Files can be up to ${importService.MAX_IMPORT_FILE_SIZE / 1024 / 1024} MB`
+        : error.message
+    });
+  }
+  next(error);
+});
+
+// All import routes require authentication
+router.use(authMiddleware);
+
+/**
+ * GET /api/import
+ * The user's imports with their reports, newest first
+ */
+router.get('/', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      imports: importService.listImports(req.user.id)
+    });
+
+  } catch (error) {
+    console.error('Error fetching imports:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch imports'
+    });
+  }
+});
+
+/**
+ * POST /api/import
+ * Import tasks, memos, inbox items and tags from a file
+ * Body (multipart/form-data): file, source ('todoist', 'csv', 'trello', 'twu'
+ * or 'markdown'), dry_run (preview the report without importing),
+ * skip_duplicates (default true), mapping (csv: JSON object of field ->
+ * column name, fields: title, description, deadline, completed, tags,
+ * project, id, parent)
+ */
+router.post('/', uploadFile, [
+  body('source').isIn(importService.IMPORT_SOURCES),
+  body('dry_run').optional().isBoolean().toBoolean(),
+  body('skip_duplicates').optional().isBoolean().toBoolean(),
+  body('mapping').optional().isString().bail().isJSON().bail().customSanitizer(value => JSON.parse(value))
+    .custom(value => value !== null && typeof value === 'object' && !Array.isArray(value))
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose a file to import'
+      });
+    }
+
+    const { source, dry_run: dryRun = false, skip_duplicates: skipDuplicates = true, mapping } = req.body;
+    const fileName = sanitizeText(path.basename(req.file.originalname || '')).slice(0, 255) || null;
+
+    const { plan, error } = importService.readImportFile(source, req.file.buffer, {
+      fileName,
+      mapping,
+      timezone: userSettingsService.getSettings(req.user.id).timezone
+    });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const report = importService.runImport(req.user.id, source, plan, { dryRun, skipDuplicates, fileName });
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      report
+    });
+
+  } catch (error) {
+    console.error('Error importing file:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import file'
+    });
+  }
+});
+
+/**
+ * GET /api/import/:id
+ * One import with its report
+ */
+router.get('/:id', [
+  param('id').isInt({ min: 1 }).toInt()
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const importRecord = importService.getImport(req.params.id, req.user.id);
+    if (!importRecord) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      import: importRecord
+    });
+
+  } catch (error) {
+    console.error('Error fetching import:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch import'
+    });
+  }
+});
+
+/**
+ * POST /api/import/:id/rollback
+ * Permanently delete what an import created (tags only if nothing else uses them)
+ */
+router.post('/:id/rollback', [
+  param('id').isInt({ min: 1 }).toInt()
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const importRecord = importService.getImport(req.params.id, req.user.id);
+    if (!importRecord) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import not found'
+      });
+    }
+
+    if (importRecord.status === 'rolled_back') {
+      return res.status(400).json({
+        success: false,
+        message: 'This import was already rolled back'
+      });
+    }
+
+    const deleted = importService.rollbackImport(importRecord, req.user.id);
+
+    res.json({
+      success: true,
+      deleted,
+      import: importService.getImport(importRecord.id, req.user.id)
+    });
+
+  } catch (error) {
+    console.error('Error rolling back import:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to roll back import'
+    });
+  }
+});
+
+module.exports = router;
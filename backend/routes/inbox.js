@@ -7,9 +7,14 @@ const db = require('../database/db');
 const authMiddleware = require('../middleware/auth');
 const { transcribeAudio } = require('../services/whisper');
 const { validateAudioFile, MAX_FILE_SIZE } = require('../utils/fileValidation');
-const { sanitizeFilename, sanitizeText } = require('../utils/sanitize');
-const { transformTaskWithTags } = require('../utils/taskHelpers');
+const { sanitizeFilename, sanitizeText, sanitizeTagName } = require('../utils/sanitize');
+const { MAX_ESTIMATE_MINUTES, transformTaskWithTags } = require('../utils/taskHelpers');
 const tagService = require('../services/tagService');
+const projectService = require('../services/projectService');
+const taskEventService = require('../services/taskEventService');
+const userSettingsService = require('../services/userSettingsService');
+const { parseQuickAdd } = require('../utils/quickAdd');
+const { isValidTimezone } = require('../utils/timezone');
 
 // Configure multer for file uploads with enhanced security
 const storage = multer.diskStorage({
@@ -90,6 +95,30 @@ const upload = multer({
 // All inbox routes require authentication
 router.use(authMiddleware);
 
+/**
+ * Reads quick-add fields (#tags, dates, !urgent ...) from captured text, so they
+ * survive until the item is turned into a task. Dates are resolved at capture
+ * time, so "tomorrow" keeps meaning the day after the item was captured.
+ * Returns null for plain text with nothing but a title.
+ */
+function parseCapture(content, userId, timezone) {
+  // Parsed from the raw text (sanitizing escapes the ">" of >today), then
+  // the parts that are stored are sanitized like the content
+  const parsed = parseQuickAdd(content, {
+    timezone: timezone || userSettingsService.getSettings(userId).timezone
+  });
+  parsed.title = sanitizeText(parsed.title);
+  parsed.tags = parsed.tags.map(sanitizeTagName).filter(Boolean);
+
+  const hasHints = parsed.tags.length > 0 || parsed.deadline || parsed.planned_for_today ||
+    parsed.importance !== null || parsed.urgency !== null;
+
+  return hasHints ? parsed : null;
+}
+
+// Inbox rows store parsed as JSON text
+const formatItem = (item) => item && { ...item, parsed: item.parsed ? JSON.parse(item.parsed) : null };
+
 /**
  * GET /api/inbox
  * Get all inbox items for the authenticated user
@@ -115,12 +144,12 @@ router.get('/', (req, res) => {
     const params = cursor ? [req.user.id, cursor, limit + 1] : [req.user.id, limit + 1];
 
     const items = db.prepare(`
-      SELECT id, content, source, status, delayed_until, created_at
+      SELECT id, content, source, status, delayed_until, parsed, created_at
       FROM inbox
       ${whereClause}
       ORDER BY id DESC
       LIMIT ?
-    `).all(...params);
+    `).all(...params).map(formatItem);
 
     const hasMore = items.length > limit;
     if (hasMore) items.pop();
@@ -145,11 +174,13 @@ router.get('/', (req, res) => {
 /**
  * POST /api/inbox
  * Create a new inbox item (manual or voice)
- * Body: { content: string, source?: 'manual' | 'voice' }
+ * Quick-add syntax in the content is read at capture: #tags are attached to
+ * the item and the other fields are kept in `parsed` (see utils/quickAdd.js).
+ * Body: { content: string, source?: 'manual' | 'voice', timezone?: IANA name (default: the user's setting) }
  */
 router.post('/', (req, res) => {
   try {
-    const { content, source = 'manual' } = req.body;
+    const { content, source = 'manual', timezone } = req.body;
 
     if (!content || content.trim() === '') {
       return res.status(400).json({ success: false, message: 'Content is required' });
@@ -159,16 +190,31 @@ router.post('/', (req, res) => {
       return res.status(400).json({ success: false, message: 'Source must be manual or voice' });
     }
 
-    const result = db.prepare(`
-      INSERT INTO inbox (user_id, content, source)
-      VALUES (?, ?, ?)
-    `).run(req.user.id, sanitizeText(content.trim()), source);
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+      return res.status(400).json({ success: false, message: 'Unknown timezone' });
+    }
+
+    const sanitizedContent = sanitizeText(content.trim());
+    const parsed = parseCapture(content.trim(), req.user.id, timezone);
+
+    const itemId = db.transaction(() => {
+      const result = db.prepare(`
+        INSERT INTO inbox (user_id, content, source, parsed)
+        VALUES (?, ?, ?, ?)
+      `).run(req.user.id, sanitizedContent, source, parsed ? JSON.stringify(parsed) : null);
+
+      if (parsed && parsed.tags.length > 0) {
+        tagService.attachTagsToInbox(result.lastInsertRowid, parsed.tags, req.user.id);
+      }
+
+      return result.lastInsertRowid;
+    })();
 
     const newItem = db.prepare(`
-      SELECT id, content, source, created_at
+      SELECT id, content, source, parsed, created_at
       FROM inbox
       WHERE id = ?
-    `).get(result.lastInsertRowid);
+    `).get(itemId);
 
     if (!newItem) {
       return res.status(500).json({
@@ -179,7 +225,7 @@ router.post('/', (req, res) => {
 
     res.status(201).json({
       success: true,
-      item: newItem
+      item: formatItem(newItem)
     });
   } catch (error) {
     console.error('Create inbox item error:', error);
@@ -189,7 +235,7 @@ router.post('/', (req, res) => {
 
 /**
  * PUT /api/inbox/:id
- * Update an inbox item's content
+ * Update an inbox item's content (quick-add syntax is read again)
  * Body: { content: string }
  */
 router.put('/:id', (req, res) => {
@@ -211,21 +257,28 @@ router.put('/:id', (req, res) => {
       return res.status(404).json({ success: false, message: 'Inbox item not found' });
     }
 
-    db.prepare(`
-      UPDATE inbox
-      SET content = ?
-      WHERE id = ?
-    `).run(sanitizeText(content.trim()), id);
+    const sanitizedContent = sanitizeText(content.trim());
+    const parsed = parseCapture(content.trim(), req.user.id);
+
+    db.transaction(() => {
+      db.prepare(`
+        UPDATE inbox
+        SET content = ?, parsed = ?
+        WHERE id = ?
+      `).run(sanitizedContent, parsed ? JSON.stringify(parsed) : null, id);
+
+      tagService.updateInboxTags(id, parsed ? parsed.tags : [], req.user.id);
+    })();
 
     const updatedItem = db.prepare(`
-      SELECT id, content, source, created_at
+      SELECT id, content, source, parsed, created_at
       FROM inbox
       WHERE id = ?
     `).get(id);
 
     res.json({
       success: true,
-      item: updatedItem
+      item: formatItem(updatedItem)
     });
   } catch (error) {
     console.error('Update inbox item error:', error);
@@ -272,6 +325,8 @@ router.delete('/:id', (req, res) => {
  *     urgency?: number (0-9),
  *     deadline?: string (ISO8601),
  *     parent_task_id?: number,
+ *     planned_for_today?: string (YYYY-MM-DD),
+ *     project_id?: number,
  *     tags?: Array<string | {name: string, color?: string}>
  *   }>
  * }
@@ -295,6 +350,10 @@ router.post('/:id/convert-to-tasks', (req, res) => {
       return res.status(404).json({ success: false, message: 'Inbox item not found' });
     }
 
+    if (!tasks.every(task => projectService.ownsProject(req.user.id, task.project_id))) {
+      return res.status(400).json({ success: false, message: 'Project not found' });
+    }
+
     const createdTasks = [];
 
     // Create each task
@@ -306,9 +365,9 @@ router.post('/:id/convert-to-tasks', (req, res) => {
       const taskResult = db.prepare(`
         INSERT INTO tasks (
           user_id, title, description, why, importance, urgency,
-          deadline, parent_task_id, source_inbox_id
+          deadline, parent_task_id, source_inbox_id, estimate_minutes, planned_for_today, project_id
         )
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `).run(
         req.user.id,
         task.title.trim(),
@@ -318,7 +377,12 @@ router.post('/:id/convert-to-tasks', (req, res) => {
         task.urgency !== undefined ? task.urgency : 5,
         task.deadline || null,
         task.parent_task_id || null,
-        id
+        id,
+        Number.isInteger(task.estimate_minutes) && task.estimate_minutes > 0
+          ? Math.min(task.estimate_minutes, MAX_ESTIMATE_MINUTES)
+          : null,
+        /^\d{4}-\d{2}-\d{2}$/.test(task.planned_for_today) ? task.planned_for_today : null,
+        task.project_id || null
       );
 
       const taskId = taskResult.lastInsertRowid;
@@ -328,6 +392,8 @@ router.post('/:id/convert-to-tasks', (req, res) => {
         tagService.attachTagsToTask(taskId, task.tags, req.user.id);
       }
 
+      taskEventService.recordCreated([taskId], req.user.id);
+
       // Fetch created task with tags
       const createdTask = db.prepare(`
         SELECT
@@ -369,13 +435,14 @@ router.post('/:id/convert-to-tasks', (req, res) => {
  *   title: string,
  *   content: string,
  *   details?: string,
+ *   project_id?: number,
  *   tags?: Array<string | {name: string, color?: string}>
  * }
  */
 router.post('/:id/convert-to-memo', (req, res) => {
   try {
     const { id } = req.params;
-    const { title, content, details, tags } = req.body;
+    const { title, content, details, project_id, tags } = req.body;
 
     if (!title || title.trim() === '') {
       return res.status(400).json({ success: false, message: 'Title is required' });
@@ -395,11 +462,15 @@ router.post('/:id/convert-to-memo', (req, res) => {
       return res.status(404).json({ success: false, message: 'Inbox item not found' });
     }
 
+    if (!projectService.ownsProject(req.user.id, project_id)) {
+      return res.status(400).json({ success: false, message: 'Project not found' });
+    }
+
     // Create memo
     const memoResult = db.prepare(`
-      INSERT INTO memos (user_id, title, content, details, source_inbox_id)
-      VALUES (?, ?, ?, ?, ?)
-    `).run(req.user.id, title.trim(), content.trim(), details || null, id);
+      INSERT INTO memos (user_id, title, content, details, source_inbox_id, project_id)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(req.user.id, title.trim(), content.trim(), details || null, id, project_id || null);
 
     const memoId = memoResult.lastInsertRowid;
 
@@ -472,14 +543,14 @@ router.post('/:id/delay', (req, res) => {
     `).run(delayUntil, id);
 
     const updatedItem = db.prepare(`
-      SELECT id, content, source, status, delayed_until, created_at
+      SELECT id, content, source, status, delayed_until, parsed, created_at
       FROM inbox
       WHERE id = ?
     `).get(id);
 
     res.json({
       success: true,
-      item: updatedItem
+      item: formatItem(updatedItem)
     });
   } catch (error) {
     console.error('Delay inbox item error:', error);
@@ -1,12 +1,13 @@
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const db = require('../database/db');
 const authMiddleware = require('../middleware/auth');
 const { sanitizeText } = require('../utils/sanitize');
 const { transformTaskWithTags } = require('../utils/taskHelpers');
 const tagService = require('../services/tagService');
 const { buildMemoUpdateQuery } = require('../utils/dynamicUpdate');
+const projectService = require('../services/projectService');
 
 // All memo routes require authentication
 router.use(authMiddleware);
@@ -14,22 +15,46 @@ router.use(authMiddleware);
 /**
  * GET /api/memos
  * Get all memos for the authenticated user
+ * Query: project_id (a project ID, or "none" for memos outside any project)
  */
-router.get('/', (req, res) => {
+router.get('/', [
+  query('project_id').optional().custom(value => value === 'none' || /^\d+$/.test(value))
+    .withMessage('project_id must be a project id or "none"')
+], (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
     const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 100));
     const cursor = req.query.cursor ? parseInt(req.query.cursor) : null;
 
-    // Build WHERE clause - if cursor provided, add id filter
-    const whereClause = cursor
-      ? 'WHERE m.user_id = ? AND m.deleted_at IS NULL AND m.id < ?'
-      : 'WHERE m.user_id = ? AND m.deleted_at IS NULL';
+    // Build WHERE clause - optional project filter, and an id filter if a cursor is provided
+    const conditions = ['m.user_id = ?', 'm.deleted_at IS NULL'];
+    const params = [req.user.id];
 
-    const params = cursor ? [req.user.id, cursor, limit + 1] : [req.user.id, limit + 1];
+    if (req.query.project_id === 'none') {
+      conditions.push('m.project_id IS NULL');
+    } else if (req.query.project_id) {
+      conditions.push('m.project_id = ?');
+      params.push(parseInt(req.query.project_id));
+    }
+
+    if (cursor) {
+      conditions.push('m.id < ?');
+      params.push(cursor);
+    }
+
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+    params.push(limit + 1);
 
     const memos = db.prepare(`
       SELECT
-        m.id, m.title, m.content, m.details, m.source_inbox_id,
+        m.id, m.title, m.content, m.details, m.source_inbox_id, m.project_id,
         m.created_at, m.updated_at,
         GROUP_CONCAT(tag.id) as tag_ids,
         GROUP_CONCAT(tag.name) as tag_names,
@@ -76,7 +101,7 @@ router.get('/:id', (req, res) => {
   try {
     const memo = db.prepare(`
       SELECT
-        m.id, m.title, m.content, m.details, m.source_inbox_id,
+        m.id, m.title, m.content, m.details, m.source_inbox_id, m.project_id,
         m.created_at, m.updated_at,
         GROUP_CONCAT(tag.id) as tag_ids,
         GROUP_CONCAT(tag.name) as tag_names,
@@ -120,6 +145,7 @@ router.post('/', [
   body('title').trim().isLength({ min: 1 }).withMessage('Title is required'),
   body('content').trim().isLength({ min: 1 }).withMessage('Content is required'),
   body('details').optional().trim(),
+  body('project_id').optional({ nullable: true }).isInt({ min: 1 }).toInt(),
   body('tags').optional().isArray()
 ], (req, res) => {
   try {
@@ -131,12 +157,19 @@ router.post('/', [
       });
     }
 
-    const { title, content, details, tags } = req.body;
+    const { title, content, details, project_id, tags } = req.body;
+
+    if (!projectService.ownsProject(req.user.id, project_id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
 
     const memoResult = db.prepare(`
-      INSERT INTO memos (user_id, title, content, details)
-      VALUES (?, ?, ?, ?)
-    `).run(req.user.id, sanitizeText(title), sanitizeText(content), details ? sanitizeText(details) : null);
+      INSERT INTO memos (user_id, title, content, details, project_id)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(req.user.id, sanitizeText(title), sanitizeText(content), details ? sanitizeText(details) : null, project_id || null);
 
     const memoId = memoResult.lastInsertRowid;
 
@@ -184,6 +217,7 @@ router.put('/:id', [
   body('title').optional().trim().isLength({ min: 1 }),
   body('content').optional().trim().isLength({ min: 1 }),
   body('details').optional().trim(),
+  body('project_id').optional({ nullable: true }).isInt({ min: 1 }).toInt(),
   body('tags').optional().isArray()
 ], (req, res) => {
   try {
@@ -208,6 +242,13 @@ router.put('/:id', [
       });
     }
 
+    if (!projectService.ownsProject(req.user.id, req.body.project_id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
     // Build update query using dynamic update utility
     const { query, values, hasUpdates } = buildMemoUpdateQuery(
       req.body,
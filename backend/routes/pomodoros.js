@@ -0,0 +1,206 @@
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const db = require('../database/db');
+const authMiddleware = require('../middleware/auth');
+const { sanitizeText } = require('../utils/sanitize');
+const { transformTaskWithTags, getTaskWithTags } = require('../utils/taskHelpers');
+const pomodoroService = require('../services/pomodoroService');
+
+// All pomodoro routes require authentication
+router.use(authMiddleware);
+
+// Longest range the daily totals cover
+const MAX_DAILY_RANGE_DAYS = 366;
+
+/**
+ * GET /api/pomodoros/daily
+ * Finished sessions per day: completed, abandoned, focus minutes, interruptions
+ * Query: from, to (YYYY-MM-DD, inclusive; default: the last 7 days),
+ *        tz_offset (minutes east of UTC, so days match the client's calendar)
+ */
+router.get('/daily', [
+  query('from').optional().isISO8601({ strict: true }).isLength({ min: 10, max: 10 }),
+  query('to').optional().isISO8601({ strict: true }).isLength({ min: 10, max: 10 }),
+  query('tz_offset').optional().isInt({ min: -840, max: 840 }).toInt()
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const tzOffset = req.query.tz_offset || 0;
+    const localToday = new Date(Date.now() + tzOffset * 60000).toISOString().split('T')[0];
+    const to = req.query.to || localToday;
+    const from = req.query.from || new Date(Date.parse(to) - 6 * 86400000).toISOString().split('T')[0];
+
+    const days = (Date.parse(to) - Date.parse(from)) / 86400000 + 1;
+    if (days < 1 || days > MAX_DAILY_RANGE_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `from must be on or before to, at most ${MAX_DAILY_RANGE_DAYS} days apart`
+      });
+    }
+
+    res.json({
+      success: true,
+      from,
+      to,
+      ...pomodoroService.getDailyTotals(req.user.id, { from, to }, tzOffset)
+    });
+
+  } catch (error) {
+    console.error('Error fetching pomodoro totals:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch pomodoro totals'
+    });
+  }
+});
+
+/**
+ * POST /api/pomodoros
+ * Start a session on a task (a running session of the user is abandoned)
+ * Body: task_id, planned_minutes (optional, default 25)
+ */
+router.post('/', [
+  body('task_id').isInt().withMessage('task_id is required'),
+  body('planned_minutes').optional().isInt({ min: 1, max: pomodoroService.MAX_PLANNED_MINUTES }).toInt()
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const task = db.prepare('SELECT id FROM tasks WHERE id = ? AND user_id = ? AND deleted_at IS NULL')
+      .get(req.body.task_id, req.user.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      session: pomodoroService.startSession(task.id, req.user.id, req.body.planned_minutes)
+    });
+
+  } catch (error) {
+    console.error('Error starting pomodoro:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start pomodoro'
+    });
+  }
+});
+
+/**
+ * POST /api/pomodoros/:id/finish
+ * End a running session, logging its focus time on the task
+ * Body: status ('completed' or 'abandoned'),
+ *       actual_seconds (focus time without pauses; default: the planned length)
+ */
+router.post('/:id/finish', [
+  body('status').isIn(['completed', 'abandoned']).withMessage('status must be completed or abandoned'),
+  body('actual_seconds').optional().isInt({ min: 0 }).toInt()
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const session = pomodoroService.getSession(req.params.id, req.user.id);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pomodoro session not found'
+      });
+    }
+
+    if (session.status !== 'running') {
+      return res.status(409).json({
+        success: false,
+        message: 'Pomodoro session has already ended',
+        session
+      });
+    }
+
+    const { status, actual_seconds } = req.body;
+    const finished = pomodoroService.finishSession(
+      session,
+      status,
+      actual_seconds ?? session.planned_minutes * 60,
+      req.user.id
+    );
+
+    res.json({
+      success: true,
+      session: finished,
+      task: transformTaskWithTags(getTaskWithTags(session.task_id))
+    });
+
+  } catch (error) {
+    console.error('Error finishing pomodoro:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to finish pomodoro'
+    });
+  }
+});
+
+/**
+ * POST /api/pomodoros/:id/interruptions
+ * Note an interruption during a session
+ * Body: note (optional)
+ */
+router.post('/:id/interruptions', [
+  body('note').optional({ nullable: true }).trim()
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const session = pomodoroService.getSession(req.params.id, req.user.id);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pomodoro session not found'
+      });
+    }
+
+    const { note } = req.body;
+
+    res.status(201).json({
+      success: true,
+      session: pomodoroService.addInterruption(session, note ? sanitizeText(note) : null, req.user.id)
+    });
+
+  } catch (error) {
+    console.error('Error adding interruption:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add interruption'
+    });
+  }
+});
+
+module.exports = router;
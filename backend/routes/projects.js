@@ -0,0 +1,251 @@
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const authMiddleware = require('../middleware/auth');
+const { sanitizeText } = require('../utils/sanitize');
+const projectService = require('../services/projectService');
+
+// All project routes require authentication
+router.use(authMiddleware);
+
+const { PROJECT_STATUSES } = projectService;
+
+const nameValidator = () => body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name is required (max 100 characters)');
+const descriptionValidator = () => body('description').optional({ nullable: true }).trim().isLength({ max: 2000 });
+const statusValidator = () => body('status').optional().isIn(PROJECT_STATUSES)
+  .withMessage(`status must be one of: ${PROJECT_STATUSES.join(', ')}`);
+const targetDateValidator = () => body('target_date').optional({ nullable: true })
+  .matches(/^\d{4}-\d{2}-\d{2}$/).isISO8601({ strict: true }).withMessage('target_date must be YYYY-MM-DD');
+const areaValidator = () => body('area_id').optional({ nullable: true }).isInt({ min: 1 }).toInt();
+
+/**
+ * GET /api/projects
+ * The user's projects with progress, active ones first
+ * Query: status (comma-separated statuses), area_id (an area ID or "none")
+ */
+router.get('/', [
+  query('status').optional().custom(value => value.split(',').every(status => PROJECT_STATUSES.includes(status)))
+    .withMessage(`status must be a list of: ${PROJECT_STATUSES.join(', ')}`),
+  query('area_id').optional().custom(value => value === 'none' || /^\d+$/.test(value))
+    .withMessage('area_id must be an area id or "none"')
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    res.json({
+      success: true,
+      projects: projectService.listProjects(req.user.id, {
+        statuses: req.query.status ? req.query.status.split(',') : [],
+        areaId: req.query.area_id === 'none' ? 'none' : parseInt(req.query.area_id) || null
+      })
+    });
+
+  } catch (error) {
+    console.error('Error fetching projects:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch projects'
+    });
+  }
+});
+
+/**
+ * GET /api/projects/:id
+ * One project with its progress and linked memos
+ * (its tasks come from GET /api/tasks?project_id=:id)
+ */
+router.get('/:id', (req, res) => {
+  try {
+    const project = projectService.getProject(req.params.id, req.user.id);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      project: {
+        ...project,
+        memos: projectService.getProjectMemos(project.id, req.user.id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching project:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch project'
+    });
+  }
+});
+
+/**
+ * POST /api/projects
+ * Create a project
+ * Body: name, description, status (default 'active'), target_date (YYYY-MM-DD), area_id
+ */
+router.post('/', [
+  nameValidator(),
+  descriptionValidator(),
+  statusValidator(),
+  targetDateValidator(),
+  areaValidator()
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const name = sanitizeText(req.body.name);
+    if (projectService.isProjectNameTaken(req.user.id, name)) {
+      return res.status(409).json({
+        success: false,
+        message: 'A project with this name already exists'
+      });
+    }
+
+    if (req.body.area_id && !projectService.getArea(req.body.area_id, req.user.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Area not found'
+      });
+    }
+
+    const project = projectService.createProject(req.user.id, {
+      name,
+      description: req.body.description ? sanitizeText(req.body.description) : null,
+      status: req.body.status,
+      target_date: req.body.target_date || null,
+      area_id: req.body.area_id || null
+    });
+
+    res.status(201).json({
+      success: true,
+      project
+    });
+
+  } catch (error) {
+    console.error('Error creating project:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create project'
+    });
+  }
+});
+
+/**
+ * PUT /api/projects/:id
+ * Update a project
+ * Body: name, description, status, target_date, area_id (all optional; null clears
+ * the description, target date and area)
+ */
+router.put('/:id', [
+  nameValidator().optional(),
+  descriptionValidator(),
+  statusValidator(),
+  targetDateValidator(),
+  areaValidator()
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const project = projectService.getProject(req.params.id, req.user.id);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    const name = req.body.name !== undefined ? sanitizeText(req.body.name) : undefined;
+    if (name !== undefined && projectService.isProjectNameTaken(req.user.id, name, project.id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'A project with this name already exists'
+      });
+    }
+
+    if (req.body.area_id && !projectService.getArea(req.body.area_id, req.user.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Area not found'
+      });
+    }
+
+    const updated = projectService.updateProject(project.id, req.user.id, {
+      name,
+      description: req.body.description !== undefined
+        ? (req.body.description ? sanitizeText(req.body.description) : null)
+        : undefined,
+      status: req.body.status,
+      target_date: req.body.target_date !== undefined ? req.body.target_date || null : undefined,
+      area_id: req.body.area_id
+    });
+
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        message: 'No fields to update'
+      });
+    }
+
+    res.json({
+      success: true,
+      project: updated
+    });
+
+  } catch (error) {
+    console.error('Error updating project:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update project'
+    });
+  }
+});
+
+/**
+ * DELETE /api/projects/:id
+ * Delete a project; its tasks and memos are kept without a project
+ */
+router.delete('/:id', (req, res) => {
+  try {
+    if (!projectService.deleteProject(req.params.id, req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Project deleted'
+    });
+
+  } catch (error) {
+    console.error('Error deleting project:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete project'
+    });
+  }
+});
+
+module.exports = router;
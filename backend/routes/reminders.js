@@ -0,0 +1,167 @@
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const authMiddleware = require('../middleware/auth');
+const reminderService = require('../services/reminderService');
+const { toSqlTimestamp } = require('../services/timeEntryService');
+
+// All reminder routes require authentication
+router.use(authMiddleware);
+
+// Longest a reminder can be snoozed by minutes
+const MAX_SNOOZE_MINUTES = 30 * 24 * 60;
+
+/**
+ * GET /api/reminders
+ * The user's reminders on live tasks, soonest first
+ * Query: status (comma-separated; default: pending,sent)
+ */
+router.get('/', [
+  query('status').optional().custom(value =>
+    value.split(',').every(status => reminderService.REMINDER_STATUSES.includes(status))
+  ).withMessage(`status must be one of: ${reminderService.REMINDER_STATUSES.join(', ')}`)
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const statuses = req.query.status ? req.query.status.split(',') : undefined;
+
+    res.json({
+      success: true,
+      reminders: reminderService.listReminders(req.user.id, statuses)
+    });
+
+  } catch (error) {
+    console.error('Error fetching reminders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reminders'
+    });
+  }
+});
+
+/**
+ * POST /api/reminders/:id/snooze
+ * Postpone a reminder; a sent reminder fires again when the snooze ends
+ * Body: minutes (from now) or until (ISO 8601)
+ */
+router.post('/:id/snooze', [
+  body('minutes').optional().isInt({ min: 1, max: MAX_SNOOZE_MINUTES }).toInt(),
+  body('until').optional().isISO8601({ strict: true }),
+  body().custom(value => (value.minutes === undefined) !== (value.until === undefined))
+    .withMessage('Provide either minutes or until')
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const reminder = reminderService.getReminder(req.params.id, req.user.id);
+    if (!reminder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reminder not found'
+      });
+    }
+
+    if (reminder.status === 'dismissed') {
+      return res.status(409).json({
+        success: false,
+        message: 'Reminder has been dismissed',
+        reminder
+      });
+    }
+
+    const { minutes, until } = req.body;
+    const snoozeUntil = minutes !== undefined ? Date.now() + minutes * 60000 : Date.parse(until);
+
+    if (snoozeUntil <= Date.now()) {
+      return res.status(400).json({
+        success: false,
+        message: 'until must be in the future'
+      });
+    }
+
+    res.json({
+      success: true,
+      reminder: reminderService.snoozeReminder(reminder, toSqlTimestamp(snoozeUntil), req.user.id)
+    });
+
+  } catch (error) {
+    console.error('Error snoozing reminder:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to snooze reminder'
+    });
+  }
+});
+
+/**
+ * POST /api/reminders/:id/dismiss
+ * Stop a reminder from firing (again)
+ */
+router.post('/:id/dismiss', (req, res) => {
+  try {
+    const reminder = reminderService.getReminder(req.params.id, req.user.id);
+    if (!reminder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reminder not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      reminder: reminderService.dismissReminder(reminder, req.user.id)
+    });
+
+  } catch (error) {
+    console.error('Error dismissing reminder:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to dismiss reminder'
+    });
+  }
+});
+
+/**
+ * DELETE /api/reminders/:id
+ * Delete a reminder
+ */
+router.delete('/:id', (req, res) => {
+  try {
+    const reminder = reminderService.getReminder(req.params.id, req.user.id);
+    if (!reminder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reminder not found'
+      });
+    }
+
+    reminderService.deleteReminder(reminder);
+
+    res.json({
+      success: true,
+      message: 'Reminder deleted'
+    });
+
+  } catch (error) {
+    console.error('Error deleting reminder:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete reminder'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const authMiddleware = require('../middleware/auth');
+const reportService = require('../services/reportService');
+
+// All report routes require authentication
+router.use(authMiddleware);
+
+// Longest range a report covers
+const MAX_REPORT_DAYS = 366;
+
+/**
+ * GET /api/reports/estimates
+ * Estimated vs tracked minutes of completed tasks, per tag and per period
+ * Query: from, to (YYYY-MM-DD, inclusive; default: the last 12 weeks),
+ *        period ('day', 'week' or 'month'; default 'week'),
+ *        tz_offset (minutes east of UTC, so days match the client's calendar)
+ */
+router.get('/estimates', [
+  query('from').optional().isISO8601({ strict: true }).isLength({ min: 10, max: 10 }),
+  query('to').optional().isISO8601({ strict: true }).isLength({ min: 10, max: 10 }),
+  query('period').optional().isIn(reportService.PERIODS),
+  query('tz_offset').optional().isInt({ min: -840, max: 840 }).toInt()
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const tzOffset = req.query.tz_offset || 0;
+    const period = req.query.period || 'week';
+    const localToday = new Date(Date.now() + tzOffset * 60000).toISOString().split('T')[0];
+    const to = req.query.to || localToday;
+    const from = req.query.from || new Date(Date.parse(to) - 83 * 86400000).toISOString().split('T')[0];
+
+    const days = (Date.parse(to) - Date.parse(from)) / 86400000 + 1;
+    if (days < 1 || days > MAX_REPORT_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `from must be on or before to, at most ${MAX_REPORT_DAYS} days apart`
+      });
+    }
+
+    res.json({
+      success: true,
+      from,
+      to,
+      period,
+      ...reportService.getEstimateReport(req.user.id, { from, to }, tzOffset, period)
+    });
+
+  } catch (error) {
+    console.error('Error fetching estimate report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch estimate report'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,88 @@
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const authMiddleware = require('../middleware/auth');
+const { parseIdList } = require('../utils/taskFilters');
+const searchService = require('../services/searchService');
+
+// All search routes require authentication
+router.use(authMiddleware);
+
+const MAX_RESULTS = 50;
+
+const dateValidator = (field) => query(field).optional()
+  .isISO8601({ strict: true }).isLength({ min: 10, max: 10 })
+  .withMessage(`${field} must be YYYY-MM-DD`);
+
+/**
+ * GET /api/search
+ * Full-text search across tasks, memos and inbox items, ranked and grouped by kind
+ * Query: q (words match by prefix, "quoted text" as a phrase - all must match),
+ *        types (comma-separated: task, memo, inbox - default all),
+ *        tags (comma-separated tag ids), tag_match ('any' default or 'all'),
+ *        from, to (YYYY-MM-DD created between, inclusive),
+ *        tz_offset (minutes east of UTC, so dates match the client's calendar),
+ *        limit (results per kind, default 20)
+ * Matches are wrapped in <mark></mark> in title_highlight and snippet, the
+ * rest of their text is HTML-escaped.
+ */
+router.get('/', [
+  query('q').isString().trim().isLength({ min: 1, max: 200 }).withMessage('q is required (max 200 characters)'),
+  query('types').optional().isString().custom(value => {
+    const invalid = value.split(',').map(t => t.trim()).filter(t => !searchService.TYPES.includes(t));
+    if (invalid.length > 0) {
+      throw new Error(`Unknown types: ${invalid.join(', ')}`);
+    }
+    return true;
+  }),
+  query('tags').optional().isString(),
+  query('tag_match').optional().isIn(['any', 'all']),
+  dateValidator('from'),
+  dateValidator('to'),
+  query('tz_offset').optional().isInt({ min: -840, max: 840 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: MAX_RESULTS }).toInt()
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { q, types, tags, tag_match, from, to, tz_offset, limit } = req.query;
+
+    if (from && to && from > to) {
+      return res.status(400).json({
+        success: false,
+        message: 'from must be on or before to'
+      });
+    }
+
+    const results = searchService.search(req.user.id, q, {
+      types: types ? types.split(',').map(t => t.trim()) : undefined,
+      tagIds: tags ? parseIdList(tags) : [],
+      tagMatch: tag_match,
+      from,
+      to,
+      tzOffset: tz_offset || 0,
+      limit
+    });
+
+    res.json({
+      success: true,
+      query: q,
+      results
+    });
+
+  } catch (error) {
+    console.error('Error searching:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search'
+    });
+  }
+});
+
+module.exports = router;
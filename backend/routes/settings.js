@@ -0,0 +1,72 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const authMiddleware = require('../middleware/auth');
+const userSettingsService = require('../services/userSettingsService');
+const { isValidTimezone } = require('../utils/timezone');
+const { URGENCY_CURVES } = require('../utils/urgency');
+
+// All settings routes require authentication
+router.use(authMiddleware);
+
+/**
+ * GET /api/settings
+ * The current user's settings
+ */
+router.get('/', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      settings: userSettingsService.getSettings(req.user.id)
+    });
+
+  } catch (error) {
+    console.error('Error fetching user settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch settings'
+    });
+  }
+});
+
+/**
+ * PUT /api/settings
+ * Update the current user's settings
+ * Body: daily_capacity_minutes (minutes a day available for planned work),
+ *       timezone (IANA name), digest_enabled, digest_time (HH:MM in timezone),
+ *       weekly_summary_enabled, urgency_horizon_days and urgency_curve
+ *       (how auto urgency climbs towards a deadline)
+ */
+router.put('/', [
+  body('daily_capacity_minutes').optional().isInt({ min: 0, max: 24 * 60 }).toInt(),
+  body('timezone').optional().custom(isValidTimezone).withMessage('timezone must be an IANA timezone name'),
+  body('digest_enabled').optional().isBoolean().toBoolean(),
+  body('digest_time').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('digest_time must be HH:MM'),
+  body('weekly_summary_enabled').optional().isBoolean().toBoolean(),
+  body('urgency_horizon_days').optional().isInt({ min: 1, max: 365 }).toInt(),
+  body('urgency_curve').optional().isIn(Object.keys(URGENCY_CURVES))
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    res.json({
+      success: true,
+      settings: userSettingsService.updateSettings(req.user.id, req.body)
+    });
+
+  } catch (error) {
+    console.error('Error updating user settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update settings'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,250 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const authMiddleware = require('../middleware/auth');
+const { sanitizeText } = require('../utils/sanitize');
+const taskStatusService = require('../services/taskStatusService');
+
+// All status routes require authentication
+router.use(authMiddleware);
+
+const nameValidator = () => body('name').trim().isLength({ min: 1, max: 30 }).withMessage('Name is required (max 30 characters)');
+const colorValidator = () => body('color').optional().trim().matches(/^#[0-9a-fA-F]{6}$/).withMessage('color must be a hex color like #667eea');
+const isDoneValidator = () => body('is_done').optional().isBoolean().toBoolean();
+
+/**
+ * GET /api/statuses
+ * The user's workflow statuses in board order, each with its task_count
+ * (the default statuses are created on first use)
+ */
+router.get('/', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      statuses: taskStatusService.listStatuses(req.user.id)
+    });
+
+  } catch (error) {
+    console.error('Error fetching statuses:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch statuses'
+    });
+  }
+});
+
+/**
+ * POST /api/statuses
+ * Add a status at the end of the board
+ * Body: name, color, is_done (default false)
+ */
+router.post('/', [
+  nameValidator(),
+  colorValidator(),
+  isDoneValidator()
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const name = sanitizeText(req.body.name);
+    if (taskStatusService.isStatusNameTaken(req.user.id, name)) {
+      return res.status(409).json({
+        success: false,
+        message: 'A status with this name already exists'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      status: taskStatusService.createStatus(req.user.id, {
+        name,
+        color: req.body.color,
+        is_done: req.body.is_done
+      })
+    });
+
+  } catch (error) {
+    console.error('Error creating status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create status'
+    });
+  }
+});
+
+/**
+ * PUT /api/statuses/reorder
+ * Put the statuses in a new board order
+ * Body: ids (every status ID of the user, in the new order)
+ */
+router.put('/reorder', [
+  body('ids').isArray({ min: 1 }).withMessage('ids must be a list of status IDs'),
+  body('ids.*').isInt({ min: 1 }).toInt()
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    if (!taskStatusService.reorderStatuses(req.user.id, req.body.ids)) {
+      return res.status(400).json({
+        success: false,
+        message: 'ids must list each of your statuses once'
+      });
+    }
+
+    res.json({
+      success: true,
+      statuses: taskStatusService.listStatuses(req.user.id)
+    });
+
+  } catch (error) {
+    console.error('Error reordering statuses:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reorder statuses'
+    });
+  }
+});
+
+/**
+ * PUT /api/statuses/:id
+ * Update a status
+ * Body: name, color, is_done, transitions (status IDs tasks may move to from
+ * this status; an empty list allows every status) - all optional
+ */
+router.put('/:id', [
+  nameValidator().optional(),
+  colorValidator(),
+  isDoneValidator(),
+  body('transitions').optional().isArray(),
+  body('transitions.*').optional().isInt({ min: 1 }).toInt()
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const status = taskStatusService.getStatus(req.params.id, req.user.id);
+    if (!status) {
+      return res.status(404).json({
+        success: false,
+        message: 'Status not found'
+      });
+    }
+
+    const name = req.body.name !== undefined ? sanitizeText(req.body.name) : undefined;
+    if (name !== undefined && taskStatusService.isStatusNameTaken(req.user.id, name, status.id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'A status with this name already exists'
+      });
+    }
+
+    // Switching between open and done would leave its tasks with the wrong completed flag
+    if (req.body.is_done !== undefined && req.body.is_done !== status.is_done) {
+      const kinds = taskStatusService.countStatusKinds(req.user.id);
+      if ((status.is_done ? kinds.done : kinds.open) === 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'At least one open and one done status are needed'
+        });
+      }
+
+      if (taskStatusService.countTasksInStatus(status.id) > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Move this status\'s tasks elsewhere before changing whether it counts as done'
+        });
+      }
+    }
+
+    const transitions = req.body.transitions;
+    if (transitions && transitions.some(id => !taskStatusService.getStatus(id, req.user.id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Transition status not found'
+      });
+    }
+
+    const updated = taskStatusService.updateStatus(status.id, req.user.id, {
+      name,
+      color: req.body.color,
+      is_done: req.body.is_done,
+      transitions
+    });
+
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        message: 'No fields to update'
+      });
+    }
+
+    res.json({
+      success: true,
+      status: updated
+    });
+
+  } catch (error) {
+    console.error('Error updating status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update status'
+    });
+  }
+});
+
+/**
+ * DELETE /api/statuses/:id
+ * Delete a status; its tasks go back to the first open or done status
+ */
+router.delete('/:id', (req, res) => {
+  try {
+    const status = taskStatusService.getStatus(req.params.id, req.user.id);
+    if (!status) {
+      return res.status(404).json({
+        success: false,
+        message: 'Status not found'
+      });
+    }
+
+    const kinds = taskStatusService.countStatusKinds(req.user.id);
+    if ((status.is_done ? kinds.done : kinds.open) === 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one open and one done status are needed'
+      });
+    }
+
+    taskStatusService.deleteStatus(status.id, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Status deleted'
+    });
+
+  } catch (error) {
+    console.error('Error deleting status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete status'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,123 +1,743 @@
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const db = require('../database/db');
 const authMiddleware = require('../middleware/auth');
 const { sanitizeText } = require('../utils/sanitize');
-const { transformTaskWithTags } = require('../utils/taskHelpers');
+const { TASK_COLUMNS, TASK_TAG_JOINS, MAX_ESTIMATE_MINUTES, transformTaskWithTags, getTaskWithTags } = require('../utils/taskHelpers');
 const tagService = require('../services/tagService');
 const { buildTaskUpdateQuery } = require('../utils/dynamicUpdate');
+const recurrenceService = require('../services/recurrenceService');
+const taskTreeService = require('../services/taskTreeService');
+const dependencyService = require('../services/dependencyService');
+const trashService = require('../services/trashService');
+const bulkTaskService = require('../services/bulkTaskService');
+const taskRankService = require('../services/taskRankService');
+const taskEventService = require('../services/taskEventService');
+const timeEntryService = require('../services/timeEntryService');
+const pomodoroService = require('../services/pomodoroService');
+const reminderService = require('../services/reminderService');
+const { parseRule, normalizeRule } = require('../utils/recurrence');
+const { parseQuickAdd } = require('../utils/quickAdd');
+const { isValidTimezone, getLocalTime } = require('../utils/timezone');
+const userSettingsService = require('../services/userSettingsService');
+const savedViewService = require('../services/savedViewService');
+const projectService = require('../services/projectService');
+const taskStatusService = require('../services/taskStatusService');
+const { buildTaskFilters, QUADRANT_SQL, TASK_SORTS, DEFAULT_SORT } = require('../utils/taskFilters');
 
 // All task routes require authentication
 router.use(authMiddleware);
 
+// Longest date range the calendar endpoint returns (a year)
+const MAX_CALENDAR_DAYS = 366;
+
+// express-validator custom check: null/'' clears the rule, anything else must parse
+const validateRecurrenceRule = (value) => {
+  if (value !== null && value !== '') {
+    parseRule(value);
+  }
+  return true;
+};
+
+// Stores rules in canonical form; invalid values are left for the validator to reject
+const sanitizeRecurrenceRule = (value) => {
+  try {
+    return normalizeRule(value);
+  } catch (error) {
+    return value;
+  }
+};
+
 // Get all tasks for logged-in user
-router.get('/', (req, res) => {
+// Supports filtering, sorting and free-text search via query parameters
+// (see utils/taskFilters.js for the full list), or a saved view's filters
+// with saved_view (sort may still be given to override the view's order)
+router.get('/', [
+  query('completed').optional().isString().isIn(['true', 'false', '1', '0']),
+  query('tags').optional().isString().matches(/^\d+(,\d+)*$/).withMessage('Tags must be comma-separated tag ids'),
+  query('tag_match').optional().isString().isIn(['any', 'all']),
+  query('quadrant').optional().isString().matches(/^[1-4](,[1-4])*$/).withMessage('Quadrant must be a list of values 1-4'),
+  query('deadline_after').optional().isString().isISO8601(),
+  query('deadline_before').optional().isString().isISO8601(),
+  query('has_deadline').optional().isString().isIn(['true', 'false', '1', '0']),
+  query('planned_for').optional().isString().isISO8601(),
+  query('planned_before').optional().isString().isISO8601(),
+  query('blocked').optional().isString().isIn(['true', 'false', '1', '0']),
+  query('parent_id').optional().isString().custom(value => value === 'none' || /^\d+$/.test(value))
+    .withMessage('parent_id must be a task id or "none"'),
+  query('project_id').optional().isString().custom(value => value === 'none' || /^\d+$/.test(value))
+    .withMessage('project_id must be a project id or "none"'),
+  query('status_id').optional().isString().isInt({ min: 1 }),
+  query('q').optional().isString().isLength({ max: 200 }),
+  query('sort').optional().isString().isIn(Object.keys(TASK_SORTS)),
+  query('view').optional().isString().isIn(taskRankService.RANK_VIEWS),
+  query('offset').optional().isString().isInt({ min: 0 }),
+  query('saved_view').optional().isString().isInt({ min: 1 }).toInt()
+], (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    let filterQuery = req.query;
+    if (req.query.saved_view) {
+      const view = savedViewService.getView(req.query.saved_view, req.user.id);
+      if (!view) {
+        return res.status(404).json({
+          success: false,
+          message: 'View not found'
+        });
+      }
+
+      const today = getLocalTime(new Date(), userSettingsService.getSettings(req.user.id).timezone).date;
+      filterQuery = { ...savedViewService.getTaskQuery(view, today) };
+      if (req.query.sort) {
+        filterQuery.sort = req.query.sort;
+        filterQuery.view = req.query.view;
+      }
+    }
+
     const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 100));
-    const cursor = req.query.cursor ? parseInt(req.query.cursor) : null;
+    const { joins, joinParams, conditions, params: filterParams, orderBy, sort } = buildTaskFilters(filterQuery);
 
-    // Build WHERE clause - if cursor provided, add id filter
-    const whereClause = cursor
-      ? 'WHERE t.user_id = ? AND t.deleted_at IS NULL AND t.id < ?'
-      : 'WHERE t.user_id = ? AND t.deleted_at IS NULL';
+    // Id cursors only work with the default newest-first order;
+    // other sorts page with a plain offset
+    const useCursor = sort === DEFAULT_SORT;
+    const cursor = useCursor && req.query.cursor ? parseInt(req.query.cursor) : null;
+    const offset = useCursor ? 0 : (parseInt(req.query.offset) || 0);
 
-    const params = cursor ? [req.user.id, cursor, limit + 1] : [req.user.id, limit + 1];
+    const whereConditions = ['t.user_id = ?', 't.deleted_at IS NULL', ...conditions];
+    const params = [...joinParams, req.user.id, ...filterParams];
+
+    if (cursor) {
+      whereConditions.push('t.id < ?');
+      params.push(cursor);
+    }
 
     const tasks = db.prepare(`
-      SELECT
-        t.id, t.title, t.description, t.completed, t.importance, t.urgency,
-        t.why, t.deadline, t.parent_task_id, t.source_inbox_id, t.pomodoro_count, t.time_spent_minutes,
-        t.planned_for_today, t.created_at, t.updated_at,
-        GROUP_CONCAT(tag.id) as tag_ids,
-        GROUP_CONCAT(tag.name) as tag_names,
-        GROUP_CONCAT(tag.color) as tag_colors
+      SELECT ${TASK_COLUMNS},
+        ${QUADRANT_SQL} as quadrant
       FROM tasks t
-      LEFT JOIN task_tags tt ON t.id = tt.task_id
-      LEFT JOIN tags tag ON tt.tag_id = tag.id
-      ${whereClause}
+      ${TASK_TAG_JOINS}
+      ${joins}
+      WHERE ${whereConditions.join(' AND ')}
       GROUP BY t.id
-      ORDER BY t.id DESC
-      LIMIT ?
-    `).all(...params);
+      ORDER BY ${orderBy}
+      LIMIT ? OFFSET ?
+    `).all(...params, limit + 1, offset);
 
     const hasMore = tasks.length > limit;
     if (hasMore) tasks.pop(); // Remove the extra item
 
-    const transformedTasks = tasks.map(transformTaskWithTags);
-    const nextCursor = hasMore && tasks.length > 0 ? tasks[tasks.length - 1].id : null;
+    const rollups = taskTreeService.getRollups(tasks.map(t => t.id), req.user.id);
+    const transformedTasks = tasks.map(t => ({ ...transformTaskWithTags(t), rollup: rollups.get(t.id) }));
+    const nextCursor = useCursor && hasMore && tasks.length > 0 ? tasks[tasks.length - 1].id : null;
+    const nextOffset = !useCursor && hasMore ? offset + tasks.length : null;
 
     res.json({
       success: true,
       tasks: transformedTasks,
       pagination: {
         limit,
+        sort,
         next_cursor: nextCursor,
+        next_offset: nextOffset,
         has_more: hasMore
       }
     });
 
   } catch (error) {
-    console.error('Error fetching tasks:', error);
+    console.error('Error fetching tasks:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tasks'
+    });
+  }
+});
+
+// Tasks due or planned between two dates (inclusive), for the calendar
+// Deadlines count on their own date, whatever their time of day.
+// Optional filters: completed, project_id
+router.get('/calendar', [
+  query('from').isString().matches(/^\d{4}-\d{2}-\d{2}$/).isISO8601({ strict: true }).withMessage('from must be YYYY-MM-DD'),
+  query('to').isString().matches(/^\d{4}-\d{2}-\d{2}$/).isISO8601({ strict: true }).withMessage('to must be YYYY-MM-DD'),
+  query('completed').optional().isString().isIn(['true', 'false', '1', '0']),
+  query('project_id').optional().isString().custom(value => value === 'none' || /^\d+$/.test(value))
+    .withMessage('project_id must be a project id or "none"')
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { from, to } = req.query;
+    const days = (Date.parse(to) - Date.parse(from)) / 86400000 + 1;
+    if (days < 1 || days > MAX_CALENDAR_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `from must be on or before to, at most ${MAX_CALENDAR_DAYS} days apart`
+      });
+    }
+
+    const { conditions, params: filterParams } = buildTaskFilters({
+      completed: req.query.completed,
+      project_id: req.query.project_id
+    });
+
+    const tasks = db.prepare(`
+      SELECT ${TASK_COLUMNS}
+      FROM tasks t
+      ${TASK_TAG_JOINS}
+      WHERE ${['t.user_id = ?', 't.deleted_at IS NULL', ...conditions].join(' AND ')}
+        AND (substr(t.deadline, 1, 10) BETWEEN ? AND ? OR t.planned_for_today BETWEEN ? AND ?)
+      GROUP BY t.id
+      ORDER BY COALESCE(t.deadline, t.planned_for_today) ASC, t.id ASC
+    `).all(req.user.id, ...filterParams, from, to, from, to);
+
+    res.json({
+      success: true,
+      from,
+      to,
+      tasks: tasks.map(transformTaskWithTags)
+    });
+
+  } catch (error) {
+    console.error('Error fetching calendar tasks:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch calendar tasks'
+    });
+  }
+});
+
+// Apply one action to many tasks in a single transaction
+// Every id must belong to the user, otherwise nothing is changed
+router.post('/bulk', [
+  body('action').isIn(bulkTaskService.BULK_ACTIONS)
+    .withMessage(`Action must be one of: ${bulkTaskService.BULK_ACTIONS.join(', ')}`),
+  body('task_ids').isArray({ min: 1, max: bulkTaskService.MAX_BULK_TASKS })
+    .withMessage(`task_ids must be a list of 1-${bulkTaskService.MAX_BULK_TASKS} task ids`),
+  body('task_ids.*').isInt({ min: 1 }).toInt(),
+  body('tags').optional().isArray(),
+  body('tag_ids').optional().isArray(),
+  body('tag_ids.*').optional().isInt({ min: 1 }).toInt(),
+  body('importance').optional().isInt({ min: 0, max: 1000000 }).toInt(),
+  body('urgency').optional().isInt({ min: 0, max: 1000000 }).toInt(),
+  body('priorities').optional().isArray(),
+  body('priorities.*.id').optional().isInt({ min: 1 }).toInt(),
+  body('priorities.*.importance').optional().isInt({ min: 0, max: 1000000 }).toInt(),
+  body('priorities.*.urgency').optional().isInt({ min: 0, max: 1000000 }).toInt(),
+  body('parent_task_id').optional({ nullable: true }).isInt({ min: 1 }).toInt()
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { action } = req.body;
+    const taskIds = [...new Set(req.body.task_ids)];
+
+    const missingIds = bulkTaskService.findMissingTaskIds(taskIds, req.user.id);
+    if (missingIds.length > 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found',
+        missing_ids: missingIds
+      });
+    }
+
+    // Action-specific parameters
+    const invalid = (message) => res.status(400).json({ success: false, message });
+
+    if (action === 'tag' && !(req.body.tags && req.body.tags.length > 0)) {
+      return invalid('tags is required for the tag action');
+    }
+
+    if (action === 'untag' && !(req.body.tag_ids && req.body.tag_ids.length > 0)) {
+      return invalid('tag_ids is required for the untag action');
+    }
+
+    if (action === 'set-priority') {
+      const { importance, urgency, priorities } = req.body;
+
+      if (priorities) {
+        const selected = new Set(taskIds);
+        if (priorities.some(p => !selected.has(p.id))) {
+          return invalid('Every entry in priorities must refer to one of task_ids');
+        }
+      } else if (importance === undefined && urgency === undefined) {
+        return invalid('importance, urgency or priorities is required for the set-priority action');
+      }
+    }
+
+    if (action === 'move-parent') {
+      if (req.body.parent_task_id === undefined) {
+        return invalid('parent_task_id is required for the move-parent action (null for top level)');
+      }
+
+      if (req.body.parent_task_id !== null) {
+        const parent = db.prepare('SELECT id FROM tasks WHERE id = ? AND user_id = ? AND deleted_at IS NULL')
+          .get(req.body.parent_task_id, req.user.id);
+
+        if (!parent) {
+          return invalid('Parent task not found');
+        }
+
+        if (taskIds.some(id => taskTreeService.wouldCreateCycle(id, parent.id, req.user.id))) {
+          return invalid('A task cannot be nested under itself or its own subtasks');
+        }
+      }
+    }
+
+    const result = bulkTaskService.applyBulkAction(action, taskIds, req.body, req.user.id);
+
+    // Return the changed tasks (and any spawned occurrences) for the client to merge
+    const returnedIds = [...result.updated_ids, ...result.next_occurrence_ids];
+    const tasks = returnedIds.length > 0
+      ? db.prepare(`
+          SELECT ${TASK_COLUMNS}
+          FROM tasks t
+          ${TASK_TAG_JOINS}
+          WHERE t.id IN (${returnedIds.map(() => '?').join(',')}) AND t.user_id = ?
+          GROUP BY t.id
+        `).all(...returnedIds, req.user.id).map(transformTaskWithTags)
+      : [];
+
+    res.json({
+      success: true,
+      action,
+      tasks,
+      updated_ids: result.updated_ids,
+      deleted_ids: result.deleted_ids,
+      next_occurrence_ids: result.next_occurrence_ids
+    });
+
+  } catch (error) {
+    console.error('Error applying bulk task action:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update tasks'
+    });
+  }
+});
+
+// Get single task
+router.get('/:id', (req, res) => {
+  try {
+    const task = db.prepare(`
+      SELECT ${TASK_COLUMNS}
+      FROM tasks t
+      ${TASK_TAG_JOINS}
+      WHERE t.id = ? AND t.user_id = ? AND t.deleted_at IS NULL
+      GROUP BY t.id
+    `).get(req.params.id, req.user.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    // Transform the grouped tag data into arrays
+    const transformedTask = transformTaskWithTags(task);
+
+    res.json({
+      success: true,
+      task: transformedTask
+    });
+
+  } catch (error) {
+    console.error('Error fetching task:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch task'
+    });
+  }
+});
+
+// Get task with nested subtasks and progress rollup
+router.get('/:id/tree', (req, res) => {
+  try {
+    const tree = taskTreeService.getTaskTree(req.params.id, req.user.id);
+
+    if (!tree) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      task: tree
+    });
+
+  } catch (error) {
+    console.error('Error fetching task tree:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch task tree'
+    });
+  }
+});
+
+// Get a task's change history, newest first
+router.get('/:id/history', [
+  query('limit').optional().isInt({ min: 1, max: taskEventService.MAX_HISTORY_LIMIT }).toInt()
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const task = db.prepare('SELECT id FROM tasks WHERE id = ? AND user_id = ? AND deleted_at IS NULL')
+      .get(req.params.id, req.user.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      events: taskEventService.getTaskHistory(task.id, req.query.limit || 100)
+    });
+
+  } catch (error) {
+    console.error('Error fetching task history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch task history'
+    });
+  }
+});
+
+// Get a task's pomodoro sessions with their interruptions, newest first
+router.get('/:id/pomodoros', (req, res) => {
+  try {
+    const task = db.prepare('SELECT id FROM tasks WHERE id = ? AND user_id = ? AND deleted_at IS NULL')
+      .get(req.params.id, req.user.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      sessions: pomodoroService.listTaskSessions(task.id)
+    });
+
+  } catch (error) {
+    console.error('Error fetching pomodoro sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch pomodoro sessions'
+    });
+  }
+});
+
+// Get a task's reminders, soonest first
+router.get('/:id/reminders', (req, res) => {
+  try {
+    const task = db.prepare('SELECT id FROM tasks WHERE id = ? AND user_id = ? AND deleted_at IS NULL')
+      .get(req.params.id, req.user.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      reminders: reminderService.listTaskReminders(task.id)
+    });
+
+  } catch (error) {
+    console.error('Error fetching reminders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reminders'
+    });
+  }
+});
+
+// Add a reminder to a task
+// Body: before_deadline_minutes (e.g. 1440 = 1 day before the deadline - a deadline
+// without timezone is read in the user's timezone), or remind_at (ISO 8601)
+router.post('/:id/reminders', [
+  body('before_deadline_minutes').optional().isInt({ min: 0, max: 365 * 24 * 60 }).toInt(),
+  body('remind_at').optional().isISO8601({ strict: true }),
+  body().custom(value => (value.before_deadline_minutes === undefined) !== (value.remind_at === undefined))
+    .withMessage('Provide either before_deadline_minutes or remind_at')
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const task = db.prepare('SELECT id, deadline FROM tasks WHERE id = ? AND user_id = ? AND deleted_at IS NULL')
+      .get(req.params.id, req.user.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const { before_deadline_minutes, remind_at } = req.body;
+
+    if (before_deadline_minutes !== undefined && !task.deadline) {
+      return res.status(400).json({
+        success: false,
+        message: 'Task has no deadline to remind before'
+      });
+    }
+
+    const reminder = reminderService.createReminder(task, req.user.id, before_deadline_minutes !== undefined
+      ? { beforeDeadlineMinutes: before_deadline_minutes }
+      : { remindAt: timeEntryService.toSqlTimestamp(remind_at) });
+
+    if (!reminder) {
+      return res.status(409).json({
+        success: false,
+        message: 'Task already has this reminder'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      reminder
+    });
+
+  } catch (error) {
+    console.error('Error creating reminder:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create reminder'
+    });
+  }
+});
+
+// Complete all incomplete subtasks (at any depth) of a task
+router.post('/:id/complete-subtasks', (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingTask = db.prepare('SELECT * FROM tasks WHERE id = ? AND user_id = ? AND deleted_at IS NULL')
+      .get(id, req.user.id);
+
+    if (!existingTask) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const { completed_ids, next_occurrence_ids } = taskTreeService.completeDescendants(existingTask.id, req.user.id);
+
+    res.json({
+      success: true,
+      completed_ids,
+      next_occurrence_ids
+    });
+
+  } catch (error) {
+    console.error('Error completing subtasks:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to complete subtasks'
+    });
+  }
+});
+
+// Get "blocked by" and "blocking" tasks for a task
+router.get('/:id/dependencies', (req, res) => {
+  try {
+    const existingTask = db.prepare('SELECT id FROM tasks WHERE id = ? AND user_id = ? AND deleted_at IS NULL')
+      .get(req.params.id, req.user.id);
+
+    if (!existingTask) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      dependencies: dependencyService.getDependencies(existingTask.id)
+    });
+
+  } catch (error) {
+    console.error('Error fetching task dependencies:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch task dependencies'
+    });
+  }
+});
+
+// Mark a task as blocked by another task
+router.post('/:id/dependencies', [
+  body('blocked_by_task_id').isInt().withMessage('blocked_by_task_id is required')
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const findTask = db.prepare('SELECT id FROM tasks WHERE id = ? AND user_id = ? AND deleted_at IS NULL');
+    const existingTask = findTask.get(req.params.id, req.user.id);
+    const blocker = findTask.get(req.body.blocked_by_task_id, req.user.id);
+
+    if (!existingTask || !blocker) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (dependencyService.wouldCreateCycle(existingTask.id, blocker.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This dependency would create a cycle'
+      });
+    }
+
+    dependencyService.addDependency(existingTask.id, blocker.id);
+
+    res.status(201).json({
+      success: true,
+      task: transformTaskWithTags(getTaskWithTags(existingTask.id)),
+      dependencies: dependencyService.getDependencies(existingTask.id)
+    });
+
+  } catch (error) {
+    console.error('Error adding task dependency:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add task dependency'
+    });
+  }
+});
+
+// Remove a "blocked by" link
+router.delete('/:id/dependencies/:blockedById', (req, res) => {
+  try {
+    const existingTask = db.prepare('SELECT id FROM tasks WHERE id = ? AND user_id = ? AND deleted_at IS NULL')
+      .get(req.params.id, req.user.id);
+
+    if (!existingTask) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!dependencyService.removeDependency(existingTask.id, req.params.blockedById)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dependency not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      task: transformTaskWithTags(getTaskWithTags(existingTask.id)),
+      dependencies: dependencyService.getDependencies(existingTask.id)
+    });
+
+  } catch (error) {
+    console.error('Error removing task dependency:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch tasks'
+      message: 'Failed to remove task dependency'
     });
   }
 });
 
-// Get single task
-router.get('/:id', (req, res) => {
+// Create new task
+// Parse quick-add text ("Call supplier tomorrow 3pm #work !urgent >today")
+// into task fields without saving anything, so the client can show a preview
+// and then create the task with them (see utils/quickAdd.js).
+// Relative dates use the timezone sent by the client, or the user's setting.
+router.post('/parse', [
+  body('text').isString().trim().isLength({ min: 1, max: 1000 }).withMessage('Text is required'),
+  body('timezone').optional().custom(isValidTimezone).withMessage('Unknown timezone')
+], (req, res) => {
   try {
-    const task = db.prepare(`
-      SELECT
-        t.id, t.title, t.description, t.completed, t.importance, t.urgency,
-        t.why, t.deadline, t.parent_task_id, t.source_inbox_id, t.pomodoro_count, t.time_spent_minutes,
-        t.planned_for_today, t.created_at, t.updated_at,
-        GROUP_CONCAT(tag.id) as tag_ids,
-        GROUP_CONCAT(tag.name) as tag_names,
-        GROUP_CONCAT(tag.color) as tag_colors
-      FROM tasks t
-      LEFT JOIN task_tags tt ON t.id = tt.task_id
-      LEFT JOIN tags tag ON tt.tag_id = tag.id
-      WHERE t.id = ? AND t.user_id = ? AND t.deleted_at IS NULL
-      GROUP BY t.id
-    `).get(req.params.id, req.user.id);
-
-    if (!task) {
-      return res.status(404).json({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        message: 'Task not found'
+        errors: errors.array()
       });
     }
 
-    // Transform the grouped tag data into arrays
-    const transformedTask = transformTaskWithTags(task);
+    const timezone = req.body.timezone || userSettingsService.getSettings(req.user.id).timezone;
 
     res.json({
       success: true,
-      task: transformedTask
+      parsed: parseQuickAdd(req.body.text, { timezone })
     });
 
   } catch (error) {
-    console.error('Error fetching task:', error);
+    console.error('Error parsing quick add:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch task'
+      message: 'Failed to parse text'
     });
   }
 });
 
-// Create new task
 router.post('/', [
   body('title').trim().isLength({ min: 1 }).withMessage('Title is required'),
   body('description').optional().trim(),
   body('why').optional().trim(),
   body('importance').optional().isInt({ min: 0, max: 1000000 }),
   body('urgency').optional().isInt({ min: 0, max: 1000000 }),
+  body('auto_urgency').optional().isBoolean().toBoolean(),
   body('deadline').optional().isISO8601(),
   body('parent_task_id').optional().isInt(),
   body('source_inbox_id').optional().isInt(),
+  body('recurrence_rule').optional({ nullable: true }).custom(validateRecurrenceRule).customSanitizer(sanitizeRecurrenceRule),
+  body('estimate_minutes').optional({ nullable: true }).isInt({ min: 1, max: MAX_ESTIMATE_MINUTES }).toInt(),
+  body('planned_for_today').optional({ nullable: true }).matches(/^\d{4}-\d{2}-\d{2}$/).isISO8601({ strict: true }),
+  body('project_id').optional({ nullable: true }).isInt({ min: 1 }).toInt(),
   body('tags').optional().isArray()
 ], (req, res) => {
   try {
@@ -130,52 +750,73 @@ router.post('/', [
     }
 
     const {
-      title, description, why, importance, urgency,
-      deadline, parent_task_id, source_inbox_id, tags
+      title, description, why, importance, urgency, auto_urgency,
+      deadline, parent_task_id, source_inbox_id, recurrence_rule, estimate_minutes, planned_for_today, tags
     } = req.body;
 
+    const parent = parent_task_id
+      ? db.prepare('SELECT id, project_id FROM tasks WHERE id = ? AND user_id = ? AND deleted_at IS NULL')
+        .get(parent_task_id, req.user.id)
+      : null;
+
+    if (parent_task_id && !parent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Parent task not found'
+      });
+    }
+
+    if (!projectService.ownsProject(req.user.id, req.body.project_id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    // Subtasks join their parent's project unless one is given
+    let projectId = req.body.project_id;
+    if (projectId === undefined) {
+      projectId = parent ? parent.project_id : null;
+    }
+
     const stmt = db.prepare(`
       INSERT INTO tasks (
-        user_id, title, description, why, importance, urgency,
-        deadline, parent_task_id, source_inbox_id
+        user_id, title, description, why, importance, urgency, auto_urgency,
+        deadline, parent_task_id, source_inbox_id, recurrence_rule, estimate_minutes, planned_for_today, project_id
       )
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
-    const result = stmt.run(
-      req.user.id,
-      sanitizeText(title),
-      description ? sanitizeText(description) : null,
-      why ? sanitizeText(why) : null,
-      importance !== undefined ? importance : 500000,
-      urgency !== undefined ? urgency : 500000,
-      deadline || null,
-      parent_task_id || null,
-      source_inbox_id || null
-    );
+    const taskId = db.transaction(() => {
+      const result = stmt.run(
+        req.user.id,
+        sanitizeText(title),
+        description ? sanitizeText(description) : null,
+        why ? sanitizeText(why) : null,
+        importance !== undefined ? importance : 500000,
+        urgency !== undefined ? urgency : 500000,
+        auto_urgency ? 1 : 0,
+        deadline || null,
+        parent_task_id || null,
+        source_inbox_id || null,
+        recurrence_rule || null,
+        estimate_minutes || null,
+        planned_for_today || null,
+        projectId
+      );
+
+      // Handle tags if provided
+      if (tags && tags.length > 0) {
+        tagService.attachTagsToTask(result.lastInsertRowid, tags, req.user.id);
+      }
 
-    const taskId = result.lastInsertRowid;
+      taskEventService.recordCreated([result.lastInsertRowid], req.user.id);
 
-    // Handle tags if provided
-    if (tags && tags.length > 0) {
-      tagService.attachTagsToTask(taskId, tags, req.user.id);
-    }
+      return result.lastInsertRowid;
+    })();
 
     // Fetch the created task with tags
-    const task = db.prepare(`
-      SELECT
-        t.id, t.title, t.description, t.completed, t.importance, t.urgency,
-        t.why, t.deadline, t.parent_task_id, t.source_inbox_id, t.pomodoro_count, t.time_spent_minutes,
-        t.planned_for_today, t.created_at, t.updated_at, t.deleted_at, t.user_id,
-        GROUP_CONCAT(tag.id) as tag_ids,
-        GROUP_CONCAT(tag.name) as tag_names,
-        GROUP_CONCAT(tag.color) as tag_colors
-      FROM tasks t
-      LEFT JOIN task_tags tt ON t.id = tt.task_id
-      LEFT JOIN tags tag ON tt.tag_id = tag.id
-      WHERE t.id = ?
-      GROUP BY t.id
-    `).get(taskId);
+    const task = getTaskWithTags(taskId);
 
     // Transform tags
     const transformedTask = transformTaskWithTags(task);
@@ -198,12 +839,16 @@ router.post('/', [
 router.put('/:id', [
   body('title').optional().trim().isLength({ min: 1 }),
   body('description').optional().trim(),
-  body('completed').optional().isBoolean(),
+  body('completed').optional().isBoolean().toBoolean().customSanitizer(value => (value ? 1 : 0)),
   body('why').optional().trim(),
   body('importance').optional().isInt({ min: 0, max: 1000000 }),
   body('urgency').optional().isInt({ min: 0, max: 1000000 }),
+  body('auto_urgency').optional().isBoolean().toBoolean().customSanitizer(value => (value ? 1 : 0)),
   body('deadline').optional().isISO8601(),
-  body('parent_task_id').optional().isInt(),
+  body('parent_task_id').optional({ nullable: true }).isInt(),
+  body('recurrence_rule').optional({ nullable: true }).custom(validateRecurrenceRule).customSanitizer(sanitizeRecurrenceRule),
+  body('estimate_minutes').optional({ nullable: true }).isInt({ min: 1, max: MAX_ESTIMATE_MINUTES }).toInt(),
+  body('project_id').optional({ nullable: true }).isInt({ min: 1 }).toInt(),
   body('tags').optional().isArray()
 ], (req, res) => {
   try {
@@ -228,6 +873,33 @@ router.put('/:id', [
       });
     }
 
+    // A task can't be moved under itself or one of its own subtasks
+    if (req.body.parent_task_id !== undefined && req.body.parent_task_id !== null) {
+      const parent = db.prepare('SELECT id FROM tasks WHERE id = ? AND user_id = ? AND deleted_at IS NULL')
+        .get(req.body.parent_task_id, req.user.id);
+
+      if (!parent) {
+        return res.status(400).json({
+          success: false,
+          message: 'Parent task not found'
+        });
+      }
+
+      if (taskTreeService.wouldCreateCycle(existingTask.id, parent.id, req.user.id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'A task cannot be nested under itself or its own subtasks'
+        });
+      }
+    }
+
+    if (!projectService.ownsProject(req.user.id, req.body.project_id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
     // Build update query using dynamic update utility
     const { query, values, hasUpdates } = buildTaskUpdateQuery(
       req.body,
@@ -244,31 +916,29 @@ router.put('/:id', [
       });
     }
 
-    // Update task fields if any
-    if (hasUpdates) {
-      db.prepare(query).run(...values);
-    }
+    db.transaction(() => {
+      const before = taskEventService.snapshotTasks([existingTask.id]);
 
-    // Handle tags update if provided
-    if (req.body.tags !== undefined) {
-      tagService.updateTaskTags(id, req.body.tags, req.user.id);
-    }
+      // Update task fields if any
+      if (hasUpdates) {
+        db.prepare(query).run(...values);
+      }
+
+      // Handle tags update if provided
+      if (req.body.tags !== undefined) {
+        tagService.updateTaskTags(id, req.body.tags, req.user.id);
+      }
+
+      // Deadline reminders follow the deadline
+      if (req.body.deadline !== undefined) {
+        reminderService.rescheduleForTask(existingTask.id);
+      }
+
+      taskEventService.recordChanges('update', before, req.user.id);
+    })();
 
     // Fetch updated task with tags
-    const task = db.prepare(`
-      SELECT
-        t.id, t.title, t.description, t.completed, t.importance, t.urgency,
-        t.why, t.deadline, t.parent_task_id, t.source_inbox_id, t.pomodoro_count, t.time_spent_minutes,
-        t.planned_for_today, t.created_at, t.updated_at, t.deleted_at, t.user_id,
-        GROUP_CONCAT(tag.id) as tag_ids,
-        GROUP_CONCAT(tag.name) as tag_names,
-        GROUP_CONCAT(tag.color) as tag_colors
-      FROM tasks t
-      LEFT JOIN task_tags tt ON t.id = tt.task_id
-      LEFT JOIN tags tag ON tt.tag_id = tag.id
-      WHERE t.id = ?
-      GROUP BY t.id
-    `).get(id);
+    const task = getTaskWithTags(id);
 
     // Transform tags
     const transformedTask = transformTaskWithTags(task);
@@ -288,9 +958,23 @@ router.put('/:id', [
 });
 
 // Toggle task completion
-router.patch('/:id/toggle', (req, res) => {
+// Optional body.cascade: ['children', 'parent'] applies cascades immediately;
+// cascades that weren't applied come back as cascade_offers for the client to ask about
+router.patch('/:id/toggle', [
+  body('cascade').optional().isArray(),
+  body('cascade.*').optional().isIn(['children', 'parent'])
+], (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
     const { id } = req.params;
+    const cascade = req.body.cascade || [];
 
     // Check if task exists and belongs to user
     const existingTask = db.prepare('SELECT * FROM tasks WHERE id = ? AND user_id = ? AND deleted_at IS NULL')
@@ -306,27 +990,51 @@ router.patch('/:id/toggle', (req, res) => {
     // Toggle completion status
     const newStatus = existingTask.completed ? 0 : 1;
 
-    db.prepare(`
-      UPDATE tasks
-      SET completed = ?, updated_at = CURRENT_TIMESTAMP
-      WHERE id = ? AND user_id = ?
-    `).run(newStatus, id, req.user.id);
+    // Completing a recurring task spawns its next occurrence in the same transaction
+    const { nextOccurrenceId, cascadedIds, cascadeOffers } = db.transaction(() => {
+      const before = taskEventService.snapshotTasks([existingTask.id]);
+
+      db.prepare(`
+        UPDATE tasks
+        SET completed = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND user_id = ?
+      `).run(newStatus, id, req.user.id);
+
+      taskEventService.recordChanges('toggle', before, req.user.id);
+
+      if (newStatus === 0) {
+        return { nextOccurrenceId: null, cascadedIds: [], cascadeOffers: [] };
+      }
+
+      const nextId = recurrenceService.createNextOccurrence(existingTask);
+      const completedIds = [];
+
+      if (cascade.includes('children')) {
+        completedIds.push(...taskTreeService.completeDescendants(existingTask.id, req.user.id).completed_ids);
+      }
+
+      let offers = taskTreeService.getCascadeOffers(existingTask, req.user.id);
+
+      // Walk up while each completion finishes off its parent's last child
+      if (cascade.includes('parent')) {
+        let parentOffer = offers.find(offer => offer.type === 'complete_parent');
+        offers = offers.filter(offer => offer.type !== 'complete_parent');
+
+        while (parentOffer) {
+          const parent = db.prepare('SELECT * FROM tasks WHERE id = ?').get(parentOffer.task_id);
+          taskTreeService.completeTasks([parent]);
+          completedIds.push(parent.id);
+
+          parentOffer = taskTreeService.getCascadeOffers(parent, req.user.id)
+            .find(offer => offer.type === 'complete_parent');
+        }
+      }
+
+      return { nextOccurrenceId: nextId, cascadedIds: completedIds, cascadeOffers: offers };
+    })();
 
     // Fetch updated task with tags
-    const task = db.prepare(`
-      SELECT
-        t.id, t.title, t.description, t.completed, t.importance, t.urgency,
-        t.why, t.deadline, t.parent_task_id, t.source_inbox_id, t.pomodoro_count, t.time_spent_minutes,
-        t.planned_for_today, t.created_at, t.updated_at,
-        GROUP_CONCAT(tag.id) as tag_ids,
-        GROUP_CONCAT(tag.name) as tag_names,
-        GROUP_CONCAT(tag.color) as tag_colors
-      FROM tasks t
-      LEFT JOIN task_tags tt ON t.id = tt.task_id
-      LEFT JOIN tags tag ON tt.tag_id = tag.id
-      WHERE t.id = ?
-      GROUP BY t.id
-    `).get(id);
+    const task = getTaskWithTags(id);
 
     if (!task) {
       return res.status(404).json({
@@ -340,7 +1048,12 @@ router.patch('/:id/toggle', (req, res) => {
 
     res.json({
       success: true,
-      task: transformedTask
+      task: transformedTask,
+      next_occurrence: nextOccurrenceId ? transformTaskWithTags(getTaskWithTags(nextOccurrenceId)) : null,
+      cascaded_ids: cascadedIds,
+      cascade_offers: cascadeOffers,
+      // Tasks whose is_blocked flag may have changed
+      blocking_ids: dependencyService.getDependencies(id).blocking.map(t => t.id)
     });
 
   } catch (error) {
@@ -352,11 +1065,26 @@ router.patch('/:id/toggle', (req, res) => {
   }
 });
 
-// Update pomodoro count
-router.patch('/:id/pomodoro', (req, res) => {
+// Move a task to a workflow status (a Kanban column)
+// Moving into a done status completes the task, moving out of one reopens it.
+// Optional after_id / before_id place it in the board's manual order
+router.patch('/:id/status', [
+  body('status_id').isInt({ min: 1 }).toInt(),
+  body('after_id').optional({ nullable: true }).isInt({ min: 1 }).toInt(),
+  body('before_id').optional({ nullable: true }).isInt({ min: 1 }).toInt()
+], (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
     const { id } = req.params;
-    const { count } = req.body;
+    const afterId = req.body.after_id || null;
+    const beforeId = req.body.before_id || null;
 
     // Check if task exists and belongs to user
     const existingTask = db.prepare('SELECT * FROM tasks WHERE id = ? AND user_id = ? AND deleted_at IS NULL')
@@ -369,35 +1097,190 @@ router.patch('/:id/pomodoro', (req, res) => {
       });
     }
 
-    // Update pomodoro count
-    db.prepare(`
-      UPDATE tasks
-      SET pomodoro_count = ?, updated_at = CURRENT_TIMESTAMP
-      WHERE id = ? AND user_id = ?
-    `).run(count, id, req.user.id);
+    const status = taskStatusService.getStatus(req.body.status_id, req.user.id);
+    if (!status) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status not found'
+      });
+    }
 
-    // Fetch updated task with tags
-    const task = db.prepare(`
-      SELECT
-        t.id, t.title, t.description, t.completed, t.importance, t.urgency,
-        t.why, t.deadline, t.parent_task_id, t.source_inbox_id, t.pomodoro_count, t.time_spent_minutes,
-        t.planned_for_today, t.created_at, t.updated_at,
-        GROUP_CONCAT(tag.id) as tag_ids,
-        GROUP_CONCAT(tag.name) as tag_names,
-        GROUP_CONCAT(tag.color) as tag_colors
-      FROM tasks t
-      LEFT JOIN task_tags tt ON t.id = tt.task_id
-      LEFT JOIN tags tag ON tt.tag_id = tag.id
-      WHERE t.id = ?
-      GROUP BY t.id
-    `).get(id);
+    const currentStatusId = taskStatusService.getTaskStatusId(existingTask.id);
+    if (!taskStatusService.canTransition(currentStatusId, status.id)) {
+      const current = taskStatusService.getStatus(currentStatusId, req.user.id);
+      return res.status(400).json({
+        success: false,
+        message: `Tasks in "${current.name}" cannot move to "${status.name}"`
+      });
+    }
 
-    // Transform tags
-    const transformedTask = transformTaskWithTags(task);
+    const neighbourIds = [afterId, beforeId].filter(Boolean);
+    if (neighbourIds.includes(existingTask.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A task cannot be moved next to itself'
+      });
+    }
+
+    if (bulkTaskService.findMissingTaskIds(neighbourIds, req.user.id).length > 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Neighbour task not found'
+      });
+    }
+
+    // The board position and the status change together; completing a
+    // recurring task spawns its next occurrence in the same transaction
+    const moved = db.transaction(() => {
+      if (neighbourIds.length > 0 && !taskRankService.moveTask(existingTask, 'board', { afterId, beforeId }, req.user.id)) {
+        return null;
+      }
+      return { nextOccurrenceId: taskStatusService.moveTaskToStatus(existingTask, status) };
+    })();
+
+    if (!moved) {
+      return res.status(400).json({
+        success: false,
+        message: 'after_id must come before before_id on the board'
+      });
+    }
 
     res.json({
       success: true,
-      task: transformedTask
+      task: transformTaskWithTags(getTaskWithTags(id)),
+      next_occurrence: moved.nextOccurrenceId ? transformTaskWithTags(getTaskWithTags(moved.nextOccurrenceId)) : null
+    });
+
+  } catch (error) {
+    console.error('Error moving task to status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to move task'
+    });
+  }
+});
+
+// Move a task in the manual order of a list view
+// after_id: place it right after this task; before_id: right before this task
+router.post('/:id/move', [
+  body('view').optional().isIn(taskRankService.RANK_VIEWS),
+  body('after_id').optional({ nullable: true }).isInt({ min: 1 }).toInt(),
+  body('before_id').optional({ nullable: true }).isInt({ min: 1 }).toInt()
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const view = req.body.view || taskRankService.DEFAULT_VIEW;
+    const afterId = req.body.after_id || null;
+    const beforeId = req.body.before_id || null;
+
+    // Check if task exists and belongs to user
+    const existingTask = db.prepare('SELECT * FROM tasks WHERE id = ? AND user_id = ? AND deleted_at IS NULL')
+      .get(id, req.user.id);
+
+    if (!existingTask) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!afterId && !beforeId) {
+      return res.status(400).json({
+        success: false,
+        message: 'after_id or before_id is required'
+      });
+    }
+
+    if (afterId === existingTask.id || beforeId === existingTask.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'A task cannot be moved next to itself'
+      });
+    }
+
+    const neighbourIds = [afterId, beforeId].filter(Boolean);
+    if (bulkTaskService.findMissingTaskIds(neighbourIds, req.user.id).length > 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Neighbour task not found'
+      });
+    }
+
+    const result = taskRankService.moveTask(existingTask, view, { afterId, beforeId }, req.user.id);
+
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        message: 'after_id must come before before_id in this view'
+      });
+    }
+
+    res.json({
+      success: true,
+      task: transformTaskWithTags(getTaskWithTags(id)),
+      view,
+      rank: result.rank,
+      rebalanced: result.rebalanced
+    });
+
+  } catch (error) {
+    console.error('Error moving task:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to move task'
+    });
+  }
+});
+
+// Update pomodoro count
+// Deprecated: pomodoros are logged as sessions (POST /api/pomodoros). A higher
+// count is logged as that many completed sessions ending now; the count can't
+// be lowered, since it is the number of completed sessions
+router.patch('/:id/pomodoro', [
+  body('count').isInt({ min: 0, max: 1000 }).toInt()
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const existingTask = db.prepare('SELECT * FROM tasks WHERE id = ? AND user_id = ? AND deleted_at IS NULL')
+      .get(req.params.id, req.user.id);
+
+    if (!existingTask) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const added = req.body.count - (existingTask.pomodoro_count || 0);
+    if (added < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The pomodoro count is the number of completed sessions and cannot be lowered'
+      });
+    }
+
+    if (added > 0) {
+      pomodoroService.logCompletedSessions(existingTask.id, req.user.id, added);
+    }
+
+    res.json({
+      success: true,
+      task: transformTaskWithTags(getTaskWithTags(existingTask.id))
     });
 
   } catch (error) {
@@ -410,6 +1293,7 @@ router.patch('/:id/pomodoro', (req, res) => {
 });
 
 // Add time spent to task
+// Logs a manual time entry of that many minutes ending now
 router.patch('/:id/add-time', (req, res) => {
   try {
     const { id } = req.params;
@@ -434,28 +1318,17 @@ router.patch('/:id/add-time', (req, res) => {
       });
     }
 
-    // Add minutes to existing time_spent_minutes
-    db.prepare(`
-      UPDATE tasks
-      SET time_spent_minutes = time_spent_minutes + ?, updated_at = CURRENT_TIMESTAMP
-      WHERE id = ? AND user_id = ?
-    `).run(minutes, id, req.user.id);
+    // time_spent_minutes is derived from the task's entries
+    if (minutes > 0) {
+      const now = Date.now();
+      timeEntryService.createEntry(existingTask.id, req.user.id, {
+        startedAt: timeEntryService.toSqlTimestamp(now - minutes * 60000),
+        endedAt: timeEntryService.toSqlTimestamp(now)
+      });
+    }
 
     // Fetch updated task with tags
-    const task = db.prepare(`
-      SELECT
-        t.id, t.title, t.description, t.completed, t.importance, t.urgency,
-        t.why, t.deadline, t.parent_task_id, t.source_inbox_id, t.pomodoro_count, t.time_spent_minutes,
-        t.planned_for_today, t.created_at, t.updated_at,
-        GROUP_CONCAT(tag.id) as tag_ids,
-        GROUP_CONCAT(tag.name) as tag_names,
-        GROUP_CONCAT(tag.color) as tag_colors
-      FROM tasks t
-      LEFT JOIN task_tags tt ON t.id = tt.task_id
-      LEFT JOIN tags tag ON tt.tag_id = tag.id
-      WHERE t.id = ?
-      GROUP BY t.id
-    `).get(id);
+    const task = getTaskWithTags(id);
 
     // Transform tags
     const transformedTask = transformTaskWithTags(task);
@@ -475,8 +1348,19 @@ router.patch('/:id/add-time', (req, res) => {
 });
 
 // Toggle plan for today
-router.patch('/:id/plan-today', (req, res) => {
+// With body.date (YYYY-MM-DD) the task is planned for that day instead of toggled
+router.patch('/:id/plan-today', [
+  body('date').optional().matches(/^\d{4}-\d{2}-\d{2}$/).isISO8601({ strict: true }).withMessage('date must be YYYY-MM-DD')
+], (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
     const { id } = req.params;
 
     // Check if task exists and belongs to user
@@ -494,36 +1378,35 @@ router.patch('/:id/plan-today', (req, res) => {
     const today = new Date().toISOString().split('T')[0];
 
     // Toggle: if planned_for_today is NULL, set it to today; otherwise set to NULL
-    const newValue = existingTask.planned_for_today ? null : today;
+    const newValue = req.body.date || (existingTask.planned_for_today ? null : today);
 
-    db.prepare(`
-      UPDATE tasks
-      SET planned_for_today = ?, updated_at = CURRENT_TIMESTAMP
-      WHERE id = ? AND user_id = ?
-    `).run(newValue, id, req.user.id);
+    db.transaction(() => {
+      const before = taskEventService.snapshotTasks([existingTask.id]);
+
+      db.prepare(`
+        UPDATE tasks
+        SET planned_for_today = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND user_id = ?
+      `).run(newValue, id, req.user.id);
+
+      taskEventService.recordChanges(newValue ? 'plan' : 'unplan', before, req.user.id);
+    })();
 
     // Fetch updated task with tags
-    const task = db.prepare(`
-      SELECT
-        t.id, t.title, t.description, t.completed, t.importance, t.urgency,
-        t.why, t.deadline, t.parent_task_id, t.source_inbox_id, t.pomodoro_count, t.time_spent_minutes,
-        t.planned_for_today, t.created_at, t.updated_at,
-        GROUP_CONCAT(tag.id) as tag_ids,
-        GROUP_CONCAT(tag.name) as tag_names,
-        GROUP_CONCAT(tag.color) as tag_colors
-      FROM tasks t
-      LEFT JOIN task_tags tt ON t.id = tt.task_id
-      LEFT JOIN tags tag ON tt.tag_id = tag.id
-      WHERE t.id = ?
-      GROUP BY t.id
-    `).get(id);
+    const task = getTaskWithTags(id);
 
     // Transform tags
     const transformedTask = transformTaskWithTags(task);
 
+    // Planning a blocked task is allowed, but the client should warn about it
+    const openBlockers = newValue ? dependencyService.countOpenBlockers(id) : 0;
+
     res.json({
       success: true,
-      task: transformedTask
+      task: transformedTask,
+      warning: openBlockers > 0
+        ? `This task is blocked by ${openBlockers} unfinished ${openBlockers === 1 ? 'task' : 'tasks'}`
+        : null
     });
 
   } catch (error) {
@@ -552,27 +1435,20 @@ router.patch('/:id/unplan', (req, res) => {
     }
 
     // Clear planned_for_today to move task back to tasks list
-    db.prepare(`
-      UPDATE tasks
-      SET planned_for_today = NULL, updated_at = CURRENT_TIMESTAMP
-      WHERE id = ? AND user_id = ?
-    `).run(id, req.user.id);
+    db.transaction(() => {
+      const before = taskEventService.snapshotTasks([existingTask.id]);
+
+      db.prepare(`
+        UPDATE tasks
+        SET planned_for_today = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND user_id = ?
+      `).run(id, req.user.id);
+
+      taskEventService.recordChanges('unplan', before, req.user.id);
+    })();
 
     // Fetch updated task with tags
-    const task = db.prepare(`
-      SELECT
-        t.id, t.title, t.description, t.completed, t.importance, t.urgency,
-        t.why, t.deadline, t.parent_task_id, t.source_inbox_id, t.pomodoro_count, t.time_spent_minutes,
-        t.planned_for_today, t.created_at, t.updated_at,
-        GROUP_CONCAT(tag.id) as tag_ids,
-        GROUP_CONCAT(tag.name) as tag_names,
-        GROUP_CONCAT(tag.color) as tag_colors
-      FROM tasks t
-      LEFT JOIN task_tags tt ON t.id = tt.task_id
-      LEFT JOIN tags tag ON tt.tag_id = tag.id
-      WHERE t.id = ?
-      GROUP BY t.id
-    `).get(id);
+    const task = getTaskWithTags(id);
 
     // Transform tags
     const transformedTask = transformTaskWithTags(task);
@@ -591,7 +1467,7 @@ router.patch('/:id/unplan', (req, res) => {
   }
 });
 
-// Delete task (soft delete)
+// Delete task (soft delete - moves the task and its subtasks to the trash)
 router.delete('/:id', (req, res) => {
   try {
     const { id } = req.params;
@@ -607,12 +1483,12 @@ router.delete('/:id', (req, res) => {
       });
     }
 
-    // Soft delete task
-    db.prepare('UPDATE tasks SET deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ?').run(id, req.user.id);
+    const deletedIds = trashService.trashTask(existingTask.id, req.user.id);
 
     res.json({
       success: true,
-      message: 'Task deleted successfully'
+      message: 'Task deleted successfully',
+      deleted_ids: deletedIds
     });
 
   } catch (error) {
@@ -0,0 +1,333 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const db = require('../database/db');
+const authMiddleware = require('../middleware/auth');
+const { sanitizeText } = require('../utils/sanitize');
+const { normalizeTemplateTask } = require('../utils/taskTemplates');
+const { getLocalTime } = require('../utils/timezone');
+const templateService = require('../services/templateService');
+const taskTreeService = require('../services/taskTreeService');
+const userSettingsService = require('../services/userSettingsService');
+
+// All template routes require authentication
+router.use(authMiddleware);
+
+// express-validator custom check: the task tree must normalize
+const validateTemplateTask = (value) => {
+  normalizeTemplateTask(value);
+  return true;
+};
+
+const nameValidator = () => body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name is required (max 100 characters)');
+const descriptionValidator = () => body('description').optional({ nullable: true }).trim().isLength({ max: 1000 });
+
+/**
+ * GET /api/templates
+ * The user's templates by name, each with its task tree and task_count
+ */
+router.get('/', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      templates: templateService.listTemplates(req.user.id)
+    });
+
+  } catch (error) {
+    console.error('Error fetching templates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch templates'
+    });
+  }
+});
+
+/**
+ * GET /api/templates/:id
+ * One template with its task tree
+ */
+router.get('/:id', (req, res) => {
+  try {
+    const template = templateService.getTemplate(req.params.id, req.user.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      template
+    });
+
+  } catch (error) {
+    console.error('Error fetching template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch template'
+    });
+  }
+});
+
+/**
+ * POST /api/templates
+ * Create a template
+ * Body: name, description, task (parent task with subtasks - see utils/taskTemplates.js)
+ */
+router.post('/', [
+  nameValidator(),
+  descriptionValidator(),
+  body('task').custom(validateTemplateTask)
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const name = sanitizeText(req.body.name);
+    if (templateService.isNameTaken(req.user.id, name)) {
+      return res.status(409).json({
+        success: false,
+        message: 'A template with this name already exists'
+      });
+    }
+
+    const template = templateService.createTemplate(req.user.id, {
+      name,
+      description: req.body.description ? sanitizeText(req.body.description) : null,
+      task: req.body.task
+    });
+
+    res.status(201).json({
+      success: true,
+      template
+    });
+
+  } catch (error) {
+    console.error('Error creating template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create template'
+    });
+  }
+});
+
+/**
+ * POST /api/templates/from-task/:taskId
+ * Save an existing task and its subtasks as a template
+ * Deadlines are kept as days after the day the task was created.
+ * Body: name, description
+ */
+router.post('/from-task/:taskId', [
+  nameValidator(),
+  descriptionValidator()
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const name = sanitizeText(req.body.name);
+    if (templateService.isNameTaken(req.user.id, name)) {
+      return res.status(409).json({
+        success: false,
+        message: 'A template with this name already exists'
+      });
+    }
+
+    const { timezone } = userSettingsService.getSettings(req.user.id);
+    let task;
+    try {
+      task = templateService.buildTemplateTask(req.params.taskId, req.user.id, timezone);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const template = templateService.createTemplate(req.user.id, {
+      name,
+      description: req.body.description ? sanitizeText(req.body.description) : null,
+      task
+    });
+
+    res.status(201).json({
+      success: true,
+      template
+    });
+
+  } catch (error) {
+    console.error('Error saving task as template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save task as template'
+    });
+  }
+});
+
+/**
+ * PUT /api/templates/:id
+ * Update a template
+ * Body: name, description, task (all optional)
+ */
+router.put('/:id', [
+  nameValidator().optional(),
+  descriptionValidator(),
+  body('task').optional().custom(validateTemplateTask)
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const template = templateService.getTemplate(req.params.id, req.user.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    const name = req.body.name !== undefined ? sanitizeText(req.body.name) : undefined;
+    if (name !== undefined && templateService.isNameTaken(req.user.id, name, template.id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'A template with this name already exists'
+      });
+    }
+
+    const updated = templateService.updateTemplate(template.id, {
+      name,
+      description: req.body.description !== undefined
+        ? (req.body.description ? sanitizeText(req.body.description) : null)
+        : undefined,
+      task: req.body.task
+    });
+
+    res.json({
+      success: true,
+      template: updated
+    });
+
+  } catch (error) {
+    console.error('Error updating template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update template'
+    });
+  }
+});
+
+/**
+ * DELETE /api/templates/:id
+ * Delete a template; tasks created from it are kept
+ */
+router.delete('/:id', (req, res) => {
+  try {
+    if (!templateService.deleteTemplate(req.params.id, req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Template deleted'
+    });
+
+  } catch (error) {
+    console.error('Error deleting template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete template'
+    });
+  }
+});
+
+/**
+ * POST /api/templates/:id/instantiate
+ * Create the template's tasks in one transaction
+ * Body: start_date (YYYY-MM-DD deadlines count from, default today in the
+ * user's timezone), parent_task_id (optional parent for the top task)
+ */
+router.post('/:id/instantiate', [
+  body('start_date').optional().matches(/^\d{4}-\d{2}-\d{2}$/).isISO8601({ strict: true })
+    .withMessage('start_date must be YYYY-MM-DD'),
+  body('parent_task_id').optional({ nullable: true }).isInt().toInt()
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const template = templateService.getTemplate(req.params.id, req.user.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    const { parent_task_id } = req.body;
+    if (parent_task_id) {
+      const parent = db.prepare(`
+        SELECT id FROM tasks WHERE id = ? AND user_id = ? AND deleted_at IS NULL
+      `).get(parent_task_id, req.user.id);
+
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          message: 'Parent task not found'
+        });
+      }
+    }
+
+    const startDate = req.body.start_date ||
+      getLocalTime(new Date(), userSettingsService.getSettings(req.user.id).timezone).date;
+
+    const taskId = templateService.instantiateTemplate(template, req.user.id, {
+      startDate,
+      parentTaskId: parent_task_id || null
+    });
+
+    res.status(201).json({
+      success: true,
+      task: taskTreeService.getTaskTree(taskId, req.user.id)
+    });
+
+  } catch (error) {
+    console.error('Error creating tasks from template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create tasks from template'
+    });
+  }
+});
+
+module.exports = router;
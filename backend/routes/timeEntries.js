@@ -0,0 +1,391 @@
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const db = require('../database/db');
+const authMiddleware = require('../middleware/auth');
+const { sanitizeText } = require('../utils/sanitize');
+const { transformTaskWithTags, getTaskWithTags } = require('../utils/taskHelpers');
+const timeEntryService = require('../services/timeEntryService');
+
+// All time entry routes require authentication
+router.use(authMiddleware);
+
+// Longest range a timesheet covers
+const MAX_TIMESHEET_DAYS = 366;
+
+function findTask(taskId, userId) {
+  return db.prepare('SELECT id FROM tasks WHERE id = ? AND user_id = ? AND deleted_at IS NULL')
+    .get(taskId, userId);
+}
+
+function taskResponse(taskId) {
+  return transformTaskWithTags(getTaskWithTags(taskId));
+}
+
+/**
+ * GET /api/time-entries
+ * List time entries, newest first
+ * Query: task_id, from, to (ISO 8601, compared with the entry start)
+ */
+router.get('/', [
+  query('task_id').optional().isInt().toInt(),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601()
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { task_id, from, to } = req.query;
+
+    res.json({
+      success: true,
+      entries: timeEntryService.listEntries(req.user.id, {
+        taskId: task_id,
+        from: from ? timeEntryService.toSqlTimestamp(from) : null,
+        to: to ? timeEntryService.toSqlTimestamp(to) : null
+      })
+    });
+
+  } catch (error) {
+    console.error('Error fetching time entries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch time entries'
+    });
+  }
+});
+
+/**
+ * GET /api/time-entries/running
+ * The running timer, or null
+ */
+router.get('/running', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      entry: timeEntryService.getRunningEntry(req.user.id) || null
+    });
+
+  } catch (error) {
+    console.error('Error fetching running timer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch running timer'
+    });
+  }
+});
+
+/**
+ * GET /api/time-entries/timesheet
+ * Finished time per day and per tag
+ * Query: from, to (YYYY-MM-DD, inclusive; default: the last 7 days),
+ *        tz_offset (minutes east of UTC, so days match the client's calendar)
+ */
+router.get('/timesheet', [
+  query('from').optional().isISO8601({ strict: true }).isLength({ min: 10, max: 10 }),
+  query('to').optional().isISO8601({ strict: true }).isLength({ min: 10, max: 10 }),
+  query('tz_offset').optional().isInt({ min: -840, max: 840 }).toInt()
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const tzOffset = req.query.tz_offset || 0;
+    const localToday = new Date(Date.now() + tzOffset * 60000).toISOString().split('T')[0];
+    const to = req.query.to || localToday;
+    const from = req.query.from || new Date(Date.parse(to) - 6 * 86400000).toISOString().split('T')[0];
+
+    const days = (Date.parse(to) - Date.parse(from)) / 86400000 + 1;
+    if (days < 1 || days > MAX_TIMESHEET_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `from must be on or before to, at most ${MAX_TIMESHEET_DAYS} days apart`
+      });
+    }
+
+    res.json({
+      success: true,
+      from,
+      to,
+      ...timeEntryService.getTimesheet(req.user.id, { from, to }, tzOffset)
+    });
+
+  } catch (error) {
+    console.error('Error fetching timesheet:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch timesheet'
+    });
+  }
+});
+
+/**
+ * POST /api/time-entries/start
+ * Start a timer on a task (one running timer per user)
+ * Body: task_id, note (optional)
+ */
+router.post('/start', [
+  body('task_id').isInt().withMessage('task_id is required'),
+  body('note').optional({ nullable: true }).trim()
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const task = findTask(req.body.task_id, req.user.id);
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const entry = timeEntryService.startTimer(task.id, req.user.id, req.body.note ? sanitizeText(req.body.note) : null);
+
+    if (!entry) {
+      return res.status(409).json({
+        success: false,
+        message: 'A timer is already running',
+        entry: timeEntryService.getRunningEntry(req.user.id)
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      entry
+    });
+
+  } catch (error) {
+    console.error('Error starting timer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start timer'
+    });
+  }
+});
+
+/**
+ * POST /api/time-entries/stop
+ * Stop the running timer and add its time to the task
+ */
+router.post('/stop', (req, res) => {
+  try {
+    const entry = timeEntryService.stopTimer(req.user.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'No timer is running'
+      });
+    }
+
+    res.json({
+      success: true,
+      entry,
+      task: taskResponse(entry.task_id)
+    });
+
+  } catch (error) {
+    console.error('Error stopping timer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to stop timer'
+    });
+  }
+});
+
+/**
+ * POST /api/time-entries
+ * Add a finished entry by hand
+ * Body: task_id, started_at and ended_at, or minutes with either end; note (optional)
+ * With only minutes, the entry ends now
+ */
+router.post('/', [
+  body('task_id').isInt().withMessage('task_id is required'),
+  body('started_at').optional().isISO8601(),
+  body('ended_at').optional().isISO8601(),
+  body('minutes').optional().isInt({ min: 1, max: 24 * 60 }).toInt(),
+  body('note').optional({ nullable: true }).trim()
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { task_id, started_at, ended_at, minutes, note } = req.body;
+
+    if (!minutes && !(started_at && ended_at)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Either started_at and ended_at, or minutes is required'
+      });
+    }
+
+    const task = findTask(task_id, req.user.id);
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    // Fill in whichever end is missing from the duration
+    let start = started_at ? Date.parse(started_at) : null;
+    let end = ended_at ? Date.parse(ended_at) : null;
+    if (start === null) {
+      end = end ?? Date.now();
+      start = end - minutes * 60000;
+    } else if (end === null) {
+      end = start + minutes * 60000;
+    }
+
+    if (start >= end) {
+      return res.status(400).json({
+        success: false,
+        message: 'started_at must be before ended_at'
+      });
+    }
+
+    const entry = timeEntryService.createEntry(task.id, req.user.id, {
+      startedAt: timeEntryService.toSqlTimestamp(start),
+      endedAt: timeEntryService.toSqlTimestamp(end),
+      note: note ? sanitizeText(note) : null
+    });
+
+    res.status(201).json({
+      success: true,
+      entry,
+      task: taskResponse(task.id)
+    });
+
+  } catch (error) {
+    console.error('Error creating time entry:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create time entry'
+    });
+  }
+});
+
+/**
+ * PUT /api/time-entries/:id
+ * Edit an entry
+ * Body: task_id, started_at, ended_at, note (all optional)
+ */
+router.put('/:id', [
+  body('task_id').optional().isInt().toInt(),
+  body('started_at').optional().isISO8601(),
+  body('ended_at').optional().isISO8601(),
+  body('note').optional({ nullable: true }).trim()
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const entry = timeEntryService.getEntry(req.params.id, req.user.id);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Time entry not found'
+      });
+    }
+
+    const { task_id, started_at, ended_at, note } = req.body;
+
+    if (task_id !== undefined && !findTask(task_id, req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const startedAt = started_at ? timeEntryService.toSqlTimestamp(started_at) : undefined;
+    const endedAt = ended_at ? timeEntryService.toSqlTimestamp(ended_at) : undefined;
+    const newEnd = endedAt ?? entry.ended_at;
+
+    if (newEnd && (startedAt ?? entry.started_at) >= newEnd) {
+      return res.status(400).json({
+        success: false,
+        message: 'started_at must be before ended_at'
+      });
+    }
+
+    const updated = timeEntryService.updateEntry(entry, {
+      taskId: task_id,
+      startedAt,
+      endedAt,
+      note: note === undefined ? undefined : (note ? sanitizeText(note) : null)
+    }, req.user.id);
+
+    res.json({
+      success: true,
+      entry: updated,
+      task: taskResponse(updated.task_id)
+    });
+
+  } catch (error) {
+    console.error('Error updating time entry:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update time entry'
+    });
+  }
+});
+
+/**
+ * DELETE /api/time-entries/:id
+ * Delete an entry and take its time off the task
+ */
+router.delete('/:id', (req, res) => {
+  try {
+    const entry = timeEntryService.getEntry(req.params.id, req.user.id);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Time entry not found'
+      });
+    }
+
+    timeEntryService.deleteEntry(entry, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Time entry deleted successfully',
+      task: taskResponse(entry.task_id)
+    });
+
+  } catch (error) {
+    console.error('Error deleting time entry:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete time entry'
+    });
+  }
+});
+
+module.exports = router;
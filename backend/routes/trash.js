@@ -0,0 +1,195 @@
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const authMiddleware = require('../middleware/auth');
+const { transformTaskWithTags, getTaskWithTags } = require('../utils/taskHelpers');
+const trashService = require('../services/trashService');
+
+// All trash routes require authentication
+router.use(authMiddleware);
+
+/**
+ * GET /api/trash
+ * List soft-deleted tasks and memos
+ * Query: type = all (default) | tasks | memos
+ */
+router.get('/', [
+  query('type').optional().isIn(['all', 'tasks', 'memos']).withMessage('Type must be all, tasks or memos')
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const type = req.query.type || 'all';
+
+    res.json({
+      success: true,
+      tasks: type === 'memos' ? [] : trashService.listTrashedTasks(req.user.id),
+      memos: type === 'tasks' ? [] : trashService.listTrashedMemos(req.user.id),
+      retention_days: trashService.getRetentionDays()
+    });
+
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch trash'
+    });
+  }
+});
+
+/**
+ * POST /api/trash/tasks/:id/restore
+ * Restore a task together with the subtasks that were deleted with it
+ */
+router.post('/tasks/:id/restore', (req, res) => {
+  try {
+    const task = trashService.getTrashedTask(req.params.id, req.user.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found in trash'
+      });
+    }
+
+    const result = trashService.restoreTask(task, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Task restored successfully',
+      task: transformTaskWithTags(getTaskWithTags(task.id)),
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error restoring task:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore task'
+    });
+  }
+});
+
+/**
+ * POST /api/trash/memos/:id/restore
+ * Restore a memo
+ */
+router.post('/memos/:id/restore', (req, res) => {
+  try {
+    const memo = trashService.getTrashedMemo(req.params.id, req.user.id);
+
+    if (!memo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Memo not found in trash'
+      });
+    }
+
+    trashService.restoreMemo(memo.id, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Memo restored successfully'
+    });
+
+  } catch (error) {
+    console.error('Error restoring memo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore memo'
+    });
+  }
+});
+
+/**
+ * DELETE /api/trash/tasks/:id
+ * Permanently delete a trashed task (and the subtasks deleted with it)
+ */
+router.delete('/tasks/:id', (req, res) => {
+  try {
+    const task = trashService.getTrashedTask(req.params.id, req.user.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found in trash'
+      });
+    }
+
+    const purged = trashService.purgeTask(task.id, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Task permanently deleted',
+      purged_tasks: purged
+    });
+
+  } catch (error) {
+    console.error('Error purging task:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to permanently delete task'
+    });
+  }
+});
+
+/**
+ * DELETE /api/trash/memos/:id
+ * Permanently delete a trashed memo
+ */
+router.delete('/memos/:id', (req, res) => {
+  try {
+    const purged = trashService.purgeMemo(req.params.id, req.user.id);
+
+    if (!purged) {
+      return res.status(404).json({
+        success: false,
+        message: 'Memo not found in trash'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Memo permanently deleted'
+    });
+
+  } catch (error) {
+    console.error('Error purging memo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to permanently delete memo'
+    });
+  }
+});
+
+/**
+ * DELETE /api/trash
+ * Empty the trash
+ */
+router.delete('/', (req, res) => {
+  try {
+    const purged = trashService.emptyTrash(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Trash emptied',
+      purged_tasks: purged.tasks,
+      purged_memos: purged.memos
+    });
+
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to empty trash'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,227 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const authMiddleware = require('../middleware/auth');
+const { sanitizeText } = require('../utils/sanitize');
+const { normalizeViewFilters, VIEW_SORTS, DEFAULT_VIEW_SORT } = require('../utils/savedViews');
+const { getLocalTime } = require('../utils/timezone');
+const savedViewService = require('../services/savedViewService');
+const userSettingsService = require('../services/userSettingsService');
+
+// All saved view routes require authentication
+router.use(authMiddleware);
+
+// express-validator custom check: the filters must normalize
+const validateViewFilters = (value) => {
+  normalizeViewFilters(value);
+  return true;
+};
+
+const nameValidator = () => body('name').trim().isLength({ min: 1, max: 50 }).withMessage('Name is required (max 50 characters)');
+const sortValidator = () => body('sort').optional().isIn(VIEW_SORTS).withMessage(`sort must be one of: ${VIEW_SORTS.join(', ')}`);
+
+// The user's local date, which relative deadline windows count from
+const getToday = (userId) => getLocalTime(new Date(), userSettingsService.getSettings(userId).timezone).date;
+
+/**
+ * GET /api/views
+ * The user's saved views, each with the number of tasks it shows right now
+ */
+router.get('/', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      views: savedViewService.listViews(req.user.id, getToday(req.user.id))
+    });
+
+  } catch (error) {
+    console.error('Error fetching saved views:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch saved views'
+    });
+  }
+});
+
+/**
+ * GET /api/views/:id
+ * One view with its count and the GET /api/tasks query it stands for
+ */
+router.get('/:id', (req, res) => {
+  try {
+    const view = savedViewService.getView(req.params.id, req.user.id);
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: 'View not found'
+      });
+    }
+
+    const today = getToday(req.user.id);
+
+    res.json({
+      success: true,
+      view: {
+        ...view,
+        count: savedViewService.countViewTasks(view, req.user.id, today),
+        query: savedViewService.getTaskQuery(view, today)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching saved view:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch saved view'
+    });
+  }
+});
+
+/**
+ * POST /api/views
+ * Save a view
+ * Body: name, filters (see utils/savedViews.js), sort (default 'eisenhower')
+ */
+router.post('/', [
+  nameValidator(),
+  body('filters').custom(validateViewFilters),
+  sortValidator()
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const name = sanitizeText(req.body.name);
+    if (savedViewService.isNameTaken(req.user.id, name)) {
+      return res.status(409).json({
+        success: false,
+        message: 'A view with this name already exists'
+      });
+    }
+
+    const unknownTags = savedViewService.findUnknownTags(req.user.id, normalizeViewFilters(req.body.filters).tags);
+    if (unknownTags.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown tags: ${unknownTags.join(', ')}`
+      });
+    }
+
+    const view = savedViewService.createView(req.user.id, {
+      name,
+      filters: req.body.filters,
+      sort: req.body.sort || DEFAULT_VIEW_SORT
+    });
+
+    res.status(201).json({
+      success: true,
+      view: { ...view, count: savedViewService.countViewTasks(view, req.user.id, getToday(req.user.id)) }
+    });
+
+  } catch (error) {
+    console.error('Error creating saved view:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create saved view'
+    });
+  }
+});
+
+/**
+ * PUT /api/views/:id
+ * Update a view
+ * Body: name, filters, sort (all optional; filters replace the old ones)
+ */
+router.put('/:id', [
+  nameValidator().optional(),
+  body('filters').optional().custom(validateViewFilters),
+  sortValidator()
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const view = savedViewService.getView(req.params.id, req.user.id);
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: 'View not found'
+      });
+    }
+
+    const name = req.body.name !== undefined ? sanitizeText(req.body.name) : undefined;
+    if (name !== undefined && savedViewService.isNameTaken(req.user.id, name, view.id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'A view with this name already exists'
+      });
+    }
+
+    const unknownTags = req.body.filters !== undefined
+      ? savedViewService.findUnknownTags(req.user.id, normalizeViewFilters(req.body.filters).tags)
+      : [];
+    if (unknownTags.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown tags: ${unknownTags.join(', ')}`
+      });
+    }
+
+    const updated = savedViewService.updateView(view.id, {
+      name,
+      filters: req.body.filters,
+      sort: req.body.sort
+    });
+
+    res.json({
+      success: true,
+      view: { ...updated, count: savedViewService.countViewTasks(updated, req.user.id, getToday(req.user.id)) }
+    });
+
+  } catch (error) {
+    console.error('Error updating saved view:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update saved view'
+    });
+  }
+});
+
+/**
+ * DELETE /api/views/:id
+ * Delete a view; its tasks are not touched
+ */
+router.delete('/:id', (req, res) => {
+  try {
+    if (!savedViewService.deleteView(req.params.id, req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'View not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'View deleted'
+    });
+
+  } catch (error) {
+    console.error('Error deleting saved view:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete saved view'
+    });
+  }
+});
+
+module.exports = router;
@@ -44,6 +44,27 @@ const adminRoutes = require('./routes/admin');
 const inboxRoutes = require('./routes/inbox');
 const memosRoutes = require('./routes/memos');
 const tagsRoutes = require('./routes/tags');
+const trashRoutes = require('./routes/trash');
+const timeEntriesRoutes = require('./routes/timeEntries');
+const pomodorosRoutes = require('./routes/pomodoros');
+const settingsRoutes = require('./routes/settings');
+const reportsRoutes = require('./routes/reports');
+const remindersRoutes = require('./routes/reminders');
+const digestRoutes = require('./routes/digest');
+const templatesRoutes = require('./routes/templates');
+const searchRoutes = require('./routes/search');
+const viewsRoutes = require('./routes/views');
+const projectsRoutes = require('./routes/projects');
+const areasRoutes = require('./routes/areas');
+const statusesRoutes = require('./routes/statuses');
+const calendarFeedRoutes = require('./routes/calendarFeed');
+const appPasswordsRoutes = require('./routes/appPasswords');
+const caldavRoutes = require('./routes/caldav');
+const exportRoutes = require('./routes/export');
+const importRoutes = require('./routes/import');
+const trashService = require('./services/trashService');
+const reminderService = require('./services/reminderService');
+const digestService = require('./services/digestService');
 
 // Create Express app
 const app = express();
@@ -94,7 +115,9 @@ const corsOptions = {
   optionsSuccessStatus: 200
 };
 
-app.use(cors(corsOptions));
+// CalDAV apps aren't browsers, and their OPTIONS requests are answered by the CalDAV routes
+const corsMiddleware = cors(corsOptions);
+app.use((req, res, next) => (req.path.startsWith('/caldav') ? next() : corsMiddleware(req, res, next)));
 
 // Compression for response size optimization
 app.use(compression());
@@ -158,8 +181,22 @@ const emailLimiter = rateLimit({
   validate: { trustProxy: false, xForwardedForHeader: false }
 });
 
+// CalDAV rate limiter (apps sync every few minutes, several requests at a time)
+const caldavLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: process.env.NODE_ENV === 'production' ? 300 : 3000,
+  message: {
+    success: false,
+    message: 'Too many requests from this IP, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  validate: { trustProxy: false, xForwardedForHeader: false }
+});
+
 // Apply general rate limiter to all API routes
 app.use('/api/', apiLimiter);
+app.use('/caldav', caldavLimiter);
 
 // Request logging middleware (CRITICAL #7 - Removed sensitive data)
 app.use((req, res, next) => {
@@ -184,6 +221,27 @@ app.use('/api/admin', adminRoutes);
 app.use('/api/inbox', inboxRoutes);
 app.use('/api/memos', memosRoutes);
 app.use('/api/tags', tagsRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/api/time-entries', timeEntriesRoutes);
+app.use('/api/pomodoros', pomodorosRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/reports', reportsRoutes);
+app.use('/api/reminders', remindersRoutes);
+app.use('/api/digest', digestRoutes);
+app.use('/api/templates', templatesRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/views', viewsRoutes);
+app.use('/api/projects', projectsRoutes);
+app.use('/api/areas', areasRoutes);
+app.use('/api/statuses', statusesRoutes);
+app.use('/api/calendar-feed', calendarFeedRoutes);
+app.use('/api/app-passwords', appPasswordsRoutes);
+app.use('/api/export', exportRoutes);
+app.use('/api/import', importRoutes);
+
+// CalDAV task sync (apps look for the server at /.well-known/caldav)
+app.all('/.well-known/caldav', (req, res) => res.redirect(301, '/caldav/'));
+app.use('/caldav', caldavRoutes);
 
 // Serve static files in production with proper caching
 if (process.env.NODE_ENV === 'production') {
@@ -293,8 +351,35 @@ const server = app.listen(PORT, () => {
 ║  - /api/inbox/*                        ║
 ║  - /api/memos/*                        ║
 ║  - /api/tags/*                         ║
+║  - /api/trash/*                        ║
+║  - /api/time-entries/*                 ║
+║  - /api/pomodoros/*                    ║
+║  - /api/settings                       ║
+║  - /api/reports/*                      ║
+║  - /api/reminders/*                    ║
+║  - /api/digest/*                       ║
+║  - /api/templates/*                    ║
+║  - /api/search                         ║
+║  - /api/views/*                        ║
+║  - /api/projects/*                     ║
+║  - /api/areas/*                        ║
+║  - /api/statuses/*                     ║
+║  - /api/calendar-feed/*                ║
+║  - /api/app-passwords/*                ║
+║  - /api/export                         ║
+║  - /api/import/*                       ║
+║  - /caldav/*                           ║
 ╚════════════════════════════════════════╝
   `);
+
+  // Permanently delete trashed items past their retention period
+  trashService.startPurgeSchedule();
+
+  // Email task reminders as they come due
+  reminderService.startReminderSchedule();
+
+  // Daily digest and weekly summary emails at each user's local time
+  digestService.startDigestSchedule();
 });
 
 module.exports = app; // Export for testing
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const db = require('../database/db');
+
+// ============================================================================
+// App Password Service
+// ============================================================================
+//
+// Separate passwords for apps that sign in with HTTP Basic auth (CalDAV
+// clients), so the account password never has to be typed into them. Each
+// app password is named after the device it's for and can be revoked on its
+// own. Only a bcrypt hash is kept: the password is shown once, when created.
+//
+// Apps sign in with the account email as the username. A user's passwords
+// are tried most recently used first, so a signed-in device costs one
+// bcrypt comparison per request.
+//
+// USAGE:
+//   const appPasswordService = require('./services/appPasswordService');
+//   const { app_password, password } = await appPasswordService.createAppPassword(userId, 'Phone');
+//   const user = await appPasswordService.authenticate('ada@example.com', password);
+//   appPasswordService.deleteAppPassword(app_password.id, userId);
+// ============================================================================
+
+// Most app passwords a user can have
+const MAX_APP_PASSWORDS = 10;
+
+// Letters and digits that can't be mistaken for one another
+const PASSWORD_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+const PASSWORD_GROUPS = 4;
+const PASSWORD_GROUP_LENGTH = 4;
+
+/**
+ * A new random password, in dash-separated groups (abcd-efgh-jkmn-pqrs)
+ */
+function generatePassword() {
+  const chars = Array.from(
+    { length: PASSWORD_GROUPS * PASSWORD_GROUP_LENGTH },
+    () => PASSWORD_ALPHABET[crypto.randomInt(PASSWORD_ALPHABET.length)]
+  ).join('');
+
+  return chars.match(new RegExp(`.{${PASSWORD_GROUP_LENGTH}}`, 'g')).join('-');
+}
+
+/**
+ * The form a password is hashed and compared in: apps may drop the dashes
+ * or add spaces when it is typed in by hand
+ */
+function normalizePassword(password) {
+  return String(password).toLowerCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Shapes an app_passwords row for the API (never with the hash)
+ */
+function formatAppPassword(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    last_used_at: row.last_used_at,
+    created_at: row.created_at
+  };
+}
+
+/**
+ * Lists a user's app passwords, newest first
+ *
+ * @param {number} userId - User ID
+ * @returns {object[]}
+ */
+function listAppPasswords(userId) {
+  return db.prepare(`
+    SELECT * FROM app_passwords WHERE user_id = ? ORDER BY created_at DESC, id DESC
+  `).all(userId).map(formatAppPassword);
+}
+
+/**
+ * Number of app passwords a user has
+ *
+ * @param {number} userId - User ID
+ * @returns {number}
+ */
+function countAppPasswords(userId) {
+  return db.prepare('SELECT COUNT(*) as count FROM app_passwords WHERE user_id = ?').get(userId).count;
+}
+
+/**
+ * Creates an app password
+ *
+ * @param {number} userId - User ID
+ * @param {string} name - What it's for (e.g. the device)
+ * @returns {Promise<object>} { app_password, password } - the plain password, to show once
+ */
+async function createAppPassword(userId, name) {
+  const password = generatePassword();
+  const passwordHash = await bcrypt.hash(normalizePassword(password), 10);
+
+  const result = db.prepare(`
+    INSERT INTO app_passwords (user_id, name, password_hash) VALUES (?, ?, ?)
+  `).run(userId, name, passwordHash);
+
+  const row = db.prepare('SELECT * FROM app_passwords WHERE id = ?').get(result.lastInsertRowid);
+
+  return { app_password: formatAppPassword(row), password };
+}
+
+/**
+ * Revokes an app password
+ *
+ * @param {number} appPasswordId - App password ID
+ * @param {number} userId - Owner ID
+ * @returns {boolean} Whether it existed
+ */
+function deleteAppPassword(appPasswordId, userId) {
+  return db.prepare('DELETE FROM app_passwords WHERE id = ? AND user_id = ?')
+    .run(appPasswordId, userId).changes > 0;
+}
+
+/**
+ * The user an email and app password sign in as
+ *
+ * @param {string} email - Account email (any case)
+ * @param {string} password - App password
+ * @returns {Promise<object|null>} { id, email, name, is_admin }, or null
+ */
+async function authenticate(email, password) {
+  const user = db.prepare('SELECT id, email, name, is_admin FROM users WHERE LOWER(email) = LOWER(?)')
+    .get(String(email).trim());
+  if (!user) return null;
+
+  const candidates = db.prepare(`
+    SELECT id, password_hash FROM app_passwords
+    WHERE user_id = ?
+    ORDER BY last_used_at IS NULL, last_used_at DESC, id DESC
+  `).all(user.id);
+
+  const normalized = normalizePassword(password);
+  for (const candidate of candidates) {
+    if (await bcrypt.compare(normalized, candidate.password_hash)) {
+      db.prepare('UPDATE app_passwords SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?').run(candidate.id);
+      return user;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  MAX_APP_PASSWORDS,
+  listAppPasswords,
+  countAppPasswords,
+  createAppPassword,
+  deleteAppPassword,
+  authenticate
+};
@@ -0,0 +1,186 @@
+const db = require('../database/db');
+const tagService = require('./tagService');
+const taskTreeService = require('./taskTreeService');
+const trashService = require('./trashService');
+const taskEventService = require('./taskEventService');
+const userSettingsService = require('./userSettingsService');
+const { getLocalTime } = require('../utils/timezone');
+
+// ============================================================================
+// Bulk Task Service
+// ============================================================================
+//
+// Applies one action to many tasks inside a single transaction: either every
+// task is changed or none is. Callers must have checked that all ids belong
+// to the user (see findMissingTaskIds) and validated the action's params.
+//
+// USAGE:
+//   const bulkTaskService = require('./services/bulkTaskService');
+//   const missing = bulkTaskService.findMissingTaskIds(ids, userId);
+//   const result = bulkTaskService.applyBulkAction('complete', ids, {}, userId);
+// ============================================================================
+
+const BULK_ACTIONS = [
+  'complete',
+  'uncomplete',
+  'tag',
+  'untag',
+  'plan-today',
+  'unplan',
+  'set-priority',
+  'move-parent',
+  'delete'
+];
+
+const MAX_BULK_TASKS = 500;
+
+// History event recorded for each action ('complete' and 'delete' record their own)
+const ACTION_EVENT_TYPES = {
+  'uncomplete': 'toggle',
+  'plan-today': 'plan',
+  'unplan': 'unplan'
+};
+
+/**
+ * Returns the ids that don't exist, are deleted or belong to someone else
+ *
+ * @param {number[]} taskIds - Requested task IDs
+ * @param {number} userId - Owner ID
+ * @returns {number[]} IDs the user can't act on (empty when all are fine)
+ */
+function findMissingTaskIds(taskIds, userId) {
+  const placeholders = taskIds.map(() => '?').join(',');
+  const found = new Set(db.prepare(`
+    SELECT id FROM tasks WHERE id IN (${placeholders}) AND user_id = ? AND deleted_at IS NULL
+  `).all(...taskIds, userId).map(row => row.id));
+
+  return taskIds.filter(id => !found.has(id));
+}
+
+/**
+ * Runs a SET clause against all given tasks
+ */
+function updateAll(setSql, values, taskIds, userId) {
+  const placeholders = taskIds.map(() => '?').join(',');
+  db.prepare(`
+    UPDATE tasks SET ${setSql}, updated_at = CURRENT_TIMESTAMP
+    WHERE id IN (${placeholders}) AND user_id = ?
+  `).run(...values, ...taskIds, userId);
+}
+
+/**
+ * Applies a bulk action
+ *
+ * Params by action:
+ * - tag: { tags } - tag names/objects, created if missing
+ * - untag: { tag_ids }
+ * - set-priority: { importance, urgency } for every task, or
+ *   { priorities: [{ id, importance, urgency }] } for per-task values
+ * - move-parent: { parent_task_id } - null moves tasks to the top level
+ *
+ * @param {string} action - One of BULK_ACTIONS
+ * @param {number[]} taskIds - Owned, live task IDs
+ * @param {object} params - Action parameters
+ * @param {number} userId - Owner ID
+ * @returns {object} { updated_ids, deleted_ids, next_occurrence_ids }
+ */
+function applyBulkAction(action, taskIds, params, userId) {
+  return db.transaction(() => {
+    const result = { updated_ids: taskIds, deleted_ids: [], next_occurrence_ids: [] };
+    const placeholders = taskIds.map(() => '?').join(',');
+    const before = action === 'complete' || action === 'delete' ? null : taskEventService.snapshotTasks(taskIds);
+
+    switch (action) {
+      case 'complete': {
+        // Only incomplete tasks, so recurring tasks spawn exactly one occurrence
+        const incomplete = db.prepare(`
+          SELECT * FROM tasks WHERE id IN (${placeholders}) AND user_id = ? AND completed = 0
+        `).all(...taskIds, userId);
+        result.next_occurrence_ids = taskTreeService.completeTasks(incomplete);
+        break;
+      }
+
+      case 'uncomplete':
+        updateAll('completed = 0', [], taskIds, userId);
+        break;
+
+      case 'tag':
+        for (const taskId of taskIds) {
+          tagService.attachTagsToTask(taskId, params.tags, userId);
+        }
+        break;
+
+      case 'untag': {
+        const tagPlaceholders = params.tag_ids.map(() => '?').join(',');
+        db.prepare(`
+          DELETE FROM task_tags WHERE task_id IN (${placeholders}) AND tag_id IN (${tagPlaceholders})
+        `).run(...taskIds, ...params.tag_ids);
+        break;
+      }
+
+      case 'plan-today': {
+        // "Today" is the user's local date, as on the Today page
+        const today = getLocalTime(new Date(), userSettingsService.getSettings(userId).timezone).date;
+        updateAll('planned_for_today = ?', [today], taskIds, userId);
+        break;
+      }
+
+      case 'unplan':
+        updateAll('planned_for_today = NULL', [], taskIds, userId);
+        break;
+
+      case 'set-priority':
+        if (params.priorities) {
+          const update = db.prepare(`
+            UPDATE tasks
+            SET importance = COALESCE(?, importance), urgency = COALESCE(?, urgency), updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND user_id = ?
+          `);
+          for (const { id, importance, urgency } of params.priorities) {
+            update.run(importance ?? null, urgency ?? null, id, userId);
+          }
+        } else {
+          updateAll(
+            'importance = COALESCE(?, importance), urgency = COALESCE(?, urgency)',
+            [params.importance ?? null, params.urgency ?? null],
+            taskIds,
+            userId
+          );
+        }
+        break;
+
+      case 'move-parent':
+        updateAll('parent_task_id = ?', [params.parent_task_id ?? null], taskIds, userId);
+        break;
+
+      case 'delete': {
+        // A task may already have gone to the trash as a subtask of an earlier one
+        const deleted = new Set();
+        for (const taskId of taskIds) {
+          if (!deleted.has(taskId)) {
+            trashService.trashTask(taskId, userId).forEach(id => deleted.add(id));
+          }
+        }
+        result.updated_ids = [];
+        result.deleted_ids = [...deleted];
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown bulk action: ${action}`);
+    }
+
+    if (before) {
+      taskEventService.recordChanges(ACTION_EVENT_TYPES[action] || 'update', before, userId);
+    }
+
+    return result;
+  })();
+}
+
+module.exports = {
+  BULK_ACTIONS,
+  MAX_BULK_TASKS,
+  findMissingTaskIds,
+  applyBulkAction
+};
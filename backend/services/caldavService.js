@@ -0,0 +1,475 @@
+const db = require('../database/db');
+const tagService = require('./tagService');
+const taskEventService = require('./taskEventService');
+const taskTreeService = require('./taskTreeService');
+const recurrenceService = require('./recurrenceService');
+const reminderService = require('./reminderService');
+const trashService = require('./trashService');
+const { deadlineProperty } = require('./calendarFeedService');
+const { TASK_TAG_JOINS, transformTaskWithTags } = require('../utils/taskHelpers');
+const { sanitizeText } = require('../utils/sanitize');
+const { isValidTimezone, getLocalTime, fromLocalTime } = require('../utils/timezone');
+const { escapeStoredText, formatDateTime, buildCalendar, unescapeText, splitTextList } = require('../utils/ical');
+
+// ============================================================================
+// CalDAV Service
+// ============================================================================
+//
+// A user's tasks as one CalDAV task collection: each live task is a VTODO
+// resource that calendar and reminder apps can read, create, edit and delete.
+//
+//   SUMMARY     <-> title
+//   DESCRIPTION <-> description
+//   DUE         <-> deadline (DATE for date-only deadlines, otherwise UTC,
+//                   converted to and from the user's timezone setting)
+//   STATUS      <-> completed (COMPLETED / NEEDS-ACTION)
+//   CATEGORIES  <-> tags
+//   RELATED-TO  <-> parent_task_id (by the parent's UID)
+//
+// Tasks created in TWU are served as twu-task-<id>.ics with UID twu-task-<id>;
+// tasks created by an app keep the app's resource name and UID.
+//
+// Changes are tracked in task_sync_changes by database triggers: every task
+// (live, trashed or purged) has one row holding its latest change number.
+// That number is the resource's ETag, and the user's highest one is the
+// collection's sync token, so "what changed since token N" is every row
+// above N. Trashed and purged tasks come back as removed.
+//
+// USAGE:
+//   const caldavService = require('./services/caldavService');
+//   const objects = caldavService.listObjects(userId);
+//   const { changed, removed, token } = caldavService.changesSince(userId, caldavService.parseSyncToken(token));
+//   const { todo, precondition } = caldavService.readTodo(parseCalendar(icsText), timezone);
+//   const object = caldavService.createObject(userId, 'abc.ics', todo);
+// ============================================================================
+
+const SYNC_TOKEN_PREFIX = 'urn:twu:sync:';
+
+// Resource names of tasks that weren't created by an app
+const DEFAULT_NAME_PATTERN = /^twu-task-(\d+)\.ics$/;
+
+/**
+ * Object lookups: live tasks with their resource name, UID, change number,
+ * parent UID and tags (add conditions on "t" and "c")
+ */
+const OBJECT_SELECT = `
+  SELECT t.*, c.seq, c.name,
+    COALESCE(t.caldav_uid, 'twu-task-' || t.id) as uid,
+    COALESCE(parent.caldav_uid, 'twu-task-' || parent.id) as parent_uid,
+    GROUP_CONCAT(tag.id) as tag_ids,
+    GROUP_CONCAT(tag.name) as tag_names,
+    GROUP_CONCAT(tag.color) as tag_colors
+  FROM tasks t
+  JOIN task_sync_changes c ON c.task_id = t.id
+  LEFT JOIN tasks parent ON parent.id = t.parent_task_id
+  ${TASK_TAG_JOINS}
+`;
+
+/**
+ * The collection's current sync token (also its CTag)
+ *
+ * @param {number} userId - User ID
+ * @returns {string}
+ */
+function getSyncToken(userId) {
+  const row = db.prepare('SELECT MAX(seq) as seq FROM task_sync_changes WHERE user_id = ?').get(userId);
+  return `${SYNC_TOKEN_PREFIX}${row.seq || 0}`;
+}
+
+/**
+ * The change number a sync token stands for
+ *
+ * @param {string} token - Sync token from a client ('' or null for a first sync)
+ * @param {number} userId - User ID
+ * @returns {number|null} 0 for a first sync, null for a token this server never handed out
+ */
+function parseSyncToken(token, userId) {
+  if (!token) return 0;
+
+  const match = String(token).trim().match(/^urn:twu:sync:(\d+)$/);
+  if (!match) return null;
+
+  const seq = parseInt(match[1], 10);
+  const current = parseInt(getSyncToken(userId).slice(SYNC_TOKEN_PREFIX.length), 10);
+
+  return seq <= current ? seq : null;
+}
+
+/**
+ * ETag of a resource
+ *
+ * @param {object} object - From listObjects/getObject
+ * @returns {string} Quoted ETag
+ */
+function etagOf(object) {
+  return `"${object.seq}"`;
+}
+
+/**
+ * Lists the collection's resources
+ *
+ * @param {number} userId - User ID
+ * @param {string[]|null} names - Only these resource names (null for all)
+ * @returns {object[]} Task rows with tags, name, uid, parent_uid and seq
+ */
+function listObjects(userId, names = null) {
+  if (names && names.length === 0) return [];
+
+  const nameFilter = names ? `AND c.name IN (${names.map(() => '?').join(',')})` : '';
+
+  return db.prepare(`
+    ${OBJECT_SELECT}
+    WHERE t.user_id = ? AND t.deleted_at IS NULL ${nameFilter}
+    GROUP BY t.id
+    ORDER BY t.id ASC
+  `).all(userId, ...(names || [])).map(transformTaskWithTags);
+}
+
+/**
+ * One resource by name
+ *
+ * @param {number} userId - User ID
+ * @param {string} name - Resource name (e.g. 'twu-task-12.ics')
+ * @returns {object|null}
+ */
+function getObject(userId, name) {
+  return listObjects(userId, [name])[0] || null;
+}
+
+/**
+ * What changed in the collection after a change number
+ *
+ * @param {number} userId - User ID
+ * @param {number} since - Change number from parseSyncToken
+ * @returns {object} { changed: objects, removed: resource names, token: current sync token }
+ */
+function changesSince(userId, since) {
+  const changes = db.prepare(`
+    SELECT c.name, t.id as live_id
+    FROM task_sync_changes c
+    LEFT JOIN tasks t ON t.id = c.task_id AND t.deleted_at IS NULL
+    WHERE c.user_id = ? AND c.seq > ?
+    ORDER BY c.seq ASC
+  `).all(userId, since);
+
+  const liveNames = changes.filter(change => change.live_id).map(change => change.name);
+  const changed = listObjects(userId, liveNames);
+  const changedNames = new Set(changed.map(object => object.name));
+
+  // A removed task's name may since have been taken by a new one
+  const removed = since === 0 ? [] : [...new Set(
+    changes.filter(change => !change.live_id && !changedNames.has(change.name)).map(change => change.name)
+  )];
+
+  return { changed, removed, token: getSyncToken(userId) };
+}
+
+/**
+ * SQL timestamp (UTC) as a Date
+ */
+function fromSqlTimestamp(timestamp) {
+  return new Date(`${timestamp.replace(' ', 'T')}Z`);
+}
+
+/**
+ * A resource's calendar data: a VCALENDAR holding the task's VTODO
+ *
+ * @param {object} object - From listObjects/getObject
+ * @param {string} timezone - User's IANA timezone
+ * @returns {string} iCalendar text
+ */
+function toICalendar(object, timezone) {
+  const modified = formatDateTime(fromSqlTimestamp(object.updated_at));
+  const lines = [
+    'BEGIN:VTODO',
+    `UID:${object.uid}`,
+    `DTSTAMP:${modified}`,
+    `CREATED:${formatDateTime(fromSqlTimestamp(object.created_at))}`,
+    `LAST-MODIFIED:${modified}`,
+    `SUMMARY:${escapeStoredText(object.title)}`
+  ];
+
+  if (object.description) {
+    lines.push(`DESCRIPTION:${escapeStoredText(object.description)}`);
+  }
+  if (object.deadline) {
+    lines.push(deadlineProperty('DUE', object.deadline, timezone));
+  }
+  if (object.completed) {
+    lines.push('STATUS:COMPLETED', `COMPLETED:${modified}`, 'PERCENT-COMPLETE:100');
+  } else {
+    lines.push('STATUS:NEEDS-ACTION');
+  }
+  if (object.tags.length > 0) {
+    lines.push(`CATEGORIES:${object.tags.map(tag => escapeStoredText(tag.name)).join(',')}`);
+  }
+  if (object.parent_task_id) {
+    lines.push(`RELATED-TO;RELTYPE=PARENT:${object.parent_uid}`);
+  }
+  if (process.env.FRONTEND_URL) {
+    lines.push(`URL:${process.env.FRONTEND_URL}/tasks?task=${object.id}`);
+  }
+  lines.push('END:VTODO');
+
+  return buildCalendar([], [lines]);
+}
+
+/**
+ * A DUE value as a tasks.deadline: 'YYYY-MM-DD' for dates, otherwise the
+ * wall-clock time in the user's timezone ('YYYY-MM-DDTHH:MM')
+ *
+ * @param {object} property - Parsed DUE property
+ * @param {string} timezone - User's IANA timezone
+ * @returns {string|null} null when the value isn't a DATE or DATE-TIME
+ */
+function parseDue(property, timezone) {
+  const match = property.value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/i);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, , utc] = match;
+  const date = `${year}-${month}-${day}`;
+
+  if (hour === undefined || property.params.VALUE === 'DATE') return date;
+
+  const time = `${hour}:${minute}`;
+  let moment = null;
+  if (utc) {
+    moment = new Date(`${date}T${time}:00Z`);
+  } else if (property.params.TZID && isValidTimezone(property.params.TZID)) {
+    moment = fromLocalTime(date, time, property.params.TZID);
+  }
+
+  // Floating times (and unknown zones) are taken as the user's wall clock
+  if (!moment) return `${date}T${time}`;
+
+  const local = getLocalTime(moment, timezone);
+  return `${local.date}T${local.time}`;
+}
+
+/**
+ * Reads the task fields out of a PUT body
+ *
+ * @param {object[]} calendars - parseCalendar result
+ * @param {string} timezone - User's IANA timezone
+ * @returns {object} { todo: { uid, title, description, deadline, completed, tags, parentUid } },
+ *   or { precondition } naming the CalDAV precondition the body fails
+ */
+function readTodo(calendars, timezone) {
+  const calendar = calendars.find(component => component.type === 'VCALENDAR');
+  const todos = calendar ? calendar.components.filter(component => component.type === 'VTODO') : [];
+
+  if (todos.length === 0) {
+    return { precondition: 'supported-calendar-component' };
+  }
+
+  // Recurrence overrides share the UID: the master (no RECURRENCE-ID) is the task
+  const uids = new Set(todos.map(todo => (todo.properties.find(p => p.name === 'UID') || {}).value));
+  const todo = todos.find(t => !t.properties.some(p => p.name === 'RECURRENCE-ID')) || todos[0];
+  const property = (name) => todo.properties.find(p => p.name === name);
+
+  const uid = property('UID') ? property('UID').value.trim() : '';
+  const deadline = property('DUE') ? parseDue(property('DUE'), timezone) : null;
+
+  if (uids.size !== 1 || !uid || (property('DUE') && deadline === null)) {
+    return { precondition: 'valid-calendar-object-resource' };
+  }
+
+  const summary = property('SUMMARY') ? sanitizeText(unescapeText(property('SUMMARY').value)) : '';
+  const description = property('DESCRIPTION') ? sanitizeText(unescapeText(property('DESCRIPTION').value)) : '';
+  const status = property('STATUS') ? property('STATUS').value.trim().toUpperCase() : null;
+
+  const tags = [...new Set(
+    todo.properties
+      .filter(p => p.name === 'CATEGORIES')
+      .flatMap(p => splitTextList(p.value))
+      .map(name => name.trim())
+      .filter(Boolean)
+  )];
+
+  const parent = todo.properties.find(p => (
+    p.name === 'RELATED-TO' && (!p.params.RELTYPE || p.params.RELTYPE.toUpperCase() === 'PARENT')
+  ));
+
+  return {
+    todo: {
+      uid,
+      title: summary || 'Untitled task',
+      description: description || null,
+      deadline,
+      completed: status ? status === 'COMPLETED' : Boolean(property('COMPLETED')),
+      tags,
+      parentUid: parent ? parent.value.trim() : null
+    }
+  };
+}
+
+/**
+ * Whether a resource name is the default name of a TWU task (which apps
+ * can't create resources under)
+ *
+ * @param {string} name - Resource name
+ * @returns {boolean}
+ */
+function isReservedName(name) {
+  return DEFAULT_NAME_PATTERN.test(name);
+}
+
+/**
+ * The live task a UID belongs to
+ *
+ * @param {number} userId - User ID
+ * @param {string} uid - VTODO UID
+ * @returns {object|null} Task row
+ */
+function findTaskByUid(userId, uid) {
+  return db.prepare(`
+    SELECT * FROM tasks
+    WHERE user_id = ? AND deleted_at IS NULL
+      AND (caldav_uid = ? OR (caldav_uid IS NULL AND 'twu-task-' || id = ?))
+  `).get(userId, uid, uid) || null;
+}
+
+/**
+ * The parent_task_id a RELATED-TO stands for: null without one, undefined
+ * (leave as is) when the parent is unknown or would make a cycle
+ */
+function resolveParentId(userId, parentUid, taskId = null) {
+  if (!parentUid) return null;
+
+  const parent = findTaskByUid(userId, parentUid);
+  if (!parent) return undefined;
+
+  if (taskId && taskTreeService.wouldCreateCycle(taskId, parent.id, userId)) return undefined;
+
+  return parent.id;
+}
+
+/**
+ * Creates the task for a new resource
+ * Check isReservedName and findTaskByUid first.
+ *
+ * @param {number} userId - User ID
+ * @param {string} name - Resource name
+ * @param {object} todo - From readTodo
+ * @returns {object} The new resource
+ */
+function createObject(userId, name, todo) {
+  db.transaction(() => {
+    // A trashed task may still hold the name: it leaves the collection under its default name
+    db.prepare(`
+      UPDATE tasks SET caldav_name = NULL, caldav_uid = NULL
+      WHERE user_id = ? AND caldav_name = ? AND deleted_at IS NOT NULL
+    `).run(userId, name);
+
+    // Subtasks join their parent's project
+    const parentId = resolveParentId(userId, todo.parentUid) || null;
+    const parent = parentId ? db.prepare('SELECT project_id FROM tasks WHERE id = ?').get(parentId) : null;
+
+    const result = db.prepare(`
+      INSERT INTO tasks (
+        user_id, title, description, deadline, completed, parent_task_id, project_id, caldav_uid, caldav_name
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      userId,
+      todo.title,
+      todo.description,
+      todo.deadline,
+      todo.completed ? 1 : 0,
+      parentId,
+      parent ? parent.project_id : null,
+      todo.uid,
+      name
+    );
+
+    if (todo.tags.length > 0) {
+      tagService.attachTagsToTask(result.lastInsertRowid, todo.tags, userId);
+    }
+
+    taskEventService.recordCreated([result.lastInsertRowid], userId);
+  })();
+
+  return getObject(userId, name);
+}
+
+/**
+ * Applies an app's edit of a resource to its task
+ * The UID and resource name stay as they were.
+ *
+ * @param {number} userId - User ID
+ * @param {object} object - From getObject
+ * @param {object} todo - From readTodo
+ * @param {string} timezone - User's IANA timezone
+ * @returns {object} The updated resource
+ */
+function updateObject(userId, object, todo, timezone) {
+  // Apps write back the DUE they were given: keep the stored form while it's the same moment
+  const deadlineChanged = !object.deadline || !todo.deadline
+    ? object.deadline !== todo.deadline
+    : deadlineProperty('DUE', object.deadline, timezone) !== deadlineProperty('DUE', todo.deadline, timezone);
+
+  db.transaction(() => {
+    const before = taskEventService.snapshotTasks([object.id]);
+    const parentId = resolveParentId(userId, todo.parentUid, object.id);
+
+    db.prepare(`
+      UPDATE tasks
+      SET title = ?, description = ?, deadline = ?, completed = ?, parent_task_id = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND user_id = ?
+    `).run(
+      todo.title,
+      todo.description,
+      deadlineChanged ? todo.deadline : object.deadline,
+      todo.completed ? 1 : 0,
+      parentId === undefined ? object.parent_task_id : parentId,
+      object.id,
+      userId
+    );
+
+    const currentTags = object.tags.map(tag => tag.name).sort();
+    if (JSON.stringify(currentTags) !== JSON.stringify([...todo.tags].sort())) {
+      tagService.updateTaskTags(object.id, todo.tags, userId);
+    }
+
+    // Deadline reminders follow the deadline
+    if (deadlineChanged) {
+      reminderService.rescheduleForTask(object.id);
+    }
+
+    taskEventService.recordChanges('sync', before, userId);
+
+    // Completing a recurring task spawns its next occurrence, as in the app
+    if (todo.completed && !object.completed) {
+      recurrenceService.createNextOccurrence(db.prepare('SELECT * FROM tasks WHERE id = ?').get(object.id));
+    }
+  })();
+
+  return getObject(userId, object.name);
+}
+
+/**
+ * Deletes a resource: its task (and subtasks) go to the trash
+ *
+ * @param {number} userId - User ID
+ * @param {object} object - From getObject
+ * @returns {number[]} IDs of the trashed tasks
+ */
+function deleteObject(userId, object) {
+  return trashService.trashTask(object.id, userId);
+}
+
+module.exports = {
+  getSyncToken,
+  parseSyncToken,
+  etagOf,
+  listObjects,
+  getObject,
+  changesSince,
+  toICalendar,
+  readTodo,
+  isReservedName,
+  findTaskByUid,
+  createObject,
+  updateObject,
+  deleteObject
+};
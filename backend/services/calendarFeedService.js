@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const db = require('../database/db');
+const userSettingsService = require('./userSettingsService');
+const { buildTaskFilters } = require('../utils/taskFilters');
+const { TASK_TAG_JOINS, transformTaskWithTags } = require('../utils/taskHelpers');
+const { addDays } = require('../utils/recurrence');
+const { getLocalTime, fromLocalTime } = require('../utils/timezone');
+const { escapeStoredText, formatDate, formatDateTime, buildCalendar } = require('../utils/ical');
+
+// ============================================================================
+// Calendar Feed Service
+// ============================================================================
+//
+// A read-only iCalendar (.ics) feed of a user's open tasks, for subscribing
+// from calendar apps. The feed URL carries a secret token instead of a login:
+// regenerating the token replaces the URL, revoking it turns the feed off.
+//
+// The feed has:
+// - one item per deadline, as a VEVENT (default) or a VTODO with a DUE date.
+//   Date-only deadlines are all-day; deadlines with a time are read in the
+//   user's timezone setting and written in UTC, so calendar apps show them
+//   at the right moment wherever they are
+// - one all-day VEVENT per planned day (planned_for_today)
+// Tasks drop out of the feed once completed or deleted. Deadlines and plans
+// more than FEED_PAST_DAYS in the past are left out.
+//
+// USAGE:
+//   const calendarFeedService = require('./services/calendarFeedService');
+//   const token = calendarFeedService.regenerateToken(userId);
+//   const userId = calendarFeedService.findUserByToken(token);
+//   const ics = calendarFeedService.buildFeed(userId, { tags: '3,4', component: 'vtodo' });
+// ============================================================================
+
+// How far back deadlines and planned days stay in the feed
+const FEED_PAST_DAYS = 30;
+
+// Deadline components a feed can use
+const FEED_COMPONENTS = ['vevent', 'vtodo'];
+
+// How often calendar apps are asked to refresh the feed
+const REFRESH_INTERVAL = 'PT1H';
+
+/**
+ * The user's feed token, or null while the feed is off
+ *
+ * @param {number} userId - User ID
+ * @returns {string|null}
+ */
+function getToken(userId) {
+  const row = db.prepare('SELECT calendar_feed_token FROM user_settings WHERE user_id = ?').get(userId);
+  return row ? row.calendar_feed_token : null;
+}
+
+/**
+ * Gives the user a new feed token, turning the feed on (the old URL stops working)
+ *
+ * @param {number} userId - User ID
+ * @returns {string} The new token
+ */
+function regenerateToken(userId) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  db.prepare(`
+    INSERT INTO user_settings (user_id, calendar_feed_token) VALUES (?, ?)
+    ON CONFLICT(user_id) DO UPDATE SET
+      calendar_feed_token = excluded.calendar_feed_token,
+      updated_at = CURRENT_TIMESTAMP
+  `).run(userId, token);
+
+  return token;
+}
+
+/**
+ * Turns the user's feed off
+ *
+ * @param {number} userId - User ID
+ * @returns {boolean} Whether a feed was on
+ */
+function revokeToken(userId) {
+  return db.prepare(`
+    UPDATE user_settings SET calendar_feed_token = NULL, updated_at = CURRENT_TIMESTAMP
+    WHERE user_id = ? AND calendar_feed_token IS NOT NULL
+  `).run(userId).changes > 0;
+}
+
+/**
+ * The user a feed token belongs to
+ *
+ * @param {string} token - Token from a feed URL
+ * @returns {number|null} User ID
+ */
+function findUserByToken(token) {
+  const row = db.prepare('SELECT user_id FROM user_settings WHERE calendar_feed_token = ?').get(token);
+  return row ? row.user_id : null;
+}
+
+/**
+ * The DTSTART/DUE property for a deadline: a DATE for date-only deadlines,
+ * otherwise a UTC DATE-TIME (deadlines without a zone are in the user's timezone)
+ *
+ * @param {string} name - Property name
+ * @param {string} deadline - tasks.deadline
+ * @param {string} timezone - User's IANA timezone
+ * @returns {string} Content line
+ */
+function deadlineProperty(name, deadline, timezone) {
+  if (deadline.length === 10) {
+    return `${name};VALUE=DATE:${formatDate(deadline)}`;
+  }
+
+  const hasZone = /(Z|[+-]\d{2}:?\d{2})$/i.test(deadline);
+  const moment = hasZone
+    ? new Date(Date.parse(deadline))
+    : fromLocalTime(deadline.slice(0, 10), deadline.slice(11, 16), timezone);
+
+  return `${name}:${formatDateTime(moment)}`;
+}
+
+/**
+ * Lines every item of a task shares
+ */
+function commonProperties(task, uid, stamp) {
+  const lines = [
+    `UID:${uid}`,
+    `DTSTAMP:${stamp}`,
+    `SUMMARY:${escapeStoredText(task.title)}`
+  ];
+
+  if (task.description) {
+    lines.push(`DESCRIPTION:${escapeStoredText(task.description)}`);
+  }
+  if (task.tags.length > 0) {
+    lines.push(`CATEGORIES:${task.tags.map(tag => escapeStoredText(tag.name)).join(',')}`);
+  }
+  if (process.env.FRONTEND_URL) {
+    lines.push(`URL:${process.env.FRONTEND_URL}/tasks?task=${task.id}`);
+  }
+
+  return lines;
+}
+
+/**
+ * The feed item of a task's deadline
+ */
+function deadlineComponent(task, component, timezone, stamp) {
+  const uid = `task-${task.id}-deadline@twu`;
+  const allDay = task.deadline.length === 10;
+
+  if (component === 'vtodo') {
+    return [
+      'BEGIN:VTODO',
+      commonProperties(task, uid, stamp),
+      deadlineProperty('DUE', task.deadline, timezone),
+      'STATUS:NEEDS-ACTION',
+      'END:VTODO'
+    ];
+  }
+
+  return [
+    'BEGIN:VEVENT',
+    commonProperties(task, uid, stamp),
+    deadlineProperty('DTSTART', task.deadline, timezone),
+    // Timed deadlines are moments: without DTEND or DURATION the event takes no time
+    allDay ? `DTEND;VALUE=DATE:${formatDate(addDays(task.deadline, 1))}` : [],
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT'
+  ];
+}
+
+/**
+ * The all-day feed item of the day a task is planned for
+ */
+function plannedComponent(task, stamp) {
+  return [
+    'BEGIN:VEVENT',
+    commonProperties(task, `task-${task.id}-planned@twu`, stamp),
+    `DTSTART;VALUE=DATE:${formatDate(task.planned_for_today)}`,
+    `DTEND;VALUE=DATE:${formatDate(addDays(task.planned_for_today, 1))}`,
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT'
+  ];
+}
+
+/**
+ * Builds a user's feed
+ *
+ * @param {number} userId - User ID
+ * @param {object} options - { tags (comma-separated tag IDs), tag_match ('any' | 'all'),
+ *   component ('vevent' | 'vtodo', for deadlines) }
+ * @param {Date} now - Moment the feed is built (defaults to now)
+ * @returns {string} iCalendar text
+ */
+function buildFeed(userId, { tags, tag_match, component = 'vevent' } = {}, now = new Date()) {
+  const { timezone } = userSettingsService.getSettings(userId);
+  const since = addDays(getLocalTime(now, timezone).date, -FEED_PAST_DAYS);
+  const { conditions, params } = buildTaskFilters({ completed: 'false', tags, tag_match });
+
+  const tasks = db.prepare(`
+    SELECT t.id, t.title, t.description, t.deadline, t.planned_for_today, t.updated_at,
+      GROUP_CONCAT(tag.id) as tag_ids,
+      GROUP_CONCAT(tag.name) as tag_names,
+      GROUP_CONCAT(tag.color) as tag_colors
+    FROM tasks t
+    ${TASK_TAG_JOINS}
+    WHERE ${['t.user_id = ?', 't.deleted_at IS NULL', ...conditions].join(' AND ')}
+      AND (substr(t.deadline, 1, 10) >= ? OR t.planned_for_today >= ?)
+    GROUP BY t.id
+    ORDER BY t.id ASC
+  `).all(userId, ...params, since, since).map(transformTaskWithTags);
+
+  const components = [];
+  for (const task of tasks) {
+    // updated_at is a UTC SQL timestamp
+    const stamp = formatDateTime(new Date(`${task.updated_at.replace(' ', 'T')}Z`));
+
+    if (task.deadline && task.deadline.slice(0, 10) >= since) {
+      components.push(deadlineComponent(task, component, timezone, stamp));
+    }
+    if (task.planned_for_today && task.planned_for_today >= since) {
+      components.push(plannedComponent(task, stamp));
+    }
+  }
+
+  return buildCalendar([
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:TWU tasks',
+    `X-WR-TIMEZONE:${timezone}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`
+  ], components);
+}
+
+module.exports = {
+  FEED_PAST_DAYS,
+  FEED_COMPONENTS,
+  getToken,
+  regenerateToken,
+  revokeToken,
+  findUserByToken,
+  deadlineProperty,
+  buildFeed
+};
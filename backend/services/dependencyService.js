@@ -0,0 +1,114 @@
+const db = require('../database/db');
+
+// ============================================================================
+// Dependency Service
+// ============================================================================
+//
+// Manages "blocked by" links between tasks. A task is blocked while any of
+// its blockers is unfinished (not completed and not deleted).
+//
+// USAGE:
+//   const dependencyService = require('./services/dependencyService');
+//   dependencyService.addDependency(taskId, blockedByTaskId);
+// ============================================================================
+
+/**
+ * Checks whether "taskId blocked by blockedById" would close a cycle,
+ * i.e. blockedById already (transitively) waits on taskId
+ *
+ * @param {number} taskId - Task that would become blocked
+ * @param {number} blockedById - Proposed blocker
+ * @returns {boolean} True if the link would create a cycle
+ */
+function wouldCreateCycle(taskId, blockedById) {
+  if (Number(taskId) === Number(blockedById)) {
+    return true;
+  }
+
+  const found = db.prepare(`
+    WITH RECURSIVE blockers(id) AS (
+      SELECT blocked_by_task_id FROM task_dependencies WHERE task_id = ?
+      UNION
+      SELECT td.blocked_by_task_id FROM task_dependencies td
+      JOIN blockers b ON td.task_id = b.id
+    )
+    SELECT 1 FROM blockers WHERE id = ?
+  `).get(blockedById, taskId);
+
+  return !!found;
+}
+
+/**
+ * Adds a "blocked by" link (no-op if it already exists)
+ *
+ * @param {number} taskId - Blocked task
+ * @param {number} blockedById - Blocker task
+ */
+function addDependency(taskId, blockedById) {
+  db.prepare(`
+    INSERT OR IGNORE INTO task_dependencies (task_id, blocked_by_task_id)
+    VALUES (?, ?)
+  `).run(taskId, blockedById);
+}
+
+/**
+ * Removes a "blocked by" link
+ *
+ * @returns {boolean} True if a link was removed
+ */
+function removeDependency(taskId, blockedById) {
+  const result = db.prepare(`
+    DELETE FROM task_dependencies WHERE task_id = ? AND blocked_by_task_id = ?
+  `).run(taskId, blockedById);
+
+  return result.changes > 0;
+}
+
+/**
+ * Lists both directions of a task's dependencies (deleted tasks excluded)
+ *
+ * @param {number} taskId - Task ID
+ * @returns {object} { blocked_by: [...], blocking: [...] }
+ */
+function getDependencies(taskId) {
+  const blockedBy = db.prepare(`
+    SELECT t.id, t.title, t.completed, t.deadline
+    FROM task_dependencies td
+    JOIN tasks t ON t.id = td.blocked_by_task_id
+    WHERE td.task_id = ? AND t.deleted_at IS NULL
+    ORDER BY t.completed ASC, t.id ASC
+  `).all(taskId);
+
+  const blocking = db.prepare(`
+    SELECT t.id, t.title, t.completed, t.deadline
+    FROM task_dependencies td
+    JOIN tasks t ON t.id = td.task_id
+    WHERE td.blocked_by_task_id = ? AND t.deleted_at IS NULL
+    ORDER BY t.completed ASC, t.id ASC
+  `).all(taskId);
+
+  return { blocked_by: blockedBy, blocking };
+}
+
+/**
+ * Counts unfinished blockers of a task
+ *
+ * @param {number} taskId - Task ID
+ * @returns {number} Number of open blockers
+ */
+function countOpenBlockers(taskId) {
+  return db.prepare(`
+    SELECT COUNT(*) as count
+    FROM task_dependencies td
+    JOIN tasks t ON t.id = td.blocked_by_task_id
+    WHERE td.task_id = ? AND t.completed = 0 AND t.deleted_at IS NULL
+  `).get(taskId).count;
+}
+
+module.exports = {
+  wouldCreateCycle,
+  addDependency,
+  removeDependency,
+  getDependencies,
+  countOpenBlockers
+};
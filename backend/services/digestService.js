@@ -0,0 +1,329 @@
+const crypto = require('crypto');
+const db = require('../database/db');
+const emailService = require('./email');
+const pomodoroService = require('./pomodoroService');
+const timeEntryService = require('./timeEntryService');
+const { addDays } = require('../utils/recurrence');
+const { getLocalTime, fromLocalTime } = require('../utils/timezone');
+
+// ============================================================================
+// Digest Service
+// ============================================================================
+//
+// Opt-in emails sent at the user's digest_time in their own timezone:
+// - The daily digest lists today's planned tasks, leftovers planned for an
+//   earlier day (as on the Today page), overdue deadlines and how many inbox
+//   items are waiting. Nothing to report means no email.
+// - The weekly summary goes out on Mondays and covers the previous Monday to
+//   Sunday: tasks completed, pomodoros and time tracked.
+//
+// Each email is claimed in digest_deliveries (one row per user, kind and
+// local date) before it is sent, so it goes out once even if the schedule
+// runs twice. A failed send is retried a few times while still in the
+// sending window, and so is one whose sending was cut off. Every email
+// carries a one-click unsubscribe link.
+//
+// USAGE:
+//   const digestService = require('./services/digestService');
+//   const digest = digestService.buildDailyDigest(userId, new Date(), 'Europe/Berlin');
+//   digestService.startDigestSchedule();
+// ============================================================================
+
+const DIGEST_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
+
+// How long after digest_time an email may still go out (e.g. after a restart)
+const SEND_WINDOW_MINUTES = 3 * 60;
+
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MINUTES = 10;
+
+// A claim still 'sending' after this long was cut off (e.g. by a restart)
+const STALE_CLAIM_MINUTES = 10;
+
+// Day the weekly summary is sent (1 = Monday)
+const WEEKLY_SUMMARY_WEEKDAY = 1;
+
+const DIGEST_TASK_COLUMNS = 't.id, t.title, t.deadline, t.planned_for_today';
+
+let isProcessing = false;
+
+/**
+ * Minutes since midnight of an HH:MM time
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * The daily digest of a user for the local day of a moment
+ *
+ * @param {number} userId - User ID
+ * @param {Date} now - Moment the digest is for
+ * @param {string} timezone - User's IANA timezone
+ * @returns {object} { date, planned, leftovers, overdue, inbox_count } - task lists hold id, title, deadline, planned_for_today
+ */
+function buildDailyDigest(userId, now, timezone) {
+  const local = getLocalTime(now, timezone);
+  const open = 't.user_id = ? AND t.completed = 0 AND t.deleted_at IS NULL';
+
+  const planned = db.prepare(`
+    SELECT ${DIGEST_TASK_COLUMNS}
+    FROM tasks t
+    LEFT JOIN task_ranks r ON r.task_id = t.id AND r.view = 'today'
+    WHERE ${open} AND t.planned_for_today = ?
+    ORDER BY r.rank IS NULL, r.rank ASC, t.created_at DESC
+  `).all(userId, local.date);
+
+  const leftovers = db.prepare(`
+    SELECT ${DIGEST_TASK_COLUMNS}
+    FROM tasks t
+    WHERE ${open} AND t.planned_for_today IS NOT NULL AND t.planned_for_today < ?
+    ORDER BY t.planned_for_today ASC, t.created_at DESC
+  `).all(userId, local.date);
+
+  // Deadlines are local: a date-only deadline is overdue from the next day on
+  const overdue = db.prepare(`
+    SELECT ${DIGEST_TASK_COLUMNS}
+    FROM tasks t
+    WHERE ${open} AND t.deadline IS NOT NULL
+      AND CASE WHEN length(t.deadline) = 10 THEN t.deadline < ? ELSE t.deadline < ? END
+    ORDER BY t.deadline ASC
+  `).all(userId, local.date, `${local.date}T${local.time}`);
+
+  const { count } = db.prepare(`
+    SELECT COUNT(*) as count FROM inbox
+    WHERE user_id = ?
+      AND (status = 'active' OR (status = 'delayed' AND delayed_until <= datetime('now')))
+  `).get(userId);
+
+  return {
+    date: local.date,
+    planned,
+    leftovers,
+    overdue,
+    inbox_count: count
+  };
+}
+
+/**
+ * The weekly summary of a user for the Monday-to-Sunday week before a moment
+ *
+ * @param {number} userId - User ID
+ * @param {Date} now - Moment the summary is sent
+ * @param {string} timezone - User's IANA timezone
+ * @returns {object} { from, to, completed, pomodoros, focus_minutes, tracked_minutes, tags }
+ */
+function buildWeeklySummary(userId, now, timezone) {
+  const local = getLocalTime(now, timezone);
+
+  // Monday to Sunday of the previous week, from its first local midnight to
+  // the one after it: a daylight saving change can fall in between
+  const from = addDays(local.date, -(local.weekday - 1) - 7);
+  const to = addDays(from, 6);
+  const span = {
+    start: timeEntryService.toSqlTimestamp(fromLocalTime(from, '00:00', timezone)),
+    end: timeEntryService.toSqlTimestamp(fromLocalTime(addDays(to, 1), '00:00', timezone))
+  };
+
+  const { completed } = db.prepare(`
+    SELECT COUNT(DISTINCT ev.task_id) as completed
+    FROM task_events ev
+    JOIN tasks t ON t.id = ev.task_id
+    WHERE t.user_id = ? AND t.completed = 1 AND t.deleted_at IS NULL
+      AND json_extract(ev.changes, '$.completed.to') = 1
+      AND ev.created_at >= ? AND ev.created_at < ?
+  `).get(userId, span.start, span.end);
+
+  const pomodoros = pomodoroService.getTotalsBetween(userId, span);
+  const tracked = timeEntryService.getTotalsBetween(userId, span);
+
+  return {
+    from,
+    to,
+    completed,
+    pomodoros: pomodoros.completed,
+    focus_minutes: pomodoros.focus_minutes,
+    tracked_minutes: tracked.total_minutes,
+    tags: tracked.tags
+  };
+}
+
+/**
+ * Gets a user's unsubscribe token, creating it on first use
+ *
+ * @param {number} userId - User ID
+ * @returns {string}
+ */
+function getUnsubscribeToken(userId) {
+  db.prepare(`
+    INSERT INTO user_settings (user_id, unsubscribe_token) VALUES (?, ?)
+    ON CONFLICT(user_id) DO UPDATE SET
+      unsubscribe_token = COALESCE(unsubscribe_token, excluded.unsubscribe_token)
+  `).run(userId, crypto.randomBytes(32).toString('hex'));
+
+  return db.prepare('SELECT unsubscribe_token FROM user_settings WHERE user_id = ?').get(userId).unsubscribe_token;
+}
+
+/**
+ * Turns off the daily digest and weekly summary of the token's user
+ *
+ * @param {string} token - Unsubscribe token from an email
+ * @returns {boolean} Whether the token belongs to a user
+ */
+function unsubscribe(token) {
+  const result = db.prepare(`
+    UPDATE user_settings
+    SET digest_enabled = 0, weekly_summary_enabled = 0, updated_at = CURRENT_TIMESTAMP
+    WHERE unsubscribe_token = ?
+  `).run(token);
+
+  return result.changes > 0;
+}
+
+/**
+ * Claims an email for sending: a new delivery, or one that failed a while ago
+ * A stale claim counts as a failed attempt, retried like any other.
+ * @returns {boolean} Whether this call may send it
+ */
+function claimDelivery(userId, kind, period, nowSql) {
+  // updated_at stays the time of the claim, already past the retry delay
+  db.prepare(`
+    UPDATE digest_deliveries
+    SET status = 'failed', attempts = attempts + 1, last_error = 'Interrupted while sending'
+    WHERE user_id = ? AND kind = ? AND period = ? AND status = 'sending' AND updated_at <= datetime(?, ?)
+  `).run(userId, kind, period, nowSql, `-${STALE_CLAIM_MINUTES} minutes`);
+
+  const created = db.prepare(`
+    INSERT OR IGNORE INTO digest_deliveries (user_id, kind, period, status, created_at, updated_at)
+    VALUES (?, ?, ?, 'sending', ?, ?)
+  `).run(userId, kind, period, nowSql, nowSql);
+
+  if (created.changes > 0) return true;
+
+  const retried = db.prepare(`
+    UPDATE digest_deliveries SET status = 'sending', updated_at = ?
+    WHERE user_id = ? AND kind = ? AND period = ? AND status = 'failed'
+      AND attempts < ? AND updated_at <= datetime(?, ?)
+  `).run(nowSql, userId, kind, period, MAX_ATTEMPTS, nowSql, `-${RETRY_DELAY_MINUTES} minutes`);
+
+  return retried.changes > 0;
+}
+
+/**
+ * Records how a claimed delivery ended ('sent', 'skipped' or 'failed')
+ */
+function finishDelivery(userId, kind, period, nowSql, status, error = null) {
+  db.prepare(`
+    UPDATE digest_deliveries
+    SET status = ?, attempts = attempts + 1, last_error = ?, updated_at = ?
+    WHERE user_id = ? AND kind = ? AND period = ?
+  `).run(status, error ? String(error.message || error).slice(0, 500) : null, nowSql, userId, kind, period);
+}
+
+/**
+ * Claims, builds and sends one email, recording the outcome
+ * @returns {Promise<string|null>} 'sent', 'skipped', 'failed', or null if not claimed
+ */
+async function deliver(user, kind, period, nowSql, send) {
+  if (!claimDelivery(user.id, kind, period, nowSql)) return null;
+
+  try {
+    const status = (await send()) ? 'sent' : 'skipped';
+    finishDelivery(user.id, kind, period, nowSql, status);
+    return status;
+  } catch (error) {
+    console.error(`Error sending ${kind} digest to user ${user.id}:`, error);
+    finishDelivery(user.id, kind, period, nowSql, 'failed', error);
+    return 'failed';
+  }
+}
+
+/**
+ * Sends the digests and weekly summaries that are due
+ * Runs one pass at a time; a call while another is still sending does nothing.
+ *
+ * @param {Date} now - Current time
+ * @returns {Promise<object>} { sent, skipped, failed }
+ */
+async function sendDueDigests(now = new Date()) {
+  const result = { sent: 0, skipped: 0, failed: 0 };
+  if (isProcessing) return result;
+  isProcessing = true;
+
+  try {
+    const nowSql = timeEntryService.toSqlTimestamp(now);
+    const users = db.prepare(`
+      SELECT u.id, u.email, u.name, s.timezone, s.digest_time, s.digest_enabled, s.weekly_summary_enabled
+      FROM user_settings s
+      JOIN users u ON u.id = s.user_id
+      WHERE s.digest_enabled = 1 OR s.weekly_summary_enabled = 1
+    `).all();
+
+    for (const user of users) {
+      const local = getLocalTime(now, user.timezone);
+      const minutesLate = toMinutes(local.time) - toMinutes(user.digest_time);
+      if (minutesLate < 0 || minutesLate > SEND_WINDOW_MINUTES) continue;
+
+      const unsubscribeLink = () => `${process.env.FRONTEND_URL}/unsubscribe/${getUnsubscribeToken(user.id)}`;
+      const outcomes = [];
+
+      if (user.digest_enabled) {
+        outcomes.push(await deliver(user, 'daily', local.date, nowSql, async () => {
+          const digest = buildDailyDigest(user.id, now, user.timezone);
+          const isEmpty = digest.planned.length + digest.leftovers.length + digest.overdue.length === 0 &&
+            digest.inbox_count === 0;
+          if (isEmpty) return false;
+
+          await emailService.sendDailyDigestEmail(user, digest, unsubscribeLink());
+          return true;
+        }));
+      }
+
+      if (user.weekly_summary_enabled && local.weekday === WEEKLY_SUMMARY_WEEKDAY) {
+        outcomes.push(await deliver(user, 'weekly', local.date, nowSql, async () => {
+          const summary = buildWeeklySummary(user.id, now, user.timezone);
+          await emailService.sendWeeklySummaryEmail(user, summary, unsubscribeLink());
+          return true;
+        }));
+      }
+
+      for (const outcome of outcomes) {
+        if (outcome) result[outcome]++;
+      }
+    }
+  } finally {
+    isProcessing = false;
+  }
+
+  return result;
+}
+
+/**
+ * Runs sendDueDigests every 5 minutes (and shortly after startup)
+ * Timers are unref'd so they never keep the process alive on their own.
+ */
+function startDigestSchedule() {
+  const run = async () => {
+    try {
+      const { sent, failed } = await sendDueDigests();
+      if (sent > 0 || failed > 0) {
+        console.log(`Sent ${sent} digest emails (${failed} failed)`);
+      }
+    } catch (error) {
+      console.error('Error sending digest emails:', error);
+    }
+  };
+
+  setInterval(run, DIGEST_INTERVAL_MS).unref();
+  setTimeout(run, 5000).unref(); // 5 seconds after startup
+}
+
+module.exports = {
+  buildDailyDigest,
+  buildWeeklySummary,
+  getUnsubscribeToken,
+  unsubscribe,
+  sendDueDigests,
+  startDigestSchedule
+};
@@ -1,5 +1,6 @@
 const db = require('../database/db');
 const crypto = require('crypto');
+const { decodeText, escapeHtml } = require('../utils/sanitize');
 
 class EmailService {
   constructor() {
@@ -131,6 +132,163 @@ TWU Team
     return this.sendEmail(user.email, 'Reset your password', htmlBody, textBody);
   }
 
+  async sendTaskReminderEmail(user, task) {
+    const tasksLink = `${process.env.FRONTEND_URL}/tasks`;
+    const due = task.deadline ? ` (due ${task.deadline.replace('T', ' ')})` : '';
+    // Stored titles are HTML-escaped: plain for text and subject, escaped again for HTML
+    const title = decodeText(task.title);
+
+    const htmlBody = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Reminder</h2>
+        <p>Hi ${user.name || 'there'},</p>
+        <p>This is your reminder for <strong>${escapeHtml(title)}</strong>${due}.</p>
+        <p style="margin: 30px 0;">
+          <a href="${tasksLink}"
+             style="background-color: #667eea; color: white; padding: 12px 24px;
+                    text-decoration: none; border-radius: 4px; display: inline-block;">
+            Open Tasks
+          </a>
+        </p>
+        <p>You can snooze or dismiss this reminder in TWU.</p>
+        <p>Best regards,<br>TWU Team</p>
+      </div>
+    `;
+
+    const textBody = `
+Hi ${user.name || 'there'},
+
+This is your reminder for "${title}"${due}.
+
+Open your tasks: ${tasksLink}
+
+You can snooze or dismiss this reminder in TWU.
+
+Best regards,
+TWU Team
+    `;
+
+    return this.sendEmail(user.email, `Reminder: ${title}`, htmlBody, textBody);
+  }
+
+  async sendDailyDigestEmail(user, digest, unsubscribeLink) {
+    const todayLink = `${process.env.FRONTEND_URL}/today`;
+    const sections = [
+      { title: 'Planned for today', tasks: digest.planned },
+      { title: 'Left over from earlier days', tasks: digest.leftovers },
+      { title: 'Overdue', tasks: digest.overdue }
+    ].filter(section => section.tasks.length > 0);
+    const due = (task) => (task.deadline ? ` (due ${task.deadline.replace('T', ' ')})` : '');
+    const title = (task) => decodeText(task.title);
+    const inboxLine = digest.inbox_count > 0
+      ? `${digest.inbox_count} inbox ${digest.inbox_count === 1 ? 'item is' : 'items are'} waiting to be processed.`
+      : '';
+
+    const htmlBody = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Your plan for ${digest.date}</h2>
+        <p>Hi ${user.name || 'there'},</p>
+        ${sections.map(section => `
+        <h3 style="margin-bottom: 8px;">${section.title} (${section.tasks.length})</h3>
+        <ul style="margin-top: 0; padding-left: 20px;">
+          ${section.tasks.map(task => `<li>${escapeHtml(title(task))}${due(task)}</li>`).join('\n          ')}
+        </ul>`).join('')}
+        ${inboxLine ? `<p>${inboxLine}</p>` : ''}
+        <p style="margin: 30px 0;">
+          <a href="${todayLink}"
+             style="background-color: #667eea; color: white; padding: 12px 24px;
+                    text-decoration: none; border-radius: 4px; display: inline-block;">
+            Open Today
+          </a>
+        </p>
+        <p>Best regards,<br>TWU Team</p>
+        <p style="font-size: 12px; color: #666;">
+          You get this email because you turned on the daily digest.
+          <a href="${unsubscribeLink}" style="color: #666;">Unsubscribe</a>
+        </p>
+      </div>
+    `;
+
+    const textBody = `
+Hi ${user.name || 'there'},
+
+Your plan for ${digest.date}:
+${sections.map(section => `
+${section.title} (${section.tasks.length}):
+${section.tasks.map(task => `- ${title(task)}${due(task)}`).join('\n')}
+`).join('')}
+${inboxLine}
+
+Open Today: ${todayLink}
+
+Best regards,
+TWU Team
+
+Unsubscribe: ${unsubscribeLink}
+    `;
+
+    return this.sendEmail(user.email, `Your plan for ${digest.date}`, htmlBody, textBody);
+  }
+
+  async sendWeeklySummaryEmail(user, summary, unsubscribeLink) {
+    const timesheetLink = `${process.env.FRONTEND_URL}/timesheet`;
+    const formatMinutes = (minutes) => (minutes >= 60
+      ? `${Math.floor(minutes / 60)}h ${minutes % 60}m`
+      : `${minutes}m`);
+    const lines = [
+      `Tasks completed: ${summary.completed}`,
+      `Pomodoros completed: ${summary.pomodoros} (${formatMinutes(summary.focus_minutes)} of focus)`,
+      `Time tracked: ${formatMinutes(summary.tracked_minutes)}`
+    ];
+    const tagLines = summary.tags.slice(0, 5).map(tag => `${tag.name ? decodeText(tag.name) : 'Untagged'}: ${formatMinutes(tag.minutes)}`);
+
+    const htmlBody = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Your week: ${summary.from} to ${summary.to}</h2>
+        <p>Hi ${user.name || 'there'},</p>
+        <ul style="padding-left: 20px;">
+          ${lines.map(line => `<li>${line}</li>`).join('\n          ')}
+        </ul>
+        ${tagLines.length > 0 ? `
+        <h3 style="margin-bottom: 8px;">Time by tag</h3>
+        <ul style="margin-top: 0; padding-left: 20px;">
+          ${tagLines.map(line => `<li>${escapeHtml(line)}</li>`).join('\n          ')}
+        </ul>` : ''}
+        <p style="margin: 30px 0;">
+          <a href="${timesheetLink}"
+             style="background-color: #667eea; color: white; padding: 12px 24px;
+                    text-decoration: none; border-radius: 4px; display: inline-block;">
+            Open Timesheet
+          </a>
+        </p>
+        <p>Best regards,<br>TWU Team</p>
+        <p style="font-size: 12px; color: #666;">
+          You get this email because you turned on the weekly summary.
+          <a href="${unsubscribeLink}" style="color: #666;">Unsubscribe</a>
+        </p>
+      </div>
+    `;
+
+    const textBody = `
+Hi ${user.name || 'there'},
+
+Your week, ${summary.from} to ${summary.to}:
+${lines.map(line => `- ${line}`).join('\n')}
+${tagLines.length > 0 ? `
+Time by tag:
+${tagLines.map(line => `- ${line}`).join('\n')}
+` : ''}
+Open Timesheet: ${timesheetLink}
+
+Best regards,
+TWU Team
+
+Unsubscribe: ${unsubscribeLink}
+    `;
+
+    return this.sendEmail(user.email, `Your week: ${summary.from} to ${summary.to}`, htmlBody, textBody);
+  }
+
   generateToken() {
     return crypto.randomBytes(32).toString('hex');
   }
@@ -0,0 +1,376 @@
+const db = require('../database/db');
+const userSettingsService = require('./userSettingsService');
+const { getLocalTime } = require('../utils/timezone');
+const { decodeText } = require('../utils/sanitize');
+const { formatCsvRow } = require('../utils/csv');
+const { createZipWriter } = require('../utils/zip');
+
+// ============================================================================
+// Export Service
+// ============================================================================
+//
+// A user's data to take elsewhere: tasks (with tags, subtasks, time entries
+// and tracked time), memos, inbox items and tags, trashed items included
+// (with their deleted_at).
+//
+// Two formats:
+// - json: one export.json with every item ("format": "twu-export")
+// - zip:  a folder with that export.json, a CSV file per kind of item
+//         (csv/tasks.csv, csv/time_entries.csv, csv/memos.csv, csv/inbox.csv,
+//         csv/tags.csv) and each memo as a Markdown file with front matter
+//         (memos/<id>-<title>.md)
+//
+// Items are read in batches of BATCH_SIZE and written out as they're read,
+// so large accounts never sit in memory whole. Text is written as plain text,
+// not the HTML-escaped form it is stored in.
+//
+// USAGE:
+//   const exportService = require('./services/exportService');
+//   res.attachment(exportService.getFileName(userId, 'zip'));
+//   await exportService.writeArchive(userId, res);
+//   res.end();
+// ============================================================================
+
+const EXPORT_FORMATS = ['zip', 'json'];
+
+// Marks an export.json, for importing it back
+const EXPORT_FORMAT_NAME = 'twu-export';
+const EXPORT_VERSION = 1;
+
+// Items read per query
+const BATCH_SIZE = 500;
+
+// Export fields, in CSV column order
+const TASK_FIELDS = [
+  'id', 'title', 'description', 'why', 'completed', 'status', 'importance', 'urgency', 'auto_urgency',
+  'deadline', 'planned_for_today', 'estimate_minutes', 'time_spent_minutes', 'pomodoro_count',
+  'recurrence_rule', 'parent_task_id', 'project', 'tags', 'deleted_at', 'created_at', 'updated_at'
+];
+const TIME_ENTRY_FIELDS = ['id', 'task_id', 'started_at', 'ended_at', 'minutes', 'note', 'source'];
+const MEMO_FIELDS = ['id', 'title', 'content', 'details', 'project', 'tags', 'deleted_at', 'created_at', 'updated_at'];
+const INBOX_FIELDS = ['id', 'content', 'source', 'status', 'delayed_until', 'tags', 'created_at'];
+const TAG_FIELDS = ['id', 'name', 'color', 'created_at'];
+
+// Stored text as plain text, keeping null as null
+const plain = (value) => (value === null || value === undefined ? null : decodeText(value));
+
+/**
+ * Reads rows in id order, one batch at a time
+ *
+ * @param {Function} selectAfter - (lastId) => next rows with a greater id, at most BATCH_SIZE
+ * @param {Function} shape - (rows) => export items
+ * @yields {object[]} Export items
+ */
+function* readBatches(selectAfter, shape) {
+  let lastId = 0;
+
+  for (;;) {
+    const rows = selectAfter(lastId);
+    if (rows.length === 0) return;
+
+    lastId = rows[rows.length - 1].id;
+    yield shape(rows);
+  }
+}
+
+/**
+ * Tag names of items, from one of the tag junction tables
+ *
+ * @returns {Map<number, string[]>} Item ID -> tag names (sorted)
+ */
+function getTagNames(joinTable, itemColumn, itemIds) {
+  const names = new Map(itemIds.map(id => [id, []]));
+
+  db.prepare(`
+    SELECT j.${itemColumn} as item_id, tag.name
+    FROM ${joinTable} j
+    JOIN tags tag ON tag.id = j.tag_id
+    WHERE j.${itemColumn} IN (${itemIds.map(() => '?').join(',')})
+    ORDER BY tag.name
+  `).all(...itemIds).forEach(row => names.get(row.item_id).push(decodeText(row.name)));
+
+  return names;
+}
+
+/**
+ * The user's tasks with their tags and time entries
+ *
+ * @param {number} userId - User ID
+ * @yields {object[]} Tasks
+ */
+function* taskBatches(userId) {
+  const select = db.prepare(`
+    SELECT t.*, p.name as project, s.name as status
+    FROM tasks t
+    LEFT JOIN projects p ON p.id = t.project_id
+    LEFT JOIN task_statuses s ON s.id = t.status_id
+    WHERE t.user_id = ? AND t.id > ?
+    ORDER BY t.id
+    LIMIT ?
+  `);
+
+  yield* readBatches((lastId) => select.all(userId, lastId, BATCH_SIZE), (rows) => {
+    const ids = rows.map(row => row.id);
+    const tags = getTagNames('task_tags', 'task_id', ids);
+    const timeEntries = new Map(ids.map(id => [id, []]));
+
+    db.prepare(`
+      SELECT id, task_id, started_at, ended_at, note, source,
+        CAST(ROUND((julianday(ended_at) - julianday(started_at)) * 1440) AS INTEGER) as minutes
+      FROM time_entries
+      WHERE task_id IN (${ids.map(() => '?').join(',')})
+      ORDER BY started_at, id
+    `).all(...ids).forEach(entry => timeEntries.get(entry.task_id).push({ ...entry, note: plain(entry.note) }));
+
+    return rows.map(row => ({
+      id: row.id,
+      title: plain(row.title),
+      description: plain(row.description),
+      why: plain(row.why),
+      completed: Boolean(row.completed),
+      status: plain(row.status),
+      importance: row.importance,
+      urgency: row.urgency,
+      auto_urgency: Boolean(row.auto_urgency),
+      deadline: row.deadline,
+      planned_for_today: row.planned_for_today,
+      estimate_minutes: row.estimate_minutes,
+      time_spent_minutes: row.time_spent_minutes,
+      pomodoro_count: row.pomodoro_count,
+      recurrence_rule: row.recurrence_rule,
+      parent_task_id: row.parent_task_id,
+      project: plain(row.project),
+      tags: tags.get(row.id),
+      time_entries: timeEntries.get(row.id),
+      deleted_at: row.deleted_at,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    }));
+  });
+}
+
+/**
+ * The user's memos with their tags
+ *
+ * @param {number} userId - User ID
+ * @yields {object[]} Memos
+ */
+function* memoBatches(userId) {
+  const select = db.prepare(`
+    SELECT m.*, p.name as project
+    FROM memos m
+    LEFT JOIN projects p ON p.id = m.project_id
+    WHERE m.user_id = ? AND m.id > ?
+    ORDER BY m.id
+    LIMIT ?
+  `);
+
+  yield* readBatches((lastId) => select.all(userId, lastId, BATCH_SIZE), (rows) => {
+    const tags = getTagNames('memo_tags', 'memo_id', rows.map(row => row.id));
+
+    return rows.map(row => ({
+      id: row.id,
+      title: plain(row.title),
+      content: plain(row.content),
+      details: plain(row.details),
+      project: plain(row.project),
+      tags: tags.get(row.id),
+      deleted_at: row.deleted_at,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    }));
+  });
+}
+
+/**
+ * The user's inbox items with their tags
+ *
+ * @param {number} userId - User ID
+ * @yields {object[]} Inbox items
+ */
+function* inboxBatches(userId) {
+  const select = db.prepare('SELECT * FROM inbox WHERE user_id = ? AND id > ? ORDER BY id LIMIT ?');
+
+  yield* readBatches((lastId) => select.all(userId, lastId, BATCH_SIZE), (rows) => {
+    const tags = getTagNames('inbox_tags', 'inbox_item_id', rows.map(row => row.id));
+
+    return rows.map(row => ({
+      id: row.id,
+      content: plain(row.content),
+      source: row.source,
+      status: row.status,
+      delayed_until: row.delayed_until,
+      tags: tags.get(row.id),
+      created_at: row.created_at
+    }));
+  });
+}
+
+/**
+ * The user's tags
+ *
+ * @param {number} userId - User ID
+ * @yields {object[]} Tags
+ */
+function* tagBatches(userId) {
+  const select = db.prepare(`
+    SELECT id, name, color, created_at FROM tags WHERE user_id = ? AND id > ? ORDER BY id LIMIT ?
+  `);
+
+  yield* readBatches((lastId) => select.all(userId, lastId, BATCH_SIZE), (rows) => (
+    rows.map(row => ({ ...row, name: decodeText(row.name) }))
+  ));
+}
+
+/**
+ * export.json, a piece at a time
+ *
+ * @param {number} userId - User ID
+ * @param {Date} exportedAt - Moment of the export
+ * @yields {string} JSON text
+ */
+function* jsonChunks(userId, exportedAt = new Date()) {
+  const { name, email } = db.prepare('SELECT name, email FROM users WHERE id = ?').get(userId);
+  const user = { name: plain(name), email };
+
+  yield '{\n' +
+    `  "format": ${JSON.stringify(EXPORT_FORMAT_NAME)},\n` +
+    `  "version": ${EXPORT_VERSION},\n` +
+    `  "exported_at": ${JSON.stringify(exportedAt.toISOString())},\n` +
+    `  "user": ${JSON.stringify(user)}`;
+
+  const sections = [
+    ['tags', tagBatches(userId)],
+    ['tasks', taskBatches(userId)],
+    ['memos', memoBatches(userId)],
+    ['inbox', inboxBatches(userId)]
+  ];
+
+  for (const [key, batches] of sections) {
+    yield `,\n  ${JSON.stringify(key)}: [`;
+
+    let first = true;
+    for (const batch of batches) {
+      yield `${first ? '' : ','}\n    ${batch.map(item => JSON.stringify(item)).join(',\n    ')}`;
+      first = false;
+    }
+
+    yield first ? ']' : '\n  ]';
+  }
+
+  yield '\n}\n';
+}
+
+/**
+ * A CSV file of export items, a batch at a time
+ * Lists (tags) are joined with ", ".
+ *
+ * @param {string[]} fields - Columns
+ * @param {Iterable<object[]>} batches - Export items
+ * @yields {string} CSV text
+ */
+function* csvChunks(fields, batches) {
+  yield formatCsvRow(fields);
+
+  for (const batch of batches) {
+    yield batch.map(item => formatCsvRow(fields.map(field => (
+      Array.isArray(item[field]) ? item[field].join(', ') : item[field]
+    )))).join('');
+  }
+}
+
+/**
+ * Every task's time entries, as batches
+ */
+function* timeEntryBatches(userId) {
+  for (const batch of taskBatches(userId)) {
+    yield batch.flatMap(task => task.time_entries);
+  }
+}
+
+/**
+ * A memo as a Markdown file: YAML front matter, then its content and details
+ *
+ * @param {object} memo - Export memo
+ * @returns {string}
+ */
+function memoToMarkdown(memo) {
+  // JSON strings are valid YAML double-quoted strings
+  const frontMatter = [
+    `title: ${JSON.stringify(memo.title)}`,
+    `tags: [${memo.tags.map(tag => JSON.stringify(tag)).join(', ')}]`,
+    memo.project ? `project: ${JSON.stringify(memo.project)}` : null,
+    `created_at: ${JSON.stringify(memo.created_at)}`,
+    `updated_at: ${JSON.stringify(memo.updated_at)}`,
+    memo.deleted_at ? `deleted_at: ${JSON.stringify(memo.deleted_at)}` : null
+  ].filter(Boolean);
+
+  return `---\n${frontMatter.join('\n')}\n---\n\n${memo.content}\n` +
+    (memo.details ? `\n## Details\n\n${memo.details}\n` : '');
+}
+
+/**
+ * A memo's file name: its ID and a slug of its title
+ */
+function memoFileName(memo) {
+  const slug = memo.title
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 50)
+    .replace(/-+$/, '');
+
+  return `${memo.id}-${slug || 'memo'}.md`;
+}
+
+/**
+ * Download name of an export, dated in the user's timezone
+ *
+ * @param {number} userId - User ID
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {Date} exportedAt - Moment of the export
+ * @returns {string} e.g. 'twu-export-2026-10-18.zip'
+ */
+function getFileName(userId, format, exportedAt = new Date()) {
+  const { timezone } = userSettingsService.getSettings(userId);
+  return `twu-export-${getLocalTime(exportedAt, timezone).date}.${format}`;
+}
+
+/**
+ * Writes the zip export to a stream (which is left open)
+ *
+ * @param {number} userId - User ID
+ * @param {stream.Writable} output - Where the archive goes
+ * @param {Date} exportedAt - Moment of the export
+ * @returns {Promise<void>}
+ */
+async function writeArchive(userId, output, exportedAt = new Date()) {
+  const zip = createZipWriter(output, exportedAt);
+  const folder = getFileName(userId, 'zip', exportedAt).replace(/\.zip$/, '');
+
+  await zip.addFile(`${folder}/export.json`, jsonChunks(userId, exportedAt));
+  await zip.addFile(`${folder}/csv/tasks.csv`, csvChunks(TASK_FIELDS, taskBatches(userId)));
+  await zip.addFile(`${folder}/csv/time_entries.csv`, csvChunks(TIME_ENTRY_FIELDS, timeEntryBatches(userId)));
+  await zip.addFile(`${folder}/csv/memos.csv`, csvChunks(MEMO_FIELDS, memoBatches(userId)));
+  await zip.addFile(`${folder}/csv/inbox.csv`, csvChunks(INBOX_FIELDS, inboxBatches(userId)));
+  await zip.addFile(`${folder}/csv/tags.csv`, csvChunks(TAG_FIELDS, tagBatches(userId)));
+
+  for (const batch of memoBatches(userId)) {
+    for (const memo of batch) {
+      await zip.addFile(`${folder}/memos/${memoFileName(memo)}`, [memoToMarkdown(memo)]);
+    }
+  }
+
+  await zip.finish();
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_FORMAT_NAME,
+  EXPORT_VERSION,
+  jsonChunks,
+  getFileName,
+  writeArchive
+};
@@ -0,0 +1,562 @@
+const db = require('../database/db');
+const tagService = require('./tagService');
+const taskStatusService = require('./taskStatusService');
+const taskEventService = require('./taskEventService');
+const { EXPORT_FORMAT_NAME, EXPORT_VERSION } = require('./exportService');
+const { sanitizeText, sanitizeColor } = require('../utils/sanitize');
+const { normalizeRule } = require('../utils/recurrence');
+const { MAX_ESTIMATE_MINUTES } = require('../utils/taskHelpers');
+const { readZipEntries } = require('../utils/zip');
+const {
+  parseTodoistCsv,
+  parseGenericCsv,
+  parseTrelloJson,
+  parseMarkdown
+} = require('../utils/importFormats');
+
+// ============================================================================
+// Import Service
+// ============================================================================
+//
+// Brings tasks (with subtasks), memos, inbox items and tags in from files:
+// other apps' exports (utils/importFormats.js), Markdown, and TWU's own
+// export (export.json or the whole zip from GET /api/export).
+//
+// A file is read into an import plan, which is written in one transaction:
+// - a dry run writes it the same way and rolls back, so its report shows
+//   exactly what the import would create
+// - tasks whose title matches a live task at the same level (top-level
+//   tasks, or subtasks of the same parent), memos with the same title and
+//   content and inbox items with the same content are duplicates of what was
+//   there before, skipped unless asked otherwise - a skipped task takes its
+//   subtasks along
+// - tags are matched by name, projects and statuses by name (ignoring
+//   case). Status names without a match become tags.
+//
+// Imports keep their report and the items they created (import_items), so
+// they can be rolled back: the items are deleted for good, subtasks added
+// under them later are kept as tasks of their own, and tags the import
+// created are deleted unless something else uses them by then.
+//
+// USAGE:
+//   const importService = require('./services/importService');
+//   const { plan, error } = importService.readImportFile('todoist', buffer, { timezone });
+//   const report = importService.runImport(userId, 'todoist', plan, { dryRun: true });
+//   importService.rollbackImport(importRecord, userId);
+// ============================================================================
+
+const IMPORT_SOURCES = ['todoist', 'csv', 'trello', 'twu', 'markdown'];
+
+// Largest file and largest export.json inside a zip
+const MAX_IMPORT_FILE_SIZE = 10 * 1024 * 1024;
+const MAX_EXPORT_JSON_SIZE = 50 * 1024 * 1024;
+
+// Most items (tasks, subtasks, memos and inbox items) one import may hold
+const MAX_IMPORT_ITEMS = 5000;
+
+// Most items listed by name in a report
+const REPORT_SAMPLE_SIZE = 50;
+
+// Thrown inside a dry run's transaction to roll it back
+const DRY_RUN_ROLLBACK = new Error('Dry run rolled back');
+
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+/**
+ * TWU's own export: export.json, or the zip it comes in
+ * Trashed items are left out, and so are items without their text (tasks
+ * and memos need a title, memos and inbox items content) - the warnings
+ * count both. Subtasks of a task left out become top-level tasks.
+ *
+ * @param {Buffer} buffer - File content
+ * @returns {object} Import plan, or { error }
+ */
+function readTwuExport(buffer) {
+  let json = buffer;
+
+  if (buffer.subarray(0, 4).equals(ZIP_SIGNATURE)) {
+    try {
+      const entry = readZipEntries(buffer).find(e => e.name === 'export.json' || e.name.endsWith('/export.json'));
+      if (!entry) {
+        return { error: 'The zip has no export.json' };
+      }
+      json = entry.read(MAX_EXPORT_JSON_SIZE);
+    } catch (error) {
+      return { error: `Couldn't open the zip: ${error.message}` };
+    }
+  }
+
+  let data;
+  try {
+    data = JSON.parse(json.toString('utf8'));
+  } catch (error) {
+    return { error: 'Not a JSON file' };
+  }
+
+  if (!data || data.format !== EXPORT_FORMAT_NAME || !Array.isArray(data.tasks)) {
+    return { error: 'Not a TWU export' };
+  }
+  if (data.version > EXPORT_VERSION) {
+    return { error: 'This export is from a newer version of TWU' };
+  }
+
+  const live = (items) => (Array.isArray(items) ? items : []).filter(item => item && !item.deleted_at);
+  const trashed = [data.tasks, data.memos].reduce((count, items) => (
+    count + (Array.isArray(items) ? items.filter(item => item && item.deleted_at).length : 0)
+  ), 0);
+
+  let untitled = 0;
+  const hasText = (value) => typeof value === 'string' && value.trim() !== '';
+  const complete = (items, fields) => items.filter(item => {
+    const ok = fields.every(field => hasText(item[field]));
+    if (!ok) untitled++;
+    return ok;
+  });
+
+  // Subtasks hang under their parent by the IDs they had in the export
+  const tasks = complete(live(data.tasks), ['title']).map(task => ({ ...task, subtasks: [] }));
+  const byId = new Map(tasks.map(task => [task.id, task]));
+  const topLevel = [];
+  for (const task of tasks) {
+    const parent = task.parent_task_id ? byId.get(task.parent_task_id) : null;
+    (parent && parent !== task ? parent.subtasks : topLevel).push(task);
+  }
+
+  const memos = complete(live(data.memos), ['title', 'content']);
+  const inbox = complete(live(data.inbox), ['content']);
+
+  const warnings = [];
+  if (trashed > 0) warnings.push(`${trashed} items from the trash were left out`);
+  if (untitled > 0) warnings.push(`${untitled} items without a title or content were left out`);
+
+  return {
+    tags: (Array.isArray(data.tags) ? data.tags : []).filter(tag => tag && tag.name),
+    tasks: topLevel,
+    memos,
+    inbox,
+    warnings
+  };
+}
+
+/**
+ * Reads an uploaded file into an import plan
+ *
+ * @param {string} source - One of IMPORT_SOURCES
+ * @param {Buffer} buffer - File content
+ * @param {object} options - { fileName, mapping (csv), timezone, now }
+ * @returns {object} { plan } or { error } - a message for the user
+ */
+function readImportFile(source, buffer, options = {}) {
+  const text = buffer.toString('utf8');
+  let plan;
+
+  if (source === 'todoist') plan = parseTodoistCsv(text, options);
+  else if (source === 'csv') plan = parseGenericCsv(text, options);
+  else if (source === 'trello') plan = parseTrelloJson(text, options);
+  else if (source === 'markdown') plan = parseMarkdown(text, options);
+  else plan = readTwuExport(buffer);
+
+  if (plan.error) {
+    return { error: plan.error };
+  }
+
+  const countTasks = (tasks) => tasks.reduce((count, task) => count + 1 + countTasks(task.subtasks || []), 0);
+  const itemCount = countTasks(plan.tasks) + plan.memos.length + plan.inbox.length;
+
+  if (itemCount === 0) {
+    return { error: 'Nothing to import in this file' };
+  }
+  if (itemCount > MAX_IMPORT_ITEMS) {
+    return { error: `Imports can hold up to ${MAX_IMPORT_ITEMS} items, this file has ${itemCount}` };
+  }
+  return { plan };
+}
+
+// Plan values, checked before they're written
+const text = (value) => (typeof value === 'string' && value.trim() ? sanitizeText(value.trim()) : null);
+const score = (value) => (Number.isInteger(value) && value >= 0 && value <= 1000000 ? value : 500000);
+const timestamp = (value) => (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2})?$/.test(value)
+  ? value.replace('T', ' ')
+  : null);
+const date = (value) => (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : null);
+const deadline = (value) => (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) && !Number.isNaN(Date.parse(value))
+  ? value
+  : null);
+const tagNames = (tags) => (Array.isArray(tags) ? tags.filter(tag => typeof tag === 'string' && tag.trim()) : []);
+
+/**
+ * Writes an import plan for a user, inside the caller's transaction
+ *
+ * @returns {object} { report, created: { task, memo, inbox, tag } (IDs) }
+ */
+function writePlan(userId, plan, skipDuplicates) {
+  const created = { task: [], memo: [], inbox: [], tag: [] };
+  const duplicates = { tasks: 0, memos: 0, inbox: 0 };
+  const items = [];
+  const warnings = [...plan.warnings];
+  const missingProjects = new Set();
+  let invalidRules = 0;
+
+  // Rows past these IDs are the import's own: they're not duplicates of each other
+  const lastId = (table) => db.prepare(`SELECT COALESCE(MAX(id), 0) as id FROM ${table}`).get().id;
+  const lastTaskId = lastId('tasks');
+  const lastMemoId = lastId('memos');
+  const lastInboxId = lastId('inbox');
+  const lastTagId = lastId('tags');
+
+  // Tags with their colors first, so items pick them up by name
+  tagService.ensureTagsExist(plan.tags.map(tag => ({ name: tag.name, color: sanitizeColor(tag.color) })), userId);
+
+  const projects = new Map(db.prepare('SELECT id, name FROM projects WHERE user_id = ?')
+    .all(userId)
+    .map(project => [project.name.toLowerCase(), project.id]));
+  const statuses = new Map(taskStatusService.listStatuses(userId)
+    .map(status => [status.name.toLowerCase(), status]));
+
+  const findProject = (name) => {
+    if (typeof name !== 'string' || !name.trim()) return null;
+    const projectId = projects.get(name.trim().toLowerCase());
+    if (!projectId) missingProjects.add(name.trim());
+    return projectId || null;
+  };
+
+  const isDuplicateTask = db.prepare(`
+    SELECT 1 FROM tasks
+    WHERE user_id = ? AND id <= ? AND deleted_at IS NULL AND parent_task_id IS ? AND lower(title) = lower(?)
+    LIMIT 1
+  `);
+  const insertTask = db.prepare(`
+    INSERT INTO tasks (
+      user_id, title, description, why, completed, importance, urgency, auto_urgency, deadline,
+      planned_for_today, estimate_minutes, time_spent_minutes, recurrence_rule, parent_task_id,
+      project_id, status_id, created_at, updated_at
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?,
+      COALESCE(?, CURRENT_TIMESTAMP), COALESCE(?, CURRENT_TIMESTAMP))
+  `);
+  const insertTimeEntry = db.prepare(`
+    INSERT INTO time_entries (user_id, task_id, started_at, ended_at, note, source)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+
+  const countSubtree = (task) => 1 + (task.subtasks || []).reduce((count, subtask) => count + countSubtree(subtask), 0);
+
+  const addTask = (task, parentId, projectId) => {
+    const title = text(task.title);
+    if (!title) return;
+
+    if (skipDuplicates && isDuplicateTask.get(userId, lastTaskId, parentId, title)) {
+      duplicates.tasks += countSubtree(task);
+      if (!parentId) items.push({ type: 'task', title, duplicate: true });
+      return;
+    }
+
+    // A matching status decides whether the task is done, others become tags
+    const tags = tagNames(task.tags);
+    const status = typeof task.status === 'string' ? statuses.get(task.status.trim().toLowerCase()) : null;
+    if (typeof task.status === 'string' && task.status.trim() && !status) tags.push(task.status.trim());
+
+    let recurrenceRule = null;
+    try {
+      recurrenceRule = normalizeRule(task.recurrence_rule || null);
+    } catch (error) {
+      invalidRules++;
+    }
+
+    const ownProjectId = task.project !== undefined && task.project !== null ? findProject(task.project) : projectId;
+    const estimate = Number.isInteger(task.estimate_minutes) && task.estimate_minutes >= 1 &&
+      task.estimate_minutes <= MAX_ESTIMATE_MINUTES ? task.estimate_minutes : null;
+
+    const taskId = insertTask.run(
+      userId,
+      title,
+      text(task.description),
+      text(task.why),
+      (status ? status.is_done : task.completed) ? 1 : 0,
+      score(task.importance),
+      score(task.urgency),
+      task.auto_urgency ? 1 : 0,
+      deadline(task.deadline),
+      date(task.planned_for_today),
+      estimate,
+      Number.isInteger(task.time_spent_minutes) && task.time_spent_minutes > 0 ? task.time_spent_minutes : 0,
+      recurrenceRule,
+      parentId,
+      ownProjectId,
+      status ? status.id : null,
+      timestamp(task.created_at),
+      timestamp(task.updated_at) || timestamp(task.created_at)
+    ).lastInsertRowid;
+
+    if (tags.length > 0) {
+      tagService.attachTagsToTask(taskId, tags, userId);
+    }
+
+    // Finished time entries only: a running one would take over the user's timer
+    for (const entry of Array.isArray(task.time_entries) ? task.time_entries : []) {
+      if (timestamp(entry.started_at) && timestamp(entry.ended_at)) {
+        insertTimeEntry.run(
+          userId, taskId, timestamp(entry.started_at), timestamp(entry.ended_at),
+          text(entry.note), entry.source === 'timer' ? 'timer' : 'manual'
+        );
+      }
+    }
+
+    created.task.push(taskId);
+    if (!parentId && items.length < REPORT_SAMPLE_SIZE) {
+      items.push({ type: 'task', title, subtasks: countSubtree(task) - 1, duplicate: false });
+    }
+
+    for (const subtask of task.subtasks || []) {
+      addTask(subtask, taskId, ownProjectId);
+    }
+  };
+
+  plan.tasks.forEach(task => addTask(task, null, null));
+
+  const isDuplicateMemo = db.prepare(`
+    SELECT 1 FROM memos WHERE user_id = ? AND id <= ? AND deleted_at IS NULL AND title = ? AND content = ? LIMIT 1
+  `);
+  const insertMemo = db.prepare(`
+    INSERT INTO memos (user_id, title, content, details, project_id, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), COALESCE(?, CURRENT_TIMESTAMP))
+  `);
+
+  for (const memo of plan.memos) {
+    const title = text(memo.title);
+    const content = text(memo.content);
+    if (!title || !content) continue;
+
+    if (skipDuplicates && isDuplicateMemo.get(userId, lastMemoId, title, content)) {
+      duplicates.memos++;
+      items.push({ type: 'memo', title, duplicate: true });
+      continue;
+    }
+
+    const memoId = insertMemo.run(
+      userId, title, content, text(memo.details), findProject(memo.project),
+      timestamp(memo.created_at), timestamp(memo.updated_at) || timestamp(memo.created_at)
+    ).lastInsertRowid;
+
+    const tags = tagNames(memo.tags);
+    if (tags.length > 0) {
+      tagService.attachTagsToMemo(memoId, tags, userId);
+    }
+
+    created.memo.push(memoId);
+    if (items.length < REPORT_SAMPLE_SIZE) items.push({ type: 'memo', title, duplicate: false });
+  }
+
+  const isDuplicateInbox = db.prepare('SELECT 1 FROM inbox WHERE user_id = ? AND id <= ? AND content = ? LIMIT 1');
+  const insertInbox = db.prepare(`
+    INSERT INTO inbox (user_id, content, source, created_at) VALUES (?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+  `);
+
+  for (const item of plan.inbox) {
+    const content = text(item.content);
+    if (!content) continue;
+
+    if (skipDuplicates && isDuplicateInbox.get(userId, lastInboxId, content)) {
+      duplicates.inbox++;
+      items.push({ type: 'inbox', title: content, duplicate: true });
+      continue;
+    }
+
+    const inboxId = insertInbox.run(
+      userId, content, item.source === 'voice' ? 'voice' : 'manual', timestamp(item.created_at)
+    ).lastInsertRowid;
+
+    const tags = tagNames(item.tags);
+    if (tags.length > 0) {
+      tagService.attachTagsToInbox(inboxId, tags, userId);
+    }
+
+    created.inbox.push(inboxId);
+    if (items.length < REPORT_SAMPLE_SIZE) items.push({ type: 'inbox', title: content, duplicate: false });
+  }
+
+  // Everything runs in one transaction, so newer tags are this import's
+  created.tag = db.prepare('SELECT id FROM tags WHERE user_id = ? AND id > ?')
+    .all(userId, lastTagId)
+    .map(tag => tag.id);
+
+  taskEventService.recordCreated(created.task, userId);
+
+  if (missingProjects.size > 0) {
+    warnings.push(`No project named ${[...missingProjects].map(name => `"${name}"`).join(', ')}: those items were imported without one`);
+  }
+  if (invalidRules > 0) {
+    warnings.push(`${invalidRules} repeat rules couldn't be read and were left out`);
+  }
+
+  return {
+    created,
+    report: {
+      created: {
+        tasks: created.task.length,
+        memos: created.memo.length,
+        inbox: created.inbox.length,
+        tags: created.tag.length
+      },
+      duplicates,
+      items: items.slice(0, REPORT_SAMPLE_SIZE),
+      warnings
+    }
+  };
+}
+
+/**
+ * Imports a plan for a user, all or nothing
+ *
+ * @param {number} userId - User ID
+ * @param {string} source - One of IMPORT_SOURCES
+ * @param {object} plan - From readImportFile
+ * @param {object} options - { dryRun, skipDuplicates (default true), fileName }
+ * @returns {object} Report: { id (null for dry runs), source, file_name, dry_run,
+ *   created, duplicates, items, warnings, columns, mapping (csv) }
+ */
+function runImport(userId, source, plan, { dryRun = false, skipDuplicates = true, fileName = null } = {}) {
+  const run = () => {
+    const { created, report } = writePlan(userId, plan, skipDuplicates);
+    const fullReport = {
+      source,
+      file_name: fileName,
+      dry_run: dryRun,
+      ...report,
+      ...(plan.columns ? { columns: plan.columns, mapping: plan.mapping } : {})
+    };
+
+    if (dryRun) {
+      return { id: null, ...fullReport };
+    }
+
+    const importId = db.prepare(`
+      INSERT INTO imports (user_id, source, file_name, report) VALUES (?, ?, ?, ?)
+    `).run(userId, source, fileName, JSON.stringify(fullReport)).lastInsertRowid;
+
+    const insertItem = db.prepare('INSERT INTO import_items (import_id, item_type, item_id) VALUES (?, ?, ?)');
+    for (const [type, ids] of Object.entries(created)) {
+      ids.forEach(id => insertItem.run(importId, type, id));
+    }
+
+    return { id: importId, ...fullReport };
+  };
+
+  // A dry run is the same import, rolled back at the end by throwing out of
+  // the transaction once the report is ready
+  let dryRunReport = null;
+  try {
+    return db.transaction(() => {
+      const report = run();
+      if (!dryRun) return report;
+
+      dryRunReport = report;
+      throw DRY_RUN_ROLLBACK;
+    })();
+  } catch (error) {
+    if (error === DRY_RUN_ROLLBACK) return dryRunReport;
+    throw error;
+  }
+}
+
+/**
+ * An imports row for the API, with its report parsed
+ */
+function formatImport(row) {
+  return row && {
+    id: row.id,
+    source: row.source,
+    file_name: row.file_name,
+    status: row.status,
+    report: JSON.parse(row.report),
+    created_at: row.created_at,
+    rolled_back_at: row.rolled_back_at
+  };
+}
+
+/**
+ * A user's imports, newest first
+ *
+ * @param {number} userId - User ID
+ * @returns {object[]}
+ */
+function listImports(userId) {
+  return db.prepare('SELECT * FROM imports WHERE user_id = ? ORDER BY created_at DESC, id DESC')
+    .all(userId)
+    .map(formatImport);
+}
+
+/**
+ * One of a user's imports
+ *
+ * @param {number} importId - Import ID
+ * @param {number} userId - Owner ID
+ * @returns {object|null}
+ */
+function getImport(importId, userId) {
+  return formatImport(db.prepare('SELECT * FROM imports WHERE id = ? AND user_id = ?').get(importId, userId));
+}
+
+/**
+ * Deletes what an import created and marks it rolled back
+ * The counts are kept in its report as rolled_back.
+ *
+ * @param {object} importRecord - From getImport (status 'completed')
+ * @param {number} userId - Owner ID
+ * @returns {object} { tasks, memos, inbox, tags } - Number of items deleted
+ */
+function rollbackImport(importRecord, userId) {
+  const itemsOf = 'SELECT item_id FROM import_items WHERE import_id = ? AND item_type = ?';
+  const importId = importRecord.id;
+
+  return db.transaction(() => {
+    const count = (table, type) => db.prepare(`
+      SELECT COUNT(*) as count FROM ${table} WHERE user_id = ? AND id IN (${itemsOf})
+    `).get(userId, importId, type).count;
+
+    const deleted = {
+      tasks: count('tasks', 'task'),
+      memos: count('memos', 'memo'),
+      inbox: count('inbox', 'inbox')
+    };
+
+    // Subtasks added under imported tasks since then are kept
+    db.prepare(`
+      UPDATE tasks SET parent_task_id = NULL
+      WHERE user_id = ? AND parent_task_id IN (${itemsOf}) AND id NOT IN (${itemsOf})
+    `).run(userId, importId, 'task', importId, 'task');
+    db.prepare(`DELETE FROM tasks WHERE user_id = ? AND id IN (${itemsOf})`).run(userId, importId, 'task');
+    db.prepare(`DELETE FROM memos WHERE user_id = ? AND id IN (${itemsOf})`).run(userId, importId, 'memo');
+    db.prepare(`DELETE FROM inbox WHERE user_id = ? AND id IN (${itemsOf})`).run(userId, importId, 'inbox');
+
+    deleted.tags = db.prepare(`
+      DELETE FROM tags
+      WHERE user_id = ? AND id IN (${itemsOf})
+      AND id NOT IN (
+        SELECT tag_id FROM task_tags
+        UNION
+        SELECT tag_id FROM inbox_tags
+        UNION
+        SELECT tag_id FROM memo_tags
+      )
+    `).run(userId, importId, 'tag').changes;
+
+    db.prepare(`
+      UPDATE imports SET status = 'rolled_back', rolled_back_at = CURRENT_TIMESTAMP, report = ?
+      WHERE id = ?
+    `).run(JSON.stringify({ ...importRecord.report, rolled_back: deleted }), importId);
+    db.prepare('DELETE FROM import_items WHERE import_id = ?').run(importId);
+
+    return deleted;
+  })();
+}
+
+module.exports = {
+  IMPORT_SOURCES,
+  MAX_IMPORT_FILE_SIZE,
+  readImportFile,
+  runImport,
+  listImports,
+  getImport,
+  rollbackImport
+};
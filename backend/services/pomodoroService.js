@@ -0,0 +1,306 @@
+const db = require('../database/db');
+const taskEventService = require('./taskEventService');
+const timeEntryService = require('./timeEntryService');
+
+// ============================================================================
+// Pomodoro Service
+// ============================================================================
+//
+// Pomodoro sessions on tasks. A session starts as 'running' and ends either
+// 'completed' (the full focus period ran out) or 'abandoned' (reset or closed
+// early). actual_seconds is the focus time actually spent, pauses excluded.
+// Interruptions noted during a session are kept with it.
+//
+// A task's pomodoro_count is never written directly any more: it is the
+// number of its completed sessions. Focus time of a finished session is also
+// logged as a time entry (source 'pomodoro') so it shows up in the timesheet.
+//
+// A user has at most one running session; starting another abandons the old
+// one (e.g. the browser was closed mid-session) without logging its time.
+//
+// USAGE:
+//   const pomodoroService = require('./services/pomodoroService');
+//   const session = pomodoroService.startSession(taskId, userId, 25);
+//   pomodoroService.finishSession(session, 'completed', 1500, userId);
+// ============================================================================
+
+const SESSION_STATUSES = ['running', 'completed', 'abandoned'];
+
+const DEFAULT_PLANNED_MINUTES = 25;
+const MAX_PLANNED_MINUTES = 120;
+
+const SESSION_COLUMNS = `
+  s.id, s.task_id, s.started_at, s.ended_at, s.planned_minutes, s.actual_seconds, s.status,
+  t.title as task_title
+`;
+
+/**
+ * Attaches interruptions (oldest first) to sessions
+ */
+function withInterruptions(sessions) {
+  if (sessions.length === 0) return sessions;
+
+  const placeholders = sessions.map(() => '?').join(',');
+  const rows = db.prepare(`
+    SELECT id, session_id, note, created_at
+    FROM pomodoro_interruptions
+    WHERE session_id IN (${placeholders})
+    ORDER BY created_at ASC, id ASC
+  `).all(...sessions.map(session => session.id));
+
+  return sessions.map(session => ({
+    ...session,
+    interruptions: rows.filter(row => row.session_id === session.id)
+  }));
+}
+
+/**
+ * Gets one session of the user, with its interruptions
+ * @returns {object|undefined}
+ */
+function getSession(sessionId, userId) {
+  const session = db.prepare(`
+    SELECT ${SESSION_COLUMNS}
+    FROM pomodoro_sessions s
+    JOIN tasks t ON t.id = s.task_id
+    WHERE s.id = ? AND s.user_id = ?
+  `).get(sessionId, userId);
+
+  return session ? withInterruptions([session])[0] : undefined;
+}
+
+/**
+ * Lists a task's sessions, newest first
+ *
+ * @param {number} taskId - Task ID (ownership checked by the caller)
+ * @returns {object[]} Sessions with interruptions
+ */
+function listTaskSessions(taskId) {
+  return withInterruptions(db.prepare(`
+    SELECT ${SESSION_COLUMNS}
+    FROM pomodoro_sessions s
+    JOIN tasks t ON t.id = s.task_id
+    WHERE s.task_id = ?
+    ORDER BY s.started_at DESC, s.id DESC
+  `).all(taskId));
+}
+
+/**
+ * Recalculates pomodoro_count of tasks from their completed sessions
+ * Must be called inside a transaction
+ */
+function recalculatePomodoroCount(taskIds) {
+  const update = db.prepare(`
+    UPDATE tasks
+    SET pomodoro_count = (
+      SELECT COUNT(*) FROM pomodoro_sessions s
+      WHERE s.task_id = tasks.id AND s.status = 'completed'
+    ), updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `);
+
+  for (const taskId of new Set(taskIds)) {
+    update.run(taskId);
+  }
+}
+
+/**
+ * Starts a session on a task, abandoning the user's running one if any
+ *
+ * @param {number} taskId - Owned, live task ID
+ * @param {number} userId - Owner ID
+ * @param {number} plannedMinutes - Length of the focus period
+ * @returns {object} The new session
+ */
+function startSession(taskId, userId, plannedMinutes = DEFAULT_PLANNED_MINUTES) {
+  const sessionId = db.transaction(() => {
+    db.prepare(`
+      UPDATE pomodoro_sessions
+      SET status = 'abandoned', ended_at = ?
+      WHERE user_id = ? AND status = 'running'
+    `).run(timeEntryService.toSqlTimestamp(new Date()), userId);
+
+    return db.prepare(`
+      INSERT INTO pomodoro_sessions (user_id, task_id, started_at, planned_minutes, status)
+      VALUES (?, ?, ?, ?, 'running')
+    `).run(userId, taskId, timeEntryService.toSqlTimestamp(new Date()), plannedMinutes).lastInsertRowid;
+  })();
+
+  return getSession(sessionId, userId);
+}
+
+/**
+ * Ends a running session and logs its focus time
+ * Completing a session adds one to the task's pomodoro count.
+ *
+ * @param {object} session - Running session row
+ * @param {string} status - 'completed' or 'abandoned'
+ * @param {number} actualSeconds - Focus time spent, capped at the planned length
+ * @param {number} userId - Owner ID
+ * @returns {object} The finished session
+ */
+function finishSession(session, status, actualSeconds, userId) {
+  const seconds = Math.max(0, Math.min(Math.round(actualSeconds), session.planned_minutes * 60));
+  const now = Date.now();
+
+  db.transaction(() => {
+    const before = taskEventService.snapshotTasks([session.task_id]);
+
+    db.prepare(`
+      UPDATE pomodoro_sessions SET status = ?, ended_at = ?, actual_seconds = ? WHERE id = ?
+    `).run(status, timeEntryService.toSqlTimestamp(now), seconds, session.id);
+
+    recalculatePomodoroCount([session.task_id]);
+    taskEventService.recordChanges('pomodoro', before, userId);
+
+    if (seconds > 0) {
+      timeEntryService.createEntry(session.task_id, userId, {
+        startedAt: timeEntryService.toSqlTimestamp(now - seconds * 1000),
+        endedAt: timeEntryService.toSqlTimestamp(now),
+        source: 'pomodoro'
+      });
+    }
+  })();
+
+  return getSession(session.id, userId);
+}
+
+/**
+ * Logs pomodoros finished outside a session, back to back and ending now,
+ * as completed sessions of the default length with their focus time
+ * Backs the deprecated PATCH /api/tasks/:id/pomodoro, which set the count.
+ *
+ * @param {number} taskId - Owned, live task ID
+ * @param {number} userId - Owner ID
+ * @param {number} count - Number of pomodoros to add
+ */
+function logCompletedSessions(taskId, userId, count) {
+  const seconds = DEFAULT_PLANNED_MINUTES * 60;
+  const now = Date.now();
+
+  db.transaction(() => {
+    const before = taskEventService.snapshotTasks([taskId]);
+
+    for (let i = count; i > 0; i--) {
+      const startedAt = timeEntryService.toSqlTimestamp(now - i * seconds * 1000);
+      const endedAt = timeEntryService.toSqlTimestamp(now - (i - 1) * seconds * 1000);
+
+      db.prepare(`
+        INSERT INTO pomodoro_sessions (user_id, task_id, started_at, ended_at, planned_minutes, actual_seconds, status)
+        VALUES (?, ?, ?, ?, ?, ?, 'completed')
+      `).run(userId, taskId, startedAt, endedAt, DEFAULT_PLANNED_MINUTES, seconds);
+
+      timeEntryService.createEntry(taskId, userId, { startedAt, endedAt, source: 'pomodoro' });
+    }
+
+    recalculatePomodoroCount([taskId]);
+    taskEventService.recordChanges('pomodoro', before, userId);
+  })();
+}
+
+/**
+ * Notes an interruption on a session
+ *
+ * @param {object} session - Session row
+ * @param {string|null} note - What interrupted
+ * @param {number} userId - Owner ID
+ * @returns {object} The session with all its interruptions
+ */
+function addInterruption(session, note, userId) {
+  db.prepare(`
+    INSERT INTO pomodoro_interruptions (session_id, note, created_at) VALUES (?, ?, ?)
+  `).run(session.id, note, timeEntryService.toSqlTimestamp(new Date()));
+
+  return getSession(session.id, userId);
+}
+
+/**
+ * Totals finished sessions per day
+ * Days are local to the client: tzOffset is minutes to add to UTC
+ * (the negated value of JavaScript's getTimezoneOffset()).
+ *
+ * @param {number} userId - Owner ID
+ * @param {object} range - { from, to } local dates (YYYY-MM-DD), both inclusive
+ * @param {number} tzOffset - Minutes east of UTC
+ * @returns {object} { days: [{ date, completed, abandoned, focus_minutes, interruptions }], totals }
+ */
+function getDailyTotals(userId, { from, to }, tzOffset = 0) {
+  const localDay = 'date(s.started_at, ?)';
+  const shift = `${tzOffset >= 0 ? '+' : ''}${tzOffset} minutes`;
+
+  const rows = db.prepare(`
+    SELECT ${localDay} as date,
+      SUM(CASE WHEN s.status = 'completed' THEN 1 ELSE 0 END) as completed,
+      SUM(CASE WHEN s.status = 'abandoned' THEN 1 ELSE 0 END) as abandoned,
+      COALESCE(SUM(s.actual_seconds), 0) as focus_seconds,
+      COALESCE(SUM((SELECT COUNT(*) FROM pomodoro_interruptions i WHERE i.session_id = s.id)), 0) as interruptions
+    FROM pomodoro_sessions s
+    JOIN tasks t ON t.id = s.task_id
+    WHERE s.user_id = ? AND s.status != 'running' AND t.deleted_at IS NULL
+      AND ${localDay} BETWEEN ? AND ?
+    GROUP BY date
+    ORDER BY date ASC
+  `).all(shift, userId, shift, from, to);
+
+  const days = rows.map(({ focus_seconds, ...day }) => ({
+    ...day,
+    focus_minutes: Math.round(focus_seconds / 60)
+  }));
+
+  const totals = rows.reduce((sum, day) => ({
+    completed: sum.completed + day.completed,
+    abandoned: sum.abandoned + day.abandoned,
+    focus_seconds: sum.focus_seconds + day.focus_seconds,
+    interruptions: sum.interruptions + day.interruptions
+  }), { completed: 0, abandoned: 0, focus_seconds: 0, interruptions: 0 });
+
+  return {
+    days,
+    totals: {
+      completed: totals.completed,
+      abandoned: totals.abandoned,
+      focus_minutes: Math.round(totals.focus_seconds / 60),
+      interruptions: totals.interruptions
+    }
+  };
+}
+
+/**
+ * Totals finished sessions between two moments
+ * For spans whose days don't share one UTC offset (a daylight saving change);
+ * sessions count by when they started.
+ *
+ * @param {number} userId - Owner ID
+ * @param {object} span - { start, end } SQL timestamps (UTC), end excluded
+ * @returns {object} { completed, focus_minutes }
+ */
+function getTotalsBetween(userId, { start, end }) {
+  const totals = db.prepare(`
+    SELECT COALESCE(SUM(CASE WHEN s.status = 'completed' THEN 1 ELSE 0 END), 0) as completed,
+      COALESCE(SUM(s.actual_seconds), 0) as focus_seconds
+    FROM pomodoro_sessions s
+    JOIN tasks t ON t.id = s.task_id
+    WHERE s.user_id = ? AND s.status != 'running' AND t.deleted_at IS NULL
+      AND s.started_at >= ? AND s.started_at < ?
+  `).get(userId, start, end);
+
+  return {
+    completed: totals.completed,
+    focus_minutes: Math.round(totals.focus_seconds / 60)
+  };
+}
+
+module.exports = {
+  SESSION_STATUSES,
+  DEFAULT_PLANNED_MINUTES,
+  MAX_PLANNED_MINUTES,
+  getSession,
+  listTaskSessions,
+  recalculatePomodoroCount,
+  startSession,
+  finishSession,
+  logCompletedSessions,
+  addInterruption,
+  getDailyTotals,
+  getTotalsBetween
+};
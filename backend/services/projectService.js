@@ -0,0 +1,295 @@
+const db = require('../database/db');
+const { buildUpdateQuery } = require('../utils/dynamicUpdate');
+
+// ============================================================================
+// Project Service
+// ============================================================================
+//
+// Projects group tasks and memos, next to the looser grouping of tags. A
+// project has a status, an optional description and target date, and can sit
+// under an area ("Work", "Home") - areas only group projects.
+//
+// Deleting a project or an area never deletes what's in it: tasks and memos
+// lose their project, projects lose their area.
+//
+// USAGE:
+//   const projectService = require('./services/projectService');
+//   const project = projectService.createProject(userId, { name: 'Website relaunch', area_id: 3 });
+//   const projects = projectService.listProjects(userId, { statuses: ['active'] }); // with progress
+//   if (!projectService.ownsProject(userId, req.body.project_id)) { ... }
+// ============================================================================
+
+const PROJECT_STATUSES = ['active', 'on_hold', 'completed', 'archived'];
+const DEFAULT_PROJECT_STATUS = 'active';
+
+// Projects with their area and the counts progress is computed from
+const PROJECT_SELECT = `
+  SELECT p.*, a.name as area_name,
+    (SELECT COUNT(*) FROM tasks t WHERE t.project_id = p.id AND t.deleted_at IS NULL) as task_count,
+    (SELECT COUNT(*) FROM tasks t WHERE t.project_id = p.id AND t.deleted_at IS NULL AND t.completed = 1) as completed_task_count,
+    (SELECT COUNT(*) FROM memos m WHERE m.project_id = p.id AND m.deleted_at IS NULL) as memo_count
+  FROM projects p
+  LEFT JOIN areas a ON a.id = p.area_id
+`;
+
+const STATUS_ORDER = `CASE p.status ${PROJECT_STATUSES.map((status, i) => `WHEN '${status}' THEN ${i}`).join(' ')} END`;
+
+/**
+ * Shapes a projects row for the API
+ * progress is the percentage of the project's tasks that are done (null without tasks)
+ */
+function formatProject(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    status: row.status,
+    target_date: row.target_date,
+    area_id: row.area_id,
+    area_name: row.area_name,
+    task_count: row.task_count,
+    completed_task_count: row.completed_task_count,
+    memo_count: row.memo_count,
+    progress: row.task_count > 0 ? Math.round((row.completed_task_count / row.task_count) * 100) : null,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+/**
+ * Lists a user's projects, active ones first, then by name
+ *
+ * @param {number} userId - User ID
+ * @param {object} filters - { statuses: optional list of statuses, areaId: area ID or 'none' }
+ * @returns {object[]}
+ */
+function listProjects(userId, { statuses = [], areaId = null } = {}) {
+  const conditions = ['p.user_id = ?'];
+  const params = [userId];
+
+  if (statuses.length > 0) {
+    conditions.push(`p.status IN (${statuses.map(() => '?').join(',')})`);
+    params.push(...statuses);
+  }
+  if (areaId === 'none') {
+    conditions.push('p.area_id IS NULL');
+  } else if (areaId) {
+    conditions.push('p.area_id = ?');
+    params.push(areaId);
+  }
+
+  return db.prepare(`
+    ${PROJECT_SELECT}
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY ${STATUS_ORDER}, p.name COLLATE NOCASE ASC
+  `).all(...params).map(formatProject);
+}
+
+/**
+ * Gets one of a user's projects
+ *
+ * @param {number} projectId - Project ID
+ * @param {number} userId - Owner ID
+ * @returns {object|null}
+ */
+function getProject(projectId, userId) {
+  const row = db.prepare(`${PROJECT_SELECT} WHERE p.id = ? AND p.user_id = ?`).get(projectId, userId);
+  return row ? formatProject(row) : null;
+}
+
+/**
+ * Checks that a project exists and belongs to a user
+ * (null and undefined pass: they mean "no project")
+ *
+ * @param {number} userId - User ID
+ * @param {number|null|undefined} projectId - Project ID
+ * @returns {boolean}
+ */
+function ownsProject(userId, projectId) {
+  if (projectId === null || projectId === undefined) return true;
+  return Boolean(db.prepare('SELECT id FROM projects WHERE id = ? AND user_id = ?').get(projectId, userId));
+}
+
+/**
+ * The memos linked to a project, newest first
+ *
+ * @param {number} projectId - Project ID
+ * @param {number} userId - Owner ID
+ * @returns {object[]}
+ */
+function getProjectMemos(projectId, userId) {
+  return db.prepare(`
+    SELECT id, title, content, created_at, updated_at
+    FROM memos
+    WHERE project_id = ? AND user_id = ? AND deleted_at IS NULL
+    ORDER BY id DESC
+  `).all(projectId, userId);
+}
+
+/**
+ * Checks whether a user already has a project with a name
+ *
+ * @param {number} userId - User ID
+ * @param {string} name - Project name
+ * @param {number|null} exceptId - Project to leave out (the one being renamed)
+ * @returns {boolean}
+ */
+function isProjectNameTaken(userId, name, exceptId = null) {
+  return Boolean(db.prepare(`
+    SELECT id FROM projects WHERE user_id = ? AND name = ? AND id != ?
+  `).get(userId, name, exceptId ?? 0));
+}
+
+/**
+ * Creates a project
+ *
+ * @param {number} userId - Owner ID
+ * @param {object} data - { name, description, status, target_date, area_id } - the area is checked by the caller
+ * @returns {object} The new project
+ */
+function createProject(userId, { name, description = null, status = DEFAULT_PROJECT_STATUS, target_date = null, area_id = null }) {
+  const result = db.prepare(`
+    INSERT INTO projects (user_id, area_id, name, description, status, target_date)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(userId, area_id, name, description, status, target_date);
+
+  return getProject(result.lastInsertRowid, userId);
+}
+
+/**
+ * Updates a project's fields; undefined fields are left as they are,
+ * null clears description, target_date and area_id
+ *
+ * @param {number} projectId - Project ID
+ * @param {number} userId - Owner ID
+ * @param {object} changes - { name, description, status, target_date, area_id }
+ * @returns {object|null} The updated project, or null if nothing was given to update
+ */
+function updateProject(projectId, userId, changes) {
+  const { query, values, hasUpdates } = buildUpdateQuery(
+    'projects',
+    changes,
+    { name: 'name', description: 'description', status: 'status', target_date: 'target_date', area_id: 'area_id' },
+    { id: projectId, user_id: userId }
+  );
+
+  if (!hasUpdates) return null;
+
+  db.prepare(query).run(...values);
+  return getProject(projectId, userId);
+}
+
+/**
+ * Deletes a project; its tasks and memos are kept without a project
+ *
+ * @param {number} projectId - Project ID
+ * @param {number} userId - Owner ID
+ * @returns {boolean} Whether a project was deleted
+ */
+function deleteProject(projectId, userId) {
+  return db.prepare('DELETE FROM projects WHERE id = ? AND user_id = ?').run(projectId, userId).changes > 0;
+}
+
+/**
+ * Lists a user's areas by name, each with its number of projects
+ *
+ * @param {number} userId - User ID
+ * @returns {object[]}
+ */
+function listAreas(userId) {
+  return db.prepare(`
+    SELECT a.id, a.name, a.created_at, a.updated_at,
+      (SELECT COUNT(*) FROM projects p WHERE p.area_id = a.id) as project_count
+    FROM areas a
+    WHERE a.user_id = ?
+    ORDER BY a.name COLLATE NOCASE ASC
+  `).all(userId);
+}
+
+/**
+ * Gets one of a user's areas
+ *
+ * @param {number} areaId - Area ID
+ * @param {number} userId - Owner ID
+ * @returns {object|null}
+ */
+function getArea(areaId, userId) {
+  return db.prepare(`
+    SELECT a.id, a.name, a.created_at, a.updated_at,
+      (SELECT COUNT(*) FROM projects p WHERE p.area_id = a.id) as project_count
+    FROM areas a
+    WHERE a.id = ? AND a.user_id = ?
+  `).get(areaId, userId) || null;
+}
+
+/**
+ * Checks whether a user already has an area with a name
+ *
+ * @param {number} userId - User ID
+ * @param {string} name - Area name
+ * @param {number|null} exceptId - Area to leave out (the one being renamed)
+ * @returns {boolean}
+ */
+function isAreaNameTaken(userId, name, exceptId = null) {
+  return Boolean(db.prepare(`
+    SELECT id FROM areas WHERE user_id = ? AND name = ? AND id != ?
+  `).get(userId, name, exceptId ?? 0));
+}
+
+/**
+ * Creates an area
+ *
+ * @param {number} userId - Owner ID
+ * @param {string} name - Area name
+ * @returns {object} The new area
+ */
+function createArea(userId, name) {
+  const result = db.prepare('INSERT INTO areas (user_id, name) VALUES (?, ?)').run(userId, name);
+  return getArea(result.lastInsertRowid, userId);
+}
+
+/**
+ * Renames an area
+ *
+ * @param {number} areaId - Area ID
+ * @param {number} userId - Owner ID
+ * @param {string} name - New name
+ * @returns {object|null} The renamed area, or null if the user has no such area
+ */
+function renameArea(areaId, userId, name) {
+  const result = db.prepare(`
+    UPDATE areas SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ?
+  `).run(name, areaId, userId);
+
+  return result.changes > 0 ? getArea(areaId, userId) : null;
+}
+
+/**
+ * Deletes an area; its projects are kept without an area
+ *
+ * @param {number} areaId - Area ID
+ * @param {number} userId - Owner ID
+ * @returns {boolean} Whether an area was deleted
+ */
+function deleteArea(areaId, userId) {
+  return db.prepare('DELETE FROM areas WHERE id = ? AND user_id = ?').run(areaId, userId).changes > 0;
+}
+
+module.exports = {
+  PROJECT_STATUSES,
+  DEFAULT_PROJECT_STATUS,
+  listProjects,
+  getProject,
+  ownsProject,
+  getProjectMemos,
+  isProjectNameTaken,
+  createProject,
+  updateProject,
+  deleteProject,
+  listAreas,
+  getArea,
+  isAreaNameTaken,
+  createArea,
+  renameArea,
+  deleteArea
+};
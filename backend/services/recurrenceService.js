@@ -0,0 +1,169 @@
+const db = require('../database/db');
+const {
+  parseRule,
+  nextOccurrence,
+  advance,
+  daysBetween,
+  shiftDateValue
+} = require('../utils/recurrence');
+const taskEventService = require('./taskEventService');
+const reminderService = require('./reminderService');
+
+// ============================================================================
+// Recurrence Service
+// ============================================================================
+//
+// Generates the next occurrence of a recurring task when it is completed.
+// The new task copies title, description, why, importance/urgency (and auto
+// urgency), parent, tags and deadline reminders, and has its deadline /
+// planned date shifted to the next scheduled date.
+//
+// USAGE:
+//   const recurrenceService = require('./services/recurrenceService');
+//   const nextTaskId = recurrenceService.createNextOccurrence(task);
+// ============================================================================
+
+/**
+ * Works out the dates for the occurrence following a task
+ *
+ * The anchor is the task's deadline date, falling back to its planned date.
+ * Scheduled rules step forward from the anchor until they reach today, so an
+ * overdue task doesn't spawn occurrences that are already in the past.
+ * "After completion" rules count from the completion date instead.
+ *
+ * @param {object} task - Task row (needs recurrence_rule, deadline, planned_for_today)
+ * @param {string} completedOn - Completion date (YYYY-MM-DD)
+ * @param {number|null} anchorDay - Day of the month the series started on
+ *   (see getSeriesAnchorDay), so monthly dates clamped to a short month recover
+ * @returns {object} { deadline, planned_for_today }
+ */
+function computeNextDates(task, completedOn, anchorDay = null) {
+  const rule = parseRule(task.recurrence_rule);
+  const anchor = task.deadline
+    ? task.deadline.slice(0, 10)
+    : (task.planned_for_today || null);
+
+  let nextDate;
+  if (rule.fromCompletion) {
+    nextDate = advance(rule, completedOn);
+  } else {
+    nextDate = nextOccurrence(rule, anchor || completedOn, anchorDay);
+    while (nextDate < completedOn) {
+      nextDate = nextOccurrence(rule, nextDate, anchorDay);
+    }
+  }
+
+  // Undated tasks get the next occurrence as their planned date
+  if (!anchor) {
+    return { deadline: null, planned_for_today: nextDate };
+  }
+
+  // Shift both dates by the same amount so the gap between them is kept
+  const shift = daysBetween(anchor, nextDate);
+
+  return {
+    deadline: task.deadline ? shiftDateValue(task.deadline, shift) : null,
+    planned_for_today: task.planned_for_today ? shiftDateValue(task.planned_for_today, shift) : null
+  };
+}
+
+/**
+ * Day of the month of the first task in a recurring series (its deadline, or
+ * its planned date), found by following recurrence_source_id back
+ *
+ * @param {object} task - Task row
+ * @returns {number|null} 1-31, or null for an undated series
+ */
+function getSeriesAnchorDay(task) {
+  const first = db.prepare(`
+    WITH RECURSIVE series(id, source_id, deadline, planned_for_today) AS (
+      SELECT id, recurrence_source_id, deadline, planned_for_today
+      FROM tasks WHERE id = ? AND user_id = ?
+      UNION ALL
+      SELECT t.id, t.recurrence_source_id, t.deadline, t.planned_for_today
+      FROM tasks t
+      JOIN series s ON t.id = s.source_id
+    )
+    SELECT deadline, planned_for_today FROM series WHERE source_id IS NULL
+  `).get(task.id, task.user_id);
+
+  const date = first && (first.deadline || first.planned_for_today);
+  return date ? Number(date.slice(8, 10)) : null;
+}
+
+/**
+ * Creates the next occurrence of a recurring task
+ * Does nothing if the task has no rule or its next occurrence already exists
+ * (e.g. the task was un-completed and completed again)
+ *
+ * @param {object} task - Full task row
+ * @param {string} completedOn - Completion date (YYYY-MM-DD), defaults to today (UTC)
+ * @returns {number|null} ID of the new task, or null if none was created
+ */
+function createNextOccurrence(task, completedOn = new Date().toISOString().split('T')[0]) {
+  if (!task.recurrence_rule) {
+    return null;
+  }
+
+  const existing = db.prepare(`
+    SELECT id FROM tasks
+    WHERE recurrence_source_id = ? AND user_id = ? AND deleted_at IS NULL
+  `).get(task.id, task.user_id);
+
+  if (existing) {
+    return null;
+  }
+
+  const rule = parseRule(task.recurrence_rule);
+  const anchorDay = rule.freq === 'MONTHLY' && rule.byMonthDay === null && !rule.fromCompletion
+    ? getSeriesAnchorDay(task)
+    : null;
+
+  const { deadline, planned_for_today } = computeNextDates(task, completedOn, anchorDay);
+
+  const create = db.transaction(() => {
+    const result = db.prepare(`
+      INSERT INTO tasks (
+        user_id, title, description, why, importance, urgency, auto_urgency,
+        deadline, parent_task_id, planned_for_today, estimate_minutes,
+        recurrence_rule, recurrence_source_id, project_id
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      task.user_id,
+      task.title,
+      task.description,
+      task.why,
+      task.importance,
+      task.urgency,
+      task.auto_urgency,
+      deadline,
+      task.parent_task_id,
+      planned_for_today,
+      task.estimate_minutes,
+      task.recurrence_rule,
+      task.id,
+      task.project_id
+    );
+
+    const newTaskId = result.lastInsertRowid;
+
+    db.prepare(`
+      INSERT INTO task_tags (task_id, tag_id)
+      SELECT ?, tag_id FROM task_tags WHERE task_id = ?
+    `).run(newTaskId, task.id);
+
+    reminderService.copyDeadlineReminders(task.id, newTaskId);
+
+    taskEventService.recordCreated([newTaskId], task.user_id);
+
+    return newTaskId;
+  });
+
+  return create();
+}
+
+module.exports = {
+  computeNextDates,
+  createNextOccurrence
+};
@@ -0,0 +1,369 @@
+const db = require('../database/db');
+const emailService = require('./email');
+const userSettingsService = require('./userSettingsService');
+const { toSqlTimestamp } = require('./timeEntryService');
+const { fromLocalTime } = require('../utils/timezone');
+
+// ============================================================================
+// Reminder Service
+// ============================================================================
+//
+// Email reminders on tasks. A reminder either fires a fixed number of minutes
+// before the task's deadline ("1 day before") or at a fixed time ("at 9:00
+// on the 12th"). Deadline-based reminders follow the deadline: when it moves,
+// they are rescheduled, and ones already sent are re-armed for the new date.
+//
+// Deadlines entered without a timezone are the user's local time, read in
+// the timezone of their settings on the day of the deadline.
+//
+// A background job sends due reminders through EmailService.sendEmail:
+// - Each reminder is claimed (pending -> sending) before it is sent, so
+//   overlapping runs never send the same one twice.
+// - Failed sends are retried with a growing delay, up to MAX_ATTEMPTS.
+// - Reminders of completed or trashed tasks wait until the task is open again.
+//
+// USAGE:
+//   const reminderService = require('./services/reminderService');
+//   reminderService.createReminder(task, userId, { beforeDeadlineMinutes: 1440 });
+//   reminderService.startReminderSchedule();
+// ============================================================================
+
+const REMINDER_STATUSES = ['pending', 'sending', 'sent', 'dismissed', 'failed'];
+
+const REMINDER_INTERVAL_MS = 60 * 1000; // 1 minute
+const MAX_ATTEMPTS = 5;
+const RETRY_DELAYS_MINUTES = [1, 5, 15, 60]; // After the 1st, 2nd, ... failure
+const BATCH_SIZE = 50;
+
+// A claim older than this is taken to belong to a send that never finished
+const STALE_CLAIM_MINUTES = 10;
+
+const REMINDER_COLUMNS = `
+  r.id, r.task_id, r.before_deadline_minutes, r.remind_at, r.snoozed_until,
+  r.status, r.attempts, r.last_error, r.sent_at, r.created_at, r.updated_at,
+  t.title as task_title, t.deadline as task_deadline
+`;
+
+let isProcessing = false;
+
+/**
+ * When a deadline-based reminder fires
+ *
+ * @param {string|null} deadline - tasks.deadline (ISO 8601, date only or with time)
+ * @param {number} beforeMinutes - Minutes before the deadline
+ * @param {string} timezone - IANA name, for deadlines without a timezone
+ * @returns {string|null} SQL timestamp, or null without a (valid) deadline
+ */
+function computeRemindAt(deadline, beforeMinutes, timezone) {
+  if (!deadline) return null;
+
+  const hasZone = /(Z|[+-]\d{2}:?\d{2})$/i.test(deadline);
+  const wallClock = deadline.match(/^(\d{4}-\d{2}-\d{2})(?:T(\d{2}:\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/);
+
+  let parsed = NaN;
+  if (hasZone) {
+    parsed = Date.parse(deadline);
+  } else if (wallClock && !Number.isNaN(Date.parse(`${wallClock[1]}T${wallClock[2] || '00:00'}:00Z`))) {
+    const [, date, time = '00:00', seconds = '0'] = wallClock;
+    parsed = fromLocalTime(date, time, timezone).getTime() + Number(seconds) * 1000;
+  }
+
+  if (Number.isNaN(parsed)) return null;
+
+  return toSqlTimestamp(parsed - beforeMinutes * 60000);
+}
+
+/**
+ * Gets one reminder of the user, with its task's title and deadline
+ * @returns {object|undefined}
+ */
+function getReminder(reminderId, userId) {
+  return db.prepare(`
+    SELECT ${REMINDER_COLUMNS}
+    FROM reminders r
+    JOIN tasks t ON t.id = r.task_id
+    WHERE r.id = ? AND r.user_id = ?
+  `).get(reminderId, userId);
+}
+
+/**
+ * Lists a task's reminders, soonest first
+ *
+ * @param {number} taskId - Task ID (ownership checked by the caller)
+ * @returns {object[]}
+ */
+function listTaskReminders(taskId) {
+  return db.prepare(`
+    SELECT ${REMINDER_COLUMNS}
+    FROM reminders r
+    JOIN tasks t ON t.id = r.task_id
+    WHERE r.task_id = ?
+    ORDER BY COALESCE(r.snoozed_until, r.remind_at) IS NULL, COALESCE(r.snoozed_until, r.remind_at) ASC, r.id ASC
+  `).all(taskId);
+}
+
+/**
+ * Lists the user's reminders on live tasks, soonest first
+ *
+ * @param {number} userId - Owner ID
+ * @param {string[]} statuses - Statuses to include
+ * @returns {object[]}
+ */
+function listReminders(userId, statuses = ['pending', 'sent']) {
+  const placeholders = statuses.map(() => '?').join(',');
+
+  return db.prepare(`
+    SELECT ${REMINDER_COLUMNS}
+    FROM reminders r
+    JOIN tasks t ON t.id = r.task_id
+    WHERE r.user_id = ? AND t.deleted_at IS NULL AND r.status IN (${placeholders})
+    ORDER BY COALESCE(r.snoozed_until, r.remind_at) IS NULL, COALESCE(r.snoozed_until, r.remind_at) ASC, r.id ASC
+  `).all(userId, ...statuses);
+}
+
+/**
+ * Adds a reminder to a task
+ *
+ * @param {object} task - Owned, live task row (needs id and deadline)
+ * @param {number} userId - Owner ID
+ * @param {object} options - { beforeDeadlineMinutes } or { remindAt } (SQL timestamp)
+ * @returns {object|null} The new reminder, or null if the task already has the same one
+ */
+function createReminder(task, userId, { beforeDeadlineMinutes = null, remindAt = null }) {
+  const scheduledAt = beforeDeadlineMinutes !== null
+    ? computeRemindAt(task.deadline, beforeDeadlineMinutes, userSettingsService.getSettings(userId).timezone)
+    : remindAt;
+
+  const duplicate = beforeDeadlineMinutes !== null
+    ? db.prepare('SELECT id FROM reminders WHERE task_id = ? AND before_deadline_minutes = ?').get(task.id, beforeDeadlineMinutes)
+    : db.prepare('SELECT id FROM reminders WHERE task_id = ? AND before_deadline_minutes IS NULL AND remind_at = ?').get(task.id, scheduledAt);
+
+  if (duplicate) {
+    return null;
+  }
+
+  const result = db.prepare(`
+    INSERT INTO reminders (user_id, task_id, before_deadline_minutes, remind_at, due_at)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(userId, task.id, beforeDeadlineMinutes, scheduledAt, scheduledAt);
+
+  return getReminder(result.lastInsertRowid, userId);
+}
+
+/**
+ * Moves a task's deadline-based reminders to follow its current deadline
+ * Reminders that were already sent or had failed are re-armed when their time
+ * changes; dismissed ones stay dismissed. Call after the deadline changed.
+ *
+ * @param {number} taskId - Task ID
+ * @returns {number} Number of reminders rescheduled
+ */
+function rescheduleForTask(taskId) {
+  const task = db.prepare('SELECT id, user_id, deadline FROM tasks WHERE id = ?').get(taskId);
+  if (!task) return 0;
+
+  const { timezone } = userSettingsService.getSettings(task.user_id);
+  const reminders = db.prepare(`
+    SELECT id, before_deadline_minutes, remind_at, status
+    FROM reminders
+    WHERE task_id = ? AND before_deadline_minutes IS NOT NULL AND status != 'dismissed'
+  `).all(taskId);
+
+  const update = db.prepare(`
+    UPDATE reminders
+    SET remind_at = ?, due_at = ?, snoozed_until = NULL, status = 'pending', attempts = 0,
+        last_error = NULL, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `);
+
+  let rescheduled = 0;
+  for (const reminder of reminders) {
+    const remindAt = computeRemindAt(task.deadline, reminder.before_deadline_minutes, timezone);
+    if (remindAt !== reminder.remind_at) {
+      update.run(remindAt, remindAt, reminder.id);
+      rescheduled++;
+    }
+  }
+
+  return rescheduled;
+}
+
+/**
+ * Copies a task's deadline-based reminders to another task (e.g. the next
+ * occurrence of a recurring task), scheduled against that task's deadline
+ *
+ * @param {number} fromTaskId - Task whose reminders are copied
+ * @param {number} toTaskId - Task receiving them
+ */
+function copyDeadlineReminders(fromTaskId, toTaskId) {
+  const target = db.prepare('SELECT id, user_id, deadline FROM tasks WHERE id = ?').get(toTaskId);
+  const reminders = db.prepare(`
+    SELECT before_deadline_minutes FROM reminders
+    WHERE task_id = ? AND before_deadline_minutes IS NOT NULL
+  `).all(fromTaskId);
+
+  for (const reminder of reminders) {
+    createReminder(target, target.user_id, { beforeDeadlineMinutes: reminder.before_deadline_minutes });
+  }
+}
+
+/**
+ * Postpones a reminder; sent reminders fire again when the snooze ends
+ *
+ * @param {object} reminder - Reminder row
+ * @param {string} until - SQL timestamp
+ * @param {number} userId - Owner ID
+ * @returns {object} The updated reminder
+ */
+function snoozeReminder(reminder, until, userId) {
+  db.prepare(`
+    UPDATE reminders
+    SET snoozed_until = ?, due_at = ?, status = 'pending', attempts = 0, last_error = NULL,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(until, until, reminder.id);
+
+  return getReminder(reminder.id, userId);
+}
+
+/**
+ * Stops a reminder from firing (again)
+ *
+ * @param {object} reminder - Reminder row
+ * @param {number} userId - Owner ID
+ * @returns {object} The updated reminder
+ */
+function dismissReminder(reminder, userId) {
+  db.prepare(`
+    UPDATE reminders SET status = 'dismissed', updated_at = CURRENT_TIMESTAMP WHERE id = ?
+  `).run(reminder.id);
+
+  return getReminder(reminder.id, userId);
+}
+
+/**
+ * Deletes a reminder
+ */
+function deleteReminder(reminder) {
+  db.prepare('DELETE FROM reminders WHERE id = ?').run(reminder.id);
+}
+
+/**
+ * Sends every due reminder once
+ * Runs one batch at a time; a call while another is still sending does nothing.
+ *
+ * @param {Date} now - Current time
+ * @returns {Promise<object>} { sent, failed } - Reminders sent and sends that failed
+ */
+async function processDueReminders(now = new Date()) {
+  if (isProcessing) return { sent: 0, failed: 0 };
+  isProcessing = true;
+
+  const result = { sent: 0, failed: 0 };
+
+  try {
+    const nowSql = toSqlTimestamp(now);
+
+    // Sends interrupted by a crash count as a failed attempt
+    db.prepare(`
+      UPDATE reminders
+      SET status = CASE WHEN attempts + 1 >= ? THEN 'failed' ELSE 'pending' END,
+          attempts = attempts + 1, due_at = ?, last_error = 'Interrupted while sending'
+      WHERE status = 'sending' AND updated_at < datetime(?, ?)
+    `).run(MAX_ATTEMPTS, nowSql, nowSql, `-${STALE_CLAIM_MINUTES} minutes`);
+
+    const due = db.prepare(`
+      SELECT r.id, r.attempts, t.title as task_title, t.deadline as task_deadline,
+        u.email as user_email, u.name as user_name
+      FROM reminders r
+      JOIN tasks t ON t.id = r.task_id
+      JOIN users u ON u.id = r.user_id
+      WHERE r.status = 'pending' AND r.due_at IS NOT NULL AND r.due_at <= ?
+        AND t.completed = 0 AND t.deleted_at IS NULL
+      ORDER BY r.due_at ASC
+      LIMIT ?
+    `).all(nowSql, BATCH_SIZE);
+
+    const claim = db.prepare(`
+      UPDATE reminders SET status = 'sending', updated_at = ? WHERE id = ? AND status = 'pending'
+    `);
+
+    for (const reminder of due) {
+      if (claim.run(nowSql, reminder.id).changes === 0) {
+        continue; // Dismissed, snoozed or claimed since it was read
+      }
+
+      try {
+        await emailService.sendTaskReminderEmail(
+          { email: reminder.user_email, name: reminder.user_name },
+          { title: reminder.task_title, deadline: reminder.task_deadline }
+        );
+
+        db.prepare(`
+          UPDATE reminders
+          SET status = 'sent', sent_at = ?, attempts = attempts + 1, last_error = NULL,
+              updated_at = CURRENT_TIMESTAMP
+          WHERE id = ? AND status = 'sending'
+        `).run(toSqlTimestamp(new Date()), reminder.id);
+        result.sent++;
+      } catch (error) {
+        const attempts = reminder.attempts + 1;
+        const delay = RETRY_DELAYS_MINUTES[Math.min(attempts, RETRY_DELAYS_MINUTES.length) - 1];
+
+        db.prepare(`
+          UPDATE reminders
+          SET status = ?, attempts = ?, last_error = ?, due_at = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ? AND status = 'sending'
+        `).run(
+          attempts >= MAX_ATTEMPTS ? 'failed' : 'pending',
+          attempts,
+          String(error.message || error).slice(0, 500),
+          toSqlTimestamp(now.getTime() + delay * 60000),
+          reminder.id
+        );
+        result.failed++;
+      }
+    }
+  } finally {
+    isProcessing = false;
+  }
+
+  return result;
+}
+
+/**
+ * Runs processDueReminders every minute (and shortly after startup)
+ * Timers are unref'd so they never keep the process alive on their own.
+ */
+function startReminderSchedule() {
+  const run = async () => {
+    try {
+      const { sent, failed } = await processDueReminders();
+      if (sent > 0 || failed > 0) {
+        console.log(`Sent ${sent} reminders (${failed} failed)`);
+      }
+    } catch (error) {
+      console.error('Error sending reminders:', error);
+    }
+  };
+
+  setInterval(run, REMINDER_INTERVAL_MS).unref();
+  setTimeout(run, 5000).unref(); // 5 seconds after startup
+}
+
+module.exports = {
+  REMINDER_STATUSES,
+  MAX_ATTEMPTS,
+  computeRemindAt,
+  getReminder,
+  listTaskReminders,
+  listReminders,
+  createReminder,
+  rescheduleForTask,
+  copyDeadlineReminders,
+  snoozeReminder,
+  dismissReminder,
+  deleteReminder,
+  processDueReminders,
+  startReminderSchedule
+};
@@ -0,0 +1,109 @@
+const db = require('../database/db');
+
+// ============================================================================
+// Report Service
+// ============================================================================
+//
+// Aggregates for calibrating estimates. The estimate report looks at
+// completed tasks that had an estimate and compares estimate_minutes with the
+// time actually tracked (time_spent_minutes), per tag and per period.
+//
+// A task counts on the local day it was last completed, taken from its
+// history; tasks completed before history was kept fall back to updated_at.
+//
+// USAGE:
+//   const reportService = require('./services/reportService');
+//   const report = reportService.getEstimateReport(userId, { from, to }, 120, 'week');
+// ============================================================================
+
+// SQLite expressions turning a local YYYY-MM-DD "local_date" into its period
+const PERIOD_SQL = {
+  day: 'local_date',
+  week: "date(local_date, 'weekday 0', '-6 days')", // Monday of the week
+  month: "strftime('%Y-%m-01', local_date)"
+};
+
+const COMPLETED_AT_SQL = `
+  COALESCE((
+    SELECT MAX(ev.created_at) FROM task_events ev
+    WHERE ev.task_id = t.id AND json_extract(ev.changes, '$.completed.to') = 1
+  ), t.updated_at)
+`;
+
+/**
+ * Totals for a group of tasks; ratio is actual / estimated (above 1: underestimated)
+ */
+function summarize({ task_count, estimated_minutes, actual_minutes }) {
+  return {
+    task_count,
+    estimated_minutes,
+    actual_minutes,
+    ratio: estimated_minutes > 0 ? Math.round((actual_minutes / estimated_minutes) * 100) / 100 : null
+  };
+}
+
+/**
+ * Estimates vs actuals of completed tasks, per tag and per period
+ * Days are local to the client: tzOffset is minutes to add to UTC.
+ * A task with several tags counts towards each of them.
+ *
+ * @param {number} userId - Owner ID
+ * @param {object} range - { from, to } local dates (YYYY-MM-DD), both inclusive
+ * @param {number} tzOffset - Minutes east of UTC
+ * @param {string} period - 'day', 'week' (starting Monday) or 'month'
+ * @returns {object} { totals, tags: [{ id, name, color, ...totals }], periods: [{ period, ...totals }] }
+ */
+function getEstimateReport(userId, { from, to }, tzOffset = 0, period = 'week') {
+  const shift = `${tzOffset >= 0 ? '+' : ''}${tzOffset} minutes`;
+  const done = `
+    WITH done AS (
+      SELECT t.id, t.estimate_minutes, COALESCE(t.time_spent_minutes, 0) as actual_minutes,
+        date(${COMPLETED_AT_SQL}, ?) as local_date
+      FROM tasks t
+      WHERE t.user_id = ? AND t.completed = 1 AND t.deleted_at IS NULL
+        AND t.estimate_minutes IS NOT NULL
+    )
+  `;
+  const totalsColumns = `
+    COUNT(*) as task_count,
+    COALESCE(SUM(done.estimate_minutes), 0) as estimated_minutes,
+    COALESCE(SUM(done.actual_minutes), 0) as actual_minutes
+  `;
+  const params = [shift, userId, from, to];
+
+  const totals = db.prepare(`
+    ${done}
+    SELECT ${totalsColumns} FROM done WHERE local_date BETWEEN ? AND ?
+  `).get(...params);
+
+  const tags = db.prepare(`
+    ${done}
+    SELECT tag.id, tag.name, tag.color, ${totalsColumns}
+    FROM done
+    LEFT JOIN task_tags tt ON tt.task_id = done.id
+    LEFT JOIN tags tag ON tag.id = tt.tag_id
+    WHERE local_date BETWEEN ? AND ?
+    GROUP BY tag.id
+    ORDER BY estimated_minutes DESC
+  `).all(...params);
+
+  const periods = db.prepare(`
+    ${done}
+    SELECT ${PERIOD_SQL[period]} as period, ${totalsColumns}
+    FROM done
+    WHERE local_date BETWEEN ? AND ?
+    GROUP BY period
+    ORDER BY period ASC
+  `).all(...params);
+
+  return {
+    totals: summarize(totals),
+    tags: tags.map(({ id, name, color, ...row }) => ({ id, name, color, ...summarize(row) })),
+    periods: periods.map(row => ({ period: row.period, ...summarize(row) }))
+  };
+}
+
+module.exports = {
+  PERIODS: Object.keys(PERIOD_SQL),
+  getEstimateReport
+};
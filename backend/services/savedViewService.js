@@ -0,0 +1,184 @@
+const db = require('../database/db');
+const { buildTaskFilters } = require('../utils/taskFilters');
+const { normalizeViewFilters, viewToTaskQuery } = require('../utils/savedViews');
+
+// ============================================================================
+// Saved View Service
+// ============================================================================
+//
+// Named task list filters ("work-tagged Q2 tasks without deadline") with a
+// sort order, kept per user (see utils/savedViews.js for the filters).
+//
+// A view is applied by turning it into GET /api/tasks query parameters, so
+// it matches exactly what the task list shows. Counts are computed when the
+// views are read: relative deadline windows move with the user's date.
+//
+// USAGE:
+//   const savedViewService = require('./services/savedViewService');
+//   const view = savedViewService.createView(userId, { name: 'No deadline', filters: { has_deadline: false } });
+//   const views = savedViewService.listViews(userId, '2026-10-18'); // each with a live count
+//   const query = savedViewService.getTaskQuery(view, '2026-10-18');
+// ============================================================================
+
+/**
+ * Shapes a saved_views row for the API
+ */
+function formatView(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    filters: JSON.parse(row.filters),
+    sort: row.sort,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+/**
+ * GET /api/tasks query parameters for a view
+ *
+ * @param {object} view - View as returned by getView
+ * @param {string} today - User's local date (YYYY-MM-DD)
+ * @returns {object}
+ */
+function getTaskQuery(view, today) {
+  return viewToTaskQuery(view.filters, view.sort, today);
+}
+
+/**
+ * Counts the tasks a view shows
+ *
+ * @param {object} view - View as returned by getView
+ * @param {number} userId - Owner ID
+ * @param {string} today - User's local date (YYYY-MM-DD)
+ * @returns {number}
+ */
+function countViewTasks(view, userId, today) {
+  const { conditions, params } = buildTaskFilters(getTaskQuery(view, today));
+  const where = ['t.user_id = ?', 't.deleted_at IS NULL', ...conditions].join(' AND ');
+
+  return db.prepare(`SELECT COUNT(*) as count FROM tasks t WHERE ${where}`).get(userId, ...params).count;
+}
+
+/**
+ * Lists a user's views in the order they were created, each with its task count
+ *
+ * @param {number} userId - User ID
+ * @param {string} today - User's local date (YYYY-MM-DD)
+ * @returns {object[]}
+ */
+function listViews(userId, today) {
+  return db.prepare('SELECT * FROM saved_views WHERE user_id = ? ORDER BY id ASC')
+    .all(userId)
+    .map(formatView)
+    .map(view => ({ ...view, count: countViewTasks(view, userId, today) }));
+}
+
+/**
+ * Gets one of a user's views
+ *
+ * @param {number} viewId - View ID
+ * @param {number} userId - Owner ID
+ * @returns {object|null}
+ */
+function getView(viewId, userId) {
+  const row = db.prepare('SELECT * FROM saved_views WHERE id = ? AND user_id = ?').get(viewId, userId);
+  return row ? formatView(row) : null;
+}
+
+/**
+ * Checks whether a user already has a view with a name
+ *
+ * @param {number} userId - User ID
+ * @param {string} name - View name
+ * @param {number|null} exceptId - View to leave out (the one being renamed)
+ * @returns {boolean}
+ */
+function isNameTaken(userId, name, exceptId = null) {
+  return Boolean(db.prepare(`
+    SELECT id FROM saved_views WHERE user_id = ? AND name = ? AND id != ?
+  `).get(userId, name, exceptId ?? 0));
+}
+
+/**
+ * Tag ids a user doesn't have
+ *
+ * @param {number} userId - User ID
+ * @param {number[]} tagIds - Tag IDs to check
+ * @returns {number[]}
+ */
+function findUnknownTags(userId, tagIds) {
+  if (tagIds.length === 0) return [];
+
+  const placeholders = tagIds.map(() => '?').join(',');
+  const known = new Set(db.prepare(`
+    SELECT id FROM tags WHERE user_id = ? AND id IN (${placeholders})
+  `).all(userId, ...tagIds).map(tag => tag.id));
+
+  return tagIds.filter(id => !known.has(id));
+}
+
+/**
+ * Creates a view
+ *
+ * @param {number} userId - Owner ID
+ * @param {object} data - { name, filters, sort } - filters are checked with normalizeViewFilters
+ * @returns {object} The new view
+ */
+function createView(userId, { name, filters, sort }) {
+  const result = db.prepare(`
+    INSERT INTO saved_views (user_id, name, filters, sort)
+    VALUES (?, ?, ?, ?)
+  `).run(userId, name, JSON.stringify(normalizeViewFilters(filters)), sort);
+
+  return getView(result.lastInsertRowid, userId);
+}
+
+/**
+ * Updates a view's name, filters and/or sort
+ *
+ * @param {number} viewId - View ID (ownership checked by the caller)
+ * @param {object} changes - { name, filters, sort }; undefined keys are left as they are
+ * @returns {object} The updated view
+ */
+function updateView(viewId, { name, filters, sort }) {
+  db.prepare(`
+    UPDATE saved_views
+    SET name = COALESCE(?, name),
+        filters = COALESCE(?, filters),
+        sort = COALESCE(?, sort),
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(
+    name ?? null,
+    filters !== undefined ? JSON.stringify(normalizeViewFilters(filters)) : null,
+    sort ?? null,
+    viewId
+  );
+
+  const row = db.prepare('SELECT * FROM saved_views WHERE id = ?').get(viewId);
+  return formatView(row);
+}
+
+/**
+ * Deletes a view (its tasks are not touched)
+ *
+ * @param {number} viewId - View ID
+ * @param {number} userId - Owner ID
+ * @returns {boolean} Whether a view was deleted
+ */
+function deleteView(viewId, userId) {
+  return db.prepare('DELETE FROM saved_views WHERE id = ? AND user_id = ?').run(viewId, userId).changes > 0;
+}
+
+module.exports = {
+  getTaskQuery,
+  countViewTasks,
+  listViews,
+  getView,
+  isNameTaken,
+  findUnknownTags,
+  createView,
+  updateView,
+  deleteView
+};
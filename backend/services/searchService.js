@@ -0,0 +1,220 @@
+const db = require('../database/db');
+const { buildMatchQuery } = require('../utils/searchQuery');
+const { escapeHtml } = require('../utils/sanitize');
+
+// ============================================================================
+// Search Service
+// ============================================================================
+//
+// Full-text search over tasks (title, description, why), memos (title,
+// content, details) and inbox items (content). Each kind has an FTS5 index
+// that triggers keep in step with its table (see schema.sql), so searching
+// never scans the tables themselves. The indexes hold the decoded, plain
+// text.
+//
+// Results are ranked with bm25, titles counting more than body text, and
+// grouped by kind. Matched words come back wrapped in HIGHLIGHT_START and
+// HIGHLIGHT_END: the title with every match marked, plus a short snippet of
+// the body text around the best match. The rest of that text is
+// HTML-escaped, so the markers are the only tags in it.
+//
+// USAGE:
+//   const searchService = require('./services/searchService');
+//   const { tasks, memos, inbox } = searchService.search(userId, 'release notes', {
+//     types: ['task', 'memo'], tagIds: [3], from: '2026-10-01', tzOffset: 120
+//   });
+// ============================================================================
+
+const HIGHLIGHT_START = '<mark>';
+const HIGHLIGHT_END = '</mark>';
+
+// What FTS5 marks matches with (private use characters), swapped for the
+// HIGHLIGHT_ markers once the plain text around them is escaped
+const MATCH_START = '\uE000';
+const MATCH_END = '\uE001';
+
+// Words around the match in a snippet
+const SNIPPET_WORDS = 16;
+
+const highlight = (fts, column) =>
+  `highlight(${fts}, ${column}, '${MATCH_START}', '${MATCH_END}')`;
+
+const snippet = (fts, column) =>
+  `snippet(${fts}, ${column}, '${MATCH_START}', '${MATCH_END}', '…', ${SNIPPET_WORDS})`;
+
+/**
+ * Highlighted plain text as escaped text with HIGHLIGHT_ markers
+ */
+const markMatches = (text) => escapeHtml(text)
+  .replaceAll(MATCH_START, HIGHLIGHT_START)
+  .replaceAll(MATCH_END, HIGHLIGHT_END);
+
+/**
+ * What is searched for each kind of result (names are fixed, never user input)
+ * - group: key of the kind's results in the response
+ * - weights: bm25 weight of each indexed column, in index order
+ * - snippetColumns: body columns a snippet can come from, best first
+ */
+const SEARCH_TYPES = {
+  task: {
+    group: 'tasks',
+    table: 'tasks',
+    fts: 'tasks_fts',
+    tagTable: 'task_tags',
+    tagColumn: 'task_id',
+    softDelete: true,
+    columns: 'x.title, x.completed, x.deadline, x.parent_task_id, x.created_at',
+    titleColumn: 0,
+    snippetColumns: [1, 2],
+    weights: [10, 2, 2]
+  },
+  memo: {
+    group: 'memos',
+    table: 'memos',
+    fts: 'memos_fts',
+    tagTable: 'memo_tags',
+    tagColumn: 'memo_id',
+    softDelete: true,
+    columns: 'x.title, x.created_at, x.updated_at',
+    titleColumn: 0,
+    snippetColumns: [1, 2],
+    weights: [10, 2, 1]
+  },
+  inbox: {
+    group: 'inbox',
+    table: 'inbox',
+    fts: 'inbox_fts',
+    tagTable: 'inbox_tags',
+    tagColumn: 'inbox_item_id',
+    softDelete: false,
+    columns: 'x.content, x.status, x.delayed_until, x.created_at',
+    titleColumn: null,
+    snippetColumns: [0],
+    weights: [1]
+  }
+};
+
+const TYPES = Object.keys(SEARCH_TYPES);
+
+/**
+ * Searches one kind of item
+ *
+ * @returns {object} { total, results }
+ */
+function searchType(type, userId, match, { tagIds, tagMatch, from, to, tzOffset, limit }) {
+  const config = SEARCH_TYPES[type];
+  const { fts } = config;
+
+  const conditions = [`${fts} MATCH ?`, 'x.user_id = ?'];
+  const params = [match, userId];
+
+  if (config.softDelete) {
+    conditions.push('x.deleted_at IS NULL');
+  }
+
+  if (tagIds.length > 0) {
+    const placeholders = tagIds.map(() => '?').join(',');
+
+    if (tagMatch === 'all') {
+      conditions.push(`(
+        SELECT COUNT(DISTINCT st.tag_id) FROM ${config.tagTable} st
+        WHERE st.${config.tagColumn} = x.id AND st.tag_id IN (${placeholders})
+      ) = ?`);
+      params.push(...tagIds, tagIds.length);
+    } else {
+      conditions.push(`x.id IN (SELECT st.${config.tagColumn} FROM ${config.tagTable} st WHERE st.tag_id IN (${placeholders}))`);
+      params.push(...tagIds);
+    }
+  }
+
+  // Creation dates in the client's calendar
+  const shift = `${tzOffset >= 0 ? '+' : ''}${tzOffset} minutes`;
+  if (from) {
+    conditions.push('date(x.created_at, ?) >= ?');
+    params.push(shift, from);
+  }
+  if (to) {
+    conditions.push('date(x.created_at, ?) <= ?');
+    params.push(shift, to);
+  }
+
+  const source = `${fts} JOIN ${config.table} x ON x.id = ${fts}.rowid`;
+  const where = conditions.join(' AND ');
+
+  const { total } = db.prepare(`SELECT COUNT(*) as total FROM ${source} WHERE ${where}`).get(...params);
+  if (total === 0) {
+    return { total, results: [] };
+  }
+
+  const snippets = config.snippetColumns
+    .map((column, index) => `${snippet(fts, column)} as snippet_${index}`)
+    .join(', ');
+  const title = config.titleColumn !== null ? `${highlight(fts, config.titleColumn)} as title_highlight,` : '';
+
+  const rows = db.prepare(`
+    SELECT x.id, ${config.columns}, ${title} ${snippets}
+    FROM ${source}
+    WHERE ${where}
+    ORDER BY bm25(${fts}, ${config.weights.join(', ')}), x.id DESC
+    LIMIT ?
+  `).all(...params, limit);
+
+  const results = rows.map(row => {
+    const result = { ...row };
+    const snippetKeys = config.snippetColumns.map((_, index) => `snippet_${index}`);
+
+    // The first body column with a match; none if only the title matched
+    const snippet = snippetKeys.map(key => row[key]).find(text => text && text.includes(MATCH_START));
+    result.snippet = snippet ? markMatches(snippet) : null;
+    snippetKeys.forEach(key => delete result[key]);
+
+    if (result.title_highlight) result.title_highlight = markMatches(result.title_highlight);
+
+    if ('completed' in result) result.completed = Boolean(result.completed);
+    return result;
+  });
+
+  return { total, results };
+}
+
+/**
+ * Searches a user's tasks, memos and inbox
+ *
+ * @param {number} userId - User ID
+ * @param {string} text - Search box text (see utils/searchQuery.js)
+ * @param {object} options - {
+ *   types: kinds to search (default all),
+ *   tagIds: only items with these tags, tagMatch: 'any' (default) or 'all',
+ *   from, to: created between these YYYY-MM-DD dates (inclusive),
+ *   tzOffset: client minutes east of UTC for the dates,
+ *   limit: results per kind (default 20)
+ * }
+ * @returns {object} { tasks, memos, inbox } - each { total, results } for the kinds searched
+ */
+function search(userId, text, {
+  types = TYPES,
+  tagIds = [],
+  tagMatch = 'any',
+  from = null,
+  to = null,
+  tzOffset = 0,
+  limit = 20
+} = {}) {
+  const match = buildMatchQuery(text);
+  const grouped = {};
+
+  for (const type of TYPES.filter(t => types.includes(t))) {
+    grouped[SEARCH_TYPES[type].group] = match
+      ? searchType(type, userId, match, { tagIds, tagMatch, from, to, tzOffset, limit })
+      : { total: 0, results: [] };
+  }
+
+  return grouped;
+}
+
+module.exports = {
+  TYPES,
+  HIGHLIGHT_START,
+  HIGHLIGHT_END,
+  search
+};
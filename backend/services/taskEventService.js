@@ -0,0 +1,194 @@
+const db = require('../database/db');
+
+// ============================================================================
+// Task Event Service
+// ============================================================================
+//
+// Change history for tasks. Every write to a task records one task_events row
+// with the fields it changed as { field: { from, to } }. Callers snapshot the
+// tasks before writing and hand the snapshot back afterwards; only fields that
+// actually changed are stored, and writes that changed nothing leave no event.
+//
+// Tags are tracked as a sorted list of tag names under the "tags" field.
+//
+// USAGE:
+//   const taskEventService = require('./services/taskEventService');
+//   const before = taskEventService.snapshotTasks([taskId]);
+//   db.prepare('UPDATE tasks SET ...').run(...);
+//   taskEventService.recordChanges('update', before, userId);
+// ============================================================================
+
+const EVENT_TYPES = [
+  'create',
+  'update',
+  'toggle',
+  'status',
+  'pomodoro',
+  'add_time',
+  'plan',
+  'unplan',
+  'delete',
+  'restore',
+  'sync'
+];
+
+// Task columns whose before/after values are kept
+const TRACKED_FIELDS = [
+  'title',
+  'description',
+  'why',
+  'completed',
+  'importance',
+  'urgency',
+  'auto_urgency',
+  'deadline',
+  'parent_task_id',
+  'recurrence_rule',
+  'pomodoro_count',
+  'time_spent_minutes',
+  'estimate_minutes',
+  'planned_for_today',
+  'project_id',
+  'status_id',
+  'deleted_at'
+];
+
+const MAX_HISTORY_LIMIT = 500;
+
+/**
+ * Reads the tracked fields of tasks, including tag names
+ *
+ * @param {number[]} taskIds - Task IDs
+ * @returns {Map<number, object>} Task ID -> tracked values (missing tasks are left out)
+ */
+function snapshotTasks(taskIds) {
+  const snapshots = new Map();
+  if (taskIds.length === 0) return snapshots;
+
+  const placeholders = taskIds.map(() => '?').join(',');
+  const rows = db.prepare(`
+    SELECT t.id, t.user_id, ${TRACKED_FIELDS.map(field => `t.${field}`).join(', ')},
+      (SELECT GROUP_CONCAT(tag.name, char(31)) FROM task_tags tt
+       JOIN tags tag ON tag.id = tt.tag_id WHERE tt.task_id = t.id) as tag_names
+    FROM tasks t
+    WHERE t.id IN (${placeholders})
+  `).all(...taskIds);
+
+  for (const { tag_names, ...row } of rows) {
+    row.tags = tag_names ? tag_names.split(String.fromCharCode(31)).sort() : [];
+    snapshots.set(row.id, row);
+  }
+
+  return snapshots;
+}
+
+/**
+ * Field-level differences between two snapshots of a task
+ *
+ * @param {object|null} before - Snapshot before the write (null for a new task)
+ * @param {object} after - Snapshot after the write
+ * @returns {object} { field: { from, to } } for every field that differs
+ */
+function diffSnapshots(before, after) {
+  const changes = {};
+
+  for (const field of [...TRACKED_FIELDS, 'tags']) {
+    const from = before ? before[field] : null;
+    const to = after[field];
+
+    if (JSON.stringify(from ?? null) !== JSON.stringify(to ?? null)) {
+      changes[field] = { from: from ?? null, to: to ?? null };
+    }
+  }
+
+  // A new task has no tags to report unless some were attached
+  if (!before && changes.tags && after.tags.length === 0) {
+    delete changes.tags;
+  }
+
+  return changes;
+}
+
+/**
+ * Stores one event
+ *
+ * @param {number} taskId - Task ID
+ * @param {number} userId - Owner ID
+ * @param {string} eventType - One of EVENT_TYPES
+ * @param {object|null} changes - { field: { from, to } }
+ */
+function recordEvent(taskId, userId, eventType, changes = null) {
+  db.prepare(`
+    INSERT INTO task_events (task_id, user_id, event_type, changes)
+    VALUES (?, ?, ?, ?)
+  `).run(taskId, userId, eventType, changes ? JSON.stringify(changes) : null);
+}
+
+/**
+ * Records what changed on each snapshotted task since the snapshot was taken
+ * Tasks without any change are skipped.
+ *
+ * @param {string} eventType - One of EVENT_TYPES
+ * @param {Map<number, object>} before - Result of snapshotTasks() taken before the write
+ * @param {number} userId - Owner ID
+ * @returns {number} Number of events recorded
+ */
+function recordChanges(eventType, before, userId) {
+  const after = snapshotTasks([...before.keys()]);
+  let recorded = 0;
+
+  for (const [taskId, snapshot] of after) {
+    const changes = diffSnapshots(before.get(taskId), snapshot);
+
+    if (Object.keys(changes).length > 0) {
+      recordEvent(taskId, userId, eventType, changes);
+      recorded++;
+    }
+  }
+
+  return recorded;
+}
+
+/**
+ * Records the creation of tasks with their initial values
+ *
+ * @param {number[]} taskIds - Newly inserted task IDs
+ * @param {number} userId - Owner ID
+ */
+function recordCreated(taskIds, userId) {
+  for (const [taskId, snapshot] of snapshotTasks(taskIds)) {
+    recordEvent(taskId, userId, 'create', diffSnapshots(null, snapshot));
+  }
+}
+
+/**
+ * Gets a task's history, newest first
+ *
+ * @param {number} taskId - Task ID (ownership checked by the caller)
+ * @param {number} limit - Max events to return
+ * @returns {object[]} Events with parsed changes
+ */
+function getTaskHistory(taskId, limit = 100) {
+  return db.prepare(`
+    SELECT id, task_id, event_type, changes, created_at
+    FROM task_events
+    WHERE task_id = ?
+    ORDER BY created_at DESC, id DESC
+    LIMIT ?
+  `).all(taskId, Math.min(limit, MAX_HISTORY_LIMIT)).map(event => ({
+    ...event,
+    changes: event.changes ? JSON.parse(event.changes) : {}
+  }));
+}
+
+module.exports = {
+  EVENT_TYPES,
+  TRACKED_FIELDS,
+  MAX_HISTORY_LIMIT,
+  snapshotTasks,
+  diffSnapshots,
+  recordEvent,
+  recordChanges,
+  recordCreated,
+  getTaskHistory
+};
@@ -0,0 +1,143 @@
+const db = require('../database/db');
+const { MAX_RANK_LENGTH, rankBetween, evenlySpacedRanks } = require('../utils/rank');
+const { TASK_SORTS, DEFAULT_VIEW } = require('../utils/taskFilters');
+
+// ============================================================================
+// Task Rank Service
+// ============================================================================
+//
+// Manual ordering for task lists, stored in task_ranks as one fractional rank
+// (see utils/rank.js) per task per list view. Ranks are independent of
+// importance/urgency, so reordering never changes a task's priority.
+//
+// Tasks that were never moved in a view have no rank and are listed first,
+// newest first. The first move that needs an unranked neighbour ranks the
+// whole view in its current order. When repeated moves into the same gap make
+// a rank too long, the whole view is re-spaced in the same transaction.
+//
+// USAGE:
+//   const taskRankService = require('./services/taskRankService');
+//   taskRankService.moveTask(task, 'tasks', { afterId: 12 }, userId);
+// ============================================================================
+
+const RANK_VIEWS = ['tasks', 'today', 'board'];
+
+/**
+ * Gets a task's rank in a view
+ * @returns {string|null} Rank, or null if the task was never ranked there
+ */
+function getRank(taskId, view) {
+  const row = db.prepare('SELECT rank FROM task_ranks WHERE task_id = ? AND view = ?').get(taskId, view);
+  return row ? row.rank : null;
+}
+
+/**
+ * Sets a task's rank in a view
+ */
+function setRank(taskId, view, rank) {
+  db.prepare(`
+    INSERT INTO task_ranks (task_id, view, rank, updated_at)
+    VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(task_id, view) DO UPDATE SET rank = excluded.rank, updated_at = CURRENT_TIMESTAMP
+  `).run(taskId, view, rank);
+}
+
+/**
+ * Re-spaces every live task of the user in a view, keeping the current order
+ * Must be called inside a transaction
+ *
+ * @param {number} userId - Owner ID
+ * @param {string} view - One of RANK_VIEWS
+ * @returns {number} Number of tasks ranked
+ */
+function rebalanceView(userId, view) {
+  const ids = db.prepare(`
+    SELECT t.id FROM tasks t
+    LEFT JOIN task_ranks r ON r.task_id = t.id AND r.view = ?
+    WHERE t.user_id = ? AND t.deleted_at IS NULL
+    ORDER BY ${TASK_SORTS.manual}
+  `).all(view, userId).map(row => row.id);
+
+  const ranks = evenlySpacedRanks(ids.length);
+  ids.forEach((id, index) => setRank(id, view, ranks[index]));
+
+  return ids.length;
+}
+
+/**
+ * Closest rank on one side of a rank among the user's live tasks
+ *
+ * @param {string} direction - 'above' (next higher) or 'below' (next lower)
+ * @returns {string|null} Neighbouring rank, or null at either end
+ */
+function adjacentRank(rank, direction, view, userId, excludeTaskId) {
+  const [aggregate, comparison] = direction === 'above' ? ['MIN', '>'] : ['MAX', '<'];
+
+  const row = db.prepare(`
+    SELECT ${aggregate}(r.rank) as rank
+    FROM task_ranks r
+    JOIN tasks t ON t.id = r.task_id
+    WHERE r.view = ? AND t.user_id = ? AND t.deleted_at IS NULL
+      AND r.rank ${comparison} ? AND r.task_id != ?
+  `).get(view, userId, rank, excludeTaskId);
+
+  return row.rank;
+}
+
+/**
+ * Moves a task between two neighbours of a view
+ * At least one of afterId / beforeId is required; with only one of them the
+ * task lands directly next to it.
+ *
+ * @param {object} task - Task row being moved
+ * @param {string} view - One of RANK_VIEWS
+ * @param {object} neighbours - { afterId, beforeId } - owned, live task IDs
+ * @param {number} userId - Owner ID
+ * @returns {object|null} { rank, rebalanced }, or null if afterId doesn't come before beforeId
+ */
+function moveTask(task, view, { afterId = null, beforeId = null }, userId) {
+  const resolveBounds = () => {
+    let low = afterId ? getRank(afterId, view) : null;
+    let high = beforeId ? getRank(beforeId, view) : null;
+
+    if (afterId && !beforeId) high = adjacentRank(low, 'above', view, userId, task.id);
+    if (beforeId && !afterId) low = adjacentRank(high, 'below', view, userId, task.id);
+
+    return { low, high };
+  };
+
+  return db.transaction(() => {
+    let rebalanced = false;
+
+    if ([afterId, beforeId].some(id => id && getRank(id, view) === null)) {
+      rebalanceView(userId, view);
+      rebalanced = true;
+    }
+
+    let { low, high } = resolveBounds();
+    if (low !== null && high !== null && low >= high) {
+      return null;
+    }
+
+    let rank = rankBetween(low, high);
+
+    if (rank.length > MAX_RANK_LENGTH) {
+      rebalanceView(userId, view);
+      rebalanced = true;
+      ({ low, high } = resolveBounds());
+      rank = rankBetween(low, high);
+    }
+
+    setRank(task.id, view, rank);
+
+    return { rank, rebalanced };
+  })();
+}
+
+module.exports = {
+  RANK_VIEWS,
+  DEFAULT_VIEW,
+  getRank,
+  rebalanceView,
+  moveTask
+};
@@ -0,0 +1,312 @@
+const db = require('../database/db');
+const { buildUpdateQuery } = require('../utils/dynamicUpdate');
+const { EFFECTIVE_STATUS_SQL } = require('../utils/taskHelpers');
+const recurrenceService = require('./recurrenceService');
+const taskEventService = require('./taskEventService');
+
+// ============================================================================
+// Task Status Service
+// ============================================================================
+//
+// User-defined workflow statuses ("Backlog", "Doing", "Done"), shown as the
+// columns of the Kanban board in position order. Every user gets the default
+// statuses the first time their statuses are read.
+//
+// Statuses marked is_done count as completed, and a task's completed flag
+// always matches its status:
+// - moving a task into a done status completes it (spawning the next
+//   occurrence of a recurring task), moving it out reopens it
+// - completing or reopening a task anywhere else moves it to the first done
+//   status, or back to its default status (tasks_status_follows_completed
+//   trigger in schema.sql)
+// A task without a status_id is in the first open or first done status,
+// whichever matches its completed flag - new tasks start in the first column.
+//
+// A status with transitions can only be left for the statuses listed there;
+// a status without any can be left for every status.
+//
+// USAGE:
+//   const taskStatusService = require('./services/taskStatusService');
+//   const statuses = taskStatusService.listStatuses(userId); // seeds the defaults
+//   if (taskStatusService.canTransition(fromId, toId)) {
+//     taskStatusService.moveTaskToStatus(task, status);
+//   }
+// ============================================================================
+
+const DEFAULT_STATUSES = [
+  { name: 'Backlog', color: '#8e8e93', is_done: 0 },
+  { name: 'Next', color: '#667eea', is_done: 0 },
+  { name: 'Doing', color: '#ff9500', is_done: 0 },
+  { name: 'Waiting', color: '#af52de', is_done: 0 },
+  { name: 'Done', color: '#34c759', is_done: 1 }
+];
+
+const STATUS_SELECT = `
+  SELECT s.*,
+    (SELECT GROUP_CONCAT(tr.next_status_id) FROM task_status_transitions tr WHERE tr.status_id = s.id) as transition_ids
+  FROM task_statuses s
+`;
+
+/**
+ * Shapes a task_statuses row for the API
+ */
+function formatStatus(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    color: row.color,
+    position: row.position,
+    is_done: row.is_done === 1,
+    transitions: row.transition_ids ? row.transition_ids.split(',').map(Number).sort((a, b) => a - b) : [],
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+/**
+ * Creates the default statuses for a user who has none yet
+ *
+ * @param {number} userId - User ID
+ */
+function ensureDefaultStatuses(userId) {
+  const { count } = db.prepare('SELECT COUNT(*) as count FROM task_statuses WHERE user_id = ?').get(userId);
+  if (count > 0) return;
+
+  const insert = db.prepare(`
+    INSERT INTO task_statuses (user_id, name, color, position, is_done) VALUES (?, ?, ?, ?, ?)
+  `);
+
+  db.transaction(() => {
+    DEFAULT_STATUSES.forEach((status, index) => {
+      insert.run(userId, status.name, status.color, index, status.is_done);
+    });
+  })();
+}
+
+/**
+ * Lists a user's statuses in board order, each with its number of live tasks
+ *
+ * @param {number} userId - User ID
+ * @returns {object[]}
+ */
+function listStatuses(userId) {
+  ensureDefaultStatuses(userId);
+
+  const counts = new Map(db.prepare(`
+    SELECT ${EFFECTIVE_STATUS_SQL} as status_id, COUNT(*) as count
+    FROM tasks t
+    WHERE t.user_id = ? AND t.deleted_at IS NULL
+    GROUP BY 1
+  `).all(userId).map(row => [row.status_id, row.count]));
+
+  return db.prepare(`${STATUS_SELECT} WHERE s.user_id = ? ORDER BY s.position, s.id`)
+    .all(userId)
+    .map(row => ({ ...formatStatus(row), task_count: counts.get(row.id) || 0 }));
+}
+
+/**
+ * Gets one of a user's statuses
+ *
+ * @param {number} statusId - Status ID
+ * @param {number} userId - Owner ID
+ * @returns {object|null}
+ */
+function getStatus(statusId, userId) {
+  const row = db.prepare(`${STATUS_SELECT} WHERE s.id = ? AND s.user_id = ?`).get(statusId, userId);
+  return row ? formatStatus(row) : null;
+}
+
+/**
+ * The status a task is in, with tasks without one resolved to their default
+ *
+ * @param {number} taskId - Task ID
+ * @returns {number|null} Status ID, or null if the user has no statuses yet
+ */
+function getTaskStatusId(taskId) {
+  const row = db.prepare(`SELECT ${EFFECTIVE_STATUS_SQL} as status_id FROM tasks t WHERE t.id = ?`).get(taskId);
+  return row ? row.status_id : null;
+}
+
+/**
+ * Checks whether a user already has a status with a name
+ *
+ * @param {number} userId - User ID
+ * @param {string} name - Status name
+ * @param {number|null} exceptId - Status to leave out (the one being renamed)
+ * @returns {boolean}
+ */
+function isStatusNameTaken(userId, name, exceptId = null) {
+  return Boolean(db.prepare(`
+    SELECT id FROM task_statuses WHERE user_id = ? AND name = ? AND id != ?
+  `).get(userId, name, exceptId ?? 0));
+}
+
+/**
+ * Number of a user's statuses that are open and done
+ *
+ * @param {number} userId - User ID
+ * @returns {object} { open, done }
+ */
+function countStatusKinds(userId) {
+  return db.prepare(`
+    SELECT COALESCE(SUM(is_done = 0), 0) as open, COALESCE(SUM(is_done = 1), 0) as done
+    FROM task_statuses WHERE user_id = ?
+  `).get(userId);
+}
+
+/**
+ * Number of tasks (live or in the trash) explicitly set to a status
+ *
+ * @param {number} statusId - Status ID
+ * @returns {number}
+ */
+function countTasksInStatus(statusId) {
+  return db.prepare('SELECT COUNT(*) as count FROM tasks WHERE status_id = ?').get(statusId).count;
+}
+
+/**
+ * Creates a status at the end of the board
+ *
+ * @param {number} userId - Owner ID
+ * @param {object} data - { name, color, is_done }
+ * @returns {object} The new status
+ */
+function createStatus(userId, { name, color = '#8e8e93', is_done = false }) {
+  ensureDefaultStatuses(userId);
+
+  const { next } = db.prepare(`
+    SELECT COALESCE(MAX(position), -1) + 1 as next FROM task_statuses WHERE user_id = ?
+  `).get(userId);
+
+  const result = db.prepare(`
+    INSERT INTO task_statuses (user_id, name, color, position, is_done) VALUES (?, ?, ?, ?, ?)
+  `).run(userId, name, color, next, is_done ? 1 : 0);
+
+  return getStatus(result.lastInsertRowid, userId);
+}
+
+/**
+ * Updates a status; undefined fields are left as they are
+ *
+ * @param {number} statusId - Status ID
+ * @param {number} userId - Owner ID
+ * @param {object} changes - { name, color, is_done, transitions } - transitions are
+ *   the status IDs it can be left for (checked by the caller, [] allows every status)
+ * @returns {object|null} The updated status, or null if nothing was given to update
+ */
+function updateStatus(statusId, userId, { transitions, ...changes }) {
+  const { query, values, hasUpdates } = buildUpdateQuery(
+    'task_statuses',
+    { ...changes, is_done: changes.is_done === undefined ? undefined : (changes.is_done ? 1 : 0) },
+    { name: 'name', color: 'color', is_done: 'is_done' },
+    { id: statusId, user_id: userId }
+  );
+
+  if (!hasUpdates && transitions === undefined) return null;
+
+  db.transaction(() => {
+    if (hasUpdates) {
+      db.prepare(query).run(...values);
+    }
+
+    if (transitions !== undefined) {
+      db.prepare('DELETE FROM task_status_transitions WHERE status_id = ?').run(statusId);
+      const insert = db.prepare('INSERT INTO task_status_transitions (status_id, next_status_id) VALUES (?, ?)');
+      for (const nextId of new Set(transitions)) {
+        if (nextId !== statusId) insert.run(statusId, nextId);
+      }
+    }
+  })();
+
+  return getStatus(statusId, userId);
+}
+
+/**
+ * Puts a user's statuses in a new board order
+ *
+ * @param {number} userId - Owner ID
+ * @param {number[]} statusIds - Every one of the user's status IDs, in the new order
+ * @returns {boolean} False if the IDs aren't exactly the user's statuses
+ */
+function reorderStatuses(userId, statusIds) {
+  const ownIds = db.prepare('SELECT id FROM task_statuses WHERE user_id = ?').all(userId).map(row => row.id);
+  const given = new Set(statusIds);
+
+  if (given.size !== statusIds.length || given.size !== ownIds.length || !ownIds.every(id => given.has(id))) {
+    return false;
+  }
+
+  const update = db.prepare('UPDATE task_statuses SET position = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+  db.transaction(() => {
+    statusIds.forEach((id, index) => update.run(index, id));
+  })();
+
+  return true;
+}
+
+/**
+ * Deletes a status; its tasks go back to their default status
+ *
+ * @param {number} statusId - Status ID
+ * @param {number} userId - Owner ID
+ * @returns {boolean} Whether a status was deleted
+ */
+function deleteStatus(statusId, userId) {
+  return db.prepare('DELETE FROM task_statuses WHERE id = ? AND user_id = ?').run(statusId, userId).changes > 0;
+}
+
+/**
+ * Checks whether a task may move from one status to another
+ *
+ * @param {number|null} fromId - Current status ID
+ * @param {number} toId - Target status ID
+ * @returns {boolean}
+ */
+function canTransition(fromId, toId) {
+  if (!fromId || fromId === toId) return true;
+
+  const allowed = db.prepare('SELECT next_status_id FROM task_status_transitions WHERE status_id = ?')
+    .all(fromId).map(row => row.next_status_id);
+
+  return allowed.length === 0 || allowed.includes(toId);
+}
+
+/**
+ * Moves a task into a status, completing or reopening it to match
+ * Must be called inside a transaction
+ *
+ * @param {object} task - Full task row
+ * @param {object} status - Target status, as returned by getStatus
+ * @returns {number|null} ID of the next occurrence created for a recurring task
+ */
+function moveTaskToStatus(task, status) {
+  const before = taskEventService.snapshotTasks([task.id]);
+  const completed = status.is_done ? 1 : 0;
+
+  // The completed flag first: its trigger must not override the chosen status
+  if (task.completed !== completed) {
+    db.prepare('UPDATE tasks SET completed = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(completed, task.id);
+  }
+  db.prepare('UPDATE tasks SET status_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(status.id, task.id);
+
+  taskEventService.recordChanges('status', before, task.user_id);
+
+  return !task.completed && completed ? recurrenceService.createNextOccurrence(task) : null;
+}
+
+module.exports = {
+  DEFAULT_STATUSES,
+  ensureDefaultStatuses,
+  listStatuses,
+  getStatus,
+  getTaskStatusId,
+  isStatusNameTaken,
+  countStatusKinds,
+  countTasksInStatus,
+  createStatus,
+  updateStatus,
+  reorderStatuses,
+  deleteStatus,
+  canTransition,
+  moveTaskToStatus
+};
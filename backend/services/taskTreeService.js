@@ -0,0 +1,273 @@
+const db = require('../database/db');
+const { TASK_COLUMNS, TASK_TAG_JOINS, transformTaskWithTags } = require('../utils/taskHelpers');
+const recurrenceService = require('./recurrenceService');
+const taskEventService = require('./taskEventService');
+
+// ============================================================================
+// Task Tree Service
+// ============================================================================
+//
+// Reads the parent_task_id hierarchy back: nested subtask trees, progress
+// rollups and cascading completion between parents and children.
+//
+// Recursive queries use UNION (not UNION ALL) so a corrupted hierarchy with a
+// cycle still terminates.
+//
+// USAGE:
+//   const taskTreeService = require('./services/taskTreeService');
+//   const tree = taskTreeService.getTaskTree(taskId, userId);
+// ============================================================================
+
+/**
+ * Returns ids of all non-deleted descendants of a task
+ *
+ * @param {number} taskId - Root task ID
+ * @param {number} userId - Owner ID
+ * @returns {number[]} Descendant IDs (root excluded)
+ */
+function getDescendantIds(taskId, userId) {
+  return db.prepare(`
+    WITH RECURSIVE descendants(id) AS (
+      SELECT id FROM tasks
+      WHERE parent_task_id = ? AND user_id = ? AND deleted_at IS NULL
+      UNION
+      SELECT t.id FROM tasks t
+      JOIN descendants d ON t.parent_task_id = d.id
+      WHERE t.user_id = ? AND t.deleted_at IS NULL
+    )
+    SELECT id FROM descendants
+  `).all(taskId, userId, userId).map(row => row.id);
+}
+
+/**
+ * Checks whether making parentId the parent of taskId would create a cycle
+ *
+ * @param {number} taskId - Task being moved
+ * @param {number} parentId - Proposed parent
+ * @param {number} userId - Owner ID
+ * @returns {boolean} True if parentId is the task itself or one of its descendants
+ */
+function wouldCreateCycle(taskId, parentId, userId) {
+  if (Number(taskId) === Number(parentId)) {
+    return true;
+  }
+  return getDescendantIds(taskId, userId).includes(Number(parentId));
+}
+
+/**
+ * Computes progress rollups for a set of tasks over their whole subtree
+ *
+ * @param {number[]} taskIds - Tasks to compute rollups for
+ * @param {number} userId - Owner ID
+ * @returns {Map<number, object>} task id -> rollup
+ */
+function getRollups(taskIds, userId) {
+  const rollups = new Map();
+  if (taskIds.length === 0) {
+    return rollups;
+  }
+
+  const placeholders = taskIds.map(() => '?').join(',');
+  const rows = db.prepare(`
+    WITH RECURSIVE subtree(root_id, id) AS (
+      SELECT id, id FROM tasks
+      WHERE id IN (${placeholders}) AND user_id = ? AND deleted_at IS NULL
+      UNION
+      SELECT s.root_id, t.id FROM tasks t
+      JOIN subtree s ON t.parent_task_id = s.id
+      WHERE t.user_id = ? AND t.deleted_at IS NULL
+    )
+    SELECT
+      s.root_id,
+      COUNT(*) - 1 as subtask_count,
+      SUM(CASE WHEN t.id != s.root_id AND t.completed = 1 THEN 1 ELSE 0 END) as completed_subtask_count,
+      SUM(COALESCE(t.pomodoro_count, 0)) as pomodoro_count,
+      SUM(COALESCE(t.time_spent_minutes, 0)) as time_spent_minutes,
+      MAX(CASE WHEN t.id = s.root_id THEN t.completed ELSE 0 END) as root_completed
+    FROM subtree s
+    JOIN tasks t ON t.id = s.id
+    GROUP BY s.root_id
+  `).all(...taskIds, userId, userId);
+
+  for (const row of rows) {
+    rollups.set(row.root_id, formatRollup(row));
+  }
+
+  return rollups;
+}
+
+/**
+ * Shapes a rollup row; a task without subtasks is 0% or 100% by its own state
+ */
+function formatRollup({ subtask_count, completed_subtask_count, pomodoro_count, time_spent_minutes, root_completed }) {
+  const completionPercentage = subtask_count > 0
+    ? Math.round((completed_subtask_count / subtask_count) * 100)
+    : (root_completed ? 100 : 0);
+
+  return {
+    subtask_count,
+    completed_subtask_count,
+    completion_percentage: completionPercentage,
+    pomodoro_count,
+    time_spent_minutes
+  };
+}
+
+/**
+ * Builds the nested tree for a task
+ * Every node carries a `subtasks` array and a `rollup` over its own subtree
+ *
+ * @param {number} taskId - Root task ID
+ * @param {number} userId - Owner ID
+ * @returns {object|null} Nested task, or null if not found
+ */
+function getTaskTree(taskId, userId) {
+  const ids = [Number(taskId), ...getDescendantIds(taskId, userId)];
+  const placeholders = ids.map(() => '?').join(',');
+
+  const rows = db.prepare(`
+    SELECT ${TASK_COLUMNS}
+    FROM tasks t
+    ${TASK_TAG_JOINS}
+    WHERE t.id IN (${placeholders}) AND t.user_id = ? AND t.deleted_at IS NULL
+    GROUP BY t.id
+    ORDER BY t.id ASC
+  `).all(...ids, userId);
+
+  const nodes = new Map(rows.map(row => [row.id, { ...transformTaskWithTags(row), subtasks: [] }]));
+  const root = nodes.get(Number(taskId));
+  if (!root) {
+    return null;
+  }
+
+  for (const node of nodes.values()) {
+    if (node !== root && nodes.has(node.parent_task_id)) {
+      nodes.get(node.parent_task_id).subtasks.push(node);
+    }
+  }
+
+  // Roll up bottom-up from the nested structure
+  const rollUp = (node) => {
+    const totals = { subtask_count: 0, completed_subtask_count: 0, pomodoro_count: node.pomodoro_count || 0, time_spent_minutes: node.time_spent_minutes || 0 };
+
+    for (const child of node.subtasks) {
+      const childTotals = rollUp(child);
+      totals.subtask_count += 1 + childTotals.subtask_count;
+      totals.completed_subtask_count += (child.completed ? 1 : 0) + childTotals.completed_subtask_count;
+      totals.pomodoro_count += childTotals.pomodoro_count;
+      totals.time_spent_minutes += childTotals.time_spent_minutes;
+    }
+
+    node.rollup = formatRollup({ ...totals, root_completed: node.completed });
+    return totals;
+  };
+  rollUp(root);
+
+  return root;
+}
+
+/**
+ * Marks tasks completed, spawning next occurrences for recurring ones
+ * Must be called inside a transaction
+ *
+ * @param {object[]} tasks - Full task rows that are currently incomplete
+ * @returns {number[]} IDs of next occurrences created
+ */
+function completeTasks(tasks) {
+  const update = db.prepare('UPDATE tasks SET completed = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+  const before = taskEventService.snapshotTasks(tasks.map(task => task.id));
+  const created = [];
+
+  for (const task of tasks) {
+    update.run(task.id);
+    const nextId = recurrenceService.createNextOccurrence(task);
+    if (nextId) created.push(nextId);
+  }
+
+  if (tasks.length > 0) {
+    taskEventService.recordChanges('toggle', before, tasks[0].user_id);
+  }
+
+  return created;
+}
+
+/**
+ * Completes every incomplete descendant of a task
+ *
+ * @param {number} taskId - Root task ID
+ * @param {number} userId - Owner ID
+ * @returns {object} { completed_ids, next_occurrence_ids }
+ */
+function completeDescendants(taskId, userId) {
+  const ids = getDescendantIds(taskId, userId);
+  if (ids.length === 0) {
+    return { completed_ids: [], next_occurrence_ids: [] };
+  }
+
+  const placeholders = ids.map(() => '?').join(',');
+  const incomplete = db.prepare(`
+    SELECT * FROM tasks WHERE id IN (${placeholders}) AND completed = 0
+  `).all(...ids);
+
+  const nextIds = db.transaction(() => completeTasks(incomplete))();
+
+  return {
+    completed_ids: incomplete.map(task => task.id),
+    next_occurrence_ids: nextIds
+  };
+}
+
+/**
+ * Works out which cascade to offer after a task was completed
+ * - complete_children: the task still has incomplete descendants
+ * - complete_parent: this was the parent's last incomplete child
+ *
+ * @param {object} task - Task row (after completion)
+ * @param {number} userId - Owner ID
+ * @returns {object[]} Offers, e.g. [{ type: 'complete_children', task_id, count }]
+ */
+function getCascadeOffers(task, userId) {
+  const offers = [];
+
+  const descendantIds = getDescendantIds(task.id, userId);
+  if (descendantIds.length > 0) {
+    const placeholders = descendantIds.map(() => '?').join(',');
+    const { count } = db.prepare(`
+      SELECT COUNT(*) as count FROM tasks WHERE id IN (${placeholders}) AND completed = 0
+    `).get(...descendantIds);
+
+    if (count > 0) {
+      offers.push({ type: 'complete_children', task_id: task.id, count });
+    }
+  }
+
+  if (task.parent_task_id) {
+    const parent = db.prepare(`
+      SELECT id, title, completed FROM tasks
+      WHERE id = ? AND user_id = ? AND deleted_at IS NULL
+    `).get(task.parent_task_id, userId);
+
+    if (parent && !parent.completed) {
+      const { remaining } = db.prepare(`
+        SELECT COUNT(*) as remaining FROM tasks
+        WHERE parent_task_id = ? AND user_id = ? AND deleted_at IS NULL AND completed = 0
+      `).get(parent.id, userId);
+
+      if (remaining === 0) {
+        offers.push({ type: 'complete_parent', task_id: parent.id, title: parent.title });
+      }
+    }
+  }
+
+  return offers;
+}
+
+module.exports = {
+  getDescendantIds,
+  wouldCreateCycle,
+  getRollups,
+  getTaskTree,
+  completeTasks,
+  completeDescendants,
+  getCascadeOffers
+};
@@ -0,0 +1,239 @@
+const db = require('../database/db');
+const tagService = require('./tagService');
+const taskEventService = require('./taskEventService');
+const taskTreeService = require('./taskTreeService');
+const { sanitizeText } = require('../utils/sanitize');
+const { daysBetween } = require('../utils/recurrence');
+const { getLocalTime } = require('../utils/timezone');
+const { normalizeTemplateTask, countTemplateTasks, resolveDeadline } = require('../utils/taskTemplates');
+
+// ============================================================================
+// Template Service
+// ============================================================================
+//
+// Reusable task trees for repeated workflows (client onboarding, release
+// checklists). A template stores a parent task with its subtasks, tags,
+// priorities and deadlines relative to a start date (see
+// utils/taskTemplates.js for the format).
+//
+// Using a template creates all of its tasks in one transaction. A template
+// can also be saved from an existing task tree: deadlines are then kept as
+// days after the day the top task was created.
+//
+// USAGE:
+//   const templateService = require('./services/templateService');
+//   const task = templateService.buildTemplateTask(taskId, userId, 'Europe/Berlin');
+//   const template = templateService.createTemplate(userId, { name: 'Release', task });
+//   const taskId = templateService.instantiateTemplate(template, userId, { startDate: '2026-11-02' });
+// ============================================================================
+
+/**
+ * Shapes a task_templates row for the API
+ */
+function formatTemplate(row) {
+  const task = JSON.parse(row.task);
+
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    task,
+    task_count: countTemplateTasks(task),
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+/**
+ * Lists a user's templates by name
+ *
+ * @param {number} userId - User ID
+ * @returns {object[]}
+ */
+function listTemplates(userId) {
+  return db.prepare(`
+    SELECT * FROM task_templates WHERE user_id = ? ORDER BY name COLLATE NOCASE ASC
+  `).all(userId).map(formatTemplate);
+}
+
+/**
+ * Gets one of a user's templates
+ *
+ * @param {number} templateId - Template ID
+ * @param {number} userId - Owner ID
+ * @returns {object|null}
+ */
+function getTemplate(templateId, userId) {
+  const row = db.prepare('SELECT * FROM task_templates WHERE id = ? AND user_id = ?').get(templateId, userId);
+  return row ? formatTemplate(row) : null;
+}
+
+/**
+ * Checks whether a user already has a template with a name
+ *
+ * @param {number} userId - User ID
+ * @param {string} name - Template name
+ * @param {number|null} exceptId - Template to leave out (the one being renamed)
+ * @returns {boolean}
+ */
+function isNameTaken(userId, name, exceptId = null) {
+  return Boolean(db.prepare(`
+    SELECT id FROM task_templates WHERE user_id = ? AND name = ? AND id != ?
+  `).get(userId, name, exceptId ?? 0));
+}
+
+/**
+ * Creates a template
+ *
+ * @param {number} userId - Owner ID
+ * @param {object} data - { name, description, task } - task is checked with normalizeTemplateTask
+ * @returns {object} The new template
+ */
+function createTemplate(userId, { name, description, task }) {
+  const result = db.prepare(`
+    INSERT INTO task_templates (user_id, name, description, task)
+    VALUES (?, ?, ?, ?)
+  `).run(userId, name, description || null, JSON.stringify(normalizeTemplateTask(task)));
+
+  return getTemplate(result.lastInsertRowid, userId);
+}
+
+/**
+ * Updates a template's name, description and/or task tree
+ *
+ * @param {number} templateId - Template ID (ownership checked by the caller)
+ * @param {object} changes - { name, description, task }; undefined keys are left as they are
+ * @returns {object} The updated template
+ */
+function updateTemplate(templateId, { name, description, task }) {
+  db.prepare(`
+    UPDATE task_templates
+    SET name = COALESCE(?, name),
+        description = CASE WHEN ? THEN ? ELSE description END,
+        task = COALESCE(?, task),
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(
+    name ?? null,
+    description !== undefined ? 1 : 0,
+    description || null,
+    task !== undefined ? JSON.stringify(normalizeTemplateTask(task)) : null,
+    templateId
+  );
+
+  const row = db.prepare('SELECT * FROM task_templates WHERE id = ?').get(templateId);
+  return formatTemplate(row);
+}
+
+/**
+ * Deletes a template (tasks created from it are kept)
+ *
+ * @param {number} templateId - Template ID
+ * @param {number} userId - Owner ID
+ * @returns {boolean} Whether a template was deleted
+ */
+function deleteTemplate(templateId, userId) {
+  return db.prepare('DELETE FROM task_templates WHERE id = ? AND user_id = ?').run(templateId, userId).changes > 0;
+}
+
+/**
+ * Builds a template task tree from an existing task and its subtasks
+ * Deadlines become days after the local date the top task was created.
+ *
+ * @param {number} taskId - Top task ID
+ * @param {number} userId - Owner ID
+ * @param {string} timezone - User's timezone, for the creation date
+ * @returns {object|null} Template root node, or null if the task is not found
+ * @throws {Error} If the tree is too large for a template
+ */
+function buildTemplateTask(taskId, userId, timezone) {
+  const tree = taskTreeService.getTaskTree(taskId, userId);
+  if (!tree) return null;
+
+  const startDate = getLocalTime(new Date(`${tree.created_at.replace(' ', 'T')}Z`), timezone).date;
+
+  const toNode = (task) => {
+    const node = {
+      title: task.title,
+      description: task.description,
+      why: task.why,
+      importance: task.importance,
+      urgency: task.urgency,
+      auto_urgency: Boolean(task.auto_urgency),
+      estimate_minutes: task.estimate_minutes,
+      tags: task.tags.map(tag => tag.name),
+      subtasks: task.subtasks.map(toNode)
+    };
+
+    if (task.deadline) {
+      node.deadline_offset_days = daysBetween(startDate, task.deadline.slice(0, 10));
+      const time = task.deadline.slice(11, 16);
+      if (time) node.deadline_time = time;
+    }
+
+    return node;
+  };
+
+  return normalizeTemplateTask(toNode(tree));
+}
+
+/**
+ * Creates real tasks from a template, all in one transaction
+ *
+ * @param {object} template - Template as returned by getTemplate
+ * @param {number} userId - Owner ID
+ * @param {object} options - { startDate: YYYY-MM-DD deadlines count from, parentTaskId: optional parent for the top task }
+ * @returns {number} ID of the created top task
+ */
+function instantiateTemplate(template, userId, { startDate, parentTaskId = null }) {
+  const insert = db.prepare(`
+    INSERT INTO tasks (
+      user_id, title, description, why, importance, urgency, auto_urgency,
+      deadline, parent_task_id, estimate_minutes
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  return db.transaction(() => {
+    const createdIds = [];
+
+    const create = (node, parentId) => {
+      const { lastInsertRowid: taskId } = insert.run(
+        userId,
+        sanitizeText(node.title),
+        node.description ? sanitizeText(node.description) : null,
+        node.why ? sanitizeText(node.why) : null,
+        node.importance,
+        node.urgency,
+        node.auto_urgency ? 1 : 0,
+        resolveDeadline(node, startDate),
+        parentId,
+        node.estimate_minutes
+      );
+
+      if (node.tags.length > 0) {
+        tagService.attachTagsToTask(taskId, node.tags, userId);
+      }
+
+      createdIds.push(taskId);
+      node.subtasks.forEach(child => create(child, taskId));
+      return taskId;
+    };
+
+    const rootId = create(template.task, parentTaskId);
+    taskEventService.recordCreated(createdIds, userId);
+
+    return rootId;
+  })();
+}
+
+module.exports = {
+  listTemplates,
+  getTemplate,
+  isNameTaken,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  buildTemplateTask,
+  instantiateTemplate
+};
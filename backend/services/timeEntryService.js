@@ -0,0 +1,353 @@
+const db = require('../database/db');
+const taskEventService = require('./taskEventService');
+
+// ============================================================================
+// Time Entry Service
+// ============================================================================
+//
+// Work sessions on tasks. An entry is either a running timer (ended_at NULL,
+// at most one per user) or a finished session with a start and end time.
+// A task's time_spent_minutes is never written directly any more: it is the
+// rounded total of its finished entries and is recalculated whenever one of
+// them changes.
+//
+// Timestamps are stored like CURRENT_TIMESTAMP: UTC "YYYY-MM-DD HH:MM:SS".
+//
+// USAGE:
+//   const timeEntryService = require('./services/timeEntryService');
+//   const entry = timeEntryService.startTimer(taskId, userId);
+//   timeEntryService.stopTimer(userId);
+// ============================================================================
+
+// Minutes between started_at and ended_at of "e"
+const DURATION_SQL = '(julianday(e.ended_at) - julianday(e.started_at)) * 1440';
+
+const ENTRY_COLUMNS = `
+  e.id, e.task_id, e.started_at, e.ended_at, e.note, e.source, e.created_at, e.updated_at,
+  CASE WHEN e.ended_at IS NULL THEN NULL ELSE CAST(ROUND(${DURATION_SQL}) AS INTEGER) END as duration_minutes,
+  t.title as task_title
+`;
+
+/**
+ * Formats a date the way SQLite's CURRENT_TIMESTAMP does
+ *
+ * @param {Date|string} value - Date or anything Date can parse (e.g. ISO 8601)
+ * @returns {string} UTC "YYYY-MM-DD HH:MM:SS"
+ */
+function toSqlTimestamp(value) {
+  return new Date(value).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Gets one entry of the user, with its task title and duration
+ * @returns {object|undefined}
+ */
+function getEntry(entryId, userId) {
+  return db.prepare(`
+    SELECT ${ENTRY_COLUMNS}
+    FROM time_entries e
+    JOIN tasks t ON t.id = e.task_id
+    WHERE e.id = ? AND e.user_id = ?
+  `).get(entryId, userId);
+}
+
+/**
+ * Gets the user's running timer
+ * @returns {object|undefined}
+ */
+function getRunningEntry(userId) {
+  return db.prepare(`
+    SELECT ${ENTRY_COLUMNS}
+    FROM time_entries e
+    JOIN tasks t ON t.id = e.task_id
+    WHERE e.user_id = ? AND e.ended_at IS NULL
+  `).get(userId);
+}
+
+/**
+ * Lists the user's entries, newest first
+ *
+ * @param {number} userId - Owner ID
+ * @param {object} filters - { taskId, from, to } (from/to: SQL timestamps on started_at)
+ * @returns {object[]} Entries of live tasks
+ */
+function listEntries(userId, { taskId, from, to } = {}) {
+  const conditions = ['e.user_id = ?', 't.deleted_at IS NULL'];
+  const params = [userId];
+
+  if (taskId) {
+    conditions.push('e.task_id = ?');
+    params.push(taskId);
+  }
+  if (from) {
+    conditions.push('e.started_at >= ?');
+    params.push(from);
+  }
+  if (to) {
+    conditions.push('e.started_at < ?');
+    params.push(to);
+  }
+
+  return db.prepare(`
+    SELECT ${ENTRY_COLUMNS}
+    FROM time_entries e
+    JOIN tasks t ON t.id = e.task_id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY e.started_at DESC, e.id DESC
+  `).all(...params);
+}
+
+/**
+ * Recalculates time_spent_minutes of tasks from their finished entries
+ * Must be called inside a transaction
+ */
+function recalculateTaskTime(taskIds) {
+  const update = db.prepare(`
+    UPDATE tasks
+    SET time_spent_minutes = (
+      SELECT COALESCE(CAST(ROUND(SUM(${DURATION_SQL})) AS INTEGER), 0)
+      FROM time_entries e
+      WHERE e.task_id = tasks.id AND e.ended_at IS NOT NULL
+    ), updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `);
+
+  for (const taskId of new Set(taskIds)) {
+    update.run(taskId);
+  }
+}
+
+/**
+ * Runs a write that may change task totals, then refreshes the totals and
+ * records the change in each task's history
+ */
+function withTaskTotals(taskIds, eventType, userId, write) {
+  return db.transaction(() => {
+    const before = taskEventService.snapshotTasks(taskIds);
+    const result = write();
+    recalculateTaskTime(taskIds);
+    taskEventService.recordChanges(eventType, before, userId);
+    return result;
+  })();
+}
+
+/**
+ * Starts a timer on a task
+ *
+ * @param {number} taskId - Owned, live task ID
+ * @param {number} userId - Owner ID
+ * @param {string|null} note - Optional note
+ * @returns {object|null} The new entry, or null if a timer is already running
+ */
+function startTimer(taskId, userId, note = null) {
+  return db.transaction(() => {
+    if (getRunningEntry(userId)) {
+      return null;
+    }
+
+    const result = db.prepare(`
+      INSERT INTO time_entries (user_id, task_id, started_at, note, source)
+      VALUES (?, ?, ?, ?, 'timer')
+    `).run(userId, taskId, toSqlTimestamp(new Date()), note);
+
+    return getEntry(result.lastInsertRowid, userId);
+  })();
+}
+
+/**
+ * Stops the user's running timer
+ *
+ * @param {number} userId - Owner ID
+ * @returns {object|null} The finished entry, or null if no timer was running
+ */
+function stopTimer(userId) {
+  const running = getRunningEntry(userId);
+  if (!running) {
+    return null;
+  }
+
+  withTaskTotals([running.task_id], 'add_time', userId, () => {
+    db.prepare(`
+      UPDATE time_entries SET ended_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(toSqlTimestamp(new Date()), running.id);
+  });
+
+  return getEntry(running.id, userId);
+}
+
+/**
+ * Adds a finished entry
+ *
+ * @param {number} taskId - Owned, live task ID
+ * @param {number} userId - Owner ID
+ * @param {object} entry - { startedAt, endedAt, note } as SQL timestamps, startedAt < endedAt;
+ *                         source (default 'manual') tells where the entry came from
+ * @returns {object} The new entry
+ */
+function createEntry(taskId, userId, { startedAt, endedAt, note = null, source = 'manual' }) {
+  const entryId = withTaskTotals([taskId], 'add_time', userId, () => db.prepare(`
+    INSERT INTO time_entries (user_id, task_id, started_at, ended_at, note, source)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(userId, taskId, startedAt, endedAt, note, source).lastInsertRowid);
+
+  return getEntry(entryId, userId);
+}
+
+/**
+ * Updates an entry; moving it to another task updates both totals
+ *
+ * @param {object} entry - Existing entry row
+ * @param {object} changes - { taskId, startedAt, endedAt, note } - undefined keeps the value
+ * @param {number} userId - Owner ID
+ * @returns {object} The updated entry
+ */
+function updateEntry(entry, { taskId, startedAt, endedAt, note }, userId) {
+  const taskIds = [entry.task_id, ...(taskId ? [taskId] : [])];
+
+  withTaskTotals(taskIds, 'update', userId, () => {
+    db.prepare(`
+      UPDATE time_entries
+      SET task_id = ?, started_at = ?, ended_at = ?, note = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(
+      taskId ?? entry.task_id,
+      startedAt ?? entry.started_at,
+      endedAt !== undefined ? endedAt : entry.ended_at,
+      note !== undefined ? note : entry.note,
+      entry.id
+    );
+  });
+
+  return getEntry(entry.id, userId);
+}
+
+/**
+ * Deletes an entry and takes its time off the task
+ *
+ * @param {object} entry - Existing entry row
+ * @param {number} userId - Owner ID
+ */
+function deleteEntry(entry, userId) {
+  withTaskTotals([entry.task_id], 'update', userId, () => {
+    db.prepare('DELETE FROM time_entries WHERE id = ?').run(entry.id);
+  });
+}
+
+/**
+ * Totals finished time per day and per tag
+ * Days are local to the client: tzOffset is minutes to add to UTC
+ * (the negated value of JavaScript's getTimezoneOffset()).
+ * An entry on a task with several tags counts towards each of them.
+ *
+ * @param {number} userId - Owner ID
+ * @param {object} range - { from, to } local dates (YYYY-MM-DD), both inclusive
+ * @param {number} tzOffset - Minutes east of UTC
+ * @returns {object} { days: [{ date, total_minutes, tags }], tags, total_minutes }
+ */
+function getTimesheet(userId, { from, to }, tzOffset = 0) {
+  const localDay = 'date(e.started_at, ?)';
+  const shift = `${tzOffset >= 0 ? '+' : ''}${tzOffset} minutes`;
+
+  const rows = db.prepare(`
+    SELECT ${localDay} as date, tag.id as tag_id, tag.name as tag_name, tag.color as tag_color,
+      SUM(${DURATION_SQL}) as minutes
+    FROM time_entries e
+    JOIN tasks t ON t.id = e.task_id
+    LEFT JOIN task_tags tt ON tt.task_id = t.id
+    LEFT JOIN tags tag ON tag.id = tt.tag_id
+    WHERE e.user_id = ? AND e.ended_at IS NOT NULL AND t.deleted_at IS NULL
+      AND ${localDay} BETWEEN ? AND ?
+    GROUP BY date, tag.id
+    ORDER BY date ASC, tag.name ASC
+  `).all(shift, userId, shift, from, to);
+
+  // Day totals can't be summed from tag rows (an entry may have several tags)
+  const dayTotals = db.prepare(`
+    SELECT ${localDay} as date, SUM(${DURATION_SQL}) as minutes
+    FROM time_entries e
+    JOIN tasks t ON t.id = e.task_id
+    WHERE e.user_id = ? AND e.ended_at IS NOT NULL AND t.deleted_at IS NULL
+      AND ${localDay} BETWEEN ? AND ?
+    GROUP BY date
+    ORDER BY date ASC
+  `).all(shift, userId, shift, from, to);
+
+  const days = dayTotals.map(day => ({
+    date: day.date,
+    total_minutes: Math.round(day.minutes),
+    tags: []
+  }));
+  const dayByDate = new Map(days.map(day => [day.date, day]));
+  const tagTotals = new Map();
+
+  for (const row of rows) {
+    const tag = { id: row.tag_id, name: row.tag_name, color: row.tag_color };
+    dayByDate.get(row.date).tags.push({ ...tag, minutes: Math.round(row.minutes) });
+
+    const total = tagTotals.get(row.tag_id) || { ...tag, minutes: 0 };
+    total.minutes += row.minutes;
+    tagTotals.set(row.tag_id, total);
+  }
+
+  const tags = [...tagTotals.values()]
+    .map(tag => ({ ...tag, minutes: Math.round(tag.minutes) }))
+    .sort((a, b) => b.minutes - a.minutes);
+
+  return {
+    days,
+    tags,
+    total_minutes: Math.round(dayTotals.reduce((sum, day) => sum + day.minutes, 0))
+  };
+}
+
+/**
+ * Totals finished time between two moments, per tag
+ * For spans whose days don't share one UTC offset (a daylight saving change);
+ * entries count by when they started.
+ *
+ * @param {number} userId - Owner ID
+ * @param {object} span - { start, end } SQL timestamps (UTC), end excluded
+ * @returns {object} { tags, total_minutes }
+ */
+function getTotalsBetween(userId, { start, end }) {
+  const inSpan = 'e.user_id = ? AND e.ended_at IS NOT NULL AND t.deleted_at IS NULL AND e.started_at >= ? AND e.started_at < ?';
+
+  const tags = db.prepare(`
+    SELECT tag.id, tag.name, tag.color, SUM(${DURATION_SQL}) as minutes
+    FROM time_entries e
+    JOIN tasks t ON t.id = e.task_id
+    LEFT JOIN task_tags tt ON tt.task_id = t.id
+    LEFT JOIN tags tag ON tag.id = tt.tag_id
+    WHERE ${inSpan}
+    GROUP BY tag.id
+  `).all(userId, start, end);
+
+  const { minutes } = db.prepare(`
+    SELECT COALESCE(SUM(${DURATION_SQL}), 0) as minutes
+    FROM time_entries e
+    JOIN tasks t ON t.id = e.task_id
+    WHERE ${inSpan}
+  `).get(userId, start, end);
+
+  return {
+    tags: tags
+      .map(tag => ({ ...tag, minutes: Math.round(tag.minutes) }))
+      .sort((a, b) => b.minutes - a.minutes),
+    total_minutes: Math.round(minutes)
+  };
+}
+
+module.exports = {
+  toSqlTimestamp,
+  getEntry,
+  getRunningEntry,
+  listEntries,
+  recalculateTaskTime,
+  startTimer,
+  stopTimer,
+  createEntry,
+  updateEntry,
+  deleteEntry,
+  getTimesheet,
+  getTotalsBetween
+};
@@ -0,0 +1,326 @@
+const db = require('../database/db');
+const { TASK_COLUMNS, TASK_TAG_JOINS, transformTaskWithTags } = require('../utils/taskHelpers');
+const taskEventService = require('./taskEventService');
+
+// ============================================================================
+// Trash Service
+// ============================================================================
+//
+// Tasks and memos are soft-deleted through deleted_at. Deleting a task moves
+// its whole subtree to the trash with one shared deleted_at timestamp, which
+// is how a restore knows which subtasks went in together with it. Tag links
+// are left in place while an item sits in the trash, so restoring brings
+// them back as they were.
+//
+// Items older than the retention period (TRASH_RETENTION_DAYS, default 30)
+// are purged permanently by a background job.
+//
+// USAGE:
+//   const trashService = require('./services/trashService');
+//   trashService.trashTask(taskId, userId);
+//   trashService.startPurgeSchedule();
+// ============================================================================
+
+const DEFAULT_RETENTION_DAYS = 30;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Retention period in days from TRASH_RETENTION_DAYS
+ * @returns {number} Days an item stays in the trash before being purged
+ */
+function getRetentionDays() {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+  return Number.isInteger(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * Current time in SQLite's CURRENT_TIMESTAMP format
+ */
+function now() {
+  return db.prepare('SELECT CURRENT_TIMESTAMP as now').get().now;
+}
+
+/**
+ * Ids of a task's subtree that are in the given deleted state
+ *
+ * @param {number} taskId - Root task ID
+ * @param {number} userId - Owner ID
+ * @param {string|null} deletedAt - deleted_at to match, or null for live tasks
+ * @returns {number[]} Descendant IDs (root excluded)
+ */
+function getSubtreeIds(taskId, userId, deletedAt) {
+  const stateSql = deletedAt === null ? 'deleted_at IS NULL' : 'deleted_at = ?';
+  const stateParams = deletedAt === null ? [] : [deletedAt];
+
+  return db.prepare(`
+    WITH RECURSIVE descendants(id) AS (
+      SELECT id FROM tasks
+      WHERE parent_task_id = ? AND user_id = ? AND ${stateSql}
+      UNION
+      SELECT t.id FROM tasks t
+      JOIN descendants d ON t.parent_task_id = d.id
+      WHERE t.user_id = ? AND t.${stateSql}
+    )
+    SELECT id FROM descendants
+  `).all(taskId, userId, ...stateParams, userId, ...stateParams).map(row => row.id);
+}
+
+/**
+ * Moves a task and all of its live subtasks to the trash
+ *
+ * @param {number} taskId - Task ID (must be live and owned by userId)
+ * @param {number} userId - Owner ID
+ * @returns {number[]} IDs of every task moved to the trash, root first
+ */
+function trashTask(taskId, userId) {
+  return db.transaction(() => {
+    const deletedAt = now();
+    const ids = [Number(taskId), ...getSubtreeIds(taskId, userId, null)];
+    const placeholders = ids.map(() => '?').join(',');
+    const before = taskEventService.snapshotTasks(ids);
+
+    db.prepare(`
+      UPDATE tasks SET deleted_at = ? WHERE id IN (${placeholders}) AND user_id = ?
+    `).run(deletedAt, ...ids, userId);
+
+    taskEventService.recordChanges('delete', before, userId);
+
+    return ids;
+  })();
+}
+
+/**
+ * Lists trashed tasks, newest first
+ * Subtasks that were deleted together with their parent are folded into the
+ * parent's entry (subtask_count) instead of being listed on their own.
+ *
+ * @param {number} userId - Owner ID
+ * @returns {object[]} Tasks with tags, deleted_at, subtask_count and purge_at
+ */
+function listTrashedTasks(userId) {
+  const tasks = db.prepare(`
+    SELECT ${TASK_COLUMNS}, t.deleted_at,
+      datetime(t.deleted_at, '+' || ? || ' days') as purge_at
+    FROM tasks t
+    ${TASK_TAG_JOINS}
+    WHERE t.user_id = ? AND t.deleted_at IS NOT NULL
+      AND NOT EXISTS (
+        SELECT 1 FROM tasks p
+        WHERE p.id = t.parent_task_id AND p.deleted_at = t.deleted_at
+      )
+    GROUP BY t.id
+    ORDER BY t.deleted_at DESC, t.id DESC
+  `).all(getRetentionDays(), userId);
+
+  return tasks.map(task => ({
+    ...transformTaskWithTags(task),
+    subtask_count: getSubtreeIds(task.id, userId, task.deleted_at).length
+  }));
+}
+
+/**
+ * Lists trashed memos, newest first
+ *
+ * @param {number} userId - Owner ID
+ * @returns {object[]} Memos with tags, deleted_at and purge_at
+ */
+function listTrashedMemos(userId) {
+  const memos = db.prepare(`
+    SELECT
+      m.id, m.title, m.content, m.details, m.source_inbox_id,
+      m.created_at, m.updated_at, m.deleted_at,
+      datetime(m.deleted_at, '+' || ? || ' days') as purge_at,
+      GROUP_CONCAT(tag.id) as tag_ids,
+      GROUP_CONCAT(tag.name) as tag_names,
+      GROUP_CONCAT(tag.color) as tag_colors
+    FROM memos m
+    LEFT JOIN memo_tags mt ON m.id = mt.memo_id
+    LEFT JOIN tags tag ON mt.tag_id = tag.id
+    WHERE m.user_id = ? AND m.deleted_at IS NOT NULL
+    GROUP BY m.id
+    ORDER BY m.deleted_at DESC, m.id DESC
+  `).all(getRetentionDays(), userId);
+
+  return memos.map(transformTaskWithTags);
+}
+
+/**
+ * Finds a trashed task owned by the user
+ * @returns {object|undefined} Task row
+ */
+function getTrashedTask(taskId, userId) {
+  return db.prepare('SELECT * FROM tasks WHERE id = ? AND user_id = ? AND deleted_at IS NOT NULL')
+    .get(taskId, userId);
+}
+
+/**
+ * Finds a trashed memo owned by the user
+ * @returns {object|undefined} Memo row
+ */
+function getTrashedMemo(memoId, userId) {
+  return db.prepare('SELECT * FROM memos WHERE id = ? AND user_id = ? AND deleted_at IS NOT NULL')
+    .get(memoId, userId);
+}
+
+/**
+ * Restores a trashed task together with the subtasks deleted alongside it
+ * If its parent is still in the trash, the task comes back as a top-level task.
+ *
+ * @param {object} task - Trashed task row
+ * @param {number} userId - Owner ID
+ * @returns {object} { restored_ids, detached_from_parent }
+ */
+function restoreTask(task, userId) {
+  return db.transaction(() => {
+    const ids = [task.id, ...getSubtreeIds(task.id, userId, task.deleted_at)];
+    const placeholders = ids.map(() => '?').join(',');
+    const before = taskEventService.snapshotTasks(ids);
+
+    db.prepare(`
+      UPDATE tasks SET deleted_at = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id IN (${placeholders}) AND user_id = ?
+    `).run(...ids, userId);
+
+    let detached = false;
+    if (task.parent_task_id) {
+      const parent = db.prepare('SELECT deleted_at FROM tasks WHERE id = ?').get(task.parent_task_id);
+      if (!parent || parent.deleted_at) {
+        db.prepare('UPDATE tasks SET parent_task_id = NULL WHERE id = ?').run(task.id);
+        detached = true;
+      }
+    }
+
+    taskEventService.recordChanges('restore', before, userId);
+
+    return { restored_ids: ids, detached_from_parent: detached };
+  })();
+}
+
+/**
+ * Restores a trashed memo (tags are still attached)
+ *
+ * @param {number} memoId - Memo ID
+ * @param {number} userId - Owner ID
+ */
+function restoreMemo(memoId, userId) {
+  db.prepare(`
+    UPDATE memos SET deleted_at = NULL, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND user_id = ?
+  `).run(memoId, userId);
+}
+
+/**
+ * Permanently deletes trashed tasks
+ * Deleting a row cascades to its subtasks, tags and dependencies, so live
+ * subtasks (e.g. restored on their own) are detached first to survive.
+ *
+ * @param {string} whereSql - Condition on the trashed tasks to purge
+ * @param {array} params - Parameters for whereSql
+ * @returns {number} Number of task rows deleted, subtasks included
+ */
+function purgeTasksWhere(whereSql, params) {
+  return db.transaction(() => {
+    const ids = db.prepare(`SELECT id FROM tasks WHERE deleted_at IS NOT NULL AND ${whereSql}`)
+      .all(...params)
+      .map(row => row.id);
+
+    if (ids.length === 0) {
+      return 0;
+    }
+
+    const placeholders = ids.map(() => '?').join(',');
+    const before = db.prepare('SELECT COUNT(*) as count FROM tasks').get().count;
+
+    db.prepare(`
+      UPDATE tasks SET parent_task_id = NULL
+      WHERE parent_task_id IN (${placeholders}) AND deleted_at IS NULL
+    `).run(...ids);
+    db.prepare(`DELETE FROM tasks WHERE id IN (${placeholders})`).run(...ids);
+
+    return before - db.prepare('SELECT COUNT(*) as count FROM tasks').get().count;
+  })();
+}
+
+/**
+ * Permanently deletes one trashed task and the subtasks trashed with it
+ * @returns {number} Number of task rows deleted
+ */
+function purgeTask(taskId, userId) {
+  return purgeTasksWhere('id = ? AND user_id = ?', [taskId, userId]);
+}
+
+/**
+ * Permanently deletes one trashed memo
+ * @returns {boolean} True if a memo was deleted
+ */
+function purgeMemo(memoId, userId) {
+  const result = db.prepare('DELETE FROM memos WHERE id = ? AND user_id = ? AND deleted_at IS NOT NULL')
+    .run(memoId, userId);
+  return result.changes > 0;
+}
+
+/**
+ * Permanently deletes everything in a user's trash
+ *
+ * @param {number} userId - Owner ID
+ * @returns {object} { tasks, memos } - Number of rows deleted
+ */
+function emptyTrash(userId) {
+  return db.transaction(() => ({
+    tasks: purgeTasksWhere('user_id = ?', [userId]),
+    memos: db.prepare('DELETE FROM memos WHERE user_id = ? AND deleted_at IS NOT NULL').run(userId).changes
+  }))();
+}
+
+/**
+ * Permanently deletes items that have been in the trash longer than the
+ * retention period, for all users
+ *
+ * @param {number} retentionDays - Days to keep trashed items
+ * @returns {object} { tasks, memos } - Number of rows deleted
+ */
+function purgeExpired(retentionDays = getRetentionDays()) {
+  const modifier = `-${retentionDays} days`;
+
+  return db.transaction(() => ({
+    tasks: purgeTasksWhere("deleted_at < datetime('now', ?)", [modifier]),
+    memos: db.prepare("DELETE FROM memos WHERE deleted_at IS NOT NULL AND deleted_at < datetime('now', ?)")
+      .run(modifier).changes
+  }))();
+}
+
+/**
+ * Runs purgeExpired hourly (and shortly after startup)
+ * Timers are unref'd so they never keep the process alive on their own.
+ */
+function startPurgeSchedule() {
+  const run = () => {
+    try {
+      const purged = purgeExpired();
+      if (purged.tasks > 0 || purged.memos > 0) {
+        console.log(`Purged ${purged.tasks} tasks and ${purged.memos} memos from trash`);
+      }
+    } catch (error) {
+      console.error('Error purging trash:', error);
+    }
+  };
+
+  setInterval(run, PURGE_INTERVAL_MS).unref();
+  setTimeout(run, 5000).unref(); // 5 seconds after startup
+}
+
+module.exports = {
+  getRetentionDays,
+  trashTask,
+  listTrashedTasks,
+  listTrashedMemos,
+  getTrashedTask,
+  getTrashedMemo,
+  restoreTask,
+  restoreMemo,
+  purgeTask,
+  purgeMemo,
+  emptyTrash,
+  purgeExpired,
+  startPurgeSchedule
+};
@@ -0,0 +1,82 @@
+const db = require('../database/db');
+
+// ============================================================================
+// User Settings Service
+// ============================================================================
+//
+// Per-user preferences, one user_settings row per user. Users without a row
+// get DEFAULT_SETTINGS; the row is created on the first update.
+// Flags are stored as 0/1 and returned as booleans.
+//
+// USAGE:
+//   const userSettingsService = require('./services/userSettingsService');
+//   const { daily_capacity_minutes } = userSettingsService.getSettings(userId);
+//   userSettingsService.updateSettings(userId, { daily_capacity_minutes: 300 });
+// ============================================================================
+
+const DEFAULT_SETTINGS = {
+  daily_capacity_minutes: 360,
+  timezone: 'UTC',
+  digest_enabled: false,
+  digest_time: '07:00',
+  weekly_summary_enabled: false,
+  urgency_horizon_days: 14,
+  urgency_curve: 'linear'
+};
+
+// Settings a user may change
+const SETTING_FIELDS = Object.keys(DEFAULT_SETTINGS);
+
+const BOOLEAN_FIELDS = SETTING_FIELDS.filter(field => typeof DEFAULT_SETTINGS[field] === 'boolean');
+
+/**
+ * Gets a user's settings, with defaults for anything not set
+ *
+ * @param {number} userId - User ID
+ * @returns {object} Settings keyed by SETTING_FIELDS
+ */
+function getSettings(userId) {
+  const row = db.prepare(`
+    SELECT ${SETTING_FIELDS.join(', ')} FROM user_settings WHERE user_id = ?
+  `).get(userId);
+
+  const settings = { ...DEFAULT_SETTINGS, ...row };
+  for (const field of BOOLEAN_FIELDS) {
+    settings[field] = Boolean(settings[field]);
+  }
+  return settings;
+}
+
+/**
+ * Updates some of a user's settings
+ *
+ * @param {number} userId - User ID
+ * @param {object} changes - Validated values; unknown and undefined keys are ignored
+ * @returns {object} All settings after the update
+ */
+function updateSettings(userId, changes) {
+  const fields = SETTING_FIELDS.filter(field => changes[field] !== undefined);
+
+  if (fields.length > 0) {
+    const settings = { ...getSettings(userId), ...changes };
+
+    db.prepare(`
+      INSERT INTO user_settings (user_id, ${SETTING_FIELDS.join(', ')}, updated_at)
+      VALUES (?, ${SETTING_FIELDS.map(() => '?').join(', ')}, CURRENT_TIMESTAMP)
+      ON CONFLICT(user_id) DO UPDATE SET
+        ${fields.map(field => `${field} = excluded.${field}`).join(', ')},
+        updated_at = CURRENT_TIMESTAMP
+    `).run(userId, ...SETTING_FIELDS.map(field => (
+      BOOLEAN_FIELDS.includes(field) ? (settings[field] ? 1 : 0) : settings[field]
+    )));
+  }
+
+  return getSettings(userId);
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  SETTING_FIELDS,
+  getSettings,
+  updateSettings
+};
@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createUser, startApp } = require('./helpers');
+const appPasswordService = require('../services/appPasswordService');
+
+const app = startApp({ '/caldav': require('../routes/caldav') });
+
+const createCaldavUser = async (fields) => {
+  const user = createUser(fields);
+  const { password } = await appPasswordService.createAppPassword(user.id, 'Phone');
+  return { ...user, appPassword: password };
+};
+
+test('the principal is named with the plain account name', async () => {
+  const user = await createCaldavUser({ name: 'Ann &amp; Bob' });
+
+  const { status, body } = await app.send(user, 'PROPFIND', '/caldav/principal/',
+    '<d:propfind xmlns:d="DAV:"><d:prop><d:displayname/></d:prop></d:propfind>');
+
+  assert.equal(status, 207);
+  assert.match(body, /<d:displayname>Ann &amp; Bob<\/d:displayname>/);
+});
+
+test('a malformed PROPFIND body is a 400', async () => {
+  const user = await createCaldavUser();
+
+  for (const xml of ['<bad', '<d:propfind xmlns:d="DAV:"><d:prop>', 'not xml']) {
+    const { status, body } = await app.send(user, 'PROPFIND', '/caldav/principal/', xml);
+    assert.equal(status, 400, xml);
+    assert.equal(body.message, 'Malformed XML body');
+  }
+});
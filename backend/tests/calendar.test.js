@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createUser, startApp } = require('./helpers');
+
+const app = startApp({ '/api/tasks': require('../routes/tasks') });
+
+test('the calendar shows tasks due or planned in the range', async () => {
+  const user = createUser();
+  const add = async (fields) => (await app.send(user, 'POST', '/api/tasks', fields)).body.task;
+  await add({ title: 'Due at noon', deadline: '2026-10-20T12:00' });
+  await add({ title: 'Planned', planned_for_today: '2026-10-19' });
+  await add({ title: 'Due on the last day', deadline: '2026-10-25' });
+  await add({ title: 'Too late', deadline: '2026-10-26T00:00' });
+  await add({ title: 'Undated' });
+  await app.send(createUser(), 'POST', '/api/tasks', { title: 'Someone else', deadline: '2026-10-20' });
+
+  const { status, body } = await app.send(user, 'GET', '/api/tasks/calendar?from=2026-10-19&to=2026-10-25');
+  assert.equal(status, 200);
+  assert.deepEqual(body.tasks.map(task => task.title), ['Planned', 'Due at noon', 'Due on the last day']);
+});
+
+test('calendar ranges are checked', async () => {
+  const user = createUser();
+  assert.equal((await app.send(user, 'GET', '/api/tasks/calendar?from=2026-10-19')).status, 400);
+  assert.equal((await app.send(user, 'GET', '/api/tasks/calendar?from=2026-10-19&to=2026-10-01')).status, 400);
+  assert.equal((await app.send(user, 'GET', '/api/tasks/calendar?from=2026-01-01&to=2027-12-31')).status, 400);
+});
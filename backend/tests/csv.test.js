@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { formatCsvField, formatCsvRow, parseCsv } = require('../utils/csv');
+
+test('fields are quoted only when needed', () => {
+  assert.equal(formatCsvField('plain'), 'plain');
+  assert.equal(formatCsvField('a,b'), '"a,b"');
+  assert.equal(formatCsvField('say "hi"'), '"say ""hi"""');
+  assert.equal(formatCsvField('two\nlines'), '"two\nlines"');
+  assert.equal(formatCsvField(null), '');
+  assert.equal(formatCsvField(undefined), '');
+});
+
+test('text that would run as a formula is kept as text', () => {
+  assert.equal(formatCsvField('=HYPERLINK("x")'), '"\'=HYPERLINK(""x"")"');
+  assert.equal(formatCsvField('+1 call'), "'+1 call");
+  assert.equal(formatCsvField('-list item'), "'-list item");
+  assert.equal(formatCsvField('@mention'), "'@mention");
+  assert.equal(formatCsvField('\tindented'), "'\tindented");
+  assert.equal(formatCsvField('a=b'), 'a=b');
+  assert.equal(formatCsvField(-5), '-5');
+});
+
+test('rows end with CRLF', () => {
+  assert.equal(formatCsvRow([1, 'Call Bob, "today"', null]), '1,"Call Bob, ""today""",\r\n');
+});
+
+test('parseCsv reads what formatCsvRow writes', () => {
+  const rows = [['id', 'title'], ['1', 'Call Bob, "today"'], ['2', 'two\r\nlines']];
+  assert.deepEqual(parseCsv(rows.map(formatCsvRow).join('')), rows);
+});
+
+test('parseCsv takes a BOM, LF endings, empty lines and semicolons', () => {
+  assert.deepEqual(parseCsv('\uFEFFa,b\n\n1,\n'), [['a', 'b'], ['1', '']]);
+  assert.deepEqual(parseCsv('a;"b;c"\r\n1;2', ';'), [['a', 'b;c'], ['1', '2']]);
+});
+
+test('parseCsv keeps quotes inside unquoted fields', () => {
+  assert.deepEqual(parseCsv('5" screen,x'), [['5" screen', 'x']]);
+});
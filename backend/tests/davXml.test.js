@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  escapeXml,
+  parseDavRequest,
+  element,
+  propstatResponse,
+  statusResponse,
+  multistatus
+} = require('../utils/davXml');
+
+test('parseDavRequest resolves prefixes to Clark notation', () => {
+  const request = parseDavRequest(`<?xml version="1.0"?>
+    <A:propfind xmlns:A="DAV:" xmlns:C="urn:ietf:params:xml:ns:caldav">
+      <!-- comment -->
+      <A:prop><A:getetag/><C:calendar-data/></A:prop>
+    </A:propfind>`);
+
+  assert.deepEqual(request, {
+    root: '{DAV:}propfind',
+    props: ['{DAV:}getetag', '{urn:ietf:params:xml:ns:caldav}calendar-data'],
+    allprop: false,
+    hrefs: [],
+    syncToken: null,
+    compFilters: []
+  });
+});
+
+test('an empty PROPFIND asks for every property', () => {
+  assert.equal(parseDavRequest('').allprop, true);
+  assert.equal(parseDavRequest('<propfind xmlns="DAV:"><allprop/></propfind>').allprop, true);
+});
+
+test('REPORT bodies give hrefs, sync tokens and comp-filters', () => {
+  const multiget = parseDavRequest(`
+    <c:calendar-multiget xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+      <d:prop><d:getetag/></d:prop>
+      <d:href>/caldav/calendars/tasks/a&amp;b.ics</d:href>
+      <d:href>/caldav/calendars/tasks/&#x63;.ics</d:href>
+    </c:calendar-multiget>`);
+  assert.deepEqual(multiget.hrefs, ['/caldav/calendars/tasks/a&b.ics', '/caldav/calendars/tasks/c.ics']);
+
+  const sync = parseDavRequest('<d:sync-collection xmlns:d="DAV:"><d:sync-token>tok-1</d:sync-token></d:sync-collection>');
+  assert.equal(sync.syncToken, 'tok-1');
+
+  const query = parseDavRequest(`
+    <c:calendar-query xmlns:c="urn:ietf:params:xml:ns:caldav">
+      <c:filter><c:comp-filter name="VCALENDAR"><c:comp-filter name="vtodo"/></c:comp-filter></c:filter>
+    </c:calendar-query>`);
+  assert.deepEqual(query.compFilters, ['VCALENDAR', 'VTODO']);
+});
+
+test('PROPPATCH props under set and remove are read', () => {
+  const request = parseDavRequest(`
+    <d:propertyupdate xmlns:d="DAV:">
+      <d:set><d:prop><d:displayname>x</d:displayname></d:prop></d:set>
+      <d:remove><d:prop><d:resourcetype/></d:prop></d:remove>
+    </d:propertyupdate>`);
+  assert.deepEqual(request.props, ['{DAV:}displayname', '{DAV:}resourcetype']);
+});
+
+test('character references XML does not allow are rejected', () => {
+  for (const reference of ['&#x110000;', '&#0;', '&#xD800;', '&#xFFFF;', '&#99999999999;']) {
+    assert.throws(
+      () => parseDavRequest(`<d:sync-collection xmlns:d="DAV:"><d:sync-token>${reference}</d:sync-token></d:sync-collection>`),
+      /Invalid character reference/
+    );
+  }
+  assert.throws(() => parseDavRequest('<d:propfind xmlns:d="DAV:" x="&#x110000;"/>'), /Invalid character reference/);
+});
+
+test('responses are written with the known prefixes', () => {
+  assert.equal(escapeXml('<a href="x">&</a>'), '&lt;a href=&quot;x&quot;&gt;&amp;&lt;/a&gt;');
+  assert.equal(element('{DAV:}getetag', '"1"'), '<d:getetag>"1"</d:getetag>');
+  assert.equal(element('{urn:x}thing'), '<x:thing xmlns:x="urn:x"/>');
+
+  const response = propstatResponse('/a&b', [['{DAV:}displayname', 'Tasks']], ['{DAV:}owner']);
+  assert.equal(response, '<d:response><d:href>/a&amp;b</d:href>' +
+    '<d:propstat><d:prop><d:displayname>Tasks</d:displayname></d:prop><d:status>HTTP/1.1 200 OK</d:status></d:propstat>' +
+    '<d:propstat><d:prop><d:owner/></d:prop><d:status>HTTP/1.1 404 Not Found</d:status></d:propstat>' +
+    '</d:response>');
+
+  const document = multistatus([statusResponse('/gone', 404)], 'tok-2');
+  assert.ok(document.startsWith('<?xml version="1.0" encoding="utf-8"?>\n<d:multistatus xmlns:d="DAV:"'));
+  assert.ok(document.endsWith('<d:sync-token>tok-2</d:sync-token></d:multistatus>'));
+});
+
+test('bodies that are not well-formed are rejected', () => {
+  for (const xml of [
+    '<bad',
+    'not xml',
+    '<d:propfind xmlns:d="DAV:"><d:prop>',
+    '<d:propfind xmlns:d="DAV:"></d:prop>',
+    '<d:propfind xmlns:d="DAV:"/><d:propfind xmlns:d="DAV:"/>',
+    '<d:propfind xmlns:d="DAV:"><d:prop/></d:propfind> trailing',
+    '<d:propfind xmlns:d="DAV:"><d:prop/ </d:propfind>'
+  ]) {
+    assert.throws(() => parseDavRequest(xml), undefined, xml);
+  }
+  assert.equal(parseDavRequest('  \n').allprop, true);
+});
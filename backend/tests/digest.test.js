@@ -0,0 +1,126 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createUser } = require('./helpers');
+const db = require('../database/db');
+const digestService = require('../services/digestService');
+const emailService = require('../services/email');
+const userSettingsService = require('../services/userSettingsService');
+
+// Monday 2026-10-19, 07:30 in Berlin
+const now = new Date('2026-10-19T05:30:00Z');
+
+function addTask(userId, fields) {
+  const columns = Object.keys(fields);
+  return Number(db.prepare(`
+    INSERT INTO tasks (user_id, ${columns.join(', ')}) VALUES (?, ${columns.map(() => '?').join(', ')})
+  `).run(userId, ...Object.values(fields)).lastInsertRowid);
+}
+
+test('the daily digest lists planned, leftover and overdue tasks for the local day', () => {
+  const user = createUser();
+  const planned = addTask(user.id, { title: 'Planned', planned_for_today: '2026-10-19' });
+  const leftover = addTask(user.id, { title: 'Leftover', planned_for_today: '2026-10-16' });
+  const overdue = addTask(user.id, { title: 'Overdue', deadline: '2026-10-18' });
+  addTask(user.id, { title: 'Due later today', deadline: '2026-10-19T09:00' });
+  addTask(user.id, { title: 'Done', planned_for_today: '2026-10-19', completed: 1 });
+  db.prepare("INSERT INTO inbox (user_id, content) VALUES (?, 'Idea')").run(user.id);
+
+  const digest = digestService.buildDailyDigest(user.id, now, 'Europe/Berlin');
+  assert.equal(digest.date, '2026-10-19');
+  assert.deepEqual(digest.planned.map(task => task.id), [planned]);
+  assert.deepEqual(digest.leftovers.map(task => task.id), [leftover]);
+  assert.deepEqual(digest.overdue.map(task => task.id), [overdue]);
+  assert.equal(digest.inbox_count, 1);
+});
+
+test('due digests go out once, at the user\'s digest time', async (t) => {
+  const daily = t.mock.method(emailService, 'sendDailyDigestEmail', async () => {});
+  const weekly = t.mock.method(emailService, 'sendWeeklySummaryEmail', async () => {});
+  const user = createUser();
+  userSettingsService.updateSettings(user.id, {
+    timezone: 'Europe/Berlin',
+    digest_enabled: true,
+    weekly_summary_enabled: true,
+    digest_time: '07:00'
+  });
+  addTask(user.id, { title: 'Planned', planned_for_today: '2026-10-19' });
+
+  assert.deepEqual(await digestService.sendDueDigests(new Date('2026-10-19T04:30:00Z')), { sent: 0, skipped: 0, failed: 0 });
+  assert.deepEqual(await digestService.sendDueDigests(now), { sent: 2, skipped: 0, failed: 0 });
+  assert.deepEqual(await digestService.sendDueDigests(now), { sent: 0, skipped: 0, failed: 0 });
+
+  assert.equal(daily.mock.callCount(), 1);
+  assert.equal(weekly.mock.callCount(), 1);
+  const [, summary, unsubscribeLink] = weekly.mock.calls[0].arguments;
+  assert.equal(summary.from, '2026-10-12');
+  assert.equal(summary.to, '2026-10-18');
+
+  // The link's token turns both emails off
+  assert.equal(digestService.unsubscribe(unsubscribeLink.split('/').pop()), true);
+  const settings = userSettingsService.getSettings(user.id);
+  assert.equal(settings.digest_enabled, false);
+  assert.equal(settings.weekly_summary_enabled, false);
+});
+
+test('the weekly summary counts the local week across a daylight saving change', () => {
+  const user = createUser();
+  const task = addTask(user.id, { title: 'Write', completed: 1 });
+  const tag = db.prepare("INSERT INTO tags (user_id, name) VALUES (?, 'work')").run(user.id).lastInsertRowid;
+  db.prepare('INSERT INTO task_tags (task_id, tag_id) VALUES (?, ?)').run(task, tag);
+
+  // Berlin goes from UTC+2 to UTC+1 on Sunday 2026-10-25, so the week of
+  // 19 to 25 October runs from 2026-10-18 22:00 to 2026-10-25 23:00 UTC
+  const starts = {
+    '2026-10-18 21:30:00': false, // Sunday before, 23:30
+    '2026-10-18 22:30:00': true, // Monday, 00:30
+    '2026-10-25 22:30:00': true, // Sunday, 23:30
+    '2026-10-25 23:30:00': false // Monday after, 00:30
+  };
+  for (const start of Object.keys(starts)) {
+    const end = start.replace(':30:00', ':55:00');
+    db.prepare('INSERT INTO time_entries (user_id, task_id, started_at, ended_at) VALUES (?, ?, ?, ?)')
+      .run(user.id, task, start, end);
+    db.prepare(`
+      INSERT INTO pomodoro_sessions (user_id, task_id, started_at, ended_at, actual_seconds, status)
+      VALUES (?, ?, ?, ?, 1500, 'completed')
+    `).run(user.id, task, start, end);
+  }
+  db.prepare(`
+    INSERT INTO task_events (task_id, user_id, event_type, changes, created_at)
+    VALUES (?, ?, 'updated', '{"completed":{"from":0,"to":1}}', '2026-10-18 22:30:00')
+  `).run(task, user.id);
+
+  // Monday 2026-10-26, 07:30 in Berlin
+  const summary = digestService.buildWeeklySummary(user.id, new Date('2026-10-26T06:30:00Z'), 'Europe/Berlin');
+  assert.deepEqual(summary, {
+    from: '2026-10-19',
+    to: '2026-10-25',
+    completed: 1,
+    pomodoros: 2,
+    focus_minutes: 50,
+    tracked_minutes: 50,
+    tags: [{ id: Number(tag), name: 'work', color: summary.tags[0].color, minutes: 50 }]
+  });
+});
+
+test('claims cut off while sending are retried, up to the attempt limit', async (t) => {
+  const daily = t.mock.method(emailService, 'sendDailyDigestEmail', async () => {});
+  const delivery = db.prepare("SELECT status, attempts FROM digest_deliveries WHERE user_id = ? AND kind = 'daily'");
+  const users = [createUser(), createUser(), createUser()];
+
+  for (const [index, user] of users.entries()) {
+    userSettingsService.updateSettings(user.id, { timezone: 'Europe/Berlin', digest_enabled: true, digest_time: '07:00' });
+    addTask(user.id, { title: 'Planned', planned_for_today: '2026-10-19' });
+    // Claimed 20, 20 and 5 minutes ago; the second has had its last try
+    db.prepare(`
+      INSERT INTO digest_deliveries (user_id, kind, period, status, attempts, created_at, updated_at)
+      VALUES (?, 'daily', '2026-10-19', 'sending', ?, ?, ?)
+    `).run(user.id, index === 1 ? 2 : 0, ...Array(2).fill(index === 2 ? '2026-10-19 05:25:00' : '2026-10-19 05:10:00'));
+  }
+
+  assert.deepEqual(await digestService.sendDueDigests(now), { sent: 1, skipped: 0, failed: 0 });
+  assert.equal(daily.mock.calls[0].arguments[0].id, users[0].id);
+  assert.deepEqual({ ...delivery.get(users[0].id) }, { status: 'sent', attempts: 2 });
+  assert.deepEqual({ ...delivery.get(users[1].id) }, { status: 'failed', attempts: 3 });
+  assert.deepEqual({ ...delivery.get(users[2].id) }, { status: 'sending', attempts: 0 });
+});
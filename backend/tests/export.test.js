@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const { createUser, startApp } = require('./helpers');
+const exportService = require('../services/exportService');
+const { readZipEntries } = require('../utils/zip');
+
+const app = startApp({
+  '/api/tasks': require('../routes/tasks'),
+  '/api/memos': require('../routes/memos')
+});
+
+test('exports stored text as plain text', async () => {
+  const user = createUser({ name: 'Ann & Bob' });
+  const task = await app.send(user, 'POST', '/api/tasks', {
+    title: 'Fish & chips <b>',
+    description: 'Say "hi"',
+    tags: ['R&D']
+  });
+  assert.equal(task.status, 201);
+  const memo = await app.send(user, 'POST', '/api/memos', { title: 'Q&A', content: "It's <fine>" });
+  assert.equal(memo.status, 201);
+
+  const exported = JSON.parse([...exportService.jsonChunks(user.id)].join(''));
+
+  assert.deepEqual(exported.user, { name: 'Ann & Bob', email: 'user1@example.com' });
+  assert.deepEqual(exported.tags.map(tag => tag.name), ['R&D']);
+  assert.equal(exported.tasks[0].title, 'Fish & chips <b>');
+  assert.equal(exported.tasks[0].description, 'Say "hi"');
+  assert.deepEqual(exported.tasks[0].tags, ['R&D']);
+  assert.equal(exported.tasks[0].why, null);
+  assert.deepEqual([exported.memos[0].title, exported.memos[0].content], ['Q&A', "It's <fine>"]);
+});
+
+test('writeArchive streams a zip with the JSON, CSV files and memos', async () => {
+  const user = createUser();
+  await app.send(user, 'POST', '/api/tasks', { title: 'Pay "rent" & bills' });
+  await app.send(user, 'POST', '/api/memos', { title: 'Trip <ideas>', content: 'Lisbon & Porto' });
+
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+  const exportedAt = new Date('2026-10-18T09:00:00Z');
+  await exportService.writeArchive(user.id, output, exportedAt);
+
+  const entries = readZipEntries(Buffer.concat(chunks));
+  const folder = 'twu-export-2026-10-18';
+  const memoId = JSON.parse(entries[0].read(1024 * 1024)).memos[0].id;
+  assert.deepEqual(entries.map(entry => entry.name), [
+    `${folder}/export.json`,
+    `${folder}/csv/tasks.csv`,
+    `${folder}/csv/time_entries.csv`,
+    `${folder}/csv/memos.csv`,
+    `${folder}/csv/inbox.csv`,
+    `${folder}/csv/tags.csv`,
+    `${folder}/memos/${memoId}-trip-ideas.md`
+  ]);
+
+  const read = (index) => entries[index].read(1024 * 1024).toString('utf8');
+  const exported = JSON.parse(read(0));
+  assert.equal(exported.format, exportService.EXPORT_FORMAT_NAME);
+  assert.equal(exported.exported_at, exportedAt.toISOString());
+  assert.deepEqual(exported.tasks.map(task => task.title), ['Pay "rent" & bills']);
+
+  const tasksCsv = read(1).split('\r\n');
+  assert.ok(tasksCsv[0].startsWith('id,title,description,'));
+  assert.ok(tasksCsv[1].includes(',"Pay ""rent"" & bills",'));
+  assert.equal(read(2).split('\r\n')[1], '');
+  assert.match(read(6), /^---\ntitle: "Trip <ideas>"\n[\s\S]*---\n\nLisbon & Porto\n$/);
+});
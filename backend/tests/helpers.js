@@ -0,0 +1,113 @@
+/**
+ * Test Helpers
+ *
+ * Require this before anything that opens the database: it points
+ * DATABASE_PATH at a throwaway file, removed when the test file is done.
+ * Service tests can use the database directly; route tests serve the
+ * routers they need with startApp().
+ *
+ * @example
+ * const { createUser, startApp } = require('./helpers');
+ * const db = require('../database/db');
+ *
+ * const app = startApp({ '/api/tasks': require('../routes/tasks') });
+ *
+ * test('...', async () => {
+ *   const user = createUser();
+ *   const { status, body } = await app.send(user, 'POST', '/api/tasks', { title: 'x' });
+ * });
+ */
+
+const { before, after } = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dbFile = path.join(os.tmpdir(), `twu-test-${process.pid}.db`);
+process.env.DATABASE_PATH = dbFile;
+process.env.JWT_SECRET = 'route-test-secret-that-is-long-enough-for-jwt';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const db = require('../database/db');
+
+after(() => {
+  db.close();
+  for (const file of [dbFile, `${dbFile}-wal`, `${dbFile}-shm`]) {
+    fs.rmSync(file, { force: true });
+  }
+});
+
+let userCount = 0;
+
+/**
+ * Adds a verified user
+ *
+ * @param {object} fields - Column values to override (name, email, ...)
+ * @returns {object} { id, email, token }
+ */
+function createUser(fields = {}) {
+  userCount++;
+  const user = { email: `user${userCount}@example.com`, name: `User ${userCount}`, ...fields };
+  const id = Number(db.prepare(`
+    INSERT INTO users (email, password_hash, name, email_verified) VALUES (?, 'x', ?, 1)
+  `).run(user.email, user.name).lastInsertRowid);
+
+  return { id, email: user.email, token: jwt.sign({ userId: id }, process.env.JWT_SECRET) };
+}
+
+/**
+ * Serves routers on a free port for the test file
+ *
+ * @param {object} routers - Mount path -> router
+ * @returns {object} { send(user, method, path, body) } resolving to { status, body }
+ */
+function startApp(routers) {
+  const app = express();
+  app.use(express.json());
+  for (const [mountPath, router] of Object.entries(routers)) {
+    app.use(mountPath, router);
+  }
+
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    await new Promise(resolve => {
+      server = app.listen(0, resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  // FormData bodies go as multipart/form-data, strings as XML, anything
+  // else as JSON. Users with an appPassword sign in with it (HTTP Basic).
+  const send = async (user, method, url, body) => {
+    const isForm = body instanceof FormData;
+    const isXml = typeof body === 'string';
+    const authorization = user.appPassword
+      ? `Basic ${Buffer.from(`${user.email}:${user.appPassword}`).toString('base64')}`
+      : `Bearer ${user.token}`;
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: {
+        ...(isForm ? {} : { 'Content-Type': isXml ? 'application/xml' : 'application/json' }),
+        Authorization: authorization
+      },
+      body: body === undefined || isForm || isXml ? body : JSON.stringify(body)
+    });
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('json');
+    return { status: response.status, body: isJson ? JSON.parse(text) : text };
+  };
+
+  return { send };
+}
+
+module.exports = {
+  createUser,
+  startApp
+};
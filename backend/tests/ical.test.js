@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  escapeText,
+  escapeStoredText,
+  formatDate,
+  formatDateTime,
+  foldLine,
+  buildCalendar,
+  unescapeText,
+  splitTextList,
+  parseCalendar
+} = require('../utils/ical');
+const { sanitizeText } = require('../utils/sanitize');
+
+test('escapeText and unescapeText round-trip TEXT values', () => {
+  const text = 'Call Bob, then; lunch\\break\nnext line';
+  assert.equal(escapeText(text), 'Call Bob\\, then\\; lunch\\\\break\\nnext line');
+  assert.equal(unescapeText(escapeText(text)), text);
+});
+
+test('escapeStoredText writes stored titles as plain text', () => {
+  assert.equal(escapeStoredText(sanitizeText('Q&A <prep>; notes')), 'Q&A <prep>\\; notes');
+});
+
+test('dates are written as DATE and UTC DATE-TIME values', () => {
+  assert.equal(formatDate('2026-10-20'), '20261020');
+  assert.equal(formatDateTime(new Date('2026-10-20T12:30:05.123Z')), '20261020T123005Z');
+});
+
+test('long lines fold at 75 octets without splitting characters', () => {
+  const line = `SUMMARY:${'é'.repeat(60)}`;
+  const folded = foldLine(line);
+  const parts = folded.split('\r\n');
+
+  assert.ok(parts.length > 1);
+  assert.ok(parts.every(part => Buffer.byteLength(part) <= 75));
+  assert.ok(parts.slice(1).every(part => part.startsWith(' ')));
+  assert.equal(parts.map((part, i) => (i === 0 ? part : part.slice(1))).join(''), line);
+  assert.equal(foldLine('SUMMARY:short'), 'SUMMARY:short');
+});
+
+test('splitTextList splits on unescaped commas only', () => {
+  assert.deepEqual(splitTextList('work,a\\,b,home'), ['work', 'a,b', 'home']);
+});
+
+test('parseCalendar reads what buildCalendar writes', () => {
+  const text = buildCalendar(['X-WR-CALNAME:Tasks'], [[
+    'BEGIN:VTODO',
+    'UID:task-1@twu',
+    `SUMMARY:${escapeText('x'.repeat(100))}`,
+    'DUE;VALUE=DATE:20261020',
+    ['BEGIN:VALARM', 'TRIGGER:-PT15M', 'END:VALARM'],
+    'END:VTODO'
+  ]]);
+
+  assert.ok(text.endsWith('END:VCALENDAR\r\n'));
+
+  const [calendar] = parseCalendar(text);
+  const [todo] = calendar.components;
+  assert.equal(calendar.type, 'VCALENDAR');
+  assert.equal(todo.type, 'VTODO');
+  assert.equal(todo.properties.find(p => p.name === 'SUMMARY').value, 'x'.repeat(100));
+  assert.deepEqual(todo.properties.find(p => p.name === 'DUE').params, { VALUE: 'DATE' });
+  assert.equal(todo.components[0].type, 'VALARM');
+});
+
+test('parseCalendar rejects components that do not close', () => {
+  assert.throws(() => parseCalendar('BEGIN:VCALENDAR\r\nBEGIN:VTODO\r\nEND:VCALENDAR'), /Unexpected END/);
+  assert.throws(() => parseCalendar('BEGIN:VCALENDAR\r\nBEGIN:VTODO\r\n'), /Missing END:VTODO/);
+});
@@ -0,0 +1,94 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createUser, startApp } = require('./helpers');
+const db = require('../database/db');
+const importService = require('../services/importService');
+const taskEventService = require('../services/taskEventService');
+
+const app = startApp({ '/api/import': require('../routes/import') });
+
+const twuExport = (fields) => Buffer.from(JSON.stringify({ format: 'twu-export', version: 1, tasks: [], ...fields }));
+
+const markdown = [
+  '- [ ] Clean garage #home',
+  '  - [ ] Sort tools',
+  '- [ ] Buy paint #diy'
+].join('\n');
+
+// Every row the user has in the tables an import writes to
+const snapshot = (userId) => ({
+  tasks: db.prepare('SELECT * FROM tasks WHERE user_id = ? ORDER BY id').all(userId),
+  tags: db.prepare('SELECT * FROM tags WHERE user_id = ? ORDER BY id').all(userId),
+  task_tags: db.prepare('SELECT tt.* FROM task_tags tt JOIN tasks t ON t.id = tt.task_id WHERE t.user_id = ?').all(userId),
+  imports: db.prepare('SELECT * FROM imports WHERE user_id = ?').all(userId)
+});
+
+test('a dry run reports what it would create and leaves the tables as they were', () => {
+  const user = createUser();
+  const { plan } = importService.readImportFile('markdown', Buffer.from(markdown));
+  importService.runImport(user.id, 'markdown', importService.readImportFile('markdown', Buffer.from('- [ ] Clean garage')).plan);
+  const before = snapshot(user.id);
+
+  const report = importService.runImport(user.id, 'markdown', plan, { dryRun: true });
+
+  assert.equal(report.id, null);
+  assert.deepEqual(report.created, { tasks: 1, memos: 0, inbox: 0, tags: 1 });
+  assert.deepEqual(report.duplicates, { tasks: 2, memos: 0, inbox: 0 });
+  assert.deepEqual(snapshot(user.id), before);
+});
+
+test('an import that fails partway leaves nothing behind', (t) => {
+  const user = createUser();
+  const { plan } = importService.readImportFile('markdown', Buffer.from(markdown));
+  const before = snapshot(user.id);
+
+  // Runs after every task and tag is written
+  const recordCreated = t.mock.method(taskEventService, 'recordCreated', () => {
+    throw new Error('Disk full');
+  });
+
+  assert.throws(() => importService.runImport(user.id, 'markdown', plan), /Disk full/);
+  assert.equal(recordCreated.mock.calls[0].arguments[0].length, 3);
+  assert.deepEqual(snapshot(user.id), before);
+});
+
+test('TWU exports: items without a title or content are counted in the warnings', () => {
+  const { plan } = importService.readImportFile('twu', twuExport({
+    tasks: [
+      { id: 1, title: 'Kept' },
+      { id: 2, title: '  ' },
+      { id: 3, title: 42 },
+      { id: 4, title: 'Orphan', parent_task_id: 3 },
+      { id: 5, title: 'Trashed', deleted_at: '2026-10-01 10:00:00' }
+    ],
+    memos: [{ title: 'Notes', content: 'Text' }, { title: 'Empty' }],
+    inbox: [{ content: 'Call Ann' }, { content: null }]
+  }));
+
+  assert.deepEqual(plan.tasks.map(task => task.title), ['Kept', 'Orphan']);
+  assert.deepEqual(plan.memos.map(memo => memo.title), ['Notes']);
+  assert.deepEqual(plan.inbox.map(item => item.content), ['Call Ann']);
+  assert.deepEqual(plan.warnings, [
+    '1 items from the trash were left out',
+    '4 items without a title or content were left out'
+  ]);
+});
+
+test('a mapping that is not one JSON object answers 400', async () => {
+  const user = createUser();
+  const upload = (...mappings) => {
+    const form = new FormData();
+    form.append('source', 'csv');
+    mappings.forEach(mapping => form.append('mapping', mapping));
+    form.append('file', new Blob(['Name,Due\nPlan trip,2026-11-02\n']), 'tasks.csv');
+    return app.send(user, 'POST', '/api/import', form);
+  };
+
+  for (const mappings of [['{bad'], ['[1]'], ['{}', '{}']]) {
+    assert.equal((await upload(...mappings)).status, 400, mappings.join(' '));
+  }
+
+  const { status, body } = await upload('{"title":"Name"}');
+  assert.equal(status, 201);
+  assert.equal(body.report.created.tasks, 1);
+});
@@ -0,0 +1,160 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  readDeadline,
+  parseTodoistCsv,
+  parseGenericCsv,
+  parseTrelloJson,
+  parseMarkdown
+} = require('../utils/importFormats');
+
+// Sunday 2026-10-18, 09:00 UTC
+const now = new Date('2026-10-18T09:00:00Z');
+const options = { timezone: 'Europe/Berlin', now };
+
+test('readDeadline keeps dates and wall-clock times, and moves zoned times', () => {
+  assert.equal(readDeadline('2026-10-20', options), '2026-10-20');
+  assert.equal(readDeadline('2026-10-20 14:30:00', options), '2026-10-20T14:30');
+  assert.equal(readDeadline('2026-10-20T12:30:00.000Z', options), '2026-10-20T14:30');
+  assert.equal(readDeadline('tomorrow', options), '2026-10-19');
+  assert.equal(readDeadline('2026-13-40', options), null);
+  assert.equal(readDeadline('someday', options), null);
+  assert.equal(readDeadline('', options), null);
+});
+
+test('Todoist CSV: indents make subtasks, sections statuses, @labels tags', () => {
+  const plan = parseTodoistCsv([
+    'TYPE,CONTENT,DESCRIPTION,PRIORITY,INDENT,DATE,DURATION,DURATION_UNIT',
+    'section,Doing,,,,,,',
+    'task,Write report @work,Draft first,1,1,2026-10-20,90,minute',
+    'note,Ask Ann for numbers,,,,,,',
+    'task,Collect numbers,,4,2,,,',
+    'task,Water plants,,,1,every monday,,'
+  ].join('\n'), options);
+
+  assert.equal(plan.tasks.length, 2);
+  const [report, plants] = plan.tasks;
+  assert.equal(report.title, 'Write report');
+  assert.deepEqual(report.tags, ['work']);
+  assert.equal(report.status, 'Doing');
+  assert.equal(report.importance, 850000);
+  assert.equal(report.deadline, '2026-10-20');
+  assert.equal(report.estimate_minutes, 90);
+  assert.equal(report.description, 'Draft first\n\nAsk Ann for numbers');
+  assert.deepEqual(report.subtasks.map(task => task.title), ['Collect numbers']);
+  assert.equal(plants.deadline, null);
+  assert.deepEqual(plan.warnings, ['1 recurring due dates were left out: set those tasks to repeat again']);
+});
+
+test('Todoist CSV needs TYPE and CONTENT columns', () => {
+  assert.deepEqual(parseTodoistCsv('title,due\nx,y'), {
+    error: 'Not a Todoist CSV file (it needs TYPE and CONTENT columns)'
+  });
+});
+
+test('generic CSV guesses columns and links parents by ID', () => {
+  const plan = parseGenericCsv([
+    'ID;Name;Due;Done;Labels;Parent',
+    '1;Plan trip;2026-11-02;no;travel, #fun;',
+    '2;Book hotel;;yes;;1',
+    '3;Pack;;;;9'
+  ].join('\n'), options);
+
+  assert.deepEqual(plan.mapping, {
+    title: 'Name',
+    deadline: 'Due',
+    completed: 'Done',
+    tags: 'Labels',
+    id: 'ID',
+    parent: 'Parent'
+  });
+  assert.deepEqual(plan.tasks.map(task => task.title), ['Plan trip', 'Pack']);
+  assert.deepEqual(plan.tasks[0].tags, ['travel', 'fun']);
+  assert.equal(plan.tasks[0].deadline, '2026-11-02');
+  assert.equal(plan.tasks[0].subtasks[0].title, 'Book hotel');
+  assert.equal(plan.tasks[0].subtasks[0].completed, true);
+  assert.equal(plan.warnings.length, 1);
+});
+
+test('generic CSV mappings are checked against the header', () => {
+  assert.deepEqual(parseGenericCsv('a,b\n1,2', { mapping: { title: 'c' } }), { error: 'Column "c" is not in the file' });
+  assert.deepEqual(parseGenericCsv('a,b\n1,2'), { error: 'Choose the column with the task titles' });
+  assert.equal(parseGenericCsv('a,b\n1,2', { mapping: { title: 'b' } }).tasks[0].title, '2');
+});
+
+test('generic CSV parents that would make a loop are dropped', () => {
+  const plan = parseGenericCsv('title,parent\nA,B\nB,A\n');
+  assert.deepEqual(plan.tasks.map(task => task.title), ['B']);
+  assert.deepEqual(plan.tasks[0].subtasks.map(task => task.title), ['A']);
+});
+
+test('Trello boards: cards, checklists, labels and archived cards', () => {
+  const plan = parseTrelloJson(JSON.stringify({
+    lists: [{ id: 'l2', name: 'Done', pos: 2 }, { id: 'l1', name: 'To do', pos: 1 }, { id: 'l3', name: 'Old', closed: true }],
+    labels: [{ id: 'g', name: '', color: 'green_dark' }, { id: 'r', name: 'Urgent', color: 'red' }],
+    cards: [
+      { id: 'c2', name: 'Ship it', idList: 'l2', dueComplete: true, idLabels: ['r'] },
+      { id: 'c1', name: 'Write it', idList: 'l1', due: '2026-10-20T12:30:00.000Z', idLabels: ['g'] },
+      { id: 'c3', name: 'Lost', idList: 'l3' },
+      { id: 'c4', name: 'Gone', idList: 'l1', closed: true }
+    ],
+    checklists: [{ idCard: 'c1', checkItems: [{ name: 'Outline', state: 'complete', pos: 2 }, { name: 'Intro', pos: 1 }] }]
+  }), options);
+
+  assert.deepEqual(plan.tasks.map(task => [task.title, task.status]), [['Write it', 'To do'], ['Ship it', 'Done']]);
+  assert.equal(plan.tasks[0].deadline, '2026-10-20T14:30');
+  assert.deepEqual(plan.tasks[0].tags, ['green']);
+  assert.deepEqual(plan.tasks[0].subtasks.map(task => [task.title, task.completed]), [['Intro', false], ['Outline', true]]);
+  assert.equal(plan.tasks[1].completed, true);
+  assert.deepEqual(plan.tags, [{ name: 'green', color: '#4bce97' }, { name: 'Urgent', color: '#f87168' }]);
+  assert.deepEqual(plan.warnings, ['2 archived cards were left out']);
+});
+
+test('Trello needs a board export', () => {
+  assert.deepEqual(parseTrelloJson('{'), { error: 'Not a JSON file' });
+  assert.deepEqual(parseTrelloJson('{"cards":[]}'), { error: 'Not a Trello board export (it needs lists and cards)' });
+});
+
+test('Markdown checklists become tasks with quick-add markers', () => {
+  const plan = parseMarkdown([
+    '# Weekend',
+    '- [ ] Clean garage tomorrow #home',
+    '  - [x] Sort tools',
+    '\t- [ ] Sweep',
+    '- [X] Buy paint !urgent'
+  ].join('\n'), options);
+
+  assert.deepEqual(plan.tasks.map(task => task.title), ['Clean garage', 'Buy paint']);
+  assert.equal(plan.tasks[0].deadline, '2026-10-19');
+  assert.deepEqual(plan.tasks[0].tags, ['home']);
+  const [sortTools] = plan.tasks[0].subtasks;
+  assert.deepEqual([sortTools.title, sortTools.completed], ['Sort tools', true]);
+  // A tab is four spaces, deeper than the item above
+  assert.deepEqual(sortTools.subtasks.map(task => task.title), ['Sweep']);
+  assert.equal(plan.tasks[1].completed, true);
+  assert.ok(plan.tasks[1].urgency > 0);
+});
+
+test('other Markdown documents become one memo', () => {
+  const plan = parseMarkdown([
+    '---',
+    'title: "Trip ideas"',
+    'project: Travel',
+    'tags: [places, "to visit"]',
+    '---',
+    'Lisbon, Porto',
+    '## Details',
+    'Spring'
+  ].join('\n'));
+
+  assert.deepEqual(plan.memos, [{
+    title: 'Trip ideas',
+    content: 'Lisbon, Porto',
+    details: 'Spring',
+    project: 'Travel',
+    tags: ['places', 'to visit'],
+    created_at: null
+  }]);
+  assert.equal(parseMarkdown('Just text', { fileName: 'notes.md' }).memos[0].title, 'notes');
+  assert.deepEqual(parseMarkdown('  \n'), { error: 'The file is empty' });
+});
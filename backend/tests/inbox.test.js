@@ -0,0 +1,83 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The routes open the database on require: point it at a throwaway file first
+const dbFile = path.join(os.tmpdir(), `twu-inbox-test-${process.pid}.db`);
+process.env.DATABASE_PATH = dbFile;
+process.env.JWT_SECRET = 'inbox-test-secret-that-is-long-enough-for-jwt';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const db = require('../database/db');
+const inboxRoutes = require('../routes/inbox');
+const userSettingsService = require('../services/userSettingsService');
+const { getLocalTime } = require('../utils/timezone');
+
+let server;
+let baseUrl;
+let token;
+let userId;
+
+before(async () => {
+  userId = db.prepare(`
+    INSERT INTO users (email, password_hash, name, email_verified) VALUES ('inbox@example.com', 'x', 'Inbox', 1)
+  `).run().lastInsertRowid;
+  userSettingsService.updateSettings(userId, { timezone: 'Europe/Berlin' });
+  token = jwt.sign({ userId }, process.env.JWT_SECRET);
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/inbox', inboxRoutes);
+
+  await new Promise(resolve => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/inbox`;
+});
+
+after(() => {
+  server.close();
+  db.close();
+  for (const file of [dbFile, `${dbFile}-wal`, `${dbFile}-shm`]) {
+    fs.rmSync(file, { force: true });
+  }
+});
+
+const send = async (method, url, body) => {
+  const response = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+test('captures read the >today marker and keep the content escaped', async () => {
+  const today = getLocalTime(new Date(), 'Europe/Berlin').date;
+  const { status, body } = await send('POST', baseUrl, { content: 'Call bob tomorrow 3pm >today #work' });
+
+  assert.equal(status, 201);
+  assert.equal(body.item.content, 'Call bob tomorrow 3pm &gt;today #work');
+  assert.equal(body.item.parsed.planned_for_today, today);
+  assert.equal(body.item.parsed.title, 'Call bob');
+  assert.deepEqual(body.item.parsed.tags, ['work']);
+});
+
+test('edits read the >weekday marker again', async () => {
+  const created = await send('POST', baseUrl, { content: 'Plain note' });
+  assert.equal(created.body.item.parsed, null);
+
+  const { status, body } = await send('PUT', `${baseUrl}/${created.body.item.id}`, { content: 'Plain note >fri' });
+  assert.equal(status, 200);
+  assert.match(body.item.parsed.planned_for_today, /^\d{4}-\d{2}-\d{2}$/);
+  assert.equal(body.item.parsed.title, 'Plain note');
+});
+
+test('the parsed title is sanitized like the content', async () => {
+  const { body } = await send('POST', baseUrl, { content: 'Review <b>Q&A</b> !urgent' });
+
+  assert.equal(body.item.parsed.title, 'Review &lt;b&gt;Q&amp;A&lt;/b&gt;');
+});
@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createUser, startApp } = require('./helpers');
+
+const app = startApp({
+  '/api/tasks': require('../routes/tasks'),
+  '/api/pomodoros': require('../routes/pomodoros')
+});
+
+test('a session logs interruptions and counts once completed', async () => {
+  const user = createUser();
+  const task = (await app.send(user, 'POST', '/api/tasks', { title: 'Focus' })).body.task;
+
+  const started = await app.send(user, 'POST', '/api/pomodoros', { task_id: task.id });
+  assert.equal(started.status, 201);
+  const session = started.body.session;
+  assert.equal(session.status, 'running');
+  assert.equal(session.planned_minutes, 25);
+
+  const interrupted = await app.send(user, 'POST', `/api/pomodoros/${session.id}/interruptions`, { note: 'Phone' });
+  assert.equal(interrupted.status, 201);
+  assert.deepEqual(interrupted.body.session.interruptions.map(i => i.note), ['Phone']);
+
+  const finished = await app.send(user, 'POST', `/api/pomodoros/${session.id}/finish`, { status: 'completed' });
+  assert.equal(finished.status, 200);
+  assert.equal(finished.body.session.actual_seconds, 1500);
+  assert.equal(finished.body.task.pomodoro_count, 1);
+  assert.equal(finished.body.task.time_spent_minutes, 25);
+
+  const again = await app.send(user, 'POST', `/api/pomodoros/${session.id}/finish`, { status: 'abandoned' });
+  assert.equal(again.status, 409);
+});
+
+test('abandoned sessions keep their time but not the count', async () => {
+  const user = createUser();
+  const task = (await app.send(user, 'POST', '/api/tasks', { title: 'Read' })).body.task;
+  const { session } = (await app.send(user, 'POST', '/api/pomodoros', { task_id: task.id })).body;
+
+  const { body } = await app.send(user, 'POST', `/api/pomodoros/${session.id}/finish`, {
+    status: 'abandoned',
+    actual_seconds: 600
+  });
+  assert.equal(body.task.pomodoro_count, 0);
+  assert.equal(body.task.time_spent_minutes, 10);
+
+  const sessions = (await app.send(user, 'GET', `/api/tasks/${task.id}/pomodoros`)).body.sessions;
+  assert.deepEqual(sessions.map(s => s.status), ['abandoned']);
+
+  const daily = (await app.send(user, 'GET', '/api/pomodoros/daily')).body;
+  assert.deepEqual(daily.totals, { completed: 0, abandoned: 1, focus_minutes: 10, interruptions: 0 });
+});
+
+test('sessions belong to their user', async () => {
+  const owner = createUser();
+  const task = (await app.send(owner, 'POST', '/api/tasks', { title: 'Mine' })).body.task;
+  const { session } = (await app.send(owner, 'POST', '/api/pomodoros', { task_id: task.id })).body;
+  const other = createUser();
+
+  assert.equal((await app.send(other, 'POST', '/api/pomodoros', { task_id: task.id })).status, 404);
+  assert.equal((await app.send(other, 'POST', `/api/pomodoros/${session.id}/finish`, { status: 'completed' })).status, 404);
+  assert.equal((await app.send(other, 'GET', `/api/tasks/${task.id}/pomodoros`)).status, 404);
+});
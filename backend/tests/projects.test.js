@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createUser, startApp } = require('./helpers');
+
+const app = startApp({
+  '/api/tasks': require('../routes/tasks'),
+  '/api/projects': require('../routes/projects'),
+  '/api/areas': require('../routes/areas')
+});
+
+test('projects group tasks, show progress and sit in areas', async () => {
+  const user = createUser();
+  const area = (await app.send(user, 'POST', '/api/areas', { name: 'Work' })).body.area;
+  const created = await app.send(user, 'POST', '/api/projects', { name: 'Website', area_id: area.id });
+  assert.equal(created.status, 201);
+  const project = created.body.project;
+
+  const task = (await app.send(user, 'POST', '/api/tasks', { title: 'Design', project_id: project.id })).body.task;
+  const subtask = (await app.send(user, 'POST', '/api/tasks', { title: 'Sketch', parent_task_id: task.id })).body.task;
+  assert.equal(subtask.project_id, project.id);
+  await app.send(user, 'PATCH', `/api/tasks/${subtask.id}/toggle`, {});
+
+  const { body } = await app.send(user, 'GET', `/api/projects?area_id=${area.id}`);
+  assert.deepEqual(body.projects.map(p => [p.name, p.area_name, p.task_count, p.completed_task_count, p.progress]), [
+    ['Website', 'Work', 2, 1, 50]
+  ]);
+
+  const tasks = (await app.send(user, 'GET', `/api/tasks?project_id=${project.id}`)).body.tasks;
+  assert.deepEqual(tasks.map(t => t.title).sort(), ['Design', 'Sketch']);
+
+  // Deleting the area keeps its projects
+  await app.send(user, 'DELETE', `/api/areas/${area.id}`);
+  assert.equal((await app.send(user, 'GET', `/api/projects/${project.id}`)).body.project.area_id, null);
+});
+
+test('project names are unique and projects belong to their user', async () => {
+  const user = createUser();
+  const project = (await app.send(user, 'POST', '/api/projects', { name: 'Garden' })).body.project;
+  assert.equal((await app.send(user, 'POST', '/api/projects', { name: 'Garden' })).status, 409);
+
+  const other = createUser();
+  assert.equal((await app.send(other, 'GET', `/api/projects/${project.id}`)).status, 404);
+  const refused = await app.send(other, 'POST', '/api/tasks', { title: 'Sneak in', project_id: project.id });
+  assert.equal(refused.status, 400);
+});
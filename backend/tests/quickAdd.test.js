@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseQuickAdd, HINT_LEVELS } = require('../utils/quickAdd');
+
+// Sunday 2026-10-18, 09:00 UTC
+const now = new Date('2026-10-18T09:00:00Z');
+const parse = (text, timezone = 'UTC') => parseQuickAdd(text, { timezone, now });
+
+test('markers become tags, hints and the planned date', () => {
+  assert.deepEqual(parse('Call supplier tomorrow 3pm #work #work !urgent ^important >today'), {
+    title: 'Call supplier',
+    tags: ['work'],
+    deadline: '2026-10-19T15:00',
+    planned_for_today: '2026-10-18',
+    importance: HINT_LEVELS.high,
+    urgency: HINT_LEVELS.high
+  });
+});
+
+test('>markers take weekdays, abbreviations and dates', () => {
+  assert.equal(parse('Gym >fri').planned_for_today, '2026-10-23');
+  assert.equal(parse('Gym >tom').planned_for_today, '2026-10-19');
+  assert.equal(parse('Gym >2026-11-02').planned_for_today, '2026-11-02');
+  // Not a date: stays in the title
+  assert.equal(parse('a >b').title, 'a >b');
+});
+
+test('date phrases count from the local date', () => {
+  assert.equal(parse('Pay rent friday').deadline, '2026-10-23');
+  // Weeks start on Monday, so from a Sunday "next friday" is this coming one
+  assert.equal(parse('Pay rent next friday').deadline, '2026-10-23');
+  const tuesday = { timezone: 'UTC', now: new Date('2026-10-13T09:00:00Z') };
+  assert.equal(parseQuickAdd('Pay rent friday', tuesday).deadline, '2026-10-16');
+  assert.equal(parseQuickAdd('Pay rent next friday', tuesday).deadline, '2026-10-23');
+  assert.equal(parse('Pay rent next week').deadline, '2026-10-19');
+  assert.equal(parse('Pay rent in 2 weeks').deadline, '2026-11-01');
+  assert.equal(parse('Pay rent in 1 month').deadline, '2026-11-18');
+  assert.equal(parse('Pay rent oct 20').deadline, '2026-10-20');
+  assert.equal(parse('Pay rent 3 march').deadline, '2027-03-03');
+  assert.equal(parse('Pay rent due 2026-12-01').deadline, '2026-12-01');
+  // 09:00 UTC is still Saturday evening in Honolulu (UTC-10)
+  assert.equal(parse('Pay rent tomorrow', 'Pacific/Honolulu').deadline, '2026-10-18');
+});
+
+test('a time alone is today, or tomorrow once it has passed', () => {
+  assert.equal(parse('Standup at 10:30').deadline, '2026-10-18T10:30');
+  assert.equal(parse('Standup 8am').deadline, '2026-10-19T08:00');
+  assert.equal(parse('Lunch noon').deadline, '2026-10-18T12:00');
+});
+
+test('only the first date phrase is read and punctuation is tidied', () => {
+  const parsed = parse('Email Ann today, then Bob tomorrow');
+  assert.equal(parsed.deadline, '2026-10-18');
+  assert.equal(parsed.title, 'Email Ann, then Bob tomorrow');
+});
+
+test('words that only look like dates stay in the title', () => {
+  const parsed = parse('Read todays feb 30 notes at 25:00');
+  assert.equal(parsed.deadline, null);
+  assert.equal(parsed.title, 'Read todays feb 30 notes at 25:00');
+});
+
+test('unknown hints stay in the title', () => {
+  const parsed = parse('Wow !nice ^whatever');
+  assert.equal(parsed.title, 'Wow !nice ^whatever');
+  assert.equal(parsed.urgency, null);
+  assert.equal(parsed.importance, null);
+});
@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { isValidRank, rankBetween, evenlySpacedRanks } = require('../utils/rank');
+
+test('rankBetween gives the documented keys', () => {
+  assert.equal(rankBetween(null, null), 'V');
+  assert.equal(rankBetween('V', null), 'k');
+  assert.equal(rankBetween('V', 'W'), 'VV');
+  assert.equal(rankBetween('V', 'V1'), 'V0V');
+});
+
+test('keys generated between others sort between them', () => {
+  const check = (before, after) => {
+    const rank = rankBetween(before, after);
+    assert.ok(isValidRank(rank), rank);
+    if (before) assert.ok(before < rank, `${before} < ${rank}`);
+    if (after) assert.ok(rank < after, `${rank} < ${after}`);
+    return rank;
+  };
+
+  // Always inserting at the top, at the bottom and right after the first item
+  let first = check(null, null);
+  let last = first;
+  let second = check(first, null);
+  for (let i = 0; i < 200; i++) {
+    first = check(null, first);
+    last = check(last, null);
+    second = check(first, second);
+  }
+});
+
+test('rankBetween refuses bounds in the wrong order', () => {
+  assert.throws(() => rankBetween('k', 'V'), /Cannot generate a rank/);
+  assert.throws(() => rankBetween('V', 'V'), /Cannot generate a rank/);
+});
+
+test('isValidRank wants base-62 text without a trailing 0', () => {
+  assert.equal(isValidRank('V'), true);
+  assert.equal(isValidRank('a0b'), true);
+  assert.equal(isValidRank('V0'), false);
+  assert.equal(isValidRank(''), false);
+  assert.equal(isValidRank('a-b'), false);
+  assert.equal(isValidRank(5), false);
+});
+
+test('evenlySpacedRanks leaves room between neighbours', () => {
+  assert.deepEqual(evenlySpacedRanks(3), ['FV', 'V', 'kV']);
+  assert.deepEqual(evenlySpacedRanks(0), []);
+
+  const ranks = evenlySpacedRanks(5000);
+  assert.equal(new Set(ranks).size, 5000);
+  assert.ok(ranks.every(isValidRank));
+  for (let i = 1; i < ranks.length; i++) {
+    assert.ok(ranks[i - 1] < ranks[i]);
+    assert.ok(rankBetween(ranks[i - 1], ranks[i]).length <= 5);
+  }
+});
@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseRule,
+  formatRule,
+  normalizeRule,
+  nextOccurrence,
+  advance,
+  addDays,
+  daysBetween,
+  shiftDateValue
+} = require('../utils/recurrence');
+
+// The next `count` dates of a rule, each counted from the one before
+function series(ruleString, start, count, anchorDay) {
+  const rule = parseRule(ruleString);
+  const dates = [];
+  let date = start;
+  for (let i = 0; i < count; i++) {
+    date = nextOccurrence(rule, date, anchorDay);
+    dates.push(date);
+  }
+  return dates;
+}
+
+test('parseRule reads the supported parts', () => {
+  assert.deepEqual(parseRule('RRULE:freq=weekly;interval=2;byday=fr,mo'), {
+    freq: 'WEEKLY',
+    interval: 2,
+    byDay: [1, 5],
+    byMonthDay: null,
+    fromCompletion: false
+  });
+});
+
+test('parseRule rejects what it does not support', () => {
+  assert.throws(() => parseRule(''), /non-empty/);
+  assert.throws(() => parseRule('FREQ=YEARLY'), /FREQ must be/);
+  assert.throws(() => parseRule('FREQ=DAILY;BYDAY=MO'), /BYDAY/);
+  assert.throws(() => parseRule('FREQ=MONTHLY;BYMONTHDAY=0'), /BYMONTHDAY/);
+  assert.throws(() => parseRule('FREQ=DAILY;INTERVAL=0'), /INTERVAL/);
+  assert.throws(() => parseRule('FREQ=MONTHLY;BYMONTHDAY=1;X-FROM=COMPLETION'), /cannot be combined/);
+  assert.throws(() => parseRule('FREQ=DAILY;COUNT=3'), /Unsupported/);
+});
+
+test('normalizeRule writes the canonical form and clears empty values', () => {
+  assert.equal(normalizeRule('byday=TH,MO;freq=WEEKLY'), 'FREQ=WEEKLY;BYDAY=MO,TH');
+  assert.equal(normalizeRule('FREQ=DAILY;INTERVAL=1'), 'FREQ=DAILY');
+  assert.equal(normalizeRule(''), null);
+  assert.equal(formatRule(parseRule('FREQ=DAILY;INTERVAL=3;X-FROM=COMPLETION')), 'FREQ=DAILY;INTERVAL=3;X-FROM=COMPLETION');
+});
+
+test('daily and weekly rules step by their interval', () => {
+  assert.deepEqual(series('FREQ=DAILY;INTERVAL=3', '2026-02-27', 2), ['2026-03-02', '2026-03-05']);
+  assert.deepEqual(series('FREQ=WEEKLY', '2026-10-13', 1), ['2026-10-20']);
+});
+
+test('weekly BYDAY takes the rest of this week before skipping ahead', () => {
+  // 2026-10-13 is a Tuesday
+  assert.deepEqual(series('FREQ=WEEKLY;BYDAY=MO,TH', '2026-10-13', 3), ['2026-10-15', '2026-10-19', '2026-10-22']);
+  assert.deepEqual(series('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH', '2026-10-13', 3), ['2026-10-15', '2026-10-26', '2026-10-29']);
+});
+
+test('BYMONTHDAY clamps to short months and -1 is the last day', () => {
+  assert.deepEqual(series('FREQ=MONTHLY;BYMONTHDAY=31', '2026-01-15', 4), ['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30']);
+  assert.deepEqual(series('FREQ=MONTHLY;BYMONTHDAY=-1', '2028-01-31', 2), ['2028-02-29', '2028-03-31']);
+});
+
+test('monthly rules keep the series anchor day after a short month', () => {
+  assert.deepEqual(series('FREQ=MONTHLY', '2026-01-31', 4, 31), ['2026-02-28', '2026-03-31', '2026-04-30', '2026-05-31']);
+  assert.deepEqual(series('FREQ=MONTHLY', '2026-01-30', 2, 30), ['2026-02-28', '2026-03-30']);
+  assert.deepEqual(series('FREQ=MONTHLY;INTERVAL=3', '2025-11-30', 2, 30), ['2026-02-28', '2026-05-30']);
+});
+
+test('monthly rules keep a date that was not clamped', () => {
+  // Moved to the 15th by hand: the anchor day no longer applies
+  assert.deepEqual(series('FREQ=MONTHLY', '2026-02-15', 2, 31), ['2026-03-15', '2026-04-15']);
+  assert.equal(advance(parseRule('FREQ=MONTHLY'), '2026-01-31'), '2026-02-28');
+});
+
+test('date helpers work on calendar days', () => {
+  assert.equal(addDays('2026-03-28', 2), '2026-03-30');
+  assert.equal(daysBetween('2026-12-30', '2027-01-02'), 3);
+  assert.equal(shiftDateValue('2026-10-20T09:30', 3), '2026-10-23T09:30');
+});
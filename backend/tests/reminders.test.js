@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createUser, startApp } = require('./helpers');
+const db = require('../database/db');
+const reminderService = require('../services/reminderService');
+const emailService = require('../services/email');
+const userSettingsService = require('../services/userSettingsService');
+
+const app = startApp({ '/api/tasks': require('../routes/tasks') });
+
+test('deadlines without a timezone are read in the user\'s timezone on their own day', async () => {
+  const user = createUser();
+  userSettingsService.updateSettings(user.id, { timezone: 'Europe/Berlin' });
+
+  // Berlin is UTC+2 until 2026-10-25, UTC+1 after
+  const task = (await app.send(user, 'POST', '/api/tasks', { title: 'Report', deadline: '2026-10-26T09:00' })).body.task;
+  const { status, body } = await app.send(user, 'POST', `/api/tasks/${task.id}/reminders`, { before_deadline_minutes: 60 });
+  assert.equal(status, 201);
+  assert.equal(body.reminder.remind_at, '2026-10-26 07:00:00');
+
+  await app.send(user, 'PUT', `/api/tasks/${task.id}`, { deadline: '2026-10-20' });
+  const [reminder] = (await app.send(user, 'GET', `/api/tasks/${task.id}/reminders`)).body.reminders;
+  assert.equal(reminder.remind_at, '2026-10-19 21:00:00');
+
+  assert.equal(reminderService.computeRemindAt('2026-10-20T09:00:00Z', 0, 'Europe/Berlin'), '2026-10-20 09:00:00');
+  assert.equal(reminderService.computeRemindAt('2026-10-20T09:00:30', 0, 'America/New_York'), '2026-10-20 13:00:30');
+  assert.equal(reminderService.computeRemindAt('2026-13-40', 0, 'Europe/Berlin'), null);
+});
+
+test('sends cut off by a crash are retried until the attempt limit', async (t) => {
+  const send = t.mock.method(emailService, 'sendTaskReminderEmail', async () => {});
+  const user = createUser();
+  const task = (await app.send(user, 'POST', '/api/tasks', { title: 'Call back' })).body.task;
+  const now = new Date('2026-10-19T09:00:00Z');
+
+  // Claimed half an hour ago
+  const addClaim = (remindAt, attempts) => Number(db.prepare(`
+    INSERT INTO reminders (user_id, task_id, remind_at, due_at, status, attempts, updated_at)
+    VALUES (?, ?, ?, ?, 'sending', ?, '2026-10-19 08:30:00')
+  `).run(user.id, task.id, remindAt, remindAt, attempts).lastInsertRowid);
+  const retried = addClaim('2026-10-19 08:00:00', 0);
+  const lastTry = addClaim('2026-10-19 08:15:00', reminderService.MAX_ATTEMPTS - 1);
+
+  assert.deepEqual(await reminderService.processDueReminders(now), { sent: 1, failed: 0 });
+  assert.equal(send.mock.callCount(), 1);
+
+  const row = db.prepare('SELECT status, attempts, last_error FROM reminders WHERE id = ?');
+  assert.deepEqual({ ...row.get(retried) }, { status: 'sent', attempts: 2, last_error: null });
+  assert.deepEqual({ ...row.get(lastTry) }, {
+    status: 'failed',
+    attempts: reminderService.MAX_ATTEMPTS,
+    last_error: 'Interrupted while sending'
+  });
+});
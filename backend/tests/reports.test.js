@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createUser, startApp } = require('./helpers');
+
+const app = startApp({
+  '/api/tasks': require('../routes/tasks'),
+  '/api/time-entries': require('../routes/timeEntries'),
+  '/api/reports': require('../routes/reports')
+});
+
+// A task with an estimate and tracked time, completed or not
+async function trackTask(user, { title, estimate, minutes, tags, completed = true }) {
+  const task = (await app.send(user, 'POST', '/api/tasks', { title, estimate_minutes: estimate, tags })).body.task;
+  await app.send(user, 'POST', '/api/time-entries', { task_id: task.id, minutes });
+  if (completed) await app.send(user, 'PATCH', `/api/tasks/${task.id}/toggle`, {});
+  return task;
+}
+
+test('the estimate report compares completed tasks\' estimates with tracked time', async () => {
+  const user = createUser();
+  await trackTask(user, { title: 'Slides', estimate: 60, minutes: 90, tags: ['work'] });
+  await trackTask(user, { title: 'Email', estimate: 30, minutes: 15 });
+  await trackTask(user, { title: 'Unfinished', estimate: 30, minutes: 200, completed: false });
+
+  const { status, body } = await app.send(user, 'GET', '/api/reports/estimates?period=day');
+  assert.equal(status, 200);
+  assert.deepEqual(body.totals, { task_count: 2, estimated_minutes: 90, actual_minutes: 105, ratio: 1.17 });
+  assert.deepEqual(body.tags.map(tag => [tag.name, tag.estimated_minutes, tag.actual_minutes, tag.ratio]), [
+    ['work', 60, 90, 1.5],
+    [null, 30, 15, 0.5]
+  ]);
+  assert.equal(body.periods.length, 1);
+  assert.equal(body.periods[0].period, body.to);
+  assert.equal(body.periods[0].task_count, 2);
+});
+
+test('report ranges are checked', async () => {
+  const user = createUser();
+  const backwards = await app.send(user, 'GET', '/api/reports/estimates?from=2026-10-10&to=2026-10-01');
+  assert.equal(backwards.status, 400);
+  assert.equal((await app.send(user, 'GET', '/api/reports/estimates?period=year')).status, 400);
+});
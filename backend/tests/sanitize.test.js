@@ -0,0 +1,23 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { sanitizeText, decodeText, escapeHtml } = require('../utils/sanitize');
+
+test('decodeText undoes sanitizeText escaping', () => {
+  const stored = sanitizeText('Q&A <prep> "draft" it\'s');
+  assert.notEqual(stored, 'Q&A <prep> "draft" it\'s');
+  assert.equal(decodeText(stored), 'Q&A <prep> "draft" it\'s');
+});
+
+test('decodeText decodes each entity once', () => {
+  assert.equal(decodeText('&amp;lt; &#x1F600; &#233; &nbsp;'), '&lt; \u{1F600} é  ');
+  assert.equal(decodeText(null), '');
+});
+
+test('decodeText leaves entities that are not characters', () => {
+  assert.equal(decodeText('&#x110000; &#0; &#xD800; &bogus;'), '&#x110000; &#0; &#xD800; &bogus;');
+});
+
+test('escapeHtml escapes markup and quotes', () => {
+  assert.equal(escapeHtml('<b>"Q&A"</b> it\'s'), '&lt;b&gt;&quot;Q&amp;A&quot;&lt;/b&gt; it&#39;s');
+  assert.equal(escapeHtml(decodeText(sanitizeText('Tom & Jerry'))), 'Tom &amp; Jerry');
+});
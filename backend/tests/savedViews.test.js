@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { VIEW_SORTS, normalizeViewFilters, viewToTaskQuery } = require('../utils/savedViews');
+
+test('filters are normalized with every key present', () => {
+  assert.deepEqual(normalizeViewFilters({ tags: [7, 3, 7], quadrants: [2, 1, 2], q: '  invoice ' }), {
+    tags: [7, 3],
+    tag_match: 'any',
+    quadrants: [1, 2],
+    has_deadline: null,
+    deadline_from_days: null,
+    deadline_to_days: null,
+    deadline_after: null,
+    deadline_before: null,
+    completed: null,
+    parent_id: null,
+    q: 'invoice'
+  });
+});
+
+test('malformed filters are rejected', () => {
+  const rejects = (filters, message) => assert.throws(() => normalizeViewFilters(filters), message);
+
+  rejects(null, /must be an object/);
+  rejects([], /must be an object/);
+  rejects({ tags: ['3'] }, /tags must be a list/);
+  rejects({ tag_match: 'some' }, /tag_match/);
+  rejects({ quadrants: [5] }, /quadrants 1-4/);
+  rejects({ completed: 'yes' }, /completed must be true, false or null/);
+  rejects({ deadline_from_days: 1.5 }, /deadline_from_days must be between/);
+  rejects({ deadline_from_days: 7, deadline_to_days: 0 }, /must not be after deadline_to_days/);
+  rejects({ deadline_after: '2026-02-30x' }, /deadline_after must be YYYY-MM-DD/);
+  rejects({ deadline_after: '2026-12-01', deadline_before: '2026-11-01' }, /must not be after deadline_before/);
+  rejects({ has_deadline: false, deadline_to_days: 7 }, /needs tasks with a deadline/);
+  rejects({ parent_id: 'top' }, /parent_id/);
+  rejects({ q: 'x'.repeat(201) }, /at most 200 characters/);
+});
+
+test('views become GET /api/tasks query parameters', () => {
+  const filters = normalizeViewFilters({ tags: [3], quadrants: [2], has_deadline: false });
+  assert.deepEqual(viewToTaskQuery(filters, 'eisenhower', '2026-10-18'), {
+    tags: '3',
+    tag_match: 'any',
+    quadrant: '2',
+    has_deadline: 'false',
+    sort: 'eisenhower'
+  });
+
+  const subtasks = normalizeViewFilters({ completed: false, parent_id: 'none', q: 'invoice' });
+  assert.deepEqual(viewToTaskQuery(subtasks, 'deadline', '2026-10-18'), {
+    completed: 'false',
+    parent_id: 'none',
+    q: 'invoice',
+    sort: 'deadline'
+  });
+});
+
+test('relative windows count from today and narrow fixed ones', () => {
+  const week = normalizeViewFilters({ deadline_from_days: 0, deadline_to_days: 7 });
+  const query = viewToTaskQuery(week, 'deadline', '2026-10-18');
+  assert.equal(query.deadline_after, '2026-10-18');
+  assert.equal(query.deadline_before, '2026-10-25');
+
+  const both = normalizeViewFilters({
+    deadline_from_days: -3,
+    deadline_to_days: 30,
+    deadline_after: '2026-10-01',
+    deadline_before: '2026-10-31'
+  });
+  const narrowed = viewToTaskQuery(both, 'deadline', '2026-10-18');
+  assert.equal(narrowed.deadline_after, '2026-10-15');
+  assert.equal(narrowed.deadline_before, '2026-10-31');
+});
+
+test('views cannot be saved in manual order', () => {
+  assert.ok(VIEW_SORTS.includes('eisenhower'));
+  assert.ok(!VIEW_SORTS.includes('manual'));
+});
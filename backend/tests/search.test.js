@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createUser, startApp } = require('./helpers');
+const db = require('../database/db');
+const { runMigrations } = require('../database/migrate');
+
+const app = startApp({
+  '/api/tasks': require('../routes/tasks'),
+  '/api/memos': require('../routes/memos'),
+  '/api/search': require('../routes/search')
+});
+
+test('the plain text is indexed and highlighted, not its escaped form', async (t) => {
+  const user = createUser();
+  const search = async (q) => (await app.send(user, 'GET', `/api/search?q=${encodeURIComponent(q)}`)).body.results;
+
+  const task = await app.send(user, 'POST', '/api/tasks', { title: 'Fish & chips', description: 'Ask "Bob" <today>' });
+  await app.send(user, 'POST', '/api/memos', { title: 'Q&A', content: "Rock 'n' roll" });
+
+  for (const word of ['amp', 'quot', 'lt', 'gt', '39']) {
+    const results = await search(word);
+    assert.equal(results.tasks.total + results.memos.total, 0, word);
+  }
+
+  let results = await search('chips');
+  assert.equal(results.tasks.results[0].title_highlight, 'Fish &amp; <mark>chips</mark>');
+  assert.equal((await search('today')).tasks.results[0].snippet, 'Ask &quot;Bob&quot; &lt;<mark>today</mark>&gt;');
+  assert.equal((await search('roll')).memos.results[0].snippet, 'Rock &#39;n&#39; <mark>roll</mark>');
+
+  // Edits and migrations keep the index in step
+  await app.send(user, 'PUT', `/api/tasks/${task.body.task.id}`, { title: 'Salt & vinegar' });
+  assert.equal((await search('chips')).tasks.total, 0);
+
+  t.mock.method(console, 'log', () => {});
+  runMigrations();
+  results = await search('vinegar');
+  assert.equal(results.tasks.results[0].title_highlight, 'Salt &amp; <mark>vinegar</mark>');
+  assert.equal((await search('amp')).tasks.total, 0);
+  assert.equal(db.prepare("SELECT COUNT(*) FROM tasks_fts WHERE tasks_fts MATCH 'bob'").pluck().get(), 1);
+});
@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+const { buildMatchQuery } = require('../utils/searchQuery');
+
+test('words become prefix terms and quoted text phrases', () => {
+  assert.equal(buildMatchQuery('release notes'), '"release"* "notes"*');
+  assert.equal(buildMatchQuery('"release notes" q4'), '"release notes" "q4"*');
+  assert.equal(buildMatchQuery('call "acme corp"'), '"call"* "acme corp"');
+  assert.equal(buildMatchQuery('Grüße 日本'), '"Grüße"* "日本"*');
+});
+
+test('nothing searchable gives null', () => {
+  assert.equal(buildMatchQuery(''), null);
+  assert.equal(buildMatchQuery('!! - ""'), null);
+  assert.equal(buildMatchQuery('"  "'), null);
+});
+
+test('FTS5 syntax in user text is searched for, not run', () => {
+  const db = new Database(':memory:');
+  db.exec("CREATE VIRTUAL TABLE docs USING fts5(title); INSERT INTO docs VALUES ('Fix OR bug'), ('title: NEAR miss');");
+  const search = db.prepare('SELECT title FROM docs WHERE docs MATCH ?').pluck();
+
+  for (const text of ['OR', 'title:', 'NEAR(a b)', 'a AND', '"unclosed', '(*)', 'a"b', '^x -y']) {
+    assert.doesNotThrow(() => search.all(buildMatchQuery(text) ?? '""'), text);
+  }
+  assert.deepEqual(search.all(buildMatchQuery('or')), ['Fix OR bug']);
+  assert.deepEqual(search.all(buildMatchQuery('title: near')), ['title: NEAR miss']);
+  db.close();
+});
+
+test('at most 20 terms are used', () => {
+  const words = Array.from({ length: 30 }, (_, i) => `w${i}`).join(' ');
+  assert.equal(buildMatchQuery(words).split(' ').length, 20);
+});
@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createUser, startApp } = require('./helpers');
+
+const app = startApp({
+  '/api/tasks': require('../routes/tasks'),
+  '/api/statuses': require('../routes/statuses')
+});
+
+async function getStatuses(user) {
+  const { statuses } = (await app.send(user, 'GET', '/api/statuses')).body;
+  return Object.fromEntries(statuses.map(status => [status.name, status]));
+}
+
+test('moving a task across the board sets its status, order and completion', async () => {
+  const user = createUser();
+  const statuses = await getStatuses(user);
+  assert.deepEqual(Object.keys(statuses), ['Backlog', 'Next', 'Doing', 'Waiting', 'Done']);
+
+  const first = (await app.send(user, 'POST', '/api/tasks', { title: 'First' })).body.task;
+  const second = (await app.send(user, 'POST', '/api/tasks', { title: 'Second' })).body.task;
+  assert.equal(first.status_id, statuses.Backlog.id);
+
+  await app.send(user, 'PATCH', `/api/tasks/${second.id}/status`, { status_id: statuses.Doing.id });
+  const moved = await app.send(user, 'PATCH', `/api/tasks/${first.id}/status`, {
+    status_id: statuses.Doing.id,
+    after_id: second.id
+  });
+  assert.equal(moved.status, 200);
+  assert.equal(moved.body.task.status_id, statuses.Doing.id);
+
+  const board = (await app.send(user, 'GET', '/api/tasks?sort=manual&view=board')).body.tasks;
+  assert.deepEqual(board.map(task => task.title), ['Second', 'First']);
+
+  const done = await app.send(user, 'PATCH', `/api/tasks/${first.id}/status`, { status_id: statuses.Done.id });
+  assert.equal(done.body.task.completed, 1);
+  const reopened = await app.send(user, 'PATCH', `/api/tasks/${first.id}/status`, { status_id: statuses.Backlog.id });
+  assert.equal(reopened.body.task.completed, 0);
+});
+
+test('statuses limit where their tasks can move', async () => {
+  const user = createUser();
+  const statuses = await getStatuses(user);
+  await app.send(user, 'PUT', `/api/statuses/${statuses.Waiting.id}`, { transitions: [statuses.Done.id] });
+
+  const task = (await app.send(user, 'POST', '/api/tasks', { title: 'Parcel' })).body.task;
+  await app.send(user, 'PATCH', `/api/tasks/${task.id}/status`, { status_id: statuses.Waiting.id });
+
+  const refused = await app.send(user, 'PATCH', `/api/tasks/${task.id}/status`, { status_id: statuses.Backlog.id });
+  assert.equal(refused.status, 400);
+  assert.equal(refused.body.message, 'Tasks in "Waiting" cannot move to "Backlog"');
+
+  const other = await getStatuses(createUser());
+  const foreign = await app.send(user, 'PATCH', `/api/tasks/${task.id}/status`, { status_id: other.Done.id });
+  assert.equal(foreign.status, 400);
+});
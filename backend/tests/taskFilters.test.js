@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+const { buildTaskFilters, parseIdList, parseBoolean, escapeLike, QUADRANT_SQL, TASK_SORTS } = require('../utils/taskFilters');
+const { registerUrgencyFunction } = require('../utils/urgency');
+
+// The columns the filter SQL reads, and nothing else
+function createTaskTable() {
+  const db = new Database(':memory:');
+  registerUrgencyFunction(db);
+  db.exec(`
+    CREATE TABLE user_settings (user_id INTEGER, timezone TEXT, urgency_horizon_days INTEGER, urgency_curve TEXT);
+    CREATE TABLE tasks (
+      id INTEGER PRIMARY KEY, user_id INTEGER, importance INTEGER, urgency INTEGER,
+      auto_urgency INTEGER DEFAULT 0, deadline TEXT, completed INTEGER DEFAULT 0
+    );
+  `);
+  return db;
+}
+
+test('parseIdList keeps positive integers only', () => {
+  assert.deepEqual(parseIdList('1, 2,x,-3,0,4'), [1, 2, 4]);
+  assert.deepEqual(parseIdList(['5', '6,7']), [5, 6, 7]);
+});
+
+test('parseBoolean reads true/false/1/0 and nothing else', () => {
+  assert.equal(parseBoolean('true'), true);
+  assert.equal(parseBoolean('0'), false);
+  assert.equal(parseBoolean('yes'), null);
+});
+
+test('escapeLike escapes wildcards', () => {
+  assert.equal(escapeLike('50%_off\\'), '50\\%\\_off\\\\');
+});
+
+test('unknown sorts fall back to created', () => {
+  const { orderBy, sort } = buildTaskFilters({ sort: 'nope' });
+  assert.equal(sort, 'created');
+  assert.equal(orderBy, TASK_SORTS.created);
+});
+
+test('deadline_before with a date includes any time on that day', () => {
+  const db = createTaskTable();
+  const insert = db.prepare('INSERT INTO tasks (id, deadline) VALUES (?, ?)');
+  insert.run(1, '2026-10-20');
+  insert.run(2, '2026-10-20T10:00');
+  insert.run(3, '2026-10-21');
+  insert.run(4, '2026-10-19T23:30');
+
+  const ids = (query) => {
+    const { conditions, params } = buildTaskFilters(query);
+    return db.prepare(`SELECT id FROM tasks t WHERE ${conditions.join(' AND ')} ORDER BY id`)
+      .all(...params).map(row => row.id);
+  };
+
+  assert.deepEqual(ids({ deadline_before: '2026-10-20' }), [1, 2, 4]);
+  assert.deepEqual(ids({ deadline_after: '2026-10-20', deadline_before: '2026-10-20' }), [1, 2]);
+  assert.deepEqual(ids({ deadline_before: '2026-10-20T09:00' }), [1, 4]);
+});
+
+test('quadrants fall back to the default priority only for missing values', () => {
+  const db = createTaskTable();
+  const insert = db.prepare('INSERT INTO tasks (id, importance, urgency) VALUES (?, ?, ?)');
+  insert.run(1, null, null);
+  insert.run(2, 0, 900000);
+  insert.run(3, 0, 0);
+  insert.run(4, 700000, 100000);
+
+  const quadrants = db.prepare(`SELECT id, (${QUADRANT_SQL}) AS quadrant FROM tasks t ORDER BY id`).all();
+  assert.deepEqual(quadrants.map(row => row.quadrant), [1, 3, 4, 2]);
+});
@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createUser, startApp } = require('./helpers');
+const db = require('../database/db');
+
+const app = startApp({ '/api/tasks': require('../routes/tasks') });
+
+const createTask = async (user, fields) => (await app.send(user, 'POST', '/api/tasks', fields)).body.task;
+
+test('the tree nests subtasks and rolls up progress and time', async () => {
+  const user = createUser();
+  const root = await createTask(user, { title: 'Launch' });
+  const site = await createTask(user, { title: 'Site', parent_task_id: root.id });
+  const copy = await createTask(user, { title: 'Copy', parent_task_id: site.id });
+  await createTask(user, { title: 'Mail', parent_task_id: root.id });
+
+  db.prepare('UPDATE tasks SET completed = 1, pomodoro_count = 2, time_spent_minutes = 50 WHERE id = ?').run(copy.id);
+  db.prepare('UPDATE tasks SET time_spent_minutes = 10 WHERE id = ?').run(root.id);
+
+  const { status, body } = await app.send(user, 'GET', `/api/tasks/${root.id}/tree`);
+  assert.equal(status, 200);
+  assert.deepEqual(body.task.subtasks.map(task => task.title), ['Site', 'Mail']);
+  assert.deepEqual(body.task.subtasks[0].subtasks.map(task => task.title), ['Copy']);
+  assert.deepEqual(body.task.rollup, {
+    subtask_count: 3,
+    completed_subtask_count: 1,
+    completion_percentage: 33,
+    pomodoro_count: 2,
+    time_spent_minutes: 60
+  });
+  assert.equal(body.task.subtasks[0].rollup.completion_percentage, 100);
+
+  assert.equal((await app.send(createUser(), 'GET', `/api/tasks/${root.id}/tree`)).status, 404);
+});
+
+test('completing a parent offers, then cascades, to its children', async () => {
+  const user = createUser();
+  const parent = await createTask(user, { title: 'Move house' });
+  const child = await createTask(user, { title: 'Pack', parent_task_id: parent.id });
+
+  const offered = await app.send(user, 'PATCH', `/api/tasks/${parent.id}/toggle`, {});
+  assert.deepEqual(offered.body.cascade_offers, [{ type: 'complete_children', task_id: parent.id, count: 1 }]);
+
+  const { body } = await app.send(user, 'POST', `/api/tasks/${parent.id}/complete-subtasks`);
+  assert.deepEqual(body.completed_ids, [child.id]);
+});
+
+test('completing the last child can complete the parent too', async () => {
+  const user = createUser();
+  const parent = await createTask(user, { title: 'Trip' });
+  const first = await createTask(user, { title: 'Book', parent_task_id: parent.id });
+  const last = await createTask(user, { title: 'Pack', parent_task_id: parent.id });
+
+  const offered = await app.send(user, 'PATCH', `/api/tasks/${first.id}/toggle`, {});
+  assert.deepEqual(offered.body.cascade_offers, []);
+
+  const { body } = await app.send(user, 'PATCH', `/api/tasks/${last.id}/toggle`, { cascade: ['parent'] });
+  assert.deepEqual(body.cascaded_ids, [parent.id]);
+  assert.equal(db.prepare('SELECT completed FROM tasks WHERE id = ?').get(parent.id).completed, 1);
+});
+
+test('subtasks can only be added under your own tasks', async () => {
+  const owner = createUser();
+  const parent = await createTask(owner, { title: 'Private plan' });
+  const trashed = await createTask(owner, { title: 'Old plan' });
+  db.prepare("UPDATE tasks SET deleted_at = datetime('now') WHERE id = ?").run(trashed.id);
+
+  const other = await app.send(createUser(), 'POST', '/api/tasks', { title: 'Sneak in', parent_task_id: parent.id });
+  assert.equal(other.status, 404);
+  assert.equal(other.body.message, 'Parent task not found');
+  assert.equal((await app.send(owner, 'POST', '/api/tasks', { title: 'Revive', parent_task_id: trashed.id })).status, 404);
+
+  const { body } = await app.send(owner, 'GET', `/api/tasks/${parent.id}/tree`);
+  assert.equal(body.task.rollup.subtask_count, 0);
+});
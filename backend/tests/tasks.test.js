@@ -0,0 +1,26 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createUser, startApp } = require('./helpers');
+
+const app = startApp({ '/api/tasks': require('../routes/tasks') });
+
+test('task list filters take one value each', async () => {
+  const user = createUser();
+  await app.send(user, 'POST', '/api/tasks', { title: 'Water plants' });
+  await app.send(user, 'POST', '/api/tasks', { title: 'Pay rent' });
+
+  const { status, body } = await app.send(user, 'GET', '/api/tasks?q=plant&completed=false');
+  assert.equal(status, 200);
+  assert.deepEqual(body.tasks.map(task => task.title), ['Water plants']);
+
+  for (const query of [
+    'q=a&q=b',
+    'completed=true&completed=false',
+    'sort=created&sort=deadline',
+    'project_id=none&project_id=1',
+    'offset=0&offset=1'
+  ]) {
+    assert.equal((await app.send(user, 'GET', `/api/tasks?${query}`)).status, 400, query);
+  }
+  assert.equal((await app.send(user, 'GET', '/api/tasks/calendar?from=2026-10-19&from=2026-10-20&to=2026-10-25')).status, 400);
+});
@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createUser, startApp } = require('./helpers');
+
+const app = startApp({
+  '/api/tasks': require('../routes/tasks'),
+  '/api/templates': require('../routes/templates')
+});
+
+const releaseTemplate = {
+  name: 'Release',
+  task: {
+    title: 'Release',
+    deadline_offset_days: 0,
+    deadline_time: '17:00',
+    tags: ['release'],
+    subtasks: [
+      { title: 'Freeze code', deadline_offset_days: -2 },
+      { title: 'Announce', subtasks: [{ title: 'Write post', estimate_minutes: 45 }] }
+    ]
+  }
+};
+
+test('a template becomes a task tree with deadlines counted from the start date', async () => {
+  const user = createUser();
+  const created = await app.send(user, 'POST', '/api/templates', releaseTemplate);
+  assert.equal(created.status, 201);
+
+  const { status, body } = await app.send(user, 'POST', `/api/templates/${created.body.template.id}/instantiate`, {
+    start_date: '2026-11-10'
+  });
+  assert.equal(status, 201);
+  assert.equal(body.task.title, 'Release');
+  assert.equal(body.task.deadline, '2026-11-10T17:00');
+  assert.deepEqual(body.task.tags.map(tag => tag.name), ['release']);
+
+  const [freeze, announce] = body.task.subtasks;
+  assert.equal(freeze.title, 'Freeze code');
+  assert.equal(freeze.deadline, '2026-11-08');
+  assert.equal(announce.deadline, null);
+  assert.equal(announce.subtasks[0].title, 'Write post');
+  assert.equal(announce.subtasks[0].estimate_minutes, 45);
+  assert.equal(body.task.rollup.subtask_count, 3);
+});
+
+test('templates can be added under an existing task of the user only', async () => {
+  const user = createUser();
+  const template = (await app.send(user, 'POST', '/api/templates', releaseTemplate)).body.template;
+  const parent = (await app.send(user, 'POST', '/api/tasks', { title: 'Q4' })).body.task;
+
+  const nested = await app.send(user, 'POST', `/api/templates/${template.id}/instantiate`, { parent_task_id: parent.id });
+  assert.equal(nested.body.task.parent_task_id, parent.id);
+
+  const otherParent = (await app.send(createUser(), 'POST', '/api/tasks', { title: 'Theirs' })).body.task;
+  const refused = await app.send(user, 'POST', `/api/templates/${template.id}/instantiate`, { parent_task_id: otherParent.id });
+  assert.equal(refused.status, 404);
+
+  assert.equal((await app.send(createUser(), 'POST', `/api/templates/${template.id}/instantiate`, {})).status, 404);
+});
+
+test('template names are unique per user', async () => {
+  const user = createUser();
+  await app.send(user, 'POST', '/api/templates', releaseTemplate);
+  assert.equal((await app.send(user, 'POST', '/api/templates', releaseTemplate)).status, 409);
+  assert.equal((await app.send(user, 'POST', '/api/templates', { name: 'Empty', task: {} })).status, 400);
+});
@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createUser, startApp } = require('./helpers');
+
+const app = startApp({
+  '/api/tasks': require('../routes/tasks'),
+  '/api/time-entries': require('../routes/timeEntries')
+});
+
+test('one timer runs at a time and its entry is added to the task', async () => {
+  const user = createUser();
+  const task = (await app.send(user, 'POST', '/api/tasks', { title: 'Write' })).body.task;
+
+  const started = await app.send(user, 'POST', '/api/time-entries/start', { task_id: task.id });
+  assert.equal(started.status, 201);
+  assert.equal(started.body.entry.ended_at, null);
+
+  const again = await app.send(user, 'POST', '/api/time-entries/start', { task_id: task.id });
+  assert.equal(again.status, 409);
+  assert.equal(again.body.entry.id, started.body.entry.id);
+
+  const stopped = await app.send(user, 'POST', '/api/time-entries/stop');
+  assert.equal(stopped.status, 200);
+  assert.ok(stopped.body.entry.ended_at);
+  assert.equal((await app.send(user, 'GET', '/api/time-entries/running')).body.entry, null);
+  assert.equal((await app.send(user, 'POST', '/api/time-entries/stop')).status, 404);
+});
+
+test('manual entries make up the task total and the timesheet', async () => {
+  const user = createUser();
+  const task = (await app.send(user, 'POST', '/api/tasks', { title: 'Report', tags: ['work'] })).body.task;
+
+  const created = await app.send(user, 'POST', '/api/time-entries', {
+    task_id: task.id,
+    started_at: '2026-10-15T09:00:00Z',
+    ended_at: '2026-10-15T10:30:00Z'
+  });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.task.time_spent_minutes, 90);
+
+  const edited = await app.send(user, 'PUT', `/api/time-entries/${created.body.entry.id}`, {
+    ended_at: '2026-10-15T10:00:00Z'
+  });
+  assert.equal(edited.body.task.time_spent_minutes, 60);
+
+  const sheet = await app.send(user, 'GET', '/api/time-entries/timesheet?from=2026-10-15&to=2026-10-15');
+  assert.equal(sheet.body.total_minutes, 60);
+  assert.deepEqual(sheet.body.days.map(day => [day.date, day.total_minutes]), [['2026-10-15', 60]]);
+  assert.deepEqual(sheet.body.tags.map(tag => [tag.name, tag.minutes]), [['work', 60]]);
+
+  const deleted = await app.send(user, 'DELETE', `/api/time-entries/${created.body.entry.id}`);
+  assert.equal(deleted.body.task.time_spent_minutes, 0);
+});
+
+test('entries are only added to the user\'s own tasks', async () => {
+  const owner = createUser();
+  const task = (await app.send(owner, 'POST', '/api/tasks', { title: 'Mine' })).body.task;
+
+  const { status } = await app.send(createUser(), 'POST', '/api/time-entries', { task_id: task.id, minutes: 5 });
+  assert.equal(status, 404);
+});
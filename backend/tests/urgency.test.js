@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+const { computeEffectiveUrgency, registerUrgencyFunction } = require('../utils/urgency');
+
+const linear = { horizon_days: 14, curve: 'linear', timezone: 'UTC' };
+
+test('urgency climbs from the task\'s own urgency over the horizon', () => {
+  // A date-only deadline is due at the end of its day: 7 of 14 days left
+  const now = new Date('2026-10-14T00:00:00Z');
+  assert.equal(computeEffectiveUrgency(200000, '2026-10-20', linear, now), 600000);
+  assert.equal(computeEffectiveUrgency(200000, '2026-10-20', { ...linear, curve: 'quadratic' }, now), 400000);
+  assert.equal(computeEffectiveUrgency(200000, '2026-10-20', { ...linear, curve: 'cubic' }, now), 300000);
+});
+
+test('nothing changes before the horizon, and overdue tasks are fully urgent', () => {
+  const now = new Date('2026-10-14T00:00:00Z');
+  assert.equal(computeEffectiveUrgency(200000, '2026-12-01', linear, now), 200000);
+  assert.equal(computeEffectiveUrgency(200000, '2026-10-01', linear, now), 1000000);
+});
+
+test('tasks without a deadline or urgency keep their own or the default', () => {
+  const now = new Date('2026-10-14T00:00:00Z');
+  assert.equal(computeEffectiveUrgency(300000, null, linear, now), 300000);
+  assert.equal(computeEffectiveUrgency(null, null, linear, now), 500000);
+  assert.equal(computeEffectiveUrgency(300000, 'not a date', linear, now), 300000);
+});
+
+test('deadlines without a zone are the user\'s local time', () => {
+  // 12:00 in Berlin (UTC+2 in October) is 10:00 UTC, exactly 7 days away
+  const now = new Date('2026-10-13T10:00:00Z');
+  const berlin = { ...linear, timezone: 'Europe/Berlin' };
+  assert.equal(computeEffectiveUrgency(200000, '2026-10-20T12:00', berlin, now), 600000);
+  assert.equal(computeEffectiveUrgency(200000, '2026-10-20T10:00:00Z', berlin, now), 600000);
+});
+
+test('effective_urgency() reads the settings JSON from SQL', () => {
+  const db = new Database(':memory:');
+  registerUrgencyFunction(db);
+  const query = db.prepare('SELECT effective_urgency(?, ?, ?)').pluck();
+
+  assert.equal(query.get(null, null, null), 500000);
+  assert.equal(query.get(200000, '2000-01-01', JSON.stringify(['UTC', 14, 'cubic'])), 1000000);
+  db.close();
+});
@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const { crc32, createZipWriter, readZipEntries } = require('../utils/zip');
+
+test('crc32 gives the standard check value, also in pieces', () => {
+  assert.equal(crc32(Buffer.from('123456789')), 0xCBF43926);
+  assert.equal(crc32(Buffer.from('56789'), crc32(Buffer.from('1234'))), 0xCBF43926);
+  assert.equal(crc32(Buffer.alloc(0)), 0);
+});
+
+test('archives read back, and damaged files are refused', async () => {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+
+  const zip = createZipWriter(output);
+  await zip.addFile('hello.txt', ['Hello, ', Buffer.from('world\n')]);
+  await zip.addFile('dir/empty.txt', []);
+  await zip.finish();
+  const buffer = Buffer.concat(chunks);
+
+  const entries = readZipEntries(buffer);
+  assert.deepEqual(entries.map(entry => [entry.name, entry.size]), [['hello.txt', 13], ['dir/empty.txt', 0]]);
+  assert.equal(entries[0].read(100).toString('utf8'), 'Hello, world\n');
+  assert.throws(() => entries[0].read(5), /too large/);
+
+  // Flip the stored checksum of hello.txt in the central directory
+  const damaged = Buffer.from(buffer);
+  const directory = damaged.readUInt32LE(damaged.length - 6);
+  damaged[directory + 16] ^= 0xFF;
+  assert.throws(() => readZipEntries(damaged)[0].read(100), /Damaged ZIP archive/);
+});
@@ -0,0 +1,101 @@
+/**
+ * CSV
+ *
+ * RFC 4180 rows: fields are quoted when they contain a comma, quote or line
+ * break (quotes doubled), rows end with CRLF. null and undefined are written
+ * as empty fields, and text a spreadsheet would run as a formula gets a
+ * leading ' (parsing leaves it alone).
+ *
+ * Parsing takes the same format with either line ending, a leading BOM
+ * (spreadsheet apps write one) and, optionally, semicolons as separators.
+ *
+ * @example
+ * const { formatCsvRow, parseCsv } = require('../utils/csv');
+ *
+ * formatCsvRow(['id', 'title']);            // 'id,title\r\n'
+ * formatCsvRow([1, 'Call Bob, "today"']);   // '1,"Call Bob, ""today"""\r\n'
+ * formatCsvRow([-1, '=SUM(A1)']);           // "-1,'=SUM(A1)\r\n"
+ * parseCsv('id,title\n1,"Call Bob"\n');     // [['id', 'title'], ['1', 'Call Bob']]
+ */
+
+/**
+ * One field, quoted if needed
+ *
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+function formatCsvField(value) {
+  if (value === null || value === undefined) return '';
+
+  // Spreadsheet apps run text starting with = + - @ (or a tab or CR) as a
+  // formula: a leading ' keeps it text. Numbers are written as they are.
+  const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One row, with its line ending
+ *
+ * @param {Array} values - Field values
+ * @returns {string}
+ */
+function formatCsvRow(values) {
+  return `${values.map(formatCsvField).join(',')}\r\n`;
+}
+
+/**
+ * Rows of a CSV file
+ * Empty lines are skipped. Rows keep the number of fields they have.
+ *
+ * @param {string} text - File content
+ * @param {string} separator - Field separator (',' or ';')
+ * @returns {string[][]} Rows of fields
+ */
+function parseCsv(text, separator = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char !== '"') {
+        field += char;
+      } else if (text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+}
+
+module.exports = {
+  formatCsvField,
+  formatCsvRow,
+  parseCsv
+};
@@ -0,0 +1,269 @@
+/**
+ * WebDAV XML
+ *
+ * Just enough XML for the CalDAV server: reading the few things a PROPFIND or
+ * REPORT body asks for, and writing multistatus responses. Element names are
+ * handled in Clark notation ('{DAV:}getetag'), with namespace prefixes
+ * resolved while reading and added back while writing.
+ *
+ * @example
+ * const { NS, parseDavRequest, propstatResponse, multistatus } = require('../utils/davXml');
+ *
+ * parseDavRequest('<d:propfind xmlns:d="DAV:"><d:prop><d:getetag/></d:prop></d:propfind>');
+ * // { root: '{DAV:}propfind', props: ['{DAV:}getetag'], allprop: false, hrefs: [], syncToken: null, compFilters: [] }
+ * multistatus([propstatResponse('/caldav/', [['{DAV:}displayname', 'Tasks']], [])]);
+ * // '<?xml version="1.0" encoding="utf-8"?>\n<d:multistatus xmlns:d="DAV:" ...><d:response>...'
+ */
+
+const NS = {
+  DAV: 'DAV:',
+  CALDAV: 'urn:ietf:params:xml:ns:caldav',
+  CALENDARSERVER: 'http://calendarserver.org/ns/',
+  APPLE: 'http://apple.com/ns/ical/'
+};
+
+// Prefixes written in responses
+const PREFIXES = {
+  [NS.DAV]: 'd',
+  [NS.CALDAV]: 'c',
+  [NS.CALENDARSERVER]: 'cs',
+  [NS.APPLE]: 'ical'
+};
+
+const STATUS_TEXT = {
+  200: 'OK',
+  403: 'Forbidden',
+  404: 'Not Found'
+};
+
+/**
+ * Escapes text for element content and attribute values
+ *
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * A character XML allows: tab, line breaks and everything from space up,
+ * leaving out surrogates, U+FFFE and U+FFFF
+ */
+function isXmlChar(codePoint) {
+  return codePoint === 0x9 || codePoint === 0xA || codePoint === 0xD ||
+    (codePoint >= 0x20 && codePoint <= 0xD7FF) ||
+    (codePoint >= 0xE000 && codePoint <= 0xFFFD) ||
+    (codePoint >= 0x10000 && codePoint <= 0x10FFFF);
+}
+
+/**
+ * The character of a numeric character reference
+ * @throws {Error} If it isn't a character XML allows
+ */
+function fromCharReference(reference, codePoint) {
+  if (!isXmlChar(codePoint)) {
+    throw new Error(`Invalid character reference ${reference}`);
+  }
+  return String.fromCodePoint(codePoint);
+}
+
+/**
+ * Reverses the predefined and numeric entities of XML text
+ * @throws {Error} On a reference to a character XML doesn't allow
+ */
+function decodeEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => fromCharReference(match, parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, dec) => fromCharReference(match, parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Reads the attributes of a start tag
+ */
+function parseAttributes(source) {
+  const attributes = {};
+  for (const match of source.matchAll(/([\w.:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+    attributes[match[1]] = decodeEntities(match[3] ?? match[4]);
+  }
+  return attributes;
+}
+
+/**
+ * Reads what a PROPFIND, PROPPATCH or REPORT body asks for
+ * An empty body (or <allprop/>) asks for every property.
+ *
+ * @param {string} xml - Request body
+ * @returns {object} { root, props, allprop, hrefs, syncToken, compFilters } - root and props
+ *   in Clark notation, compFilters the component names of CalDAV comp-filters
+ * @throws {Error} If the body isn't well-formed XML (as far as this reader
+ *   can tell) or has character references XML doesn't allow
+ */
+function parseDavRequest(xml) {
+  const request = { root: null, props: [], allprop: false, hrefs: [], syncToken: null, compFilters: [] };
+  const stack = []; // Open elements: { tag, name, namespaces }
+  const source = String(xml || '');
+  let position = 0;
+
+  const tags = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<(\/?)([\w.-]+:)?([\w.-]+)([^>]*?)(\/?)>|([^<]+)/g;
+
+  for (const match of source.matchAll(tags)) {
+    const [, closing, prefix, localName, attributeSource, selfClosing, text] = match;
+    const parent = stack[stack.length - 1];
+
+    // Anything the pattern skips is a '<' that doesn't start a tag
+    if (match.index !== position) {
+      throw new Error('Malformed XML');
+    }
+    position = match.index + match[0].length;
+
+    if (text !== undefined) {
+      if (!parent && text.trim()) {
+        throw new Error('Text outside the root element');
+      }
+      if (parent?.name === `{${NS.DAV}}href`) request.hrefs.push(decodeEntities(text.trim()));
+      if (parent?.name === `{${NS.DAV}}sync-token`) request.syncToken = decodeEntities(text.trim());
+      continue;
+    }
+    if (!localName) continue; // Comment or processing instruction
+
+    const tag = `${prefix || ''}${localName}`;
+
+    if (closing) {
+      if (stack.pop()?.tag !== tag) {
+        throw new Error(`Unexpected </${tag}>`);
+      }
+      continue;
+    }
+    if (!parent && request.root) {
+      throw new Error('More than one root element');
+    }
+
+    const attributes = parseAttributes(attributeSource);
+    const namespaces = { ...(parent ? parent.namespaces : {}) };
+    for (const [attribute, value] of Object.entries(attributes)) {
+      if (attribute === 'xmlns') namespaces[''] = value;
+      else if (attribute.startsWith('xmlns:')) namespaces[attribute.slice(6)] = value;
+    }
+
+    const name = `{${namespaces[prefix ? prefix.slice(0, -1) : ''] || ''}}${localName}`;
+
+    if (!request.root) request.root = name;
+    // Properties asked for (PROPFIND, REPORT) or being set (PROPPATCH)
+    const grandparent = stack[stack.length - 2];
+    if (parent?.name === `{${NS.DAV}}prop` &&
+        (stack.length === 2 || [`{${NS.DAV}}set`, `{${NS.DAV}}remove`].includes(grandparent.name))) {
+      request.props.push(name);
+    }
+    if (name === `{${NS.DAV}}allprop`) request.allprop = true;
+    if (name === `{${NS.CALDAV}}comp-filter` && attributes.name) {
+      request.compFilters.push(attributes.name.toUpperCase());
+    }
+
+    if (!selfClosing) stack.push({ tag, name, namespaces });
+  }
+
+  if (position !== source.length || stack.length > 0) {
+    throw new Error('Malformed XML');
+  }
+
+  if (!request.root || (request.root === `{${NS.DAV}}propfind` && request.props.length === 0)) {
+    request.allprop = true;
+  }
+
+  return request;
+}
+
+/**
+ * An element in Clark notation, with its content
+ *
+ * @param {string} clark - '{namespace}name'
+ * @param {string} inner - Content XML ('' for an empty element)
+ * @returns {string}
+ */
+function element(clark, inner = '') {
+  const [, namespace, name] = clark.match(/^\{(.*)\}(.+)$/);
+  const prefix = PREFIXES[namespace];
+  const tag = prefix ? `${prefix}:${name}` : `x:${name}`;
+  const declaration = prefix ? '' : ` xmlns:x="${escapeXml(namespace)}"`;
+
+  return inner === '' ? `<${tag}${declaration}/>` : `<${tag}${declaration}>${inner}</${tag}>`;
+}
+
+/**
+ * A <response> for one resource, with its found and missing properties
+ *
+ * @param {string} href - Resource path
+ * @param {Array<[string, string]>} found - [clark name, content XML] pairs
+ * @param {string[]} missing - Clark names of properties the resource doesn't have
+ * @param {number} missingStatus - Status of the missing ones (403 for properties that can't be set)
+ * @returns {string}
+ */
+function propstatResponse(href, found, missing = [], missingStatus = 404) {
+  const propstat = (props, status) => (
+    `<d:propstat><d:prop>${props.join('')}</d:prop><d:status>HTTP/1.1 ${status} ${STATUS_TEXT[status]}</d:status></d:propstat>`
+  );
+
+  return `<d:response><d:href>${escapeXml(href)}</d:href>` +
+    (found.length > 0 ? propstat(found.map(([clark, inner]) => element(clark, inner)), 200) : '') +
+    (missing.length > 0 ? propstat(missing.map(clark => element(clark)), missingStatus) : '') +
+    '</d:response>';
+}
+
+/**
+ * A <response> carrying only a status (a resource that is gone)
+ *
+ * @param {string} href - Resource path
+ * @param {number} status - HTTP status
+ * @returns {string}
+ */
+function statusResponse(href, status) {
+  return `<d:response><d:href>${escapeXml(href)}</d:href><d:status>HTTP/1.1 ${status} ${STATUS_TEXT[status]}</d:status></d:response>`;
+}
+
+/**
+ * A whole multistatus document
+ *
+ * @param {string[]} responses - From propstatResponse/statusResponse
+ * @param {string|null} syncToken - Added for sync-collection reports
+ * @returns {string}
+ */
+function multistatus(responses, syncToken = null) {
+  const namespaces = Object.entries(PREFIXES).map(([uri, prefix]) => `xmlns:${prefix}="${uri}"`).join(' ');
+
+  return '<?xml version="1.0" encoding="utf-8"?>\n' +
+    `<d:multistatus ${namespaces}>${responses.join('')}` +
+    (syncToken ? `<d:sync-token>${escapeXml(syncToken)}</d:sync-token>` : '') +
+    '</d:multistatus>';
+}
+
+/**
+ * A DAV:error body naming the precondition that failed
+ *
+ * @param {string} clark - Precondition element, e.g. '{DAV:}valid-sync-token'
+ * @returns {string}
+ */
+function errorBody(clark) {
+  const namespaces = Object.entries(PREFIXES).map(([uri, prefix]) => `xmlns:${prefix}="${uri}"`).join(' ');
+  return `<?xml version="1.0" encoding="utf-8"?>\n<d:error ${namespaces}>${element(clark)}</d:error>`;
+}
+
+module.exports = {
+  NS,
+  escapeXml,
+  parseDavRequest,
+  element,
+  propstatResponse,
+  statusResponse,
+  multistatus,
+  errorBody
+};
@@ -134,8 +134,12 @@ function buildTaskUpdateQuery(data, taskId, userId, sanitizeFn) {
     'why': 'why',
     'importance': 'importance',
     'urgency': 'urgency',
+    'auto_urgency': 'auto_urgency',
     'deadline': 'deadline',
-    'parent_task_id': 'parent_task_id'
+    'parent_task_id': 'parent_task_id',
+    'recurrence_rule': 'recurrence_rule',
+    'estimate_minutes': 'estimate_minutes',
+    'project_id': 'project_id'
   };
 
   return buildUpdateQuery(
@@ -155,7 +159,8 @@ function buildMemoUpdateQuery(data, memoId, userId, sanitizeFn) {
   const allowedFields = {
     'title': 'title',
     'content': 'content',
-    'details': 'details'
+    'details': 'details',
+    'project_id': 'project_id'
   };
 
   return buildUpdateQuery(
@@ -0,0 +1,225 @@
+/**
+ * iCalendar
+ *
+ * Reading and writing RFC 5545 calendar data: escaped text values, DATE and
+ * UTC DATE-TIME values, and content lines folded at 75 octets and joined with
+ * CRLF. Components are built as arrays of lines; nested arrays are flattened.
+ * Parsing gives components with their properties, values left escaped.
+ * Stored text is HTML-escaped and goes through escapeStoredText.
+ *
+ * @example
+ * const { escapeText, formatDate, formatDateTime, buildCalendar, parseCalendar } = require('../utils/ical');
+ *
+ * formatDate('2026-10-20');                               // '20261020'
+ * formatDateTime(new Date('2026-10-20T12:30:00Z'));       // '20261020T123000Z'
+ * buildCalendar(['X-WR-CALNAME:Tasks'], [
+ *   ['BEGIN:VTODO', 'UID:task-1@twu', `SUMMARY:${escapeText('Call Bob, today')}`, 'END:VTODO']
+ * ]);
+ * // 'BEGIN:VCALENDAR\r\nVERSION:2.0\r\n...SUMMARY:Call Bob\\, today\r\n...END:VCALENDAR\r\n'
+ * parseCalendar('BEGIN:VCALENDAR\r\nBEGIN:VTODO\r\nSUMMARY:Call Bob\\, today\r\nEND:VTODO\r\nEND:VCALENDAR');
+ * // [{ type: 'VCALENDAR', properties: [], components: [{ type: 'VTODO', properties: [
+ * //   { name: 'SUMMARY', params: {}, value: 'Call Bob\\, today' }], components: [] }] }]
+ */
+
+const { decodeText } = require('./sanitize');
+
+const PRODUCT_ID = '-//TWU//Tasks//EN';
+
+// Longest content line before folding, in octets (without the CRLF)
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escapes a TEXT value (backslash, semicolon, comma and newlines)
+ *
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Escapes text as stored in the database (HTML-escaped by sanitizeText) as a
+ * TEXT value, so calendar apps show "Q&A" rather than "Q&amp;A"
+ *
+ * @param {string} text - Stored text
+ * @returns {string}
+ */
+function escapeStoredText(text) {
+  return escapeText(decodeText(text));
+}
+
+/**
+ * A DATE value from YYYY-MM-DD
+ *
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} YYYYMMDD
+ */
+function formatDate(date) {
+  return date.replace(/-/g, '');
+}
+
+/**
+ * A UTC DATE-TIME value
+ *
+ * @param {Date} date - Moment
+ * @returns {string} YYYYMMDDTHHMMSSZ
+ */
+function formatDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Folds a content line into chunks of at most 75 octets, continuation lines
+ * starting with a space (never splitting a UTF-8 character)
+ *
+ * @param {string} line - Unfolded content line
+ * @returns {string}
+ */
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+
+  const chunks = [];
+  let chunk = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines lose one octet to the leading space
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      chunks.push(chunk);
+      chunk = '';
+      octets = 0;
+    }
+    chunk += char;
+    octets += size;
+  }
+  chunks.push(chunk);
+
+  return chunks.join('\r\n ');
+}
+
+/**
+ * Joins content lines into iCalendar text, folding long lines
+ *
+ * @param {Array<string|string[]>} lines - Content lines, possibly nested
+ * @returns {string} CRLF-terminated lines
+ */
+function serialize(lines) {
+  return lines.flat(Infinity).map(line => `${foldLine(line)}\r\n`).join('');
+}
+
+/**
+ * A whole VCALENDAR object
+ *
+ * @param {string[]} properties - Calendar properties after VERSION and PRODID
+ * @param {Array<string[]>} components - Each component's content lines
+ * @returns {string}
+ */
+function buildCalendar(properties, components) {
+  return serialize([
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    properties,
+    components,
+    'END:VCALENDAR'
+  ]);
+}
+
+/**
+ * Reverses escapeText
+ *
+ * @param {string} text - Escaped TEXT value
+ * @returns {string}
+ */
+function unescapeText(text) {
+  return text.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Splits a multi-valued TEXT value (CATEGORIES) on unescaped commas
+ *
+ * @param {string} value - Escaped list
+ * @returns {string[]} Unescaped values
+ */
+function splitTextList(value) {
+  return value.split(/(?<!\\),/).map(unescapeText);
+}
+
+/**
+ * Reads one unfolded content line: NAME;PARAM=value;PARAM="quoted":value
+ *
+ * @param {string} line - Content line
+ * @returns {object|null} { name, params, value } - names upper-cased, null if malformed
+ */
+function parseLine(line) {
+  const match = line.match(/^([A-Za-z0-9-]+)((?:;[A-Za-z0-9-]+=(?:"[^"]*"|[^";:,]*)(?:,(?:"[^"]*"|[^";:,]*))*)*):(.*)$/);
+  if (!match) return null;
+
+  const params = {};
+  for (const param of match[2].matchAll(/;([A-Za-z0-9-]+)=((?:"[^"]*"|[^";:,]*)(?:,(?:"[^"]*"|[^";:,]*))*)/g)) {
+    params[param[1].toUpperCase()] = param[2].replace(/"/g, '');
+  }
+
+  return { name: match[1].toUpperCase(), params, value: match[3] };
+}
+
+/**
+ * Parses iCalendar text into its components
+ * Nested components (VALARM inside VTODO) are kept under their parent.
+ *
+ * @param {string} text - iCalendar data
+ * @returns {object[]} Top-level components: { type, properties: [{ name, params, value }], components }
+ * @throws {Error} When BEGIN and END lines don't match up
+ */
+function parseCalendar(text) {
+  const lines = String(text).replace(/\r\n|\r/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const root = { components: [] };
+  const stack = [root];
+
+  for (const raw of lines) {
+    if (!raw.trim()) continue;
+
+    const line = parseLine(raw);
+    if (!line) continue;
+
+    if (line.name === 'BEGIN') {
+      const component = { type: line.value.toUpperCase(), properties: [], components: [] };
+      stack[stack.length - 1].components.push(component);
+      stack.push(component);
+    } else if (line.name === 'END') {
+      if (stack.length === 1 || stack[stack.length - 1].type !== line.value.toUpperCase()) {
+        throw new Error(`Unexpected END:${line.value}`);
+      }
+      stack.pop();
+    } else if (stack.length > 1) {
+      stack[stack.length - 1].properties.push(line);
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Missing END:${stack[stack.length - 1].type}`);
+  }
+
+  return root.components;
+}
+
+module.exports = {
+  PRODUCT_ID,
+  escapeText,
+  escapeStoredText,
+  formatDate,
+  formatDateTime,
+  foldLine,
+  serialize,
+  buildCalendar,
+  unescapeText,
+  splitTextList,
+  parseCalendar
+};
@@ -0,0 +1,508 @@
+/**
+ * Import Formats
+ *
+ * Reads files from other apps into an import plan, which
+ * services/importService.js writes to the database:
+ *
+ *   {
+ *     tags:  [{ name, color }],
+ *     tasks: [{ title, description, completed, importance, deadline,
+ *               estimate_minutes, project, status, tags, subtasks: [task] }],
+ *     memos: [{ title, content, details, project, tags, created_at }],
+ *     inbox: [{ content, tags }],
+ *     warnings: ['...']
+ *   }
+ *
+ * Only titles (and memo/inbox content) are required, everything else may be
+ * left out. project and status are names, matched against the user's own.
+ * Deadlines are tasks.deadline values ('YYYY-MM-DD' or the user's wall-clock
+ * 'YYYY-MM-DDTHH:MM').
+ *
+ *   todoist   Todoist's CSV export: INDENT makes subtasks, sections become
+ *             statuses, @labels tags, notes are added to the description
+ *   csv       Any CSV with a header row: a mapping picks the columns (or they
+ *             are guessed from the header), a parent column makes subtasks
+ *   trello    Trello's board JSON: cards become tasks, checklist items
+ *             subtasks, labels tags and lists statuses
+ *   markdown  "- [ ]" checklists become tasks (indented items subtasks, with
+ *             quick-add syntax), any other document one memo
+ *
+ * Each parser returns the plan, or { error } with a message for the user when
+ * the file isn't what it should be.
+ *
+ * @example
+ * const { parseTodoistCsv } = require('../utils/importFormats');
+ *
+ * const plan = parseTodoistCsv(text, { timezone: 'Europe/Berlin' });
+ * if (plan.error) return res.status(400).json({ success: false, message: plan.error });
+ */
+
+const { parseCsv } = require('./csv');
+const { parseQuickAdd } = require('./quickAdd');
+const { getLocalTime, isValidTimezone } = require('./timezone');
+const { MAX_ESTIMATE_MINUTES } = require('./taskHelpers');
+
+// Todoist's PRIORITY (1 is p1, the highest) on the 0 - 1,000,000 importance scale
+const TODOIST_IMPORTANCE = {
+  1: 850000,
+  2: 725000,
+  3: 600000,
+  4: 500000
+};
+
+// Hex values of Trello's label colors
+const TRELLO_COLORS = {
+  green: '#4bce97',
+  yellow: '#f5cd47',
+  orange: '#fea362',
+  red: '#f87168',
+  purple: '#9f8fef',
+  blue: '#579dff',
+  sky: '#6cc3e0',
+  lime: '#94c748',
+  pink: '#e774bb',
+  black: '#8590a2'
+};
+
+// Fields a generic CSV can be mapped to, with the headers they're guessed from
+const CSV_FIELDS = {
+  title: ['title', 'name', 'task', 'task name', 'content', 'subject', 'summary'],
+  description: ['description', 'notes', 'note', 'details', 'body'],
+  deadline: ['deadline', 'due', 'due date', 'due_date', 'date'],
+  completed: ['completed', 'done', 'complete', 'finished'],
+  tags: ['tags', 'tag', 'labels', 'label', 'categories'],
+  project: ['project', 'list'],
+  id: ['id', 'task id'],
+  parent: ['parent', 'parent id', 'parent_task_id', 'parent task']
+};
+
+const TRUE_VALUES = ['1', 'true', 'yes', 'y', 'x', 'done', 'completed', 'complete'];
+
+const emptyPlan = () => ({ tags: [], tasks: [], memos: [], inbox: [], warnings: [] });
+
+/**
+ * A date or date-time as a tasks.deadline
+ * Times with a zone (Trello's UTC) are moved to the user's timezone, times
+ * without one are taken as they are. Anything else is read like a quick-add
+ * date ('tomorrow', 'oct 20'), or gives null.
+ *
+ * @param {string} value - Date text
+ * @param {object} options - { timezone, now }
+ * @returns {string|null}
+ */
+function readDeadline(value, { timezone = 'UTC', now = new Date() } = {}) {
+  const text = String(value || '').trim();
+  if (!text) return null;
+
+  const match = text.match(/^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/i);
+  if (match) {
+    const [, date, hour, minute, zone] = match;
+    if (Number.isNaN(Date.parse(date))) return null;
+    if (hour === undefined) return date;
+    if (!zone) return `${date}T${hour}:${minute}`;
+
+    const moment = new Date(text);
+    if (Number.isNaN(moment.getTime())) return null;
+    const local = getLocalTime(moment, timezone);
+    return `${local.date}T${local.time}`;
+  }
+
+  return parseQuickAdd(text, { timezone, now }).deadline;
+}
+
+/**
+ * Todoist's @labels out of a task's text
+ */
+function extractLabels(content) {
+  const tags = [];
+  const title = content
+    .replace(/(?<!\S)@([\p{L}\p{N}_\-/.]+)/gu, (match, label) => {
+      tags.push(label);
+      return '';
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return { title, tags };
+}
+
+/**
+ * A Todoist CSV export (or a file made from Todoist's import template)
+ *
+ * @param {string} text - File content
+ * @param {object} options - { timezone, now }
+ * @returns {object} Import plan, or { error }
+ */
+function parseTodoistCsv(text, options = {}) {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map(name => name.trim().toUpperCase());
+
+  if (!columns.includes('TYPE') || !columns.includes('CONTENT')) {
+    return { error: 'Not a Todoist CSV file (it needs TYPE and CONTENT columns)' };
+  }
+
+  const plan = emptyPlan();
+  const levels = []; // levels[i]: last task with INDENT i + 1
+  let section = null;
+  let lastTask = null;
+  let recurring = 0;
+  let unreadDates = 0;
+
+  for (const row of rows) {
+    const get = (name) => (row[columns.indexOf(name)] || '').trim();
+    const type = get('TYPE').toLowerCase();
+
+    if (type === 'section') {
+      section = get('CONTENT') || null;
+      levels.length = 0;
+      lastTask = null;
+    } else if (type === 'note' && lastTask && get('CONTENT')) {
+      lastTask.description = [lastTask.description, get('CONTENT')].filter(Boolean).join('\n\n');
+    } else if (type === 'task') {
+      const { title, tags } = extractLabels(get('CONTENT'));
+      if (!title) continue;
+
+      const timezone = isValidTimezone(get('TIMEZONE')) ? get('TIMEZONE') : options.timezone;
+      // Recurring dates ("every monday") don't make a deadline
+      const isRecurring = /^every\b/i.test(get('DATE'));
+      const dateText = get('DEADLINE') || (isRecurring ? '' : get('DATE'));
+      const deadline = readDeadline(dateText, { ...options, timezone });
+      if (isRecurring) recurring++;
+      if (dateText && !deadline) unreadDates++;
+
+      const duration = parseInt(get('DURATION'), 10);
+      const estimate = get('DURATION_UNIT').toLowerCase() === 'day' ? duration * 1440 : duration;
+
+      const task = {
+        title,
+        description: get('DESCRIPTION') || null,
+        importance: TODOIST_IMPORTANCE[get('PRIORITY')] || null,
+        deadline,
+        estimate_minutes: estimate > 0 && estimate <= MAX_ESTIMATE_MINUTES ? estimate : null,
+        tags,
+        subtasks: []
+      };
+
+      const indent = Math.max(1, parseInt(get('INDENT'), 10) || 1);
+      const parent = indent > 1 ? levels[Math.min(indent, levels.length + 1) - 2] : null;
+      if (parent) {
+        parent.subtasks.push(task);
+      } else {
+        task.status = section;
+        plan.tasks.push(task);
+      }
+
+      levels.length = parent ? Math.min(indent, levels.length + 1) - 1 : 0;
+      levels.push(task);
+      lastTask = task;
+    }
+  }
+
+  if (recurring > 0) {
+    plan.warnings.push(`${recurring} recurring due dates were left out: set those tasks to repeat again`);
+  }
+  if (unreadDates > 0) {
+    plan.warnings.push(`${unreadDates} due dates couldn't be read and were left out`);
+  }
+  return plan;
+}
+
+/**
+ * Picks the columns of a generic CSV: the mapping given, with guesses from
+ * the header for fields it leaves out
+ *
+ * @param {string[]} columns - Header row
+ * @param {object} mapping - { field: column name }, fields from CSV_FIELDS
+ * @returns {object} { mapping } (field -> column name), or { error }
+ */
+function resolveCsvMapping(columns, mapping = {}) {
+  const resolved = {};
+
+  for (const field of Object.keys(CSV_FIELDS)) {
+    if (mapping[field]) {
+      if (!columns.includes(mapping[field])) {
+        return { error: `Column "${mapping[field]}" is not in the file` };
+      }
+      resolved[field] = mapping[field];
+    } else if (mapping[field] === undefined) {
+      const guess = columns.find(column => CSV_FIELDS[field].includes(column.trim().toLowerCase()));
+      if (guess && !Object.values(resolved).includes(guess)) resolved[field] = guess;
+    }
+  }
+
+  if (!resolved.title) {
+    return { error: 'Choose the column with the task titles' };
+  }
+  return { mapping: resolved };
+}
+
+/**
+ * A CSV file with a header row, one task per row
+ * Rows whose parent column holds another row's ID (or, without an ID column,
+ * title) become that row's subtasks. Tags are separated by commas,
+ * semicolons or |.
+ *
+ * @param {string} text - File content
+ * @param {object} options - { mapping, timezone, now }
+ * @returns {object} Import plan with the file's columns and the mapping used, or { error }
+ */
+function parseGenericCsv(text, options = {}) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const separator = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+  const [header = [], ...rows] = parseCsv(text, separator);
+  const columns = header.map(name => name.trim());
+
+  if (columns.length === 0) {
+    return { error: 'The file is empty' };
+  }
+
+  const { mapping, error } = resolveCsvMapping(columns, options.mapping);
+  if (error) return { error };
+
+  const plan = { ...emptyPlan(), columns, mapping };
+  const rowTasks = [];
+  let unreadDates = 0;
+
+  for (const row of rows) {
+    const get = (field) => (mapping[field] ? (row[columns.indexOf(mapping[field])] || '').trim() : '');
+    if (!get('title')) continue;
+
+    const deadline = readDeadline(get('deadline'), options);
+    if (get('deadline') && !deadline) unreadDates++;
+
+    rowTasks.push({
+      key: mapping.id ? get('id') : get('title'),
+      parentKey: get('parent'),
+      task: {
+        title: get('title'),
+        description: get('description') || null,
+        deadline,
+        completed: TRUE_VALUES.includes(get('completed').toLowerCase()),
+        project: get('project') || null,
+        tags: get('tags').split(/[,;|]/).map(tag => tag.trim().replace(/^#/, '')).filter(Boolean),
+        subtasks: []
+      }
+    });
+  }
+
+  const byKey = new Map();
+  rowTasks.forEach(row => {
+    if (row.key && !byKey.has(row.key)) byKey.set(row.key, row);
+  });
+
+  let unknownParents = 0;
+  for (const row of rowTasks) {
+    let parent = row.parentKey ? byKey.get(row.parentKey) : null;
+    if (row.parentKey && !parent) unknownParents++;
+
+    // A parent can't be the row itself or one of its own subtasks
+    for (let ancestor = parent; ancestor; ancestor = ancestor.parent) {
+      if (ancestor === row) {
+        parent = null;
+        break;
+      }
+    }
+
+    row.parent = parent;
+  }
+
+  for (const row of rowTasks) {
+    (row.parent ? row.parent.task.subtasks : plan.tasks).push(row.task);
+  }
+
+  if (unknownParents > 0) {
+    plan.warnings.push(`${unknownParents} rows name a parent that isn't in the file and were imported as tasks of their own`);
+  }
+  if (unreadDates > 0) {
+    plan.warnings.push(`${unreadDates} deadlines couldn't be read and were left out`);
+  }
+  return plan;
+}
+
+/**
+ * A Trello board export (Board menu > Print, export and share > Export as JSON)
+ * Archived cards, and cards in archived lists, are left out.
+ *
+ * @param {string} text - File content
+ * @param {object} options - { timezone, now }
+ * @returns {object} Import plan, or { error }
+ */
+function parseTrelloJson(text, options = {}) {
+  let board;
+  try {
+    board = JSON.parse(text);
+  } catch (error) {
+    return { error: 'Not a JSON file' };
+  }
+
+  if (!board || !Array.isArray(board.cards) || !Array.isArray(board.lists)) {
+    return { error: 'Not a Trello board export (it needs lists and cards)' };
+  }
+
+  const plan = emptyPlan();
+  const lists = new Map(board.lists.map(list => [list.id, list]));
+  const labels = new Map((board.labels || []).map((label) => {
+    const color = String(label.color || '').replace(/_(dark|light)$/, '');
+    // Labels without a name go by their color
+    return [label.id, { name: (label.name || color).trim(), color: TRELLO_COLORS[color] || null }];
+  }));
+  const checklists = board.checklists || [];
+  const usedLabels = new Set();
+  let archived = 0;
+
+  const byPosition = (a, b) => (a.pos || 0) - (b.pos || 0);
+  const cards = [...board.cards].sort((a, b) => (
+    byPosition(lists.get(a.idList) || {}, lists.get(b.idList) || {}) || byPosition(a, b)
+  ));
+
+  for (const card of cards) {
+    const list = lists.get(card.idList);
+    if (card.closed || (list && list.closed)) {
+      archived++;
+      continue;
+    }
+    if (!String(card.name || '').trim()) continue;
+
+    const tags = (card.idLabels || []).map(id => labels.get(id)).filter(label => label && label.name);
+    tags.forEach(label => usedLabels.add(label));
+
+    const subtasks = checklists
+      .filter(checklist => checklist.idCard === card.id)
+      .sort(byPosition)
+      .flatMap(checklist => [...(checklist.checkItems || [])].sort(byPosition))
+      .filter(item => String(item.name || '').trim())
+      .map(item => ({ title: item.name.trim(), completed: item.state === 'complete', subtasks: [] }));
+
+    plan.tasks.push({
+      title: card.name.trim(),
+      description: card.desc || null,
+      deadline: card.due ? readDeadline(card.due, options) : null,
+      completed: Boolean(card.dueComplete),
+      status: list ? list.name : null,
+      tags: tags.map(label => label.name),
+      subtasks
+    });
+  }
+
+  plan.tags = [...usedLabels].map(label => ({ name: label.name, color: label.color }));
+
+  if (archived > 0) {
+    plan.warnings.push(`${archived} archived cards were left out`);
+  }
+  return plan;
+}
+
+/**
+ * Simple YAML front matter: "key: value" lines, values plain, quoted or
+ * [lists] (what the memo files of an export have)
+ *
+ * @returns {object} { fields, body }
+ */
+function readFrontMatter(text) {
+  const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+  if (!match) return { fields: {}, body: text };
+
+  const readValue = (value) => {
+    const trimmed = value.trim();
+    if (/^".*"$/.test(trimmed)) {
+      try {
+        return JSON.parse(trimmed);
+      } catch (error) {
+        return trimmed.slice(1, -1);
+      }
+    }
+    if (/^'.*'$/.test(trimmed)) return trimmed.slice(1, -1).replace(/''/g, "'");
+    return trimmed;
+  };
+
+  const fields = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const field = line.match(/^([A-Za-z_][\w-]*):\s*(.*)$/);
+    if (!field) continue;
+
+    const [, key, value] = field;
+    const list = value.trim().match(/^\[(.*)\]$/);
+    fields[key] = list
+      ? (list[1].match(/"(?:[^"\\]|\\.)*"|'[^']*'|[^,]+/g) || []).map(readValue).filter(Boolean)
+      : readValue(value);
+  }
+
+  return { fields, body: text.slice(match[0].length) };
+}
+
+/**
+ * A Markdown file: checklists become tasks, anything else (or a file with a
+ * title in its front matter) one memo
+ *
+ * @param {string} text - File content
+ * @param {object} options - { fileName, timezone, now }
+ * @returns {object} Import plan, or { error }
+ */
+function parseMarkdown(text, options = {}) {
+  const { fields, body } = readFrontMatter(text.replace(/^\uFEFF/, ''));
+  const lines = body.split(/\r?\n/);
+  const checklist = /^(\s*)[-*+]\s+\[([ xX])\]\s+(.*\S)\s*$/;
+  const plan = emptyPlan();
+
+  if (!fields.title && lines.some(line => checklist.test(line))) {
+    const levels = []; // [{ indent, task }], outermost first
+
+    for (const line of lines) {
+      const match = line.match(checklist);
+      if (!match) continue;
+
+      const indent = match[1].replace(/\t/g, '    ').length;
+      const parsed = parseQuickAdd(match[3], options);
+      if (!parsed.title) continue;
+
+      const task = {
+        title: parsed.title,
+        completed: match[2] !== ' ',
+        deadline: parsed.deadline,
+        planned_for_today: parsed.planned_for_today,
+        importance: parsed.importance,
+        urgency: parsed.urgency,
+        tags: parsed.tags,
+        subtasks: []
+      };
+
+      while (levels.length > 0 && levels[levels.length - 1].indent >= indent) levels.pop();
+      (levels.length > 0 ? levels[levels.length - 1].task.subtasks : plan.tasks).push(task);
+      levels.push({ indent, task });
+    }
+
+    return plan;
+  }
+
+  // Memos exported by TWU keep their details under a "## Details" heading
+  const [content, details] = body.trim().split(/\n## Details\n/);
+  const heading = content.match(/^#\s+(.+)$/m);
+  const title = fields.title ||
+    (heading && heading[1].trim()) ||
+    String(options.fileName || '').replace(/\.(md|markdown|txt)$/i, '').trim() ||
+    content.trim().split('\n')[0].slice(0, 100);
+
+  if (!content.trim() || !title) {
+    return { error: 'The file is empty' };
+  }
+
+  plan.memos.push({
+    title,
+    content: content.trim(),
+    details: details ? details.trim() : null,
+    project: typeof fields.project === 'string' ? fields.project : null,
+    tags: Array.isArray(fields.tags) ? fields.tags : [],
+    created_at: typeof fields.created_at === 'string' ? fields.created_at : null
+  });
+
+  return plan;
+}
+
+module.exports = {
+  CSV_FIELDS,
+  readDeadline,
+  parseTodoistCsv,
+  parseGenericCsv,
+  parseTrelloJson,
+  parseMarkdown
+};
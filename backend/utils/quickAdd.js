@@ -0,0 +1,251 @@
+/**
+ * Quick Add Parsing
+ *
+ * Turns one line of text into task fields, for the quick-add box and inbox
+ * capture:
+ *
+ *   Call supplier tomorrow 3pm #work !urgent ^important >today
+ *
+ *   #tag                 tag (letters, digits, - _ /)
+ *   !urgent !high        urgency hint (also !medium, !low)
+ *   ^important ^high     importance hint (also ^medium, ^low)
+ *   >today >tomorrow     planned date (also >mon .. >sun, >YYYY-MM-DD)
+ *
+ * The first date phrase and the first time in the rest of the text become
+ * the deadline:
+ *
+ *   today, tomorrow, friday, next friday, next week, in 3 days, in 2 weeks,
+ *   in 1 month, 2026-10-20, oct 20, 20 october (optionally after due/by/on)
+ *   3pm, 3:30pm, 15:00, noon (optionally after at or @)
+ *
+ * Relative dates count from the user's local date. A weekday is its next
+ * occurrence after today, "next <weekday>" is that day in next week
+ * (weeks start on Monday). A time without a date is today, or tomorrow if
+ * it has already passed. Deadlines with a time are local ("YYYY-MM-DDTHH:MM").
+ *
+ * Everything that is not recognized stays in the title.
+ *
+ * @example
+ * const { parseQuickAdd } = require('../utils/quickAdd');
+ *
+ * parseQuickAdd('Call supplier tomorrow 3pm #work !urgent', { timezone: 'UTC', now: new Date('2026-10-18T09:00:00Z') });
+ * // { title: 'Call supplier', tags: ['work'], deadline: '2026-10-19T15:00',
+ * //   planned_for_today: null, importance: null, urgency: 850000 }
+ */
+
+const { addDays } = require('./recurrence');
+const { getLocalTime } = require('./timezone');
+
+// Values of the !/^ hints on the 0 - 1,000,000 priority scale
+const HINT_LEVELS = {
+  high: 850000,
+  medium: 500000,
+  low: 150000
+};
+
+const URGENCY_HINTS = { urgent: 'high', high: 'high', medium: 'medium', low: 'low' };
+const IMPORTANCE_HINTS = { important: 'high', high: 'high', medium: 'medium', low: 'low' };
+
+const WEEKDAYS = {
+  monday: 1, tuesday: 2, wednesday: 3, thursday: 4, friday: 5, saturday: 6, sunday: 7
+};
+
+// Abbreviations are only read in >markers, where they can't be ordinary words
+const WEEKDAY_ABBREVIATIONS = {
+  mon: 1, tue: 2, tues: 2, wed: 3, thu: 4, thur: 4, thurs: 4, fri: 5, sat: 6, sun: 7
+};
+
+const MONTH_PATTERN = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Phrases must stand on their own: whitespace before, whitespace or punctuation after
+const START = '(?<!\\S)';
+const END = '(?=$|[\\s,.;:!?])';
+
+const phrase = (pattern) => new RegExp(`${START}(?:(?:due|by|on)\\s+)?(?:${pattern})${END}`, 'i');
+const timePhrase = (pattern) => new RegExp(`${START}(?:at\\s+|@)?(?:${pattern})${END}`, 'i');
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * YYYY-MM-DD for a year, month (1-12) and day, or null if there is no such day
+ */
+function toDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+function addMonths(dateString, months) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  return toDate(target.getUTCFullYear(), target.getUTCMonth() + 1, Math.min(day, lastDay));
+}
+
+// Next occurrence of a weekday (1 = Monday) after today, or that day in next week
+function weekdayDate(today, weekday, nextWeek) {
+  if (nextWeek) {
+    return addDays(today.date, 7 - today.weekday + weekday);
+  }
+  return addDays(today.date, ((weekday - today.weekday + 6) % 7) + 1);
+}
+
+// A month and day without a year is the next such date from today on
+function monthDayDate(today, monthName, day, year) {
+  const month = MONTHS.indexOf(monthName.slice(0, 3).toLowerCase()) + 1;
+  if (year) return toDate(Number(year), month, Number(day));
+
+  const thisYear = Number(today.date.slice(0, 4));
+  const date = toDate(thisYear, month, Number(day));
+  return date && date < today.date ? toDate(thisYear + 1, month, Number(day)) : date;
+}
+
+// Date phrases: pattern and how to turn a match into YYYY-MM-DD (null = not a date)
+const DATE_RULES = [
+  { pattern: phrase('today'), resolve: (m, today) => today.date },
+  { pattern: phrase('tomorrow|tmrw'), resolve: (m, today) => addDays(today.date, 1) },
+  {
+    pattern: phrase(`(next\\s+)?(${Object.keys(WEEKDAYS).join('|')})`),
+    resolve: (m, today) => weekdayDate(today, WEEKDAYS[m[2].toLowerCase()], Boolean(m[1]))
+  },
+  { pattern: phrase('next\\s+week'), resolve: (m, today) => weekdayDate(today, 1, true) },
+  {
+    pattern: phrase('in\\s+(\\d{1,3}|a|an|one)\\s+(day|week|month)s?'),
+    resolve: (m, today) => {
+      const count = /^\d+$/.test(m[1]) ? Number(m[1]) : 1;
+      const unit = m[2].toLowerCase();
+      if (unit === 'month') return addMonths(today.date, count);
+      return addDays(today.date, unit === 'week' ? count * 7 : count);
+    }
+  },
+  {
+    pattern: phrase('(\\d{4})-(\\d{2})-(\\d{2})'),
+    resolve: m => toDate(Number(m[1]), Number(m[2]), Number(m[3]))
+  },
+  {
+    pattern: phrase(`(${MONTH_PATTERN})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?`),
+    resolve: (m, today) => monthDayDate(today, m[1], m[2], m[3])
+  },
+  {
+    pattern: phrase(`(\\d{1,2})(?:st|nd|rd|th)?\\s+(${MONTH_PATTERN})\\.?(?:\\s+(\\d{4}))?`),
+    resolve: (m, today) => monthDayDate(today, m[2], m[1], m[3])
+  }
+];
+
+// Time phrases: pattern and how to turn a match into HH:MM (null = not a time)
+const TIME_RULES = [
+  {
+    pattern: timePhrase('(\\d{1,2})(?::([0-5]\\d))?\\s*(am|pm)'),
+    resolve: (m) => {
+      const hour = Number(m[1]);
+      if (hour < 1 || hour > 12) return null;
+      const isPm = m[3].toLowerCase() === 'pm';
+      return `${pad((hour % 12) + (isPm ? 12 : 0))}:${m[2] || '00'}`;
+    }
+  },
+  { pattern: timePhrase('([01]?\\d|2[0-3]):([0-5]\\d)'), resolve: m => `${pad(m[1])}:${m[2]}` },
+  { pattern: timePhrase('noon'), resolve: () => '12:00' }
+];
+
+/**
+ * Finds the earliest phrase any rule recognizes and cuts it out of the text
+ * @returns {object} { value, text } - value is null if nothing matched
+ */
+function extractFirst(text, rules, today) {
+  let best = null;
+
+  for (const rule of rules) {
+    const match = rule.pattern.exec(text);
+    if (!match || (best && match.index >= best.match.index)) continue;
+
+    const value = rule.resolve(match, today);
+    if (value) best = { match, value };
+  }
+
+  if (!best) return { value: null, text };
+
+  const { index } = best.match;
+  return {
+    value: best.value,
+    text: text.slice(0, index) + text.slice(index + best.match[0].length)
+  };
+}
+
+/**
+ * Reads a >marker's date: today, tomorrow, a weekday or YYYY-MM-DD
+ */
+function resolvePlannedDate(word, today) {
+  const lower = word.toLowerCase();
+  if (lower === 'today' || lower === 'tod') return today.date;
+  if (lower === 'tomorrow' || lower === 'tom' || lower === 'tmrw') return addDays(today.date, 1);
+
+  const weekday = WEEKDAYS[lower] || WEEKDAY_ABBREVIATIONS[lower];
+  if (weekday) return weekdayDate(today, weekday, false);
+
+  const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(word);
+  return iso ? toDate(Number(iso[1]), Number(iso[2]), Number(iso[3])) : null;
+}
+
+/**
+ * Parses quick-add text into task fields
+ *
+ * @param {string} text - What the user typed
+ * @param {object} options - { timezone: user's IANA timezone, now: current time }
+ * @returns {object} { title, tags, deadline, planned_for_today, importance, urgency } - missing hints are null
+ */
+function parseQuickAdd(text, { timezone = 'UTC', now = new Date() } = {}) {
+  const today = getLocalTime(now, timezone);
+  const result = {
+    title: '',
+    tags: [],
+    deadline: null,
+    planned_for_today: null,
+    importance: null,
+    urgency: null
+  };
+
+  // Markers first, so their words can't be read as dates
+  const words = [];
+  for (const word of text.trim().split(/\s+/)) {
+    const tag = /^#([\p{L}\p{N}_\-/]+)$/u.exec(word);
+    const urgency = /^!(\w+)$/.exec(word);
+    const importance = /^\^(\w+)$/.exec(word);
+    const planned = /^>(\S+)$/.exec(word);
+
+    if (tag) {
+      if (!result.tags.includes(tag[1])) result.tags.push(tag[1]);
+    } else if (urgency && URGENCY_HINTS[urgency[1].toLowerCase()]) {
+      result.urgency = HINT_LEVELS[URGENCY_HINTS[urgency[1].toLowerCase()]];
+    } else if (importance && IMPORTANCE_HINTS[importance[1].toLowerCase()]) {
+      result.importance = HINT_LEVELS[IMPORTANCE_HINTS[importance[1].toLowerCase()]];
+    } else if (planned && resolvePlannedDate(planned[1], today)) {
+      result.planned_for_today = resolvePlannedDate(planned[1], today);
+    } else {
+      words.push(word);
+    }
+  }
+
+  const date = extractFirst(words.join(' '), DATE_RULES, today);
+  const time = extractFirst(date.text, TIME_RULES, today);
+
+  if (date.value && time.value) {
+    result.deadline = `${date.value}T${time.value}`;
+  } else if (date.value) {
+    result.deadline = date.value;
+  } else if (time.value) {
+    const day = time.value > today.time ? today.date : addDays(today.date, 1);
+    result.deadline = `${day}T${time.value}`;
+  }
+
+  result.title = time.text
+    .replace(/\s+([,.;:!?])(?=\s|$)/g, '$1') // Punctuation that followed a cut-out phrase
+    .replace(/\s+/g, ' ')
+    .trim();
+  return result;
+}
+
+module.exports = {
+  HINT_LEVELS,
+  parseQuickAdd
+};
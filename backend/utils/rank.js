@@ -0,0 +1,111 @@
+/**
+ * Fractional Ranks
+ *
+ * Lexorank-style ordering keys: base-62 strings that sort with plain string
+ * comparison (and SQLite's default BINARY collation). A key can always be
+ * generated between two others, so moving an item rewrites only that item.
+ * Keys grow by roughly one character per repeated split of the same gap;
+ * callers rebalance with evenlySpacedRanks() once a key gets too long.
+ *
+ * Keys never end in '0', which keeps "no lower bound" representable as ''.
+ *
+ * @example
+ * const { rankBetween, evenlySpacedRanks } = require('../utils/rank');
+ *
+ * rankBetween(null, null);   // 'V'
+ * rankBetween('V', null);    // 'k'
+ * rankBetween('V', 'W');     // 'VV'
+ * evenlySpacedRanks(3);      // ['FV', 'V', 'kV']
+ */
+
+const DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const BASE = DIGITS.length;
+
+// Longest key before the caller should rebalance
+const MAX_RANK_LENGTH = 24;
+
+/**
+ * Checks that a value is a usable rank key
+ *
+ * @param {string} rank - Candidate key
+ * @returns {boolean} True for non-empty base-62 strings without a trailing '0'
+ */
+function isValidRank(rank) {
+  return typeof rank === 'string' && /^[0-9A-Za-z]*[1-9A-Za-z]$/.test(rank);
+}
+
+/**
+ * Generates a key strictly between two keys
+ *
+ * @param {string|null} before - Lower bound (null for "first")
+ * @param {string|null} after - Upper bound (null for "last")
+ * @returns {string} New key
+ * @throws {Error} If before >= after
+ */
+function rankBetween(before, after) {
+  const low = before || '';
+  let high = after || null;
+
+  if (high !== null && low >= high) {
+    throw new Error(`Cannot generate a rank between "${low}" and "${high}"`);
+  }
+
+  let result = '';
+
+  for (let i = 0; ; i++) {
+    const lowDigit = i < low.length ? DIGITS.indexOf(low[i]) : 0;
+    const highDigit = high !== null && i < high.length ? DIGITS.indexOf(high[i]) : BASE;
+
+    if (lowDigit === highDigit) {
+      result += DIGITS[lowDigit];
+      continue;
+    }
+
+    const mid = Math.floor((lowDigit + highDigit) / 2);
+    if (mid > lowDigit) {
+      return result + DIGITS[mid];
+    }
+
+    // Adjacent digits: keep the lower one; everything after it is below "high"
+    result += DIGITS[lowDigit];
+    high = null;
+  }
+}
+
+/**
+ * Generates n ascending keys spread evenly over the key space
+ *
+ * @param {number} count - Number of keys
+ * @returns {string[]} Keys in ascending order
+ */
+function evenlySpacedRanks(count) {
+  // Enough digits to leave a gap of at least BASE between neighbours
+  let width = 1;
+  while (Math.pow(BASE, width) < (count + 1) * BASE) {
+    width++;
+  }
+
+  const space = Math.pow(BASE, width);
+  const ranks = [];
+
+  for (let i = 1; i <= count; i++) {
+    let value = Math.floor((i * space) / (count + 1));
+    let key = '';
+
+    for (let d = 0; d < width; d++) {
+      key = DIGITS[value % BASE] + key;
+      value = Math.floor(value / BASE);
+    }
+
+    ranks.push(key.replace(/0+$/, ''));
+  }
+
+  return ranks;
+}
+
+module.exports = {
+  MAX_RANK_LENGTH,
+  isValidRank,
+  rankBetween,
+  evenlySpacedRanks
+};
@@ -0,0 +1,284 @@
+/**
+ * Recurrence Rules
+ *
+ * Parses and evaluates the RRULE-style rules stored in tasks.recurrence_rule.
+ * Supported subset of RFC 5545:
+ *
+ *   FREQ=DAILY|WEEKLY|MONTHLY   (required)
+ *   INTERVAL=n                  (default 1)
+ *   BYDAY=MO,WE,FR              (WEEKLY only - custom weekdays)
+ *   BYMONTHDAY=1..31 | -1       (MONTHLY only - -1 is the last day of the month)
+ *   X-FROM=COMPLETION           (non-standard - next occurrence is counted from
+ *                                the completion date instead of the schedule)
+ *
+ * All dates are handled as YYYY-MM-DD strings so time of day and timezone of
+ * the original deadline are left untouched.
+ *
+ * @example
+ * const { parseRule, nextOccurrence } = require('../utils/recurrence');
+ *
+ * const rule = parseRule('FREQ=WEEKLY;BYDAY=MO,TH');
+ * nextOccurrence(rule, '2026-10-13'); // '2026-10-15'
+ */
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']; // Index matches Date#getUTCDay
+const MAX_INTERVAL = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses a rule string into a rule object
+ *
+ * @param {string} ruleString - e.g. 'FREQ=DAILY;INTERVAL=3;X-FROM=COMPLETION'
+ * @returns {object} { freq, interval, byDay: number[], byMonthDay: number|null, fromCompletion: boolean }
+ * @throws {Error} If the rule is malformed or uses unsupported parts
+ */
+function parseRule(ruleString) {
+  if (typeof ruleString !== 'string' || !ruleString.trim()) {
+    throw new Error('Recurrence rule must be a non-empty string');
+  }
+
+  const parts = {};
+  const body = ruleString.trim().replace(/^RRULE:/i, '');
+
+  for (const part of body.split(';')) {
+    if (!part) continue;
+
+    const [key, value] = part.split('=');
+    if (!key || value === undefined) {
+      throw new Error(`Invalid recurrence rule part: ${part}`);
+    }
+    parts[key.trim().toUpperCase()] = value.trim().toUpperCase();
+  }
+
+  const rule = {
+    freq: parts.FREQ,
+    interval: 1,
+    byDay: [],
+    byMonthDay: null,
+    fromCompletion: false
+  };
+
+  if (!FREQUENCIES.includes(rule.freq)) {
+    throw new Error(`FREQ must be one of ${FREQUENCIES.join(', ')}`);
+  }
+
+  for (const [key, value] of Object.entries(parts)) {
+    switch (key) {
+      case 'FREQ':
+        break;
+
+      case 'INTERVAL': {
+        const interval = Number(value);
+        if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+          throw new Error(`INTERVAL must be between 1 and ${MAX_INTERVAL}`);
+        }
+        rule.interval = interval;
+        break;
+      }
+
+      case 'BYDAY': {
+        if (rule.freq !== 'WEEKLY') {
+          throw new Error('BYDAY is only supported with FREQ=WEEKLY');
+        }
+        const days = value.split(',').map(day => WEEKDAYS.indexOf(day));
+        if (days.length === 0 || days.includes(-1)) {
+          throw new Error(`BYDAY must be a list of ${WEEKDAYS.join(', ')}`);
+        }
+        rule.byDay = [...new Set(days)].sort((a, b) => a - b);
+        break;
+      }
+
+      case 'BYMONTHDAY': {
+        if (rule.freq !== 'MONTHLY') {
+          throw new Error('BYMONTHDAY is only supported with FREQ=MONTHLY');
+        }
+        const day = Number(value);
+        if (!Number.isInteger(day) || day === 0 || day < -1 || day > 31) {
+          throw new Error('BYMONTHDAY must be between 1 and 31, or -1 for the last day');
+        }
+        rule.byMonthDay = day;
+        break;
+      }
+
+      case 'X-FROM':
+        if (value !== 'COMPLETION') {
+          throw new Error('X-FROM only supports COMPLETION');
+        }
+        rule.fromCompletion = true;
+        break;
+
+      default:
+        throw new Error(`Unsupported recurrence rule part: ${key}`);
+    }
+  }
+
+  if (rule.fromCompletion && (rule.byDay.length > 0 || rule.byMonthDay !== null)) {
+    throw new Error('X-FROM=COMPLETION cannot be combined with BYDAY or BYMONTHDAY');
+  }
+
+  return rule;
+}
+
+/**
+ * Serializes a rule object back into its canonical string form
+ *
+ * @param {object} rule - Parsed rule
+ * @returns {string} Canonical rule string
+ */
+function formatRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay.length > 0) parts.push(`BYDAY=${rule.byDay.map(day => WEEKDAYS[day]).join(',')}`);
+  if (rule.byMonthDay !== null) parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+  if (rule.fromCompletion) parts.push('X-FROM=COMPLETION');
+
+  return parts.join(';');
+}
+
+/**
+ * Normalizes user input for storage: empty values clear the rule,
+ * anything else is parsed and re-serialized
+ *
+ * @param {string|null} value - Raw rule from the request
+ * @returns {string|null} Canonical rule or null
+ * @throws {Error} If the rule is invalid
+ */
+function normalizeRule(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  return formatRule(parseRule(value));
+}
+
+// ---------------------------------------------------------------------------
+// Date helpers (UTC calendar arithmetic on YYYY-MM-DD strings)
+// ---------------------------------------------------------------------------
+
+function toDate(dateString) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function addDays(dateString, days) {
+  return toDateString(new Date(toDate(dateString).getTime() + days * DAY_MS));
+}
+
+function daysBetween(from, to) {
+  return Math.round((toDate(to).getTime() - toDate(from).getTime()) / DAY_MS);
+}
+
+function daysInMonth(year, monthIndex) {
+  return new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+}
+
+/**
+ * Builds the date for a given day of a month, clamping to the month length
+ * (so the 31st becomes the 30th in April and -1 is always the last day)
+ */
+function monthDate(year, monthIndex, day) {
+  const normalized = new Date(Date.UTC(year, monthIndex, 1));
+  const y = normalized.getUTCFullYear();
+  const m = normalized.getUTCMonth();
+  const length = daysInMonth(y, m);
+  const clamped = day === -1 ? length : Math.min(day, length);
+
+  return toDateString(new Date(Date.UTC(y, m, clamped)));
+}
+
+/**
+ * Day of the month that a MONTHLY step from the given date keeps
+ * A date on the last day of a short month was usually clamped there, so the
+ * series' anchor day (e.g. the 31st) takes over again when it is later
+ */
+function monthDay(date, anchorDay) {
+  const day = date.getUTCDate();
+  const isLastDay = day === daysInMonth(date.getUTCFullYear(), date.getUTCMonth());
+
+  return anchorDay && anchorDay > day && isLastDay ? anchorDay : day;
+}
+
+/**
+ * Moves a date forward by the rule's interval, ignoring BYDAY/BYMONTHDAY
+ * Used for "after completion" rules
+ *
+ * @param {object} rule - Parsed rule
+ * @param {string} dateString - YYYY-MM-DD
+ * @param {number|null} anchorDay - MONTHLY: day of the month the series started on
+ * @returns {string} YYYY-MM-DD
+ */
+function advance(rule, dateString, anchorDay = null) {
+  if (rule.freq === 'DAILY') {
+    return addDays(dateString, rule.interval);
+  }
+  if (rule.freq === 'WEEKLY') {
+    return addDays(dateString, 7 * rule.interval);
+  }
+
+  const date = toDate(dateString);
+  return monthDate(date.getUTCFullYear(), date.getUTCMonth() + rule.interval, monthDay(date, anchorDay));
+}
+
+/**
+ * Computes the first scheduled date strictly after the given date
+ *
+ * @param {object} rule - Parsed rule
+ * @param {string} after - YYYY-MM-DD
+ * @param {number|null} anchorDay - MONTHLY without BYMONTHDAY: day of the month
+ *   the series started on, so Jan 31 -> Feb 28 -> Mar 31 instead of Mar 28
+ * @returns {string} YYYY-MM-DD
+ */
+function nextOccurrence(rule, after, anchorDay = null) {
+  if (rule.freq === 'WEEKLY' && rule.byDay.length > 0) {
+    const date = toDate(after);
+    // Weeks start on Monday; remaining matching days in the current week come first
+    const weekday = date.getUTCDay();
+    const mondayOffset = (weekday + 6) % 7;
+    const orderedDays = rule.byDay.map(day => (day + 6) % 7).sort((a, b) => a - b);
+
+    const laterThisWeek = orderedDays.find(offset => offset > mondayOffset);
+    if (laterThisWeek !== undefined) {
+      return addDays(after, laterThisWeek - mondayOffset);
+    }
+
+    const nextWeekMonday = addDays(after, 7 * rule.interval - mondayOffset);
+    return addDays(nextWeekMonday, orderedDays[0]);
+  }
+
+  if (rule.freq === 'MONTHLY' && rule.byMonthDay !== null) {
+    const date = toDate(after);
+    const thisMonth = monthDate(date.getUTCFullYear(), date.getUTCMonth(), rule.byMonthDay);
+    if (thisMonth > after) {
+      return thisMonth;
+    }
+    return monthDate(date.getUTCFullYear(), date.getUTCMonth() + rule.interval, rule.byMonthDay);
+  }
+
+  return advance(rule, after, anchorDay);
+}
+
+/**
+ * Replaces the YYYY-MM-DD prefix of a date or datetime string,
+ * keeping any time/offset suffix as-is
+ */
+function shiftDateValue(value, days) {
+  const datePart = value.slice(0, 10);
+  return addDays(datePart, days) + value.slice(10);
+}
+
+module.exports = {
+  parseRule,
+  formatRule,
+  normalizeRule,
+  nextOccurrence,
+  advance,
+  addDays,
+  daysBetween,
+  shiftDateValue,
+  WEEKDAYS
+};
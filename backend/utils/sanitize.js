@@ -383,9 +383,73 @@ function sanitizeTags(tags) {
 // Alias for backward compatibility
 const sanitizeText = sanitizeInput;
 
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
+
+/**
+ * Turns text stored through sanitizeText back into plain text
+ * Stored titles hold "&amp;" and "&lt;", so use this wherever text leaves as
+ * anything but HTML (email subjects and text bodies, iCalendar). Entities that
+ * aren't characters are left as they are.
+ *
+ * @param {string|null} text - Stored text
+ * @returns {string} Plain text ('' for null)
+ *
+ * @example
+ * decodeText('Q&amp;A &lt;prep&gt;');
+ * // Returns: "Q&A <prep>"
+ */
+function decodeText(text) {
+  if (text === null || text === undefined) {
+    return '';
+  }
+
+  return String(text).replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] !== '#') {
+      return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+    }
+
+    const codePoint = name[1] === 'x' || name[1] === 'X'
+      ? parseInt(name.slice(2), 16)
+      : parseInt(name.slice(1), 10);
+    const isCharacter = codePoint > 0 && codePoint <= 0x10FFFF && !(codePoint >= 0xD800 && codePoint <= 0xDFFF);
+
+    return isCharacter ? String.fromCodePoint(codePoint) : entity;
+  });
+}
+
+/**
+ * Escapes plain text for an HTML document (e.g. an email body)
+ *
+ * @param {string} text - Plain text, see decodeText
+ * @returns {string} HTML-safe text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Registers decode_text(value) on a better-sqlite3 connection: decodeText
+ * for SQL, keeping NULL as NULL. The search indexes are built with it.
+ *
+ * @param {object} db - Database connection
+ */
+function registerDecodeFunction(db) {
+  db.function('decode_text', { deterministic: true }, (value) => (
+    value === null ? null : decodeText(value)
+  ));
+}
+
 module.exports = {
   sanitizeInput,
   sanitizeText,  // Alias for inbox.js
+  decodeText,
+  escapeHtml,
+  registerDecodeFunction,
   sanitizeRichText,
   sanitizeEmail,
   sanitizeUrl,
@@ -0,0 +1,185 @@
+/**
+ * Saved View Filters
+ *
+ * A saved view is a named task list filter, stored as JSON in
+ * saved_views.filters. Every key is optional (null = don't filter):
+ *
+ *   {
+ *     tags: [3, 7],                      (tag ids)
+ *     tag_match: 'any' | 'all',
+ *     quadrants: [1, 2],                 (Eisenhower quadrants 1-4)
+ *     has_deadline: true | false,
+ *     deadline_from_days: 0,             (deadline window relative to today,
+ *     deadline_to_days: 7,                inclusive - e.g. 0 and 7 = next week)
+ *     deadline_after: '2026-10-01',      (fixed deadline window, inclusive)
+ *     deadline_before: '2026-12-31',
+ *     completed: true | false,
+ *     parent_id: 42 | 'none',            (subtasks of a task, or top-level only)
+ *     q: 'invoice'                       (search text)
+ *   }
+ *
+ * Relative windows are what make a view a smart list: "due this week" keeps
+ * meaning this week. They are resolved against the user's local date each
+ * time the view is used, and turned into the GET /api/tasks query parameters
+ * that utils/taskFilters.js understands.
+ *
+ * @example
+ * const { normalizeViewFilters, viewToTaskQuery } = require('../utils/savedViews');
+ *
+ * const filters = normalizeViewFilters({ tags: [3], quadrants: [2], has_deadline: false });
+ * viewToTaskQuery(filters, 'eisenhower', '2026-10-18');
+ * // { tags: '3', tag_match: 'any', quadrant: '2', has_deadline: 'false', sort: 'eisenhower' }
+ */
+
+const { addDays } = require('./recurrence');
+const { TASK_SORTS } = require('./taskFilters');
+
+// Orders a view can be saved with (manual order belongs to the Tasks and Today lists)
+const VIEW_SORTS = Object.keys(TASK_SORTS).filter(sort => sort !== 'manual');
+const DEFAULT_VIEW_SORT = 'eisenhower';
+
+const MAX_WINDOW_DAYS = 3650;
+const MAX_QUERY_LENGTH = 200;
+
+const isDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+  !Number.isNaN(Date.parse(value));
+
+const isIdList = (value, max = Infinity) => Array.isArray(value) &&
+  value.every(id => Number.isInteger(id) && id > 0 && id <= max);
+
+/**
+ * Checks a view's filters and returns them in canonical form
+ *
+ * @param {object} value - Filters as sent by a client
+ * @returns {object} Filters with every key present
+ * @throws {Error} If a filter is malformed
+ */
+function normalizeViewFilters(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('filters must be an object');
+  }
+
+  const filters = {
+    tags: value.tags ?? [],
+    tag_match: value.tag_match ?? 'any',
+    quadrants: value.quadrants ?? [],
+    has_deadline: value.has_deadline ?? null,
+    deadline_from_days: value.deadline_from_days ?? null,
+    deadline_to_days: value.deadline_to_days ?? null,
+    deadline_after: value.deadline_after || null,
+    deadline_before: value.deadline_before || null,
+    completed: value.completed ?? null,
+    parent_id: value.parent_id ?? null,
+    q: typeof value.q === 'string' ? value.q.trim() || null : value.q ?? null
+  };
+
+  if (!isIdList(filters.tags)) {
+    throw new Error('filters.tags must be a list of tag ids');
+  }
+  if (!['any', 'all'].includes(filters.tag_match)) {
+    throw new Error("filters.tag_match must be 'any' or 'all'");
+  }
+  if (!isIdList(filters.quadrants, 4)) {
+    throw new Error('filters.quadrants must be a list of quadrants 1-4');
+  }
+
+  for (const field of ['has_deadline', 'completed']) {
+    if (filters[field] !== null && typeof filters[field] !== 'boolean') {
+      throw new Error(`filters.${field} must be true, false or null`);
+    }
+  }
+
+  for (const field of ['deadline_from_days', 'deadline_to_days']) {
+    const days = filters[field];
+    if (days !== null && !(Number.isInteger(days) && Math.abs(days) <= MAX_WINDOW_DAYS)) {
+      throw new Error(`filters.${field} must be between -${MAX_WINDOW_DAYS} and ${MAX_WINDOW_DAYS}`);
+    }
+  }
+  if (filters.deadline_from_days !== null && filters.deadline_to_days !== null &&
+      filters.deadline_from_days > filters.deadline_to_days) {
+    throw new Error('filters.deadline_from_days must not be after deadline_to_days');
+  }
+
+  for (const field of ['deadline_after', 'deadline_before']) {
+    if (filters[field] !== null && !isDate(filters[field])) {
+      throw new Error(`filters.${field} must be YYYY-MM-DD`);
+    }
+  }
+  if (filters.deadline_after && filters.deadline_before && filters.deadline_after > filters.deadline_before) {
+    throw new Error('filters.deadline_after must not be after deadline_before');
+  }
+
+  const hasWindow = [filters.deadline_from_days, filters.deadline_to_days, filters.deadline_after, filters.deadline_before]
+    .some(bound => bound !== null);
+  if (hasWindow && filters.has_deadline === false) {
+    throw new Error('A deadline window needs tasks with a deadline');
+  }
+
+  if (filters.parent_id !== null && filters.parent_id !== 'none' &&
+      !(Number.isInteger(filters.parent_id) && filters.parent_id > 0)) {
+    throw new Error("filters.parent_id must be a task id or 'none'");
+  }
+
+  if (filters.q !== null && (typeof filters.q !== 'string' || filters.q.length > MAX_QUERY_LENGTH)) {
+    throw new Error(`filters.q must be text of at most ${MAX_QUERY_LENGTH} characters`);
+  }
+
+  filters.tags = [...new Set(filters.tags)];
+  filters.quadrants = [...new Set(filters.quadrants)].sort();
+  return filters;
+}
+
+/**
+ * Turns a view into GET /api/tasks query parameters (see utils/taskFilters.js)
+ * When both a relative and a fixed window are set, tasks must be in both.
+ *
+ * @param {object} filters - Normalized filters
+ * @param {string} sort - One of VIEW_SORTS
+ * @param {string} today - User's local date (YYYY-MM-DD) relative windows count from
+ * @returns {object} Query parameters as strings
+ */
+function viewToTaskQuery(filters, sort, today) {
+  const query = {};
+
+  if (filters.tags.length > 0) {
+    query.tags = filters.tags.join(',');
+    query.tag_match = filters.tag_match;
+  }
+  if (filters.quadrants.length > 0) {
+    query.quadrant = filters.quadrants.join(',');
+  }
+  if (filters.has_deadline !== null) {
+    query.has_deadline = String(filters.has_deadline);
+  }
+
+  // Date-only bounds are inclusive days (see buildTaskFilters)
+  const after = [filters.deadline_after];
+  const before = [filters.deadline_before];
+  if (filters.deadline_from_days !== null) after.push(addDays(today, filters.deadline_from_days));
+  if (filters.deadline_to_days !== null) before.push(addDays(today, filters.deadline_to_days));
+
+  const latestAfter = after.filter(Boolean).sort().pop();
+  const earliestBefore = before.filter(Boolean).sort()[0];
+  if (latestAfter) query.deadline_after = latestAfter;
+  if (earliestBefore) query.deadline_before = earliestBefore;
+
+  if (filters.completed !== null) {
+    query.completed = String(filters.completed);
+  }
+  if (filters.parent_id !== null) {
+    query.parent_id = String(filters.parent_id);
+  }
+  if (filters.q) {
+    query.q = filters.q;
+  }
+
+  query.sort = sort;
+  return query;
+}
+
+module.exports = {
+  VIEW_SORTS,
+  DEFAULT_VIEW_SORT,
+  normalizeViewFilters,
+  viewToTaskQuery
+};
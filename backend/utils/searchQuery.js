@@ -0,0 +1,53 @@
+/**
+ * Search Query Builder
+ *
+ * Turns what a user types into the search box into an FTS5 MATCH expression.
+ * FTS5 has its own query syntax (AND, OR, NEAR, column filters, ...), so user
+ * text is never passed through as is: every word becomes a quoted prefix
+ * term and "quoted text" an exact phrase. All terms have to match.
+ *
+ *   release notes      ->  "release"* "notes"*
+ *   "release notes" q4 ->  "release notes" "q4"*
+ *
+ * Words without letters or digits are dropped, as the index never contains
+ * them.
+ *
+ * @example
+ * const { buildMatchQuery } = require('../utils/searchQuery');
+ *
+ * buildMatchQuery('call "acme corp"'); // '"call"* "acme corp"'
+ * buildMatchQuery('!!');               // null
+ */
+
+const MAX_TERMS = 20;
+
+const hasWordCharacters = (text) => /[\p{L}\p{N}]/u.test(text);
+
+/**
+ * Builds an FTS5 MATCH expression from search box text
+ *
+ * @param {string} text - What the user typed
+ * @returns {string|null} MATCH expression, or null if nothing is searchable
+ */
+function buildMatchQuery(text) {
+  const terms = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null && terms.length < MAX_TERMS) {
+    const [, phrase, word] = match;
+
+    if (phrase !== undefined) {
+      if (hasWordCharacters(phrase)) terms.push(`"${phrase.trim()}"`);
+    } else {
+      const cleaned = word.replace(/"/g, '');
+      if (hasWordCharacters(cleaned)) terms.push(`"${cleaned}"*`);
+    }
+  }
+
+  return terms.length > 0 ? terms.join(' ') : null;
+}
+
+module.exports = {
+  buildMatchQuery
+};
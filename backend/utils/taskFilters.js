@@ -0,0 +1,244 @@
+/**
+ * Task List Filter Builder
+ *
+ * Translates GET /api/tasks query parameters into a parameterized WHERE clause
+ * and ORDER BY clause. Column names and sort expressions come from fixed
+ * whitelists, so only values ever reach the query as bound parameters.
+ *
+ * @example
+ * const { buildTaskFilters } = require('../utils/taskFilters');
+ *
+ * const { joins, joinParams, conditions, params, orderBy } = buildTaskFilters(req.query);
+ * const where = ['t.user_id = ?', 't.deleted_at IS NULL', ...conditions].join(' AND ');
+ *
+ * db.prepare(`SELECT ... FROM tasks t ${joins} WHERE ${where} ORDER BY ${orderBy}`)
+ *   .all(...joinParams, req.user.id, ...params);
+ */
+
+const { IS_BLOCKED_SQL, EFFECTIVE_URGENCY_SQL, EFFECTIVE_STATUS_SQL } = require('./taskHelpers');
+
+// Importance/urgency are on a 0-1,000,000 scale; >= 500,000 counts as "high"
+const PRIORITY_THRESHOLD = 500000;
+const DEFAULT_PRIORITY = 500000;
+
+// Sorting and quadrants go by urgency including approaching deadlines
+const URGENCY_SQL = `COALESCE(${EFFECTIVE_URGENCY_SQL}, ${DEFAULT_PRIORITY})`;
+
+/**
+ * SQL expression for the Eisenhower quadrant of a task row aliased as "t"
+ * 1 = Do First, 2 = Schedule, 3 = Delegate, 4 = Eliminate
+ */
+const QUADRANT_SQL = `
+  CASE
+    WHEN COALESCE(t.importance, ${DEFAULT_PRIORITY}) >= ${PRIORITY_THRESHOLD}
+     AND ${URGENCY_SQL} >= ${PRIORITY_THRESHOLD} THEN 1
+    WHEN COALESCE(t.importance, ${DEFAULT_PRIORITY}) >= ${PRIORITY_THRESHOLD} THEN 2
+    WHEN ${URGENCY_SQL} >= ${PRIORITY_THRESHOLD} THEN 3
+    ELSE 4
+  END
+`;
+
+/**
+ * Whitelisted sort orders
+ * 'created' keeps the historical newest-first order and supports id cursors
+ * 'manual' is the user's drag-and-drop order for a list view (needs the
+ * task_ranks join that buildTaskFilters adds); never-moved tasks come first
+ */
+const TASK_SORTS = {
+  created: 't.id DESC',
+  eisenhower: `quadrant ASC, ${URGENCY_SQL} DESC, COALESCE(t.importance, ${DEFAULT_PRIORITY}) DESC, t.id DESC`,
+  urgency: `${URGENCY_SQL} DESC, t.id DESC`,
+  importance: `COALESCE(t.importance, ${DEFAULT_PRIORITY}) DESC, t.id DESC`,
+  deadline: 't.deadline IS NULL, t.deadline ASC, t.id DESC',
+  manual: 'r.rank IS NOT NULL, r.rank ASC, t.id DESC'
+};
+
+const DEFAULT_SORT = 'created';
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_VIEW = 'tasks';
+
+/**
+ * Parses a comma-separated list of integers ("1,2,3") into an array
+ *
+ * @param {string|array} value - Raw query value
+ * @returns {array} Array of integers (invalid entries dropped)
+ */
+function parseIdList(value) {
+  const raw = Array.isArray(value) ? value.join(',') : String(value);
+
+  return raw
+    .split(',')
+    .map(id => parseInt(id.trim(), 10))
+    .filter(id => Number.isInteger(id) && id > 0);
+}
+
+/**
+ * Parses boolean-ish query values ('true'/'false'/'1'/'0')
+ *
+ * @param {string} value - Raw query value
+ * @returns {boolean|null} Parsed boolean, or null if not recognized
+ */
+function parseBoolean(value) {
+  if (value === 'true' || value === '1') return true;
+  if (value === 'false' || value === '0') return false;
+  return null;
+}
+
+/**
+ * Escapes LIKE wildcards so user text is matched literally
+ *
+ * @param {string} text - Search text
+ * @returns {string} Escaped text (use with ESCAPE '\')
+ */
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, char => `\\${char}`);
+}
+
+/**
+ * Builds filter conditions and ordering for the task list
+ *
+ * Supported query parameters:
+ * - completed: true | false
+ * - tags: comma-separated tag ids
+ * - tag_match: 'any' (default) | 'all'
+ * - quadrant: comma-separated quadrants (1-4)
+ * - deadline_after / deadline_before: ISO8601 bounds (inclusive)
+ * - has_deadline: true | false
+ * - planned_for: YYYY-MM-DD (exact planned date)
+ * - planned_before: YYYY-MM-DD (planned strictly before, e.g. leftovers)
+ * - blocked: true | false (has unfinished "blocked by" tasks)
+ * - parent_id: task id, or 'none' for top-level tasks only
+ * - project_id: project id, or 'none' for tasks outside any project
+ * - status_id: workflow status id (tasks without a status count as their default one)
+ * - q: free text matched against title, description and why
+ * - sort: created | eisenhower | urgency | importance | deadline | manual
+ * - view: list view whose manual order to use with sort=manual (default 'tasks')
+ *
+ * @param {object} query - Express req.query
+ * @returns {object} { joins: string, joinParams: array, conditions: array, params: array, orderBy: string, sort: string }
+ */
+function buildTaskFilters(query = {}) {
+  const conditions = [];
+  const params = [];
+
+  const completed = query.completed !== undefined ? parseBoolean(query.completed) : null;
+  if (completed !== null) {
+    conditions.push(completed ? 't.completed = 1' : 't.completed = 0');
+  }
+
+  if (query.tags) {
+    const tagIds = parseIdList(query.tags);
+
+    if (tagIds.length > 0) {
+      const placeholders = tagIds.map(() => '?').join(',');
+
+      if (query.tag_match === 'all') {
+        conditions.push(`(
+          SELECT COUNT(DISTINCT ftt.tag_id) FROM task_tags ftt
+          WHERE ftt.task_id = t.id AND ftt.tag_id IN (${placeholders})
+        ) = ?`);
+        params.push(...tagIds, tagIds.length);
+      } else {
+        conditions.push(`t.id IN (SELECT ftt.task_id FROM task_tags ftt WHERE ftt.tag_id IN (${placeholders}))`);
+        params.push(...tagIds);
+      }
+    }
+  }
+
+  if (query.quadrant) {
+    const quadrants = parseIdList(query.quadrant).filter(q => q >= 1 && q <= 4);
+
+    if (quadrants.length > 0) {
+      conditions.push(`(${QUADRANT_SQL}) IN (${quadrants.map(() => '?').join(',')})`);
+      params.push(...quadrants);
+    }
+  }
+
+  if (query.deadline_after) {
+    conditions.push('t.deadline >= ?');
+    params.push(query.deadline_after);
+  }
+
+  // Deadlines are local "YYYY-MM-DD" or "YYYY-MM-DDTHH:MM": a date-only upper
+  // bound has to sort after any time on that day
+  if (query.deadline_before) {
+    conditions.push('t.deadline <= ?');
+    params.push(DATE_ONLY.test(query.deadline_before) ? `${query.deadline_before}T23:59:59` : query.deadline_before);
+  }
+
+  const hasDeadline = query.has_deadline !== undefined ? parseBoolean(query.has_deadline) : null;
+  if (hasDeadline !== null) {
+    conditions.push(hasDeadline ? 't.deadline IS NOT NULL' : 't.deadline IS NULL');
+  }
+
+  if (query.planned_for) {
+    conditions.push('t.planned_for_today = ?');
+    params.push(query.planned_for);
+  }
+
+  if (query.planned_before) {
+    conditions.push('t.planned_for_today IS NOT NULL AND t.planned_for_today < ?');
+    params.push(query.planned_before);
+  }
+
+  const blocked = query.blocked !== undefined ? parseBoolean(query.blocked) : null;
+  if (blocked !== null) {
+    conditions.push(blocked ? IS_BLOCKED_SQL : `NOT ${IS_BLOCKED_SQL}`);
+  }
+
+  if (query.parent_id !== undefined && query.parent_id !== '') {
+    if (query.parent_id === 'none') {
+      conditions.push('t.parent_task_id IS NULL');
+    } else {
+      conditions.push('t.parent_task_id = ?');
+      params.push(parseInt(query.parent_id, 10));
+    }
+  }
+
+  if (query.project_id !== undefined && query.project_id !== '') {
+    if (query.project_id === 'none') {
+      conditions.push('t.project_id IS NULL');
+    } else {
+      conditions.push('t.project_id = ?');
+      params.push(parseInt(query.project_id, 10));
+    }
+  }
+
+  if (query.status_id) {
+    conditions.push(`${EFFECTIVE_STATUS_SQL} = ?`);
+    params.push(parseInt(query.status_id, 10));
+  }
+
+  if (query.q && query.q.trim()) {
+    const pattern = `%${escapeLike(query.q.trim())}%`;
+    conditions.push(`(
+      t.title LIKE ? ESCAPE '\\'
+      OR t.description LIKE ? ESCAPE '\\'
+      OR t.why LIKE ? ESCAPE '\\'
+    )`);
+    params.push(pattern, pattern, pattern);
+  }
+
+  const sort = Object.prototype.hasOwnProperty.call(TASK_SORTS, query.sort) ? query.sort : DEFAULT_SORT;
+  const manual = sort === 'manual';
+
+  return {
+    joins: manual ? 'LEFT JOIN task_ranks r ON r.task_id = t.id AND r.view = ?' : '',
+    joinParams: manual ? [query.view || DEFAULT_VIEW] : [],
+    conditions,
+    params,
+    orderBy: TASK_SORTS[sort],
+    sort
+  };
+}
+
+module.exports = {
+  buildTaskFilters,
+  parseIdList,
+  parseBoolean,
+  escapeLike,
+  QUADRANT_SQL,
+  TASK_SORTS,
+  DEFAULT_SORT,
+  DEFAULT_VIEW
+};
@@ -1,3 +1,65 @@
+const db = require('../database/db');
+
+/**
+ * 1 when the task "t" has at least one unfinished blocker, else 0
+ */
+const IS_BLOCKED_SQL = `
+  EXISTS (
+    SELECT 1 FROM task_dependencies td
+    JOIN tasks blocker ON blocker.id = td.blocked_by_task_id
+    WHERE td.task_id = t.id AND blocker.completed = 0 AND blocker.deleted_at IS NULL
+  )
+`;
+
+/**
+ * Urgency of the task "t" after deadline-driven urgency (see utils/urgency.js);
+ * the task's own urgency unless auto_urgency is on and it has a deadline
+ */
+const EFFECTIVE_URGENCY_SQL = `
+  CASE WHEN t.auto_urgency = 1 AND t.deadline IS NOT NULL THEN effective_urgency(
+    t.urgency,
+    t.deadline,
+    (SELECT json_array(us.timezone, us.urgency_horizon_days, us.urgency_curve)
+     FROM user_settings us WHERE us.user_id = t.user_id)
+  ) ELSE t.urgency END
+`;
+
+/**
+ * Workflow status of the task "t" (see services/taskStatusService.js); a task
+ * without one is in its owner's first open or first done status
+ */
+const EFFECTIVE_STATUS_SQL = `
+  COALESCE(t.status_id, (
+    SELECT s.id FROM task_statuses s
+    WHERE s.user_id = t.user_id AND s.is_done = t.completed
+    ORDER BY s.position, s.id LIMIT 1
+  ))
+`;
+
+/**
+ * Columns returned by the task API, for queries on "tasks t"
+ * Use together with TASK_TAG_JOINS and GROUP BY t.id, then transformTaskWithTags
+ */
+const TASK_COLUMNS = `
+  t.id, t.title, t.description, t.completed, t.importance, t.urgency, t.auto_urgency,
+  ${EFFECTIVE_URGENCY_SQL} as effective_urgency,
+  t.why, t.deadline, t.parent_task_id, t.source_inbox_id, t.pomodoro_count, t.time_spent_minutes,
+  t.estimate_minutes, t.planned_for_today, t.recurrence_rule, t.recurrence_source_id, t.project_id, t.created_at, t.updated_at,
+  ${EFFECTIVE_STATUS_SQL} as status_id,
+  ${IS_BLOCKED_SQL} as is_blocked,
+  GROUP_CONCAT(tag.id) as tag_ids,
+  GROUP_CONCAT(tag.name) as tag_names,
+  GROUP_CONCAT(tag.color) as tag_colors
+`;
+
+// Longest estimate a task can have (100 hours)
+const MAX_ESTIMATE_MINUTES = 100 * 60;
+
+const TASK_TAG_JOINS = `
+  LEFT JOIN task_tags tt ON t.id = tt.task_id
+  LEFT JOIN tags tag ON tt.tag_id = tag.id
+`;
+
 /**
  * Transform task with grouped tag data into a task with tags array
  * @param {Object} task - Task object with grouped tag data
@@ -20,6 +82,29 @@ function transformTaskWithTags(task) {
   };
 }
 
+/**
+ * Fetch a task by id with its grouped tag data
+ * Callers are expected to have checked ownership already
+ * @param {number} taskId - Task ID
+ * @returns {Object|undefined} - Raw task row (pass to transformTaskWithTags)
+ */
+function getTaskWithTags(taskId) {
+  return db.prepare(`
+    SELECT ${TASK_COLUMNS}
+    FROM tasks t
+    ${TASK_TAG_JOINS}
+    WHERE t.id = ?
+    GROUP BY t.id
+  `).get(taskId);
+}
+
 module.exports = {
-  transformTaskWithTags
+  IS_BLOCKED_SQL,
+  EFFECTIVE_URGENCY_SQL,
+  EFFECTIVE_STATUS_SQL,
+  TASK_COLUMNS,
+  TASK_TAG_JOINS,
+  MAX_ESTIMATE_MINUTES,
+  transformTaskWithTags,
+  getTaskWithTags
 };
\ No newline at end of file
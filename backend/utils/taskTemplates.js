@@ -0,0 +1,152 @@
+/**
+ * Task Templates
+ *
+ * A template is a parent task with nested subtasks, stored as one JSON
+ * document in task_templates.task. Every node looks like:
+ *
+ *   {
+ *     title: 'Release checklist',      (required)
+ *     description, why,                 (optional text)
+ *     importance, urgency,              (0 - 1,000,000, default 500,000)
+ *     auto_urgency,                     (boolean)
+ *     estimate_minutes,                 (optional)
+ *     tags: ['release'],                (tag names)
+ *     deadline_offset_days: 3,          (optional - days after the start date)
+ *     deadline_time: '17:00',           (optional - HH:MM, needs an offset)
+ *     subtasks: [ ...nodes ]
+ *   }
+ *
+ * Deadlines are relative: when a template is used, each deadline becomes the
+ * start date plus deadline_offset_days. Negative offsets are days before the
+ * start date, e.g. for steps that lead up to a release day.
+ *
+ * @example
+ * const { normalizeTemplateTask, resolveDeadline } = require('../utils/taskTemplates');
+ *
+ * const task = normalizeTemplateTask({ title: 'Onboard client', subtasks: [{ title: 'Kickoff call', deadline_offset_days: 2 }] });
+ * resolveDeadline(task.subtasks[0], '2026-10-19'); // '2026-10-21'
+ */
+
+const { addDays } = require('./recurrence');
+const { MAX_ESTIMATE_MINUTES } = require('./taskHelpers');
+
+const MAX_TEMPLATE_TASKS = 200;
+const MAX_TEMPLATE_DEPTH = 10;
+const MAX_OFFSET_DAYS = 3650;
+const DEFAULT_PRIORITY = 500000;
+
+const isInt = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+/**
+ * Checks a template task tree and returns it in canonical form
+ *
+ * @param {object} value - Root node as sent by a client
+ * @returns {object} Root node with every field present
+ * @throws {Error} If the tree is malformed or too large
+ */
+function normalizeTemplateTask(value) {
+  let count = 0;
+
+  const normalize = (node, depth, path) => {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+      throw new Error(`${path} must be an object`);
+    }
+    if (depth > MAX_TEMPLATE_DEPTH) {
+      throw new Error(`Templates can be at most ${MAX_TEMPLATE_DEPTH} levels deep`);
+    }
+    if (++count > MAX_TEMPLATE_TASKS) {
+      throw new Error(`Templates can have at most ${MAX_TEMPLATE_TASKS} tasks`);
+    }
+
+    const title = typeof node.title === 'string' ? node.title.trim() : '';
+    if (!title) {
+      throw new Error(`${path}.title is required`);
+    }
+
+    for (const field of ['description', 'why']) {
+      if (node[field] != null && typeof node[field] !== 'string') {
+        throw new Error(`${path}.${field} must be text`);
+      }
+    }
+
+    for (const field of ['importance', 'urgency']) {
+      if (node[field] != null && !isInt(node[field], 0, 1000000)) {
+        throw new Error(`${path}.${field} must be between 0 and 1000000`);
+      }
+    }
+
+    if (node.estimate_minutes != null && !isInt(node.estimate_minutes, 1, MAX_ESTIMATE_MINUTES)) {
+      throw new Error(`${path}.estimate_minutes must be between 1 and ${MAX_ESTIMATE_MINUTES}`);
+    }
+
+    if (node.deadline_offset_days != null && !isInt(node.deadline_offset_days, -MAX_OFFSET_DAYS, MAX_OFFSET_DAYS)) {
+      throw new Error(`${path}.deadline_offset_days must be between -${MAX_OFFSET_DAYS} and ${MAX_OFFSET_DAYS}`);
+    }
+
+    if (node.deadline_time != null) {
+      if (typeof node.deadline_time !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(node.deadline_time)) {
+        throw new Error(`${path}.deadline_time must be HH:MM`);
+      }
+      if (node.deadline_offset_days == null) {
+        throw new Error(`${path}.deadline_time needs deadline_offset_days`);
+      }
+    }
+
+    const tags = node.tags ?? [];
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string' || !tag.trim())) {
+      throw new Error(`${path}.tags must be a list of tag names`);
+    }
+
+    const subtasks = node.subtasks ?? [];
+    if (!Array.isArray(subtasks)) {
+      throw new Error(`${path}.subtasks must be a list`);
+    }
+
+    return {
+      title,
+      description: node.description?.trim() || null,
+      why: node.why?.trim() || null,
+      importance: node.importance ?? DEFAULT_PRIORITY,
+      urgency: node.urgency ?? DEFAULT_PRIORITY,
+      auto_urgency: Boolean(node.auto_urgency),
+      estimate_minutes: node.estimate_minutes ?? null,
+      tags: [...new Set(tags.map(tag => tag.trim()))],
+      deadline_offset_days: node.deadline_offset_days ?? null,
+      deadline_time: node.deadline_time ?? null,
+      subtasks: subtasks.map((child, index) => normalize(child, depth + 1, `${path}.subtasks[${index}]`))
+    };
+  };
+
+  return normalize(value, 1, 'task');
+}
+
+/**
+ * Number of tasks in a template tree, the root included
+ *
+ * @param {object} node - Normalized root node
+ * @returns {number}
+ */
+function countTemplateTasks(node) {
+  return 1 + node.subtasks.reduce((sum, child) => sum + countTemplateTasks(child), 0);
+}
+
+/**
+ * The deadline a template node gets when the template is used
+ *
+ * @param {object} node - Normalized node
+ * @param {string} startDate - YYYY-MM-DD the offsets count from
+ * @returns {string|null} YYYY-MM-DD or YYYY-MM-DDTHH:MM, null without an offset
+ */
+function resolveDeadline(node, startDate) {
+  if (node.deadline_offset_days == null) return null;
+
+  const date = addDays(startDate, node.deadline_offset_days);
+  return node.deadline_time ? `${date}T${node.deadline_time}` : date;
+}
+
+module.exports = {
+  MAX_TEMPLATE_TASKS,
+  normalizeTemplateTask,
+  countTemplateTasks,
+  resolveDeadline
+};
@@ -0,0 +1,120 @@
+/**
+ * Timezones
+ *
+ * Helpers for user timezones stored as IANA names ('Europe/Berlin'), used
+ * where the server acts on its own (scheduled emails, calendar feeds) rather
+ * than on a request that carries the client's tz_offset.
+ *
+ * @example
+ * const { getLocalTime, getOffsetMinutes, fromLocalTime } = require('../utils/timezone');
+ *
+ * getLocalTime(new Date('2026-10-18T05:30:00Z'), 'Europe/Berlin');
+ * // { date: '2026-10-18', time: '07:30', weekday: 7 }
+ * getOffsetMinutes(new Date('2026-10-18T05:30:00Z'), 'Europe/Berlin'); // 120
+ * fromLocalTime('2026-10-18', '07:30', 'Europe/Berlin'); // 2026-10-18T05:30:00.000Z
+ */
+
+const formatters = new Map();
+
+/**
+ * Cached formatter giving the wall-clock parts of a moment in a timezone
+ */
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+/**
+ * Whether a string is a timezone name the runtime knows
+ *
+ * @param {string} timezone - e.g. 'America/New_York'
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string' || !timezone) return false;
+
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock parts of a moment in a timezone
+ */
+function getParts(date, timezone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timezone).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return parts;
+}
+
+/**
+ * Local date and time of a moment in a timezone
+ *
+ * @param {Date} date - Moment
+ * @param {string} timezone - IANA name
+ * @returns {object} { date: 'YYYY-MM-DD', time: 'HH:MM', weekday: 1 (Monday) .. 7 (Sunday) }
+ */
+function getLocalTime(date, timezone) {
+  const { year, month, day, hour, minute } = getParts(date, timezone);
+  const localDate = `${year}-${month}-${day}`;
+
+  return {
+    date: localDate,
+    time: `${hour}:${minute}`,
+    weekday: new Date(`${localDate}T00:00:00Z`).getUTCDay() || 7
+  };
+}
+
+/**
+ * Minutes a timezone is ahead of UTC at a moment (what clients send as tz_offset)
+ *
+ * @param {Date} date - Moment (offsets change with daylight saving time)
+ * @param {string} timezone - IANA name
+ * @returns {number}
+ */
+function getOffsetMinutes(date, timezone) {
+  const { year, month, day, hour, minute, second } = getParts(date, timezone);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  return Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Moment at which a timezone's wall clock shows a local date and time
+ * (a time skipped by a daylight saving change comes out an hour off)
+ *
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @param {string} timezone - IANA name
+ * @returns {Date}
+ */
+function fromLocalTime(date, time, timezone) {
+  const wallClock = Date.parse(`${date}T${time}:00Z`);
+  const guess = wallClock - getOffsetMinutes(new Date(wallClock), timezone) * 60000;
+
+  // The offset at the guess differs when a daylight saving change lies in between
+  return new Date(wallClock - getOffsetMinutes(new Date(guess), timezone) * 60000);
+}
+
+module.exports = {
+  isValidTimezone,
+  getLocalTime,
+  getOffsetMinutes,
+  fromLocalTime
+};
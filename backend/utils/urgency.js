@@ -0,0 +1,113 @@
+/**
+ * Deadline-driven Urgency
+ *
+ * Tasks with auto_urgency set get their urgency from how close their deadline
+ * is. Urgency climbs from the task's own (manual) urgency towards the maximum
+ * over the user's horizon: nothing changes until horizon_days before the
+ * deadline, and from the deadline on the task is fully urgent. The curve
+ * decides how fast it climbs in between:
+ *
+ *   linear     steady climb over the horizon
+ *   quadratic  slow at first, steep near the deadline
+ *   cubic      stays low longest, then jumps close to the deadline
+ *
+ * The value is computed on read, in SQL, by the effective_urgency() function
+ * registered on the database connection, so lists sort and group by it
+ * without a job having to keep stored values fresh.
+ *
+ * Deadlines without a timezone are the user's local time (settings.timezone);
+ * a date-only deadline is due at the end of that day.
+ *
+ * @example
+ * const { computeEffectiveUrgency } = require('../utils/urgency');
+ *
+ * computeEffectiveUrgency(200000, '2026-10-20', { horizon_days: 14, curve: 'linear', timezone: 'UTC' },
+ *   new Date('2026-10-14T00:00:00Z')); // 600000 (half of the horizon left)
+ */
+
+const { getOffsetMinutes } = require('./timezone');
+
+const MAX_URGENCY = 1000000;
+const DEFAULT_URGENCY = 500000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How the urgency climbs, given the share of the horizon that has passed (0-1)
+const URGENCY_CURVES = {
+  linear: progress => progress,
+  quadratic: progress => progress ** 2,
+  cubic: progress => progress ** 3
+};
+
+const DEFAULT_CURVE_SETTINGS = {
+  horizon_days: 14,
+  curve: 'linear',
+  timezone: 'UTC'
+};
+
+/**
+ * When a deadline is due, in milliseconds since the epoch
+ *
+ * @param {string} deadline - ISO 8601 date or date-time
+ * @param {string} timezone - Timezone of deadlines without one
+ * @param {Date} now - Moment whose UTC offset is used
+ * @returns {number} NaN for unparseable deadlines
+ */
+function getDueTime(deadline, timezone, now) {
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(deadline)) {
+    return Date.parse(deadline);
+  }
+
+  const local = deadline.length === 10
+    ? Date.parse(`${deadline}T00:00:00Z`) + DAY_MS // End of the day
+    : Date.parse(`${deadline}Z`);
+
+  return local - getOffsetMinutes(now, timezone) * 60000;
+}
+
+/**
+ * A task's urgency including how close its deadline is
+ *
+ * @param {number|null} urgency - The task's own urgency, the lowest it can be
+ * @param {string|null} deadline - The task's deadline
+ * @param {object} settings - { horizon_days, curve, timezone }
+ * @param {Date} now - Current time
+ * @returns {number} 0 - 1,000,000
+ */
+function computeEffectiveUrgency(urgency, deadline, settings, now = new Date()) {
+  const base = urgency ?? DEFAULT_URGENCY;
+  if (!deadline) return base;
+
+  const { horizon_days, curve, timezone } = { ...DEFAULT_CURVE_SETTINGS, ...settings };
+  const dueTime = getDueTime(deadline, timezone, now);
+  if (Number.isNaN(dueTime)) return base;
+
+  const daysLeft = (dueTime - now.getTime()) / DAY_MS;
+  const progress = Math.min(1, Math.max(0, 1 - daysLeft / horizon_days));
+  const climb = (URGENCY_CURVES[curve] || URGENCY_CURVES.linear)(progress);
+
+  return Math.round(base + (MAX_URGENCY - base) * climb);
+}
+
+/**
+ * Registers effective_urgency(urgency, deadline, settings_json) on a
+ * better-sqlite3 connection; settings_json is [timezone, horizon_days, curve]
+ * from user_settings, or NULL for the defaults
+ *
+ * @param {object} db - Database connection
+ */
+function registerUrgencyFunction(db) {
+  db.function('effective_urgency', { deterministic: false }, (urgency, deadline, settingsJson) => {
+    const settings = {};
+    if (settingsJson) {
+      [settings.timezone, settings.horizon_days, settings.curve] = JSON.parse(settingsJson);
+    }
+    return computeEffectiveUrgency(urgency, deadline, settings);
+  });
+}
+
+module.exports = {
+  URGENCY_CURVES,
+  DEFAULT_CURVE_SETTINGS,
+  computeEffectiveUrgency,
+  registerUrgencyFunction
+};
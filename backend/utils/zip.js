@@ -0,0 +1,295 @@
+/**
+ * ZIP
+ *
+ * Writes a ZIP archive to a stream as it goes: each file is deflated while
+ * its content is produced, so nothing has to be held in memory or written to
+ * disk first. Sizes and checksums follow each file (data descriptors), and
+ * the central directory is written at the end. File names are UTF-8.
+ * Archives are limited to the classic ZIP format (under 4 GB, 65535 files).
+ *
+ * @example
+ * const { createZipWriter } = require('../utils/zip');
+ *
+ * const zip = createZipWriter(res);
+ * await zip.addFile('hello.txt', ['Hello, ', 'world\n']);
+ * await zip.addFile('rows.csv', generateRows()); // any (async) iterable of strings or Buffers
+ * await zip.finish();
+ * res.end();
+ *
+ * Reading is for small archives held in memory (uploads): stored and
+ * deflated files, found through the central directory.
+ *
+ * @example
+ * const { readZipEntries } = require('../utils/zip');
+ *
+ * const entry = readZipEntries(buffer).find(e => e.name.endsWith('export.json'));
+ * const text = entry.read(10 * 1024 * 1024).toString('utf8');
+ */
+
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+const DATA_DESCRIPTOR = 0x08074b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+// Bit 3: sizes and CRC follow the data, bit 11: names are UTF-8
+const FLAGS = 0x0808;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+const VERSION = 20;
+
+// CRC-32 (IEEE) of every byte value. zlib.crc32 would do, but only from Node 20.15.
+const CRC_TABLE = new Int32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  CRC_TABLE[n] = c;
+}
+
+/**
+ * Continues a CRC-32 over more bytes
+ *
+ * @param {Buffer} buffer - Next bytes
+ * @param {number} crc - CRC of the bytes so far (0 to start)
+ * @returns {number} Unsigned CRC
+ */
+function crc32(buffer, crc = 0) {
+  let c = ~crc;
+  for (let i = 0; i < buffer.length; i++) {
+    c = CRC_TABLE[(c ^ buffer[i]) & 0xFF] ^ (c >>> 8);
+  }
+  return ~c >>> 0;
+}
+
+/**
+ * A moment as MS-DOS time and date fields (local time, two-second steps)
+ */
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Waits until a stream takes writes again, failing if it's closed first
+ * (e.g. the client went away mid-download)
+ */
+function waitForDrain(output) {
+  return new Promise((resolve, reject) => {
+    const onDrain = () => {
+      cleanup();
+      resolve();
+    };
+    const onClose = () => {
+      cleanup();
+      reject(new Error('Output closed before the archive was finished'));
+    };
+    const cleanup = () => {
+      output.off('drain', onDrain);
+      output.off('close', onClose);
+    };
+
+    output.on('drain', onDrain);
+    output.on('close', onClose);
+  });
+}
+
+/**
+ * Starts a ZIP archive on a writable stream
+ * The stream is not ended by finish(), so callers decide when to close it.
+ *
+ * @param {stream.Writable} output - Where the archive goes (e.g. an HTTP response)
+ * @param {Date} modified - Modification time given to every file
+ * @returns {object} { addFile(name, content), finish() } - both async, call one at a time
+ */
+function createZipWriter(output, modified = new Date()) {
+  const { time, date } = dosDateTime(modified);
+  const entries = [];
+  let offset = 0;
+
+  const write = async (buffer) => {
+    if (output.destroyed) {
+      throw new Error('Output closed before the archive was finished');
+    }
+
+    offset += buffer.length;
+    if (!output.write(buffer)) {
+      await waitForDrain(output);
+    }
+  };
+
+  /**
+   * Adds a file, deflating its content as it's produced
+   *
+   * @param {string} name - Path inside the archive ('csv/tasks.csv')
+   * @param {Iterable|AsyncIterable} content - Strings (UTF-8) and Buffers
+   */
+  const addFile = async (name, content) => {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const entry = { nameBuffer, offset, crc: 0, size: 0, compressedSize: 0 };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(LOCAL_FILE_HEADER, 0);
+    header.writeUInt16LE(VERSION, 4);
+    header.writeUInt16LE(FLAGS, 6);
+    header.writeUInt16LE(METHOD_DEFLATE, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    // CRC and sizes (14-25) are left zero: they're in the data descriptor
+    header.writeUInt16LE(nameBuffer.length, 26);
+    header.writeUInt16LE(0, 28);
+    await write(Buffer.concat([header, nameBuffer]));
+
+    await pipeline(
+      Readable.from(content, { objectMode: true }),
+      async function* (chunks) {
+        for await (const chunk of chunks) {
+          const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk), 'utf8');
+          if (buffer.length === 0) continue;
+          entry.crc = crc32(buffer, entry.crc);
+          entry.size += buffer.length;
+          yield buffer;
+        }
+      },
+      zlib.createDeflateRaw(),
+      async (compressed) => {
+        for await (const chunk of compressed) {
+          entry.compressedSize += chunk.length;
+          await write(chunk);
+        }
+      }
+    );
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(DATA_DESCRIPTOR, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    descriptor.writeUInt32LE(entry.compressedSize, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+    await write(descriptor);
+
+    entries.push(entry);
+  };
+
+  /**
+   * Writes the central directory, completing the archive
+   */
+  const finish = async () => {
+    const directoryOffset = offset;
+
+    for (const entry of entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(CENTRAL_DIRECTORY_HEADER, 0);
+      header.writeUInt16LE(VERSION, 4);
+      header.writeUInt16LE(VERSION, 6);
+      header.writeUInt16LE(FLAGS, 8);
+      header.writeUInt16LE(METHOD_DEFLATE, 10);
+      header.writeUInt16LE(time, 12);
+      header.writeUInt16LE(date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.nameBuffer.length, 28);
+      // Extra field, comment, disk number and attributes (30-41) stay zero
+      header.writeUInt32LE(entry.offset, 42);
+      await write(Buffer.concat([header, entry.nameBuffer]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(offset - directoryOffset, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+    await write(end);
+  };
+
+  return { addFile, finish };
+}
+
+/**
+ * Files in a ZIP archive
+ * Directories are left out. Throws if the buffer isn't a ZIP archive.
+ *
+ * @param {Buffer} buffer - The whole archive
+ * @returns {object[]} [{ name, size, read(maxSize) }] - read() returns the
+ *   file's content, throwing if it's larger than maxSize bytes, can't be
+ *   unpacked or fails its checksum
+ */
+function readZipEntries(buffer) {
+  // The end record sits at the very end, followed by a comment of up to 65535 bytes
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xFFFF); i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw new Error('Not a ZIP archive');
+  }
+
+  const count = buffer.readUInt16LE(end + 10);
+  let position = buffer.readUInt32LE(end + 16);
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    if (position + 46 > buffer.length || buffer.readUInt32LE(position) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error('Damaged ZIP archive');
+    }
+
+    const method = buffer.readUInt16LE(position + 10);
+    const crc = buffer.readUInt32LE(position + 16);
+    const compressedSize = buffer.readUInt32LE(position + 20);
+    const size = buffer.readUInt32LE(position + 24);
+    const nameLength = buffer.readUInt16LE(position + 28);
+    const extraLength = buffer.readUInt16LE(position + 30);
+    const commentLength = buffer.readUInt16LE(position + 32);
+    const offset = buffer.readUInt32LE(position + 42);
+    const name = buffer.toString('utf8', position + 46, position + 46 + nameLength);
+    position += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+
+    const read = (maxSize) => {
+      if (size > maxSize) {
+        throw new Error(`${name} is too large`);
+      }
+      if (offset + 30 > buffer.length || buffer.readUInt32LE(offset) !== LOCAL_FILE_HEADER) {
+        throw new Error('Damaged ZIP archive');
+      }
+
+      const start = offset + 30 + buffer.readUInt16LE(offset + 26) + buffer.readUInt16LE(offset + 28);
+      const data = buffer.subarray(start, start + compressedSize);
+
+      let content;
+      if (method === METHOD_STORE) {
+        content = data;
+      } else if (method === METHOD_DEFLATE) {
+        content = zlib.inflateRawSync(data, { maxOutputLength: maxSize });
+      } else {
+        throw new Error(`${name} uses an unsupported compression method`);
+      }
+
+      if (crc32(content) !== crc) {
+        throw new Error('Damaged ZIP archive');
+      }
+      return content;
+    };
+
+    entries.push({ name, size, read });
+  }
+
+  return entries;
+}
+
+module.exports = {
+  crc32,
+  createZipWriter,
+  readZipEntries
+};
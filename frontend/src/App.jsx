@@ -10,10 +10,17 @@ import Login from './pages/Login';
 import Register from './pages/Register';
 import ForgotPassword from './pages/ForgotPassword';
 import ResetPassword from './pages/ResetPassword';
+import Unsubscribe from './pages/Unsubscribe';
 import Today from './pages/Today';
 import Inbox from './pages/Inbox';
 import Tasks from './pages/Tasks';
 import Memos from './pages/Memos';
+import Projects from './pages/Projects';
+import ProjectDetail from './pages/ProjectDetail';
+import Search from './pages/Search';
+import Trash from './pages/Trash';
+import Timesheet from './pages/Timesheet';
+import Calendar from './pages/Calendar';
 import Profile from './pages/Profile';
 import AdminSettings from './pages/AdminSettings';
 
@@ -24,7 +31,8 @@ function AppContent() {
 
   // Check if current route is a public route (login, register, etc.)
   const isPublicRoute = ['/login', '/register', '/forgot-password'].includes(location.pathname) ||
-                        location.pathname.startsWith('/reset-password');
+                        location.pathname.startsWith('/reset-password') ||
+                        location.pathname.startsWith('/unsubscribe');
 
   // Register service worker on mount
   useEffect(() => {
@@ -70,6 +78,60 @@ function AppContent() {
               }
             />
 
+            <Route
+              path="/projects"
+              element={
+                <ProtectedRoute>
+                  <Projects />
+                </ProtectedRoute>
+              }
+            />
+
+            <Route
+              path="/projects/:id"
+              element={
+                <ProtectedRoute>
+                  <ProjectDetail />
+                </ProtectedRoute>
+              }
+            />
+
+            <Route
+              path="/search"
+              element={
+                <ProtectedRoute>
+                  <Search />
+                </ProtectedRoute>
+              }
+            />
+
+            <Route
+              path="/trash"
+              element={
+                <ProtectedRoute>
+                  <Trash />
+                </ProtectedRoute>
+              }
+            />
+
+            <Route
+              path="/timesheet"
+              element={
+                <ProtectedRoute>
+                  <Timesheet />
+                </ProtectedRoute>
+              }
+            />
+
+            <Route
+              path="/calendar"
+              element={
+                <ProtectedRoute>
+                  <Calendar />
+                </ProtectedRoute>
+              }
+            />
+
             {/* Profile route */}
             <Route
               path="/profile"
@@ -101,6 +163,7 @@ function AppContent() {
           <Route path="/register" element={<Register />} />
           <Route path="/forgot-password" element={<ForgotPassword />} />
           <Route path="/reset-password/:token" element={<ResetPassword />} />
+          <Route path="/unsubscribe/:token" element={<Unsubscribe />} />
 
           {/* Protected routes */}
           <Route
@@ -136,6 +199,60 @@ function AppContent() {
             }
           />
 
+          <Route
+            path="/projects"
+            element={
+              <ProtectedRoute>
+                <Projects />
+              </ProtectedRoute>
+            }
+          />
+
+          <Route
+            path="/projects/:id"
+            element={
+              <ProtectedRoute>
+                <ProjectDetail />
+              </ProtectedRoute>
+            }
+          />
+
+          <Route
+            path="/search"
+            element={
+              <ProtectedRoute>
+                <Search />
+              </ProtectedRoute>
+            }
+          />
+
+          <Route
+            path="/trash"
+            element={
+              <ProtectedRoute>
+                <Trash />
+              </ProtectedRoute>
+            }
+          />
+
+          <Route
+            path="/timesheet"
+            element={
+              <ProtectedRoute>
+                <Timesheet />
+              </ProtectedRoute>
+            }
+          />
+
+          <Route
+            path="/calendar"
+            element={
+              <ProtectedRoute>
+                <Calendar />
+              </ProtectedRoute>
+            }
+          />
+
           {/* Profile route */}
           <Route
             path="/profile"
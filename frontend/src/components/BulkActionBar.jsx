@@ -0,0 +1,265 @@
+import { useState } from 'react';
+import { Check, CalendarCheck, Tag, AlertCircle, GitBranch, Trash2, X, Plus, RotateCcw } from 'lucide-react';
+
+// Same scores the matrix view uses when a task is dropped on a quadrant
+const QUADRANTS = [
+  { value: 1, label: 'Do First', color: '#ff3b30', scores: { importance: 750000, urgency: 750000 } },
+  { value: 2, label: 'Schedule', color: '#667eea', scores: { importance: 750000, urgency: 250000 } },
+  { value: 3, label: 'Delegate', color: '#ff9500', scores: { importance: 250000, urgency: 750000 } },
+  { value: 4, label: 'Eliminate', color: '#8e8e93', scores: { importance: 250000, urgency: 250000 } }
+];
+
+export default function BulkActionBar({ selectedTasks, allTasks, onAction, onSelectAll, onCancel }) {
+  const [panel, setPanel] = useState(null); // 'tag' | 'priority' | 'move'
+  const [tagName, setTagName] = useState('');
+  const [parentId, setParentId] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const count = selectedTasks.length;
+  const selectedIds = new Set(selectedTasks.map(t => t.id));
+  const allCompleted = count > 0 && selectedTasks.every(t => t.completed === 1);
+  const allPlanned = count > 0 && selectedTasks.every(t => t.planned_for_today);
+
+  // Tags present on any selected task, for removal
+  const selectedTags = [];
+  for (const task of selectedTasks) {
+    for (const tag of task.tags || []) {
+      if (!selectedTags.some(t => t.id === tag.id)) selectedTags.push(tag);
+    }
+  }
+
+  const parentCandidates = allTasks.filter(t => t.completed !== 1 && !selectedIds.has(t.id));
+
+  const run = async (action, params = {}) => {
+    setBusy(true);
+    try {
+      await onAction(action, params);
+      setPanel(null);
+      setTagName('');
+      setParentId('');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const togglePanel = (name) => setPanel(panel === name ? null : name);
+
+  const actionStyle = (active = false, color = '#1a1a1a') => ({
+    padding: '8px 10px',
+    fontSize: '12px',
+    fontWeight: '600',
+    background: active ? 'rgba(102, 126, 234, 0.15)' : 'transparent',
+    color: active ? '#667eea' : color,
+    border: 'none',
+    borderRadius: '10px',
+    cursor: count > 0 && !busy ? 'pointer' : 'not-allowed',
+    opacity: count > 0 ? 1 : 0.4,
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+    gap: '3px',
+    flex: 1,
+    minWidth: 0
+  });
+
+  const chipStyle = {
+    padding: '8px 12px',
+    fontSize: '13px',
+    fontWeight: '600',
+    border: 'none',
+    borderRadius: '10px',
+    cursor: 'pointer'
+  };
+
+  return (
+    <div style={{
+      position: 'fixed',
+      left: '12px',
+      right: '12px',
+      bottom: 'calc(92px + env(safe-area-inset-bottom))',
+      maxWidth: '876px',
+      margin: '0 auto',
+      background: 'rgba(255, 255, 255, 0.95)',
+      backdropFilter: 'blur(40px) saturate(180%)',
+      WebkitBackdropFilter: 'blur(40px) saturate(180%)',
+      borderRadius: '20px',
+      boxShadow: '0 10px 40px rgba(0, 0, 0, 0.15)',
+      border: '0.5px solid rgba(255, 255, 255, 0.8)',
+      padding: '12px',
+      zIndex: 150
+    }}>
+      {/* Selection summary */}
+      <div style={{
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        marginBottom: '8px',
+        padding: '0 4px'
+      }}>
+        <span style={{ fontSize: '14px', fontWeight: '600', color: '#1a1a1a' }}>
+          {count} selected
+        </span>
+        <div style={{ display: 'flex', gap: '12px', alignItems: 'center' }}>
+          <button
+            onClick={onSelectAll}
+            style={{ background: 'none', border: 'none', padding: 0, fontSize: '13px', fontWeight: '600', color: '#667eea', cursor: 'pointer' }}
+          >
+            Select all
+          </button>
+          <button
+            onClick={onCancel}
+            title="Done selecting"
+            style={{ background: 'rgba(0, 0, 0, 0.05)', border: 'none', borderRadius: '8px', padding: '4px', cursor: 'pointer', display: 'flex' }}
+          >
+            <X size={16} color="#1a1a1a" />
+          </button>
+        </div>
+      </div>
+
+      {/* Tag panel */}
+      {panel === 'tag' && (
+        <div style={{ padding: '8px 4px', borderTop: '0.5px solid rgba(0, 0, 0, 0.08)' }}>
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              if (tagName.trim()) run('tag', { tags: [tagName.trim()] });
+            }}
+            style={{ display: 'flex', gap: '8px', marginBottom: selectedTags.length ? '8px' : 0 }}
+          >
+            <input
+              type="text"
+              placeholder="Add tag..."
+              value={tagName}
+              onChange={(e) => setTagName(e.target.value)}
+              style={{
+                flex: 1,
+                minWidth: 0,
+                padding: '8px 10px',
+                fontSize: '14px',
+                border: '1px solid rgba(0, 0, 0, 0.1)',
+                borderRadius: '10px',
+                outline: 'none'
+              }}
+            />
+            <button
+              type="submit"
+              disabled={!tagName.trim() || busy}
+              style={{ ...chipStyle, background: tagName.trim() ? '#667eea' : 'rgba(0, 0, 0, 0.05)', color: tagName.trim() ? 'white' : '#8e8e93' }}
+            >
+              <Plus size={14} />
+            </button>
+          </form>
+          {selectedTags.length > 0 && (
+            <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap' }}>
+              {selectedTags.map(tag => (
+                <button
+                  key={tag.id}
+                  onClick={() => run('untag', { tag_ids: [tag.id] })}
+                  title={`Remove "${tag.name}" from selected tasks`}
+                  style={{
+                    background: `${tag.color}15`,
+                    color: tag.color,
+                    padding: '4px 8px',
+                    borderRadius: '8px',
+                    border: 'none',
+                    fontSize: '12px',
+                    fontWeight: '600',
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '4px',
+                    cursor: 'pointer'
+                  }}
+                >
+                  {tag.name}
+                  <X size={11} />
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Priority panel */}
+      {panel === 'priority' && (
+        <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap', padding: '8px 4px', borderTop: '0.5px solid rgba(0, 0, 0, 0.08)' }}>
+          {QUADRANTS.map(quadrant => (
+            <button
+              key={quadrant.value}
+              onClick={() => run('set-priority', quadrant.scores)}
+              style={{ ...chipStyle, background: `${quadrant.color}15`, color: quadrant.color }}
+            >
+              {quadrant.label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* Move panel */}
+      {panel === 'move' && (
+        <div style={{ display: 'flex', gap: '8px', padding: '8px 4px', borderTop: '0.5px solid rgba(0, 0, 0, 0.08)' }}>
+          <select
+            value={parentId}
+            onChange={(e) => setParentId(e.target.value)}
+            style={{
+              flex: 1,
+              minWidth: 0,
+              padding: '8px 10px',
+              fontSize: '14px',
+              border: '1px solid rgba(0, 0, 0, 0.1)',
+              borderRadius: '10px',
+              background: 'white'
+            }}
+          >
+            <option value="">Top level (no parent)</option>
+            {parentCandidates.map(t => (
+              <option key={t.id} value={t.id}>{t.title}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => run('move-parent', { parent_task_id: parentId ? parseInt(parentId) : null })}
+            disabled={busy}
+            style={{ ...chipStyle, background: '#667eea', color: 'white' }}
+          >
+            Move
+          </button>
+        </div>
+      )}
+
+      {/* Actions */}
+      <div style={{ display: 'flex', gap: '4px', borderTop: '0.5px solid rgba(0, 0, 0, 0.08)', paddingTop: '8px' }}>
+        <button
+          disabled={count === 0 || busy}
+          onClick={() => run(allCompleted ? 'uncomplete' : 'complete')}
+          style={actionStyle(false, '#34c759')}
+        >
+          {allCompleted ? <RotateCcw size={18} /> : <Check size={18} />}
+          {allCompleted ? 'Reopen' : 'Complete'}
+        </button>
+        <button
+          disabled={count === 0 || busy}
+          onClick={() => run(allPlanned ? 'unplan' : 'plan-today')}
+          style={actionStyle()}
+        >
+          {allPlanned ? <X size={18} /> : <CalendarCheck size={18} />}
+          {allPlanned ? 'Unplan' : 'Today'}
+        </button>
+        <button disabled={count === 0 || busy} onClick={() => togglePanel('tag')} style={actionStyle(panel === 'tag')}>
+          <Tag size={18} />
+          Tags
+        </button>
+        <button disabled={count === 0 || busy} onClick={() => togglePanel('priority')} style={actionStyle(panel === 'priority')}>
+          <AlertCircle size={18} />
+          Priority
+        </button>
+        <button disabled={count === 0 || busy} onClick={() => togglePanel('move')} style={actionStyle(panel === 'move')}>
+          <GitBranch size={18} />
+          Move
+        </button>
+        <button disabled={count === 0 || busy} onClick={() => run('delete')} style={actionStyle(false, '#ff3b30')}>
+          <Trash2 size={18} />
+          Delete
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,200 @@
+import { useState, useEffect } from 'react';
+import { Copy, Check, Plus, Trash2 } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { appPasswordsAPI } from '../services/api';
+
+const rowStyle = {
+  display: 'flex',
+  justifyContent: 'space-between',
+  alignItems: 'center',
+  gap: '12px',
+  padding: '12px 16px',
+  background: '#f9fafb',
+  borderRadius: '12px',
+  fontSize: '14px',
+  color: '#1f2937',
+  marginBottom: '8px'
+};
+
+const smallButtonStyle = {
+  padding: '6px 12px',
+  fontSize: '13px',
+  fontWeight: '600',
+  border: '1px solid #e5e7eb',
+  borderRadius: '8px',
+  background: 'white',
+  color: '#1f2937',
+  cursor: 'pointer',
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px'
+};
+
+const inputStyle = {
+  flex: 1,
+  minWidth: 0,
+  padding: '6px 10px',
+  fontSize: '13px',
+  border: '1px solid #e5e7eb',
+  borderRadius: '8px',
+  background: 'white',
+  color: '#1f2937'
+};
+
+// SQLite timestamps are UTC without a zone ("2025-01-31 18:04:05")
+const formatLastUsed = (value) => (value
+  ? `Last used ${new Date(`${value.replace(' ', 'T')}Z`).toLocaleDateString()}`
+  : 'Never used');
+
+/**
+ * Profile section for two-way task sync with CalDAV apps: the server
+ * address to enter, and the app passwords those apps sign in with
+ */
+export default function CalDavSettings() {
+  const { user } = useAuth();
+  const [appPasswords, setAppPasswords] = useState(null);
+  const [name, setName] = useState('');
+  const [created, setCreated] = useState(null); // { name, password }, shown once
+  const [copied, setCopied] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadAppPasswords();
+  }, []);
+
+  const loadAppPasswords = async () => {
+    try {
+      const response = await appPasswordsAPI.getAll();
+      setAppPasswords(response.data.app_passwords);
+    } catch (error) {
+      setError('Failed to load app passwords');
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+
+    try {
+      setError('');
+      const response = await appPasswordsAPI.create(name.trim());
+      setCreated({ name: response.data.app_password.name, password: response.data.password });
+      setAppPasswords(prev => [response.data.app_password, ...prev]);
+      setName('');
+      setCopied('');
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to create app password');
+    }
+  };
+
+  const handleRevoke = async (appPassword) => {
+    if (!confirm(`Revoke "${appPassword.name}"? Apps using it stop syncing.`)) return;
+
+    try {
+      setError('');
+      await appPasswordsAPI.delete(appPassword.id);
+      setAppPasswords(prev => prev.filter(p => p.id !== appPassword.id));
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to revoke app password');
+    }
+  };
+
+  const handleCopy = async (field, value) => {
+    try {
+      await navigator.clipboard.writeText(value);
+      setCopied(field);
+    } catch (error) {
+      setError('Copy it by hand: the browser did not allow copying');
+    }
+  };
+
+  if (!appPasswords) {
+    return error ? <div style={{ fontSize: '13px', color: '#ff3b30', marginBottom: '24px' }}>{error}</div> : null;
+  }
+
+  const serverUrl = `${window.location.origin}/caldav/`;
+
+  const copyField = (field, value) => (
+    <div style={{ display: 'flex', gap: '8px' }}>
+      <input
+        type="text"
+        value={value}
+        readOnly
+        onFocus={(e) => e.target.select()}
+        style={inputStyle}
+      />
+      <button onClick={() => handleCopy(field, value)} style={smallButtonStyle} title="Copy">
+        {copied === field ? <Check size={14} color="#34c759" /> : <Copy size={14} />}
+      </button>
+    </div>
+  );
+
+  return (
+    <div style={{ marginBottom: '24px' }}>
+      <label style={{
+        display: 'block',
+        fontSize: '14px',
+        fontWeight: '600',
+        color: '#6b7280',
+        marginBottom: '8px'
+      }}>
+        CalDAV sync
+      </label>
+
+      <div style={{ ...rowStyle, flexDirection: 'column', alignItems: 'stretch' }}>
+        <div style={{ fontSize: '13px', color: '#6b7280' }}>
+          Add a CalDAV account in your reminders or calendar app to create, edit and complete tasks from there.
+          Sign in with your email and an app password.
+        </div>
+        {copyField('server', serverUrl)}
+        {copyField('email', user?.email || '')}
+      </div>
+
+      {created && (
+        <div style={{ ...rowStyle, flexDirection: 'column', alignItems: 'stretch', background: '#f0fdf4' }}>
+          <div style={{ fontSize: '13px', color: '#6b7280' }}>
+            App password for "{created.name}". Copy it now: it won't be shown again.
+          </div>
+          {copyField('password', created.password)}
+        </div>
+      )}
+
+      {appPasswords.map(appPassword => (
+        <div key={appPassword.id} style={rowStyle}>
+          <div style={{ minWidth: 0 }}>
+            <div style={{ fontWeight: '600' }}>{appPassword.name}</div>
+            <div style={{ fontSize: '12px', color: '#6b7280' }}>{formatLastUsed(appPassword.last_used_at)}</div>
+          </div>
+          <button
+            onClick={() => handleRevoke(appPassword)}
+            style={{ ...smallButtonStyle, color: '#ff3b30' }}
+            title="Revoke"
+          >
+            <Trash2 size={14} />
+          </button>
+        </div>
+      ))}
+
+      <form onSubmit={handleCreate} style={{ display: 'flex', gap: '8px' }}>
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Device name, e.g. Phone"
+          maxLength={50}
+          style={inputStyle}
+        />
+        <button type="submit" disabled={!name.trim()} style={smallButtonStyle}>
+          <Plus size={14} />
+          New app password
+        </button>
+      </form>
+
+      {error && (
+        <div style={{ fontSize: '13px', color: '#ff3b30', marginTop: '8px' }}>
+          {error}
+        </div>
+      )}
+    </div>
+  );
+}
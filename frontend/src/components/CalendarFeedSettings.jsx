@@ -0,0 +1,226 @@
+import { useState, useEffect } from 'react';
+import { Copy, Check, RefreshCw } from 'lucide-react';
+import { calendarFeedAPI, settingsAPI, tagsAPI } from '../services/api';
+
+const rowStyle = {
+  display: 'flex',
+  justifyContent: 'space-between',
+  alignItems: 'center',
+  gap: '12px',
+  padding: '12px 16px',
+  background: '#f9fafb',
+  borderRadius: '12px',
+  fontSize: '14px',
+  color: '#1f2937',
+  marginBottom: '8px'
+};
+
+const smallButtonStyle = {
+  padding: '6px 12px',
+  fontSize: '13px',
+  fontWeight: '600',
+  border: '1px solid #e5e7eb',
+  borderRadius: '8px',
+  background: 'white',
+  color: '#1f2937',
+  cursor: 'pointer',
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px'
+};
+
+/**
+ * Profile section for the secret .ics feed link calendar apps subscribe to:
+ * turning it on or off, a new link, and which tasks and items it carries
+ */
+export default function CalendarFeedSettings() {
+  const [feed, setFeed] = useState(null); // { enabled, path }
+  const [tags, setTags] = useState([]);
+  const [tagIds, setTagIds] = useState([]);
+  const [component, setComponent] = useState('vevent');
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadFeed();
+  }, []);
+
+  const loadFeed = async () => {
+    try {
+      const [feedResponse, tagsResponse] = await Promise.all([calendarFeedAPI.get(), tagsAPI.getAll()]);
+      setFeed(feedResponse.data);
+      setTags(tagsResponse.data.tags || []);
+    } catch (error) {
+      setError('Failed to load calendar feed');
+    }
+  };
+
+  // Times in the feed are read in the saved timezone, so the browser's is saved along
+  const handleRegenerate = async () => {
+    if (feed.enabled && !confirm('Create a new link? Calendars subscribed to the current link stop updating.')) return;
+
+    try {
+      setError('');
+      await settingsAPI.update({ timezone: Intl.DateTimeFormat().resolvedOptions().timeZone });
+      const response = await calendarFeedAPI.regenerate();
+      setFeed(response.data);
+      setCopied(false);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to create calendar feed link');
+    }
+  };
+
+  const handleRevoke = async () => {
+    if (!confirm('Turn off the calendar feed? Subscribed calendars stop updating.')) return;
+
+    try {
+      setError('');
+      await calendarFeedAPI.revoke();
+      setFeed({ enabled: false, path: null });
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to turn off calendar feed');
+    }
+  };
+
+  const toggleTag = (tagId) => {
+    setTagIds(prev => (prev.includes(tagId) ? prev.filter(id => id !== tagId) : [...prev, tagId]));
+    setCopied(false);
+  };
+
+  if (!feed) {
+    return error ? <div style={{ fontSize: '13px', color: '#ff3b30', marginBottom: '24px' }}>{error}</div> : null;
+  }
+
+  const params = new URLSearchParams();
+  if (tagIds.length > 0) params.set('tags', tagIds.join(','));
+  if (component !== 'vevent') params.set('component', component);
+  const url = feed.path ? `${window.location.origin}${feed.path}${params.toString() ? `?${params}` : ''}` : '';
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+    } catch (error) {
+      setError('Copy the link by hand: the browser did not allow copying');
+    }
+  };
+
+  return (
+    <div style={{ marginBottom: '24px' }}>
+      <label style={{
+        display: 'block',
+        fontSize: '14px',
+        fontWeight: '600',
+        color: '#6b7280',
+        marginBottom: '8px'
+      }}>
+        Calendar feed
+      </label>
+
+      {!feed.enabled ? (
+        <div style={rowStyle}>
+          <span>Subscribe to deadlines and planned days from a calendar app</span>
+          <button onClick={handleRegenerate} style={smallButtonStyle}>
+            Turn on
+          </button>
+        </div>
+      ) : (
+        <>
+          <div style={{ ...rowStyle, flexDirection: 'column', alignItems: 'stretch' }}>
+            <div style={{ fontSize: '13px', color: '#6b7280' }}>
+              Paste this private link into your calendar app's "subscribe by URL". Anyone with it can see these tasks.
+            </div>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <input
+                type="text"
+                value={url}
+                readOnly
+                onFocus={(e) => e.target.select()}
+                style={{
+                  flex: 1,
+                  minWidth: 0,
+                  padding: '6px 10px',
+                  fontSize: '13px',
+                  border: '1px solid #e5e7eb',
+                  borderRadius: '8px',
+                  background: 'white',
+                  color: '#1f2937'
+                }}
+              />
+              <button onClick={handleCopy} style={smallButtonStyle} title="Copy link">
+                {copied ? <Check size={14} color="#34c759" /> : <Copy size={14} />}
+              </button>
+            </div>
+          </div>
+
+          <div style={rowStyle}>
+            <span>Show deadlines as</span>
+            <select
+              value={component}
+              onChange={(e) => {
+                setComponent(e.target.value);
+                setCopied(false);
+              }}
+              style={{
+                padding: '6px 10px',
+                fontSize: '14px',
+                border: '1px solid #e5e7eb',
+                borderRadius: '8px',
+                background: 'white'
+              }}
+            >
+              <option value="vevent">Events</option>
+              <option value="vtodo">To-dos</option>
+            </select>
+          </div>
+
+          {tags.length > 0 && (
+            <div style={{ ...rowStyle, flexDirection: 'column', alignItems: 'stretch' }}>
+              <span>Only tasks tagged {tagIds.length === 0 && <span style={{ color: '#6b7280' }}>(all tasks)</span>}</span>
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px' }}>
+                {tags.map(tag => {
+                  const selected = tagIds.includes(tag.id);
+                  const color = tag.color || '#667eea';
+                  return (
+                    <button
+                      key={tag.id}
+                      onClick={() => toggleTag(tag.id)}
+                      style={{
+                        padding: '4px 10px',
+                        fontSize: '12px',
+                        fontWeight: '600',
+                        background: selected ? color : 'white',
+                        color: selected ? 'white' : color,
+                        border: `1px solid ${color}`,
+                        borderRadius: '8px',
+                        cursor: 'pointer'
+                      }}
+                    >
+                      {tag.name}
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <button onClick={handleRegenerate} style={smallButtonStyle}>
+              <RefreshCw size={14} />
+              New link
+            </button>
+            <button onClick={handleRevoke} style={{ ...smallButtonStyle, color: '#ff3b30' }}>
+              Turn off
+            </button>
+          </div>
+        </>
+      )}
+
+      {error && (
+        <div style={{ fontSize: '13px', color: '#ff3b30', marginTop: '8px' }}>
+          {error}
+        </div>
+      )}
+    </div>
+  );
+}
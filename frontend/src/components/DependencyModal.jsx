@@ -0,0 +1,260 @@
+import { useState, useEffect } from 'react';
+import { X, Lock, Check, Loader2 } from 'lucide-react';
+import { tasksAPI } from '../services/api';
+
+export default function DependencyModal({ isOpen, onClose, task, allTasks = [], onChange }) {
+  const [dependencies, setDependencies] = useState({ blocked_by: [], blocking: [] });
+  const [selectedId, setSelectedId] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (isOpen && task) {
+      setSelectedId('');
+      setError('');
+      loadDependencies();
+    }
+  }, [isOpen, task]);
+
+  const loadDependencies = async () => {
+    setLoading(true);
+    try {
+      const response = await tasksAPI.getDependencies(task.id);
+      setDependencies(response.data.dependencies);
+    } catch (error) {
+      setError('Failed to load dependencies');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAdd = async () => {
+    if (!selectedId) return;
+    setError('');
+    try {
+      const response = await tasksAPI.addDependency(task.id, parseInt(selectedId));
+      setDependencies(response.data.dependencies);
+      setSelectedId('');
+      onChange?.(response.data.task);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to add dependency');
+    }
+  };
+
+  const handleRemove = async (blockerId) => {
+    setError('');
+    try {
+      const response = await tasksAPI.removeDependency(task.id, blockerId);
+      setDependencies(response.data.dependencies);
+      onChange?.(response.data.task);
+    } catch (error) {
+      setError('Failed to remove dependency');
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const linkedIds = new Set(dependencies.blocked_by.map(t => t.id));
+  const candidates = allTasks.filter(t =>
+    t.id !== task.id && t.completed !== 1 && !linkedIds.has(t.id)
+  );
+
+  const labelStyle = {
+    fontSize: '13px',
+    fontWeight: '600',
+    color: '#8e8e93',
+    marginBottom: '8px',
+    textTransform: 'uppercase',
+    letterSpacing: '0.5px'
+  };
+
+  const rowStyle = {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    padding: '10px 12px',
+    background: 'rgba(0, 0, 0, 0.03)',
+    borderRadius: '12px',
+    marginBottom: '6px',
+    fontSize: '14px',
+    color: '#1a1a1a'
+  };
+
+  return (
+    <>
+      {/* Backdrop */}
+      <div
+        onClick={onClose}
+        style={{
+          position: 'fixed',
+          top: 0,
+          left: 0,
+          right: 0,
+          bottom: 0,
+          background: 'rgba(0, 0, 0, 0.4)',
+          backdropFilter: 'blur(10px)',
+          WebkitBackdropFilter: 'blur(10px)',
+          zIndex: 2000,
+          animation: 'fadeIn 0.2s cubic-bezier(0.4, 0, 0.2, 1)'
+        }}
+      />
+
+      {/* Modal */}
+      <div style={{
+        position: 'fixed',
+        top: '50%',
+        left: '50%',
+        transform: 'translate(-50%, -50%)',
+        width: '90%',
+        maxWidth: '440px',
+        maxHeight: '80vh',
+        overflowY: 'auto',
+        background: 'rgba(255, 255, 255, 0.95)',
+        backdropFilter: 'blur(40px) saturate(180%)',
+        WebkitBackdropFilter: 'blur(40px) saturate(180%)',
+        borderRadius: '32px',
+        boxShadow: '0 20px 60px rgba(0, 0, 0, 0.3)',
+        border: '0.5px solid rgba(255, 255, 255, 0.8)',
+        zIndex: 2001,
+        padding: '32px 24px',
+        animation: 'slideUp 0.3s cubic-bezier(0.4, 0, 0.2, 1)'
+      }}>
+        {/* Close Button */}
+        <button
+          onClick={onClose}
+          style={{
+            position: 'absolute',
+            top: '16px',
+            right: '16px',
+            background: 'rgba(0, 0, 0, 0.05)',
+            border: 'none',
+            borderRadius: '12px',
+            padding: '8px',
+            cursor: 'pointer',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center'
+          }}
+        >
+          <X size={20} color="#1a1a1a" />
+        </button>
+
+        <div style={{ marginBottom: '24px', paddingRight: '40px' }}>
+          <div style={labelStyle}>Dependencies</div>
+          <div style={{ fontSize: '17px', fontWeight: '600', color: '#1a1a1a', lineHeight: '1.3' }}>
+            {task?.title}
+          </div>
+        </div>
+
+        {error && (
+          <div style={{
+            background: 'rgba(255, 59, 48, 0.1)',
+            color: '#ff3b30',
+            padding: '10px 12px',
+            borderRadius: '12px',
+            marginBottom: '16px',
+            fontSize: '13px',
+            fontWeight: '500'
+          }}>
+            {error}
+          </div>
+        )}
+
+        {loading ? (
+          <div style={{ textAlign: 'center', padding: '20px', color: '#8e8e93' }}>
+            <Loader2 size={20} className="spin" />
+          </div>
+        ) : (
+          <>
+            {/* Blocked by */}
+            <div style={{ marginBottom: '20px' }}>
+              <div style={labelStyle}>Blocked by</div>
+              {dependencies.blocked_by.length === 0 && (
+                <div style={{ fontSize: '14px', color: '#8e8e93', marginBottom: '8px' }}>
+                  Nothing - this task can start any time
+                </div>
+              )}
+              {dependencies.blocked_by.map(blocker => (
+                <div key={blocker.id} style={rowStyle}>
+                  {blocker.completed === 1
+                    ? <Check size={14} color="#34c759" />
+                    : <Lock size={14} color="#ff9500" />}
+                  <span style={{
+                    flex: 1,
+                    textDecoration: blocker.completed === 1 ? 'line-through' : 'none',
+                    color: blocker.completed === 1 ? '#8e8e93' : '#1a1a1a'
+                  }}>
+                    {blocker.title}
+                  </span>
+                  <button
+                    onClick={() => handleRemove(blocker.id)}
+                    title="Remove dependency"
+                    style={{
+                      background: 'none',
+                      border: 'none',
+                      padding: '2px',
+                      cursor: 'pointer',
+                      display: 'flex'
+                    }}
+                  >
+                    <X size={16} color="#8e8e93" />
+                  </button>
+                </div>
+              ))}
+
+              <div style={{ display: 'flex', gap: '8px', marginTop: '8px' }}>
+                <select
+                  value={selectedId}
+                  onChange={(e) => setSelectedId(e.target.value)}
+                  style={{
+                    flex: 1,
+                    minWidth: 0,
+                    padding: '8px 10px',
+                    fontSize: '14px',
+                    border: '1px solid rgba(0, 0, 0, 0.1)',
+                    borderRadius: '10px',
+                    background: 'white'
+                  }}
+                >
+                  <option value="">Add a blocking task...</option>
+                  {candidates.map(t => (
+                    <option key={t.id} value={t.id}>{t.title}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={handleAdd}
+                  disabled={!selectedId}
+                  style={{
+                    padding: '8px 14px',
+                    fontSize: '14px',
+                    fontWeight: '600',
+                    background: selectedId ? '#667eea' : 'rgba(0, 0, 0, 0.05)',
+                    color: selectedId ? 'white' : '#8e8e93',
+                    border: 'none',
+                    borderRadius: '10px',
+                    cursor: selectedId ? 'pointer' : 'not-allowed'
+                  }}
+                >
+                  Add
+                </button>
+              </div>
+            </div>
+
+            {/* Blocking */}
+            {dependencies.blocking.length > 0 && (
+              <div>
+                <div style={labelStyle}>Blocking</div>
+                {dependencies.blocking.map(blocked => (
+                  <div key={blocked.id} style={rowStyle}>
+                    <Lock size={14} color="#8e8e93" />
+                    <span style={{ flex: 1 }}>{blocked.title}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </>
+  );
+}
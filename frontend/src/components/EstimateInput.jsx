@@ -0,0 +1,67 @@
+import { useState, useEffect, useRef } from 'react';
+import { POMODORO_MINUTES } from '../utils/time';
+
+// Estimate entered in minutes or pomodoros; onChange receives minutes (null when empty)
+export default function EstimateInput({ value, onChange, style }) {
+  const [unit, setUnit] = useState(
+    value && value % POMODORO_MINUTES === 0 ? 'pomodoros' : 'minutes'
+  );
+  const [amount, setAmount] = useState(
+    value ? String(unit === 'pomodoros' ? value / POMODORO_MINUTES : value) : ''
+  );
+
+  const emittedRef = useRef(value ?? null);
+
+  // Show values set from outside (e.g. another task took this slot)
+  useEffect(() => {
+    if ((value ?? null) !== emittedRef.current) {
+      emittedRef.current = value ?? null;
+      setAmount(value ? String(unit === 'pomodoros' ? value / POMODORO_MINUTES : value) : '');
+    }
+  }, [value]);
+
+  const emit = (nextAmount, nextUnit) => {
+    const number = parseFloat(nextAmount);
+    const minutes = number > 0
+      ? Math.round(nextUnit === 'pomodoros' ? number * POMODORO_MINUTES : number)
+      : null;
+    emittedRef.current = minutes;
+    onChange(minutes);
+  };
+
+  const fieldStyle = {
+    padding: '10px 12px',
+    fontSize: '14px',
+    border: '0.5px solid rgba(0, 0, 0, 0.1)',
+    borderRadius: '12px',
+    background: 'rgba(255, 255, 255, 0.8)'
+  };
+
+  return (
+    <div style={{ display: 'flex', gap: '6px', ...style }}>
+      <input
+        type="number"
+        min="0"
+        step={unit === 'pomodoros' ? '0.5' : '5'}
+        placeholder="No estimate"
+        value={amount}
+        onChange={(e) => {
+          setAmount(e.target.value);
+          emit(e.target.value, unit);
+        }}
+        style={{ ...fieldStyle, flex: 1, minWidth: 0 }}
+      />
+      <select
+        value={unit}
+        onChange={(e) => {
+          setUnit(e.target.value);
+          emit(amount, e.target.value);
+        }}
+        style={fieldStyle}
+      >
+        <option value="minutes">minutes</option>
+        <option value="pomodoros">pomodoros</option>
+      </select>
+    </div>
+  );
+}
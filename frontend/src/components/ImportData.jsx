@@ -0,0 +1,308 @@
+import { useState, useEffect } from 'react';
+import { Upload, Undo2 } from 'lucide-react';
+import { importAPI } from '../services/api';
+
+const SOURCES = [
+  { value: 'todoist', label: 'Todoist (CSV)', accept: '.csv' },
+  { value: 'csv', label: 'Spreadsheet (CSV)', accept: '.csv,.txt' },
+  { value: 'trello', label: 'Trello board (JSON)', accept: '.json' },
+  { value: 'twu', label: 'TWU export (zip or JSON)', accept: '.zip,.json' },
+  { value: 'markdown', label: 'Markdown', accept: '.md,.markdown,.txt' }
+];
+
+// Task fields a spreadsheet's columns can be mapped to
+const CSV_FIELDS = [
+  { value: 'title', label: 'Title' },
+  { value: 'description', label: 'Description' },
+  { value: 'deadline', label: 'Deadline' },
+  { value: 'completed', label: 'Completed' },
+  { value: 'tags', label: 'Tags' },
+  { value: 'project', label: 'Project' },
+  { value: 'id', label: 'ID' },
+  { value: 'parent', label: 'Parent (ID or title)' }
+];
+
+const rowStyle = {
+  display: 'flex',
+  justifyContent: 'space-between',
+  alignItems: 'center',
+  gap: '12px',
+  padding: '12px 16px',
+  background: '#f9fafb',
+  borderRadius: '12px',
+  fontSize: '14px',
+  color: '#1f2937',
+  marginBottom: '8px'
+};
+
+const smallButtonStyle = {
+  padding: '6px 12px',
+  fontSize: '13px',
+  fontWeight: '600',
+  border: '1px solid #e5e7eb',
+  borderRadius: '8px',
+  background: 'white',
+  color: '#1f2937',
+  cursor: 'pointer',
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px'
+};
+
+const selectStyle = {
+  flex: 1,
+  minWidth: 0,
+  padding: '6px 10px',
+  fontSize: '13px',
+  border: '1px solid #e5e7eb',
+  borderRadius: '8px',
+  background: 'white',
+  color: '#1f2937'
+};
+
+// "12 tasks, 1 memo, 3 tags" - kinds with none are left out
+const describeCounts = (counts) => {
+  const parts = [
+    [counts.tasks, 'task', 'tasks'],
+    [counts.memos, 'memo', 'memos'],
+    [counts.inbox, 'inbox item', 'inbox items'],
+    [counts.tags, 'tag', 'tags']
+  ].filter(([count]) => count > 0).map(([count, one, many]) => `${count} ${count === 1 ? one : many}`);
+
+  return parts.length > 0 ? parts.join(', ') : 'nothing';
+};
+
+// SQLite timestamps are UTC without a zone ("2025-01-31 18:04:05")
+const formatDate = (value) => new Date(`${value.replace(' ', 'T')}Z`).toLocaleDateString();
+
+/**
+ * Profile section for importing from other apps and files: a preview (dry
+ * run) of what a file would create, then the import itself, and past
+ * imports that can be rolled back
+ */
+export default function ImportData() {
+  const [source, setSource] = useState('todoist');
+  const [file, setFile] = useState(null);
+  const [mapping, setMapping] = useState(null); // spreadsheets: { field: column }
+  const [skipDuplicates, setSkipDuplicates] = useState(true);
+  const [preview, setPreview] = useState(null); // report of the dry run
+  const [imports, setImports] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadImports();
+  }, []);
+
+  const loadImports = async () => {
+    try {
+      const response = await importAPI.getAll();
+      setImports(response.data.imports);
+    } catch (error) {
+      setError('Failed to load past imports');
+    }
+  };
+
+  const runImport = async (dryRun, options = {}) => {
+    const settings = { source, file, mapping, skipDuplicates, ...options };
+    if (!settings.file) return;
+
+    try {
+      setBusy(true);
+      setError('');
+      const response = await importAPI.run({
+        source: settings.source,
+        file: settings.file,
+        mapping: settings.source === 'csv' ? settings.mapping : null,
+        dry_run: dryRun,
+        skip_duplicates: settings.skipDuplicates
+      });
+
+      if (dryRun) {
+        setPreview(response.data.report);
+        if (response.data.report.mapping) {
+          setMapping(Object.fromEntries(CSV_FIELDS.map(field => [field.value, response.data.report.mapping[field.value] || ''])));
+        }
+      } else {
+        setPreview(null);
+        setFile(null);
+        setMapping(null);
+        loadImports();
+      }
+    } catch (error) {
+      setPreview(null);
+      setError(error.response?.data?.message || 'Failed to read the file');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Any change to what's imported shows a fresh preview
+  const change = (options) => {
+    if (options.source !== undefined) setSource(options.source);
+    if (options.file !== undefined) setFile(options.file);
+    if (options.mapping !== undefined) setMapping(options.mapping);
+    if (options.skipDuplicates !== undefined) setSkipDuplicates(options.skipDuplicates);
+    setPreview(null);
+    runImport(true, options);
+  };
+
+  const handleRollback = async (importRecord) => {
+    if (!confirm(`Roll back this import? This permanently deletes the ${describeCounts(importRecord.report.created)} it created.`)) return;
+
+    try {
+      setError('');
+      const response = await importAPI.rollback(importRecord.id);
+      setImports(prev => prev.map(i => (i.id === importRecord.id ? response.data.import : i)));
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to roll back import');
+    }
+  };
+
+  const accept = SOURCES.find(s => s.value === source).accept;
+
+  return (
+    <div style={{ marginBottom: '24px' }}>
+      <label style={{
+        display: 'block',
+        fontSize: '14px',
+        fontWeight: '600',
+        color: '#6b7280',
+        marginBottom: '8px'
+      }}>
+        Import
+      </label>
+
+      <div style={{ ...rowStyle, flexDirection: 'column', alignItems: 'stretch' }}>
+        <div style={{ fontSize: '13px', color: '#6b7280' }}>
+          Bring in tasks, subtasks, tags and memos. You'll see what a file adds before anything is imported.
+        </div>
+        <div style={{ display: 'flex', gap: '8px' }}>
+          <select
+            value={source}
+            onChange={(e) => change({ source: e.target.value, file: null, mapping: null })}
+            style={selectStyle}
+          >
+            {SOURCES.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+          </select>
+          <label style={{ ...smallButtonStyle, cursor: busy ? 'wait' : 'pointer' }}>
+            <Upload size={14} />
+            {file ? 'Other file' : 'Choose file'}
+            <input
+              type="file"
+              accept={accept}
+              disabled={busy}
+              onChange={(e) => {
+                const chosen = e.target.files[0];
+                e.target.value = '';
+                if (chosen) change({ file: chosen, mapping: null });
+              }}
+              style={{ display: 'none' }}
+            />
+          </label>
+        </div>
+        {file && (
+          <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '13px', color: '#6b7280' }}>
+            <input
+              type="checkbox"
+              checked={skipDuplicates}
+              onChange={(e) => change({ skipDuplicates: e.target.checked })}
+            />
+            Skip items I already have
+          </label>
+        )}
+      </div>
+
+      {busy && !preview && (
+        <div style={{ fontSize: '13px', color: '#6b7280', marginBottom: '8px' }}>Reading {file?.name}…</div>
+      )}
+
+      {preview && (
+        <div style={{ ...rowStyle, flexDirection: 'column', alignItems: 'stretch' }}>
+          <div style={{ fontWeight: '600' }}>
+            {preview.file_name}: adds {describeCounts(preview.created)}
+          </div>
+
+          {(preview.duplicates.tasks + preview.duplicates.memos + preview.duplicates.inbox) > 0 && (
+            <div style={{ fontSize: '13px', color: '#6b7280' }}>
+              Skipped as duplicates: {describeCounts(preview.duplicates)}
+            </div>
+          )}
+
+          {preview.columns && mapping && (
+            <div style={{ display: 'grid', gridTemplateColumns: 'auto 1fr', gap: '6px 12px', alignItems: 'center', fontSize: '13px' }}>
+              {CSV_FIELDS.map(field => (
+                <div key={field.value} style={{ display: 'contents' }}>
+                  <span style={{ color: '#6b7280' }}>{field.label}</span>
+                  <select
+                    value={mapping[field.value]}
+                    onChange={(e) => change({ mapping: { ...mapping, [field.value]: e.target.value } })}
+                    style={selectStyle}
+                  >
+                    <option value="">(none)</option>
+                    {preview.columns.map(column => <option key={column} value={column}>{column}</option>)}
+                  </select>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {preview.items.length > 0 && (
+            <ul style={{ margin: 0, paddingLeft: '18px', fontSize: '13px', maxHeight: '160px', overflowY: 'auto' }}>
+              {preview.items.map((item, index) => (
+                <li key={index} style={{ color: item.duplicate ? '#9ca3af' : '#1f2937' }}>
+                  {item.title}
+                  {item.subtasks > 0 && ` (+${item.subtasks} subtasks)`}
+                  {item.duplicate && ' - already there'}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {preview.warnings.map(warning => (
+            <div key={warning} style={{ fontSize: '13px', color: '#b45309' }}>{warning}</div>
+          ))}
+
+          <button
+            onClick={() => runImport(false)}
+            disabled={busy || describeCounts(preview.created) === 'nothing'}
+            style={{ ...smallButtonStyle, alignSelf: 'flex-start', background: '#667eea', color: 'white', border: 'none' }}
+          >
+            {busy ? 'Importing…' : `Import ${describeCounts(preview.created)}`}
+          </button>
+        </div>
+      )}
+
+      {imports.map(importRecord => (
+        <div key={importRecord.id} style={rowStyle}>
+          <div style={{ minWidth: 0 }}>
+            <div style={{ fontWeight: '600', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+              {importRecord.file_name || SOURCES.find(s => s.value === importRecord.source)?.label}
+            </div>
+            <div style={{ fontSize: '12px', color: '#6b7280' }}>
+              {importRecord.created_at ? `${formatDate(importRecord.created_at)} · ` : ''}
+              {importRecord.status === 'rolled_back'
+                ? `Rolled back (${describeCounts(importRecord.report.rolled_back || {})} deleted)`
+                : describeCounts(importRecord.report.created)}
+            </div>
+          </div>
+          {importRecord.status === 'completed' && (
+            <button
+              onClick={() => handleRollback(importRecord)}
+              style={{ ...smallButtonStyle, color: '#ff3b30' }}
+              title="Roll back"
+            >
+              <Undo2 size={14} />
+            </button>
+          )}
+        </div>
+      ))}
+
+      {error && (
+        <div style={{ fontSize: '13px', color: '#ff3b30', marginTop: '8px' }}>
+          {error}
+        </div>
+      )}
+    </div>
+  );
+}
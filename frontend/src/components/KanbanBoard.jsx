@@ -0,0 +1,230 @@
+import { useState } from 'react';
+import { Calendar, Check, Lock, GitBranch } from 'lucide-react';
+
+const columnStyle = {
+  flex: '0 0 260px',
+  background: 'rgba(255, 255, 255, 0.7)',
+  backdropFilter: 'blur(40px) saturate(180%)',
+  WebkitBackdropFilter: 'blur(40px) saturate(180%)',
+  borderRadius: '20px',
+  padding: '14px',
+  boxShadow: '0 4px 12px rgba(0, 0, 0, 0.06), 0 1px 0 0 rgba(255, 255, 255, 0.5) inset',
+  border: '0.5px solid rgba(255, 255, 255, 0.8)',
+  display: 'flex',
+  flexDirection: 'column',
+  transition: 'opacity 0.2s'
+};
+
+const cardStyle = {
+  background: 'white',
+  borderRadius: '12px',
+  padding: '10px 12px',
+  marginBottom: '8px',
+  boxShadow: '0 1px 3px rgba(0, 0, 0, 0.08)',
+  cursor: 'grab'
+};
+
+// Whether a task may be dropped into a status (statuses without transitions allow every move)
+const canMove = (fromStatus, toStatus) => {
+  if (!fromStatus || fromStatus.id === toStatus.id) return true;
+  return fromStatus.transitions.length === 0 || fromStatus.transitions.includes(toStatus.id);
+};
+
+/**
+ * Kanban board: one column per workflow status, cards dragged between them
+ * Tasks arrive in the board's manual order; onMove gets the task, the target
+ * status and the neighbours it was dropped between ({ after_id, before_id })
+ */
+export default function KanbanBoard({ tasks, statuses, onMove, onOpenTask }) {
+  const [draggedTask, setDraggedTask] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null); // { statusId, beforeId } - beforeId null drops at the end
+
+  // Tasks loaded before the user's statuses existed have none yet: they sit in the
+  // first open or done column, as the server places them
+  const statusIdOf = (task) => task.status_id ??
+    statuses.find(s => s.is_done === (task.completed === 1))?.id;
+
+  const fromStatus = draggedTask ? statuses.find(s => s.id === statusIdOf(draggedTask)) : null;
+  const columnTasks = (statusId) => tasks.filter(t => statusIdOf(t) === statusId);
+
+  const handleDragStart = (e, task) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', task.id.toString());
+    // Delay state update to avoid re-render during drag start
+    setTimeout(() => setDraggedTask(task), 0);
+  };
+
+  const handleDragEnd = () => {
+    setTimeout(() => {
+      setDraggedTask(null);
+      setDropTarget(null);
+    }, 0);
+  };
+
+  const handleDragOver = (e, status, beforeId = null) => {
+    if (!draggedTask || !canMove(fromStatus, status)) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+    e.dataTransfer.dropEffect = 'move';
+
+    setDropTarget(prev => (
+      prev?.statusId === status.id && prev?.beforeId === beforeId ? prev : { statusId: status.id, beforeId }
+    ));
+  };
+
+  const handleDrop = (e, status) => {
+    e.preventDefault();
+    e.stopPropagation();
+
+    const task = draggedTask;
+    const beforeId = dropTarget?.beforeId ?? null;
+    setDraggedTask(null);
+    setDropTarget(null);
+
+    if (!task || !canMove(fromStatus, status) || beforeId === task.id) return;
+
+    // Neighbours in the target column, leaving out the card being moved
+    const column = columnTasks(status.id).filter(t => t.id !== task.id);
+    const index = beforeId ? column.findIndex(t => t.id === beforeId) : column.length;
+    const after = column[index - 1] || null;
+    const before = beforeId ? column[index] : null;
+
+    // Dropped back where it was
+    const currentColumn = columnTasks(status.id);
+    const currentIndex = currentColumn.findIndex(t => t.id === task.id);
+    if (statusIdOf(task) === status.id && currentColumn[currentIndex - 1]?.id === after?.id &&
+        (currentColumn[currentIndex + 1]?.id ?? null) === (before?.id ?? null)) {
+      return;
+    }
+
+    onMove(task, status, {
+      after_id: after ? after.id : null,
+      before_id: before ? before.id : null
+    });
+  };
+
+  const renderCard = (task, status) => {
+    const isTarget = dropTarget?.statusId === status.id && dropTarget?.beforeId === task.id;
+
+    return (
+      <div
+        key={task.id}
+        draggable
+        onDragStart={(e) => handleDragStart(e, task)}
+        onDragEnd={handleDragEnd}
+        onDragOver={(e) => handleDragOver(e, status, task.id)}
+        onDrop={(e) => handleDrop(e, status)}
+        onClick={() => onOpenTask(task)}
+        style={{
+          ...cardStyle,
+          opacity: draggedTask?.id === task.id ? 0.4 : 1,
+          borderTop: isTarget ? '3px solid #667eea' : '3px solid transparent'
+        }}
+      >
+        <div style={{
+          fontSize: '14px',
+          fontWeight: '600',
+          color: task.completed === 1 ? '#8e8e93' : '#1a1a1a',
+          textDecoration: task.completed === 1 ? 'line-through' : 'none',
+          lineHeight: '1.4',
+          wordBreak: 'break-word'
+        }}>
+          {task.title}
+        </div>
+
+        {(task.deadline || task.is_blocked === 1 || task.rollup?.subtask_count > 0 || task.tags?.length > 0) && (
+          <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '6px', marginTop: '6px' }}>
+            {task.is_blocked === 1 && task.completed !== 1 && (
+              <Lock size={12} color="#ff9500" title="Blocked" />
+            )}
+            {task.deadline && (
+              <span style={{ fontSize: '11px', color: '#8e8e93', display: 'flex', alignItems: 'center', gap: '3px' }}>
+                <Calendar size={11} />
+                {new Date(task.deadline).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
+              </span>
+            )}
+            {task.rollup?.subtask_count > 0 && (
+              <span style={{ fontSize: '11px', color: '#8e8e93', display: 'flex', alignItems: 'center', gap: '3px' }}>
+                <GitBranch size={11} />
+                {task.rollup.completed_subtask_count}/{task.rollup.subtask_count}
+              </span>
+            )}
+            {task.tags?.map(tag => (
+              <span
+                key={tag.id}
+                style={{
+                  fontSize: '10px',
+                  fontWeight: '600',
+                  padding: '2px 6px',
+                  borderRadius: '6px',
+                  background: `${tag.color || '#667eea'}20`,
+                  color: tag.color || '#667eea'
+                }}
+              >
+                {tag.name}
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div style={{
+      display: 'flex',
+      gap: '12px',
+      overflowX: 'auto',
+      paddingBottom: '12px',
+      alignItems: 'flex-start'
+    }}>
+      {statuses.map(status => {
+        const cards = columnTasks(status.id);
+        const allowed = !draggedTask || canMove(fromStatus, status);
+        const isEndTarget = dropTarget?.statusId === status.id && dropTarget?.beforeId === null;
+
+        return (
+          <div
+            key={status.id}
+            onDragOver={(e) => handleDragOver(e, status)}
+            onDrop={(e) => handleDrop(e, status)}
+            style={{ ...columnStyle, opacity: allowed ? 1 : 0.4 }}
+          >
+            <div style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '8px',
+              marginBottom: '12px',
+              paddingBottom: '10px',
+              borderBottom: `2px solid ${status.color}`
+            }}>
+              <span style={{ flex: 1, fontSize: '15px', fontWeight: '700', color: status.color }}>
+                {status.name}
+              </span>
+              {status.is_done && <Check size={14} color={status.color} title="Counts as done" />}
+              <span style={{ fontSize: '13px', fontWeight: '700', color: '#8e8e93' }}>
+                {cards.length}
+              </span>
+            </div>
+
+            {cards.map(task => renderCard(task, status))}
+
+            <div style={{
+              minHeight: '40px',
+              borderRadius: '12px',
+              border: isEndTarget ? '2px dashed #667eea' : '2px dashed transparent',
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              fontSize: '12px',
+              color: '#c7c7cc'
+            }}>
+              {cards.length === 0 && 'Drop tasks here'}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
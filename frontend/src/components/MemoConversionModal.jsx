@@ -1,12 +1,14 @@
 import { useState, useEffect } from 'react';
-import { X, Tag } from 'lucide-react';
+import { X, Tag, Folder } from 'lucide-react';
 import { tagsAPI } from '../services/api';
+import ProjectSelect from './ProjectSelect';
 
 export default function MemoConversionModal({ isOpen, onClose, inboxItem, onConvert }) {
   const [memo, setMemo] = useState({
     title: '',
     content: inboxItem?.content || '',
     details: '',
+    project_id: null,
     tags: []
   });
   const [availableTags, setAvailableTags] = useState([]);
@@ -21,6 +23,7 @@ export default function MemoConversionModal({ isOpen, onClose, inboxItem, onConv
         title: '',
         content: inboxItem?.content || '',
         details: '',
+        project_id: null,
         tags: []
       });
     }
@@ -264,6 +267,27 @@ export default function MemoConversionModal({ isOpen, onClose, inboxItem, onConv
             />
           </div>
 
+          {/* Project */}
+          <div style={{ marginBottom: '16px' }}>
+            <label style={{
+              fontSize: '13px',
+              fontWeight: '600',
+              color: '#1a1a1a',
+              marginBottom: '8px',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '6px'
+            }}>
+              <Folder size={14} />
+              Project (optional)
+            </label>
+            <ProjectSelect
+              value={memo.project_id}
+              onChange={(projectId) => setMemo({ ...memo, project_id: projectId })}
+              style={{ padding: '14px', borderRadius: '14px' }}
+            />
+          </div>
+
           {/* Tags */}
           <div>
             <label style={{
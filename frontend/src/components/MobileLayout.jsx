@@ -1,11 +1,63 @@
-import { useLocation } from 'react-router-dom';
+import { useState, useEffect } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
 import { Link } from 'react-router-dom';
-import { CalendarCheck, Inbox, CheckSquare, BookOpen, User } from 'lucide-react';
+import { CalendarCheck, Inbox, CheckSquare, BookOpen, Search, User, ListFilter } from 'lucide-react';
+import { viewsAPI } from '../services/api';
+import { SAVED_VIEWS_CHANGED } from '../utils/savedViews';
+
+// How often saved view counts refresh while the app stays open
+const VIEW_COUNT_REFRESH_MS = 60000;
 
 export default function MobileLayout({ children }) {
   const location = useLocation();
+  const navigate = useNavigate();
+  const [views, setViews] = useState([]);
+
+  const loadViews = async () => {
+    try {
+      const response = await viewsAPI.getAll();
+      setViews(response.data.views || []);
+    } catch (error) {
+      console.error('Load saved views error:', error);
+    }
+  };
+
+  // Counts follow task changes: reload on navigation, when a view is
+  // edited, and once a minute for changes made elsewhere
+  useEffect(() => {
+    loadViews();
+  }, [location.pathname, location.search]);
+
+  useEffect(() => {
+    window.addEventListener(SAVED_VIEWS_CHANGED, loadViews);
+    const interval = setInterval(loadViews, VIEW_COUNT_REFRESH_MS);
+    return () => {
+      window.removeEventListener(SAVED_VIEWS_CHANGED, loadViews);
+      clearInterval(interval);
+    };
+  }, []);
+
+  // Ctrl+K / Cmd+K opens search from anywhere
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        navigate('/search');
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [navigate]);
 
-  const isActive = (path) => location.pathname === path;
+  // Projects live under Tasks in the bottom nav
+  const isActive = (path) => location.pathname === path ||
+    (path === '/tasks' && location.pathname.startsWith('/projects')) ||
+    (path === '/today' && location.pathname === '/calendar');
+
+  const activeViewId = location.pathname === '/tasks'
+    ? Number(new URLSearchParams(location.search).get('saved_view'))
+    : null;
 
   return (
     <div style={{
@@ -20,12 +72,70 @@ export default function MobileLayout({ children }) {
       <div style={{
         flex: 1,
         overflow: 'auto',
-        paddingBottom: '80px',
+        paddingBottom: views.length > 0 ? '124px' : '80px',
         WebkitOverflowScrolling: 'touch'
       }}>
         {children}
       </div>
 
+      {/* Saved Views - live counts above the navigation */}
+      {views.length > 0 && (
+        <div style={{
+          position: 'fixed',
+          bottom: 'calc(80px + env(safe-area-inset-bottom))',
+          left: 0,
+          right: 0,
+          height: '44px',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '8px',
+          padding: '0 12px',
+          overflowX: 'auto',
+          background: 'rgba(255, 255, 255, 0.6)',
+          backdropFilter: 'blur(20px) saturate(180%)',
+          WebkitBackdropFilter: 'blur(20px) saturate(180%)',
+          borderTop: '0.5px solid rgba(0, 0, 0, 0.04)',
+          zIndex: 100
+        }}>
+          <ListFilter size={16} color="#8e8e93" style={{ flexShrink: 0 }} />
+          {views.map(view => {
+            const active = activeViewId === view.id;
+            return (
+              <Link
+                key={view.id}
+                to={`/tasks?saved_view=${view.id}`}
+                style={{
+                  flexShrink: 0,
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '6px',
+                  padding: '6px 10px',
+                  borderRadius: '10px',
+                  fontSize: '12px',
+                  fontWeight: '600',
+                  textDecoration: 'none',
+                  whiteSpace: 'nowrap',
+                  background: active ? '#667eea' : 'rgba(102, 126, 234, 0.1)',
+                  color: active ? 'white' : '#667eea'
+                }}
+              >
+                {view.name}
+                <span style={{
+                  minWidth: '18px',
+                  padding: '1px 6px',
+                  borderRadius: '8px',
+                  fontSize: '11px',
+                  textAlign: 'center',
+                  background: active ? 'rgba(255, 255, 255, 0.25)' : 'rgba(102, 126, 234, 0.15)'
+                }}>
+                  {view.count}
+                </span>
+              </Link>
+            );
+          })}
+        </div>
+      )}
+
       {/* Bottom Navigation - Glass Morphism */}
       <div style={{
         position: 'fixed',
@@ -217,6 +327,49 @@ export default function MobileLayout({ children }) {
           </div>
         </Link>
 
+        <Link
+          to="/search"
+          style={{
+            flex: 1,
+            display: 'flex',
+            flexDirection: 'column',
+            alignItems: 'center',
+            justifyContent: 'center',
+            height: '100%',
+            textDecoration: 'none',
+            gap: '6px',
+            position: 'relative'
+          }}
+        >
+          <div style={{
+            padding: '8px 10px',
+            borderRadius: '12px',
+            background: isActive('/search')
+              ? 'rgba(102, 126, 234, 0.1)'
+              : 'transparent',
+            transition: 'all 0.3s cubic-bezier(0.4, 0, 0.2, 1)',
+            display: 'flex',
+            flexDirection: 'column',
+            alignItems: 'center',
+            gap: '3px'
+          }}>
+            <Search
+              size={22}
+              color={isActive('/search') ? '#667eea' : '#8e8e93'}
+              strokeWidth={isActive('/search') ? 2.5 : 2}
+            />
+            <div style={{
+              fontSize: '10px',
+              fontWeight: isActive('/search') ? '600' : '500',
+              color: isActive('/search') ? '#667eea' : '#8e8e93',
+              letterSpacing: '-0.2px',
+              whiteSpace: 'nowrap'
+            }}>
+              Search
+            </div>
+          </div>
+        </Link>
+
         <Link
           to="/profile"
           style={{
@@ -234,7 +387,7 @@ export default function MobileLayout({ children }) {
           <div style={{
             padding: '8px 10px',
             borderRadius: '12px',
-            background: isActive('/profile') || isActive('/admin/settings')
+            background: isActive('/profile') || isActive('/admin/settings') || isActive('/trash') || isActive('/timesheet')
               ? 'rgba(102, 126, 234, 0.1)'
               : 'transparent',
             transition: 'all 0.3s cubic-bezier(0.4, 0, 0.2, 1)',
@@ -245,13 +398,13 @@ export default function MobileLayout({ children }) {
           }}>
             <User
               size={22}
-              color={isActive('/profile') || isActive('/admin/settings') ? '#667eea' : '#8e8e93'}
-              strokeWidth={isActive('/profile') || isActive('/admin/settings') ? 2.5 : 2}
+              color={isActive('/profile') || isActive('/admin/settings') || isActive('/trash') || isActive('/timesheet') ? '#667eea' : '#8e8e93'}
+              strokeWidth={isActive('/profile') || isActive('/admin/settings') || isActive('/trash') || isActive('/timesheet') ? 2.5 : 2}
             />
             <div style={{
               fontSize: '10px',
-              fontWeight: isActive('/profile') || isActive('/admin/settings') ? '600' : '500',
-              color: isActive('/profile') || isActive('/admin/settings') ? '#667eea' : '#8e8e93',
+              fontWeight: isActive('/profile') || isActive('/admin/settings') || isActive('/trash') || isActive('/timesheet') ? '600' : '500',
+              color: isActive('/profile') || isActive('/admin/settings') || isActive('/trash') || isActive('/timesheet') ? '#667eea' : '#8e8e93',
               letterSpacing: '-0.2px',
               whiteSpace: 'nowrap'
             }}>
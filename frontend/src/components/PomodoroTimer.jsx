@@ -1,61 +1,88 @@
-import { useState, useEffect, useRef, useCallback } from 'react';
-import { Play, Pause, RotateCcw, X, Timer } from 'lucide-react';
+import { useState, useEffect, useRef } from 'react';
+import { Play, Pause, RotateCcw, X, Timer, MessageSquare } from 'lucide-react';
+import { pomodorosAPI } from '../services/api';
 
 const POMODORO_DURATION = 25 * 60; // 25 minutes in seconds
 const SHORT_BREAK = 5 * 60; // 5 minutes
 const LONG_BREAK = 15 * 60; // 15 minutes
 
-export default function PomodoroTimer({ isOpen, onClose, onPomodoroComplete, onAddTime, taskTitle }) {
+// Each focus period is logged as a pomodoro session on the task: it starts with
+// the first Start, completes when the timer runs out and is abandoned on reset
+// or close. onSessionEnd receives the updated task (count and time spent).
+export default function PomodoroTimer({ isOpen, onClose, onSessionEnd, taskId, taskTitle }) {
   const [timeLeft, setTimeLeft] = useState(POMODORO_DURATION);
   const [isRunning, setIsRunning] = useState(false);
   const [mode, setMode] = useState('work'); // 'work', 'shortBreak', 'longBreak'
   const [pomodorosCompleted, setPomodorosCompleted] = useState(0);
+  const [session, setSession] = useState(null); // Running pomodoro session
+  const [interruptionNote, setInterruptionNote] = useState('');
+  const [showInterruptionForm, setShowInterruptionForm] = useState(false);
   const intervalRef = useRef(null);
   const audioRef = useRef(null);
-  const sessionStartTimeRef = useRef(null); // Track when current session started
-  const lastSavedTimeRef = useRef(0); // Track last saved elapsed time for this session
-
-  // Function to save elapsed work time to backend
-  const saveElapsedTime = useCallback(() => {
-    if (mode !== 'work' || !sessionStartTimeRef.current) return;
-
-    const totalDuration = POMODORO_DURATION;
-    const elapsedSeconds = totalDuration - timeLeft;
-    const elapsedMinutes = Math.floor(elapsedSeconds / 60);
-
-    // Only save if we have at least 1 minute and haven't saved this time yet
-    const minutesToSave = elapsedMinutes - lastSavedTimeRef.current;
-    if (minutesToSave > 0 && onAddTime) {
-      onAddTime(minutesToSave);
-      lastSavedTimeRef.current = elapsedMinutes;
-    }
-  }, [mode, timeLeft, onAddTime]);
+  const sessionRef = useRef(null); // Same as session, readable from timer callbacks
+  const startingRef = useRef(null); // Start request the server hasn't answered yet
+
+  const startSession = () => {
+    const starting = pomodorosAPI.start(taskId, POMODORO_DURATION / 60)
+      .then(response => response.data.session)
+      .catch(error => {
+        console.error('Failed to start pomodoro session:', error);
+        return null;
+      });
+    startingRef.current = starting;
+
+    starting.then(started => {
+      // Reset or closed while starting: finishSession ends it instead
+      if (startingRef.current !== starting) return;
+      startingRef.current = null;
+      sessionRef.current = started;
+      setSession(started);
+    });
+  };
 
-  // Save time when pausing
-  useEffect(() => {
-    if (!isRunning && sessionStartTimeRef.current && mode === 'work') {
-      saveElapsedTime();
+  // Ends the running session; focusSeconds is the time spent without pauses
+  const finishSession = async (status, focusSeconds) => {
+    const starting = startingRef.current;
+    startingRef.current = null;
+
+    // A session that is still starting is ended as soon as it exists
+    const current = sessionRef.current || (starting && await starting);
+    if (!current) return;
+
+    sessionRef.current = null;
+    setSession(null);
+    setShowInterruptionForm(false);
+    setInterruptionNote('');
+
+    try {
+      const response = await pomodorosAPI.finish(current.id, status, focusSeconds);
+      if (onSessionEnd) {
+        onSessionEnd(response.data.task);
+      }
+    } catch (error) {
+      console.error('Failed to finish pomodoro session:', error);
     }
-  }, [isRunning, mode, saveElapsedTime]);
+  };
 
-  // Save time when closing the modal
-  useEffect(() => {
-    if (!isOpen && sessionStartTimeRef.current && mode === 'work') {
-      saveElapsedTime();
-      // Reset session tracking when modal closes
-      sessionStartTimeRef.current = null;
-      lastSavedTimeRef.current = 0;
+  const handleAddInterruption = async (e) => {
+    e.preventDefault();
+    if (!session) return;
+
+    try {
+      const response = await pomodorosAPI.addInterruption(session.id, interruptionNote.trim() || null);
+      if (sessionRef.current?.id === session.id) {
+        sessionRef.current = response.data.session;
+        setSession(response.data.session);
+      }
+      setInterruptionNote('');
+      setShowInterruptionForm(false);
+    } catch (error) {
+      console.error('Failed to add interruption:', error);
     }
-  }, [isOpen, mode, saveElapsedTime]);
+  };
 
   useEffect(() => {
     if (isRunning && timeLeft > 0) {
-      // Track when we start a session
-      if (!sessionStartTimeRef.current) {
-        sessionStartTimeRef.current = Date.now();
-        lastSavedTimeRef.current = 0;
-      }
-
       intervalRef.current = setInterval(() => {
         setTimeLeft(prev => {
           if (prev <= 1) {
@@ -116,20 +143,10 @@ export default function PomodoroTimer({ isOpen, onClose, onPomodoroComplete, onA
     }
 
     if (mode === 'work') {
-      // Save the full 25 minutes for completed pomodoro
-      const fullMinutes = Math.floor(POMODORO_DURATION / 60);
-      const minutesToSave = fullMinutes - lastSavedTimeRef.current;
-      if (minutesToSave > 0 && onAddTime) {
-        onAddTime(minutesToSave);
-      }
-
-      // Reset session tracking for next pomodoro
-      sessionStartTimeRef.current = null;
-      lastSavedTimeRef.current = 0;
+      finishSession('completed', POMODORO_DURATION);
 
       const newCount = pomodorosCompleted + 1;
       setPomodorosCompleted(newCount);
-      onPomodoroComplete(newCount);
 
       // After 4 pomodoros, suggest long break
       if (newCount % 4 === 0) {
@@ -147,19 +164,26 @@ export default function PomodoroTimer({ isOpen, onClose, onPomodoroComplete, onA
   };
 
   const toggleTimer = () => {
+    if (!isRunning && mode === 'work' && !sessionRef.current && !startingRef.current) {
+      startSession();
+    }
     setIsRunning(!isRunning);
   };
 
   const resetTimer = () => {
-    // Save any elapsed time before resetting
-    if (mode === 'work' && sessionStartTimeRef.current) {
-      saveElapsedTime();
+    // Resetting a focus period abandons its session
+    if (mode === 'work') {
+      finishSession('abandoned', POMODORO_DURATION - timeLeft);
     }
     setIsRunning(false);
     setTimeLeft(mode === 'work' ? POMODORO_DURATION : (mode === 'shortBreak' ? SHORT_BREAK : LONG_BREAK));
-    // Reset session tracking
-    sessionStartTimeRef.current = null;
-    lastSavedTimeRef.current = 0;
+  };
+
+  const handleClose = () => {
+    if (mode === 'work') {
+      finishSession('abandoned', POMODORO_DURATION - timeLeft);
+    }
+    onClose();
   };
 
   const formatTime = (seconds) => {
@@ -191,7 +215,7 @@ export default function PomodoroTimer({ isOpen, onClose, onPomodoroComplete, onA
     <>
       {/* Backdrop */}
       <div
-        onClick={onClose}
+        onClick={handleClose}
         style={{
           position: 'fixed',
           top: 0,
@@ -226,7 +250,7 @@ export default function PomodoroTimer({ isOpen, onClose, onPomodoroComplete, onA
       }}>
         {/* Close Button */}
         <button
-          onClick={onClose}
+          onClick={handleClose}
           style={{
             position: 'absolute',
             top: '16px',
@@ -403,6 +427,66 @@ export default function PomodoroTimer({ isOpen, onClose, onPomodoroComplete, onA
             )}
           </button>
         </div>
+
+        {/* Interruptions of the running session */}
+        {session && mode === 'work' && (
+          <div style={{ marginTop: '20px', textAlign: 'center' }}>
+            {showInterruptionForm ? (
+              <form onSubmit={handleAddInterruption} style={{ display: 'flex', gap: '8px' }}>
+                <input
+                  type="text"
+                  value={interruptionNote}
+                  onChange={(e) => setInterruptionNote(e.target.value)}
+                  placeholder="What interrupted you?"
+                  autoFocus
+                  style={{
+                    flex: 1,
+                    padding: '10px 14px',
+                    borderRadius: '12px',
+                    border: '1px solid rgba(0, 0, 0, 0.1)',
+                    fontSize: '14px',
+                    outline: 'none',
+                    background: 'white'
+                  }}
+                />
+                <button
+                  type="submit"
+                  style={{
+                    background: getModeColor(),
+                    border: 'none',
+                    borderRadius: '12px',
+                    padding: '10px 14px',
+                    color: 'white',
+                    fontSize: '14px',
+                    fontWeight: '600',
+                    cursor: 'pointer'
+                  }}
+                >
+                  Log
+                </button>
+              </form>
+            ) : (
+              <button
+                onClick={() => setShowInterruptionForm(true)}
+                style={{
+                  background: 'none',
+                  border: 'none',
+                  color: '#8e8e93',
+                  fontSize: '13px',
+                  fontWeight: '600',
+                  cursor: 'pointer',
+                  display: 'inline-flex',
+                  alignItems: 'center',
+                  gap: '6px'
+                }}
+              >
+                <MessageSquare size={14} />
+                Log interruption
+                {session.interruptions.length > 0 && ` (${session.interruptions.length})`}
+              </button>
+            )}
+          </div>
+        )}
       </div>
 
       <style>{`
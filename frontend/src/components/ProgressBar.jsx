@@ -0,0 +1,14 @@
+// Thin bar filled to a percentage (0-100, null for empty)
+export default function ProgressBar({ progress, color = '#667eea', height = 6 }) {
+  return (
+    <div style={{ height: `${height}px`, background: 'rgba(0, 0, 0, 0.06)', borderRadius: `${height / 2}px`, overflow: 'hidden' }}>
+      <div style={{
+        width: `${progress || 0}%`,
+        height: '100%',
+        background: color,
+        borderRadius: `${height / 2}px`,
+        transition: 'width 0.3s cubic-bezier(0.4, 0, 0.2, 1)'
+      }} />
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+import { useState, useEffect } from 'react';
+import { projectsAPI } from '../services/api';
+import { selectableProjects } from '../utils/projects';
+
+// Dropdown of the user's open projects ("No project" clears the choice)
+// Loads the projects itself unless the parent already has them
+export default function ProjectSelect({ value, onChange, projects: givenProjects, style }) {
+  const [loadedProjects, setLoadedProjects] = useState([]);
+  const projects = givenProjects || loadedProjects;
+
+  useEffect(() => {
+    if (givenProjects) return;
+
+    const loadProjects = async () => {
+      try {
+        const response = await projectsAPI.getAll();
+        setLoadedProjects(response.data.projects || []);
+      } catch (error) {
+        console.error('Failed to load projects:', error);
+      }
+    };
+    loadProjects();
+  }, [givenProjects]);
+
+  return (
+    <select
+      value={value || ''}
+      onChange={(e) => onChange(e.target.value ? Number(e.target.value) : null)}
+      style={{
+        width: '100%',
+        padding: '10px 12px',
+        fontSize: '14px',
+        border: '0.5px solid rgba(0, 0, 0, 0.1)',
+        borderRadius: '12px',
+        background: 'rgba(255, 255, 255, 0.8)',
+        color: value ? '#1a1a1a' : '#999',
+        ...style
+      }}
+    >
+      <option value="">No project</option>
+      {selectableProjects(projects, value).map(project => (
+        <option key={project.id} value={project.id}>
+          {project.area_name ? `${project.area_name} / ${project.name}` : project.name}
+        </option>
+      ))}
+    </select>
+  );
+}
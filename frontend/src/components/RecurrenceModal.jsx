@@ -0,0 +1,279 @@
+import { useState, useEffect } from 'react';
+import { X, Repeat, Loader2 } from 'lucide-react';
+import { WEEKDAYS, parseRule, buildRule, describeRule } from '../utils/recurrence';
+
+const FREQUENCIES = [
+  { value: null, label: 'Never' },
+  { value: 'DAILY', label: 'Daily' },
+  { value: 'WEEKLY', label: 'Weekly' },
+  { value: 'MONTHLY', label: 'Monthly' }
+];
+
+const UNIT_LABELS = { DAILY: 'day(s)', WEEKLY: 'week(s)', MONTHLY: 'month(s)' };
+
+export default function RecurrenceModal({ isOpen, onClose, task, onSave }) {
+  const [form, setForm] = useState(parseRule(null));
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setForm(parseRule(task?.recurrence_rule));
+    }
+  }, [isOpen, task]);
+
+  if (!isOpen) return null;
+
+  const update = (changes) => setForm(prev => ({ ...prev, ...changes }));
+
+  const toggleWeekday = (code) => {
+    update({
+      byDay: form.byDay.includes(code)
+        ? form.byDay.filter(d => d !== code)
+        : [...form.byDay, code]
+    });
+  };
+
+  const handleSave = async (rule) => {
+    setSaving(true);
+    try {
+      await onSave(rule);
+      onClose();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const rule = buildRule(form);
+
+  const labelStyle = {
+    fontSize: '13px',
+    fontWeight: '600',
+    color: '#8e8e93',
+    marginBottom: '8px',
+    textTransform: 'uppercase',
+    letterSpacing: '0.5px'
+  };
+
+  const chipStyle = (active) => ({
+    padding: '8px 12px',
+    fontSize: '13px',
+    fontWeight: '600',
+    background: active ? '#667eea' : 'rgba(0, 0, 0, 0.05)',
+    color: active ? 'white' : '#1a1a1a',
+    border: 'none',
+    borderRadius: '10px',
+    cursor: 'pointer',
+    transition: 'all 0.2s'
+  });
+
+  return (
+    <>
+      {/* Backdrop */}
+      <div
+        onClick={onClose}
+        style={{
+          position: 'fixed',
+          top: 0,
+          left: 0,
+          right: 0,
+          bottom: 0,
+          background: 'rgba(0, 0, 0, 0.4)',
+          backdropFilter: 'blur(10px)',
+          WebkitBackdropFilter: 'blur(10px)',
+          zIndex: 2000,
+          animation: 'fadeIn 0.2s cubic-bezier(0.4, 0, 0.2, 1)'
+        }}
+      />
+
+      {/* Modal */}
+      <div style={{
+        position: 'fixed',
+        top: '50%',
+        left: '50%',
+        transform: 'translate(-50%, -50%)',
+        width: '90%',
+        maxWidth: '400px',
+        background: 'rgba(255, 255, 255, 0.95)',
+        backdropFilter: 'blur(40px) saturate(180%)',
+        WebkitBackdropFilter: 'blur(40px) saturate(180%)',
+        borderRadius: '32px',
+        boxShadow: '0 20px 60px rgba(0, 0, 0, 0.3)',
+        border: '0.5px solid rgba(255, 255, 255, 0.8)',
+        zIndex: 2001,
+        padding: '32px 24px',
+        animation: 'slideUp 0.3s cubic-bezier(0.4, 0, 0.2, 1)'
+      }}>
+        {/* Close Button */}
+        <button
+          onClick={onClose}
+          style={{
+            position: 'absolute',
+            top: '16px',
+            right: '16px',
+            background: 'rgba(0, 0, 0, 0.05)',
+            border: 'none',
+            borderRadius: '12px',
+            padding: '8px',
+            cursor: 'pointer',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center'
+          }}
+        >
+          <X size={20} color="#1a1a1a" />
+        </button>
+
+        {/* Task Title */}
+        <div style={{ marginBottom: '24px', paddingRight: '40px' }}>
+          <div style={labelStyle}>Repeat</div>
+          <div style={{ fontSize: '17px', fontWeight: '600', color: '#1a1a1a', lineHeight: '1.3' }}>
+            {task?.title}
+          </div>
+        </div>
+
+        {/* Frequency */}
+        <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap', marginBottom: '20px' }}>
+          {FREQUENCIES.map(({ value, label }) => (
+            <button
+              key={label}
+              onClick={() => update({ freq: value, byDay: [], byMonthDay: null })}
+              style={chipStyle(form.freq === value)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {form.freq && (
+          <>
+            {/* Interval */}
+            <div style={{ marginBottom: '20px' }}>
+              <div style={labelStyle}>Every</div>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                <input
+                  type="number"
+                  min="1"
+                  max="365"
+                  value={form.interval}
+                  onChange={(e) => update({ interval: Math.min(365, Math.max(1, parseInt(e.target.value) || 1)) })}
+                  style={{
+                    width: '70px',
+                    padding: '8px 10px',
+                    fontSize: '15px',
+                    border: '1px solid rgba(0, 0, 0, 0.1)',
+                    borderRadius: '10px',
+                    outline: 'none'
+                  }}
+                />
+                <span style={{ fontSize: '15px', color: '#1a1a1a' }}>{UNIT_LABELS[form.freq]}</span>
+              </div>
+            </div>
+
+            {/* Schedule anchor */}
+            <label style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '8px',
+              fontSize: '14px',
+              color: '#1a1a1a',
+              marginBottom: '20px',
+              cursor: 'pointer'
+            }}>
+              <input
+                type="checkbox"
+                checked={form.fromCompletion}
+                onChange={(e) => update({ fromCompletion: e.target.checked, byDay: [], byMonthDay: null })}
+              />
+              Count from when I complete it
+            </label>
+
+            {/* Custom weekdays */}
+            {form.freq === 'WEEKLY' && !form.fromCompletion && (
+              <div style={{ marginBottom: '20px' }}>
+                <div style={labelStyle}>On</div>
+                <div style={{ display: 'flex', gap: '4px', flexWrap: 'wrap' }}>
+                  {WEEKDAYS.map(({ code, label }) => (
+                    <button
+                      key={code}
+                      onClick={() => toggleWeekday(code)}
+                      style={chipStyle(form.byDay.includes(code))}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* Day of month */}
+            {form.freq === 'MONTHLY' && !form.fromCompletion && (
+              <div style={{ marginBottom: '20px' }}>
+                <div style={labelStyle}>On day</div>
+                <select
+                  value={form.byMonthDay || ''}
+                  onChange={(e) => update({ byMonthDay: e.target.value ? parseInt(e.target.value) : null })}
+                  style={{
+                    padding: '8px 12px',
+                    fontSize: '15px',
+                    border: '1px solid rgba(0, 0, 0, 0.1)',
+                    borderRadius: '10px',
+                    background: 'white'
+                  }}
+                >
+                  <option value="">Same day as deadline</option>
+                  {Array.from({ length: 31 }, (_, i) => i + 1).map(day => (
+                    <option key={day} value={day}>{day}</option>
+                  ))}
+                  <option value="-1">Last day</option>
+                </select>
+              </div>
+            )}
+          </>
+        )}
+
+        {/* Summary */}
+        <div style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: '6px',
+          fontSize: '14px',
+          color: '#667eea',
+          fontWeight: '600',
+          marginBottom: '20px',
+          minHeight: '20px'
+        }}>
+          {rule && (
+            <>
+              <Repeat size={14} />
+              {describeRule(rule)}
+            </>
+          )}
+        </div>
+
+        <button
+          onClick={() => handleSave(rule)}
+          disabled={saving}
+          style={{
+            width: '100%',
+            padding: '14px',
+            fontSize: '15px',
+            fontWeight: '600',
+            background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+            color: 'white',
+            border: 'none',
+            borderRadius: '14px',
+            cursor: saving ? 'not-allowed' : 'pointer',
+            boxShadow: '0 4px 12px rgba(102, 126, 234, 0.4)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            gap: '8px'
+          }}
+        >
+          {saving && <Loader2 size={18} className="spin" />}
+          Save
+        </button>
+      </div>
+    </>
+  );
+}
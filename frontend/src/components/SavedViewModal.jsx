@@ -0,0 +1,417 @@
+import { useState, useEffect } from 'react';
+import { X, Loader2, Trash2 } from 'lucide-react';
+import { viewsAPI, tagsAPI } from '../services/api';
+import { DEADLINE_PRESETS, getDeadlinePreset, notifySavedViewsChanged } from '../utils/savedViews';
+
+const QUADRANTS = [
+  { value: 1, label: 'Do First', color: '#ff3b30' },
+  { value: 2, label: 'Schedule', color: '#667eea' },
+  { value: 3, label: 'Delegate', color: '#ff9500' },
+  { value: 4, label: 'Eliminate', color: '#8e8e93' }
+];
+
+const SORTS = [
+  { value: 'eisenhower', label: 'Eisenhower Matrix' },
+  { value: 'urgency', label: 'By Urgency' },
+  { value: 'importance', label: 'By Importance' },
+  { value: 'deadline', label: 'By Deadline' },
+  { value: 'created', label: 'Newest First' }
+];
+
+const chipStyle = (active, color = '#667eea') => ({
+  padding: '6px 10px',
+  fontSize: '13px',
+  fontWeight: '600',
+  borderRadius: '10px',
+  border: 'none',
+  cursor: 'pointer',
+  background: active ? color : 'rgba(0, 0, 0, 0.05)',
+  color: active ? 'white' : '#6b7280'
+});
+
+const inputStyle = {
+  width: '100%',
+  padding: '10px 12px',
+  fontSize: '15px',
+  border: '1px solid rgba(0, 0, 0, 0.1)',
+  borderRadius: '12px',
+  background: 'white',
+  boxSizing: 'border-box'
+};
+
+// Editor state for a view, or for a new view starting from the task list's search and sort
+const toForm = (view, defaults) => {
+  const filters = view?.filters || {};
+  return {
+    name: view?.name || '',
+    tags: filters.tags || [],
+    tagMatch: filters.tag_match || 'any',
+    quadrants: filters.quadrants || [],
+    deadline: getDeadlinePreset(filters),
+    deadlineAfter: filters.deadline_after || '',
+    deadlineBefore: filters.deadline_before || '',
+    completed: filters.completed === true ? 'done' : filters.completed === false ? 'open' : 'any',
+    topLevel: filters.parent_id === 'none',
+    parentId: typeof filters.parent_id === 'number' ? filters.parent_id : null,
+    q: filters.q ?? defaults?.q ?? '',
+    sort: view?.sort || (SORTS.some(s => s.value === defaults?.sort) ? defaults.sort : 'eisenhower')
+  };
+};
+
+export default function SavedViewModal({ isOpen, onClose, view, defaults, onSaved, onDeleted }) {
+  const [form, setForm] = useState(() => toForm(view, defaults));
+  const [tags, setTags] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (isOpen) {
+      setForm(toForm(view, defaults));
+      setError('');
+      loadTags();
+    }
+  }, [isOpen, view]);
+
+  const loadTags = async () => {
+    try {
+      const response = await tagsAPI.getAll();
+      setTags(response.data.tags || []);
+    } catch (error) {
+      console.error('Load tags error:', error);
+    }
+  };
+
+  const update = (changes) => setForm(prev => ({ ...prev, ...changes }));
+
+  const toggle = (list, value) => (list.includes(value) ? list.filter(v => v !== value) : [...list, value]);
+
+  const buildFilters = () => {
+    const preset = DEADLINE_PRESETS.find(p => p.value === form.deadline);
+    return {
+      tags: form.tags,
+      tag_match: form.tagMatch,
+      quadrants: form.quadrants,
+      ...preset.filters,
+      ...(form.deadline === 'range' && {
+        deadline_after: form.deadlineAfter || null,
+        deadline_before: form.deadlineBefore || null
+      }),
+      completed: form.completed === 'any' ? null : form.completed === 'done',
+      parent_id: form.topLevel ? 'none' : form.parentId,
+      q: form.q.trim() || null
+    };
+  };
+
+  const handleSave = async () => {
+    if (!form.name.trim()) {
+      setError('Give the view a name');
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+    try {
+      const data = { name: form.name.trim(), filters: buildFilters(), sort: form.sort };
+      const response = view
+        ? await viewsAPI.update(view.id, data)
+        : await viewsAPI.create(data);
+
+      notifySavedViewsChanged();
+      onSaved?.(response.data.view);
+      onClose();
+    } catch (error) {
+      const { message, errors } = error.response?.data || {};
+      setError(message || errors?.[0]?.msg || 'Failed to save view');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!confirm(`Delete the view "${view.name}"? Its tasks are kept.`)) return;
+
+    setError('');
+    try {
+      await viewsAPI.delete(view.id);
+      notifySavedViewsChanged();
+      onDeleted?.(view);
+      onClose();
+    } catch (error) {
+      setError('Failed to delete view');
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const labelStyle = {
+    fontSize: '13px',
+    fontWeight: '600',
+    color: '#8e8e93',
+    marginBottom: '8px',
+    textTransform: 'uppercase',
+    letterSpacing: '0.5px'
+  };
+
+  const sectionStyle = { marginBottom: '20px' };
+
+  return (
+    <>
+      {/* Backdrop */}
+      <div
+        onClick={onClose}
+        style={{
+          position: 'fixed',
+          top: 0,
+          left: 0,
+          right: 0,
+          bottom: 0,
+          background: 'rgba(0, 0, 0, 0.4)',
+          backdropFilter: 'blur(10px)',
+          WebkitBackdropFilter: 'blur(10px)',
+          zIndex: 2000,
+          animation: 'fadeIn 0.2s cubic-bezier(0.4, 0, 0.2, 1)'
+        }}
+      />
+
+      {/* Modal */}
+      <div style={{
+        position: 'fixed',
+        top: '50%',
+        left: '50%',
+        transform: 'translate(-50%, -50%)',
+        width: '90%',
+        maxWidth: '480px',
+        maxHeight: '85vh',
+        overflowY: 'auto',
+        background: 'rgba(255, 255, 255, 0.95)',
+        backdropFilter: 'blur(40px) saturate(180%)',
+        WebkitBackdropFilter: 'blur(40px) saturate(180%)',
+        borderRadius: '32px',
+        boxShadow: '0 20px 60px rgba(0, 0, 0, 0.3)',
+        border: '0.5px solid rgba(255, 255, 255, 0.8)',
+        zIndex: 2001,
+        padding: '32px 24px',
+        animation: 'slideUp 0.3s cubic-bezier(0.4, 0, 0.2, 1)'
+      }}>
+        {/* Close Button */}
+        <button
+          onClick={onClose}
+          style={{
+            position: 'absolute',
+            top: '16px',
+            right: '16px',
+            background: 'rgba(0, 0, 0, 0.05)',
+            border: 'none',
+            borderRadius: '12px',
+            padding: '8px',
+            cursor: 'pointer',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center'
+          }}
+        >
+          <X size={20} color="#1a1a1a" />
+        </button>
+
+        <div style={{ marginBottom: '24px', paddingRight: '40px' }}>
+          <div style={labelStyle}>Saved view</div>
+          <div style={{ fontSize: '17px', fontWeight: '600', color: '#1a1a1a', lineHeight: '1.3' }}>
+            {view ? `Edit "${view.name}"` : 'Save a filtered task list'}
+          </div>
+        </div>
+
+        {error && (
+          <div style={{
+            background: 'rgba(255, 59, 48, 0.1)',
+            color: '#ff3b30',
+            padding: '10px 12px',
+            borderRadius: '12px',
+            marginBottom: '16px',
+            fontSize: '13px',
+            fontWeight: '500'
+          }}>
+            {error}
+          </div>
+        )}
+
+        <div style={sectionStyle}>
+          <div style={labelStyle}>Name</div>
+          <input
+            type="text"
+            value={form.name}
+            maxLength={50}
+            placeholder="e.g. Work - plan this week"
+            onChange={(e) => update({ name: e.target.value })}
+            style={inputStyle}
+          />
+        </div>
+
+        <div style={sectionStyle}>
+          <div style={labelStyle}>Tags</div>
+          {tags.length === 0 ? (
+            <div style={{ fontSize: '13px', color: '#8e8e93' }}>No tags yet</div>
+          ) : (
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px' }}>
+              {tags.map(tag => (
+                <button
+                  key={tag.id}
+                  onClick={() => update({ tags: toggle(form.tags, tag.id) })}
+                  style={chipStyle(form.tags.includes(tag.id), tag.color || '#667eea')}
+                >
+                  #{tag.name}
+                </button>
+              ))}
+            </div>
+          )}
+          {form.tags.length > 1 && (
+            <label style={{ display: 'flex', alignItems: 'center', gap: '6px', marginTop: '8px', fontSize: '13px', color: '#6b7280' }}>
+              <input
+                type="checkbox"
+                checked={form.tagMatch === 'all'}
+                onChange={(e) => update({ tagMatch: e.target.checked ? 'all' : 'any' })}
+              />
+              Tasks must have all of these tags
+            </label>
+          )}
+        </div>
+
+        <div style={sectionStyle}>
+          <div style={labelStyle}>Quadrants</div>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px' }}>
+            {QUADRANTS.map(quadrant => (
+              <button
+                key={quadrant.value}
+                onClick={() => update({ quadrants: toggle(form.quadrants, quadrant.value) })}
+                style={chipStyle(form.quadrants.includes(quadrant.value), quadrant.color)}
+              >
+                Q{quadrant.value} {quadrant.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div style={sectionStyle}>
+          <div style={labelStyle}>Deadline</div>
+          <select
+            value={form.deadline}
+            onChange={(e) => update({ deadline: e.target.value })}
+            style={inputStyle}
+          >
+            {DEADLINE_PRESETS.map(preset => (
+              <option key={preset.value} value={preset.value}>{preset.label}</option>
+            ))}
+          </select>
+          {form.deadline === 'range' && (
+            <div style={{ display: 'flex', gap: '8px', alignItems: 'center', marginTop: '8px' }}>
+              <input
+                type="date"
+                value={form.deadlineAfter}
+                max={form.deadlineBefore || undefined}
+                onChange={(e) => update({ deadlineAfter: e.target.value })}
+                style={inputStyle}
+              />
+              <span style={{ fontSize: '13px', color: '#8e8e93' }}>to</span>
+              <input
+                type="date"
+                value={form.deadlineBefore}
+                min={form.deadlineAfter || undefined}
+                onChange={(e) => update({ deadlineBefore: e.target.value })}
+                style={inputStyle}
+              />
+            </div>
+          )}
+        </div>
+
+        <div style={{ ...sectionStyle, display: 'flex', gap: '12px' }}>
+          <div style={{ flex: 1 }}>
+            <div style={labelStyle}>Status</div>
+            <select
+              value={form.completed}
+              onChange={(e) => update({ completed: e.target.value })}
+              style={inputStyle}
+            >
+              <option value="any">All tasks</option>
+              <option value="open">Open</option>
+              <option value="done">Completed</option>
+            </select>
+          </div>
+          <div style={{ flex: 1 }}>
+            <div style={labelStyle}>Sort</div>
+            <select
+              value={form.sort}
+              onChange={(e) => update({ sort: e.target.value })}
+              style={inputStyle}
+            >
+              {SORTS.map(sort => (
+                <option key={sort.value} value={sort.value}>{sort.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div style={sectionStyle}>
+          <div style={labelStyle}>Search text</div>
+          <input
+            type="text"
+            value={form.q}
+            maxLength={200}
+            placeholder="Words in the title, description or why"
+            onChange={(e) => update({ q: e.target.value })}
+            style={inputStyle}
+          />
+          <label style={{ display: 'flex', alignItems: 'center', gap: '6px', marginTop: '10px', fontSize: '13px', color: '#6b7280' }}>
+            <input
+              type="checkbox"
+              checked={form.topLevel}
+              onChange={(e) => update({ topLevel: e.target.checked, parentId: null })}
+            />
+            Top-level tasks only (no subtasks)
+          </label>
+        </div>
+
+        <div style={{ display: 'flex', gap: '8px' }}>
+          {view && (
+            <button
+              onClick={handleDelete}
+              title="Delete view"
+              style={{
+                padding: '14px',
+                background: 'rgba(255, 59, 48, 0.1)',
+                border: 'none',
+                borderRadius: '14px',
+                cursor: 'pointer',
+                display: 'flex',
+                alignItems: 'center'
+              }}
+            >
+              <Trash2 size={18} color="#ff3b30" />
+            </button>
+          )}
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            style={{
+              flex: 1,
+              padding: '14px',
+              fontSize: '15px',
+              fontWeight: '600',
+              background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+              color: 'white',
+              border: 'none',
+              borderRadius: '14px',
+              cursor: saving ? 'not-allowed' : 'pointer',
+              boxShadow: '0 4px 12px rgba(102, 126, 234, 0.4)',
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              gap: '8px'
+            }}
+          >
+            {saving && <Loader2 size={16} className="spin" />}
+            {view ? 'Save changes' : 'Save view'}
+          </button>
+        </div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,359 @@
+import { useState, useEffect } from 'react';
+import { X, Loader2, Trash2, ChevronUp, ChevronDown, Plus, ArrowRight } from 'lucide-react';
+import { statusesAPI } from '../services/api';
+
+export default function StatusManagerModal({ isOpen, onClose, onChanged }) {
+  const [statuses, setStatuses] = useState([]);
+  const [names, setNames] = useState({}); // Status ID -> name being edited
+  const [expandedId, setExpandedId] = useState(null); // Status whose allowed moves are shown
+  const [newName, setNewName] = useState('');
+  const [newIsDone, setNewIsDone] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (isOpen) {
+      setError('');
+      setExpandedId(null);
+      loadStatuses();
+    }
+  }, [isOpen]);
+
+  const applyStatuses = (list) => {
+    setStatuses(list);
+    setNames(Object.fromEntries(list.map(status => [status.id, status.name])));
+  };
+
+  const loadStatuses = async () => {
+    setLoading(true);
+    try {
+      const response = await statusesAPI.getAll();
+      applyStatuses(response.data.statuses);
+    } catch (error) {
+      setError('Failed to load columns');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Every change reloads the list so counts and order match the server
+  const runAction = async (action, fallbackMessage) => {
+    setError('');
+    try {
+      await action();
+      const response = await statusesAPI.getAll();
+      applyStatuses(response.data.statuses);
+      onChanged?.();
+    } catch (error) {
+      setError(error.response?.data?.message || fallbackMessage);
+    }
+  };
+
+  const handleRename = (status) => {
+    const name = (names[status.id] || '').trim();
+    if (!name || name === status.name) {
+      setNames(prev => ({ ...prev, [status.id]: status.name }));
+      return;
+    }
+    runAction(() => statusesAPI.update(status.id, { name }), 'Failed to rename column');
+  };
+
+  const handleMove = (index, direction) => {
+    const ids = statuses.map(status => status.id);
+    const [moved] = ids.splice(index, 1);
+    ids.splice(index + direction, 0, moved);
+    runAction(() => statusesAPI.reorder(ids), 'Failed to reorder columns');
+  };
+
+  const handleToggleTransition = (status, nextId) => {
+    const transitions = status.transitions.includes(nextId)
+      ? status.transitions.filter(id => id !== nextId)
+      : [...status.transitions, nextId];
+    runAction(() => statusesAPI.update(status.id, { transitions }), 'Failed to update allowed moves');
+  };
+
+  const handleDelete = (status) => {
+    if (!confirm(`Delete the column "${status.name}"? Its tasks move back to the first ${status.is_done ? 'done' : 'open'} column.`)) return;
+    runAction(() => statusesAPI.delete(status.id), 'Failed to delete column');
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+
+    await runAction(() => statusesAPI.create({ name: newName.trim(), is_done: newIsDone }), 'Failed to add column');
+    setNewName('');
+    setNewIsDone(false);
+  };
+
+  if (!isOpen) return null;
+
+  const labelStyle = {
+    fontSize: '13px',
+    fontWeight: '600',
+    color: '#8e8e93',
+    marginBottom: '8px',
+    textTransform: 'uppercase',
+    letterSpacing: '0.5px'
+  };
+
+  const rowStyle = {
+    padding: '10px 12px',
+    background: 'rgba(0, 0, 0, 0.03)',
+    borderRadius: '12px',
+    marginBottom: '6px',
+    fontSize: '14px',
+    color: '#1a1a1a'
+  };
+
+  const iconButtonStyle = {
+    background: 'none',
+    border: 'none',
+    padding: '2px',
+    cursor: 'pointer',
+    display: 'flex'
+  };
+
+  return (
+    <>
+      {/* Backdrop */}
+      <div
+        onClick={onClose}
+        style={{
+          position: 'fixed',
+          top: 0,
+          left: 0,
+          right: 0,
+          bottom: 0,
+          background: 'rgba(0, 0, 0, 0.4)',
+          backdropFilter: 'blur(10px)',
+          WebkitBackdropFilter: 'blur(10px)',
+          zIndex: 2000,
+          animation: 'fadeIn 0.2s cubic-bezier(0.4, 0, 0.2, 1)'
+        }}
+      />
+
+      {/* Modal */}
+      <div style={{
+        position: 'fixed',
+        top: '50%',
+        left: '50%',
+        transform: 'translate(-50%, -50%)',
+        width: '90%',
+        maxWidth: '440px',
+        maxHeight: '80vh',
+        overflowY: 'auto',
+        background: 'rgba(255, 255, 255, 0.95)',
+        backdropFilter: 'blur(40px) saturate(180%)',
+        WebkitBackdropFilter: 'blur(40px) saturate(180%)',
+        borderRadius: '32px',
+        boxShadow: '0 20px 60px rgba(0, 0, 0, 0.3)',
+        border: '0.5px solid rgba(255, 255, 255, 0.8)',
+        zIndex: 2001,
+        padding: '32px 24px',
+        animation: 'slideUp 0.3s cubic-bezier(0.4, 0, 0.2, 1)'
+      }}>
+        {/* Close Button */}
+        <button
+          onClick={onClose}
+          style={{
+            position: 'absolute',
+            top: '16px',
+            right: '16px',
+            background: 'rgba(0, 0, 0, 0.05)',
+            border: 'none',
+            borderRadius: '12px',
+            padding: '8px',
+            cursor: 'pointer',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center'
+          }}
+        >
+          <X size={20} color="#1a1a1a" />
+        </button>
+
+        <div style={{ marginBottom: '24px', paddingRight: '40px' }}>
+          <div style={labelStyle}>Board</div>
+          <div style={{ fontSize: '17px', fontWeight: '600', color: '#1a1a1a', lineHeight: '1.3' }}>
+            Columns and workflow
+          </div>
+          <div style={{ fontSize: '13px', color: '#8e8e93', marginTop: '6px', lineHeight: '1.4' }}>
+            Tasks in a done column count as completed. Limit where a column's tasks can move under "Allowed moves".
+          </div>
+        </div>
+
+        {error && (
+          <div style={{
+            background: 'rgba(255, 59, 48, 0.1)',
+            color: '#ff3b30',
+            padding: '10px 12px',
+            borderRadius: '12px',
+            marginBottom: '16px',
+            fontSize: '13px',
+            fontWeight: '500'
+          }}>
+            {error}
+          </div>
+        )}
+
+        {loading ? (
+          <div style={{ textAlign: 'center', padding: '20px', color: '#8e8e93' }}>
+            <Loader2 size={20} className="spin" />
+          </div>
+        ) : (
+          <>
+            {statuses.map((status, index) => (
+              <div key={status.id} style={rowStyle}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                  {/* Saved when the picker closes, not on every step of dragging through it */}
+                  <input
+                    key={status.color}
+                    type="color"
+                    defaultValue={status.color}
+                    onBlur={(e) => e.target.value !== status.color &&
+                      runAction(() => statusesAPI.update(status.id, { color: e.target.value }), 'Failed to change color')}
+                    title="Column color"
+                    style={{ width: '24px', height: '24px', padding: 0, border: 'none', background: 'none', cursor: 'pointer' }}
+                  />
+                  <input
+                    type="text"
+                    value={names[status.id] ?? ''}
+                    maxLength={30}
+                    onChange={(e) => setNames(prev => ({ ...prev, [status.id]: e.target.value }))}
+                    onBlur={() => handleRename(status)}
+                    onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                    style={{
+                      flex: 1,
+                      minWidth: 0,
+                      padding: '6px 8px',
+                      fontSize: '14px',
+                      fontWeight: '600',
+                      border: '1px solid transparent',
+                      borderRadius: '8px',
+                      background: 'white'
+                    }}
+                  />
+                  <span style={{ fontSize: '12px', color: '#8e8e93', whiteSpace: 'nowrap' }}>
+                    {status.task_count}
+                  </span>
+                  <button
+                    onClick={() => handleMove(index, -1)}
+                    disabled={index === 0}
+                    title="Move left"
+                    style={{ ...iconButtonStyle, opacity: index === 0 ? 0.3 : 1 }}
+                  >
+                    <ChevronUp size={16} color="#8e8e93" />
+                  </button>
+                  <button
+                    onClick={() => handleMove(index, 1)}
+                    disabled={index === statuses.length - 1}
+                    title="Move right"
+                    style={{ ...iconButtonStyle, opacity: index === statuses.length - 1 ? 0.3 : 1 }}
+                  >
+                    <ChevronDown size={16} color="#8e8e93" />
+                  </button>
+                  <button onClick={() => handleDelete(status)} title="Delete column" style={iconButtonStyle}>
+                    <Trash2 size={16} color="#8e8e93" />
+                  </button>
+                </div>
+
+                <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginTop: '8px', fontSize: '12px' }}>
+                  <label style={{ display: 'flex', alignItems: 'center', gap: '4px', color: '#1a1a1a', cursor: 'pointer' }}>
+                    <input
+                      type="checkbox"
+                      checked={status.is_done}
+                      onChange={(e) => runAction(() => statusesAPI.update(status.id, { is_done: e.target.checked }), 'Failed to update column')}
+                    />
+                    Counts as done
+                  </label>
+                  <button
+                    onClick={() => setExpandedId(expandedId === status.id ? null : status.id)}
+                    style={{
+                      background: 'none',
+                      border: 'none',
+                      padding: 0,
+                      fontSize: '12px',
+                      fontWeight: '600',
+                      color: '#667eea',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    Allowed moves: {status.transitions.length === 0 ? 'any column' : `${status.transitions.length} column${status.transitions.length === 1 ? '' : 's'}`}
+                  </button>
+                </div>
+
+                {expandedId === status.id && (
+                  <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '6px', marginTop: '8px' }}>
+                    <ArrowRight size={14} color="#8e8e93" />
+                    {statuses.filter(other => other.id !== status.id).map(other => {
+                      const allowed = status.transitions.includes(other.id);
+                      return (
+                        <button
+                          key={other.id}
+                          onClick={() => handleToggleTransition(status, other.id)}
+                          style={{
+                            padding: '4px 10px',
+                            fontSize: '12px',
+                            fontWeight: '600',
+                            background: allowed ? other.color : 'white',
+                            color: allowed ? 'white' : other.color,
+                            border: `1px solid ${other.color}`,
+                            borderRadius: '8px',
+                            cursor: 'pointer'
+                          }}
+                        >
+                          {other.name}
+                        </button>
+                      );
+                    })}
+                    <div style={{ width: '100%', fontSize: '11px', color: '#8e8e93' }}>
+                      With none picked, tasks can move to every column
+                    </div>
+                  </div>
+                )}
+              </div>
+            ))}
+
+            <form onSubmit={handleAdd} style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '16px' }}>
+              <input
+                type="text"
+                value={newName}
+                placeholder="New column"
+                maxLength={30}
+                onChange={(e) => setNewName(e.target.value)}
+                style={{
+                  flex: 1,
+                  minWidth: 0,
+                  padding: '8px 10px',
+                  fontSize: '14px',
+                  border: '1px solid rgba(0, 0, 0, 0.1)',
+                  borderRadius: '10px',
+                  background: 'white'
+                }}
+              />
+              <label style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '12px', color: '#1a1a1a', whiteSpace: 'nowrap' }}>
+                <input type="checkbox" checked={newIsDone} onChange={(e) => setNewIsDone(e.target.checked)} />
+                Done
+              </label>
+              <button
+                type="submit"
+                disabled={!newName.trim()}
+                style={{
+                  padding: '8px 10px',
+                  background: newName.trim() ? '#667eea' : 'rgba(0, 0, 0, 0.05)',
+                  border: 'none',
+                  borderRadius: '10px',
+                  cursor: newName.trim() ? 'pointer' : 'not-allowed',
+                  display: 'flex'
+                }}
+              >
+                <Plus size={16} color={newName.trim() ? 'white' : '#8e8e93'} />
+              </button>
+            </form>
+          </>
+        )}
+      </div>
+    </>
+  );
+}
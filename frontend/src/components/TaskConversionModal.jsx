@@ -1,17 +1,30 @@
 import { useState, useEffect, useRef } from 'react';
-import { X, Plus, Trash2, Tag, Calendar, ChevronDown, Check } from 'lucide-react';
+import { X, Plus, Trash2, Tag, Calendar, ChevronDown, Check, Clock, Folder } from 'lucide-react';
 import { tasksAPI, tagsAPI } from '../services/api';
+import EstimateInput from './EstimateInput';
+import ProjectSelect from './ProjectSelect';
 
-export default function TaskConversionModal({ isOpen, onClose, inboxItem, onConvert }) {
-  const [tasks, setTasks] = useState([{
-    title: inboxItem?.content || '',
+// The first task, prefilled with what was read from the captured text (#tags, dates, >today)
+const taskFromInboxItem = (item) => {
+  const deadline = item?.parsed?.deadline;
+
+  return {
+    title: item?.parsed?.title || item?.content || '',
     why: '',
     importance: 5,
     urgency: 5,
-    deadline: '',
+    // datetime-local needs a time; a date-only deadline is due at the end of the day
+    deadline: deadline ? (deadline.length === 10 ? `${deadline}T23:59` : deadline) : '',
+    estimate_minutes: null,
     parent_task_id: null,
-    tags: []
-  }]);
+    project_id: null,
+    planned_for_today: item?.parsed?.planned_for_today || null,
+    tags: (item?.parsed?.tags || []).map(name => ({ name, color: '#667eea' }))
+  };
+};
+
+export default function TaskConversionModal({ isOpen, onClose, inboxItem, onConvert }) {
+  const [tasks, setTasks] = useState([taskFromInboxItem(inboxItem)]);
   const [availableTags, setAvailableTags] = useState([]);
   const [availableTasks, setAvailableTasks] = useState([]);
   const [tagInput, setTagInput] = useState({});
@@ -22,6 +35,7 @@ export default function TaskConversionModal({ isOpen, onClose, inboxItem, onConv
 
   useEffect(() => {
     if (isOpen) {
+      setTasks([taskFromInboxItem(inboxItem)]);
       loadTags();
       loadTasks();
     }
@@ -69,7 +83,9 @@ export default function TaskConversionModal({ isOpen, onClose, inboxItem, onConv
       importance: 5,
       urgency: 5,
       deadline: '',
+      estimate_minutes: null,
       parent_task_id: null,
+      project_id: tasks[tasks.length - 1].project_id, // Tasks split from one capture usually share a project
       tags: []
     }]);
   };
@@ -380,6 +396,46 @@ export default function TaskConversionModal({ isOpen, onClose, inboxItem, onConv
                 />
               </div>
 
+              {/* Estimate */}
+              <div style={{ marginBottom: '12px' }}>
+                <label style={{
+                  fontSize: '13px',
+                  fontWeight: '600',
+                  color: '#1a1a1a',
+                  marginBottom: '6px',
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '6px'
+                }}>
+                  <Clock size={14} />
+                  Estimate (optional)
+                </label>
+                <EstimateInput
+                  value={task.estimate_minutes}
+                  onChange={(minutes) => updateTask(index, 'estimate_minutes', minutes)}
+                />
+              </div>
+
+              {/* Project */}
+              <div style={{ marginBottom: '12px' }}>
+                <label style={{
+                  fontSize: '13px',
+                  fontWeight: '600',
+                  color: '#1a1a1a',
+                  marginBottom: '6px',
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '6px'
+                }}>
+                  <Folder size={14} />
+                  Project (optional)
+                </label>
+                <ProjectSelect
+                  value={task.project_id}
+                  onChange={(projectId) => updateTask(index, 'project_id', projectId)}
+                />
+              </div>
+
               {/* Parent Task */}
               <div
                 ref={openDropdown === index ? dropdownRef : null}
@@ -0,0 +1,840 @@
+import { useState, useEffect } from 'react';
+import { X, Loader2, Plus, Pencil, Check, Timer, Clock, CalendarCheck, Trash2, RotateCcw, Calendar, Tag, Play, Square, Bell, BellOff, LayoutTemplate, Folder, Columns3, RefreshCw } from 'lucide-react';
+import { tasksAPI, timeEntriesAPI, remindersAPI, templatesAPI, projectsAPI, statusesAPI } from '../services/api';
+import { describeRule } from '../utils/recurrence';
+import { formatMinutes } from '../utils/time';
+import EstimateInput from './EstimateInput';
+import ProjectSelect from './ProjectSelect';
+
+// SQLite timestamps are UTC without a zone ("2025-01-31 18:04:05")
+const parseTimestamp = (value) => new Date(`${value.replace(' ', 'T')}Z`);
+
+const formatTimestamp = (value) => parseTimestamp(value).toLocaleString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+// Value for a datetime-local input, in the browser's timezone
+const toInputValue = (value) => {
+  const date = parseTimestamp(value);
+  date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+  return date.toISOString().slice(0, 16);
+};
+
+const formatDate = (value) => new Date(`${value.split('T')[0]}T00:00:00`).toLocaleDateString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric'
+});
+
+const FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  why: 'Why',
+  completed: 'Status',
+  importance: 'Importance',
+  urgency: 'Urgency',
+  auto_urgency: 'Auto urgency',
+  deadline: 'Deadline',
+  parent_task_id: 'Parent',
+  recurrence_rule: 'Repeat',
+  pomodoro_count: 'Pomodoros',
+  time_spent_minutes: 'Time spent',
+  estimate_minutes: 'Estimate',
+  planned_for_today: 'Planned for',
+  project_id: 'Project',
+  status_id: 'Board column',
+  tags: 'Tags'
+};
+
+const EVENT_STYLES = {
+  create: { label: 'Created', icon: Plus, color: '#34c759' },
+  update: { label: 'Edited', icon: Pencil, color: '#667eea' },
+  toggle: { label: 'Status changed', icon: Check, color: '#34c759' },
+  status: { label: 'Moved on the board', icon: Columns3, color: '#ff9500' },
+  pomodoro: { label: 'Pomodoro', icon: Timer, color: '#ff3b30' },
+  add_time: { label: 'Time logged', icon: Clock, color: '#ff9500' },
+  plan: { label: 'Planned for today', icon: CalendarCheck, color: '#667eea' },
+  unplan: { label: 'Removed from today', icon: X, color: '#8e8e93' },
+  delete: { label: 'Moved to trash', icon: Trash2, color: '#ff3b30' },
+  restore: { label: 'Restored', icon: RotateCcw, color: '#764ba2' },
+  sync: { label: 'Synced from a calendar app', icon: RefreshCw, color: '#5ac8fa' }
+};
+
+const SESSION_STATUS_COLORS = {
+  running: '#667eea',
+  completed: '#34c759',
+  abandoned: '#8e8e93'
+};
+
+// Quick picks for reminders relative to the deadline
+const REMINDER_PRESETS = [
+  { label: '1 week before', minutes: 7 * 24 * 60 },
+  { label: '1 day before', minutes: 24 * 60 },
+  { label: '1 hour before', minutes: 60 }
+];
+
+const REMINDER_STATUS_LABELS = {
+  pending: 'Scheduled',
+  sending: 'Sending',
+  sent: 'Sent',
+  dismissed: 'Dismissed',
+  failed: 'Failed'
+};
+
+const describeReminder = (reminder) => {
+  const minutes = reminder.before_deadline_minutes;
+  if (minutes === null) return formatTimestamp(reminder.remind_at);
+  if (minutes === 0) return 'At the deadline';
+  if (minutes % (24 * 60) === 0) {
+    const days = minutes / (24 * 60);
+    return `${days} day${days === 1 ? '' : 's'} before deadline`;
+  }
+  return `${formatMinutes(minutes)} before deadline`;
+};
+
+export default function TaskDetailModal({ isOpen, onClose, task, allTasks = [], onChange }) {
+  const [events, setEvents] = useState([]);
+  const [entries, setEntries] = useState([]);
+  const [sessions, setSessions] = useState([]);
+  const [reminders, setReminders] = useState([]);
+  const [projects, setProjects] = useState([]);
+  const [statuses, setStatuses] = useState([]);
+  const [reminderAt, setReminderAt] = useState(''); // datetime-local value for a fixed-time reminder
+  const [runningEntry, setRunningEntry] = useState(null);
+  const [manualMinutes, setManualMinutes] = useState('');
+  const [estimateDraft, setEstimateDraft] = useState(null); // Estimate in minutes being edited
+  const [editingEntry, setEditingEntry] = useState(null); // { id, started_at, ended_at } as input values
+  const [savedTemplateName, setSavedTemplateName] = useState(''); // Shown after "Save as template"
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (isOpen && task) {
+      setError('');
+      setSavedTemplateName('');
+      setManualMinutes('');
+      setEstimateDraft(task.estimate_minutes ?? null);
+      setEditingEntry(null);
+      setReminderAt('');
+      loadDetails();
+    }
+  }, [isOpen, task?.id]);
+
+  const loadDetails = async () => {
+    setLoading(true);
+    try {
+      const [historyResponse, entriesResponse, runningResponse, sessionsResponse, remindersResponse, projectsResponse, statusesResponse] = await Promise.all([
+        tasksAPI.getHistory(task.id),
+        timeEntriesAPI.getAll({ task_id: task.id }),
+        timeEntriesAPI.getRunning(),
+        tasksAPI.getPomodoros(task.id),
+        tasksAPI.getReminders(task.id),
+        projectsAPI.getAll(),
+        statusesAPI.getAll()
+      ]);
+      setEvents(historyResponse.data.events);
+      setEntries(entriesResponse.data.entries);
+      setSessions(sessionsResponse.data.sessions);
+      setReminders(remindersResponse.data.reminders);
+      setRunningEntry(runningResponse.data.entry);
+      setProjects(projectsResponse.data.projects);
+      setStatuses(statusesResponse.data.statuses);
+    } catch (error) {
+      setError('Failed to load task details');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Every time change returns the task with its new total
+  const runTimeAction = async (action, fallbackMessage) => {
+    setError('');
+    try {
+      const response = await action();
+      if (response.data.task) onChange?.(response.data.task);
+      await loadDetails();
+    } catch (error) {
+      setError(error.response?.data?.message || fallbackMessage);
+    }
+  };
+
+  const handleSaveEstimate = () => {
+    runTimeAction(() => tasksAPI.update(task.id, { estimate_minutes: estimateDraft }), 'Failed to save estimate');
+  };
+
+  const handleToggleAutoUrgency = () => {
+    runTimeAction(() => tasksAPI.update(task.id, { auto_urgency: !task.auto_urgency }), 'Failed to update urgency');
+  };
+
+  const handleChangeProject = (projectId) => {
+    runTimeAction(() => tasksAPI.update(task.id, { project_id: projectId }), 'Failed to change project');
+  };
+
+  // Saves the task with its subtasks; deadlines are kept relative to when the task was created
+  const handleSaveAsTemplate = async () => {
+    const name = prompt('Template name', task.title);
+    if (!name?.trim()) return;
+
+    setError('');
+    try {
+      const response = await templatesAPI.createFromTask(task.id, { name: name.trim() });
+      setSavedTemplateName(response.data.template.name);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to save template');
+    }
+  };
+
+  const handleStartTimer = () => runTimeAction(() => timeEntriesAPI.start(task.id), 'Failed to start timer');
+
+  const handleStopTimer = () => runTimeAction(() => timeEntriesAPI.stop(), 'Failed to stop timer');
+
+  const handleAddManual = (e) => {
+    e.preventDefault();
+    const minutes = parseInt(manualMinutes);
+    if (!minutes || minutes < 1) return;
+    setManualMinutes('');
+    runTimeAction(() => timeEntriesAPI.create({ task_id: task.id, minutes }), 'Failed to add time');
+  };
+
+  const handleSaveEntry = () => {
+    const { id, started_at, ended_at } = editingEntry;
+    setEditingEntry(null);
+    runTimeAction(() => timeEntriesAPI.update(id, {
+      started_at: new Date(started_at).toISOString(),
+      ...(ended_at ? { ended_at: new Date(ended_at).toISOString() } : {})
+    }), 'Failed to update time entry');
+  };
+
+  const handleDeleteEntry = (entry) => {
+    if (!confirm('Delete this time entry?')) return;
+    runTimeAction(() => timeEntriesAPI.delete(entry.id), 'Failed to delete time entry');
+  };
+
+  const handleAddReminder = (data) => {
+    runTimeAction(() => tasksAPI.addReminder(task.id, data), 'Failed to add reminder');
+  };
+
+  const handleAddFixedReminder = (e) => {
+    e.preventDefault();
+    if (!reminderAt) return;
+    setReminderAt('');
+    handleAddReminder({ remind_at: new Date(reminderAt).toISOString() });
+  };
+
+  const handleSnoozeReminder = (reminder) => {
+    runTimeAction(() => remindersAPI.snooze(reminder.id, { minutes: 60 }), 'Failed to snooze reminder');
+  };
+
+  const handleDismissReminder = (reminder) => {
+    runTimeAction(() => remindersAPI.dismiss(reminder.id), 'Failed to dismiss reminder');
+  };
+
+  const handleDeleteReminder = (reminder) => {
+    runTimeAction(() => remindersAPI.delete(reminder.id), 'Failed to delete reminder');
+  };
+
+  if (!isOpen || !task) return null;
+
+  const formatValue = (field, value) => {
+    if (value === null || value === undefined || value === '') return 'None';
+
+    switch (field) {
+      case 'completed':
+        return value ? 'Done' : 'Open';
+      case 'auto_urgency':
+        return value ? 'On' : 'Off';
+      case 'importance':
+      case 'urgency':
+        return `${Math.round(value / 10000)}%`;
+      case 'deadline':
+      case 'planned_for_today':
+        return formatDate(value);
+      case 'parent_task_id':
+        return allTasks.find(t => t.id === value)?.title || `Task #${value}`;
+      case 'project_id':
+        return projects.find(p => p.id === value)?.name || `Project #${value}`;
+      case 'status_id':
+        return statuses.find(s => s.id === value)?.name || 'Deleted column';
+      case 'recurrence_rule':
+        return describeRule(value);
+      case 'time_spent_minutes':
+      case 'estimate_minutes':
+        return `${value} min`;
+      case 'tags':
+        return value.length ? value.join(', ') : 'None';
+      default:
+        return String(value);
+    }
+  };
+
+  // Completing/reopening reads better than "Status changed"
+  const eventLabel = (event) => {
+    if (event.event_type === 'toggle' && event.changes.completed) {
+      return event.changes.completed.to ? 'Completed' : 'Reopened';
+    }
+    return EVENT_STYLES[event.event_type]?.label || event.event_type;
+  };
+
+  const labelStyle = {
+    fontSize: '13px',
+    fontWeight: '600',
+    color: '#8e8e93',
+    marginBottom: '8px',
+    textTransform: 'uppercase',
+    letterSpacing: '0.5px'
+  };
+
+  const timeButtonStyle = {
+    padding: '8px 12px',
+    fontSize: '13px',
+    fontWeight: '600',
+    border: 'none',
+    borderRadius: '10px',
+    cursor: 'pointer',
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    whiteSpace: 'nowrap'
+  };
+
+  const inputStyle = {
+    minWidth: 0,
+    padding: '8px 10px',
+    fontSize: '14px',
+    border: '1px solid rgba(0, 0, 0, 0.1)',
+    borderRadius: '10px',
+    outline: 'none'
+  };
+
+  const entryRowStyle = {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    padding: '10px 12px',
+    background: 'rgba(0, 0, 0, 0.03)',
+    borderRadius: '12px',
+    marginBottom: '6px',
+    fontSize: '14px',
+    color: '#1a1a1a'
+  };
+
+  const iconButtonStyle = {
+    background: 'none',
+    border: 'none',
+    padding: '2px',
+    cursor: 'pointer',
+    display: 'flex'
+  };
+
+  const detailStyle = {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    fontSize: '13px',
+    color: '#1a1a1a',
+    background: 'rgba(0, 0, 0, 0.03)',
+    padding: '6px 10px',
+    borderRadius: '10px'
+  };
+
+  return (
+    <>
+      {/* Backdrop */}
+      <div
+        onClick={onClose}
+        style={{
+          position: 'fixed',
+          top: 0,
+          left: 0,
+          right: 0,
+          bottom: 0,
+          background: 'rgba(0, 0, 0, 0.4)',
+          backdropFilter: 'blur(10px)',
+          WebkitBackdropFilter: 'blur(10px)',
+          zIndex: 2000,
+          animation: 'fadeIn 0.2s cubic-bezier(0.4, 0, 0.2, 1)'
+        }}
+      />
+
+      {/* Modal */}
+      <div style={{
+        position: 'fixed',
+        top: '50%',
+        left: '50%',
+        transform: 'translate(-50%, -50%)',
+        width: '90%',
+        maxWidth: '480px',
+        maxHeight: '80vh',
+        overflowY: 'auto',
+        background: 'rgba(255, 255, 255, 0.95)',
+        backdropFilter: 'blur(40px) saturate(180%)',
+        WebkitBackdropFilter: 'blur(40px) saturate(180%)',
+        borderRadius: '32px',
+        boxShadow: '0 20px 60px rgba(0, 0, 0, 0.3)',
+        border: '0.5px solid rgba(255, 255, 255, 0.8)',
+        zIndex: 2001,
+        padding: '32px 24px',
+        animation: 'slideUp 0.3s cubic-bezier(0.4, 0, 0.2, 1)'
+      }}>
+        {/* Close Button */}
+        <button
+          onClick={onClose}
+          style={{
+            position: 'absolute',
+            top: '16px',
+            right: '16px',
+            background: 'rgba(0, 0, 0, 0.05)',
+            border: 'none',
+            borderRadius: '12px',
+            padding: '8px',
+            cursor: 'pointer',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center'
+          }}
+        >
+          <X size={20} color="#1a1a1a" />
+        </button>
+
+        {/* Task summary */}
+        <div style={{ marginBottom: '24px', paddingRight: '40px' }}>
+          <div style={labelStyle}>Task</div>
+          <div style={{
+            fontSize: '17px',
+            fontWeight: '600',
+            color: '#1a1a1a',
+            lineHeight: '1.3',
+            textDecoration: task.completed === 1 ? 'line-through' : 'none'
+          }}>
+            {task.title}
+          </div>
+          {task.description && (
+            <p style={{ fontSize: '14px', color: '#1a1a1a', lineHeight: '1.5', margin: '8px 0 0', whiteSpace: 'pre-wrap' }}>
+              {task.description}
+            </p>
+          )}
+          {task.why && (
+            <p style={{ fontSize: '13px', color: '#8e8e93', lineHeight: '1.4', margin: '8px 0 0', fontStyle: 'italic' }}>
+              {task.why}
+            </p>
+          )}
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginTop: '12px' }}>
+            {task.deadline && (
+              <span style={detailStyle}>
+                <Calendar size={12} color="#8e8e93" />
+                {formatDate(task.deadline)}
+              </span>
+            )}
+            {task.pomodoro_count > 0 && (
+              <span style={detailStyle}>
+                <Timer size={12} color="#8e8e93" />
+                {task.pomodoro_count}
+              </span>
+            )}
+            {task.time_spent_minutes > 0 && (
+              <span style={detailStyle}>
+                <Clock size={12} color="#8e8e93" />
+                {task.time_spent_minutes} min
+              </span>
+            )}
+            {task.tags?.map(tag => (
+              <span key={tag.id} style={{ ...detailStyle, background: `${tag.color}15`, color: tag.color, fontWeight: '600' }}>
+                <Tag size={12} />
+                {tag.name}
+              </span>
+            ))}
+          </div>
+          {task.deadline && (
+            <label style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '8px',
+              marginTop: '12px',
+              fontSize: '13px',
+              color: '#1a1a1a',
+              cursor: 'pointer'
+            }}>
+              <input
+                type="checkbox"
+                checked={task.auto_urgency === 1}
+                onChange={handleToggleAutoUrgency}
+                style={{ cursor: 'pointer' }}
+              />
+              <span style={{ flex: 1 }}>Raise urgency as the deadline approaches</span>
+              {task.auto_urgency === 1 && (
+                <span style={{ color: '#8e8e93' }}>
+                  now {Math.round(task.effective_urgency / 100000)} (set {Math.round((task.urgency ?? 500000) / 100000)})
+                </span>
+              )}
+            </label>
+          )}
+          <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '12px' }}>
+            <Folder size={14} color="#8e8e93" />
+            <ProjectSelect
+              value={task.project_id}
+              projects={projects}
+              onChange={handleChangeProject}
+              style={{ padding: '6px 10px', fontSize: '13px' }}
+            />
+          </div>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '12px', fontSize: '13px' }}>
+            <button
+              onClick={handleSaveAsTemplate}
+              style={{
+                padding: '0',
+                fontSize: '13px',
+                fontWeight: '600',
+                background: 'none',
+                color: '#667eea',
+                border: 'none',
+                cursor: 'pointer',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '6px'
+              }}
+            >
+              <LayoutTemplate size={14} />
+              Save as template
+            </button>
+            {savedTemplateName && (
+              <span style={{ color: '#34c759' }}>Saved as "{savedTemplateName}"</span>
+            )}
+          </div>
+        </div>
+
+        {error && (
+          <div style={{
+            background: 'rgba(255, 59, 48, 0.1)',
+            color: '#ff3b30',
+            padding: '10px 12px',
+            borderRadius: '12px',
+            marginBottom: '16px',
+            fontSize: '13px',
+            fontWeight: '500'
+          }}>
+            {error}
+          </div>
+        )}
+
+        {/* Time tracking */}
+        {!loading && (
+          <div style={{ marginBottom: '24px' }}>
+            <div style={{ ...labelStyle, display: 'flex', justifyContent: 'space-between' }}>
+              <span>Time</span>
+              <span style={{ color: '#1a1a1a' }}>
+                {formatMinutes(task.time_spent_minutes || 0)}
+                {task.estimate_minutes > 0 && ` of ${formatMinutes(task.estimate_minutes)}`}
+              </span>
+            </div>
+
+            <div style={{ display: 'flex', gap: '8px', alignItems: 'center', marginBottom: '12px' }}>
+              <span style={{ fontSize: '14px', color: '#8e8e93', width: '64px' }}>Estimate</span>
+              <EstimateInput key={task.id} value={estimateDraft} onChange={setEstimateDraft} style={{ flex: 1 }} />
+              {estimateDraft !== (task.estimate_minutes ?? null) && (
+                <button onClick={handleSaveEstimate} title="Save estimate" style={iconButtonStyle}>
+                  <Check size={16} color="#34c759" />
+                </button>
+              )}
+            </div>
+            {task.estimate_minutes > 0 && (
+              <div style={{ height: '6px', borderRadius: '3px', background: 'rgba(0, 0, 0, 0.05)', marginBottom: '12px' }}>
+                <div style={{
+                  width: `${Math.min(100, ((task.time_spent_minutes || 0) / task.estimate_minutes) * 100)}%`,
+                  height: '100%',
+                  borderRadius: '3px',
+                  background: (task.time_spent_minutes || 0) > task.estimate_minutes ? '#ff3b30' : '#34c759'
+                }} />
+              </div>
+            )}
+
+            <div style={{ display: 'flex', gap: '8px', marginBottom: '12px' }}>
+              {runningEntry?.task_id === task.id ? (
+                <button onClick={handleStopTimer} style={{ ...timeButtonStyle, background: '#ff3b30', color: 'white' }}>
+                  <Square size={14} />
+                  Stop timer (since {parseTimestamp(runningEntry.started_at).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })})
+                </button>
+              ) : (
+                <button
+                  onClick={handleStartTimer}
+                  disabled={!!runningEntry}
+                  title={runningEntry ? `A timer is running on "${runningEntry.task_title}"` : 'Start timer'}
+                  style={{
+                    ...timeButtonStyle,
+                    background: runningEntry ? 'rgba(0, 0, 0, 0.05)' : '#34c759',
+                    color: runningEntry ? '#8e8e93' : 'white',
+                    cursor: runningEntry ? 'not-allowed' : 'pointer'
+                  }}
+                >
+                  <Play size={14} />
+                  Start timer
+                </button>
+              )}
+              <form onSubmit={handleAddManual} style={{ display: 'flex', gap: '6px', flex: 1, minWidth: 0 }}>
+                <input
+                  type="number"
+                  min="1"
+                  placeholder="Minutes"
+                  value={manualMinutes}
+                  onChange={(e) => setManualMinutes(e.target.value)}
+                  style={{ ...inputStyle, flex: 1 }}
+                />
+                <button
+                  type="submit"
+                  disabled={!manualMinutes}
+                  title="Log time ending now"
+                  style={{ ...timeButtonStyle, background: manualMinutes ? '#667eea' : 'rgba(0, 0, 0, 0.05)', color: manualMinutes ? 'white' : '#8e8e93' }}
+                >
+                  <Plus size={14} />
+                </button>
+              </form>
+            </div>
+            {runningEntry && runningEntry.task_id !== task.id && (
+              <div style={{ fontSize: '12px', color: '#8e8e93', marginBottom: '12px' }}>
+                A timer is running on "{runningEntry.task_title}"
+              </div>
+            )}
+
+            {entries.map(entry => (
+              editingEntry?.id === entry.id ? (
+                <div key={entry.id} style={{ ...entryRowStyle, flexWrap: 'wrap' }}>
+                  <input
+                    type="datetime-local"
+                    value={editingEntry.started_at}
+                    onChange={(e) => setEditingEntry({ ...editingEntry, started_at: e.target.value })}
+                    style={{ ...inputStyle, flex: 1 }}
+                  />
+                  {editingEntry.ended_at && (
+                    <input
+                      type="datetime-local"
+                      value={editingEntry.ended_at}
+                      onChange={(e) => setEditingEntry({ ...editingEntry, ended_at: e.target.value })}
+                      style={{ ...inputStyle, flex: 1 }}
+                    />
+                  )}
+                  <button onClick={handleSaveEntry} title="Save" style={iconButtonStyle}>
+                    <Check size={16} color="#34c759" />
+                  </button>
+                  <button onClick={() => setEditingEntry(null)} title="Cancel" style={iconButtonStyle}>
+                    <X size={16} color="#8e8e93" />
+                  </button>
+                </div>
+              ) : (
+                <div key={entry.id} style={entryRowStyle}>
+                  <div style={{ flex: 1, minWidth: 0 }}>
+                    <div>{formatTimestamp(entry.started_at)}</div>
+                    {entry.note && (
+                      <div style={{ fontSize: '12px', color: '#8e8e93', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                        {entry.note}
+                      </div>
+                    )}
+                  </div>
+                  <span style={{ fontWeight: '600' }}>
+                    {entry.ended_at ? formatMinutes(entry.duration_minutes) : 'Running'}
+                  </span>
+                  <button
+                    onClick={() => setEditingEntry({
+                      id: entry.id,
+                      started_at: toInputValue(entry.started_at),
+                      ended_at: entry.ended_at ? toInputValue(entry.ended_at) : null
+                    })}
+                    title="Edit entry"
+                    style={iconButtonStyle}
+                  >
+                    <Pencil size={14} color="#8e8e93" />
+                  </button>
+                  <button onClick={() => handleDeleteEntry(entry)} title="Delete entry" style={iconButtonStyle}>
+                    <Trash2 size={14} color="#ff3b30" />
+                  </button>
+                </div>
+              )
+            ))}
+          </div>
+        )}
+
+        {/* Pomodoro sessions */}
+        {!loading && sessions.length > 0 && (
+          <div style={{ marginBottom: '24px' }}>
+            <div style={{ ...labelStyle, display: 'flex', justifyContent: 'space-between' }}>
+              <span>Pomodoros</span>
+              <span style={{ color: '#1a1a1a' }}>{task.pomodoro_count || 0} completed</span>
+            </div>
+            {sessions.map(session => (
+              <div key={session.id} style={{ ...entryRowStyle, alignItems: 'flex-start' }}>
+                <div style={{ flex: 1, minWidth: 0 }}>
+                  <div>{formatTimestamp(session.started_at)}</div>
+                  {session.interruptions.map(interruption => (
+                    <div key={interruption.id} style={{ fontSize: '12px', color: '#8e8e93' }}>
+                      Interrupted{interruption.note ? `: ${interruption.note}` : ''}
+                    </div>
+                  ))}
+                </div>
+                <span style={{
+                  fontWeight: '600',
+                  color: SESSION_STATUS_COLORS[session.status]
+                }}>
+                  {session.status === 'running'
+                    ? 'Running'
+                    : `${formatMinutes(Math.round((session.actual_seconds || 0) / 60))} / ${formatMinutes(session.planned_minutes)}`}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Reminders */}
+        {!loading && (
+          <div style={{ marginBottom: '24px' }}>
+            <div style={labelStyle}>Reminders</div>
+            {task.deadline && (
+              <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap', marginBottom: '8px' }}>
+                {REMINDER_PRESETS
+                  .filter(preset => !reminders.some(reminder => reminder.before_deadline_minutes === preset.minutes))
+                  .map(preset => (
+                    <button
+                      key={preset.minutes}
+                      onClick={() => handleAddReminder({ before_deadline_minutes: preset.minutes })}
+                      style={{ ...timeButtonStyle, background: 'rgba(102, 126, 234, 0.1)', color: '#667eea' }}
+                    >
+                      <Bell size={14} />
+                      {preset.label}
+                    </button>
+                  ))}
+              </div>
+            )}
+            <form onSubmit={handleAddFixedReminder} style={{ display: 'flex', gap: '6px', marginBottom: '12px' }}>
+              <input
+                type="datetime-local"
+                value={reminderAt}
+                onChange={(e) => setReminderAt(e.target.value)}
+                style={{ ...inputStyle, flex: 1 }}
+              />
+              <button
+                type="submit"
+                disabled={!reminderAt}
+                title="Remind me at this time"
+                style={{ ...timeButtonStyle, background: reminderAt ? '#667eea' : 'rgba(0, 0, 0, 0.05)', color: reminderAt ? 'white' : '#8e8e93' }}
+              >
+                <Plus size={14} />
+              </button>
+            </form>
+
+            {reminders.map(reminder => (
+              <div key={reminder.id} style={entryRowStyle}>
+                <div style={{ flex: 1, minWidth: 0 }}>
+                  <div>{describeReminder(reminder)}</div>
+                  <div style={{ fontSize: '12px', color: reminder.status === 'failed' ? '#ff3b30' : '#8e8e93' }}>
+                    {reminder.snoozed_until && reminder.status === 'pending'
+                      ? `Snoozed until ${formatTimestamp(reminder.snoozed_until)}`
+                      : REMINDER_STATUS_LABELS[reminder.status]}
+                    {reminder.status === 'pending' && !reminder.snoozed_until && reminder.remind_at && reminder.before_deadline_minutes !== null
+                      ? ` for ${formatTimestamp(reminder.remind_at)}`
+                      : ''}
+                  </div>
+                </div>
+                {(reminder.status === 'pending' || reminder.status === 'sent') && (
+                  <>
+                    <button onClick={() => handleSnoozeReminder(reminder)} title="Snooze 1 hour" style={iconButtonStyle}>
+                      <Clock size={14} color="#8e8e93" />
+                    </button>
+                    <button onClick={() => handleDismissReminder(reminder)} title="Dismiss" style={iconButtonStyle}>
+                      <BellOff size={14} color="#8e8e93" />
+                    </button>
+                  </>
+                )}
+                <button onClick={() => handleDeleteReminder(reminder)} title="Delete reminder" style={iconButtonStyle}>
+                  <Trash2 size={14} color="#ff3b30" />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* History timeline */}
+        <div style={labelStyle}>History</div>
+        {loading ? (
+          <div style={{ textAlign: 'center', padding: '20px', color: '#8e8e93' }}>
+            <Loader2 size={20} className="spin" />
+          </div>
+        ) : events.length === 0 ? (
+          <div style={{ fontSize: '14px', color: '#8e8e93' }}>
+            No changes recorded yet
+          </div>
+        ) : (
+          <div style={{ position: 'relative', paddingLeft: '36px' }}>
+            {/* Timeline line */}
+            <div style={{
+              position: 'absolute',
+              left: '13px',
+              top: '14px',
+              bottom: '14px',
+              width: '2px',
+              background: 'rgba(0, 0, 0, 0.06)'
+            }} />
+
+            {events.map(event => {
+              const style = EVENT_STYLES[event.event_type] || EVENT_STYLES.update;
+              const Icon = style.icon;
+              // Status and planning changes are already told by the label;
+              // a new task only lists the values that were actually set
+              const showFields = Object.keys(event.changes).filter(field => {
+                if (!FIELD_LABELS[field]) return false;
+                if (event.event_type === 'create') return Boolean(event.changes[field].to);
+                if (event.event_type === 'update') return true;
+                return field !== 'completed' && field !== 'planned_for_today';
+              });
+
+              return (
+                <div key={event.id} style={{ position: 'relative', marginBottom: '16px' }}>
+                  <div style={{
+                    position: 'absolute',
+                    left: '-36px',
+                    top: 0,
+                    width: '28px',
+                    height: '28px',
+                    borderRadius: '50%',
+                    background: `${style.color}15`,
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center'
+                  }}>
+                    <Icon size={14} color={style.color} strokeWidth={2.5} />
+                  </div>
+
+                  <div style={{ display: 'flex', justifyContent: 'space-between', gap: '8px', alignItems: 'baseline' }}>
+                    <span style={{ fontSize: '14px', fontWeight: '600', color: '#1a1a1a' }}>
+                      {eventLabel(event)}
+                    </span>
+                    <span style={{ fontSize: '12px', color: '#8e8e93', whiteSpace: 'nowrap' }}>
+                      {formatTimestamp(event.created_at)}
+                    </span>
+                  </div>
+
+                  {showFields.map(field => {
+                    const { from, to } = event.changes[field];
+                    return (
+                      <div key={field} style={{ fontSize: '13px', color: '#8e8e93', marginTop: '4px', lineHeight: '1.4', wordBreak: 'break-word' }}>
+                        <span style={{ fontWeight: '600' }}>{FIELD_LABELS[field]}: </span>
+                        {event.event_type === 'create' ? (
+                          <span style={{ color: '#1a1a1a' }}>{formatValue(field, to)}</span>
+                        ) : (
+                          <>
+                            <span style={{ textDecoration: 'line-through' }}>{formatValue(field, from)}</span>
+                            {' → '}
+                            <span style={{ color: '#1a1a1a' }}>{formatValue(field, to)}</span>
+                          </>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </>
+  );
+}
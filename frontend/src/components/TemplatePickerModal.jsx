@@ -0,0 +1,256 @@
+import { useState, useEffect } from 'react';
+import { X, Loader2, Trash2, LayoutTemplate } from 'lucide-react';
+import { templatesAPI } from '../services/api';
+
+// Today as YYYY-MM-DD in the browser's timezone
+const getLocalDateString = () => {
+  const today = new Date();
+  const month = String(today.getMonth() + 1).padStart(2, '0');
+  const day = String(today.getDate()).padStart(2, '0');
+  return `${today.getFullYear()}-${month}-${day}`;
+};
+
+// Whether any task in a template tree has a relative deadline
+const hasDeadlines = (node) =>
+  node.deadline_offset_days != null || node.subtasks.some(hasDeadlines);
+
+export default function TemplatePickerModal({ isOpen, onClose, onCreated }) {
+  const [templates, setTemplates] = useState([]);
+  const [startDate, setStartDate] = useState(getLocalDateString());
+  const [loading, setLoading] = useState(false);
+  const [creatingId, setCreatingId] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (isOpen) {
+      setStartDate(getLocalDateString());
+      setError('');
+      loadTemplates();
+    }
+  }, [isOpen]);
+
+  const loadTemplates = async () => {
+    setLoading(true);
+    try {
+      const response = await templatesAPI.getAll();
+      setTemplates(response.data.templates);
+    } catch (error) {
+      setError('Failed to load templates');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreate = async (template) => {
+    setCreatingId(template.id);
+    setError('');
+    try {
+      const response = await templatesAPI.instantiate(template.id, { start_date: startDate });
+      onCreated?.(response.data.task);
+      onClose();
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to create tasks from template');
+    } finally {
+      setCreatingId(null);
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!confirm(`Delete the template "${template.name}"? Tasks created from it are kept.`)) return;
+    setError('');
+    try {
+      await templatesAPI.delete(template.id);
+      setTemplates(prev => prev.filter(t => t.id !== template.id));
+    } catch (error) {
+      setError('Failed to delete template');
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const labelStyle = {
+    fontSize: '13px',
+    fontWeight: '600',
+    color: '#8e8e93',
+    marginBottom: '8px',
+    textTransform: 'uppercase',
+    letterSpacing: '0.5px'
+  };
+
+  const rowStyle = {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '10px',
+    padding: '12px',
+    background: 'rgba(0, 0, 0, 0.03)',
+    borderRadius: '12px',
+    marginBottom: '6px',
+    fontSize: '14px',
+    color: '#1a1a1a'
+  };
+
+  const showStartDate = templates.some(template => hasDeadlines(template.task));
+
+  return (
+    <>
+      {/* Backdrop */}
+      <div
+        onClick={onClose}
+        style={{
+          position: 'fixed',
+          top: 0,
+          left: 0,
+          right: 0,
+          bottom: 0,
+          background: 'rgba(0, 0, 0, 0.4)',
+          backdropFilter: 'blur(10px)',
+          WebkitBackdropFilter: 'blur(10px)',
+          zIndex: 2000,
+          animation: 'fadeIn 0.2s cubic-bezier(0.4, 0, 0.2, 1)'
+        }}
+      />
+
+      {/* Modal */}
+      <div style={{
+        position: 'fixed',
+        top: '50%',
+        left: '50%',
+        transform: 'translate(-50%, -50%)',
+        width: '90%',
+        maxWidth: '440px',
+        maxHeight: '80vh',
+        overflowY: 'auto',
+        background: 'rgba(255, 255, 255, 0.95)',
+        backdropFilter: 'blur(40px) saturate(180%)',
+        WebkitBackdropFilter: 'blur(40px) saturate(180%)',
+        borderRadius: '32px',
+        boxShadow: '0 20px 60px rgba(0, 0, 0, 0.3)',
+        border: '0.5px solid rgba(255, 255, 255, 0.8)',
+        zIndex: 2001,
+        padding: '32px 24px',
+        animation: 'slideUp 0.3s cubic-bezier(0.4, 0, 0.2, 1)'
+      }}>
+        {/* Close Button */}
+        <button
+          onClick={onClose}
+          style={{
+            position: 'absolute',
+            top: '16px',
+            right: '16px',
+            background: 'rgba(0, 0, 0, 0.05)',
+            border: 'none',
+            borderRadius: '12px',
+            padding: '8px',
+            cursor: 'pointer',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center'
+          }}
+        >
+          <X size={20} color="#1a1a1a" />
+        </button>
+
+        <div style={{ marginBottom: '24px', paddingRight: '40px' }}>
+          <div style={labelStyle}>Templates</div>
+          <div style={{ fontSize: '17px', fontWeight: '600', color: '#1a1a1a', lineHeight: '1.3' }}>
+            Create tasks from a template
+          </div>
+        </div>
+
+        {error && (
+          <div style={{
+            background: 'rgba(255, 59, 48, 0.1)',
+            color: '#ff3b30',
+            padding: '10px 12px',
+            borderRadius: '12px',
+            marginBottom: '16px',
+            fontSize: '13px',
+            fontWeight: '500'
+          }}>
+            {error}
+          </div>
+        )}
+
+        {loading ? (
+          <div style={{ textAlign: 'center', padding: '20px', color: '#8e8e93' }}>
+            <Loader2 size={20} className="spin" />
+          </div>
+        ) : templates.length === 0 ? (
+          <div style={{ fontSize: '14px', color: '#8e8e93', lineHeight: '1.5' }}>
+            No templates yet. Open a task and use "Save as template" to reuse it and its subtasks.
+          </div>
+        ) : (
+          <>
+            {showStartDate && (
+              <div style={{ marginBottom: '20px' }}>
+                <div style={labelStyle}>Start date</div>
+                <input
+                  type="date"
+                  value={startDate}
+                  onChange={(e) => setStartDate(e.target.value || getLocalDateString())}
+                  style={{
+                    padding: '8px 10px',
+                    fontSize: '14px',
+                    border: '1px solid rgba(0, 0, 0, 0.1)',
+                    borderRadius: '10px',
+                    background: 'white'
+                  }}
+                />
+                <div style={{ fontSize: '12px', color: '#8e8e93', marginTop: '6px' }}>
+                  Deadlines in the template count from this day
+                </div>
+              </div>
+            )}
+
+            <div style={labelStyle}>Your templates</div>
+            {templates.map(template => (
+              <div key={template.id} style={rowStyle}>
+                <LayoutTemplate size={16} color="#667eea" style={{ flexShrink: 0 }} />
+                <div style={{ flex: 1, minWidth: 0 }}>
+                  <div style={{ fontWeight: '600' }}>{template.name}</div>
+                  <div style={{ fontSize: '12px', color: '#8e8e93' }}>
+                    {template.task_count} {template.task_count === 1 ? 'task' : 'tasks'}
+                    {template.description && ` · ${template.description}`}
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleCreate(template)}
+                  disabled={creatingId !== null}
+                  style={{
+                    padding: '6px 12px',
+                    fontSize: '13px',
+                    fontWeight: '600',
+                    background: '#667eea',
+                    color: 'white',
+                    border: 'none',
+                    borderRadius: '10px',
+                    cursor: creatingId !== null ? 'not-allowed' : 'pointer',
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '4px'
+                  }}
+                >
+                  {creatingId === template.id && <Loader2 size={14} className="spin" />}
+                  Create
+                </button>
+                <button
+                  onClick={() => handleDelete(template)}
+                  title="Delete template"
+                  style={{
+                    background: 'none',
+                    border: 'none',
+                    padding: '2px',
+                    cursor: 'pointer',
+                    display: 'flex'
+                  }}
+                >
+                  <Trash2 size={16} color="#8e8e93" />
+                </button>
+              </div>
+            ))}
+          </>
+        )}
+      </div>
+    </>
+  );
+}
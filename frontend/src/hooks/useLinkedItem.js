@@ -0,0 +1,32 @@
+import { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+
+/**
+ * Custom hook for pages opened on one of their items (e.g. /memos?memo=12 from search)
+ *
+ * Reads the item id from the query string once, removes it from the URL and
+ * scrolls the element with id `${param}-${itemId}` into view when it is rendered.
+ *
+ * @param {string} param - Query parameter holding the item id
+ * @param {boolean} ready - Whether the page's items are rendered
+ *
+ * @returns {number|null} The linked item's id
+ */
+export function useLinkedItem(param, ready) {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [itemId] = useState(() => Number(searchParams.get(param)) || null);
+
+  useEffect(() => {
+    if (searchParams.has(param)) {
+      searchParams.delete(param);
+      setSearchParams(searchParams, { replace: true });
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!itemId || !ready) return;
+    document.getElementById(`${param}-${itemId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [itemId, ready]);
+
+  return itemId;
+}
@@ -0,0 +1,485 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { tasksAPI } from '../services/api';
+import { Loader2, ChevronLeft, ChevronRight, CalendarDays, CalendarRange, List, Flag, CalendarCheck } from 'lucide-react';
+
+// YYYY-MM-DD in the browser's timezone
+const toDateString = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+// Weeks start on Monday
+const startOfWeek = (date) => {
+  const result = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  return addDays(result, -((result.getDay() + 6) % 7));
+};
+
+// Days shown at once in agenda mode
+const AGENDA_DAYS = 30;
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const MODES = [
+  { id: 'month', label: 'Month', icon: CalendarDays },
+  { id: 'week', label: 'Week', icon: CalendarRange },
+  { id: 'agenda', label: 'Agenda', icon: List }
+];
+
+// First and last day shown: whole weeks around the month, one week, or the agenda window
+const getRange = (mode, anchor) => {
+  if (mode === 'month') {
+    const first = new Date(anchor.getFullYear(), anchor.getMonth(), 1);
+    const last = new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0);
+    return { start: startOfWeek(first), end: addDays(startOfWeek(last), 6) };
+  }
+  if (mode === 'week') {
+    const start = startOfWeek(anchor);
+    return { start, end: addDays(start, 6) };
+  }
+  const start = new Date(anchor.getFullYear(), anchor.getMonth(), anchor.getDate());
+  return { start, end: addDays(start, AGENDA_DAYS - 1) };
+};
+
+// Moves the anchor one month, week or agenda window back or forward
+const shiftAnchor = (mode, anchor, direction) => {
+  if (mode === 'month') return new Date(anchor.getFullYear(), anchor.getMonth() + direction, 1);
+  return addDays(anchor, direction * (mode === 'week' ? 7 : AGENDA_DAYS));
+};
+
+const formatShort = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+// A task shows up once on its deadline day and once on the day it is planned for
+const buildItemsByDate = (tasks) => {
+  const itemsByDate = new Map();
+  const add = (date, item) => {
+    if (!itemsByDate.has(date)) itemsByDate.set(date, []);
+    itemsByDate.get(date).push(item);
+  };
+
+  for (const task of tasks) {
+    if (task.deadline) {
+      add(task.deadline.slice(0, 10), {
+        key: `deadline-${task.id}`,
+        kind: 'deadline',
+        task,
+        date: task.deadline.slice(0, 10),
+        time: task.deadline.slice(11, 16) || null
+      });
+    }
+    if (task.planned_for_today) {
+      add(task.planned_for_today, {
+        key: `planned-${task.id}`,
+        kind: 'planned',
+        task,
+        date: task.planned_for_today
+      });
+    }
+  }
+
+  return itemsByDate;
+};
+
+export default function Calendar() {
+  const navigate = useNavigate();
+  const [mode, setMode] = useState('month');
+  const [anchor, setAnchor] = useState(() => new Date());
+  const [showCompleted, setShowCompleted] = useState(true);
+  const [tasks, setTasks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [draggedItem, setDraggedItem] = useState(null);
+  const [dropDate, setDropDate] = useState(null);
+
+  const { start, end } = getRange(mode, anchor);
+  const from = toDateString(start);
+  const to = toDateString(end);
+
+  useEffect(() => {
+    loadTasks();
+  }, [from, to, showCompleted]);
+
+  const loadTasks = async () => {
+    setLoading(true);
+    try {
+      setError('');
+      const response = await tasksAPI.getCalendar({
+        from,
+        to,
+        ...(showCompleted ? {} : { completed: false })
+      });
+      setTasks(response.data.tasks);
+    } catch (error) {
+      setError('Failed to load calendar');
+      console.error('Load calendar error:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Dropping a deadline keeps its time of day; dropping a planned day plans the task for the new day
+  const reschedule = async (item, date) => {
+    try {
+      setError('');
+      if (item.kind === 'deadline') {
+        await tasksAPI.update(item.task.id, { deadline: item.time ? `${date}T${item.time}` : date });
+      } else {
+        await tasksAPI.planToday(item.task.id, date);
+      }
+      await loadTasks();
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to reschedule task');
+      console.error('Reschedule task error:', error);
+    }
+  };
+
+  const handleDragStart = (e, item) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', item.key);
+    // Delay state update to avoid re-render during drag start
+    setTimeout(() => setDraggedItem(item), 0);
+  };
+
+  const handleDragEnd = () => {
+    setTimeout(() => {
+      setDraggedItem(null);
+      setDropDate(null);
+    }, 0);
+  };
+
+  const handleDragOver = (e, date) => {
+    if (!draggedItem) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    if (dropDate !== date) setDropDate(date);
+  };
+
+  const handleDrop = (e, date) => {
+    e.preventDefault();
+    const item = draggedItem;
+    setDraggedItem(null);
+    setDropDate(null);
+
+    if (item && item.date !== date) {
+      reschedule(item, date);
+    }
+  };
+
+  const itemsByDate = buildItemsByDate(tasks);
+  const today = toDateString(new Date());
+
+  const title = mode === 'month'
+    ? anchor.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })
+    : `${formatShort(start)} – ${formatShort(end)}`;
+
+  const navButtonStyle = {
+    background: 'white',
+    border: 'none',
+    borderRadius: '10px',
+    padding: '8px',
+    cursor: 'pointer',
+    display: 'flex',
+    boxShadow: '0 2px 4px rgba(0, 0, 0, 0.1)'
+  };
+
+  const cardStyle = {
+    background: 'rgba(255, 255, 255, 0.7)',
+    backdropFilter: 'blur(40px) saturate(180%)',
+    WebkitBackdropFilter: 'blur(40px) saturate(180%)',
+    borderRadius: '20px',
+    padding: '16px',
+    marginBottom: '16px',
+    boxShadow: '0 4px 12px rgba(0, 0, 0, 0.06), 0 1px 0 0 rgba(255, 255, 255, 0.5) inset',
+    border: '0.5px solid rgba(255, 255, 255, 0.8)'
+  };
+
+  // Drop zones get a dashed outline while something is dragged over them
+  const dropZoneProps = (date) => ({
+    onDragOver: (e) => handleDragOver(e, date),
+    onDrop: (e) => handleDrop(e, date)
+  });
+
+  const dropOutline = (date) => (
+    dropDate === date ? '2px dashed #667eea' : '2px dashed transparent'
+  );
+
+  const renderChip = (item, compact = false) => {
+    const { task } = item;
+    const done = task.completed === 1;
+    const overdue = item.kind === 'deadline' && !done && item.date < today;
+    const color = item.kind === 'deadline' ? (overdue ? '#ff3b30' : '#ff9500') : '#667eea';
+    const Icon = item.kind === 'deadline' ? Flag : CalendarCheck;
+
+    return (
+      <div
+        key={item.key}
+        draggable
+        onDragStart={(e) => handleDragStart(e, item)}
+        onDragEnd={handleDragEnd}
+        onClick={() => navigate(`/tasks?task=${task.id}`)}
+        title={`${item.kind === 'deadline' ? 'Due' : 'Planned'}: ${task.title}`}
+        style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: '4px',
+          padding: compact ? '2px 6px' : '6px 10px',
+          marginBottom: '4px',
+          background: `${color}14`,
+          borderLeft: `3px solid ${color}`,
+          borderRadius: '6px',
+          fontSize: compact ? '11px' : '14px',
+          color: done ? '#8e8e93' : '#1a1a1a',
+          textDecoration: done ? 'line-through' : 'none',
+          opacity: draggedItem?.key === item.key ? 0.4 : 1,
+          cursor: 'grab',
+          overflow: 'hidden'
+        }}
+      >
+        {!compact && <Icon size={13} color={color} style={{ flexShrink: 0 }} />}
+        {item.time && (
+          <span style={{ fontWeight: '600', color, flexShrink: 0 }}>{item.time}</span>
+        )}
+        <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+          {task.title}
+        </span>
+      </div>
+    );
+  };
+
+  const renderMonth = () => {
+    const days = [];
+    for (let date = start; date <= end; date = addDays(date, 1)) {
+      days.push(date);
+    }
+
+    return (
+      <div style={{ ...cardStyle, padding: '12px' }}>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(7, minmax(0, 1fr))', gap: '4px' }}>
+          {WEEKDAYS.map(weekday => (
+            <div
+              key={weekday}
+              style={{ fontSize: '12px', fontWeight: '600', color: '#8e8e93', textAlign: 'center', paddingBottom: '4px' }}
+            >
+              {weekday}
+            </div>
+          ))}
+          {days.map(date => {
+            const dateString = toDateString(date);
+            const inMonth = date.getMonth() === anchor.getMonth();
+            return (
+              <div
+                key={dateString}
+                {...dropZoneProps(dateString)}
+                style={{
+                  minHeight: '88px',
+                  padding: '4px',
+                  borderRadius: '10px',
+                  background: inMonth ? 'white' : 'rgba(255, 255, 255, 0.4)',
+                  border: dropOutline(dateString),
+                  minWidth: 0
+                }}
+              >
+                <div style={{
+                  fontSize: '12px',
+                  fontWeight: '600',
+                  marginBottom: '4px',
+                  color: dateString === today ? 'white' : (inMonth ? '#1a1a1a' : '#c7c7cc'),
+                  background: dateString === today ? '#667eea' : 'transparent',
+                  borderRadius: '8px',
+                  width: '22px',
+                  height: '22px',
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'center'
+                }}>
+                  {date.getDate()}
+                </div>
+                {(itemsByDate.get(dateString) || []).map(item => renderChip(item, true))}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    );
+  };
+
+  // One row per day: all seven days of the week, or only the busy days of the agenda
+  const renderDayList = (dates) => (
+    <div style={cardStyle}>
+      {dates.length === 0 && (
+        <div style={{ textAlign: 'center', padding: '32px 0', color: '#8e8e93', fontSize: '15px' }}>
+          Nothing due or planned in these {AGENDA_DAYS} days
+        </div>
+      )}
+      {dates.map(date => {
+        const dateString = toDateString(date);
+        const items = itemsByDate.get(dateString) || [];
+        return (
+          <div
+            key={dateString}
+            {...dropZoneProps(dateString)}
+            style={{
+              display: 'flex',
+              gap: '12px',
+              padding: '10px 8px',
+              borderRadius: '12px',
+              outline: dropOutline(dateString),
+              outlineOffset: '-2px',
+              borderBottom: '0.5px solid rgba(0, 0, 0, 0.06)'
+            }}
+          >
+            <div style={{
+              width: '90px',
+              flexShrink: 0,
+              fontSize: '14px',
+              fontWeight: '600',
+              color: dateString === today ? '#667eea' : (items.length ? '#1a1a1a' : '#8e8e93')
+            }}>
+              {date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}
+            </div>
+            <div style={{ flex: 1, minWidth: 0, minHeight: '24px' }}>
+              {items.map(item => renderChip(item))}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+
+  const renderContent = () => {
+    if (mode === 'month') return renderMonth();
+
+    const dates = [];
+    for (let date = start; date <= end; date = addDays(date, 1)) {
+      if (mode === 'week' || itemsByDate.has(toDateString(date))) dates.push(date);
+    }
+    return renderDayList(dates);
+  };
+
+  return (
+    <div style={{
+      minHeight: '100%',
+      background: '#f5f7fa',
+      padding: '16px'
+    }}>
+      <div style={{ maxWidth: '900px', margin: '0 auto' }}>
+        {error && (
+          <div style={{
+            background: 'rgba(255, 59, 48, 0.1)',
+            backdropFilter: 'blur(20px) saturate(180%)',
+            WebkitBackdropFilter: 'blur(20px) saturate(180%)',
+            border: '0.5px solid rgba(255, 59, 48, 0.2)',
+            color: '#ff3b30',
+            padding: '14px 16px',
+            borderRadius: '16px',
+            marginBottom: '16px',
+            fontSize: '14px',
+            fontWeight: '500'
+          }}>
+            {error}
+          </div>
+        )}
+
+        {/* Header with period navigation */}
+        <div style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          flexWrap: 'wrap',
+          marginBottom: '16px',
+          gap: '12px'
+        }}>
+          <h1 style={{
+            fontSize: '28px',
+            fontWeight: '700',
+            color: '#1a1a1a',
+            margin: 0,
+            letterSpacing: '-0.5px'
+          }}>
+            Calendar
+          </h1>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+            <button onClick={() => setAnchor(shiftAnchor(mode, anchor, -1))} style={navButtonStyle} title="Previous">
+              <ChevronLeft size={18} color="#1a1a1a" />
+            </button>
+            <span style={{ fontSize: '14px', fontWeight: '600', color: '#1a1a1a', minWidth: '120px', textAlign: 'center' }}>
+              {title}
+            </span>
+            <button onClick={() => setAnchor(shiftAnchor(mode, anchor, 1))} style={navButtonStyle} title="Next">
+              <ChevronRight size={18} color="#1a1a1a" />
+            </button>
+            <button
+              onClick={() => setAnchor(new Date())}
+              style={{ ...navButtonStyle, padding: '8px 12px', fontSize: '13px', fontWeight: '600', color: '#667eea' }}
+            >
+              Today
+            </button>
+          </div>
+        </div>
+
+        {/* Mode toggle */}
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: '12px', marginBottom: '16px' }}>
+          <div style={{ display: 'flex', gap: '6px', background: 'rgba(0, 0, 0, 0.04)', borderRadius: '12px', padding: '4px' }}>
+            {MODES.map(({ id, label, icon: Icon }) => (
+              <button
+                key={id}
+                onClick={() => setMode(id)}
+                style={{
+                  padding: '6px 12px',
+                  fontSize: '13px',
+                  fontWeight: '600',
+                  background: mode === id ? 'white' : 'transparent',
+                  color: mode === id ? '#667eea' : '#8e8e93',
+                  border: 'none',
+                  borderRadius: '8px',
+                  cursor: 'pointer',
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '4px',
+                  boxShadow: mode === id ? '0 2px 4px rgba(0, 0, 0, 0.1)' : 'none',
+                  transition: 'all 0.2s'
+                }}
+              >
+                <Icon size={14} />
+                {label}
+              </button>
+            ))}
+          </div>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '13px', color: '#8e8e93', cursor: 'pointer' }}>
+            <input type="checkbox" checked={showCompleted} onChange={(e) => setShowCompleted(e.target.checked)} />
+            Show completed
+          </label>
+        </div>
+
+        <div style={{ display: 'flex', gap: '16px', fontSize: '12px', color: '#8e8e93', marginBottom: '12px' }}>
+          <span style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+            <Flag size={12} color="#ff9500" /> Deadline
+          </span>
+          <span style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+            <CalendarCheck size={12} color="#667eea" /> Planned
+          </span>
+          <span>Drag a task to another day to reschedule it</span>
+        </div>
+
+        {loading && tasks.length === 0 ? (
+          <div style={{
+            textAlign: 'center',
+            padding: '60px 20px',
+            color: '#8e8e93',
+            fontSize: '15px'
+          }}>
+            <Loader2 size={24} className="spin" style={{ marginBottom: '12px' }} />
+            <div>Loading calendar...</div>
+          </div>
+        ) : renderContent()}
+      </div>
+    </div>
+  );
+}
@@ -1,9 +1,23 @@
 import { useState, useEffect, useRef } from 'react';
 import { inboxAPI } from '../services/api';
-import { Mic, Square, Loader2, Trash2, Plus, Clock, ListTodo, BookOpen, Eye, EyeOff } from 'lucide-react';
+import { Mic, Square, Loader2, Trash2, Plus, Clock, ListTodo, BookOpen, Eye, EyeOff, Calendar, CalendarCheck, Tag } from 'lucide-react';
 import TaskConversionModal from '../components/TaskConversionModal';
 import MemoConversionModal from '../components/MemoConversionModal';
 import { useSwipeGesture } from '../hooks/useSwipeGesture';
+import { useLinkedItem } from '../hooks/useLinkedItem';
+
+// Badges for the deadline, planned date and tags read from an item's text
+const parsedBadgeStyle = {
+  fontSize: '12px',
+  fontWeight: '600',
+  color: '#667eea',
+  background: '#667eea15',
+  padding: '4px 10px',
+  borderRadius: '8px',
+  display: 'flex',
+  alignItems: 'center',
+  gap: '4px'
+};
 
 export default function Inbox() {
   const [items, setItems] = useState([]);
@@ -12,7 +26,8 @@ export default function Inbox() {
   const [isTranscribing, setIsTranscribing] = useState(false);
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
-  const [statusFilter, setStatusFilter] = useState('active'); // 'active', 'delayed', 'all'
+  const linkedItemId = useLinkedItem('item', !loading); // Item opened from search
+  const [statusFilter, setStatusFilter] = useState(linkedItemId ? 'all' : 'active'); // 'active', 'delayed', 'all'
   const [taskConversionModal, setTaskConversionModal] = useState({ isOpen: false, item: null });
   const [memoConversionModal, setMemoConversionModal] = useState({ isOpen: false, item: null });
 
@@ -296,11 +311,12 @@ export default function Inbox() {
     };
 
     return (
-      <div style={{
+      <div id={`item-${item.id}`} style={{
         position: 'relative',
         marginBottom: '12px',
         overflow: 'hidden',
-        borderRadius: '20px'
+        borderRadius: '20px',
+        boxShadow: item.id === linkedItemId ? '0 0 0 2px #667eea' : 'none'
       }}>
         {/* Backdrop to cancel reveal */}
         {isRevealed && (
@@ -617,6 +633,26 @@ export default function Inbox() {
               {item.source}
             </span>
 
+            {/* What was read from the captured text, used when converting to a task */}
+            {item.parsed?.deadline && (
+              <span style={parsedBadgeStyle}>
+                <Calendar size={12} />
+                Due {item.parsed.deadline.replace('T', ' ')}
+              </span>
+            )}
+            {item.parsed?.planned_for_today && (
+              <span style={parsedBadgeStyle}>
+                <CalendarCheck size={12} />
+                Planned {item.parsed.planned_for_today}
+              </span>
+            )}
+            {item.parsed?.tags.map(tag => (
+              <span key={tag} style={parsedBadgeStyle}>
+                <Tag size={12} />
+                {tag}
+              </span>
+            ))}
+
             {/* Delayed Badge */}
             {item.status === 'delayed' && item.delayed_until && (
               <span style={{
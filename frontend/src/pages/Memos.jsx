@@ -1,12 +1,14 @@
 import { useState, useEffect, useRef } from 'react';
 import { memosAPI } from '../services/api';
 import { Plus, Loader2, Trash2, BookOpen, Tag, Edit2 } from 'lucide-react';
+import { useLinkedItem } from '../hooks/useLinkedItem';
 
 export default function Memos() {
   const [memos, setMemos] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [showCreateModal, setShowCreateModal] = useState(false);
+  const linkedMemoId = useLinkedItem('memo', !loading); // Memo opened from search
 
   useEffect(() => {
     loadMemos();
@@ -131,6 +133,7 @@ export default function Memos() {
             memos.map((memo) => (
               <div
                 key={memo.id}
+                id={`memo-${memo.id}`}
                 style={{
                   background: 'rgba(255, 255, 255, 0.7)',
                   backdropFilter: 'blur(40px) saturate(180%)',
@@ -138,7 +141,9 @@ export default function Memos() {
                   borderRadius: '20px',
                   padding: '20px',
                   marginBottom: '12px',
-                  boxShadow: '0 4px 12px rgba(0, 0, 0, 0.06), 0 1px 0 0 rgba(255, 255, 255, 0.5) inset',
+                  boxShadow: memo.id === linkedMemoId
+                    ? '0 0 0 2px #667eea, 0 4px 12px rgba(0, 0, 0, 0.06)'
+                    : '0 4px 12px rgba(0, 0, 0, 0.06), 0 1px 0 0 rgba(255, 255, 255, 0.5) inset',
                   border: '0.5px solid rgba(255, 255, 255, 0.8)',
                   transition: 'all 0.2s cubic-bezier(0.4, 0, 0.2, 1)',
                 }}
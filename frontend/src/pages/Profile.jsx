@@ -1,7 +1,124 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { Trash2, ChevronRight, Clock, Download } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
+import { settingsAPI, exportAPI } from '../services/api';
+import CalendarFeedSettings from '../components/CalendarFeedSettings';
+import CalDavSettings from '../components/CalDavSettings';
+import ImportData from '../components/ImportData';
+import { getCascadePreferences, setCascadePreferences } from '../utils/cascadePreferences';
+
+const URGENCY_CURVE_OPTIONS = [
+  { value: 'linear', label: 'Steadily' },
+  { value: 'quadratic', label: 'Faster near the deadline' },
+  { value: 'cubic', label: 'Mostly at the end' }
+];
+
+const CASCADE_OPTIONS = [
+  { value: 'ask', label: 'Ask me' },
+  { value: 'always', label: 'Always' },
+  { value: 'never', label: 'Never' }
+];
 
 export default function Profile() {
   const { user } = useAuth();
+  const [cascade, setCascade] = useState(getCascadePreferences());
+  const [capacityHours, setCapacityHours] = useState('');
+  const [emailSettings, setEmailSettings] = useState(null); // { digest_enabled, digest_time, weekly_summary_enabled, timezone }
+  const [urgencySettings, setUrgencySettings] = useState(null); // { urgency_horizon_days, urgency_curve }
+  const [settingsError, setSettingsError] = useState('');
+  const [exporting, setExporting] = useState(false);
+  const [exportError, setExportError] = useState('');
+
+  useEffect(() => {
+    loadSettings();
+  }, []);
+
+  const loadSettings = async () => {
+    try {
+      const response = await settingsAPI.get();
+      setCapacityHours(String(response.data.settings.daily_capacity_minutes / 60));
+      setEmailSettings(response.data.settings);
+      setUrgencySettings(response.data.settings);
+    } catch (error) {
+      setSettingsError('Failed to load settings');
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      setExportError('');
+      const response = await exportAPI.download('zip');
+      const fileName = response.headers['content-disposition']?.match(/filename="([^"]+)"/)?.[1]
+        || 'twu-export.zip';
+
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      setExportError('Failed to export your data');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleCapacitySave = async () => {
+    const hours = parseFloat(capacityHours);
+    if (isNaN(hours) || hours < 0 || hours > 24) {
+      setSettingsError('Hours per day must be between 0 and 24');
+      return;
+    }
+
+    try {
+      setSettingsError('');
+      const response = await settingsAPI.update({ daily_capacity_minutes: Math.round(hours * 60) });
+      setCapacityHours(String(response.data.settings.daily_capacity_minutes / 60));
+    } catch (error) {
+      setSettingsError('Failed to save settings');
+    }
+  };
+
+  const handleUrgencySettingsSave = async (changes) => {
+    const horizonDays = parseInt(changes.urgency_horizon_days ?? urgencySettings.urgency_horizon_days);
+    if (isNaN(horizonDays) || horizonDays < 1 || horizonDays > 365) {
+      setSettingsError('Days before a deadline must be between 1 and 365');
+      return;
+    }
+
+    try {
+      setSettingsError('');
+      const response = await settingsAPI.update({
+        urgency_horizon_days: horizonDays,
+        urgency_curve: changes.urgency_curve ?? urgencySettings.urgency_curve
+      });
+      setUrgencySettings(response.data.settings);
+    } catch (error) {
+      setSettingsError('Failed to save settings');
+    }
+  };
+
+  // Emails go out at the browser's local time, so its timezone is saved along
+  const handleEmailSettingsChange = async (changes) => {
+    try {
+      setSettingsError('');
+      const response = await settingsAPI.update({
+        ...changes,
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+      });
+      setEmailSettings(response.data.settings);
+    } catch (error) {
+      setSettingsError('Failed to save settings');
+    }
+  };
+
+  const handleCascadeChange = (key, value) => {
+    setCascadePreferences({ [key]: value });
+    setCascade(getCascadePreferences());
+  };
 
   return (
     <div style={{
@@ -90,6 +207,297 @@ export default function Profile() {
             </div>
           </div>
 
+          <div style={{ marginBottom: '24px' }}>
+            <label style={{
+              display: 'block',
+              fontSize: '14px',
+              fontWeight: '600',
+              color: '#6b7280',
+              marginBottom: '8px'
+            }}>
+              Subtasks
+            </label>
+            {[
+              { key: 'children', label: 'Completing a task completes its open subtasks' },
+              { key: 'parent', label: 'Completing the last subtask completes its parent' }
+            ].map(({ key, label }) => (
+              <div key={key} style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                gap: '12px',
+                padding: '12px 16px',
+                background: '#f9fafb',
+                borderRadius: '12px',
+                fontSize: '14px',
+                color: '#1f2937',
+                marginBottom: '8px'
+              }}>
+                <span>{label}</span>
+                <select
+                  value={cascade[key]}
+                  onChange={(e) => handleCascadeChange(key, e.target.value)}
+                  style={{
+                    padding: '6px 10px',
+                    fontSize: '14px',
+                    border: '1px solid #e5e7eb',
+                    borderRadius: '8px',
+                    background: 'white'
+                  }}
+                >
+                  {CASCADE_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+
+          <div style={{ marginBottom: '24px' }}>
+            <label style={{
+              display: 'block',
+              fontSize: '14px',
+              fontWeight: '600',
+              color: '#6b7280',
+              marginBottom: '8px'
+            }}>
+              Planning
+            </label>
+            <div style={{
+              display: 'flex',
+              justifyContent: 'space-between',
+              alignItems: 'center',
+              gap: '12px',
+              padding: '12px 16px',
+              background: '#f9fafb',
+              borderRadius: '12px',
+              fontSize: '14px',
+              color: '#1f2937'
+            }}>
+              <span>Hours available for planned work per day</span>
+              <input
+                type="number"
+                min="0"
+                max="24"
+                step="0.5"
+                value={capacityHours}
+                onChange={(e) => setCapacityHours(e.target.value)}
+                onBlur={handleCapacitySave}
+                style={{
+                  width: '72px',
+                  padding: '6px 10px',
+                  fontSize: '14px',
+                  border: '1px solid #e5e7eb',
+                  borderRadius: '8px',
+                  background: 'white'
+                }}
+              />
+            </div>
+            {urgencySettings && (
+              <div style={{
+                padding: '12px 16px',
+                background: '#f9fafb',
+                borderRadius: '12px',
+                fontSize: '14px',
+                color: '#1f2937',
+                marginTop: '8px'
+              }}>
+                <div style={{ marginBottom: '8px' }}>
+                  Tasks with auto urgency start getting more urgent
+                </div>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap' }}>
+                  <input
+                    type="number"
+                    min="1"
+                    max="365"
+                    value={urgencySettings.urgency_horizon_days}
+                    onChange={(e) => setUrgencySettings({ ...urgencySettings, urgency_horizon_days: e.target.value })}
+                    onBlur={() => handleUrgencySettingsSave({})}
+                    style={{
+                      width: '72px',
+                      padding: '6px 10px',
+                      fontSize: '14px',
+                      border: '1px solid #e5e7eb',
+                      borderRadius: '8px',
+                      background: 'white'
+                    }}
+                  />
+                  <span>days before the deadline, rising</span>
+                  <select
+                    value={urgencySettings.urgency_curve}
+                    onChange={(e) => handleUrgencySettingsSave({ urgency_curve: e.target.value })}
+                    style={{
+                      padding: '6px 10px',
+                      fontSize: '14px',
+                      border: '1px solid #e5e7eb',
+                      borderRadius: '8px',
+                      background: 'white'
+                    }}
+                  >
+                    {URGENCY_CURVE_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+            )}
+            {settingsError && (
+              <div style={{ fontSize: '13px', color: '#ff3b30', marginTop: '8px' }}>
+                {settingsError}
+              </div>
+            )}
+          </div>
+
+          {emailSettings && (
+            <div style={{ marginBottom: '24px' }}>
+              <label style={{
+                display: 'block',
+                fontSize: '14px',
+                fontWeight: '600',
+                color: '#6b7280',
+                marginBottom: '8px'
+              }}>
+                Emails
+              </label>
+              {[
+                { key: 'digest_enabled', label: 'Daily plan every morning' },
+                { key: 'weekly_summary_enabled', label: 'Weekly summary on Mondays' }
+              ].map(({ key, label }) => (
+                <label key={key} style={{
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  alignItems: 'center',
+                  gap: '12px',
+                  padding: '12px 16px',
+                  background: '#f9fafb',
+                  borderRadius: '12px',
+                  fontSize: '14px',
+                  color: '#1f2937',
+                  marginBottom: '8px',
+                  cursor: 'pointer'
+                }}>
+                  <span>{label}</span>
+                  <input
+                    type="checkbox"
+                    checked={emailSettings[key]}
+                    onChange={(e) => handleEmailSettingsChange({ [key]: e.target.checked })}
+                    style={{ width: '18px', height: '18px', cursor: 'pointer' }}
+                  />
+                </label>
+              ))}
+              {(emailSettings.digest_enabled || emailSettings.weekly_summary_enabled) && (
+                <div style={{
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  alignItems: 'center',
+                  gap: '12px',
+                  padding: '12px 16px',
+                  background: '#f9fafb',
+                  borderRadius: '12px',
+                  fontSize: '14px',
+                  color: '#1f2937'
+                }}>
+                  <span>Send at ({emailSettings.timezone})</span>
+                  <input
+                    type="time"
+                    value={emailSettings.digest_time}
+                    onChange={(e) => e.target.value && handleEmailSettingsChange({ digest_time: e.target.value })}
+                    style={{
+                      padding: '6px 10px',
+                      fontSize: '14px',
+                      border: '1px solid #e5e7eb',
+                      borderRadius: '8px',
+                      background: 'white'
+                    }}
+                  />
+                </div>
+              )}
+            </div>
+          )}
+
+          <CalendarFeedSettings />
+
+          <CalDavSettings />
+
+          <div style={{ marginBottom: '24px' }}>
+            <label style={{
+              display: 'block',
+              fontSize: '14px',
+              fontWeight: '600',
+              color: '#6b7280',
+              marginBottom: '8px'
+            }}>
+              Data
+            </label>
+            <Link
+              to="/timesheet"
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '12px',
+                padding: '16px',
+                background: '#f9fafb',
+                borderRadius: '12px',
+                fontSize: '16px',
+                color: '#1f2937',
+                textDecoration: 'none',
+                marginBottom: '8px'
+              }}
+            >
+              <Clock size={18} color="#6b7280" />
+              <span style={{ flex: 1 }}>Timesheet</span>
+              <ChevronRight size={18} color="#9ca3af" />
+            </Link>
+            <Link
+              to="/trash"
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '12px',
+                padding: '16px',
+                background: '#f9fafb',
+                borderRadius: '12px',
+                fontSize: '16px',
+                color: '#1f2937',
+                textDecoration: 'none'
+              }}
+            >
+              <Trash2 size={18} color="#6b7280" />
+              <span style={{ flex: 1 }}>Trash</span>
+              <ChevronRight size={18} color="#9ca3af" />
+            </Link>
+            <button
+              onClick={handleExport}
+              disabled={exporting}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '12px',
+                width: '100%',
+                padding: '16px',
+                background: '#f9fafb',
+                border: 'none',
+                borderRadius: '12px',
+                fontSize: '16px',
+                color: '#1f2937',
+                textAlign: 'left',
+                cursor: exporting ? 'wait' : 'pointer',
+                marginTop: '8px'
+              }}
+            >
+              <Download size={18} color="#6b7280" />
+              <span style={{ flex: 1 }}>{exporting ? 'Preparing export…' : 'Export all data'}</span>
+              <span style={{ fontSize: '13px', color: '#9ca3af' }}>JSON, CSV, Markdown</span>
+            </button>
+            {exportError && (
+              <div style={{ fontSize: '13px', color: '#ff3b30', marginTop: '8px' }}>
+                {exportError}
+              </div>
+            )}
+          </div>
+
+          <ImportData />
+
           <div style={{
             marginTop: '32px',
             padding: '16px',
@@ -0,0 +1,449 @@
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { projectsAPI, areasAPI, tasksAPI } from '../services/api';
+import { Loader2, Plus, ChevronLeft, Pencil, Trash2, Check, Circle, BookOpen, Calendar, CheckSquare } from 'lucide-react';
+import { PROJECT_STATUSES, getProjectStatus } from '../utils/projects';
+import ProgressBar from '../components/ProgressBar';
+
+const cardStyle = {
+  background: 'rgba(255, 255, 255, 0.7)',
+  backdropFilter: 'blur(40px) saturate(180%)',
+  WebkitBackdropFilter: 'blur(40px) saturate(180%)',
+  borderRadius: '20px',
+  padding: '20px',
+  marginBottom: '16px',
+  boxShadow: '0 4px 12px rgba(0, 0, 0, 0.06), 0 1px 0 0 rgba(255, 255, 255, 0.5) inset',
+  border: '0.5px solid rgba(255, 255, 255, 0.8)'
+};
+
+const sectionLabelStyle = {
+  fontSize: '13px',
+  fontWeight: '600',
+  color: '#8e8e93',
+  marginBottom: '12px',
+  textTransform: 'uppercase',
+  letterSpacing: '0.5px',
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px'
+};
+
+const fieldStyle = {
+  padding: '8px 10px',
+  fontSize: '14px',
+  border: '0.5px solid rgba(0, 0, 0, 0.1)',
+  borderRadius: '10px',
+  background: 'rgba(255, 255, 255, 0.8)'
+};
+
+const rowStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '10px',
+  padding: '10px 0',
+  borderBottom: '0.5px solid rgba(0, 0, 0, 0.06)'
+};
+
+// Days from today to a YYYY-MM-DD date (negative when it has passed)
+const daysUntil = (date) => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return Math.round((new Date(`${date}T00:00:00`) - today) / (24 * 60 * 60 * 1000));
+};
+
+const describeTargetDate = (date) => {
+  const days = daysUntil(date);
+  if (days === 0) return 'Due today';
+  if (days > 0) return `${days} day${days === 1 ? '' : 's'} left`;
+  return `${-days} day${days === -1 ? '' : 's'} overdue`;
+};
+
+export default function ProjectDetail() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [project, setProject] = useState(null);
+  const [tasks, setTasks] = useState([]);
+  const [areas, setAreas] = useState([]);
+  const [description, setDescription] = useState('');
+  const [newTaskTitle, setNewTaskTitle] = useState('');
+  const [addingTask, setAddingTask] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setLoading(true);
+    loadProject();
+  }, [id]);
+
+  const loadProject = async () => {
+    try {
+      setError('');
+      const [projectResponse, tasks, areasResponse] = await Promise.all([
+        projectsAPI.get(id),
+        tasksAPI.getAllPages({ project_id: id, sort: 'eisenhower' }),
+        areasAPI.getAll()
+      ]);
+      setProject(projectResponse.data.project);
+      setDescription(projectResponse.data.project.description || '');
+      setTasks(tasks);
+      setAreas(areasResponse.data.areas);
+    } catch (error) {
+      setError(error.response?.status === 404 ? 'Project not found' : 'Failed to load project');
+      console.error('Load project error:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateProject = async (changes) => {
+    setError('');
+    try {
+      const response = await projectsAPI.update(project.id, changes);
+      setProject(prev => ({ ...prev, ...response.data.project }));
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to update project');
+    }
+  };
+
+  const handleRename = () => {
+    const name = prompt('Project name', project.name);
+    if (name?.trim() && name.trim() !== project.name) {
+      updateProject({ name: name.trim() });
+    }
+  };
+
+  const handleSaveDescription = () => {
+    if (description.trim() !== (project.description || '')) {
+      updateProject({ description: description.trim() || null });
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!confirm(`Delete the project "${project.name}"? Its tasks and memos are kept.`)) return;
+
+    try {
+      await projectsAPI.delete(project.id);
+      navigate('/projects');
+    } catch (error) {
+      setError('Failed to delete project');
+    }
+  };
+
+  const handleAddTask = async (e) => {
+    e.preventDefault();
+    if (!newTaskTitle.trim()) return;
+
+    setAddingTask(true);
+    try {
+      await tasksAPI.create({ title: newTaskTitle.trim(), project_id: project.id });
+      setNewTaskTitle('');
+      await loadProject();
+    } catch (error) {
+      setError('Failed to add task');
+    } finally {
+      setAddingTask(false);
+    }
+  };
+
+  const handleToggleTask = async (task) => {
+    setError('');
+    try {
+      await tasksAPI.toggle(task.id);
+      await loadProject(); // Progress changes with every completed task
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to update task');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div style={{ textAlign: 'center', padding: '60px 20px', color: '#8e8e93', fontSize: '15px' }}>
+        <Loader2 size={24} className="spin" style={{ marginBottom: '12px' }} />
+        <div>Loading project...</div>
+        <style>{`
+          .spin { animation: spin 1s linear infinite; }
+          @keyframes spin { from { transform: rotate(0deg); } to { transform: rotate(360deg); } }
+        `}</style>
+      </div>
+    );
+  }
+
+  if (!project) {
+    return (
+      <div style={{ textAlign: 'center', padding: '60px 20px', color: '#8e8e93' }}>
+        <p style={{ fontSize: '17px', marginBottom: '12px', fontWeight: '600', color: '#1a1a1a' }}>
+          {error || 'Project not found'}
+        </p>
+        <Link to="/projects" style={{ fontSize: '14px', color: '#667eea', fontWeight: '600' }}>
+          Back to projects
+        </Link>
+      </div>
+    );
+  }
+
+  const status = getProjectStatus(project.status);
+  const openTasks = tasks.filter(t => t.completed !== 1);
+  const doneTasks = tasks.filter(t => t.completed === 1);
+
+  const renderTask = (task) => (
+    <div key={task.id} style={rowStyle}>
+      <button
+        onClick={() => handleToggleTask(task)}
+        style={{ background: 'none', border: 'none', padding: 0, cursor: 'pointer', display: 'flex' }}
+        title={task.completed === 1 ? 'Mark as not done' : 'Mark as done'}
+      >
+        {task.completed === 1
+          ? <Check size={20} color="#34c759" />
+          : <Circle size={20} color="#c7c7cc" />}
+      </button>
+      <Link
+        to={`/tasks?task=${task.id}`}
+        style={{
+          flex: 1,
+          fontSize: '15px',
+          color: task.completed === 1 ? '#8e8e93' : '#1a1a1a',
+          textDecoration: task.completed === 1 ? 'line-through' : 'none'
+        }}
+      >
+        {task.title}
+      </Link>
+      {task.deadline && (
+        <span style={{ fontSize: '12px', color: '#8e8e93', display: 'flex', alignItems: 'center', gap: '4px' }}>
+          <Calendar size={12} />
+          {new Date(task.deadline).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
+        </span>
+      )}
+    </div>
+  );
+
+  return (
+    <div style={{
+      minHeight: '100%',
+      background: '#f5f7fa',
+      padding: '16px'
+    }}>
+      <div style={{ maxWidth: '900px', margin: '0 auto' }}>
+
+        {/* Error Message */}
+        {error && (
+          <div style={{
+            background: 'rgba(255, 59, 48, 0.1)',
+            backdropFilter: 'blur(20px) saturate(180%)',
+            WebkitBackdropFilter: 'blur(20px) saturate(180%)',
+            border: '0.5px solid rgba(255, 59, 48, 0.2)',
+            color: '#ff3b30',
+            padding: '14px 16px',
+            borderRadius: '16px',
+            marginBottom: '16px',
+            fontSize: '14px',
+            fontWeight: '500'
+          }}>
+            {error}
+          </div>
+        )}
+
+        <Link
+          to="/projects"
+          style={{
+            display: 'inline-flex',
+            alignItems: 'center',
+            gap: '4px',
+            fontSize: '14px',
+            fontWeight: '600',
+            color: '#667eea',
+            textDecoration: 'none',
+            marginBottom: '12px'
+          }}
+        >
+          <ChevronLeft size={16} />
+          Projects
+        </Link>
+
+        {/* Header */}
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '20px' }}>
+          <h1 style={{
+            flex: 1,
+            fontSize: '28px',
+            fontWeight: '700',
+            color: '#1a1a1a',
+            margin: 0,
+            letterSpacing: '-0.5px'
+          }}>
+            {project.name}
+          </h1>
+          <button
+            onClick={handleRename}
+            title="Rename project"
+            style={{ background: 'none', border: 'none', padding: '4px', cursor: 'pointer', display: 'flex' }}
+          >
+            <Pencil size={18} color="#8e8e93" />
+          </button>
+          <button
+            onClick={handleDelete}
+            title="Delete project"
+            style={{ background: 'none', border: 'none', padding: '4px', cursor: 'pointer', display: 'flex' }}
+          >
+            <Trash2 size={18} color="#ff3b30" />
+          </button>
+        </div>
+
+        {/* Progress & settings */}
+        <div style={cardStyle}>
+          <div style={{ display: 'flex', alignItems: 'baseline', justifyContent: 'space-between', marginBottom: '8px' }}>
+            <span style={{ fontSize: '24px', fontWeight: '700', color: status.color }}>
+              {project.progress === null ? '–' : `${project.progress}%`}
+            </span>
+            <span style={{ fontSize: '13px', color: '#8e8e93' }}>
+              {project.completed_task_count} of {project.task_count} tasks done
+            </span>
+          </div>
+          <ProgressBar progress={project.progress} color={status.color} height={8} />
+
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginTop: '16px' }}>
+            <select
+              value={project.status}
+              onChange={(e) => updateProject({ status: e.target.value })}
+              style={{ ...fieldStyle, color: status.color, fontWeight: '600' }}
+            >
+              {PROJECT_STATUSES.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <select
+              value={project.area_id || ''}
+              onChange={(e) => updateProject({ area_id: e.target.value ? Number(e.target.value) : null })}
+              style={fieldStyle}
+            >
+              <option value="">No area</option>
+              {areas.map(area => (
+                <option key={area.id} value={area.id}>{area.name}</option>
+              ))}
+            </select>
+            <input
+              type="date"
+              value={project.target_date || ''}
+              onChange={(e) => updateProject({ target_date: e.target.value || null })}
+              title="Target date"
+              style={fieldStyle}
+            />
+            {project.target_date && project.status !== 'completed' && (
+              <span style={{
+                alignSelf: 'center',
+                fontSize: '13px',
+                fontWeight: '600',
+                color: daysUntil(project.target_date) < 0 ? '#ff3b30' : '#8e8e93'
+              }}>
+                {describeTargetDate(project.target_date)}
+              </span>
+            )}
+          </div>
+
+          <textarea
+            value={description}
+            placeholder="What is this project about? What does done look like?"
+            onChange={(e) => setDescription(e.target.value)}
+            onBlur={handleSaveDescription}
+            maxLength={2000}
+            style={{
+              ...fieldStyle,
+              width: '100%',
+              marginTop: '12px',
+              minHeight: '70px',
+              resize: 'vertical',
+              fontFamily: 'inherit',
+              lineHeight: '1.5',
+              boxSizing: 'border-box'
+            }}
+          />
+        </div>
+
+        {/* Tasks */}
+        <div style={cardStyle}>
+          <div style={sectionLabelStyle}>
+            <CheckSquare size={14} />
+            Tasks
+          </div>
+          <form onSubmit={handleAddTask} style={{ display: 'flex', gap: '8px', marginBottom: '4px' }}>
+            <input
+              type="text"
+              value={newTaskTitle}
+              placeholder="Add a task to this project"
+              onChange={(e) => setNewTaskTitle(e.target.value)}
+              style={{ ...fieldStyle, flex: 1, padding: '10px 12px', fontSize: '15px' }}
+            />
+            <button
+              type="submit"
+              disabled={addingTask || !newTaskTitle.trim()}
+              style={{
+                padding: '10px 12px',
+                background: newTaskTitle.trim() ? '#667eea' : 'rgba(0, 0, 0, 0.05)',
+                border: 'none',
+                borderRadius: '10px',
+                cursor: newTaskTitle.trim() ? 'pointer' : 'not-allowed',
+                display: 'flex',
+                alignItems: 'center'
+              }}
+            >
+              {addingTask
+                ? <Loader2 size={16} className="spin" color="white" />
+                : <Plus size={16} color={newTaskTitle.trim() ? 'white' : '#8e8e93'} />}
+            </button>
+          </form>
+          {tasks.length === 0 ? (
+            <div style={{ fontSize: '13px', color: '#8e8e93', paddingTop: '12px' }}>
+              No tasks yet. Pick this project when adding or converting tasks.
+            </div>
+          ) : (
+            <>
+              {openTasks.map(renderTask)}
+              {doneTasks.map(renderTask)}
+            </>
+          )}
+        </div>
+
+        {/* Memos */}
+        <div style={cardStyle}>
+          <div style={sectionLabelStyle}>
+            <BookOpen size={14} />
+            Memos
+          </div>
+          {project.memos.length === 0 ? (
+            <div style={{ fontSize: '13px', color: '#8e8e93' }}>
+              No memos linked yet
+            </div>
+          ) : (
+            project.memos.map(memo => (
+              <Link
+                key={memo.id}
+                to={`/memos?memo=${memo.id}`}
+                style={{ ...rowStyle, display: 'block', textDecoration: 'none' }}
+              >
+                <div style={{ fontSize: '15px', fontWeight: '600', color: '#1a1a1a' }}>{memo.title}</div>
+                <div style={{
+                  fontSize: '13px',
+                  color: '#8e8e93',
+                  marginTop: '2px',
+                  overflow: 'hidden',
+                  textOverflow: 'ellipsis',
+                  whiteSpace: 'nowrap'
+                }}>
+                  {memo.content}
+                </div>
+              </Link>
+            ))
+          )}
+        </div>
+      </div>
+
+      <style>{`
+        .spin {
+          animation: spin 1s linear infinite;
+        }
+        @keyframes spin {
+          from { transform: rotate(0deg); }
+          to { transform: rotate(360deg); }
+        }
+      `}</style>
+    </div>
+  );
+}
@@ -0,0 +1,424 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { projectsAPI, areasAPI } from '../services/api';
+import { Loader2, Plus, Folder, FolderPlus, Pencil, Trash2, Calendar, BookOpen, ChevronRight } from 'lucide-react';
+import { PROJECT_STATUSES, getProjectStatus } from '../utils/projects';
+import ProgressBar from '../components/ProgressBar';
+
+// Which projects the list shows
+const STATUS_FILTERS = [
+  { value: 'active,on_hold', label: 'Open' },
+  { value: 'completed', label: 'Completed' },
+  { value: 'archived', label: 'Archived' },
+  { value: '', label: 'All' }
+];
+
+const cardStyle = {
+  background: 'rgba(255, 255, 255, 0.7)',
+  backdropFilter: 'blur(40px) saturate(180%)',
+  WebkitBackdropFilter: 'blur(40px) saturate(180%)',
+  borderRadius: '20px',
+  padding: '20px',
+  marginBottom: '16px',
+  boxShadow: '0 4px 12px rgba(0, 0, 0, 0.06), 0 1px 0 0 rgba(255, 255, 255, 0.5) inset',
+  border: '0.5px solid rgba(255, 255, 255, 0.8)'
+};
+
+const sectionLabelStyle = {
+  fontSize: '13px',
+  fontWeight: '600',
+  color: '#8e8e93',
+  textTransform: 'uppercase',
+  letterSpacing: '0.5px'
+};
+
+const iconButtonStyle = {
+  background: 'none',
+  border: 'none',
+  padding: '4px',
+  cursor: 'pointer',
+  display: 'flex',
+  alignItems: 'center'
+};
+
+const formatDate = (value) => new Date(`${value}T00:00:00`).toLocaleDateString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric'
+});
+
+export default function Projects() {
+  const navigate = useNavigate();
+  const [projects, setProjects] = useState([]);
+  const [areas, setAreas] = useState([]);
+  const [statusFilter, setStatusFilter] = useState(STATUS_FILTERS[0].value);
+  const [newName, setNewName] = useState('');
+  const [newAreaId, setNewAreaId] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadProjects();
+  }, [statusFilter]);
+
+  const loadProjects = async () => {
+    try {
+      setError('');
+      const [projectsResponse, areasResponse] = await Promise.all([
+        projectsAPI.getAll(statusFilter ? { status: statusFilter } : {}),
+        areasAPI.getAll()
+      ]);
+      setProjects(projectsResponse.data.projects);
+      setAreas(areasResponse.data.areas);
+    } catch (error) {
+      setError('Failed to load projects');
+      console.error('Load projects error:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+
+    setCreating(true);
+    setError('');
+    try {
+      const response = await projectsAPI.create({
+        name: newName.trim(),
+        area_id: newAreaId ? Number(newAreaId) : null
+      });
+      navigate(`/projects/${response.data.project.id}`);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to create project');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleAddArea = async () => {
+    const name = prompt('Area name (e.g. Work, Home)');
+    if (!name?.trim()) return;
+
+    setError('');
+    try {
+      await areasAPI.create(name.trim());
+      await loadProjects();
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to create area');
+    }
+  };
+
+  const handleRenameArea = async (area) => {
+    const name = prompt('Rename area', area.name);
+    if (!name?.trim() || name.trim() === area.name) return;
+
+    setError('');
+    try {
+      await areasAPI.rename(area.id, name.trim());
+      await loadProjects();
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to rename area');
+    }
+  };
+
+  const handleDeleteArea = async (area) => {
+    if (!confirm(`Delete the area "${area.name}"? Its projects are kept.`)) return;
+
+    setError('');
+    try {
+      await areasAPI.delete(area.id);
+      await loadProjects();
+    } catch (error) {
+      setError('Failed to delete area');
+    }
+  };
+
+  // Areas in name order, then projects without an area
+  const groups = [
+    ...areas.map(area => ({ area, projects: projects.filter(p => p.area_id === area.id) })),
+    { area: null, projects: projects.filter(p => !p.area_id) }
+  ].filter(group => group.area || group.projects.length > 0);
+
+  const renderProject = (project) => {
+    const status = getProjectStatus(project.status);
+
+    return (
+      <div
+        key={project.id}
+        onClick={() => navigate(`/projects/${project.id}`)}
+        style={{
+          padding: '14px 0',
+          borderBottom: '0.5px solid rgba(0, 0, 0, 0.06)',
+          cursor: 'pointer'
+        }}
+      >
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '8px' }}>
+          <span style={{ flex: 1, fontSize: '16px', fontWeight: '600', color: '#1a1a1a' }}>
+            {project.name}
+          </span>
+          {project.status !== 'active' && (
+            <span style={{
+              padding: '2px 8px',
+              borderRadius: '6px',
+              fontSize: '11px',
+              fontWeight: '600',
+              background: `${status.color}20`,
+              color: status.color
+            }}>
+              {status.label}
+            </span>
+          )}
+          <ChevronRight size={16} color="#c7c7cc" />
+        </div>
+        <ProgressBar progress={project.progress} color={status.color} />
+        <div style={{ display: 'flex', gap: '12px', marginTop: '8px', fontSize: '12px', color: '#8e8e93' }}>
+          <span>
+            {project.task_count > 0
+              ? `${project.completed_task_count}/${project.task_count} tasks · ${project.progress}%`
+              : 'No tasks yet'}
+          </span>
+          {project.memo_count > 0 && (
+            <span style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+              <BookOpen size={12} />
+              {project.memo_count}
+            </span>
+          )}
+          {project.target_date && (
+            <span style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+              <Calendar size={12} />
+              {formatDate(project.target_date)}
+            </span>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div style={{
+      minHeight: '100%',
+      background: '#f5f7fa',
+      padding: '16px'
+    }}>
+      <div style={{ maxWidth: '900px', margin: '0 auto' }}>
+
+        {/* Error Message */}
+        {error && (
+          <div style={{
+            background: 'rgba(255, 59, 48, 0.1)',
+            backdropFilter: 'blur(20px) saturate(180%)',
+            WebkitBackdropFilter: 'blur(20px) saturate(180%)',
+            border: '0.5px solid rgba(255, 59, 48, 0.2)',
+            color: '#ff3b30',
+            padding: '14px 16px',
+            borderRadius: '16px',
+            marginBottom: '16px',
+            fontSize: '14px',
+            fontWeight: '500'
+          }}>
+            {error}
+          </div>
+        )}
+
+        {/* Header */}
+        <div style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: '20px',
+          gap: '12px'
+        }}>
+          <h1 style={{
+            fontSize: '28px',
+            fontWeight: '700',
+            color: '#1a1a1a',
+            margin: 0,
+            letterSpacing: '-0.5px'
+          }}>
+            Projects
+          </h1>
+          <button
+            onClick={handleAddArea}
+            style={{
+              padding: '8px 12px',
+              fontSize: '13px',
+              fontWeight: '600',
+              background: 'white',
+              color: '#667eea',
+              border: 'none',
+              borderRadius: '10px',
+              cursor: 'pointer',
+              boxShadow: '0 2px 4px rgba(0, 0, 0, 0.1)',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '6px'
+            }}
+          >
+            <FolderPlus size={14} />
+            New area
+          </button>
+        </div>
+
+        {/* New Project */}
+        <form onSubmit={handleCreate} style={{ ...cardStyle, display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+          <input
+            type="text"
+            value={newName}
+            maxLength={100}
+            placeholder="New project name"
+            onChange={(e) => setNewName(e.target.value)}
+            style={{
+              flex: '1 1 200px',
+              padding: '12px',
+              fontSize: '15px',
+              border: '0.5px solid rgba(0, 0, 0, 0.1)',
+              borderRadius: '12px',
+              background: 'rgba(255, 255, 255, 0.8)'
+            }}
+          />
+          {areas.length > 0 && (
+            <select
+              value={newAreaId}
+              onChange={(e) => setNewAreaId(e.target.value)}
+              style={{
+                padding: '12px',
+                fontSize: '14px',
+                border: '0.5px solid rgba(0, 0, 0, 0.1)',
+                borderRadius: '12px',
+                background: 'rgba(255, 255, 255, 0.8)'
+              }}
+            >
+              <option value="">No area</option>
+              {areas.map(area => (
+                <option key={area.id} value={area.id}>{area.name}</option>
+              ))}
+            </select>
+          )}
+          <button
+            type="submit"
+            disabled={creating || !newName.trim()}
+            style={{
+              padding: '12px 16px',
+              fontSize: '15px',
+              fontWeight: '600',
+              background: newName.trim() && !creating
+                ? 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)'
+                : 'rgba(0, 0, 0, 0.05)',
+              color: newName.trim() && !creating ? 'white' : '#8e8e93',
+              border: 'none',
+              borderRadius: '12px',
+              cursor: newName.trim() && !creating ? 'pointer' : 'not-allowed',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '6px'
+            }}
+          >
+            {creating ? <Loader2 size={16} className="spin" /> : <Plus size={16} />}
+            Add
+          </button>
+        </form>
+
+        {/* Status Filter */}
+        <div style={{ display: 'flex', gap: '6px', marginBottom: '16px', flexWrap: 'wrap' }}>
+          {STATUS_FILTERS.map(filter => (
+            <button
+              key={filter.label}
+              onClick={() => setStatusFilter(filter.value)}
+              style={{
+                padding: '6px 12px',
+                fontSize: '13px',
+                fontWeight: '600',
+                background: statusFilter === filter.value ? '#667eea' : 'white',
+                color: statusFilter === filter.value ? 'white' : '#6b7280',
+                border: 'none',
+                borderRadius: '10px',
+                cursor: 'pointer',
+                boxShadow: '0 2px 4px rgba(0, 0, 0, 0.06)'
+              }}
+            >
+              {filter.label}
+            </button>
+          ))}
+        </div>
+
+        {loading ? (
+          <div style={{
+            textAlign: 'center',
+            padding: '60px 20px',
+            color: '#8e8e93',
+            fontSize: '15px'
+          }}>
+            <Loader2 size={24} className="spin" style={{ marginBottom: '12px' }} />
+            <div>Loading projects...</div>
+          </div>
+        ) : groups.length === 0 ? (
+          <div style={{
+            textAlign: 'center',
+            padding: '60px 20px',
+            color: '#8e8e93'
+          }}>
+            <Folder size={32} color="#c7c7cc" style={{ marginBottom: '12px' }} />
+            <p style={{ fontSize: '17px', marginBottom: '8px', fontWeight: '600', color: '#1a1a1a' }}>
+              No projects here
+            </p>
+            <p style={{ fontSize: '14px' }}>
+              Projects collect the tasks and memos of one outcome
+            </p>
+          </div>
+        ) : (
+          groups.map(({ area, projects: areaProjects }) => (
+            <div key={area ? area.id : 'none'} style={cardStyle}>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                <span style={{ ...sectionLabelStyle, flex: 1 }}>
+                  {area ? area.name : 'No area'}
+                </span>
+                {area && (
+                  <>
+                    <button onClick={() => handleRenameArea(area)} title="Rename area" style={iconButtonStyle}>
+                      <Pencil size={14} color="#8e8e93" />
+                    </button>
+                    <button onClick={() => handleDeleteArea(area)} title="Delete area" style={iconButtonStyle}>
+                      <Trash2 size={14} color="#8e8e93" />
+                    </button>
+                  </>
+                )}
+              </div>
+              {areaProjects.length === 0 ? (
+                <div style={{ fontSize: '13px', color: '#8e8e93', paddingTop: '12px' }}>
+                  {statusFilter === STATUS_FILTERS[0].value ? 'No open projects' : 'No projects'}
+                </div>
+              ) : (
+                areaProjects.map(renderProject)
+              )}
+            </div>
+          ))
+        )}
+
+        {/* Status legend */}
+        {!loading && projects.length > 0 && (
+          <div style={{ display: 'flex', gap: '12px', justifyContent: 'center', fontSize: '12px', color: '#8e8e93' }}>
+            {PROJECT_STATUSES.map(status => (
+              <span key={status.value} style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+                <span style={{ width: '8px', height: '8px', borderRadius: '4px', background: status.color }} />
+                {status.label}
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <style>{`
+        .spin {
+          animation: spin 1s linear infinite;
+        }
+        @keyframes spin {
+          from { transform: rotate(0deg); }
+          to { transform: rotate(360deg); }
+        }
+      `}</style>
+    </div>
+  );
+}
@@ -0,0 +1,345 @@
+import { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { searchAPI, tagsAPI } from '../services/api';
+import { Search as SearchIcon, X, Loader2, CheckSquare, BookOpen, Inbox as InboxIcon, Check, Calendar } from 'lucide-react';
+
+// Kinds of results, in the order they are shown
+const RESULT_GROUPS = [
+  { type: 'task', key: 'tasks', label: 'Tasks', icon: CheckSquare, link: (result) => `/tasks?task=${result.id}` },
+  { type: 'memo', key: 'memos', label: 'Memos', icon: BookOpen, link: (result) => `/memos?memo=${result.id}` },
+  { type: 'inbox', key: 'inbox', label: 'Inbox', icon: InboxIcon, link: (result) => `/inbox?item=${result.id}` }
+];
+
+const filterChipStyle = (active) => ({
+  padding: '6px 12px',
+  fontSize: '13px',
+  fontWeight: '600',
+  borderRadius: '10px',
+  border: 'none',
+  cursor: 'pointer',
+  background: active ? '#667eea' : 'rgba(0, 0, 0, 0.05)',
+  color: active ? 'white' : '#6b7280'
+});
+
+const filterInputStyle = {
+  padding: '6px 10px',
+  fontSize: '13px',
+  border: '1px solid rgba(0, 0, 0, 0.1)',
+  borderRadius: '10px',
+  background: 'white',
+  color: '#1a1a1a'
+};
+
+// Characters the server escapes in search text
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'" };
+const unescape = (text) => text.replace(/&(amp|lt|gt|quot|#39);/g, (entity, name) => ENTITIES[name]);
+
+// Renders escaped search text with the server's <mark></mark> around matched words
+function Highlighted({ text }) {
+  return text.split(/(<mark>.*?<\/mark>)/g).map((part, index) =>
+    part.startsWith('<mark>') ? (
+      <mark key={index} style={{ background: 'rgba(102, 126, 234, 0.2)', color: 'inherit', borderRadius: '3px', padding: '0 1px' }}>
+        {unescape(part.slice('<mark>'.length, -'</mark>'.length))}
+      </mark>
+    ) : unescape(part)
+  );
+}
+
+export default function Search() {
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [query, setQuery] = useState(searchParams.get('q') || '');
+  const [types, setTypes] = useState(RESULT_GROUPS.map(group => group.type));
+  const [tagId, setTagId] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [tags, setTags] = useState([]);
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadTags();
+  }, []);
+
+  // Search as the user types; the query is kept in the URL so back returns to the results
+  useEffect(() => {
+    const text = query.trim();
+    setSearchParams(text ? { q: text } : {}, { replace: true });
+
+    if (!text || types.length === 0) {
+      setResults(null);
+      return;
+    }
+
+    const timeout = setTimeout(() => runSearch(text), 300);
+    return () => clearTimeout(timeout);
+  }, [query, types, tagId, from, to]);
+
+  const loadTags = async () => {
+    try {
+      const response = await tagsAPI.getAll();
+      setTags(response.data.tags || []);
+    } catch (error) {
+      console.error('Load tags error:', error);
+    }
+  };
+
+  const runSearch = async (text) => {
+    setLoading(true);
+    try {
+      setError('');
+      const params = { q: text, types: types.join(',') };
+      if (tagId) params.tags = tagId;
+      if (from) params.from = from;
+      if (to) params.to = to;
+
+      const response = await searchAPI.search(params);
+      setResults(response.data.results);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Search failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleType = (type) => {
+    setTypes(prev => (prev.includes(type) ? prev.filter(t => t !== type) : [...prev, type]));
+  };
+
+  const groups = results
+    ? RESULT_GROUPS.filter(group => results[group.key]?.total > 0)
+    : [];
+
+  return (
+    <div style={{
+      minHeight: '100%',
+      background: '#f5f7fa',
+      padding: '16px'
+    }}>
+      <div style={{ maxWidth: '900px', margin: '0 auto' }}>
+        <h1 style={{
+          fontSize: '28px',
+          fontWeight: '700',
+          color: '#1a1a1a',
+          margin: '0 0 20px 0',
+          letterSpacing: '-0.5px'
+        }}>
+          Search
+        </h1>
+
+        {/* Search Box */}
+        <div style={{
+          background: 'rgba(255, 255, 255, 0.7)',
+          backdropFilter: 'blur(40px) saturate(180%)',
+          WebkitBackdropFilter: 'blur(40px) saturate(180%)',
+          borderRadius: '20px',
+          padding: '12px 16px',
+          marginBottom: '12px',
+          boxShadow: '0 4px 12px rgba(0, 0, 0, 0.06), 0 1px 0 0 rgba(255, 255, 255, 0.5) inset',
+          border: '0.5px solid rgba(255, 255, 255, 0.8)',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '10px'
+        }}>
+          <SearchIcon size={18} color="#8e8e93" />
+          <input
+            type="search"
+            placeholder='Search tasks, memos and inbox... "exact phrase" works too'
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            style={{
+              flex: 1,
+              fontSize: '16px',
+              padding: '0',
+              border: 'none',
+              background: 'transparent',
+              outline: 'none',
+              color: '#1a1a1a'
+            }}
+          />
+          {loading && <Loader2 size={16} color="#8e8e93" className="spin" />}
+          {query && (
+            <button
+              onClick={() => setQuery('')}
+              style={{
+                background: 'none',
+                border: 'none',
+                padding: '0',
+                cursor: 'pointer',
+                display: 'flex',
+                alignItems: 'center'
+              }}
+            >
+              <X size={16} color="#8e8e93" />
+            </button>
+          )}
+        </div>
+
+        {/* Filters */}
+        <div style={{
+          display: 'flex',
+          flexWrap: 'wrap',
+          alignItems: 'center',
+          gap: '8px',
+          marginBottom: '20px'
+        }}>
+          {RESULT_GROUPS.map(group => (
+            <button
+              key={group.type}
+              onClick={() => toggleType(group.type)}
+              style={filterChipStyle(types.includes(group.type))}
+            >
+              {group.label}
+            </button>
+          ))}
+          <select
+            value={tagId}
+            onChange={(e) => setTagId(e.target.value)}
+            style={filterInputStyle}
+          >
+            <option value="">Any tag</option>
+            {tags.map(tag => (
+              <option key={tag.id} value={tag.id}>#{tag.name}</option>
+            ))}
+          </select>
+          <input
+            type="date"
+            value={from}
+            max={to || undefined}
+            onChange={(e) => setFrom(e.target.value)}
+            title="Created on or after"
+            style={filterInputStyle}
+          />
+          <span style={{ fontSize: '13px', color: '#8e8e93' }}>to</span>
+          <input
+            type="date"
+            value={to}
+            min={from || undefined}
+            onChange={(e) => setTo(e.target.value)}
+            title="Created on or before"
+            style={filterInputStyle}
+          />
+        </div>
+
+        {/* Error Message */}
+        {error && (
+          <div style={{
+            background: 'rgba(255, 59, 48, 0.1)',
+            border: '0.5px solid rgba(255, 59, 48, 0.2)',
+            color: '#ff3b30',
+            padding: '14px 16px',
+            borderRadius: '16px',
+            marginBottom: '16px',
+            fontSize: '14px',
+            fontWeight: '500'
+          }}>
+            {error}
+          </div>
+        )}
+
+        {/* Results */}
+        {results && groups.length === 0 && !loading && (
+          <div style={{
+            textAlign: 'center',
+            padding: '60px 20px',
+            color: '#8e8e93'
+          }}>
+            <SearchIcon size={48} style={{ marginBottom: '16px', opacity: 0.3 }} />
+            <p style={{ fontSize: '17px', marginBottom: '8px', fontWeight: '600', color: '#1a1a1a' }}>
+              Nothing found
+            </p>
+            <p style={{ fontSize: '14px' }}>
+              Try fewer words or remove some filters
+            </p>
+          </div>
+        )}
+
+        {groups.map(group => {
+          const { total, results: groupResults } = results[group.key];
+          const Icon = group.icon;
+
+          return (
+            <div key={group.key} style={{ marginBottom: '24px' }}>
+              <div style={{
+                fontSize: '13px',
+                fontWeight: '600',
+                color: '#8e8e93',
+                marginBottom: '8px',
+                textTransform: 'uppercase',
+                letterSpacing: '0.5px'
+              }}>
+                {group.label} · {total > groupResults.length ? `${groupResults.length} of ${total}` : total}
+              </div>
+
+              {groupResults.map(result => (
+                <div
+                  key={result.id}
+                  onClick={() => navigate(group.link(result))}
+                  style={{
+                    background: 'rgba(255, 255, 255, 0.7)',
+                    backdropFilter: 'blur(40px) saturate(180%)',
+                    WebkitBackdropFilter: 'blur(40px) saturate(180%)',
+                    borderRadius: '16px',
+                    padding: '14px 16px',
+                    marginBottom: '8px',
+                    boxShadow: '0 2px 8px rgba(0, 0, 0, 0.05)',
+                    border: '0.5px solid rgba(255, 255, 255, 0.8)',
+                    cursor: 'pointer',
+                    display: 'flex',
+                    gap: '12px',
+                    alignItems: 'flex-start'
+                  }}
+                >
+                  <Icon size={18} color="#667eea" style={{ flexShrink: 0, marginTop: '2px' }} />
+                  <div style={{ flex: 1, minWidth: 0 }}>
+                    {result.title_highlight !== undefined && (
+                      <div style={{
+                        fontSize: '15px',
+                        fontWeight: '600',
+                        color: result.completed ? '#8e8e93' : '#1a1a1a',
+                        textDecoration: result.completed ? 'line-through' : 'none'
+                      }}>
+                        <Highlighted text={result.title_highlight} />
+                      </div>
+                    )}
+                    {result.snippet && (
+                      <div style={{
+                        fontSize: '13px',
+                        color: '#6b7280',
+                        marginTop: result.title_highlight !== undefined ? '4px' : 0,
+                        lineHeight: '1.4'
+                      }}>
+                        <Highlighted text={result.snippet} />
+                      </div>
+                    )}
+                    <div style={{
+                      display: 'flex',
+                      gap: '10px',
+                      marginTop: '6px',
+                      fontSize: '12px',
+                      color: '#8e8e93'
+                    }}>
+                      {result.completed && (
+                        <span style={{ display: 'flex', alignItems: 'center', gap: '3px' }}>
+                          <Check size={12} /> Done
+                        </span>
+                      )}
+                      {result.deadline && (
+                        <span style={{ display: 'flex', alignItems: 'center', gap: '3px' }}>
+                          <Calendar size={12} /> Due {result.deadline.slice(0, 10)}
+                        </span>
+                      )}
+                      {result.status === 'delayed' && <span>Delayed</span>}
+                      <span>Created {result.created_at.slice(0, 10)}</span>
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
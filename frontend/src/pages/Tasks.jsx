@@ -1,25 +1,65 @@
 import { useState, useEffect, useRef } from 'react';
-import { tasksAPI } from '../services/api';
-import { Plus, Loader2, Trash2, Check, Circle, LayoutGrid, List, Tag, Calendar, AlertCircle, GitBranch, GripVertical, Timer, CalendarCheck, X } from 'lucide-react';
+import { useSearchParams, Link } from 'react-router-dom';
+import { tasksAPI, viewsAPI, statusesAPI } from '../services/api';
+import { Plus, Loader2, Trash2, Check, Circle, LayoutGrid, List, Tag, Calendar, AlertCircle, GitBranch, GripVertical, Timer, CalendarCheck, X, Search, Repeat, ChevronDown, ChevronRight, Lock, Link2, CheckSquare, Square, History, TrendingUp, LayoutTemplate, ListFilter, Pencil, Folder, Columns3, Settings2 } from 'lucide-react';
 import { useSwipeGesture } from '../hooks/useSwipeGesture';
 import PomodoroTimer from '../components/PomodoroTimer';
+import RecurrenceModal from '../components/RecurrenceModal';
+import DependencyModal from '../components/DependencyModal';
+import TaskDetailModal from '../components/TaskDetailModal';
+import TemplatePickerModal from '../components/TemplatePickerModal';
+import SavedViewModal from '../components/SavedViewModal';
+import KanbanBoard from '../components/KanbanBoard';
+import StatusManagerModal from '../components/StatusManagerModal';
+import BulkActionBar from '../components/BulkActionBar';
+import { describeRule } from '../utils/recurrence';
+import { getCascadePreferences } from '../utils/cascadePreferences';
+import { useLinkedItem } from '../hooks/useLinkedItem';
+import { notifySavedViewsChanged } from '../utils/savedViews';
+
+// Chips showing what the quick-add box read from the text
+const previewChipStyle = {
+  padding: '3px 8px',
+  borderRadius: '6px',
+  fontSize: '11px',
+  fontWeight: '600',
+  display: 'flex',
+  alignItems: 'center',
+  gap: '3px'
+};
 
 export default function Tasks() {
   const [tasks, setTasks] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [warning, setWarning] = useState('');
   const [newTaskTitle, setNewTaskTitle] = useState('');
   const [addingTask, setAddingTask] = useState(false);
-  const [viewMode, setViewMode] = useState('list'); // 'list' or 'matrix'
-  const [sortBy, setSortBy] = useState('eisenhower'); // 'eisenhower', 'urgency', 'importance'
+  const [quickAddPreview, setQuickAddPreview] = useState(null); // Fields the server read from the quick-add text
+  const [viewMode, setViewMode] = useState('list'); // 'list', 'matrix' or 'board'
+  const [sortBy, setSortBy] = useState('eisenhower'); // 'eisenhower', 'urgency', 'importance', 'deadline', 'manual'
+  const [searchQuery, setSearchQuery] = useState('');
   const [draggedTask, setDraggedTask] = useState(null);
   const [dropIndicator, setDropIndicator] = useState(null); // { taskId, position: 'above' | 'below' }
   const [pomodoroTask, setPomodoroTask] = useState(null); // Task for which pomodoro is open
+  const [recurrenceTask, setRecurrenceTask] = useState(null); // Task whose repeat rule is being edited
+  const [dependencyTask, setDependencyTask] = useState(null); // Task whose "blocked by" links are being edited
+  const [detailTask, setDetailTask] = useState(null); // Task shown with its change history
+  const [showTemplatePicker, setShowTemplatePicker] = useState(false);
+  const [statuses, setStatuses] = useState([]); // Board columns, loaded with the board
+  const [showStatusManager, setShowStatusManager] = useState(false);
+  const [expandedTaskIds, setExpandedTaskIds] = useState(new Set()); // Parents whose subtasks are shown
   const [hoveredTaskId, setHoveredTaskId] = useState(null); // Track which task is hovered for desktop controls
+  const [selectionMode, setSelectionMode] = useState(false);
+  const [selectedIds, setSelectedIds] = useState(new Set()); // Tasks picked in selection mode
+  const linkedTaskId = useLinkedItem('task', !loading); // Task opened from search
+  const [searchParams, setSearchParams] = useSearchParams();
+  const savedViewId = Number(searchParams.get('saved_view')) || null; // Saved view the list is showing
+  const [savedView, setSavedView] = useState(null);
+  const [viewEditor, setViewEditor] = useState(null); // 'new' or 'edit' while the saved view modal is open
   const inputRef = useRef(null);
 
   useEffect(() => {
-    loadTasks();
     // Removed auto-focus to prevent keyboard popup on mobile
 
     // Global drag cleanup handler - reset drag state if drag gets stuck
@@ -44,11 +84,69 @@ export default function Tasks() {
     };
   }, []);
 
+  // Reload whenever the sort, view mode or saved view changes; debounce typing in the search box
+  useEffect(() => {
+    const timeout = setTimeout(loadTasks, searchQuery && !savedViewId ? 300 : 0);
+    return () => clearTimeout(timeout);
+  }, [sortBy, searchQuery, savedViewId, viewMode]);
+
+  useEffect(() => {
+    if (viewMode === 'board') loadStatuses();
+  }, [viewMode]);
+
+  // Load the saved view picked in the layout; the list starts in its sort order
+  useEffect(() => {
+    if (!savedViewId) {
+      setSavedView(null);
+      return;
+    }
+
+    const loadSavedView = async () => {
+      try {
+        const response = await viewsAPI.get(savedViewId);
+        setSavedView(response.data.view);
+        setSortBy(response.data.view.sort);
+      } catch (error) {
+        setError('View not found');
+        closeSavedView();
+      }
+    };
+    loadSavedView();
+  }, [savedViewId]);
+
+  const closeSavedView = () => {
+    searchParams.delete('saved_view');
+    setSearchParams(searchParams);
+  };
+
+  // Open the details of a task linked from search
+  useEffect(() => {
+    if (!linkedTaskId) return;
+
+    const openLinkedTask = async () => {
+      try {
+        const response = await tasksAPI.getOne(linkedTaskId);
+        setDetailTask(response.data.task);
+      } catch (error) {
+        setError('Task not found');
+      }
+    };
+    openLinkedTask();
+  }, [linkedTaskId]);
+
   const loadTasks = async () => {
     try {
       setError('');
-      const response = await tasksAPI.getAll();
-      setTasks(response.data.tasks || []);
+      // The board keeps its own drag-and-drop order within each column
+      const params = viewMode === 'board' ? { sort: 'manual', view: 'board' } : { sort: sortBy };
+      if (savedViewId) {
+        params.saved_view = savedViewId;
+      } else if (searchQuery.trim()) {
+        params.q = searchQuery.trim();
+      }
+      const allTasks = await tasksAPI.getAllPages(params);
+      setTasks(allTasks);
+      notifySavedViewsChanged(); // Task changes reload the list, so view counts follow
     } catch (error) {
       setError('Failed to load tasks');
     } finally {
@@ -56,6 +154,51 @@ export default function Tasks() {
     }
   };
 
+  const loadStatuses = async () => {
+    try {
+      const response = await statusesAPI.getAll();
+      setStatuses(response.data.statuses);
+    } catch (error) {
+      setError('Failed to load board columns');
+    }
+  };
+
+  // A card was dropped on the board: moving into a done column completes the task
+  const handleMoveToStatus = async (task, status, neighbours) => {
+    setError('');
+    setTasks(prev => prev.map(t => (t.id === task.id ? { ...t, status_id: status.id } : t)));
+    try {
+      await tasksAPI.setStatus(task.id, { status_id: status.id, ...neighbours });
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to move task');
+    }
+    await loadTasks(); // Picks up the new order, completion and next occurrences
+  };
+
+  // Preview what the quick-add text will become while the user types
+  useEffect(() => {
+    const text = newTaskTitle.trim();
+    if (!text) {
+      setQuickAddPreview(null);
+      return;
+    }
+
+    let cancelled = false;
+    const timeout = setTimeout(async () => {
+      try {
+        const response = await tasksAPI.parse(text);
+        if (!cancelled) setQuickAddPreview(response.data.parsed);
+      } catch (error) {
+        if (!cancelled) setQuickAddPreview(null);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [newTaskTitle]);
+
   const handleAddTask = async (e) => {
     e.preventDefault();
 
@@ -67,16 +210,22 @@ export default function Tasks() {
     setError('');
 
     try {
+      // Parse again so the task matches the text as submitted, not a stale preview
+      const { parsed } = (await tasksAPI.parse(newTaskTitle.trim())).data;
       const response = await tasksAPI.create({
-        title: newTaskTitle,
+        title: parsed.title || newTaskTitle.trim(),
         description: '',
-        importance: 500000,
-        urgency: 500000
+        importance: parsed.importance ?? 500000,
+        urgency: parsed.urgency ?? 500000,
+        deadline: parsed.deadline || undefined,
+        planned_for_today: parsed.planned_for_today || undefined,
+        tags: parsed.tags
       });
 
       if (response.data.success) {
-        setTasks([response.data.task, ...tasks]);
         setNewTaskTitle('');
+        setQuickAddPreview(null);
+        await loadTasks(); // Reload so the new task lands in sorted position
 
         if (inputRef.current) {
           inputRef.current.focus();
@@ -91,26 +240,117 @@ export default function Tasks() {
 
   const handleToggleTask = async (id) => {
     try {
-      const response = await tasksAPI.toggle(id);
+      // Cascades set to "always" are applied by the server right away
+      const preferences = getCascadePreferences();
+      const cascade = [];
+      if (preferences.children === 'always') cascade.push('children');
+      if (preferences.parent === 'always') cascade.push('parent');
+
+      const response = await tasksAPI.toggle(id, { cascade });
 
       if (response.data.success) {
-        setTasks(
-          tasks.map((task) =>
-            task.id === id ? response.data.task : task
-          )
-        );
+        const { task, next_occurrence, cascaded_ids = [], cascade_offers = [], blocking_ids = [] } = response.data;
+        let needsReload = !!next_occurrence || cascaded_ids.length > 0 || blocking_ids.length > 0;
+
+        // Cascades set to "ask" come back as offers
+        for (const offer of cascade_offers) {
+          if (offer.type === 'complete_children' && preferences.children === 'ask' &&
+              confirm(`Also complete ${offer.count} open ${offer.count === 1 ? 'subtask' : 'subtasks'}?`)) {
+            await tasksAPI.completeSubtasks(offer.task_id);
+            needsReload = true;
+          }
+          if (offer.type === 'complete_parent' && preferences.parent === 'ask' &&
+              confirm(`All subtasks are done. Complete "${offer.title}" too?`)) {
+            await tasksAPI.toggle(offer.task_id);
+            needsReload = true;
+          }
+        }
+
+        if (needsReload) {
+          await loadTasks();
+        } else {
+          setTasks(tasks.map((t) => t.id === id ? { ...task, rollup: t.rollup } : t));
+        }
       }
     } catch (error) {
       setError('Failed to update task');
     }
   };
 
+  const toggleExpanded = (id) => {
+    setExpandedTaskIds(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  const exitSelectionMode = () => {
+    setSelectionMode(false);
+    setSelectedIds(new Set());
+  };
+
+  const handleBulkAction = async (action, params) => {
+    const ids = [...selectedIds];
+    if (action === 'delete' &&
+        !confirm(`Move ${ids.length} ${ids.length === 1 ? 'task' : 'tasks'} and their subtasks to the trash?`)) {
+      return;
+    }
+
+    try {
+      setError('');
+      const response = await tasksAPI.bulk(action, ids, params);
+
+      if (action === 'plan-today' && response.data.tasks.some(t => t.is_blocked === 1)) {
+        setWarning('Some of the planned tasks are blocked by unfinished tasks');
+      }
+      if (action === 'delete') {
+        exitSelectionMode();
+      }
+
+      await loadTasks();
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to update selected tasks');
+    }
+  };
+
+  const handleSaveRecurrence = async (task, rule) => {
+    try {
+      const response = await tasksAPI.update(task.id, { recurrence_rule: rule });
+      if (response.data.success) {
+        setTasks(tasks.map(t =>
+          t.id === task.id ? { ...t, recurrence_rule: response.data.task.recurrence_rule } : t
+        ));
+      }
+    } catch (error) {
+      setError('Failed to update repeat schedule');
+    }
+  };
+
   const handleDeleteTask = async (id) => {
     try {
       const response = await tasksAPI.delete(id);
 
       if (response.data.success) {
-        setTasks(tasks.filter((task) => task.id !== id));
+        // Subtasks go to the trash together with their parent
+        const deletedIds = new Set(response.data.deleted_ids || [id]);
+        setTasks(tasks.filter((task) => !deletedIds.has(task.id)));
       }
     } catch (error) {
       setError('Failed to delete task');
@@ -134,7 +374,7 @@ export default function Tasks() {
   };
 
   const handleDragOver = (e, task) => {
-    if (!draggedTask || task.id === draggedTask.id) {
+    if (!draggedTask || task.id === draggedTask.id || viewMode !== 'list' || sortBy !== 'manual') {
       return;
     }
 
@@ -171,8 +411,9 @@ export default function Tasks() {
     try {
       const response = await tasksAPI.update(draggedTask.id, newValues);
       if (response.data.success) {
+        // Auto urgency may keep the task higher than the quadrant's value
         setTasks(tasks.map(t =>
-          t.id === draggedTask.id ? { ...t, ...newValues } : t
+          t.id === draggedTask.id ? { ...t, ...response.data.task } : t
         ));
       }
     } catch (error) {
@@ -190,106 +431,35 @@ export default function Tasks() {
       return;
     }
 
-    const sortedTasks = incompleteTasks;
-    const targetIndex = sortedTasks.findIndex(t => t.id === targetTask.id);
-
-    if (targetIndex === -1) return;
-
-    // With 'below' only logic: always drop below the target task
-    const prevTask = targetTask;
-    const nextTask = sortedTasks[targetIndex + 1];
-
-    const MAX_VALUE = 1000000;
-    const MIN_VALUE = 0;
-    const REBALANCE_THRESHOLD = 1000;
+    // In the matrix a card counts as its quadrant
+    if (viewMode === 'matrix') {
+      await handleDropOnQuadrant(getEisenhowerQuadrant(targetTask));
+      return;
+    }
 
-    let newValues = {};
-    let tasksToUpdate = [];
+    // Only "My Order" can be rearranged; the other sorts are computed
+    if (sortBy !== 'manual') {
+      setDropIndicator(null);
+      setDraggedTask(null);
+      return;
+    }
 
-    if (sortBy === 'urgency') {
-      const prevUrgency = prevTask?.urgency ?? MAX_VALUE;
-      const nextUrgency = nextTask?.urgency ?? MIN_VALUE;
-      const gap = prevUrgency - nextUrgency;
+    // Always drop below the target task
+    const remainingTasks = incompleteTasks.filter(t => t.id !== draggedTask.id);
+    const targetIndex = remainingTasks.findIndex(t => t.id === targetTask.id);
 
-      if (gap < REBALANCE_THRESHOLD) {
-        // REBALANCE: Redistribute all tasks evenly
-        const tasksToRebalance = sortedTasks.slice();
-        const step = MAX_VALUE / (tasksToRebalance.length + 1);
+    if (targetIndex === -1) return;
 
-        tasksToUpdate = tasksToRebalance.map((t, idx) => ({
-          id: t.id,
-          urgency: Math.round(MAX_VALUE - (step * (idx + 1))),
-          importance: t.importance
-        }));
-      } else {
-        // Simple midpoint
-        newValues.urgency = Math.round((prevUrgency + nextUrgency) / 2);
-        newValues.importance = draggedTask.importance;
-      }
-    } else if (sortBy === 'importance') {
-      const prevImportance = prevTask?.importance ?? MAX_VALUE;
-      const nextImportance = nextTask?.importance ?? MIN_VALUE;
-      const gap = prevImportance - nextImportance;
-
-      if (gap < REBALANCE_THRESHOLD) {
-        const tasksToRebalance = sortedTasks.slice();
-        const step = MAX_VALUE / (tasksToRebalance.length + 1);
-
-        tasksToUpdate = tasksToRebalance.map((t, idx) => ({
-          id: t.id,
-          importance: Math.round(MAX_VALUE - (step * (idx + 1))),
-          urgency: t.urgency
-        }));
-      } else {
-        newValues.importance = Math.round((prevImportance + nextImportance) / 2);
-        newValues.urgency = draggedTask.urgency;
-      }
-    } else {
-      // Eisenhower - calculate position between neighbors
-      const prevImportance = prevTask?.importance ?? MAX_VALUE;
-      const nextImportance = nextTask?.importance ?? MIN_VALUE;
-      const prevUrgency = prevTask?.urgency ?? MAX_VALUE;
-      const nextUrgency = nextTask?.urgency ?? MIN_VALUE;
-      const gapImportance = prevImportance - nextImportance;
-      const gapUrgency = prevUrgency - nextUrgency;
-
-      if (gapImportance < REBALANCE_THRESHOLD || gapUrgency < REBALANCE_THRESHOLD) {
-        const tasksToRebalance = sortedTasks.slice();
-        const step = MAX_VALUE / (tasksToRebalance.length + 1);
-
-        tasksToUpdate = tasksToRebalance.map((t, idx) => ({
-          id: t.id,
-          importance: Math.round(MAX_VALUE - (step * (idx + 1))),
-          urgency: Math.round(MAX_VALUE - (step * (idx + 1)))
-        }));
-      } else {
-        newValues.importance = Math.round((prevImportance + nextImportance) / 2);
-        newValues.urgency = Math.round((prevUrgency + nextUrgency) / 2);
-      }
-    }
+    const nextTask = remainingTasks[targetIndex + 1];
 
     try {
-      if (tasksToUpdate.length > 0) {
-        // Rebalancing mode: update multiple tasks
-        const promises = tasksToUpdate.map(update =>
-          tasksAPI.update(update.id, { importance: update.importance, urgency: update.urgency })
-        );
-        await Promise.all(promises);
-
-        // Update state with all new values
-        setTasks(tasks.map(t => {
-          const update = tasksToUpdate.find(u => u.id === t.id);
-          return update ? { ...t, importance: update.importance, urgency: update.urgency } : t;
-        }));
-      } else {
-        // Single task update
-        const response = await tasksAPI.update(draggedTask.id, newValues);
-        if (response.data.success) {
-          setTasks(tasks.map(t =>
-            t.id === draggedTask.id ? { ...t, ...newValues } : t
-          ));
-        }
-      }
+      // Ranks are kept by the server, so reload to pick up the new positions
+      await tasksAPI.move(draggedTask.id, {
+        view: 'tasks',
+        after_id: targetTask.id,
+        before_id: nextTask ? nextTask.id : null
+      });
+      await loadTasks();
     } catch (error) {
       setError('Failed to reorder task');
     }
@@ -300,8 +470,8 @@ export default function Tasks() {
 
   // Eisenhower matrix logic (updated for 0-1,000,000 scale)
   const getEisenhowerQuadrant = (task) => {
-    const importance = task.importance || 500000;
-    const urgency = task.urgency || 500000;
+    const importance = task.importance ?? 500000;
+    const urgency = task.effective_urgency ?? task.urgency ?? 500000;
     const isImportant = importance >= 500000;
     const isUrgent = urgency >= 500000;
 
@@ -311,26 +481,6 @@ export default function Tasks() {
     return 4; // Eliminate
   };
 
-  const sortTasks = (taskList) => {
-    const incomplete = taskList.filter(t => t.completed !== 1);
-
-    if (sortBy === 'eisenhower') {
-      return incomplete.sort((a, b) => {
-        const quadA = getEisenhowerQuadrant(a);
-        const quadB = getEisenhowerQuadrant(b);
-        if (quadA !== quadB) return quadA - quadB;
-        // Within same quadrant, sort by urgency then importance
-        if ((b.urgency || 500000) !== (a.urgency || 500000)) return (b.urgency || 500000) - (a.urgency || 500000);
-        return (b.importance || 500000) - (a.importance || 500000);
-      });
-    } else if (sortBy === 'urgency') {
-      return incomplete.sort((a, b) => (b.urgency || 500000) - (a.urgency || 500000));
-    } else if (sortBy === 'importance') {
-      return incomplete.sort((a, b) => (b.importance || 500000) - (a.importance || 500000));
-    }
-    return incomplete;
-  };
-
   const getQuadrantTasks = (quadrant) => {
     return tasks.filter(t => t.completed !== 1 && getEisenhowerQuadrant(t) === quadrant);
   };
@@ -342,8 +492,40 @@ export default function Tasks() {
     4: { title: 'Eliminate', subtitle: 'Neither', color: '#8e8e93', bg: 'rgba(142, 142, 147, 0.1)' }
   };
 
+  // Tasks arrive already ordered by the server for the selected sort
+  const incompleteTasks = tasks.filter(t => t.completed !== 1);
   const completedTasks = tasks.filter(t => t.completed === 1);
-  const incompleteTasks = sortTasks(tasks);
+
+  // In the list view subtasks are nested under an open parent, so only
+  // tasks without a visible open parent start a tree
+  const incompleteIds = new Set(incompleteTasks.map(t => t.id));
+  const getSubtasks = (id) => tasks.filter(t => t.parent_task_id === id);
+  const rootTasks = incompleteTasks.filter(t => !incompleteIds.has(t.parent_task_id));
+  const completedRootTasks = completedTasks.filter(t => !incompleteIds.has(t.parent_task_id));
+
+  const renderTaskTree = (task, depth = 0) => {
+    const subtasks = expandedTaskIds.has(task.id) && depth < 10 ? getSubtasks(task.id) : [];
+
+    return (
+      <div key={task.id}>
+        <TaskCard
+          task={task}
+          showQuadrant={sortBy === 'eisenhower'}
+          allTasks={tasks}
+          nested={depth > 0}
+        />
+        {subtasks.length > 0 && (
+          <div style={{
+            marginLeft: '16px',
+            paddingLeft: '12px',
+            borderLeft: '2px solid rgba(102, 126, 234, 0.2)'
+          }}>
+            {subtasks.map(subtask => renderTaskTree(subtask, depth + 1))}
+          </div>
+        )}
+      </div>
+    );
+  };
 
   const getPriorityColor = (value) => {
     // Updated for 0-1,000,000 scale
@@ -353,33 +535,32 @@ export default function Tasks() {
     return '#8e8e93';
   };
 
-  const handlePomodoroComplete = async (task, pomodoroCount) => {
-    try {
-      const response = await tasksAPI.updatePomodoro(task.id, pomodoroCount);
-      if (response.data.success) {
-        setTasks(tasks.map(t =>
-          t.id === task.id ? { ...t, pomodoro_count: pomodoroCount } : t
-        ));
-      }
-    } catch (error) {
-      setError('Failed to update pomodoro count');
-    }
+  // A pomodoro session ended: take over the task's new count and time spent
+  const handlePomodoroSessionEnd = (updatedTask) => {
+    setTasks(prevTasks => prevTasks.map(t =>
+      t.id === updatedTask.id
+        ? { ...t, pomodoro_count: updatedTask.pomodoro_count, time_spent_minutes: updatedTask.time_spent_minutes }
+        : t
+    ));
   };
 
   const handlePlanToday = async (id) => {
     try {
-      await tasksAPI.planToday(id);
+      const response = await tasksAPI.planToday(id);
+      setWarning(response.data.warning || ''); // e.g. planning a blocked task
       await loadTasks(); // Reload to update the UI
     } catch (error) {
       setError('Failed to plan task for today');
     }
   };
 
-  const TaskCard = ({ task, showQuadrant = false, allTasks = [] }) => {
-    // Find parent task if this is a subtask
-    const parentTask = task.parent_task_id
+  const TaskCard = ({ task, showQuadrant = false, allTasks = [], nested = false }) => {
+    // Find parent task if this is a subtask (not needed when shown under its parent)
+    const parentTask = task.parent_task_id && !nested
       ? allTasks.find(t => t.id === task.parent_task_id)
       : null;
+    const subtaskCount = task.rollup?.subtask_count || 0;
+    const isExpanded = expandedTaskIds.has(task.id);
 
     const [isDraggingCard, setIsDraggingCard] = useState(false);
 
@@ -393,8 +574,11 @@ export default function Tasks() {
     });
 
     const isHovered = hoveredTaskId === task.id;
+    const isSelected = selectionMode && selectedIds.has(task.id);
     const isDragging = draggedTask?.id === task.id;
     const showBelowIndicator = dropIndicator?.taskId === task.id && dropIndicator.position === 'below';
+    // Cards move between quadrants in the matrix, and reorder only in "My Order"
+    const canDrag = task.completed !== 1 && !selectionMode && (viewMode === 'matrix' || sortBy === 'manual');
 
     return (
     <div
@@ -424,7 +608,7 @@ export default function Tasks() {
       )}
 
       {/* Swipe action backgrounds - Gmail Style */}
-      {task.completed !== 1 && (
+      {task.completed !== 1 && !selectionMode && (
         <div style={{
           position: 'absolute',
           top: 0,
@@ -513,7 +697,8 @@ export default function Tasks() {
       )}
 
       <div
-        draggable={task.completed !== 1}
+        draggable={canDrag}
+        onClick={selectionMode ? () => toggleSelected(task.id) : undefined}
         onDragStart={(e) => {
           setIsDraggingCard(true);
           handleDragStart(e, task);
@@ -535,7 +720,7 @@ export default function Tasks() {
           e.dataTransfer.getData('text/plain');
           handleDrop(task);
         }}
-        {...(task.completed !== 1 && !isDraggingCard && !draggedTask ? handlers : {})}
+        {...(task.completed !== 1 && !isDraggingCard && !draggedTask && !selectionMode ? handlers : {})}
         style={{
           position: 'relative',
           background: task.completed === 1 ? 'rgba(255, 255, 255, 0.5)' : 'rgba(255, 255, 255, 0.7)',
@@ -545,9 +730,12 @@ export default function Tasks() {
           boxShadow: task.completed === 1
             ? '0 2px 8px rgba(0, 0, 0, 0.04), 0 1px 0 0 rgba(255, 255, 255, 0.5) inset'
             : '0 4px 12px rgba(0, 0, 0, 0.06), 0 1px 0 0 rgba(255, 255, 255, 0.5) inset',
-          border: '0.5px solid rgba(255, 255, 255, 0.8)',
-          opacity: isDragging ? 0.4 : (task.completed === 1 ? 0.7 : (task.planned_for_today ? 0.6 : 1)),
-          cursor: task.completed !== 1 ? 'grab' : 'default',
+          border: isSelected ? '0.5px solid #667eea' : '0.5px solid rgba(255, 255, 255, 0.8)',
+          outline: isSelected ? '2px solid #667eea' : 'none',
+          outlineOffset: '-2px',
+          opacity: isDragging ? 0.4 : (task.completed === 1 ? 0.7 : (task.is_blocked ? 0.5 : (task.planned_for_today ? 0.6 : 1))),
+          filter: task.is_blocked && task.completed !== 1 ? 'grayscale(60%)' : 'none',
+          cursor: selectionMode ? 'pointer' : (canDrag ? 'grab' : 'default'),
           transform: task.completed !== 1 ? `translateX(${swipeX}px)` : 'none',
           transition: (isSwiping || isDragging || isRevealed) ? 'none' : 'transform 0.3s cubic-bezier(0.4, 0, 0.2, 1)',
           touchAction: 'pan-y',
@@ -560,7 +748,15 @@ export default function Tasks() {
         gap: '12px',
         pointerEvents: draggedTask ? 'none' : 'auto'
       }}>
-        {/* Checkbox */}
+        {/* Selection checkbox (selection mode) */}
+        {selectionMode ? (
+          <div style={{ display: 'flex', flexShrink: 0, marginTop: '2px' }}>
+            {isSelected
+              ? <CheckSquare size={24} color="#667eea" strokeWidth={2.5} />
+              : <Square size={24} color="#8e8e93" strokeWidth={2} />}
+          </div>
+        ) : (
+        /* Checkbox */
         <button
           draggable={false}
           onDragStart={(e) => e.preventDefault()}
@@ -589,6 +785,7 @@ export default function Tasks() {
             <Circle size={16} color="#667eea" strokeWidth={2.5} />
           )}
         </button>
+        )}
 
         {/* Content */}
         <div style={{
@@ -640,31 +837,47 @@ export default function Tasks() {
               </span>
             )}
 
-            {/* Importance Badge */}
-            {task.importance !== undefined && task.importance !== null && (
+            {/* Blocked Badge */}
+            {task.is_blocked === 1 && task.completed !== 1 && (
               <span style={{
-                background: `${getPriorityColor(task.importance)}15`,
-                color: getPriorityColor(task.importance),
+                background: 'rgba(142, 142, 147, 0.15)',
+                color: '#636366',
                 padding: '3px 8px',
                 borderRadius: '6px',
                 fontSize: '11px',
-                fontWeight: '700',
+                fontWeight: '600',
                 display: 'flex',
                 alignItems: 'center',
-                gap: '3px',
-                textTransform: 'uppercase',
-                letterSpacing: '0.3px'
+                gap: '3px'
               }}>
-                <AlertCircle size={10} />
-                I: {Math.round(task.importance / 100000)}
+                <Lock size={10} />
+                Blocked
               </span>
             )}
 
-            {/* Urgency Badge */}
-            {task.urgency !== undefined && task.urgency !== null && (
+            {/* Recurrence Badge */}
+            {task.recurrence_rule && (
+              <span style={{
+                background: 'rgba(118, 75, 162, 0.1)',
+                color: '#764ba2',
+                padding: '3px 8px',
+                borderRadius: '6px',
+                fontSize: '11px',
+                fontWeight: '600',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '3px'
+              }}>
+                <Repeat size={10} />
+                {describeRule(task.recurrence_rule)}
+              </span>
+            )}
+
+            {/* Importance Badge */}
+            {task.importance !== undefined && task.importance !== null && (
               <span style={{
-                background: `${getPriorityColor(task.urgency)}15`,
-                color: getPriorityColor(task.urgency),
+                background: `${getPriorityColor(task.importance)}15`,
+                color: getPriorityColor(task.importance),
                 padding: '3px 8px',
                 borderRadius: '6px',
                 fontSize: '11px',
@@ -675,7 +888,31 @@ export default function Tasks() {
                 textTransform: 'uppercase',
                 letterSpacing: '0.3px'
               }}>
-                U: {Math.round(task.urgency / 100000)}
+                <AlertCircle size={10} />
+                I: {Math.round(task.importance / 100000)}
+              </span>
+            )}
+
+            {/* Urgency Badge (auto urgency shows the value its deadline gives it) */}
+            {task.urgency !== undefined && task.urgency !== null && (
+              <span
+                title={task.auto_urgency === 1 ? 'Rises as the deadline approaches' : undefined}
+                style={{
+                  background: `${getPriorityColor(task.effective_urgency ?? task.urgency)}15`,
+                  color: getPriorityColor(task.effective_urgency ?? task.urgency),
+                  padding: '3px 8px',
+                  borderRadius: '6px',
+                  fontSize: '11px',
+                  fontWeight: '700',
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '3px',
+                  textTransform: 'uppercase',
+                  letterSpacing: '0.3px'
+                }}
+              >
+                {task.auto_urgency === 1 && <TrendingUp size={10} />}
+                U: {Math.round((task.effective_urgency ?? task.urgency) / 100000)}
               </span>
             )}
 
@@ -782,8 +1019,38 @@ export default function Tasks() {
           </div>
         </div>
 
+        {/* Subtask progress / expand toggle */}
+        {subtaskCount > 0 && (
+          <button
+            draggable={false}
+            onDragStart={(e) => e.preventDefault()}
+            onClick={(e) => {
+              e.stopPropagation();
+              toggleExpanded(task.id);
+            }}
+            title={isExpanded ? 'Hide subtasks' : 'Show subtasks'}
+            style={{
+              background: 'rgba(102, 126, 234, 0.1)',
+              color: '#667eea',
+              border: 'none',
+              borderRadius: '8px',
+              padding: '4px 8px',
+              fontSize: '12px',
+              fontWeight: '600',
+              cursor: 'pointer',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '4px',
+              flexShrink: 0
+            }}
+          >
+            {isExpanded ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+            {task.rollup.completed_subtask_count}/{subtaskCount} · {task.rollup.completion_percentage}%
+          </button>
+        )}
+
         {/* Desktop Action Buttons - Show on hover */}
-        {task.completed !== 1 && isHovered && !isSwiping && (
+        {task.completed !== 1 && isHovered && !isSwiping && !selectionMode && (
           <div style={{
             position: 'absolute',
             right: '16px',
@@ -849,6 +1116,81 @@ export default function Tasks() {
               )}
             </button>
 
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                setDependencyTask(task);
+              }}
+              style={{
+                background: '#8e8e93',
+                border: 'none',
+                borderRadius: '12px',
+                padding: '10px',
+                cursor: 'pointer',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                color: 'white',
+                boxShadow: '0 2px 8px rgba(142, 142, 147, 0.3)',
+                transition: 'all 0.2s'
+              }}
+              onMouseEnter={(e) => e.target.style.transform = 'scale(1.05)'}
+              onMouseLeave={(e) => e.target.style.transform = 'scale(1)'}
+              title="Blocked by..."
+            >
+              <Link2 size={18} strokeWidth={2.5} />
+            </button>
+
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                setRecurrenceTask(task);
+              }}
+              style={{
+                background: '#764ba2',
+                border: 'none',
+                borderRadius: '12px',
+                padding: '10px',
+                cursor: 'pointer',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                color: 'white',
+                boxShadow: '0 2px 8px rgba(118, 75, 162, 0.3)',
+                transition: 'all 0.2s'
+              }}
+              onMouseEnter={(e) => e.target.style.transform = 'scale(1.05)'}
+              onMouseLeave={(e) => e.target.style.transform = 'scale(1)'}
+              title="Repeat"
+            >
+              <Repeat size={18} strokeWidth={2.5} />
+            </button>
+
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                setDetailTask(task);
+              }}
+              style={{
+                background: '#1a1a1a',
+                border: 'none',
+                borderRadius: '12px',
+                padding: '10px',
+                cursor: 'pointer',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                color: 'white',
+                boxShadow: '0 2px 8px rgba(0, 0, 0, 0.2)',
+                transition: 'all 0.2s'
+              }}
+              onMouseEnter={(e) => e.target.style.transform = 'scale(1.05)'}
+              onMouseLeave={(e) => e.target.style.transform = 'scale(1)'}
+              title="Details & history"
+            >
+              <History size={18} strokeWidth={2.5} />
+            </button>
+
             <button
               onClick={(e) => {
                 e.stopPropagation();
@@ -901,7 +1243,8 @@ export default function Tasks() {
     <div style={{
       minHeight: '100%',
       background: '#f5f7fa',
-      padding: '16px'
+      padding: '16px',
+      paddingBottom: selectionMode ? '200px' : '16px' // Keep the last cards clear of the bulk action bar
     }}>
       <div style={{ maxWidth: '900px', margin: '0 auto' }}>
 
@@ -923,6 +1266,34 @@ export default function Tasks() {
           </div>
         )}
 
+        {/* Warning Message */}
+        {warning && (
+          <div style={{
+            background: 'rgba(255, 149, 0, 0.1)',
+            backdropFilter: 'blur(20px) saturate(180%)',
+            WebkitBackdropFilter: 'blur(20px) saturate(180%)',
+            border: '0.5px solid rgba(255, 149, 0, 0.2)',
+            color: '#c93400',
+            padding: '14px 16px',
+            borderRadius: '16px',
+            marginBottom: '16px',
+            fontSize: '14px',
+            fontWeight: '500',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '8px'
+          }}>
+            <Lock size={16} />
+            <span style={{ flex: 1 }}>{warning}</span>
+            <button
+              onClick={() => setWarning('')}
+              style={{ background: 'none', border: 'none', padding: 0, cursor: 'pointer', display: 'flex' }}
+            >
+              <X size={16} color="#c93400" />
+            </button>
+          </div>
+        )}
+
         {/* Add Task Card - Glass Morphism */}
         <div style={{
           background: 'rgba(255, 255, 255, 0.7)',
@@ -938,7 +1309,7 @@ export default function Tasks() {
             <input
               ref={inputRef}
               type="text"
-              placeholder="What needs to be done?"
+              placeholder="What needs to be done? Try: Call Bob tomorrow 3pm #work"
               value={newTaskTitle}
               onChange={(e) => setNewTaskTitle(e.target.value)}
               disabled={addingTask}
@@ -957,6 +1328,52 @@ export default function Tasks() {
               onFocus={(e) => e.target.style.caretColor = '#667eea'}
             />
 
+            {/* Quick-add preview: what was read from #tags, dates, !urgent, ^important, >today */}
+            {quickAddPreview && (quickAddPreview.tags.length > 0 || quickAddPreview.deadline ||
+              quickAddPreview.planned_for_today || quickAddPreview.importance !== null || quickAddPreview.urgency !== null) && (
+              <div style={{
+                display: 'flex',
+                flexWrap: 'wrap',
+                alignItems: 'center',
+                gap: '6px',
+                marginTop: '-6px',
+                marginBottom: '14px',
+                fontSize: '12px'
+              }}>
+                <span style={{ color: '#1a1a1a', fontWeight: '600', marginRight: '2px' }}>
+                  {quickAddPreview.title || newTaskTitle.trim()}
+                </span>
+                {quickAddPreview.deadline && (
+                  <span style={{ ...previewChipStyle, background: 'rgba(255, 149, 0, 0.1)', color: '#ff9500' }}>
+                    <Calendar size={10} />
+                    Due {quickAddPreview.deadline.replace('T', ' ')}
+                  </span>
+                )}
+                {quickAddPreview.planned_for_today && (
+                  <span style={{ ...previewChipStyle, background: 'rgba(102, 126, 234, 0.1)', color: '#667eea' }}>
+                    <CalendarCheck size={10} />
+                    Planned {quickAddPreview.planned_for_today}
+                  </span>
+                )}
+                {quickAddPreview.importance !== null && (
+                  <span style={{ ...previewChipStyle, background: 'rgba(52, 199, 89, 0.1)', color: '#34c759' }}>
+                    Importance {Math.round(quickAddPreview.importance / 100000)}
+                  </span>
+                )}
+                {quickAddPreview.urgency !== null && (
+                  <span style={{ ...previewChipStyle, background: 'rgba(255, 59, 48, 0.1)', color: '#ff3b30' }}>
+                    Urgency {Math.round(quickAddPreview.urgency / 100000)}
+                  </span>
+                )}
+                {quickAddPreview.tags.map(tag => (
+                  <span key={tag} style={{ ...previewChipStyle, background: 'rgba(102, 126, 234, 0.1)', color: '#667eea' }}>
+                    <Tag size={10} />
+                    {tag}
+                  </span>
+                ))}
+              </div>
+            )}
+
             <button
               type="submit"
               disabled={addingTask || !newTaskTitle.trim()}
@@ -986,7 +1403,152 @@ export default function Tasks() {
               {addingTask ? 'Adding...' : 'Add Task'}
             </button>
           </form>
+
+          <div style={{ display: 'flex', gap: '20px', marginTop: '12px' }}>
+            <button
+              onClick={() => setShowTemplatePicker(true)}
+              style={{
+                padding: '0',
+                fontSize: '13px',
+                fontWeight: '600',
+                background: 'none',
+                color: '#667eea',
+                border: 'none',
+                cursor: 'pointer',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '6px'
+              }}
+            >
+              <LayoutTemplate size={14} />
+              From template
+            </button>
+            <Link
+              to="/projects"
+              style={{
+                fontSize: '13px',
+                fontWeight: '600',
+                color: '#667eea',
+                textDecoration: 'none',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '6px'
+              }}
+            >
+              <Folder size={14} />
+              Projects
+            </Link>
+          </div>
+        </div>
+
+        {/* Saved View */}
+        {savedViewId ? (
+        <div style={{
+          background: 'rgba(255, 255, 255, 0.7)',
+          backdropFilter: 'blur(40px) saturate(180%)',
+          WebkitBackdropFilter: 'blur(40px) saturate(180%)',
+          borderRadius: '20px',
+          padding: '10px 16px',
+          marginBottom: '16px',
+          boxShadow: '0 4px 12px rgba(0, 0, 0, 0.06), 0 1px 0 0 rgba(255, 255, 255, 0.5) inset',
+          border: '0.5px solid rgba(255, 255, 255, 0.8)',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '10px'
+        }}>
+          <ListFilter size={16} color="#667eea" />
+          <div style={{ flex: 1, fontSize: '15px', fontWeight: '600', color: '#1a1a1a', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+            {savedView ? savedView.name : 'Loading view...'}
+          </div>
+          {savedView && (
+            <span style={{ fontSize: '13px', fontWeight: '600', color: '#8e8e93' }}>
+              {tasks.length} {tasks.length === 1 ? 'task' : 'tasks'}
+            </span>
+          )}
+          <button
+            onClick={() => setViewEditor('edit')}
+            disabled={!savedView}
+            title="Edit view"
+            style={{ background: 'none', border: 'none', padding: '0', cursor: 'pointer', display: 'flex', alignItems: 'center' }}
+          >
+            <Pencil size={16} color="#667eea" />
+          </button>
+          <button
+            onClick={closeSavedView}
+            title="Show all tasks"
+            style={{ background: 'none', border: 'none', padding: '0', cursor: 'pointer', display: 'flex', alignItems: 'center' }}
+          >
+            <X size={16} color="#8e8e93" />
+          </button>
+        </div>
+        ) : (
+        /* Search */
+        <div style={{
+          background: 'rgba(255, 255, 255, 0.7)',
+          backdropFilter: 'blur(40px) saturate(180%)',
+          WebkitBackdropFilter: 'blur(40px) saturate(180%)',
+          borderRadius: '20px',
+          padding: '10px 16px',
+          marginBottom: '16px',
+          boxShadow: '0 4px 12px rgba(0, 0, 0, 0.06), 0 1px 0 0 rgba(255, 255, 255, 0.5) inset',
+          border: '0.5px solid rgba(255, 255, 255, 0.8)',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '10px'
+        }}>
+          <Search size={16} color="#8e8e93" />
+          <input
+            type="text"
+            placeholder="Search tasks..."
+            value={searchQuery}
+            onChange={(e) => setSearchQuery(e.target.value)}
+            style={{
+              flex: 1,
+              fontSize: '15px',
+              padding: '0',
+              border: 'none',
+              background: 'transparent',
+              outline: 'none',
+              color: '#1a1a1a'
+            }}
+          />
+          {searchQuery && (
+            <button
+              onClick={() => setSearchQuery('')}
+              style={{
+                background: 'none',
+                border: 'none',
+                padding: '0',
+                cursor: 'pointer',
+                display: 'flex',
+                alignItems: 'center'
+              }}
+            >
+              <X size={16} color="#8e8e93" />
+            </button>
+          )}
+          <button
+            onClick={() => setViewEditor('new')}
+            title="Save as a view"
+            style={{
+              background: 'none',
+              border: 'none',
+              padding: '0',
+              cursor: 'pointer',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '4px',
+              fontSize: '13px',
+              fontWeight: '600',
+              color: '#667eea',
+              whiteSpace: 'nowrap'
+            }}
+          >
+            <ListFilter size={14} />
+            Save view
+          </button>
         </div>
+        )}
 
         {/* View Controls */}
         {tasks.length > 0 && (
@@ -1049,8 +1611,56 @@ export default function Tasks() {
                 <LayoutGrid size={14} />
                 Matrix
               </button>
+              <button
+                onClick={() => {
+                  if (selectionMode) exitSelectionMode();
+                  setViewMode('board');
+                }}
+                style={{
+                  padding: '6px 12px',
+                  fontSize: '13px',
+                  fontWeight: '600',
+                  background: viewMode === 'board' ? 'white' : 'transparent',
+                  color: viewMode === 'board' ? '#667eea' : '#8e8e93',
+                  border: 'none',
+                  borderRadius: '8px',
+                  cursor: 'pointer',
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '4px',
+                  boxShadow: viewMode === 'board' ? '0 2px 4px rgba(0, 0, 0, 0.1)' : 'none',
+                  transition: 'all 0.2s'
+                }}
+              >
+                <Columns3 size={14} />
+                Board
+              </button>
             </div>
 
+            {/* Column editor (only in board view) */}
+            {viewMode === 'board' && (
+              <button
+                onClick={() => setShowStatusManager(true)}
+                style={{
+                  padding: '6px 12px',
+                  fontSize: '13px',
+                  fontWeight: '600',
+                  background: 'white',
+                  color: '#1a1a1a',
+                  border: 'none',
+                  borderRadius: '10px',
+                  cursor: 'pointer',
+                  boxShadow: '0 2px 4px rgba(0, 0, 0, 0.1)',
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '4px'
+                }}
+              >
+                <Settings2 size={14} />
+                Columns
+              </button>
+            )}
+
             {/* Sort Selector (only in list view) */}
             {viewMode === 'list' && (
               <select
@@ -1071,13 +1681,40 @@ export default function Tasks() {
                 <option value="eisenhower">Eisenhower Matrix</option>
                 <option value="urgency">By Urgency</option>
                 <option value="importance">By Importance</option>
+                <option value="deadline">By Deadline</option>
+                <option value="created">Newest First</option>
+                <option value="manual">My Order</option>
               </select>
             )}
 
             {/* Stats */}
-            <div style={{ display: 'flex', gap: '12px', fontSize: '13px', fontWeight: '600' }}>
+            <div style={{ display: 'flex', gap: '12px', fontSize: '13px', fontWeight: '600', alignItems: 'center' }}>
               <span style={{ color: '#667eea' }}>{incompleteTasks.length} To Do</span>
               <span style={{ color: '#34c759' }}>{completedTasks.length} Done</span>
+
+              {/* Multi-select toggle (cards on the board are dragged, not selected) */}
+              {viewMode !== 'board' && (
+                <button
+                  onClick={() => selectionMode ? exitSelectionMode() : setSelectionMode(true)}
+                  style={{
+                    padding: '6px 12px',
+                    fontSize: '13px',
+                    fontWeight: '600',
+                    background: selectionMode ? '#667eea' : 'white',
+                    color: selectionMode ? 'white' : '#1a1a1a',
+                    border: 'none',
+                    borderRadius: '10px',
+                    cursor: 'pointer',
+                    boxShadow: '0 2px 4px rgba(0, 0, 0, 0.1)',
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '4px'
+                  }}
+                >
+                  <CheckSquare size={14} />
+                  {selectionMode ? 'Done' : 'Select'}
+                </button>
+              )}
             </div>
           </div>
         )}
@@ -1101,12 +1738,19 @@ export default function Tasks() {
               color: '#8e8e93'
             }}>
               <p style={{ fontSize: '17px', marginBottom: '8px', fontWeight: '600', color: '#1a1a1a' }}>
-                No tasks yet
+                {savedViewId ? 'Nothing in this view' : searchQuery.trim() ? 'No matching tasks' : 'No tasks yet'}
               </p>
               <p style={{ fontSize: '14px' }}>
-                Add your first task above to get started
+                {savedViewId ? 'Tasks show up here when they match its filters' : searchQuery.trim() ? 'Try a different search' : 'Add your first task above to get started'}
               </p>
             </div>
+          ) : viewMode === 'board' ? (
+            <KanbanBoard
+              tasks={tasks}
+              statuses={statuses}
+              onMove={handleMoveToStatus}
+              onOpenTask={setDetailTask}
+            />
           ) : (
             <>
               {viewMode === 'list' ? (
@@ -1119,18 +1763,11 @@ export default function Tasks() {
                     }}
                     style={{ minHeight: '200px' }}
                   >
-                    {incompleteTasks.length > 0 && incompleteTasks.map((task) => (
-                      <TaskCard
-                        key={task.id}
-                        task={task}
-                        showQuadrant={sortBy === 'eisenhower'}
-                        allTasks={tasks}
-                      />
-                    ))}
+                    {rootTasks.map((task) => renderTaskTree(task))}
                   </div>
 
                   {/* Completed Tasks */}
-                  {completedTasks.length > 0 && (
+                  {completedRootTasks.length > 0 && (
                     <>
                       {incompleteTasks.length > 0 && (
                         <div style={{
@@ -1146,9 +1783,7 @@ export default function Tasks() {
                           Completed
                         </div>
                       )}
-                      {completedTasks.map((task) => (
-                        <TaskCard key={task.id} task={task} allTasks={tasks} />
-                      ))}
+                      {completedRootTasks.map((task) => renderTaskTree(task))}
                     </>
                   )}
                 </>
@@ -1244,16 +1879,98 @@ export default function Tasks() {
         </div>
       </div>
 
+      {/* Bulk actions for selected tasks */}
+      {selectionMode && (
+        <BulkActionBar
+          selectedTasks={tasks.filter(t => selectedIds.has(t.id))}
+          allTasks={tasks}
+          onAction={handleBulkAction}
+          onSelectAll={() => setSelectedIds(new Set(tasks.map(t => t.id)))}
+          onCancel={exitSelectionMode}
+        />
+      )}
+
       {/* Pomodoro Timer Modal */}
       {pomodoroTask && (
         <PomodoroTimer
           isOpen={!!pomodoroTask}
           onClose={() => setPomodoroTask(null)}
+          taskId={pomodoroTask.id}
           taskTitle={pomodoroTask.title}
-          onPomodoroComplete={(count) => handlePomodoroComplete(pomodoroTask, count)}
+          onSessionEnd={handlePomodoroSessionEnd}
         />
       )}
 
+      {/* Dependency Editor Modal */}
+      <DependencyModal
+        isOpen={!!dependencyTask}
+        onClose={() => setDependencyTask(null)}
+        task={dependencyTask}
+        allTasks={tasks}
+        onChange={(updated) => setTasks(prev => prev.map(t =>
+          t.id === updated.id ? { ...t, is_blocked: updated.is_blocked } : t
+        ))}
+      />
+
+      {/* Recurrence Editor Modal */}
+      <RecurrenceModal
+        isOpen={!!recurrenceTask}
+        onClose={() => setRecurrenceTask(null)}
+        task={recurrenceTask}
+        onSave={(rule) => handleSaveRecurrence(recurrenceTask, rule)}
+      />
+
+      {/* Task Details & History Modal */}
+      <TaskDetailModal
+        isOpen={!!detailTask}
+        onClose={() => setDetailTask(null)}
+        task={detailTask}
+        allTasks={tasks}
+        onChange={(updated) => {
+          setTasks(prev => prev.map(t => (t.id === updated.id ? { ...t, ...updated } : t)));
+          setDetailTask(prev => ({ ...prev, ...updated }));
+        }}
+      />
+
+      {/* Template Picker Modal */}
+      <TemplatePickerModal
+        isOpen={showTemplatePicker}
+        onClose={() => setShowTemplatePicker(false)}
+        onCreated={loadTasks}
+      />
+
+      {/* Board Column Editor */}
+      <StatusManagerModal
+        isOpen={showStatusManager}
+        onClose={() => setShowStatusManager(false)}
+        onChanged={() => {
+          loadStatuses();
+          loadTasks();
+        }}
+      />
+
+      {/* Saved View Editor */}
+      <SavedViewModal
+        isOpen={!!viewEditor}
+        onClose={() => setViewEditor(null)}
+        view={viewEditor === 'edit' ? savedView : null}
+        defaults={{ q: searchQuery.trim(), sort: sortBy }}
+        onSaved={(view) => {
+          if (view.id === savedViewId) {
+            setSavedView(view);
+            if (view.sort === sortBy) {
+              loadTasks();
+            } else {
+              setSortBy(view.sort); // Reloads through the sort effect
+            }
+          } else {
+            setSearchQuery('');
+            setSearchParams({ saved_view: view.id });
+          }
+        }}
+        onDeleted={closeSavedView}
+      />
+
       <style>{`
         .spin {
           animation: spin 1s linear infinite;
@@ -0,0 +1,354 @@
+import { useState, useEffect } from 'react';
+import { timeEntriesAPI, reportsAPI } from '../services/api';
+import { Loader2, Clock, ChevronLeft, ChevronRight, Tag, Target } from 'lucide-react';
+import { formatMinutes } from '../utils/time';
+
+// YYYY-MM-DD in the browser's timezone
+const toDateString = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+// Weeks of estimate history shown, ending with the viewed week
+const ESTIMATE_WEEKS = 12;
+
+// "1.25" -> "+25%": how far tracked time was off the estimate
+const formatRatio = (ratio) => {
+  if (ratio === null) return '–';
+  const percent = Math.round((ratio - 1) * 100);
+  return `${percent > 0 ? '+' : ''}${percent}%`;
+};
+
+const ratioColor = (ratio) => {
+  if (ratio === null) return '#8e8e93';
+  if (ratio > 1.2) return '#ff3b30';
+  if (ratio < 0.8) return '#ff9500';
+  return '#34c759';
+};
+
+// Weeks start on Monday
+const startOfWeek = (date) => {
+  const result = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  return addDays(result, -((result.getDay() + 6) % 7));
+};
+
+export default function Timesheet() {
+  const [weekStart, setWeekStart] = useState(() => startOfWeek(new Date()));
+  const [timesheet, setTimesheet] = useState(null);
+  const [estimates, setEstimates] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadTimesheet();
+  }, [weekStart]);
+
+  const loadTimesheet = async () => {
+    setLoading(true);
+    try {
+      setError('');
+      const weekEnd = toDateString(addDays(weekStart, 6));
+      const [timesheetResponse, estimatesResponse] = await Promise.all([
+        timeEntriesAPI.getTimesheet(toDateString(weekStart), weekEnd),
+        reportsAPI.getEstimates({
+          from: toDateString(addDays(weekStart, -7 * (ESTIMATE_WEEKS - 1))),
+          to: weekEnd,
+          period: 'week'
+        })
+      ]);
+      setTimesheet(timesheetResponse.data);
+      setEstimates(estimatesResponse.data);
+    } catch (error) {
+      setError('Failed to load timesheet');
+      console.error('Load timesheet error:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const weekDays = Array.from({ length: 7 }, (_, index) => addDays(weekStart, index));
+  const dayByDate = new Map((timesheet?.days || []).map(day => [day.date, day]));
+  const maxTagMinutes = Math.max(1, ...(timesheet?.tags || []).map(tag => tag.minutes));
+  const isCurrentWeek = toDateString(weekStart) === toDateString(startOfWeek(new Date()));
+
+  const navButtonStyle = {
+    background: 'white',
+    border: 'none',
+    borderRadius: '10px',
+    padding: '8px',
+    cursor: 'pointer',
+    display: 'flex',
+    boxShadow: '0 2px 4px rgba(0, 0, 0, 0.1)'
+  };
+
+  const cardStyle = {
+    background: 'rgba(255, 255, 255, 0.7)',
+    backdropFilter: 'blur(40px) saturate(180%)',
+    WebkitBackdropFilter: 'blur(40px) saturate(180%)',
+    borderRadius: '20px',
+    padding: '20px',
+    marginBottom: '16px',
+    boxShadow: '0 4px 12px rgba(0, 0, 0, 0.06), 0 1px 0 0 rgba(255, 255, 255, 0.5) inset',
+    border: '0.5px solid rgba(255, 255, 255, 0.8)'
+  };
+
+  const sectionLabelStyle = {
+    fontSize: '13px',
+    fontWeight: '600',
+    color: '#8e8e93',
+    marginBottom: '12px',
+    textTransform: 'uppercase',
+    letterSpacing: '0.5px'
+  };
+
+  const renderEstimateRow = (key, label, color, row) => (
+    <div
+      key={key}
+      style={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: '12px',
+        padding: '8px 0',
+        borderBottom: '0.5px solid rgba(0, 0, 0, 0.06)',
+        fontSize: '14px'
+      }}
+    >
+      <span style={{ flex: 1, fontWeight: '600', color }}>{label}</span>
+      <span style={{ color: '#8e8e93' }}>
+        {formatMinutes(row.estimated_minutes)} → {formatMinutes(row.actual_minutes)}
+      </span>
+      <span style={{ width: '56px', textAlign: 'right', fontWeight: '600', color: ratioColor(row.ratio) }}>
+        {formatRatio(row.ratio)}
+      </span>
+    </div>
+  );
+
+  return (
+    <div style={{
+      minHeight: '100%',
+      background: '#f5f7fa',
+      padding: '16px'
+    }}>
+      <div style={{ maxWidth: '900px', margin: '0 auto' }}>
+
+        {/* Error Message */}
+        {error && (
+          <div style={{
+            background: 'rgba(255, 59, 48, 0.1)',
+            backdropFilter: 'blur(20px) saturate(180%)',
+            WebkitBackdropFilter: 'blur(20px) saturate(180%)',
+            border: '0.5px solid rgba(255, 59, 48, 0.2)',
+            color: '#ff3b30',
+            padding: '14px 16px',
+            borderRadius: '16px',
+            marginBottom: '16px',
+            fontSize: '14px',
+            fontWeight: '500'
+          }}>
+            {error}
+          </div>
+        )}
+
+        {/* Header with week navigation */}
+        <div style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: '20px',
+          gap: '12px'
+        }}>
+          <h1 style={{
+            fontSize: '28px',
+            fontWeight: '700',
+            color: '#1a1a1a',
+            margin: 0,
+            letterSpacing: '-0.5px'
+          }}>
+            Timesheet
+          </h1>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+            <button onClick={() => setWeekStart(addDays(weekStart, -7))} style={navButtonStyle} title="Previous week">
+              <ChevronLeft size={18} color="#1a1a1a" />
+            </button>
+            <span style={{ fontSize: '14px', fontWeight: '600', color: '#1a1a1a', minWidth: '120px', textAlign: 'center' }}>
+              {weekStart.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
+              {' – '}
+              {addDays(weekStart, 6).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
+            </span>
+            <button
+              onClick={() => setWeekStart(addDays(weekStart, 7))}
+              disabled={isCurrentWeek}
+              style={{ ...navButtonStyle, opacity: isCurrentWeek ? 0.4 : 1, cursor: isCurrentWeek ? 'not-allowed' : 'pointer' }}
+              title="Next week"
+            >
+              <ChevronRight size={18} color="#1a1a1a" />
+            </button>
+          </div>
+        </div>
+
+        {loading ? (
+          <div style={{
+            textAlign: 'center',
+            padding: '60px 20px',
+            color: '#8e8e93',
+            fontSize: '15px'
+          }}>
+            <Loader2 size={24} className="spin" style={{ marginBottom: '12px' }} />
+            <div>Loading timesheet...</div>
+          </div>
+        ) : timesheet && (
+          <>
+            {/* Week total */}
+            <div style={{ ...cardStyle, display: 'flex', alignItems: 'center', gap: '16px' }}>
+              <div style={{
+                width: '48px',
+                height: '48px',
+                borderRadius: '14px',
+                background: 'rgba(102, 126, 234, 0.1)',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center'
+              }}>
+                <Clock size={24} color="#667eea" />
+              </div>
+              <div>
+                <div style={{ fontSize: '28px', fontWeight: '700', color: '#1a1a1a' }}>
+                  {formatMinutes(timesheet.total_minutes)}
+                </div>
+                <div style={{ fontSize: '13px', color: '#8e8e93' }}>tracked</div>
+              </div>
+            </div>
+
+            {/* Per day */}
+            <div style={cardStyle}>
+              <div style={sectionLabelStyle}>By day</div>
+              {weekDays.map(date => {
+                const day = dayByDate.get(toDateString(date));
+                return (
+                  <div
+                    key={toDateString(date)}
+                    style={{
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: '12px',
+                      padding: '10px 0',
+                      borderBottom: '0.5px solid rgba(0, 0, 0, 0.06)'
+                    }}
+                  >
+                    <div style={{ width: '90px', fontSize: '14px', fontWeight: '600', color: day ? '#1a1a1a' : '#8e8e93' }}>
+                      {date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}
+                    </div>
+                    <div style={{ flex: 1, display: 'flex', flexWrap: 'wrap', gap: '6px' }}>
+                      {day?.tags.map(tag => (
+                        <span
+                          key={tag.id ?? 'untagged'}
+                          style={{
+                            background: tag.id ? `${tag.color}15` : 'rgba(0, 0, 0, 0.05)',
+                            color: tag.id ? tag.color : '#8e8e93',
+                            padding: '3px 8px',
+                            borderRadius: '8px',
+                            fontSize: '12px',
+                            fontWeight: '600'
+                          }}
+                        >
+                          {tag.name || 'Untagged'} {formatMinutes(tag.minutes)}
+                        </span>
+                      ))}
+                    </div>
+                    <div style={{ fontSize: '15px', fontWeight: '600', color: day ? '#1a1a1a' : '#c7c7cc' }}>
+                      {formatMinutes(day?.total_minutes || 0)}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+
+            {/* Per tag */}
+            {timesheet.tags.length > 0 && (
+              <div style={cardStyle}>
+                <div style={sectionLabelStyle}>By tag</div>
+                {timesheet.tags.map(tag => (
+                  <div key={tag.id ?? 'untagged'} style={{ marginBottom: '12px' }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '14px', marginBottom: '4px' }}>
+                      <span style={{ display: 'flex', alignItems: 'center', gap: '6px', fontWeight: '600', color: tag.id ? tag.color : '#8e8e93' }}>
+                        <Tag size={12} />
+                        {tag.name || 'Untagged'}
+                      </span>
+                      <span style={{ fontWeight: '600', color: '#1a1a1a' }}>{formatMinutes(tag.minutes)}</span>
+                    </div>
+                    <div style={{ height: '6px', borderRadius: '3px', background: 'rgba(0, 0, 0, 0.05)' }}>
+                      <div style={{
+                        width: `${(tag.minutes / maxTagMinutes) * 100}%`,
+                        height: '100%',
+                        borderRadius: '3px',
+                        background: tag.id ? tag.color : '#8e8e93'
+                      }} />
+                    </div>
+                  </div>
+                ))}
+                <div style={{ fontSize: '12px', color: '#8e8e93' }}>
+                  Time on a task with several tags counts towards each of them.
+                </div>
+              </div>
+            )}
+
+            {/* Estimates vs tracked time */}
+            {estimates && estimates.totals.task_count > 0 && (
+              <div style={cardStyle}>
+                <div style={{ ...sectionLabelStyle, display: 'flex', justifyContent: 'space-between' }}>
+                  <span style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                    <Target size={13} />
+                    Estimates vs actual, last {ESTIMATE_WEEKS} weeks
+                  </span>
+                  <span style={{ color: ratioColor(estimates.totals.ratio) }}>
+                    {formatRatio(estimates.totals.ratio)}
+                  </span>
+                </div>
+                <div style={{ fontSize: '14px', color: '#1a1a1a', marginBottom: '16px' }}>
+                  {estimates.totals.task_count} completed {estimates.totals.task_count === 1 ? 'task' : 'tasks'}:
+                  {' '}{formatMinutes(estimates.totals.estimated_minutes)} estimated,
+                  {' '}{formatMinutes(estimates.totals.actual_minutes)} tracked
+                </div>
+
+                <div style={{ fontSize: '12px', fontWeight: '600', color: '#8e8e93' }}>By tag</div>
+                {estimates.tags.map(tag => renderEstimateRow(
+                  `tag-${tag.id ?? 'untagged'}`,
+                  tag.name || 'Untagged',
+                  tag.id ? tag.color : '#8e8e93',
+                  tag
+                ))}
+                <div style={{ fontSize: '12px', fontWeight: '600', color: '#8e8e93', marginTop: '16px' }}>By week</div>
+                {estimates.periods.map(period => renderEstimateRow(
+                  `week-${period.period}`,
+                  `Week of ${new Date(`${period.period}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`,
+                  '#1a1a1a',
+                  period
+                ))}
+                <div style={{ fontSize: '12px', color: '#8e8e93', marginTop: '8px' }}>
+                  Tasks count in the week they were completed. Above zero means more time than estimated.
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      <style>{`
+        .spin {
+          animation: spin 1s linear infinite;
+        }
+        @keyframes spin {
+          from { transform: rotate(0deg); }
+          to { transform: rotate(360deg); }
+        }
+      `}</style>
+    </div>
+  );
+}
@@ -1,7 +1,18 @@
 import { useState, useEffect, useRef } from 'react';
-import { tasksAPI } from '../services/api';
-import { Loader2, Check, Circle, CalendarCheck, Timer, Trash2, X, Clock, Tag, AlertCircle, ListX, ArchiveX } from 'lucide-react';
+import { Link } from 'react-router-dom';
+import { tasksAPI, settingsAPI, timeEntriesAPI, remindersAPI } from '../services/api';
+import { Loader2, Check, Circle, CalendarCheck, Timer, Trash2, X, Clock, Tag, AlertCircle, ListX, ArchiveX, Bell, CalendarDays } from 'lucide-react';
 import PomodoroTimer from '../components/PomodoroTimer';
+import { formatMinutes } from '../utils/time';
+
+// YYYY-MM-DD in local time, to match the server
+const getLocalDateString = () => {
+  const today = new Date();
+  const year = today.getFullYear();
+  const month = String(today.getMonth() + 1).padStart(2, '0');
+  const day = String(today.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
 
 export default function Today() {
   const [todayTasks, setTodayTasks] = useState([]);
@@ -13,39 +24,30 @@ export default function Today() {
   const [swipeOffset, setSwipeOffset] = useState(0);
   const [hoveredTaskId, setHoveredTaskId] = useState(null);
   const [pomodoroTask, setPomodoroTask] = useState(null);
+  const [draggedTaskId, setDraggedTaskId] = useState(null); // Today task being reordered
+  const [dropTargetId, setDropTargetId] = useState(null);
+  const [capacity, setCapacity] = useState(null); // { dailyMinutes, trackedMinutes }
+  const [sentReminders, setSentReminders] = useState([]); // Reminders emailed and not yet dismissed
   const startXRef = useRef(0);
   const currentXRef = useRef(0);
 
   useEffect(() => {
     loadTodayTasks();
+    loadCapacity();
+    loadReminders();
   }, []);
 
   const loadTodayTasks = async () => {
     try {
       setError('');
-      const response = await tasksAPI.getAll();
-      const allTasks = response.data.tasks || [];
-
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      // Use local date format instead of UTC to match server
-      const year = today.getFullYear();
-      const month = String(today.getMonth() + 1).padStart(2, '0');
-      const day = String(today.getDate()).padStart(2, '0');
-      const todayStr = `${year}-${month}-${day}`; // YYYY-MM-DD in local time
-
-      // Today section: tasks with planned_for_today = today AND not completed
-      const todayFiltered = allTasks.filter(task =>
-        task.completed !== 1 &&
-        task.planned_for_today === todayStr
-      );
-
-      // Leftovers section: tasks with planned_for_today < today AND not completed
-      const leftoversFiltered = allTasks.filter(task => {
-        if (task.completed === 1 || !task.planned_for_today) return false;
-        const plannedDate = new Date(task.planned_for_today + 'T00:00:00');
-        return plannedDate.getTime() < today.getTime();
-      });
+      const todayStr = getLocalDateString();
+
+      // Today section: incomplete tasks planned for today
+      // Leftovers section: incomplete tasks planned for an earlier day
+      const [todayFiltered, leftoversFiltered] = await Promise.all([
+        tasksAPI.getAllPages({ completed: false, planned_for: todayStr, sort: 'manual', view: 'today' }),
+        tasksAPI.getAllPages({ completed: false, planned_before: todayStr })
+      ]);
 
       setTodayTasks(todayFiltered);
       setLeftoverTasks(leftoversFiltered);
@@ -56,6 +58,59 @@ export default function Today() {
     }
   };
 
+  // Daily capacity and the time already tracked today
+  const loadCapacity = async () => {
+    try {
+      const todayStr = getLocalDateString();
+      const [settingsResponse, timesheetResponse] = await Promise.all([
+        settingsAPI.get(),
+        timeEntriesAPI.getTimesheet(todayStr, todayStr)
+      ]);
+      setCapacity({
+        dailyMinutes: settingsResponse.data.settings.daily_capacity_minutes,
+        trackedMinutes: timesheetResponse.data.total_minutes
+      });
+    } catch (error) {
+      console.error('Failed to load capacity:', error);
+    }
+  };
+
+  const loadReminders = async () => {
+    try {
+      const response = await remindersAPI.getAll('sent');
+      setSentReminders(response.data.reminders);
+    } catch (error) {
+      console.error('Failed to load reminders:', error);
+    }
+  };
+
+  // Snoozing (data: { minutes } or { until }) or dismissing takes the reminder off the list
+  const handleReminderAction = async (reminder, data) => {
+    try {
+      setError('');
+      if (data) {
+        await remindersAPI.snooze(reminder.id, data);
+      } else {
+        await remindersAPI.dismiss(reminder.id);
+      }
+      setSentReminders(sentReminders.filter(r => r.id !== reminder.id));
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to update reminder');
+    }
+  };
+
+  const tomorrowMorning = () => {
+    const date = new Date();
+    date.setDate(date.getDate() + 1);
+    date.setHours(9, 0, 0, 0);
+    return date.toISOString();
+  };
+
+  const handlePomodoroSessionEnd = () => {
+    loadTodayTasks();
+    loadCapacity();
+  };
+
   const handleToggleTask = async (id) => {
     try {
       const response = await tasksAPI.toggle(id);
@@ -63,6 +118,11 @@ export default function Today() {
         // Remove from both sections if completed
         setTodayTasks(todayTasks.filter(task => task.id !== id));
         setLeftoverTasks(leftoverTasks.filter(task => task.id !== id));
+
+        // The next occurrence of a recurring task may be planned for today
+        if (response.data.next_occurrence) {
+          await loadTodayTasks();
+        }
       }
     } catch (error) {
       setError('Failed to update task');
@@ -98,36 +158,15 @@ export default function Today() {
 
   const handleDeleteTask = async (id) => {
     try {
-      await tasksAPI.delete(id);
-      setTodayTasks(todayTasks.filter(task => task.id !== id));
-      setLeftoverTasks(leftoverTasks.filter(task => task.id !== id));
+      const response = await tasksAPI.delete(id);
+      const deletedIds = new Set(response.data.deleted_ids || [id]);
+      setTodayTasks(todayTasks.filter(task => !deletedIds.has(task.id)));
+      setLeftoverTasks(leftoverTasks.filter(task => !deletedIds.has(task.id)));
     } catch (error) {
       setError('Failed to delete task');
     }
   };
 
-  const handlePomodoroComplete = async (newCount) => {
-    if (pomodoroTask) {
-      try {
-        await tasksAPI.updatePomodoro(pomodoroTask.id, newCount);
-        await loadTodayTasks();
-      } catch (error) {
-        console.error('Failed to update pomodoro count:', error);
-      }
-    }
-  };
-
-  const handleAddTime = async (minutes) => {
-    if (pomodoroTask && minutes > 0) {
-      try {
-        await tasksAPI.addTime(pomodoroTask.id, minutes);
-        await loadTodayTasks();
-      } catch (error) {
-        console.error('Failed to add time:', error);
-      }
-    }
-  };
-
   // Touch handlers for swipe
   const handleTouchStart = (e, taskId) => {
     startXRef.current = e.touches[0].clientX;
@@ -174,6 +213,35 @@ export default function Today() {
     currentXRef.current = 0;
   };
 
+  // Drag to reorder the Today list (drops land below the target)
+  const handleDropOnTask = async (targetTask) => {
+    const draggedId = draggedTaskId;
+    setDraggedTaskId(null);
+    setDropTargetId(null);
+
+    if (!draggedId || draggedId === targetTask.id) return;
+
+    const remaining = todayTasks.filter(t => t.id !== draggedId);
+    const targetIndex = remaining.findIndex(t => t.id === targetTask.id);
+    const nextTask = remaining[targetIndex + 1];
+
+    // Show the new order right away; the server keeps the ranks
+    const reordered = [...remaining];
+    reordered.splice(targetIndex + 1, 0, todayTasks.find(t => t.id === draggedId));
+    setTodayTasks(reordered);
+
+    try {
+      await tasksAPI.move(draggedId, {
+        view: 'today',
+        after_id: targetTask.id,
+        before_id: nextTask ? nextTask.id : null
+      });
+    } catch (error) {
+      setError('Failed to reorder task');
+      await loadTodayTasks();
+    }
+  };
+
   const getTodayDate = () => {
     const today = new Date();
     return today.toLocaleDateString('en-US', {
@@ -183,6 +251,120 @@ export default function Today() {
     });
   };
 
+  const renderCapacity = () => {
+    // Work left on today's tasks: estimate minus time already spent
+    const plannedMinutes = todayTasks.reduce((sum, task) => (
+      sum + (task.estimate_minutes ? Math.max(task.estimate_minutes - (task.time_spent_minutes || 0), 0) : 0)
+    ), 0);
+    const unestimatedCount = todayTasks.filter(task => !task.estimate_minutes).length;
+    const availableMinutes = Math.max(capacity.dailyMinutes - capacity.trackedMinutes, 0);
+    const isOver = plannedMinutes > availableMinutes;
+    const color = isOver ? '#ff3b30' : '#34c759';
+
+    return (
+      <div style={{
+        background: 'rgba(255, 255, 255, 0.7)',
+        backdropFilter: 'blur(40px) saturate(180%)',
+        WebkitBackdropFilter: 'blur(40px) saturate(180%)',
+        borderRadius: '20px',
+        padding: '12px 16px',
+        marginBottom: '16px',
+        boxShadow: '0 4px 12px rgba(0, 0, 0, 0.06), 0 1px 0 0 rgba(255, 255, 255, 0.5) inset',
+        border: '0.5px solid rgba(255, 255, 255, 0.8)'
+      }}>
+        <div style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          fontSize: '13px',
+          fontWeight: '600',
+          marginBottom: '8px'
+        }}>
+          <span style={{ color: '#1a1a1a', display: 'flex', alignItems: 'center', gap: '6px' }}>
+            <Clock size={14} color="#667eea" />
+            {formatMinutes(plannedMinutes)} planned · {formatMinutes(availableMinutes)} available
+          </span>
+          <span style={{ color }}>
+            {isOver ? `${formatMinutes(plannedMinutes - availableMinutes)} over` : `${formatMinutes(availableMinutes - plannedMinutes)} free`}
+          </span>
+        </div>
+        <div style={{ height: '6px', borderRadius: '3px', background: 'rgba(0, 0, 0, 0.05)' }}>
+          <div style={{
+            width: `${availableMinutes > 0 ? Math.min(100, (plannedMinutes / availableMinutes) * 100) : 100}%`,
+            height: '100%',
+            borderRadius: '3px',
+            background: color
+          }} />
+        </div>
+        <div style={{ fontSize: '12px', color: '#8e8e93', marginTop: '8px' }}>
+          {formatMinutes(capacity.dailyMinutes)} a day, {formatMinutes(capacity.trackedMinutes)} tracked today
+          {unestimatedCount > 0 && ` · ${unestimatedCount} ${unestimatedCount === 1 ? 'task has' : 'tasks have'} no estimate`}
+        </div>
+      </div>
+    );
+  };
+
+  const renderReminders = () => {
+    const buttonStyle = {
+      padding: '6px 10px',
+      fontSize: '12px',
+      fontWeight: '600',
+      border: 'none',
+      borderRadius: '8px',
+      cursor: 'pointer',
+      background: 'rgba(102, 126, 234, 0.1)',
+      color: '#667eea'
+    };
+
+    return (
+      <div style={{
+        background: 'rgba(102, 126, 234, 0.08)',
+        backdropFilter: 'blur(20px) saturate(180%)',
+        WebkitBackdropFilter: 'blur(20px) saturate(180%)',
+        border: '0.5px solid rgba(102, 126, 234, 0.2)',
+        borderRadius: '20px',
+        padding: '12px 16px',
+        marginBottom: '16px'
+      }}>
+        {sentReminders.map(reminder => (
+          <div key={reminder.id} style={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: '8px',
+            padding: '6px 0',
+            fontSize: '14px'
+          }}>
+            <Bell size={14} color="#667eea" style={{ flexShrink: 0 }} />
+            <span style={{
+              flex: 1,
+              minWidth: 0,
+              color: '#1a1a1a',
+              fontWeight: '500',
+              overflow: 'hidden',
+              textOverflow: 'ellipsis',
+              whiteSpace: 'nowrap'
+            }}>
+              {reminder.task_title}
+            </span>
+            <button onClick={() => handleReminderAction(reminder, { minutes: 60 })} style={buttonStyle}>
+              1h
+            </button>
+            <button onClick={() => handleReminderAction(reminder, { until: tomorrowMorning() })} style={buttonStyle}>
+              Tomorrow
+            </button>
+            <button
+              onClick={() => handleReminderAction(reminder)}
+              title="Dismiss"
+              style={{ ...buttonStyle, background: 'transparent', color: '#8e8e93', padding: '6px' }}
+            >
+              <X size={14} />
+            </button>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
   const renderTaskCard = (task, section) => {
     const isBeingSwiped = swipedTaskId === task.id && isSwiping;
     const currentOffset = isBeingSwiped ? swipeOffset : 0;
@@ -250,6 +432,26 @@ export default function Today() {
 
         {/* Task card */}
         <div
+          draggable={section === 'today'}
+          onDragStart={(e) => {
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', task.id.toString());
+            setDraggedTaskId(task.id);
+          }}
+          onDragEnd={() => {
+            setDraggedTaskId(null);
+            setDropTargetId(null);
+          }}
+          onDragOver={(e) => {
+            if (section !== 'today' || !draggedTaskId || draggedTaskId === task.id) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            if (dropTargetId !== task.id) setDropTargetId(task.id);
+          }}
+          onDrop={(e) => {
+            e.preventDefault();
+            handleDropOnTask(task);
+          }}
           onTouchStart={(e) => handleTouchStart(e, task.id)}
           onTouchMove={(e) => handleTouchMove(e, task.id)}
           onTouchEnd={() => handleTouchEnd(task, section)}
@@ -257,8 +459,11 @@ export default function Today() {
             background: 'rgba(255, 255, 255, 0.8)',
             padding: '16px',
             borderRadius: '16px',
-            boxShadow: '0 2px 8px rgba(0, 0, 0, 0.04)',
+            boxShadow: dropTargetId === task.id
+              ? '0 4px 0 0 #667eea, 0 2px 8px rgba(0, 0, 0, 0.04)'
+              : '0 2px 8px rgba(0, 0, 0, 0.04)',
             border: '0.5px solid rgba(0, 0, 0, 0.05)',
+            opacity: draggedTaskId === task.id ? 0.4 : 1,
             transform: `translateX(${currentOffset}px)`,
             transition: isBeingSwiped ? 'none' : 'transform 0.3s cubic-bezier(0.4, 0, 0.2, 1)',
             position: 'relative',
@@ -305,7 +510,7 @@ export default function Today() {
                 color: '#1a1a1a',
                 fontWeight: '500',
                 lineHeight: '1.4',
-                marginBottom: (task.pomodoro_count || task.time_spent_minutes || task.deadline || (task.tags && task.tags.length > 0)) ? '8px' : 0
+                marginBottom: (task.pomodoro_count || task.time_spent_minutes || task.estimate_minutes || task.deadline || (task.tags && task.tags.length > 0)) ? '8px' : 0
               }}>
                 {task.title}
               </div>
@@ -317,8 +522,8 @@ export default function Today() {
                 gap: '6px',
                 alignItems: 'center'
               }}>
-                {/* Time spent badge */}
-                {task.time_spent_minutes > 0 && (
+                {/* Time spent (of the estimate) badge */}
+                {(task.time_spent_minutes > 0 || task.estimate_minutes > 0) && (
                   <span style={{
                     background: 'rgba(102, 126, 234, 0.1)',
                     color: '#667eea',
@@ -331,9 +536,8 @@ export default function Today() {
                     gap: '3px'
                   }}>
                     <Clock size={10} />
-                    {task.time_spent_minutes >= 60
-                      ? `${Math.floor(task.time_spent_minutes / 60)}h ${task.time_spent_minutes % 60}m`
-                      : `${task.time_spent_minutes}m`}
+                    {formatMinutes(task.time_spent_minutes || 0)}
+                    {task.estimate_minutes > 0 && ` / ${formatMinutes(task.estimate_minutes)}`}
                   </span>
                 )}
 
@@ -639,13 +843,30 @@ export default function Today() {
               Today
             </h1>
           </div>
-          <p style={{
-            fontSize: '15px',
-            color: '#8e8e93',
-            margin: 0
-          }}>
-            {getTodayDate()}
-          </p>
+          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '12px' }}>
+            <p style={{
+              fontSize: '15px',
+              color: '#8e8e93',
+              margin: 0
+            }}>
+              {getTodayDate()}
+            </p>
+            <Link
+              to="/calendar"
+              style={{
+                fontSize: '13px',
+                fontWeight: '600',
+                color: '#667eea',
+                textDecoration: 'none',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '6px'
+              }}
+            >
+              <CalendarDays size={14} />
+              Calendar
+            </Link>
+          </div>
         </div>
 
         {/* Error Message */}
@@ -679,6 +900,12 @@ export default function Today() {
           </div>
         ) : (
           <>
+            {/* Reminders that went out and still need attention */}
+            {sentReminders.length > 0 && renderReminders()}
+
+            {/* Planned work vs available capacity */}
+            {capacity && todayTasks.length > 0 && renderCapacity()}
+
             {/* Today Section */}
             <div style={{ marginBottom: '24px' }}>
               <div style={{
@@ -757,8 +984,8 @@ export default function Today() {
         <PomodoroTimer
           isOpen={!!pomodoroTask}
           onClose={() => setPomodoroTask(null)}
-          onPomodoroComplete={handlePomodoroComplete}
-          onAddTime={handleAddTime}
+          onSessionEnd={handlePomodoroSessionEnd}
+          taskId={pomodoroTask.id}
           taskTitle={pomodoroTask.title}
         />
       )}
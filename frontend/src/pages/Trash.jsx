@@ -0,0 +1,347 @@
+import { useState, useEffect } from 'react';
+import { trashAPI } from '../services/api';
+import { Loader2, Trash2, RotateCcw, CheckSquare, BookOpen, Tag, GitBranch } from 'lucide-react';
+
+// SQLite timestamps are UTC without a zone ("2025-01-31 18:04:05")
+const parseTimestamp = (value) => new Date(`${value.replace(' ', 'T')}Z`);
+
+const formatDate = (value) => parseTimestamp(value).toLocaleDateString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric'
+});
+
+export default function Trash() {
+  const [tasks, setTasks] = useState([]);
+  const [memos, setMemos] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [activeTab, setActiveTab] = useState('tasks');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadTrash();
+  }, []);
+
+  const loadTrash = async () => {
+    try {
+      setError('');
+      const response = await trashAPI.getAll();
+      setTasks(response.data.tasks || []);
+      setMemos(response.data.memos || []);
+      setRetentionDays(response.data.retention_days);
+    } catch (error) {
+      setError('Failed to load trash');
+      console.error('Load trash error:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRestore = async (item) => {
+    try {
+      if (activeTab === 'tasks') {
+        await trashAPI.restoreTask(item.id);
+        setTasks(tasks.filter(t => t.id !== item.id));
+      } else {
+        await trashAPI.restoreMemo(item.id);
+        setMemos(memos.filter(m => m.id !== item.id));
+      }
+    } catch (error) {
+      setError('Failed to restore item');
+      console.error('Restore error:', error);
+    }
+  };
+
+  const handlePurge = async (item) => {
+    if (!confirm(`Permanently delete "${item.title}"? This cannot be undone.`)) return;
+
+    try {
+      if (activeTab === 'tasks') {
+        await trashAPI.purgeTask(item.id);
+        setTasks(tasks.filter(t => t.id !== item.id));
+      } else {
+        await trashAPI.purgeMemo(item.id);
+        setMemos(memos.filter(m => m.id !== item.id));
+      }
+    } catch (error) {
+      setError('Failed to delete item');
+      console.error('Purge error:', error);
+    }
+  };
+
+  const handleEmptyTrash = async () => {
+    if (!confirm('Permanently delete everything in the trash? This cannot be undone.')) return;
+
+    try {
+      await trashAPI.empty();
+      setTasks([]);
+      setMemos([]);
+    } catch (error) {
+      setError('Failed to empty trash');
+      console.error('Empty trash error:', error);
+    }
+  };
+
+  const items = activeTab === 'tasks' ? tasks : memos;
+  const isEmpty = tasks.length === 0 && memos.length === 0;
+
+  const tabStyle = (active) => ({
+    flex: 1,
+    padding: '10px',
+    fontSize: '14px',
+    fontWeight: '600',
+    background: active ? 'white' : 'transparent',
+    color: active ? '#1a1a1a' : '#8e8e93',
+    border: 'none',
+    borderRadius: '10px',
+    cursor: 'pointer',
+    boxShadow: active ? '0 1px 4px rgba(0, 0, 0, 0.08)' : 'none',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: '6px',
+    transition: 'all 0.2s'
+  });
+
+  const actionStyle = (color, background) => ({
+    padding: '8px 12px',
+    fontSize: '13px',
+    fontWeight: '600',
+    background,
+    color,
+    border: 'none',
+    borderRadius: '10px',
+    cursor: 'pointer',
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px'
+  });
+
+  return (
+    <div style={{
+      minHeight: '100%',
+      background: '#f5f7fa',
+      padding: '16px'
+    }}>
+      <div style={{ maxWidth: '900px', margin: '0 auto' }}>
+
+        {/* Error Message */}
+        {error && (
+          <div style={{
+            background: 'rgba(255, 59, 48, 0.1)',
+            backdropFilter: 'blur(20px) saturate(180%)',
+            WebkitBackdropFilter: 'blur(20px) saturate(180%)',
+            border: '0.5px solid rgba(255, 59, 48, 0.2)',
+            color: '#ff3b30',
+            padding: '14px 16px',
+            borderRadius: '16px',
+            marginBottom: '16px',
+            fontSize: '14px',
+            fontWeight: '500'
+          }}>
+            {error}
+          </div>
+        )}
+
+        {/* Header with Empty Button */}
+        <div style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: '8px'
+        }}>
+          <h1 style={{
+            fontSize: '28px',
+            fontWeight: '700',
+            color: '#1a1a1a',
+            margin: 0,
+            letterSpacing: '-0.5px'
+          }}>
+            Trash
+          </h1>
+          {!isEmpty && (
+            <button
+              onClick={handleEmptyTrash}
+              style={{
+                ...actionStyle('#ff3b30', 'rgba(255, 59, 48, 0.1)'),
+                padding: '12px 16px',
+                fontSize: '15px',
+                borderRadius: '14px'
+              }}
+            >
+              <Trash2 size={18} />
+              Empty Trash
+            </button>
+          )}
+        </div>
+
+        {retentionDays && (
+          <p style={{ fontSize: '14px', color: '#8e8e93', margin: '0 0 20px' }}>
+            Items are permanently deleted {retentionDays} days after they were moved to the trash.
+          </p>
+        )}
+
+        {/* Tabs */}
+        <div style={{
+          display: 'flex',
+          gap: '4px',
+          padding: '4px',
+          background: 'rgba(0, 0, 0, 0.05)',
+          borderRadius: '14px',
+          marginBottom: '16px'
+        }}>
+          <button onClick={() => setActiveTab('tasks')} style={tabStyle(activeTab === 'tasks')}>
+            <CheckSquare size={16} />
+            Tasks ({tasks.length})
+          </button>
+          <button onClick={() => setActiveTab('memos')} style={tabStyle(activeTab === 'memos')}>
+            <BookOpen size={16} />
+            Memos ({memos.length})
+          </button>
+        </div>
+
+        {/* Trashed Items */}
+        <div>
+          {loading ? (
+            <div style={{
+              textAlign: 'center',
+              padding: '60px 20px',
+              color: '#8e8e93',
+              fontSize: '15px'
+            }}>
+              <Loader2 size={24} className="spin" style={{ marginBottom: '12px' }} />
+              <div>Loading trash...</div>
+            </div>
+          ) : items.length === 0 ? (
+            <div style={{
+              textAlign: 'center',
+              padding: '80px 20px',
+              color: '#8e8e93'
+            }}>
+              <Trash2 size={48} style={{ marginBottom: '16px', opacity: 0.3 }} />
+              <p style={{ fontSize: '17px', marginBottom: '8px', fontWeight: '600', color: '#1a1a1a' }}>
+                No deleted {activeTab}
+              </p>
+              <p style={{ fontSize: '14px' }}>
+                Deleted {activeTab} show up here until they are restored or purged
+              </p>
+            </div>
+          ) : (
+            items.map((item) => (
+              <div
+                key={item.id}
+                style={{
+                  background: 'rgba(255, 255, 255, 0.7)',
+                  backdropFilter: 'blur(40px) saturate(180%)',
+                  WebkitBackdropFilter: 'blur(40px) saturate(180%)',
+                  borderRadius: '20px',
+                  padding: '20px',
+                  marginBottom: '12px',
+                  boxShadow: '0 4px 12px rgba(0, 0, 0, 0.06), 0 1px 0 0 rgba(255, 255, 255, 0.5) inset',
+                  border: '0.5px solid rgba(255, 255, 255, 0.8)'
+                }}
+              >
+                <h3 style={{
+                  fontSize: '17px',
+                  fontWeight: '600',
+                  color: '#1a1a1a',
+                  margin: '0 0 8px',
+                  textDecoration: item.completed === 1 ? 'line-through' : 'none'
+                }}>
+                  {item.title}
+                </h3>
+
+                {(item.content || item.description) && (
+                  <p style={{
+                    fontSize: '14px',
+                    lineHeight: '1.5',
+                    color: '#8e8e93',
+                    margin: '0 0 8px',
+                    whiteSpace: 'pre-wrap',
+                    overflow: 'hidden',
+                    display: '-webkit-box',
+                    WebkitLineClamp: 2,
+                    WebkitBoxOrient: 'vertical'
+                  }}>
+                    {item.content || item.description}
+                  </p>
+                )}
+
+                {/* Tags and subtasks */}
+                {(item.tags?.length > 0 || item.subtask_count > 0) && (
+                  <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap', marginBottom: '8px' }}>
+                    {item.subtask_count > 0 && (
+                      <span style={{
+                        background: 'rgba(0, 0, 0, 0.05)',
+                        color: '#8e8e93',
+                        padding: '4px 10px',
+                        borderRadius: '8px',
+                        fontSize: '12px',
+                        fontWeight: '600',
+                        display: 'flex',
+                        alignItems: 'center',
+                        gap: '4px'
+                      }}>
+                        <GitBranch size={11} />
+                        {item.subtask_count} subtask{item.subtask_count === 1 ? '' : 's'}
+                      </span>
+                    )}
+                    {item.tags?.map((tag, index) => (
+                      <span
+                        key={index}
+                        style={{
+                          background: `${tag.color}15`,
+                          color: tag.color,
+                          padding: '4px 10px',
+                          borderRadius: '8px',
+                          fontSize: '12px',
+                          fontWeight: '600',
+                          display: 'flex',
+                          alignItems: 'center',
+                          gap: '4px'
+                        }}
+                      >
+                        <Tag size={11} />
+                        {tag.name}
+                      </span>
+                    ))}
+                  </div>
+                )}
+
+                <div style={{
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  alignItems: 'center',
+                  gap: '12px',
+                  flexWrap: 'wrap',
+                  marginTop: '12px'
+                }}>
+                  <div style={{ fontSize: '12px', color: '#8e8e93', fontWeight: '500' }}>
+                    Deleted {formatDate(item.deleted_at)} · Purged {formatDate(item.purge_at)}
+                  </div>
+                  <div style={{ display: 'flex', gap: '8px' }}>
+                    <button
+                      onClick={() => handleRestore(item)}
+                      style={actionStyle('#667eea', 'rgba(102, 126, 234, 0.1)')}
+                    >
+                      <RotateCcw size={14} />
+                      Restore
+                    </button>
+                    <button
+                      onClick={() => handlePurge(item)}
+                      title="Delete permanently"
+                      style={actionStyle('#ff3b30', 'rgba(255, 59, 48, 0.1)')}
+                    >
+                      <Trash2 size={14} />
+                    </button>
+                  </div>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
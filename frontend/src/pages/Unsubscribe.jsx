@@ -0,0 +1,48 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { digestAPI } from '../services/api';
+
+// Opened from the link in a digest email: unsubscribes right away
+const Unsubscribe = () => {
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const { token } = useParams();
+
+  useEffect(() => {
+    const unsubscribe = async () => {
+      try {
+        const response = await digestAPI.unsubscribe(token);
+        setSuccess(response.data.message);
+      } catch (error) {
+        setError(error.response?.data?.message || 'Failed to unsubscribe');
+      }
+    };
+
+    unsubscribe();
+  }, [token]);
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h2>Unsubscribe</h2>
+
+        {error && <div className="error-message">{error}</div>}
+        {success && <div className="success-message">{success}</div>}
+        {!error && !success && (
+          <p style={{ marginBottom: 20, color: '#757575' }}>Unsubscribing...</p>
+        )}
+
+        <p style={{ marginBottom: 20, color: '#757575' }}>
+          You can turn digest emails back on in your profile.
+        </p>
+
+        <div className="auth-links">
+          <Link to="/profile">Go to Profile</Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Unsubscribe;
@@ -74,13 +74,54 @@ export const authAPI = {
 
 // Tasks API
 export const tasksAPI = {
-  getAll: () => api.get('/tasks'),
+  getAll: (params = {}) => api.get('/tasks', { params }),
+  // Follows pagination until every task matching the filters is loaded
+  // Tasks due or planned between two dates; params: { from, to, completed, project_id }
+  getCalendar: (params) => api.get('/tasks/calendar', { params }),
+  getAllPages: async (params = {}) => {
+    const tasks = [];
+    let page = { ...params, limit: 100 };
+
+    for (;;) {
+      const response = await api.get('/tasks', { params: page });
+      const { pagination } = response.data;
+      tasks.push(...(response.data.tasks || []));
+
+      if (!pagination?.has_more) break;
+      page = pagination.next_cursor
+        ? { ...page, cursor: pagination.next_cursor }
+        : { ...page, offset: pagination.next_offset };
+    }
+
+    return tasks;
+  },
   getOne: (id) => api.get(`/tasks/${id}`),
   create: (data) => api.post('/tasks', data),
+  // Reads quick-add syntax ("Call Bob tomorrow 3pm #work !urgent >today") into task fields without saving
+  parse: (text) => api.post('/tasks/parse', {
+    text,
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+  }),
   update: (id, data) => api.put(`/tasks/${id}`, data),
-  toggle: (id) => api.patch(`/tasks/${id}/toggle`),
-  updatePomodoro: (id, count) => api.patch(`/tasks/${id}/pomodoro`, { count }),
-  planToday: (id) => api.patch(`/tasks/${id}/plan-today`),
+  getTree: (id) => api.get(`/tasks/${id}/tree`),
+  getHistory: (id, params = {}) => api.get(`/tasks/${id}/history`, { params }),
+  toggle: (id, data = {}) => api.patch(`/tasks/${id}/toggle`, data),
+  completeSubtasks: (id) => api.post(`/tasks/${id}/complete-subtasks`),
+  // Applies one action to many tasks at once (all or nothing)
+  bulk: (action, taskIds, params = {}) => api.post('/tasks/bulk', { action, task_ids: taskIds, ...params }),
+  // Places a task between two neighbours of a manually ordered view ('tasks' or 'today')
+  move: (id, data) => api.post(`/tasks/${id}/move`, data),
+  setStatus: (id, data) => api.patch(`/tasks/${id}/status`, data),
+  getDependencies: (id) => api.get(`/tasks/${id}/dependencies`),
+  addDependency: (id, blockedByTaskId) =>
+    api.post(`/tasks/${id}/dependencies`, { blocked_by_task_id: blockedByTaskId }),
+  removeDependency: (id, blockedByTaskId) => api.delete(`/tasks/${id}/dependencies/${blockedByTaskId}`),
+  getPomodoros: (id) => api.get(`/tasks/${id}/pomodoros`),
+  getReminders: (id) => api.get(`/tasks/${id}/reminders`),
+  // data: { before_deadline_minutes } or { remind_at } (ISO 8601)
+  addReminder: (id, data) => api.post(`/tasks/${id}/reminders`, data),
+  // Without a date this toggles the task on or off today; with one it plans it for that day
+  planToday: (id, date) => api.patch(`/tasks/${id}/plan-today`, date ? { date } : {}),
   unplan: (id) => api.patch(`/tasks/${id}/unplan`),
   addTime: (id, minutes) => api.patch(`/tasks/${id}/add-time`, { minutes }),
   delete: (id) => api.delete(`/tasks/${id}`),
@@ -98,7 +139,8 @@ export const adminAPI = {
 // Inbox API
 export const inboxAPI = {
   getAll: (status = 'active') => api.get(`/inbox?status=${status}`),
-  create: (data) => api.post('/inbox', data),
+  // Quick-add syntax in content (#tags, dates, !urgent) is read in the browser's timezone
+  create: (data) => api.post('/inbox', { timezone: Intl.DateTimeFormat().resolvedOptions().timeZone, ...data }),
   update: (id, data) => api.put(`/inbox/${id}`, data),
   delete: (id) => api.delete(`/inbox/${id}`),
   convertToTasks: (id, tasks) => api.post(`/inbox/${id}/convert-to-tasks`, { tasks }),
@@ -124,4 +166,176 @@ export const tagsAPI = {
   delete: (id) => api.delete(`/tags/${id}`),
 };
 
-export default api;
\ No newline at end of file
+// Trash API
+export const trashAPI = {
+  getAll: (params = {}) => api.get('/trash', { params }),
+  restoreTask: (id) => api.post(`/trash/tasks/${id}/restore`),
+  restoreMemo: (id) => api.post(`/trash/memos/${id}/restore`),
+  purgeTask: (id) => api.delete(`/trash/tasks/${id}`),
+  purgeMemo: (id) => api.delete(`/trash/memos/${id}`),
+  empty: () => api.delete('/trash'),
+};
+
+// Time tracking API
+export const timeEntriesAPI = {
+  getAll: (params = {}) => api.get('/time-entries', { params }),
+  getRunning: () => api.get('/time-entries/running'),
+  start: (taskId, note) => api.post('/time-entries/start', { task_id: taskId, note }),
+  stop: () => api.post('/time-entries/stop'),
+  create: (data) => api.post('/time-entries', data),
+  update: (id, data) => api.put(`/time-entries/${id}`, data),
+  delete: (id) => api.delete(`/time-entries/${id}`),
+  // tz_offset keeps the days in the browser's calendar
+  getTimesheet: (from, to) => api.get('/time-entries/timesheet', {
+    params: { from, to, tz_offset: -new Date().getTimezoneOffset() }
+  }),
+};
+
+// User settings API
+export const settingsAPI = {
+  get: () => api.get('/settings'),
+  update: (data) => api.put('/settings', data),
+};
+
+// Reports API
+export const reportsAPI = {
+  // Estimated vs tracked minutes of completed tasks; params: from, to, period ('day', 'week', 'month')
+  getEstimates: (params = {}) => api.get('/reports/estimates', {
+    params: { ...params, tz_offset: -new Date().getTimezoneOffset() }
+  }),
+};
+
+// Pomodoro API
+export const pomodorosAPI = {
+  start: (taskId, plannedMinutes) => api.post('/pomodoros', { task_id: taskId, planned_minutes: plannedMinutes }),
+  // status: 'completed' or 'abandoned'; actualSeconds is focus time without pauses
+  finish: (id, status, actualSeconds) => api.post(`/pomodoros/${id}/finish`, { status, actual_seconds: actualSeconds }),
+  addInterruption: (id, note) => api.post(`/pomodoros/${id}/interruptions`, { note }),
+  getDaily: (from, to) => api.get('/pomodoros/daily', {
+    params: { from, to, tz_offset: -new Date().getTimezoneOffset() }
+  }),
+};
+
+// Reminders API
+export const remindersAPI = {
+  // status: comma-separated statuses (default: pending,sent)
+  getAll: (status) => api.get('/reminders', { params: { status } }),
+  // data: { minutes } from now, or { until } (ISO 8601)
+  snooze: (id, data) => api.post(`/reminders/${id}/snooze`, data),
+  dismiss: (id) => api.post(`/reminders/${id}/dismiss`),
+  delete: (id) => api.delete(`/reminders/${id}`),
+};
+
+// Digest emails API
+export const digestAPI = {
+  // Today's digest and last week's summary as they would be emailed now
+  preview: () => api.get('/digest/preview'),
+  // Works without login, from the link in a digest email
+  unsubscribe: (token) => api.post(`/digest/unsubscribe/${token}`),
+};
+
+// Calendar feed API
+export const calendarFeedAPI = {
+  // { enabled, path } - the feed is served at path (relative to the site)
+  get: () => api.get('/calendar-feed'),
+  // Turns the feed on with a new secret link; the previous link stops working
+  regenerate: () => api.post('/calendar-feed/token'),
+  revoke: () => api.delete('/calendar-feed/token'),
+};
+
+// App passwords API (sign-in for CalDAV apps)
+export const appPasswordsAPI = {
+  getAll: () => api.get('/app-passwords'),
+  // The response's password is shown this once
+  create: (name) => api.post('/app-passwords', { name }),
+  delete: (id) => api.delete(`/app-passwords/${id}`),
+};
+
+// Export API
+export const exportAPI = {
+  // format: 'zip' (JSON, CSV and memos as Markdown) or 'json' - the file comes as a Blob,
+  // named in the Content-Disposition header
+  download: (format = 'zip') => api.get('/export', { params: { format }, responseType: 'blob' }),
+};
+
+// Import API
+export const importAPI = {
+  getAll: () => api.get('/import'),
+  // options: { source, file, dry_run, skip_duplicates, mapping } - a dry run only returns the report
+  run: ({ file, mapping, ...fields }) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    Object.entries(fields).forEach(([key, value]) => formData.append(key, String(value)));
+    if (mapping) formData.append('mapping', JSON.stringify(mapping));
+    return api.post('/import', formData);
+  },
+  // Permanently deletes what the import created
+  rollback: (id) => api.post(`/import/${id}/rollback`),
+};
+
+// Task templates API
+export const templatesAPI = {
+  getAll: () => api.get('/templates'),
+  get: (id) => api.get(`/templates/${id}`),
+  // data: { name, description, task } - task is a parent task with nested subtasks
+  create: (data) => api.post('/templates', data),
+  // Saves a task and its subtasks; deadlines become days after the task was created
+  createFromTask: (taskId, data) => api.post(`/templates/from-task/${taskId}`, data),
+  update: (id, data) => api.put(`/templates/${id}`, data),
+  delete: (id) => api.delete(`/templates/${id}`),
+  // data: { start_date, parent_task_id } - deadlines count from start_date
+  instantiate: (id, data = {}) => api.post(`/templates/${id}/instantiate`, data),
+};
+
+// Search API
+export const searchAPI = {
+  // params: { q, types, tags, tag_match, from, to, limit } - results are grouped by kind,
+  // tz_offset keeps from/to in the browser's calendar
+  search: (params) => api.get('/search', {
+    params: { ...params, tz_offset: -new Date().getTimezoneOffset() }
+  }),
+};
+
+// Saved views API
+export const viewsAPI = {
+  // Each view comes with the number of tasks it shows right now
+  getAll: () => api.get('/views'),
+  get: (id) => api.get(`/views/${id}`),
+  // data: { name, filters, sort } - filters: tags, tag_match, quadrants, has_deadline,
+  // deadline_from_days/deadline_to_days (relative to today), deadline_after/deadline_before,
+  // completed, parent_id, q
+  create: (data) => api.post('/views', data),
+  update: (id, data) => api.put(`/views/${id}`, data),
+  delete: (id) => api.delete(`/views/${id}`),
+};
+
+// Projects API
+export const projectsAPI = {
+  // params: { status: 'active,on_hold', area_id } - each project comes with its progress
+  getAll: (params = {}) => api.get('/projects', { params }),
+  // Includes the project's memos; its tasks come from tasksAPI.getAll({ project_id })
+  get: (id) => api.get(`/projects/${id}`),
+  // data: { name, description, status, target_date, area_id }
+  create: (data) => api.post('/projects', data),
+  update: (id, data) => api.put(`/projects/${id}`, data),
+  delete: (id) => api.delete(`/projects/${id}`),
+};
+
+// Areas API
+export const areasAPI = {
+  getAll: () => api.get('/areas'),
+  create: (name) => api.post('/areas', { name }),
+  rename: (id, name) => api.put(`/areas/${id}`, { name }),
+  delete: (id) => api.delete(`/areas/${id}`),
+};
+
+// Statuses API
+export const statusesAPI = {
+  getAll: () => api.get('/statuses'),
+  create: (data) => api.post('/statuses', data),
+  update: (id, data) => api.put(`/statuses/${id}`, data),
+  reorder: (ids) => api.put('/statuses/reorder', { ids }),
+  delete: (id) => api.delete(`/statuses/${id}`),
+};
+
+export default api;
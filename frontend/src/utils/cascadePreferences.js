@@ -0,0 +1,20 @@
+// How completing a task cascades through its subtask tree.
+// Each direction is 'ask' (confirm first), 'always' or 'never'.
+const STORAGE_KEY = 'cascadePreferences';
+
+const DEFAULTS = {
+  children: 'ask', // Completing a parent completes its open subtasks
+  parent: 'ask' // Completing the last open subtask completes its parent
+};
+
+export function getCascadePreferences() {
+  try {
+    return { ...DEFAULTS, ...JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') };
+  } catch {
+    return { ...DEFAULTS };
+  }
+}
+
+export function setCascadePreferences(preferences) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...getCascadePreferences(), ...preferences }));
+}
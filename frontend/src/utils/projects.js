@@ -0,0 +1,16 @@
+// Project statuses in the order the server lists them, with their labels and colors
+export const PROJECT_STATUSES = [
+  { value: 'active', label: 'Active', color: '#34c759' },
+  { value: 'on_hold', label: 'On hold', color: '#ff9500' },
+  { value: 'completed', label: 'Completed', color: '#667eea' },
+  { value: 'archived', label: 'Archived', color: '#8e8e93' }
+];
+
+export function getProjectStatus(value) {
+  return PROJECT_STATUSES.find(status => status.value === value) || PROJECT_STATUSES[0];
+}
+
+// Projects new work can go into (plus the current one, whatever its status)
+export function selectableProjects(projects, currentId = null) {
+  return projects.filter(p => p.status === 'active' || p.status === 'on_hold' || p.id === currentId);
+}
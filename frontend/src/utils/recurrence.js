@@ -0,0 +1,81 @@
+// Client-side helpers for the RRULE-style rules stored on tasks
+// (see backend/utils/recurrence.js for the supported subset)
+
+export const WEEKDAYS = [
+  { code: 'MO', label: 'Mon' },
+  { code: 'TU', label: 'Tue' },
+  { code: 'WE', label: 'Wed' },
+  { code: 'TH', label: 'Thu' },
+  { code: 'FR', label: 'Fri' },
+  { code: 'SA', label: 'Sat' },
+  { code: 'SU', label: 'Sun' }
+];
+
+const UNITS = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' };
+
+/**
+ * Parse a rule string into editable form
+ * @param {string|null} rule - e.g. 'FREQ=WEEKLY;BYDAY=MO,TH'
+ * @returns {Object} { freq, interval, byDay, byMonthDay, fromCompletion }
+ */
+export function parseRule(rule) {
+  const parsed = { freq: null, interval: 1, byDay: [], byMonthDay: null, fromCompletion: false };
+  if (!rule) return parsed;
+
+  for (const part of rule.split(';')) {
+    const [key, value] = part.split('=');
+    if (key === 'FREQ') parsed.freq = value;
+    if (key === 'INTERVAL') parsed.interval = parseInt(value) || 1;
+    if (key === 'BYDAY') parsed.byDay = value.split(',');
+    if (key === 'BYMONTHDAY') parsed.byMonthDay = parseInt(value);
+    if (key === 'X-FROM') parsed.fromCompletion = value === 'COMPLETION';
+  }
+
+  return parsed;
+}
+
+/**
+ * Build a rule string from editable form
+ * @returns {string|null} Rule, or null when no frequency is selected
+ */
+export function buildRule({ freq, interval, byDay, byMonthDay, fromCompletion }) {
+  if (!freq) return null;
+
+  const parts = [`FREQ=${freq}`];
+  if (interval > 1) parts.push(`INTERVAL=${interval}`);
+
+  if (fromCompletion) {
+    parts.push('X-FROM=COMPLETION');
+  } else if (freq === 'WEEKLY' && byDay.length > 0) {
+    const ordered = WEEKDAYS.map(d => d.code).filter(code => byDay.includes(code));
+    parts.push(`BYDAY=${ordered.join(',')}`);
+  } else if (freq === 'MONTHLY' && byMonthDay) {
+    parts.push(`BYMONTHDAY=${byMonthDay}`);
+  }
+
+  return parts.join(';');
+}
+
+/**
+ * Human readable summary, e.g. "Every 2 weeks on Mon, Thu"
+ */
+export function describeRule(rule) {
+  const { freq, interval, byDay, byMonthDay, fromCompletion } = parseRule(rule);
+  if (!freq) return '';
+
+  const unit = UNITS[freq];
+  let text = interval > 1 ? `Every ${interval} ${unit}s` : `Every ${unit}`;
+
+  if (fromCompletion) {
+    return `${text} after completion`;
+  }
+  if (byDay.length > 0) {
+    const labels = WEEKDAYS.filter(d => byDay.includes(d.code)).map(d => d.label);
+    text += ` on ${labels.join(', ')}`;
+  }
+  if (byMonthDay) {
+    text += byMonthDay === -1 ? ' on the last day' : ` on day ${byMonthDay}`;
+  }
+
+  return text;
+}
@@ -0,0 +1,31 @@
+// Saved views: named task list filters shown with live counts in the layout.
+// Pages that change views fire SAVED_VIEWS_CHANGED so the counts refresh.
+export const SAVED_VIEWS_CHANGED = 'savedviews:changed';
+
+export function notifySavedViewsChanged() {
+  window.dispatchEvent(new Event(SAVED_VIEWS_CHANGED));
+}
+
+// Deadline choices in the view editor and the filters each one stands for
+// (relative windows count from today when the view is used)
+export const DEADLINE_PRESETS = [
+  { value: 'any', label: 'Any deadline', filters: {} },
+  { value: 'none', label: 'No deadline', filters: { has_deadline: false } },
+  { value: 'has', label: 'Has a deadline', filters: { has_deadline: true } },
+  { value: 'overdue', label: 'Overdue', filters: { deadline_to_days: -1 } },
+  { value: 'today', label: 'Due today', filters: { deadline_from_days: 0, deadline_to_days: 0 } },
+  { value: 'week', label: 'Due in the next 7 days', filters: { deadline_from_days: 0, deadline_to_days: 7 } },
+  { value: 'month', label: 'Due in the next 30 days', filters: { deadline_from_days: 0, deadline_to_days: 30 } },
+  { value: 'range', label: 'Between dates', filters: {} }
+];
+
+const DEADLINE_KEYS = ['has_deadline', 'deadline_from_days', 'deadline_to_days', 'deadline_after', 'deadline_before'];
+
+// The preset a view's deadline filters match ('range' for fixed dates)
+export function getDeadlinePreset(filters) {
+  if (filters.deadline_after || filters.deadline_before) return 'range';
+
+  const preset = DEADLINE_PRESETS.find(p => p.value !== 'range' &&
+    DEADLINE_KEYS.every(key => (p.filters[key] ?? null) === (filters[key] ?? null)));
+  return preset ? preset.value : 'any';
+}
@@ -0,0 +1,10 @@
+// Length of one pomodoro, for estimates given in pomodoros
+export const POMODORO_MINUTES = 25;
+
+// Formats a number of minutes as "45m", "2h" or "1h 15m"
+export function formatMinutes(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours === 0) return `${rest}m`;
+  return rest === 0 ? `${hours}h` : `${hours}h ${rest}m`;
+}